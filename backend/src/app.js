@@ -17,6 +17,7 @@ import {
   noShowAlertsRouter,
   studentMealHistoryRouter,
   mealReportsRouter,
+  studentAbsencesRouter,
 } from './meal-distribution/index.js';
 
 // Menu Management imports
@@ -26,15 +27,33 @@ import { createMenuManagementRouter } from './menu-management/index.js';
 import { createMealPlanningRouter } from './meal-planning/index.js';
 
 // Inventory imports
-import { inventoryRouter } from './inventory/index.js';
+import {
+  inventoryRouter,
+  purchaseOrderRouter,
+  stockTakeRouter,
+  stockTransferRouter,
+  storageLocationRouter,
+  supplierRouter,
+} from './inventory/index.js';
 import { createSchoolManagementRouter } from './school-management/bootstrap.js';
 import { clerkWebhookRouter } from './user-management/presentation/webhooks/clerk.webhook.router.js';
 import { createUserManagementRouter } from './user-management/index.js';
+import {
+  createJobSchedulerRouter,
+  startJobScheduler,
+} from './job-scheduler/index.js';
 
 import { apiRequireAuth } from './shared/middleware/require-auth.middleware.js';
 import { attachUser } from './shared/middleware/attach-user.middleware.js';
-import { requireRole } from './shared/middleware/require-role.middleware.js';
-import { ROLES } from './shared/constants/roles.js';
+import { attachAuditContext, createAuditLogRouter } from './audit-log/index.js';
+import { createTrashRouter } from './trash/index.js';
+import {
+  createNotificationsRouter,
+  createNotificationTemplatesRouter,
+} from './notifications/index.js';
+import { apiAccessGuards } from './shared/middleware/api-access-guards.middleware.js';
+import { attachSchoolScope } from './shared/middleware/school-scope.middleware.js';
+import { schoolScopeGuards } from './shared/middleware/school-scope-guards.middleware.js';
 
 const app = express();
 
@@ -52,19 +71,25 @@ app.use('/api/webhooks', clerkWebhookRouter);
 
 app.use(express.json());
 
-// ── EXAMPLE PROTECTED ROUTE FOR DEVS ─────────────────────────────
-// Other devs: To protect your routes, insert apiRequireAuth and
-// attachUser BEFORE your router in the app.use chain. To enforce
-// roles, add requireRole([ROLES.YOUR_ROLE]) after attachUser.
+// ── API AUTHENTICATION & ROLES ───────────────────────────────────
+// Every /api route below requires a signed-in user with an assigned
+// role. Which roles may read or write each area is defined in
+// shared/constants/api-access.js; to protect a new router, add its
+// paths to shared/middleware/api-access-guards.middleware.js.
 //
-// app.use(
-//   '/api/my-feature',
-//   apiRequireAuth,
-//   attachUser,
-//   requireRole([ROLES.ADMIN, ROLES.MEAL_PLANNER]),
-//   myFeatureRouter
-// );
+// School admins and staff are then limited to their assigned schools
+// (shared/middleware/school-scope.middleware.js); requests reaching
+// another school get 403.
 // ─────────────────────────────────────────────────────────────────
+app.use(
+  '/api',
+  apiRequireAuth,
+  attachUser,
+  attachAuditContext,
+  apiAccessGuards,
+  attachSchoolScope,
+  schoolScopeGuards
+);
 
 // School Management routes
 const schoolRouter = createSchoolManagementRouter();
@@ -77,6 +102,7 @@ app.use('/api/meal-scan', mealScanRouter);
 app.use('/api/meal-distribution/no-show-alerts', noShowAlertsRouter);
 app.use('/api/meal-distribution/student-history', studentMealHistoryRouter);
 app.use('/api/meal-distribution/reports', mealReportsRouter);
+app.use('/api/meal-distribution/absences', studentAbsencesRouter);
 
 // Menu Management routes
 const menuManagementRouter = createMenuManagementRouter();
@@ -86,32 +112,40 @@ app.use('/api', menuManagementRouter);
 const mealPlanningRouter = createMealPlanningRouter();
 app.use('/api', mealPlanningRouter);
 
-// Meal Distribution routes
-app.use('/api/meal-sessions', mealSessionRouter);
-app.use('/api/meal-attendance', mealAttendanceRouter);
-app.use('/api/meal-scan', mealScanRouter);
+// Inventory routes (purchasing, locations and stock-takes first so /:id does not capture them)
+app.use('/api/inventory/suppliers', supplierRouter);
+app.use('/api/inventory/purchase-orders', purchaseOrderRouter);
+app.use('/api/inventory/locations', storageLocationRouter);
+app.use('/api/inventory/transfers', stockTransferRouter);
+app.use('/api/inventory/stock-takes', stockTakeRouter);
+app.use('/api/inventory', inventoryRouter);
 
-// Inventory routes
+// Background job admin routes (admin-only)
+const jobSchedulerRouter = createJobSchedulerRouter();
+app.use('/api/admin/jobs', jobSchedulerRouter);
+
+// Audit log query routes (admin-only)
+app.use('/api/admin/audit-logs', createAuditLogRouter());
+
+// Trash view and restore for soft-deleted records (admin-only)
+app.use('/api/admin/trash', createTrashRouter());
+
+// Guardian notification log and development outbox (admin-only)
+app.use('/api/admin/notifications', createNotificationsRouter());
+
+// Guardian message templates per language, with preview (admin-only)
 app.use(
-  '/api/inventory',
-  apiRequireAuth,
-  attachUser,
-  requireRole([ROLES.ADMIN, ROLES.INVENTORY_MANAGER]),
-  inventoryRouter
+  '/api/admin/notification-templates',
+  createNotificationTemplatesRouter()
 );
 
 // User Management routes (admin-only; Clerk webhook remains public for user sync)
 const userManagementRouter = createUserManagementRouter();
-app.use(
-  '/api',
-  apiRequireAuth,
-  attachUser,
-  requireRole([ROLES.ADMIN]),
-  userManagementRouter
-);
+app.use('/api', userManagementRouter);
 
 const PORT = process.env.PORT || 3000;
 
 connectDB().then(() => {
+  startJobScheduler();
   app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
 });
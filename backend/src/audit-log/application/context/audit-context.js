@@ -0,0 +1,32 @@
+// Carries who is performing the current operation through async calls, so
+// the audit plugin can attribute a write without every service passing the
+// actor down. Writes made outside any context are attributed to SYSTEM.
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+export const AUDIT_SOURCES = Object.freeze({
+  API: 'API',
+  JOB: 'JOB',
+  SYSTEM: 'SYSTEM',
+});
+
+const SYSTEM_ACTOR = Object.freeze({
+  source: AUDIT_SOURCES.SYSTEM,
+  actorId: null,
+  actorRole: null,
+});
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` with `actor` as the author of every audited write it makes.
+ * @param {{ source: string, actorId?: string|null, actorRole?: string|null,
+ *   requestMethod?: string, requestPath?: string, jobName?: string }} actor
+ * @param {() => *} fn
+ */
+export function runWithAuditActor(actor, fn) {
+  return storage.run({ ...SYSTEM_ACTOR, ...actor }, fn);
+}
+
+export function getAuditActor() {
+  return storage.getStore() ?? SYSTEM_ACTOR;
+}
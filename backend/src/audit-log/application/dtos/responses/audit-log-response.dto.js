@@ -0,0 +1,16 @@
+export function toAuditLogResponse(entry) {
+  return {
+    id: entry._id?.toString(),
+    entityType: entry.entityType,
+    entityId: entry.entityId,
+    action: entry.action,
+    source: entry.source,
+    actorId: entry.actorId ?? null,
+    actorRole: entry.actorRole ?? null,
+    requestMethod: entry.requestMethod ?? null,
+    requestPath: entry.requestPath ?? null,
+    jobName: entry.jobName ?? null,
+    changes: entry.changes ?? [],
+    occurredAt: entry.occurredAt,
+  };
+}
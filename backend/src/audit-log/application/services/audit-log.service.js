@@ -0,0 +1,88 @@
+// Records audited writes and answers audit queries. Writes reach it through
+// the audit trail plugin; reads come from the admin endpoint and from the
+// activity views of other modules.
+import { toAuditLogResponse } from '../dtos/responses/audit-log-response.dto.js';
+import { diffSnapshots } from '../utils/audit-diff.util.js';
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+export class AuditLogService {
+  constructor({ auditLogRepository }) {
+    this.auditLogRepository = auditLogRepository;
+  }
+
+  /**
+   * Stores one entry per change. Updates that change nothing are skipped.
+   * @param {Array<{ entityType: string, entityId: string, action: string,
+   *   before: Object|null, after: Object|null, actor: Object }>} changes
+   * @returns {Promise<number>} Number of entries stored
+   */
+  async recordChanges(changes) {
+    const docs = changes
+      .map(({ entityType, entityId, action, before, after, actor }) => ({
+        entityType,
+        entityId: String(entityId),
+        action,
+        source: actor.source,
+        actorId: actor.actorId ?? null,
+        actorRole: actor.actorRole ?? null,
+        requestMethod: actor.requestMethod,
+        requestPath: actor.requestPath,
+        jobName: actor.jobName,
+        changes: diffSnapshots(before, after),
+        occurredAt: new Date(),
+      }))
+      .filter((doc) => doc.action !== 'UPDATE' || doc.changes.length > 0);
+
+    if (docs.length === 0) {
+      return 0;
+    }
+    await this.auditLogRepository.createMany(docs);
+    return docs.length;
+  }
+
+  /**
+   * @param {{ entityType?: string, entityId?: string, actorId?: string,
+   *   action?: string, dateFrom?: string, dateTo?: string,
+   *   page?: number, limit?: number }} filters
+   * @returns {Promise<{ items: Array, page: number, limit: number, total: number }>}
+   */
+  async listEntries(filters = {}) {
+    const filter = {};
+    ['entityType', 'entityId', 'actorId', 'action'].forEach((key) => {
+      if (filters[key]) {
+        filter[key] = String(filters[key]).trim();
+      }
+    });
+    if (filters.dateFrom || filters.dateTo) {
+      filter.occurredAt = {};
+      if (filters.dateFrom) {
+        filter.occurredAt.$gte = new Date(filters.dateFrom);
+      }
+      if (filters.dateTo) {
+        filter.occurredAt.$lte = new Date(filters.dateTo);
+      }
+    }
+
+    const page = Math.max(1, Number(filters.page) || 1);
+    const limit = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, Number(filters.limit) || DEFAULT_PAGE_SIZE)
+    );
+    const { items, total } = await this.auditLogRepository.findPage(filter, {
+      skip: (page - 1) * limit,
+      limit,
+    });
+
+    return { items: items.map(toAuditLogResponse), page, limit, total };
+  }
+
+  /**
+   * Most recent changes to one record, newest first.
+   */
+  async listEntityActivity(entityType, entityId, { limit } = {}) {
+    const { items } = await this.listEntries({ entityType, entityId, limit });
+    return items;
+  }
+}
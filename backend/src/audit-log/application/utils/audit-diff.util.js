@@ -0,0 +1,70 @@
+import crypto from 'node:crypto';
+
+// Field-level diff between two snapshots of a document. Values are compared
+// in their JSON form, so ObjectIds and Dates compare by value; nested objects
+// are walked into dotted paths while arrays are compared as a whole.
+
+// Bookkeeping fields that change on every write
+const IGNORED_PATHS = new Set(['_id', '__v', 'createdAt', 'updatedAt']);
+
+// Stands in for a value too large or sensitive to store; the digest still
+// shows whether it changed
+const omittedValue = (value) =>
+  `[omitted:${crypto
+    .createHash('sha256')
+    .update(JSON.stringify(value))
+    .digest('hex')
+    .slice(0, 12)}]`;
+
+/**
+ * JSON copy of a document or lean object.
+ * @param {Object|null} value
+ * @param {string[]} [omitPaths] - Top-level paths whose values are replaced
+ *   by a digest
+ */
+export function toAuditSnapshot(value, omitPaths = []) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const plain = typeof value.toObject === 'function' ? value.toObject() : value;
+  const snapshot = JSON.parse(JSON.stringify(plain));
+  omitPaths.forEach((path) => {
+    if (snapshot[path] !== undefined && snapshot[path] !== null) {
+      snapshot[path] = omittedValue(snapshot[path]);
+    }
+  });
+  return snapshot;
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * @param {Object|null} before - Snapshot from toAuditSnapshot
+ * @param {Object|null} after - Snapshot from toAuditSnapshot
+ * @returns {Array<{ path: string, before: *, after: * }>}
+ */
+export function diffSnapshots(before, after, prefix = '') {
+  const keys = new Set([
+    ...Object.keys(before ?? {}),
+    ...Object.keys(after ?? {}),
+  ]);
+  const changes = [];
+
+  for (const key of keys) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (!prefix && IGNORED_PATHS.has(key)) {
+      continue;
+    }
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+
+    if (isPlainObject(from) && isPlainObject(to)) {
+      changes.push(...diffSnapshots(from, to, path));
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path, before: from, after: to });
+    }
+  }
+
+  return changes;
+}
@@ -0,0 +1,7 @@
+import { auditLogService } from './integration.js';
+import { createAuditLogController } from './presentation/controllers/audit-log.controller.js';
+import { attachAuditContext } from './presentation/middleware/audit-context.middleware.js';
+
+const createAuditLogRouter = () => createAuditLogController(auditLogService);
+
+export { createAuditLogRouter, attachAuditContext };
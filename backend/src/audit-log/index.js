@@ -0,0 +1,3 @@
+import { createAuditLogRouter, attachAuditContext } from './bootstrap.js';
+
+export { createAuditLogRouter, attachAuditContext };
@@ -0,0 +1,183 @@
+// Mongoose plugin that records every write to a model in the audit log:
+// saves (create and update), update and delete queries, and insertMany.
+// The acting user is read from the audit context when the write starts, and
+// the record is loaded before and after the write to diff it. Failures to
+// record are logged and never fail the write itself.
+//
+// Not covered: bulkWrite and writes through the raw driver collection.
+// Its own reads opt into soft-deleted records (`withDeleted`) so moving a
+// record to the trash, restoring and purging it are all recorded.
+//
+// Options:
+//   omitValues - top-level paths stored as a digest instead of their value
+//                (e.g. rendered QR images)
+import { getAuditActor } from '../../application/context/audit-context.js';
+import { toAuditSnapshot } from '../../application/utils/audit-diff.util.js';
+import { AUDIT_ACTIONS } from '../schemas/audit-log.schema.js';
+
+const UPDATE_QUERIES = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+const DELETE_QUERIES = ['findOneAndDelete', 'deleteOne', 'deleteMany'];
+const MULTI_QUERIES = new Set(['updateMany', 'deleteMany']);
+const READ_OPTIONS = { withDeleted: true };
+
+export function createAuditTrailPlugin(auditLogService) {
+  // Query state between pre and post hooks
+  const pendingQueries = new WeakMap();
+
+  const record = async (changes) => {
+    try {
+      await auditLogService.recordChanges(changes);
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error('[audit-log] Failed to record change:', err.message);
+    }
+  };
+
+  async function loadTargets(query) {
+    const filter = query.getFilter();
+    if (MULTI_QUERIES.has(query.op)) {
+      return query.model.find(filter).setOptions(READ_OPTIONS).lean();
+    }
+    const sort = query.getOptions().sort;
+    const doc = await query.model
+      .findOne(filter)
+      .setOptions(READ_OPTIONS)
+      .sort(sort ?? {})
+      .lean();
+    return doc ? [doc] : [];
+  }
+
+  return function auditTrailPlugin(schema, { omitValues = [] } = {}) {
+    const snapshot = (value) => toAuditSnapshot(value, omitValues);
+
+    schema.pre('save', async function () {
+      this.$locals.audit = {
+        actor: getAuditActor(),
+        isNew: this.isNew,
+        before: this.isNew
+          ? null
+          : snapshot(
+              await this.constructor
+                .findById(this._id)
+                .setOptions(READ_OPTIONS)
+                .lean()
+            ),
+      };
+    });
+
+    schema.post('save', async function (doc) {
+      const { actor, isNew, before } = doc.$locals.audit ?? {};
+      delete doc.$locals.audit;
+      await record([
+        {
+          entityType: doc.constructor.modelName,
+          entityId: doc._id,
+          action: isNew ? AUDIT_ACTIONS.CREATE : AUDIT_ACTIONS.UPDATE,
+          before,
+          after: snapshot(doc),
+          actor: actor ?? getAuditActor(),
+        },
+      ]);
+    });
+
+    schema.pre([...UPDATE_QUERIES, ...DELETE_QUERIES], async function () {
+      pendingQueries.set(this, {
+        actor: getAuditActor(),
+        targets: (await loadTargets(this)).map(snapshot),
+      });
+    });
+
+    schema.post(UPDATE_QUERIES, async function (result) {
+      const state = pendingQueries.get(this);
+      pendingQueries.delete(this);
+      if (!state) {
+        return;
+      }
+      const entityType = this.model.modelName;
+
+      if (state.targets.length === 0) {
+        // Nothing matched: only an upsert can have written anything
+        const upsertedId =
+          result?.upsertedId ??
+          (this.op === 'findOneAndUpdate' ? result?._id : null);
+        if (!upsertedId) {
+          return;
+        }
+        const created = await this.model
+          .findById(upsertedId)
+          .setOptions(READ_OPTIONS)
+          .lean();
+        await record([
+          {
+            entityType,
+            entityId: upsertedId,
+            action: AUDIT_ACTIONS.CREATE,
+            before: null,
+            after: snapshot(created),
+            actor: state.actor,
+          },
+        ]);
+        return;
+      }
+
+      const afters = await this.model
+        .find({ _id: { $in: state.targets.map((target) => target._id) } })
+        .setOptions(READ_OPTIONS)
+        .lean();
+      const afterById = new Map(
+        afters.map((after) => [String(after._id), snapshot(after)])
+      );
+      await record(
+        state.targets.map((before) => ({
+          entityType,
+          entityId: before._id,
+          action: AUDIT_ACTIONS.UPDATE,
+          before,
+          after: afterById.get(String(before._id)) ?? null,
+          actor: state.actor,
+        }))
+      );
+    });
+
+    schema.post(DELETE_QUERIES, async function () {
+      const state = pendingQueries.get(this);
+      pendingQueries.delete(this);
+      if (!state || state.targets.length === 0) {
+        return;
+      }
+      const remaining = await this.model
+        .find({ _id: { $in: state.targets.map((target) => target._id) } })
+        .setOptions(READ_OPTIONS)
+        .select('_id')
+        .lean();
+      const remainingIds = new Set(remaining.map((doc) => String(doc._id)));
+
+      await record(
+        state.targets
+          .filter((before) => !remainingIds.has(String(before._id)))
+          .map((before) => ({
+            entityType: this.model.modelName,
+            entityId: before._id,
+            action: AUDIT_ACTIONS.DELETE,
+            before,
+            after: null,
+            actor: state.actor,
+          }))
+      );
+    });
+
+    schema.post('insertMany', async function (docs) {
+      const actor = getAuditActor();
+      await record(
+        docs.map((doc) => ({
+          entityType: this.modelName,
+          entityId: doc._id,
+          action: AUDIT_ACTIONS.CREATE,
+          before: null,
+          after: snapshot(doc),
+          actor,
+        }))
+      );
+    });
+  };
+}
@@ -0,0 +1,23 @@
+import { AuditLog } from '../schemas/audit-log.schema.js';
+
+export class AuditLogRepository {
+  async create(data) {
+    return AuditLog.create(data);
+  }
+
+  async createMany(docs) {
+    return AuditLog.insertMany(docs);
+  }
+
+  async findPage(filter = {}, { skip = 0, limit = 50 } = {}) {
+    const [items, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ occurredAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+    return { items, total };
+  }
+}
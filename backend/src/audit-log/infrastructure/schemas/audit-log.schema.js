@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+export const AUDIT_ACTIONS = Object.freeze({
+  CREATE: 'CREATE',
+  UPDATE: 'UPDATE',
+  DELETE: 'DELETE',
+});
+
+const auditChangeSchema = new mongoose.Schema(
+  {
+    path: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+// One document per audited write. Entries are append-only.
+const auditLogSchema = new mongoose.Schema({
+  entityType: { type: String, required: true },
+  entityId: { type: String, required: true },
+  action: {
+    type: String,
+    enum: Object.values(AUDIT_ACTIONS),
+    required: true,
+  },
+  source: { type: String, enum: ['API', 'JOB', 'SYSTEM'], required: true },
+  actorId: { type: String, default: null },
+  actorRole: { type: String, default: null },
+  requestMethod: { type: String },
+  requestPath: { type: String },
+  jobName: { type: String },
+  changes: { type: [auditChangeSchema], default: [] },
+  occurredAt: { type: Date, default: Date.now },
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, occurredAt: -1 });
+auditLogSchema.index({ actorId: 1, occurredAt: -1 });
+auditLogSchema.index({ occurredAt: -1 });
+
+export const AuditLog = mongoose.model('AuditLog', auditLogSchema);
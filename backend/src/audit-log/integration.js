@@ -0,0 +1,31 @@
+// Public surface of the audit-log module for other modules: the plugin
+// their schemas register, the actor context for non-request work (and
+// reading the current actor), and read access to a record's history.
+import { AuditLogRepository } from './infrastructure/repositories/audit-log.repository.js';
+import { AuditLogService } from './application/services/audit-log.service.js';
+import { createAuditTrailPlugin } from './infrastructure/plugins/audit-trail.plugin.js';
+import {
+  AUDIT_SOURCES,
+  getAuditActor,
+  runWithAuditActor,
+} from './application/context/audit-context.js';
+
+export const auditLogService = new AuditLogService({
+  auditLogRepository: new AuditLogRepository(),
+});
+
+/** Register on a schema before compiling its model. */
+export const auditTrailPlugin = createAuditTrailPlugin(auditLogService);
+
+export const auditLogIntegrationService = {
+  /**
+   * @param {string} entityType - Mongoose model name, e.g. 'Student'
+   * @param {string} entityId
+   * @param {{ limit?: number }} [options]
+   */
+  listEntityActivity(entityType, entityId, options) {
+    return auditLogService.listEntityActivity(entityType, entityId, options);
+  },
+};
+
+export { AUDIT_SOURCES, getAuditActor, runWithAuditActor };
@@ -0,0 +1,45 @@
+import express from 'express';
+import { AUDIT_ACTIONS } from '../../infrastructure/schemas/audit-log.schema.js';
+
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+export const createAuditLogController = (auditLogService) => {
+  const router = express.Router();
+
+  // Query: GET /api/admin/audit-logs?entityType=&entityId=&actorId=&action=&dateFrom=&dateTo=&page=&limit=
+  router.get('/', async (req, res, next) => {
+    try {
+      const { action, dateFrom, dateTo, page, limit } = req.query;
+      const actions = Object.values(AUDIT_ACTIONS);
+
+      if (action && !actions.includes(String(action).toUpperCase())) {
+        return res
+          .status(400)
+          .json({ message: `action must be one of: ${actions.join(', ')}` });
+      }
+      if (
+        (dateFrom && !isValidDate(dateFrom)) ||
+        (dateTo && !isValidDate(dateTo))
+      ) {
+        return res
+          .status(400)
+          .json({ message: 'dateFrom and dateTo must be valid dates' });
+      }
+      if ((page && !(Number(page) >= 1)) || (limit && !(Number(limit) >= 1))) {
+        return res
+          .status(400)
+          .json({ message: 'page and limit must be positive numbers' });
+      }
+
+      const result = await auditLogService.listEntries({
+        ...req.query,
+        action: action ? String(action).toUpperCase() : undefined,
+      });
+      return res.status(200).json(result);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
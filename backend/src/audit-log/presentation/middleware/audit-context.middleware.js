@@ -0,0 +1,22 @@
+import {
+  AUDIT_SOURCES,
+  runWithAuditActor,
+} from '../../application/context/audit-context.js';
+
+/**
+ * Makes the signed-in user the author of every audited write made while
+ * handling the request. Must be used AFTER `attachUser`.
+ *
+ * @type {import('express').RequestHandler}
+ */
+export const attachAuditContext = (req, res, next) =>
+  runWithAuditActor(
+    {
+      source: AUDIT_SOURCES.API,
+      actorId: req.user?._id?.toString() ?? null,
+      actorRole: req.user?.role ?? null,
+      requestMethod: req.method,
+      requestPath: req.originalUrl.split('?')[0],
+    },
+    next
+  );
@@ -42,6 +42,72 @@ export const INVENTORY_EXPIRY_STATUS = {
   TOTALLY_EXPIRED: 'TOTALLY_EXPIRED',
 };
 
+/**
+ * Inventory reservation lifecycle values.
+ * UNFILLED records planned demand that no stock could be held for.
+ */
+export const INVENTORY_RESERVATION_STATUS = {
+  RESERVED: 'RESERVED',
+  UNFILLED: 'UNFILLED',
+  CONSUMED: 'CONSUMED',
+  RELEASED: 'RELEASED',
+};
+
+/**
+ * Why a stock movement changed batch quantities
+ */
+export const INVENTORY_MOVEMENT_TYPES = {
+  RECEIPT: 'RECEIPT',
+  CONSUMPTION: 'CONSUMPTION',
+  ADJUSTMENT: 'ADJUSTMENT',
+  WASTAGE: 'WASTAGE',
+  EXPIRY_WRITE_OFF: 'EXPIRY_WRITE_OFF',
+  TRANSFER: 'TRANSFER',
+  // Stock a batch already held when the ledger was introduced
+  OPENING_BALANCE: 'OPENING_BALANCE',
+};
+
+/**
+ * Movement types a user may give when decrementing stock by hand
+ */
+export const MANUAL_DECREMENT_MOVEMENT_TYPES = [
+  INVENTORY_MOVEMENT_TYPES.ADJUSTMENT,
+  INVENTORY_MOVEMENT_TYPES.CONSUMPTION,
+  INVENTORY_MOVEMENT_TYPES.WASTAGE,
+];
+
+/**
+ * What caused a stock movement
+ */
+export const INVENTORY_MOVEMENT_SOURCES = {
+  MANUAL: 'MANUAL',
+  MEAL_PLAN: 'MEAL_PLAN',
+  MEAL_SESSION: 'MEAL_SESSION',
+  PURCHASE_ORDER: 'PURCHASE_ORDER',
+  STOCK_TRANSFER: 'STOCK_TRANSFER',
+  STOCK_TAKE: 'STOCK_TAKE',
+  BACKFILL: 'BACKFILL',
+};
+
+/**
+ * Purchase order lifecycle values
+ */
+export const PURCHASE_ORDER_STATUS = {
+  DRAFT: 'DRAFT',
+  SENT: 'SENT',
+  PARTIALLY_RECEIVED: 'PARTIALLY_RECEIVED',
+  RECEIVED: 'RECEIVED',
+  CANCELLED: 'CANCELLED',
+};
+
+/**
+ * How a purchase order line's delivered quantity differs from the order
+ */
+export const PURCHASE_ORDER_DISCREPANCY = {
+  SHORT: 'SHORT',
+  OVER: 'OVER',
+};
+
 /**
  * Default units of measurement exported
  */
@@ -60,3 +126,48 @@ export const MEASUREMENT_UNITS = [
  * Default reorder level
  */
 export const DEFAULT_REORDER_LEVEL = 10;
+
+/**
+ * Kinds of place stock is kept
+ */
+export const STORAGE_LOCATION_TYPES = {
+  SCHOOL: 'SCHOOL',
+  CENTRAL_KITCHEN: 'CENTRAL_KITCHEN',
+  WAREHOUSE: 'WAREHOUSE',
+  OTHER: 'OTHER',
+};
+
+/**
+ * Stock transfer lifecycle values
+ */
+export const STOCK_TRANSFER_STATUS = {
+  IN_TRANSIT: 'IN_TRANSIT',
+  // Claimed by a receive or cancel that is placing the stock
+  RECEIVING: 'RECEIVING',
+  CANCELLING: 'CANCELLING',
+  RECEIVED: 'RECEIVED',
+  CANCELLED: 'CANCELLED',
+};
+
+/**
+ * Stock-take lifecycle values: counts are recorded while IN_PROGRESS, frozen
+ * for review once SUBMITTED, and applied to stock when POSTED
+ */
+export const STOCK_TAKE_STATUS = {
+  IN_PROGRESS: 'IN_PROGRESS',
+  SUBMITTED: 'SUBMITTED',
+  // Claimed by the request that is applying the variances
+  POSTING: 'POSTING',
+  POSTED: 'POSTED',
+  CANCELLED: 'CANCELLED',
+};
+
+/**
+ * Reorder suggestion windows, in days: how far ahead demand is projected and
+ * how much ledger history the average daily consumption is taken from
+ */
+export const REORDER_SUGGESTION_DEFAULTS = {
+  HORIZON_DAYS: 14,
+  LOOKBACK_DAYS: 28,
+  MAX_DAYS: 365,
+};
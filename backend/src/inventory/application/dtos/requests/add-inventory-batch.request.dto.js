@@ -4,6 +4,7 @@ const BATCH_KEYS = [
   'supplier',
   'unitPrice',
   'location',
+  'locationId',
   'batchNote',
 ];
 
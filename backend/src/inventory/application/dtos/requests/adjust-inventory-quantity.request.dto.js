@@ -14,6 +14,10 @@ export class AdjustInventoryQuantityRequestDTO {
 
     return {
       amount: this.payload.amount,
+      ...(this.payload.type !== undefined ? { type: this.payload.type } : {}),
+      ...(this.payload.reason !== undefined
+        ? { reason: this.payload.reason }
+        : {}),
     };
   }
 }
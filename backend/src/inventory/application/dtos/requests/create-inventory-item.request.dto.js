@@ -30,6 +30,7 @@ const INITIAL_BATCH_KEYS = [
   'supplier',
   'unitPrice',
   'location',
+  'locationId',
   'batchNote',
 ];
 
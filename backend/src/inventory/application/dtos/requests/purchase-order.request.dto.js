@@ -0,0 +1,52 @@
+function toPlainObject(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return {};
+  }
+
+  return { ...input };
+}
+
+function toOrderLine(line) {
+  const source = toPlainObject(line);
+  const orderLine = {
+    itemId: source.itemId,
+    quantity: source.quantity,
+  };
+
+  if (source.unitPrice !== undefined) {
+    orderLine.unitPrice = source.unitPrice;
+  }
+
+  return orderLine;
+}
+
+export class PurchaseOrderRequestDTO {
+  constructor(payload = {}) {
+    this.payload = payload;
+  }
+
+  toObject() {
+    const source = toPlainObject(this.payload);
+    const order = {};
+
+    if (source.supplierId !== undefined) {
+      order.supplierId = source.supplierId;
+    }
+
+    if (source.lines !== undefined) {
+      order.lines = source.lines.map(toOrderLine);
+    }
+
+    if (source.expectedDeliveryDate !== undefined) {
+      order.expectedDeliveryDate = source.expectedDeliveryDate
+        ? new Date(source.expectedDeliveryDate)
+        : null;
+    }
+
+    if (source.notes !== undefined) {
+      order.notes = source.notes;
+    }
+
+    return order;
+  }
+}
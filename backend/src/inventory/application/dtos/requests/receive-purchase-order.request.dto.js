@@ -0,0 +1,47 @@
+const RECEIVED_LINE_KEYS = [
+  'lineId',
+  'quantity',
+  'expiryDate',
+  'unitPrice',
+  'location',
+  'locationId',
+  'batchNote',
+];
+
+function toPlainObject(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return {};
+  }
+
+  return { ...input };
+}
+
+function pickKeys(source, keys) {
+  const normalizedSource = toPlainObject(source);
+
+  return keys.reduce((result, key) => {
+    if (normalizedSource[key] !== undefined) {
+      result[key] = normalizedSource[key];
+    }
+
+    return result;
+  }, {});
+}
+
+export class ReceivePurchaseOrderRequestDTO {
+  constructor(payload = {}) {
+    this.payload = payload;
+  }
+
+  toObject() {
+    const source = toPlainObject(this.payload);
+
+    return {
+      lines: (source.lines || []).map((line) =>
+        pickKeys(line, RECEIVED_LINE_KEYS)
+      ),
+      note: source.note ?? '',
+      final: source.final === true,
+    };
+  }
+}
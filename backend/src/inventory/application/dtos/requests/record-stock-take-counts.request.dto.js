@@ -0,0 +1,33 @@
+const COUNT_KEYS = ['lineId', 'countedQuantity', 'note'];
+
+function toPlainObject(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return {};
+  }
+
+  return { ...input };
+}
+
+function pickKeys(source, keys) {
+  const normalizedSource = toPlainObject(source);
+
+  return keys.reduce((result, key) => {
+    if (normalizedSource[key] !== undefined) {
+      result[key] = normalizedSource[key];
+    }
+
+    return result;
+  }, {});
+}
+
+export class RecordStockTakeCountsRequestDTO {
+  constructor(payload = {}) {
+    this.payload = payload;
+  }
+
+  toObject() {
+    const source = toPlainObject(this.payload);
+
+    return (source.counts || []).map((count) => pickKeys(count, COUNT_KEYS));
+  }
+}
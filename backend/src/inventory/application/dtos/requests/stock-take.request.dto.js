@@ -0,0 +1,27 @@
+function toPlainObject(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return {};
+  }
+
+  return { ...input };
+}
+
+export class StockTakeRequestDTO {
+  constructor(payload = {}) {
+    this.payload = payload;
+  }
+
+  toObject() {
+    const source = toPlainObject(this.payload);
+    const stockTake = {
+      locationId: source.locationId ?? null,
+      category: source.category ?? null,
+    };
+
+    if (typeof source.notes === 'string') {
+      stockTake.notes = source.notes.trim();
+    }
+
+    return stockTake;
+  }
+}
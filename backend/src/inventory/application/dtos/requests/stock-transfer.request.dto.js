@@ -0,0 +1,29 @@
+function toPlainObject(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return {};
+  }
+
+  return { ...input };
+}
+
+export class StockTransferRequestDTO {
+  constructor(payload = {}) {
+    this.payload = payload;
+  }
+
+  toObject() {
+    const source = toPlainObject(this.payload);
+    const transfer = {
+      itemId: source.itemId,
+      fromLocationId: source.fromLocationId,
+      toLocationId: source.toLocationId,
+      quantity: source.quantity,
+    };
+
+    if (typeof source.notes === 'string') {
+      transfer.notes = source.notes.trim();
+    }
+
+    return transfer;
+  }
+}
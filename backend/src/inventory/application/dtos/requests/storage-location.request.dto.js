@@ -0,0 +1,35 @@
+const STORAGE_LOCATION_KEYS = [
+  'name',
+  'type',
+  'schoolId',
+  'address',
+  'notes',
+  'active',
+];
+
+function toPlainObject(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return {};
+  }
+
+  return { ...input };
+}
+
+export class StorageLocationRequestDTO {
+  constructor(payload = {}) {
+    this.payload = payload;
+  }
+
+  toObject() {
+    const source = toPlainObject(this.payload);
+
+    return STORAGE_LOCATION_KEYS.reduce((result, key) => {
+      if (source[key] !== undefined) {
+        result[key] =
+          typeof source[key] === 'string' ? source[key].trim() : source[key];
+      }
+
+      return result;
+    }, {});
+  }
+}
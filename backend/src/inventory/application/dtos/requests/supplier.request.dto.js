@@ -0,0 +1,37 @@
+const SUPPLIER_KEYS = [
+  'name',
+  'contactName',
+  'email',
+  'phone',
+  'address',
+  'leadTimeDays',
+  'notes',
+  'active',
+];
+
+function toPlainObject(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return {};
+  }
+
+  return { ...input };
+}
+
+export class SupplierRequestDTO {
+  constructor(payload = {}) {
+    this.payload = payload;
+  }
+
+  toObject() {
+    const source = toPlainObject(this.payload);
+
+    return SUPPLIER_KEYS.reduce((result, key) => {
+      if (source[key] !== undefined) {
+        result[key] =
+          typeof source[key] === 'string' ? source[key].trim() : source[key];
+      }
+
+      return result;
+    }, {});
+  }
+}
@@ -0,0 +1,76 @@
+import {
+  getUsableQuantity,
+  isBatchExpired,
+} from '../../utils/inventory-status.util.js';
+
+/**
+ * Usable stock per storage location, plus stock in transit to each location.
+ * Batches without a location are grouped under `locationId: null`.
+ * @param {Array<Object>} batches - Item batches
+ * @param {Array<{ locationId: string, locationName: string, quantity: number }>} inTransit
+ * @returns {Array<{ locationId: string|null, locationName: string, onHandQuantity: number, inTransitQuantity: number }>}
+ */
+function getLocationBreakdown(batches = [], inTransit = []) {
+  const byLocation = new Map();
+  const entryFor = (locationId, locationName) => {
+    if (!byLocation.has(locationId)) {
+      byLocation.set(locationId, {
+        locationId,
+        locationName,
+        onHandQuantity: 0,
+        inTransitQuantity: 0,
+      });
+    }
+    return byLocation.get(locationId);
+  };
+  const now = new Date();
+
+  for (const batch of batches) {
+    if (!(batch?.quantity > 0) || isBatchExpired(batch, now)) {
+      continue;
+    }
+    const locationId = batch.locationId ? batch.locationId.toString() : null;
+    entryFor(locationId, batch.location || '').onHandQuantity += batch.quantity;
+  }
+
+  for (const { locationId, locationName, quantity } of inTransit) {
+    entryFor(locationId, locationName || '').inTransitQuantity += quantity;
+  }
+
+  return [...byLocation.values()];
+}
+
+/**
+ * Data Transfer Object for inventory items with their stock breakdown.
+ * Keeps every stored item field and adds:
+ * - onHandQuantity: stock in batches that have not expired
+ * - reservedQuantity: stock held for confirmed meal plans
+ * - availableQuantity: on hand minus reserved, never below zero
+ * - inTransitQuantity: stock dispatched between locations, not yet received
+ * - locations: on-hand and incoming stock per storage location
+ */
+export class InventoryItemResponseDTO {
+  /**
+   * @param {Object} item - Inventory item document or plain object
+   * @param {number} [reservedQuantity=0] - Active reservations for the item
+   * @param {Array<Object>} [inTransit=[]] - In-transit quantities per destination
+   */
+  constructor(item, reservedQuantity = 0, inTransit = []) {
+    Object.assign(
+      this,
+      typeof item?.toObject === 'function' ? item.toObject() : item
+    );
+
+    this.onHandQuantity = getUsableQuantity(item);
+    this.reservedQuantity = reservedQuantity;
+    this.availableQuantity = Math.max(
+      0,
+      this.onHandQuantity - this.reservedQuantity
+    );
+    this.inTransitQuantity = inTransit.reduce(
+      (sum, entry) => sum + entry.quantity,
+      0
+    );
+    this.locations = getLocationBreakdown(item?.batches, inTransit);
+  }
+}
@@ -0,0 +1,22 @@
+/**
+ * Data Transfer Object for a stock movement ledger entry
+ */
+export class InventoryMovementResponseDTO {
+  /**
+   * @param {Object} movement - Movement document or plain object
+   */
+  constructor(movement) {
+    this.id = movement._id?.toString?.() ?? null;
+    this.itemId = movement.itemId?.toString?.() ?? null;
+    this.batchId = movement.batchId?.toString?.() ?? null;
+    this.type = movement.type;
+    this.quantity = movement.quantity;
+    this.reason = movement.reason ?? '';
+    this.source = movement.source;
+    this.sourceRef = movement.sourceRef ?? '';
+    this.actorId = movement.actorId ?? null;
+    this.actorRole = movement.actorRole ?? null;
+    this.actorSource = movement.actorSource ?? null;
+    this.createdAt = movement.createdAt ?? null;
+  }
+}
@@ -0,0 +1,41 @@
+import { PURCHASE_ORDER_STATUS } from '../../constants/inventory-constants.js';
+import { roundQuantity } from '../../utils/quantity.util.js';
+
+const CLOSED_STATUSES = new Set([
+  PURCHASE_ORDER_STATUS.RECEIVED,
+  PURCHASE_ORDER_STATUS.CANCELLED,
+]);
+
+/**
+ * Data Transfer Object for purchase orders.
+ * Keeps every stored order field and adds per line:
+ * - outstandingQuantity: still expected from the supplier (0 once the order is closed)
+ * - varianceQuantity: received minus ordered (negative when short)
+ * - lineTotal: ordered quantity at the line's unit price
+ * and `orderTotal`, the sum of the line totals.
+ */
+export class PurchaseOrderResponseDTO {
+  /**
+   * @param {Object} order - Purchase order document or plain object
+   */
+  constructor(order) {
+    Object.assign(
+      this,
+      typeof order?.toObject === 'function' ? order.toObject() : order
+    );
+
+    const closed = CLOSED_STATUSES.has(this.status);
+
+    this.lines = (this.lines || []).map((line) => ({
+      ...line,
+      outstandingQuantity: closed
+        ? 0
+        : roundQuantity(Math.max(0, line.quantity - line.receivedQuantity)),
+      varianceQuantity: roundQuantity(line.receivedQuantity - line.quantity),
+      lineTotal: roundQuantity(line.quantity * (line.unitPrice || 0)),
+    }));
+    this.orderTotal = roundQuantity(
+      this.lines.reduce((sum, line) => sum + line.lineTotal, 0)
+    );
+  }
+}
@@ -0,0 +1,66 @@
+import { roundQuantity } from '../../utils/quantity.util.js';
+
+/**
+ * Data Transfer Object for stock-takes.
+ * Keeps every stored stock-take field and adds per line:
+ * - varianceQuantity: counted minus system quantity (null until counted)
+ * - varianceValue: the variance at the batch's unit price
+ * and a `summary` of counted lines and the value gained and lost.
+ */
+export class StockTakeResponseDTO {
+  /**
+   * @param {Object} stockTake - Stock-take document or plain object
+   */
+  constructor(stockTake) {
+    Object.assign(
+      this,
+      typeof stockTake?.toObject === 'function'
+        ? stockTake.toObject()
+        : stockTake
+    );
+
+    this.lines = (this.lines || []).map((line) => {
+      const counted =
+        line.countedQuantity !== null && line.countedQuantity !== undefined;
+      const varianceQuantity = counted
+        ? roundQuantity(line.countedQuantity - line.systemQuantity)
+        : null;
+
+      return {
+        ...line,
+        varianceQuantity,
+        varianceValue: counted
+          ? roundQuantity(varianceQuantity * (line.unitPrice || 0))
+          : null,
+      };
+    });
+
+    const countedLines = this.lines.filter(
+      (line) => line.varianceQuantity !== null
+    );
+    const varianceLines = countedLines.filter(
+      (line) => line.varianceQuantity !== 0
+    );
+
+    this.summary = {
+      totalLines: this.lines.length,
+      countedLines: countedLines.length,
+      varianceLines: varianceLines.length,
+      gainValue: roundQuantity(
+        varianceLines.reduce(
+          (sum, line) => sum + Math.max(0, line.varianceValue),
+          0
+        )
+      ),
+      lossValue: roundQuantity(
+        varianceLines.reduce(
+          (sum, line) => sum + Math.max(0, -line.varianceValue),
+          0
+        )
+      ),
+      netVarianceValue: roundQuantity(
+        varianceLines.reduce((sum, line) => sum + line.varianceValue, 0)
+      ),
+    };
+  }
+}
@@ -1,4 +1,10 @@
 import { InventoryItemService } from './inventory-item.service.js';
+import { InventoryReservationService } from './inventory-reservation.service.js';
+import { getUsableQuantity } from '../utils/inventory-status.util.js';
+import {
+  INVENTORY_MOVEMENT_SOURCES,
+  INVENTORY_MOVEMENT_TYPES,
+} from '../constants/inventory-constants.js';
 
 /**
  * Internal integration surface for other backend modules (e.g., meal planning).
@@ -7,6 +13,7 @@ import { InventoryItemService } from './inventory-item.service.js';
 export class InventoryIntegrationService {
   constructor() {
     this.inventoryItemService = new InventoryItemService();
+    this.inventoryReservationService = new InventoryReservationService();
   }
 
   /**
@@ -30,35 +37,131 @@ export class InventoryIntegrationService {
     return this.inventoryItemService.listInventoryItems(filters);
   }
 
+  /**
+   * Stock snapshot for meal plan sufficiency checks.
+   * availableQuantity counts only batches that have not expired, minus stock
+   * reserved for other meal plans, in the item's own unit.
+   * @param {{ excludeMealPlanId?: string }} [options] - Plan whose own reservations still count as available
+   * @returns {Promise<Array<{ id: string, name: string, unit: string, packageWeight: number, packageWeightUnit: string, availableQuantity: number }>>}
+   */
+  async listStockForMealPlanning(options = {}) {
+    const items = await this.inventoryItemService.listInventoryItems();
+    const reservedByItem =
+      await this.inventoryReservationService.getReservedQuantities(
+        items.map((item) => item._id),
+        { excludeMealPlanId: options.excludeMealPlanId }
+      );
+    const now = new Date();
+
+    return items.map((item) => {
+      const id = item._id?.toString?.() || item.id;
+
+      return {
+        id,
+        name: item.name,
+        unit: item.unit,
+        packageWeight: item.packageWeight || 0,
+        packageWeightUnit: item.packageWeightUnit || '',
+        availableQuantity: Math.max(
+          0,
+          getUsableQuantity(item, now) - (reservedByItem.get(id) || 0)
+        ),
+      };
+    });
+  }
+
+  /**
+   * Hold stock against FIFO batches for a confirmed meal plan.
+   * Replaces any earlier reservations of the same plan.
+   * @param {{ mealPlanId: string, lines: Array<{ itemId: string, quantity: number, day: string, mealType: string, mealDate?: Date, ingredientName?: string }> }} payload
+   * @returns {Promise<{ reserved: number, shortfalls: Array<Object> }>}
+   */
+  async reserveStockForMealPlan(payload) {
+    return this.inventoryReservationService.reserveForMealPlan(payload);
+  }
+
+  /**
+   * Convert a plan meal's reservations into stock decrements once its meal session completes.
+   * share (default 1) is the part of each reservation a grade session consumes.
+   * @param {{ mealPlanId: string, day: string, mealType: string, share?: number }} payload
+   * @returns {Promise<{ consumed: number, items: number }>}
+   */
+  async consumeMealPlanReservations(payload) {
+    return this.inventoryReservationService.consumeForMealPlanMeal(payload);
+  }
+
+  /**
+   * Release every active reservation of a meal plan (plan edited or deleted).
+   * @param {string} mealPlanId
+   * @param {string} reason
+   * @returns {Promise<{ released: number }>}
+   */
+  async releaseMealPlanReservations(mealPlanId, reason) {
+    return this.inventoryReservationService.releaseForMealPlan(
+      mealPlanId,
+      reason
+    );
+  }
+
   /**
    * Decrease stock for meal planning allocations/consumption.
-   * @param {{ itemId: string, amount: number }} payload
+   * @param {{ itemId: string, amount: number, mealPlanId?: string }} payload
    * @returns {Promise<Object>} Updated inventory item
    */
   async allocateForMealPlanning(payload) {
-    const { itemId, amount } = payload || {};
+    const { itemId, amount, mealPlanId } = payload || {};
 
     return this.inventoryItemService.decrementInventoryItem(itemId, {
       amount,
+      type: INVENTORY_MOVEMENT_TYPES.CONSUMPTION,
+      source: INVENTORY_MOVEMENT_SOURCES.MEAL_PLAN,
+      sourceRef: mealPlanId ? String(mealPlanId) : '',
     });
   }
 
   /**
    * Increase stock for meal planning releases/rollbacks.
-   * @param {{ itemId: string, amount: number }} payload
+   * @param {{ itemId: string, amount: number, mealPlanId?: string }} payload
    * @returns {Promise<Object>} Updated inventory item
    */
   async releaseForMealPlanning(payload) {
-    const { itemId, amount } = payload || {};
-
-    return this.inventoryItemService.addBatch(itemId, {
-      quantity: amount,
-      expiryDate: null,
-      supplier: '',
-      unitPrice: 0,
-      location: '',
-      batchNote: 'Released from meal plan',
-    });
+    const { itemId, amount, mealPlanId } = payload || {};
+
+    return this.inventoryItemService.addBatch(
+      itemId,
+      {
+        quantity: amount,
+        expiryDate: null,
+        supplier: '',
+        unitPrice: 0,
+        location: '',
+        batchNote: 'Released from meal plan',
+      },
+      {
+        type: INVENTORY_MOVEMENT_TYPES.ADJUSTMENT,
+        reason: 'Released from meal plan',
+        source: INVENTORY_MOVEMENT_SOURCES.MEAL_PLAN,
+        sourceRef: mealPlanId ? String(mealPlanId) : '',
+      }
+    );
+  }
+
+  /**
+   * Flag batches that have expired since items were last written.
+   * Used by the nightly scheduled job.
+   * @returns {Promise<{scanned: number, updated: number}>}
+   */
+  async recomputeExpiryStatuses() {
+    return this.inventoryItemService.recomputeExpiryStatuses();
+  }
+
+  /**
+   * Record opening balances for stock held before the movement ledger.
+   * Used by the manual backfill job.
+   * @returns {Promise<{ ledgerStartedAt: Date|null, items: number, recorded: number, quantity: number }>}
+   */
+  async backfillOpeningBalances() {
+    return this.inventoryItemService.backfillOpeningBalances();
   }
 }
 
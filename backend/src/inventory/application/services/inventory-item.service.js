@@ -1,5 +1,18 @@
 import { InventoryItemRepository } from '../../infrastructure/repositories/inventory-item.repository.js';
-import { INVENTORY_STATUS } from '../constants/inventory-constants.js';
+import { InventoryReservationRepository } from '../../infrastructure/repositories/inventory-reservation.repository.js';
+import { StockTransferRepository } from '../../infrastructure/repositories/stock-transfer.repository.js';
+import { InventoryItemResponseDTO } from '../dtos/responses/inventory-item-response.dto.js';
+import {
+  INVENTORY_MOVEMENT_TYPES,
+  INVENTORY_STATUS,
+} from '../constants/inventory-constants.js';
+import { InventoryMovementService } from './inventory-movement.service.js';
+import { StorageLocationService } from './storage-location.service.js';
+import {
+  isBatchExpired,
+  syncQuantityAndStatus,
+} from '../utils/inventory-status.util.js';
+import { auditLogIntegrationService } from '../../../audit-log/integration.js';
 
 function escapeRegExp(value = '') {
   return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -59,6 +72,52 @@ function toExistingItemSummary(item) {
 export class InventoryItemService {
   constructor() {
     this.inventoryItemRepository = new InventoryItemRepository();
+    this.inventoryReservationRepository = new InventoryReservationRepository();
+    this.inventoryMovementService = new InventoryMovementService();
+    this.stockTransferRepository = new StockTransferRepository();
+    this.storageLocationService = new StorageLocationService();
+    this.auditLogService = auditLogIntegrationService;
+  }
+
+  /**
+   * Shape items for API responses with on-hand, reserved, available and
+   * in-transit quantities, and stock per storage location
+   * @param {Array<Object>} items - Inventory items
+   * @returns {Promise<Array<InventoryItemResponseDTO>>}
+   */
+  async withStockBreakdown(items) {
+    if (!items.length) {
+      return [];
+    }
+
+    const itemIds = items.map((item) => item._id);
+    const [reservedByItem, inTransitByItem] = await Promise.all([
+      this.inventoryReservationRepository.sumReservedByItem(itemIds),
+      this.stockTransferRepository.sumInTransitByItem(itemIds),
+    ]);
+
+    return items.map(
+      (item) =>
+        new InventoryItemResponseDTO(
+          item,
+          reservedByItem.get(item._id.toString()) || 0,
+          inTransitByItem.get(item._id.toString()) || []
+        )
+    );
+  }
+
+  /**
+   * Single-item variant of withStockBreakdown
+   * @param {Object|null} item - Inventory item
+   * @returns {Promise<InventoryItemResponseDTO|null>}
+   */
+  async withStockBreakdownOne(item) {
+    if (!item) {
+      return item;
+    }
+
+    const [response] = await this.withStockBreakdown([item]);
+    return response;
   }
 
   _createBadRequestError(message) {
@@ -67,6 +126,24 @@ export class InventoryItemService {
     return error;
   }
 
+  /**
+   * Check a batch's storage location and copy its name onto the batch
+   * @param {Object} batchData - Batch payload
+   * @returns {Promise<Object>} Batch payload with `location` set from `locationId`
+   * @throws {Error} 400 if the location is unknown or inactive
+   */
+  async _withLocation(batchData) {
+    if (!batchData?.locationId) {
+      return batchData;
+    }
+
+    const location = await this.storageLocationService.getActiveLocation(
+      batchData.locationId
+    );
+
+    return { ...batchData, locationId: location._id, location: location.name };
+  }
+
   /**
    * Create a new inventory item
    * @param {Object} itemData - Item-level data for the new inventory item
@@ -93,9 +170,14 @@ export class InventoryItemService {
 
     const item = await this.inventoryItemRepository.create(
       itemData,
-      initialBatch
+      await this._withLocation(initialBatch)
     );
 
+    await this.inventoryMovementService.recordBatchChanges(null, item, {
+      type: INVENTORY_MOVEMENT_TYPES.RECEIPT,
+      reason: 'Initial batch',
+    });
+
     return item;
   }
 
@@ -115,14 +197,35 @@ export class InventoryItemService {
     return item;
   }
 
+  /**
+   * Recent changes to an inventory item and its batches, newest first
+   * @param {string} itemId - Item ID
+   * @param {number} [limit] - Maximum number of entries
+   * @returns {Promise<Array<Object>>} Audit log entries
+   * @throws {Error} If item not found
+   */
+  async getInventoryItemActivity(itemId, limit) {
+    await this.getInventoryItemById(itemId);
+
+    return this.auditLogService.listEntityActivity('InventoryItem', itemId, {
+      limit,
+    });
+  }
+
   /**
    * List all inventory items with optional filters if needed
-   * @param {Object} filters - Optional filters (category, status, etc.)
+   * @param {Object} filters - Optional filters (category, status, search, locationId)
    * @returns {Promise<Array>} Array of inventory items
    */
   async listInventoryItems(filters = {}) {
     const queryFilter = {};
 
+    if (filters.locationId) {
+      queryFilter.batches = {
+        $elemMatch: { locationId: filters.locationId, quantity: { $gt: 0 } },
+      };
+    }
+
     if (filters.category) {
       queryFilter.category = filters.category;
     }
@@ -266,7 +369,52 @@ export class InventoryItemService {
   }
 
   /**
-   * Delete an inventory item
+   * Movements of an inventory item, newest first, with a reconciliation of
+   * the ledger against the item's batch stock
+   * @param {string} itemId - Item ID
+   * @param {{ type?: string, dateFrom?: string, dateTo?: string, limit?: number }} [filters]
+   * @returns {Promise<{ movements: Array<Object>, reconciliation: Object }>}
+   * @throws {Error} If item not found
+   */
+  async getInventoryItemMovements(itemId, filters = {}) {
+    const item = await this.getInventoryItemById(itemId);
+
+    const [movements, reconciliation] = await Promise.all([
+      this.inventoryMovementService.listItemMovements(item._id, filters),
+      this.inventoryMovementService.reconcileItem(item),
+    ]);
+
+    return { movements, reconciliation };
+  }
+
+  /**
+   * Reconcile the movement ledger with batch stock for every item
+   * @param {{ unbalancedOnly?: boolean }} [options]
+   * @returns {Promise<Array<Object>>} One reconciliation per item
+   */
+  async reconcileInventory({ unbalancedOnly = false } = {}) {
+    const items = await this.inventoryItemRepository.findMany();
+    const reconciliations =
+      await this.inventoryMovementService.reconcileItems(items);
+
+    return unbalancedOnly
+      ? reconciliations.filter((reconciliation) => !reconciliation.balanced)
+      : reconciliations;
+  }
+
+  /**
+   * Record opening balances for stock held before the movement ledger
+   * @returns {Promise<Object>} Backfill summary
+   */
+  async backfillOpeningBalances() {
+    const items = await this.inventoryItemRepository.findMany();
+
+    return this.inventoryMovementService.backfillOpeningBalances(items);
+  }
+
+  /**
+   * Delete an inventory item. Stock left in its batches is recorded as an
+   * adjustment so the ledger nets to zero.
    * @param {string} itemId - Item ID
    * @returns {Promise<Object>} Deleted inventory item
    * @throws {Error} If item not found
@@ -278,7 +426,19 @@ export class InventoryItemService {
       throw new Error(`Inventory item with ID ${itemId} not found`);
     }
 
-    return this.inventoryItemRepository.deleteById(itemId);
+    await this.inventoryReservationRepository.releaseMany(
+      { itemId: item._id },
+      'Inventory item deleted'
+    );
+
+    const deletedItem = await this.inventoryItemRepository.deleteById(itemId);
+
+    await this.inventoryMovementService.recordBatchChanges(item, null, {
+      type: INVENTORY_MOVEMENT_TYPES.ADJUSTMENT,
+      reason: 'Inventory item deleted',
+    });
+
+    return deletedItem;
   }
 
   /**
@@ -299,10 +459,15 @@ export class InventoryItemService {
   }
 
   /**
-   * Get inventory statistics
+   * Get inventory statistics, for all stock or for one storage location
+   * @param {{ locationId?: string }} [filters]
    * @returns {Promise<Object>} Inventory statistics
    */
-  async getInventoryStats() {
+  async getInventoryStats(filters = {}) {
+    if (filters.locationId) {
+      return this._getLocationStats(filters.locationId);
+    }
+
     const [total, active, lowStock, outOfStock, expired] = await Promise.all([
       this.inventoryItemRepository.count(),
       this.inventoryItemRepository.count({ status: INVENTORY_STATUS.ACTIVE }),
@@ -324,13 +489,60 @@ export class InventoryItemService {
     };
   }
 
+  /**
+   * Inventory statistics for the stock kept at one location. Each item's
+   * status is derived from its batches at that location only.
+   * @param {string} locationId - Storage location ID
+   * @returns {Promise<Object>} Inventory statistics
+   */
+  async _getLocationStats(locationId) {
+    const items = await this.listInventoryItems({ locationId });
+    const stats = {
+      total: items.length,
+      active: 0,
+      lowStock: 0,
+      outOfStock: 0,
+      expired: 0,
+    };
+    const countKeys = {
+      [INVENTORY_STATUS.ACTIVE]: 'active',
+      [INVENTORY_STATUS.LOW_STOCK]: 'lowStock',
+      [INVENTORY_STATUS.OUT_OF_STOCK]: 'outOfStock',
+      [INVENTORY_STATUS.EXPIRED]: 'expired',
+    };
+
+    for (const item of items) {
+      const { status } = syncQuantityAndStatus({
+        reorderLevel: item.reorderLevel,
+        batches: item.batches
+          .filter((batch) => String(batch.locationId) === String(locationId))
+          .map((batch) => ({
+            quantity: batch.quantity,
+            expiryDate: batch.expiryDate,
+          })),
+      });
+      stats[countKeys[status]] += 1;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Recompute expiry-driven status for all dated inventory items
+   * @returns {Promise<{scanned: number, updated: number}>} Recompute summary
+   */
+  async recomputeExpiryStatuses() {
+    return this.inventoryItemRepository.recomputeExpiryStatuses();
+  }
+
   /**
    * Add a new stock batch to an inventory item
    * @param {string} itemId - Item ID
    * @param {Object} batchData - Batch payload
+   * @param {{ type?: string, reason?: string, source?: string, sourceRef?: string }} [movement] - Ledger entry details, a RECEIPT by default
    * @returns {Promise<Object>} Updated inventory item
    */
-  async addBatch(itemId, batchData) {
+  async addBatch(itemId, batchData, movement = {}) {
     const existingItem = await this.inventoryItemRepository.findById(itemId);
 
     if (!existingItem) {
@@ -339,13 +551,19 @@ export class InventoryItemService {
 
     const updatedItem = await this.inventoryItemRepository.addBatchById(
       itemId,
-      batchData
+      await this._withLocation(batchData)
     );
 
     if (!updatedItem) {
       throw new Error(`Inventory item with ID ${itemId} not found`);
     }
 
+    await this.inventoryMovementService.recordBatchChanges(
+      existingItem,
+      updatedItem,
+      { ...movement, type: movement.type || INVENTORY_MOVEMENT_TYPES.RECEIPT }
+    );
+
     return updatedItem;
   }
 
@@ -353,9 +571,11 @@ export class InventoryItemService {
    * Remove an inventory batch from an item
    * @param {string} itemId - Item ID
    * @param {string} batchId - Batch ID
+   * @param {{ type?: string, reason?: string }} [movement] - Ledger entry details;
+   *   defaults to EXPIRY_WRITE_OFF for an expired batch, else ADJUSTMENT
    * @returns {Promise<Object>} Updated inventory item
    */
-  async removeBatch(itemId, batchId) {
+  async removeBatch(itemId, batchId, movement = {}) {
     const existingItem = await this.inventoryItemRepository.findById(itemId);
 
     if (!existingItem) {
@@ -373,6 +593,20 @@ export class InventoryItemService {
       );
     }
 
+    const removedBatch = existingItem.batches.id(batchId);
+    await this.inventoryMovementService.recordBatchChanges(
+      existingItem,
+      updatedItem,
+      {
+        ...movement,
+        type:
+          movement.type ||
+          (isBatchExpired(removedBatch)
+            ? INVENTORY_MOVEMENT_TYPES.EXPIRY_WRITE_OFF
+            : INVENTORY_MOVEMENT_TYPES.ADJUSTMENT),
+      }
+    );
+
     return updatedItem;
   }
 
@@ -382,12 +616,14 @@ export class InventoryItemService {
    * Dual purpose:
    * 1) Used by inventory HTTP endpoints for manual stock adjustments.
    * 2) Used by internal module integrations (e.g., meal planning allocations/consumption).
+   *
+   * Recorded in the movement ledger as an ADJUSTMENT unless `type` says otherwise.
    * @param {string} itemId - Item ID
-   * @param {{ amount: number }} payload - Quantity decrement payload
+   * @param {{ amount: number, type?: string, reason?: string, source?: string, sourceRef?: string }} payload - Quantity decrement payload
    * @returns {Promise<Object>} Updated inventory item
    */
   async decrementInventoryItem(itemId, payload) {
-    const amount = payload?.amount;
+    const { amount, ...movement } = payload || {};
 
     if (typeof amount !== 'number' || Number.isNaN(amount) || amount <= 0) {
       throw this._createBadRequestError('amount must be greater than 0');
@@ -408,6 +644,15 @@ export class InventoryItemService {
       );
     }
 
+    await this.inventoryMovementService.recordBatchChanges(
+      existingItem,
+      decrementedItem,
+      {
+        ...movement,
+        type: movement.type || INVENTORY_MOVEMENT_TYPES.ADJUSTMENT,
+      }
+    );
+
     return decrementedItem;
   }
 }
@@ -0,0 +1,279 @@
+import { InventoryMovementRepository } from '../../infrastructure/repositories/inventory-movement.repository.js';
+import { InventoryMovementResponseDTO } from '../dtos/responses/inventory-movement-response.dto.js';
+import {
+  INVENTORY_MOVEMENT_SOURCES,
+  INVENTORY_MOVEMENT_TYPES,
+} from '../constants/inventory-constants.js';
+import { roundQuantity } from '../utils/quantity.util.js';
+import { getAuditActor } from '../../../audit-log/integration.js';
+
+const DEFAULT_MOVEMENT_LIMIT = 100;
+const MAX_MOVEMENT_LIMIT = 500;
+
+function batchQuantitiesOf(item) {
+  const quantities = new Map();
+
+  for (const batch of item?.batches || []) {
+    const quantity = Number(batch?.quantity ?? 0);
+    quantities.set(batch._id.toString(), Number.isNaN(quantity) ? 0 : quantity);
+  }
+
+  return quantities;
+}
+
+/**
+ * Per-batch quantity changes between two versions of an item.
+ * A missing version counts as having no batches.
+ * @returns {Array<{ batchId: string, quantity: number }>}
+ */
+function diffBatchQuantities(before, after) {
+  const beforeQuantities = batchQuantitiesOf(before);
+  const afterQuantities = batchQuantitiesOf(after);
+  const batchIds = new Set([
+    ...beforeQuantities.keys(),
+    ...afterQuantities.keys(),
+  ]);
+
+  return [...batchIds]
+    .map((batchId) => ({
+      batchId,
+      quantity: roundQuantity(
+        (afterQuantities.get(batchId) || 0) -
+          (beforeQuantities.get(batchId) || 0)
+      ),
+    }))
+    .filter((change) => change.quantity !== 0);
+}
+
+/**
+ * Service for the stock movement ledger.
+ * Each write that changes batch quantities records one movement per changed
+ * batch with its type, reason, source and the acting user from the audit
+ * context. Summing the ledger per item reconciles it with batch stock.
+ */
+export class InventoryMovementService {
+  constructor({
+    inventoryMovementRepository = new InventoryMovementRepository(),
+  } = {}) {
+    this.inventoryMovementRepository = inventoryMovementRepository;
+  }
+
+  /**
+   * Record the batch quantity changes between two versions of an item.
+   * Failures are logged and never fail the stock change itself; the
+   * reconciliation check shows the gap.
+   * @param {Object|null} before - Item before the change (null when created)
+   * @param {Object|null} after - Item after the change (null when deleted)
+   * @param {{ type: string, reason?: string, source?: string, sourceRef?: string }} movement
+   * @returns {Promise<Array>} Recorded movements
+   */
+  async recordBatchChanges(before, after, movement) {
+    const itemId = (after ?? before)?._id;
+    const changes = diffBatchQuantities(before, after);
+
+    if (!itemId || !changes.length) {
+      return [];
+    }
+
+    const actor = getAuditActor();
+    const records = changes.map(({ batchId, quantity }) => ({
+      itemId,
+      batchId,
+      type: movement.type,
+      quantity,
+      reason: movement.reason || '',
+      source: movement.source || INVENTORY_MOVEMENT_SOURCES.MANUAL,
+      sourceRef: movement.sourceRef || '',
+      actorId: actor.actorId ?? null,
+      actorRole: actor.actorRole ?? null,
+      actorSource: actor.source ?? null,
+    }));
+
+    try {
+      return await this.inventoryMovementRepository.createMany(records);
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error(
+        '[inventory] Failed to record stock movement:',
+        err.message
+      );
+      return [];
+    }
+  }
+
+  /**
+   * Movements of an item, newest first
+   * @param {string} itemId - Inventory item ID
+   * @param {{ type?: string, dateFrom?: string, dateTo?: string, limit?: number }} [filters]
+   * @returns {Promise<Array<InventoryMovementResponseDTO>>}
+   */
+  async listItemMovements(itemId, filters = {}) {
+    const filter = { itemId };
+
+    if (filters.type) {
+      filter.type = filters.type;
+    }
+
+    if (filters.dateFrom || filters.dateTo) {
+      filter.createdAt = {};
+      if (filters.dateFrom) {
+        filter.createdAt.$gte = new Date(filters.dateFrom);
+      }
+      if (filters.dateTo) {
+        filter.createdAt.$lte = new Date(filters.dateTo);
+      }
+    }
+
+    const limit = Math.min(
+      Math.max(Number(filters.limit) || DEFAULT_MOVEMENT_LIMIT, 1),
+      MAX_MOVEMENT_LIMIT
+    );
+    const movements = await this.inventoryMovementRepository.findMany(filter, {
+      limit,
+    });
+
+    return movements.map(
+      (movement) => new InventoryMovementResponseDTO(movement)
+    );
+  }
+
+  /**
+   * Compare the ledger with the batch stock of each item. Batch stock counts
+   * expired batches too, until they are written off.
+   * @param {Array<Object>} items - Inventory items with batches
+   * @returns {Promise<Array<Object>>} One reconciliation per item, in order
+   */
+  async reconcileItems(items) {
+    if (!items.length) {
+      return [];
+    }
+
+    const ledgerByItem =
+      await this.inventoryMovementRepository.sumByItemAndBatch(
+        items.map((item) => item._id)
+      );
+
+    return items.map((item) => {
+      const itemId = item._id.toString();
+      const ledgerByBatch = ledgerByItem.get(itemId) || new Map();
+      const stockByBatch = batchQuantitiesOf(item);
+      const batchIds = new Set([
+        ...ledgerByBatch.keys(),
+        ...stockByBatch.keys(),
+      ]);
+
+      let ledgerQuantity = 0;
+      let batchQuantity = 0;
+      const unbalancedBatches = [];
+
+      for (const batchId of batchIds) {
+        const ledger = ledgerByBatch.get(batchId) || 0;
+        const stock = stockByBatch.get(batchId) || 0;
+        ledgerQuantity += ledger;
+        batchQuantity += stock;
+
+        const difference = roundQuantity(stock - ledger);
+        if (difference !== 0) {
+          unbalancedBatches.push({
+            batchId,
+            ledgerQuantity: roundQuantity(ledger),
+            batchQuantity: roundQuantity(stock),
+            difference,
+          });
+        }
+      }
+
+      const difference = roundQuantity(batchQuantity - ledgerQuantity);
+
+      return {
+        itemId,
+        name: item.name,
+        ledgerQuantity: roundQuantity(ledgerQuantity),
+        batchQuantity: roundQuantity(batchQuantity),
+        difference,
+        balanced: unbalancedBatches.length === 0,
+        unbalancedBatches,
+      };
+    });
+  }
+
+  /**
+   * Record an OPENING_BALANCE movement for stock that batches held before
+   * the ledger was introduced: the difference between the batch and its
+   * ledger sum, for batches received before the first ledger movement that
+   * have no opening balance yet. Later batches are left unbalanced, since
+   * their gap is a movement that failed to record. Running it again only
+   * adds what is still missing.
+   * @param {Array<Object>} items - Inventory items with batches
+   * @returns {Promise<{ ledgerStartedAt: Date|null, items: number, recorded: number, quantity: number }>}
+   *   Movements recorded and their total quantity
+   */
+  async backfillOpeningBalances(items) {
+    const [ledgerStartedAt, openedBatchIds, reconciliations] =
+      await Promise.all([
+        this.inventoryMovementRepository.findFirstMovementAt([
+          INVENTORY_MOVEMENT_TYPES.OPENING_BALANCE,
+        ]),
+        this.inventoryMovementRepository.findBatchIdsByType(
+          INVENTORY_MOVEMENT_TYPES.OPENING_BALANCE
+        ),
+        this.reconcileItems(items),
+      ]);
+
+    const actor = getAuditActor();
+    const records = [];
+
+    items.forEach((item, index) => {
+      for (const unbalanced of reconciliations[index].unbalancedBatches) {
+        const batch = (item.batches || []).find(
+          (candidate) => candidate._id.toString() === unbalanced.batchId
+        );
+        const receivedAt = batch?.receivedAt
+          ? new Date(batch.receivedAt)
+          : null;
+
+        if (
+          !batch ||
+          openedBatchIds.has(unbalanced.batchId) ||
+          (ledgerStartedAt && receivedAt && receivedAt >= ledgerStartedAt)
+        ) {
+          continue;
+        }
+
+        records.push({
+          itemId: item._id,
+          batchId: unbalanced.batchId,
+          type: INVENTORY_MOVEMENT_TYPES.OPENING_BALANCE,
+          quantity: unbalanced.difference,
+          reason: 'Stock held before the movement ledger',
+          source: INVENTORY_MOVEMENT_SOURCES.BACKFILL,
+          sourceRef: '',
+          actorId: actor.actorId ?? null,
+          actorRole: actor.actorRole ?? null,
+          actorSource: actor.source ?? null,
+        });
+      }
+    });
+
+    await this.inventoryMovementRepository.createMany(records);
+
+    return {
+      ledgerStartedAt,
+      items: items.length,
+      recorded: records.length,
+      quantity: roundQuantity(
+        records.reduce((total, record) => total + record.quantity, 0)
+      ),
+    };
+  }
+
+  /**
+   * Single-item variant of reconcileItems
+   * @param {Object} item - Inventory item with batches
+   * @returns {Promise<Object>}
+   */
+  async reconcileItem(item) {
+    const [reconciliation] = await this.reconcileItems([item]);
+    return reconciliation;
+  }
+}
@@ -0,0 +1,262 @@
+import { InventoryItemRepository } from '../../infrastructure/repositories/inventory-item.repository.js';
+import { InventoryReservationRepository } from '../../infrastructure/repositories/inventory-reservation.repository.js';
+import {
+  INVENTORY_MOVEMENT_SOURCES,
+  INVENTORY_MOVEMENT_TYPES,
+  INVENTORY_RESERVATION_STATUS,
+} from '../constants/inventory-constants.js';
+import { sortBatchesFifo } from '../utils/inventory-status.util.js';
+import { roundQuantity } from '../utils/quantity.util.js';
+import { InventoryMovementService } from './inventory-movement.service.js';
+
+function isBatchUsable(batch, now) {
+  if (!batch || batch.quantity <= 0) {
+    return false;
+  }
+
+  if (!batch.expiryDate) {
+    return true;
+  }
+
+  const expiryDate = new Date(batch.expiryDate);
+
+  return Number.isNaN(expiryDate.getTime()) || expiryDate >= now;
+}
+
+/**
+ * Service for meal plan stock reservations.
+ * Confirmed plans hold stock against specific batches (FIFO), completed meal
+ * sessions turn the holds into real decrements, and edited or deleted plans
+ * release them.
+ */
+export class InventoryReservationService {
+  constructor({
+    inventoryItemRepository = new InventoryItemRepository(),
+    inventoryReservationRepository = new InventoryReservationRepository(),
+    inventoryMovementService = new InventoryMovementService(),
+  } = {}) {
+    this.inventoryItemRepository = inventoryItemRepository;
+    this.inventoryReservationRepository = inventoryReservationRepository;
+    this.inventoryMovementService = inventoryMovementService;
+  }
+
+  /**
+   * Reserved quantity per item across all active reservations
+   * @param {Array<string>} itemIds - Inventory item IDs
+   * @param {{ excludeMealPlanId?: string }} [options]
+   * @returns {Promise<Map<string, number>>}
+   */
+  async getReservedQuantities(itemIds, options = {}) {
+    if (!itemIds.length) {
+      return new Map();
+    }
+
+    return this.inventoryReservationRepository.sumReservedByItem(
+      itemIds,
+      options
+    );
+  }
+
+  /**
+   * Reserve stock for a meal plan. Any earlier active reservations of the
+   * plan are released first, so re-confirming never double-books.
+   * Lines are reserved against the oldest-expiring usable batches that are
+   * not already held; whatever cannot be covered is returned as a shortfall
+   * and kept as an UNFILLED reservation so reorder planning still sees it.
+   * @param {{ mealPlanId: string, lines: Array<{ itemId: string, quantity: number, day: string, mealType: string, mealDate?: Date, ingredientName?: string }> }} payload
+   * @returns {Promise<{ reserved: number, shortfalls: Array<Object> }>}
+   */
+  async reserveForMealPlan({ mealPlanId, lines = [] }) {
+    await this.releaseForMealPlan(mealPlanId, 'Replaced by a new reservation');
+
+    const linesByItem = new Map();
+    for (const line of lines) {
+      if (!(line.quantity > 0)) {
+        continue;
+      }
+      const key = String(line.itemId);
+      if (!linesByItem.has(key)) {
+        linesByItem.set(key, []);
+      }
+      linesByItem.get(key).push(line);
+    }
+
+    const now = new Date();
+    const reservations = [];
+    const unfilled = [];
+    const shortfalls = [];
+
+    for (const [itemId, itemLines] of linesByItem) {
+      const item = await this.inventoryItemRepository.findById(itemId);
+      const heldByBatch =
+        await this.inventoryReservationRepository.sumReservedByBatch(itemId);
+
+      const freeBatches = sortBatchesFifo(
+        (item?.batches || []).filter((batch) => isBatchUsable(batch, now))
+      )
+        .map((batch) => ({
+          batchId: batch._id,
+          free: batch.quantity - (heldByBatch.get(batch._id.toString()) || 0),
+        }))
+        .filter((batch) => batch.free > 0);
+
+      for (const line of itemLines) {
+        let remaining = line.quantity;
+
+        for (const batch of freeBatches) {
+          if (remaining <= 0) {
+            break;
+          }
+          if (batch.free <= 0) {
+            continue;
+          }
+
+          const quantity = Math.min(batch.free, remaining);
+          batch.free -= quantity;
+          remaining -= quantity;
+          reservations.push({
+            itemId,
+            batchId: batch.batchId,
+            quantity,
+            mealPlanId: String(mealPlanId),
+            mealDay: line.day,
+            mealType: line.mealType,
+            mealDate: line.mealDate || null,
+            ingredientName: line.ingredientName || '',
+          });
+        }
+
+        if (remaining > 0) {
+          unfilled.push({
+            itemId,
+            batchId: null,
+            quantity: remaining,
+            status: INVENTORY_RESERVATION_STATUS.UNFILLED,
+            mealPlanId: String(mealPlanId),
+            mealDay: line.day,
+            mealType: line.mealType,
+            mealDate: line.mealDate || null,
+            ingredientName: line.ingredientName || '',
+          });
+          shortfalls.push({
+            itemId,
+            ingredientName: line.ingredientName || '',
+            day: line.day,
+            mealType: line.mealType,
+            quantity: remaining,
+          });
+        }
+      }
+    }
+
+    await this.inventoryReservationRepository.createMany([
+      ...reservations,
+      ...unfilled,
+    ]);
+
+    return { reserved: reservations.length, shortfalls };
+  }
+
+  /**
+   * Turn a plan meal's reservations into stock decrements, recorded in the
+   * movement ledger as CONSUMPTION by the completed meal session. The meal's
+   * unfilled demand is released since it no longer needs stock.
+   * With a share below 1 (one of several grade sessions of the meal) only
+   * that part of each reservation is drained; the rest stays reserved for
+   * the sessions still to complete.
+   * @param {{ mealPlanId: string, day: string, mealType: string, share?: number }} payload
+   * @returns {Promise<{ consumed: number, items: number }>}
+   */
+  async consumeForMealPlanMeal({ mealPlanId, day, mealType, share = 1 }) {
+    const reservations = await this.inventoryReservationRepository.findMany({
+      mealPlanId: String(mealPlanId),
+      mealDay: day,
+      mealType,
+      status: INVENTORY_RESERVATION_STATUS.RESERVED,
+    });
+
+    const partial = share < 1;
+    const byItem = new Map();
+    for (const reservation of reservations) {
+      const portion = partial
+        ? roundQuantity(reservation.quantity * share)
+        : reservation.quantity;
+      if (portion <= 0) {
+        continue;
+      }
+      const key = reservation.itemId.toString();
+      if (!byItem.has(key)) {
+        byItem.set(key, []);
+      }
+      byItem.get(key).push({ reservation, portion });
+    }
+
+    let consumed = 0;
+    for (const [itemId, itemReservations] of byItem) {
+      const before = await this.inventoryItemRepository.findById(itemId);
+      const result = await this.inventoryItemRepository.consumeFromBatches(
+        itemId,
+        itemReservations.map(({ reservation, portion }) => ({
+          batchId: reservation.batchId,
+          quantity: portion,
+        }))
+      );
+
+      if (result) {
+        await this.inventoryMovementService.recordBatchChanges(
+          before,
+          result.item,
+          {
+            type: INVENTORY_MOVEMENT_TYPES.CONSUMPTION,
+            source: INVENTORY_MOVEMENT_SOURCES.MEAL_SESSION,
+            sourceRef: `${mealPlanId}:${day}:${mealType}`,
+          }
+        );
+      }
+
+      // Spread what was actually drained over the reservations in order.
+      let drained = result?.drained ?? 0;
+      for (const { reservation, portion } of itemReservations) {
+        const consumedQuantity = roundQuantity(Math.min(portion, drained));
+        drained = roundQuantity(drained - consumedQuantity);
+        if (partial) {
+          await this.inventoryReservationRepository.consumePart(
+            reservation._id,
+            portion,
+            consumedQuantity
+          );
+        } else {
+          await this.inventoryReservationRepository.markConsumed(
+            reservation._id,
+            consumedQuantity
+          );
+        }
+        consumed += 1;
+      }
+    }
+
+    if (!partial) {
+      await this.inventoryReservationRepository.releaseMany(
+        { mealPlanId: String(mealPlanId), mealDay: day, mealType },
+        'Meal session completed'
+      );
+    }
+
+    return { consumed, items: byItem.size };
+  }
+
+  /**
+   * Release every active reservation of a meal plan
+   * @param {string} mealPlanId - Meal plan ID
+   * @param {string} reason - Release reason
+   * @returns {Promise<{ released: number }>}
+   */
+  async releaseForMealPlan(mealPlanId, reason) {
+    const released = await this.inventoryReservationRepository.releaseMany(
+      { mealPlanId: String(mealPlanId) },
+      reason
+    );
+
+    return { released };
+  }
+}
@@ -0,0 +1,451 @@
+import { PurchaseOrderRepository } from '../../infrastructure/repositories/purchase-order.repository.js';
+import { SupplierRepository } from '../../infrastructure/repositories/supplier.repository.js';
+import { InventoryItemRepository } from '../../infrastructure/repositories/inventory-item.repository.js';
+import {
+  INVENTORY_MOVEMENT_SOURCES,
+  INVENTORY_MOVEMENT_TYPES,
+  PURCHASE_ORDER_DISCREPANCY,
+  PURCHASE_ORDER_STATUS,
+} from '../constants/inventory-constants.js';
+import {
+  generateDocumentNumber,
+  isDuplicateNumberError,
+} from '../utils/document-number.util.js';
+import { roundQuantity } from '../utils/quantity.util.js';
+import { InventoryItemService } from './inventory-item.service.js';
+import { getAuditActor } from '../../../audit-log/integration.js';
+
+const CANCELLABLE_STATUSES = new Set([
+  PURCHASE_ORDER_STATUS.DRAFT,
+  PURCHASE_ORDER_STATUS.SENT,
+  PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED,
+]);
+
+const RECEIVABLE_STATUSES = new Set([
+  PURCHASE_ORDER_STATUS.SENT,
+  PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED,
+]);
+
+/**
+ * Service for purchase orders and goods receiving.
+ * Orders are drafted and edited, sent to the supplier, then received in one
+ * or more deliveries. Each received line becomes a new stock batch on the
+ * item (recorded as a RECEIPT in the movement ledger) and counts towards the
+ * line's received quantity. Over-deliveries are flagged as they arrive;
+ * lines still short when the order closes are flagged SHORT.
+ */
+export class PurchaseOrderService {
+  constructor({
+    purchaseOrderRepository = new PurchaseOrderRepository(),
+    supplierRepository = new SupplierRepository(),
+    inventoryItemRepository = new InventoryItemRepository(),
+    inventoryItemService = new InventoryItemService(),
+  } = {}) {
+    this.purchaseOrderRepository = purchaseOrderRepository;
+    this.supplierRepository = supplierRepository;
+    this.inventoryItemRepository = inventoryItemRepository;
+    this.inventoryItemService = inventoryItemService;
+  }
+
+  _createBadRequestError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+
+  _createConflictError(message) {
+    const error = new Error(message);
+    error.statusCode = 409;
+    return error;
+  }
+
+  /**
+   * Load an active supplier for a new or edited order
+   * @param {string} supplierId - Supplier ID
+   * @returns {Promise<Object>} Supplier
+   * @throws {Error} 400 if the supplier is missing or inactive
+   */
+  async _getOrderableSupplier(supplierId) {
+    const supplier = await this.supplierRepository.findById(supplierId);
+
+    if (!supplier) {
+      throw this._createBadRequestError(
+        `Supplier with ID ${supplierId} not found`
+      );
+    }
+
+    if (!supplier.active) {
+      throw this._createBadRequestError(
+        `Supplier "${supplier.name}" is inactive`
+      );
+    }
+
+    return supplier;
+  }
+
+  /**
+   * Resolve requested lines against their inventory items, copying the
+   * item name and unit onto each line
+   * @param {Array<{ itemId: string, quantity: number, unitPrice?: number }>} lines
+   * @returns {Promise<Array<Object>>} Order lines
+   * @throws {Error} 400 if an item is missing or listed twice
+   */
+  async _buildOrderLines(lines) {
+    const itemIds = lines.map((line) => String(line.itemId));
+
+    if (new Set(itemIds).size !== itemIds.length) {
+      throw this._createBadRequestError(
+        'Each inventory item can appear only once per purchase order'
+      );
+    }
+
+    const items = await this.inventoryItemRepository.findMany({
+      _id: { $in: itemIds },
+    });
+    const itemsById = new Map(items.map((item) => [item._id.toString(), item]));
+
+    return lines.map((line) => {
+      const item = itemsById.get(String(line.itemId));
+
+      if (!item) {
+        throw this._createBadRequestError(
+          `Inventory item with ID ${line.itemId} not found`
+        );
+      }
+
+      return {
+        itemId: item._id,
+        itemName: item.name,
+        unit: item.unit,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice ?? 0,
+      };
+    });
+  }
+
+  /**
+   * List purchase orders with optional filters, newest first
+   * @param {{ status?: string, supplierId?: string, itemId?: string }} [filters]
+   * @returns {Promise<Array>} Purchase orders
+   */
+  async listPurchaseOrders(filters = {}) {
+    const queryFilter = {};
+
+    if (filters.status) {
+      queryFilter.status = filters.status;
+    }
+
+    if (filters.supplierId) {
+      queryFilter.supplierId = filters.supplierId;
+    }
+
+    if (filters.itemId) {
+      queryFilter['lines.itemId'] = filters.itemId;
+    }
+
+    return this.purchaseOrderRepository.findMany(queryFilter);
+  }
+
+  /**
+   * Get a purchase order by ID
+   * @param {string} orderId - Purchase order ID
+   * @returns {Promise<Object>} Found purchase order
+   * @throws {Error} If purchase order not found
+   */
+  async getPurchaseOrderById(orderId) {
+    const order = await this.purchaseOrderRepository.findById(orderId);
+
+    if (!order) {
+      throw new Error(`Purchase order with ID ${orderId} not found`);
+    }
+
+    return order;
+  }
+
+  /**
+   * Create a draft purchase order
+   * @param {{ supplierId: string, lines: Array<Object>, expectedDeliveryDate?: string, notes?: string }} orderData
+   * @returns {Promise<Object>} Created purchase order
+   * @throws {Error} 400 if the supplier or an item is missing
+   */
+  async createPurchaseOrder(orderData) {
+    const supplier = await this._getOrderableSupplier(orderData.supplierId);
+    const lines = await this._buildOrderLines(orderData.lines);
+
+    const order = {
+      supplierId: supplier._id,
+      supplierName: supplier.name,
+      status: PURCHASE_ORDER_STATUS.DRAFT,
+      lines,
+      expectedDeliveryDate: orderData.expectedDeliveryDate ?? null,
+      notes: orderData.notes ?? '',
+      createdBy: getAuditActor().actorId,
+    };
+
+    // Order numbers carry a random suffix; retry the rare collision.
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return await this.purchaseOrderRepository.create({
+          ...order,
+          orderNumber: generateDocumentNumber('PO'),
+        });
+      } catch (error) {
+        if (!isDuplicateNumberError(error, 'orderNumber') || attempt >= 3) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Update a draft purchase order. Given lines replace the existing ones.
+   * @param {string} orderId - Purchase order ID
+   * @param {{ supplierId?: string, lines?: Array<Object>, expectedDeliveryDate?: string|null, notes?: string }} updates
+   * @returns {Promise<Object>} Updated purchase order
+   * @throws {Error} If not found, or 409 once the order has been sent
+   */
+  async updatePurchaseOrder(orderId, updates) {
+    const order = await this.getPurchaseOrderById(orderId);
+
+    if (order.status !== PURCHASE_ORDER_STATUS.DRAFT) {
+      throw this._createConflictError(
+        `Purchase order ${order.orderNumber} is ${order.status} and can no longer be edited`
+      );
+    }
+
+    if (updates.supplierId !== undefined) {
+      const supplier = await this._getOrderableSupplier(updates.supplierId);
+      order.supplierId = supplier._id;
+      order.supplierName = supplier.name;
+    }
+
+    if (updates.lines !== undefined) {
+      order.lines = await this._buildOrderLines(updates.lines);
+    }
+
+    if (updates.expectedDeliveryDate !== undefined) {
+      order.expectedDeliveryDate = updates.expectedDeliveryDate;
+    }
+
+    if (updates.notes !== undefined) {
+      order.notes = updates.notes;
+    }
+
+    return this.purchaseOrderRepository.save(order);
+  }
+
+  /**
+   * Mark a draft purchase order as sent to the supplier
+   * @param {string} orderId - Purchase order ID
+   * @returns {Promise<Object>} Sent purchase order
+   * @throws {Error} If not found, or 409 unless the order is a draft
+   */
+  async sendPurchaseOrder(orderId) {
+    const order = await this.getPurchaseOrderById(orderId);
+
+    if (order.status !== PURCHASE_ORDER_STATUS.DRAFT) {
+      throw this._createConflictError(
+        `Purchase order ${order.orderNumber} is ${order.status} and cannot be sent`
+      );
+    }
+
+    if (!order.lines.length) {
+      throw this._createBadRequestError(
+        'A purchase order needs at least one line before it is sent'
+      );
+    }
+
+    order.status = PURCHASE_ORDER_STATUS.SENT;
+    order.sentAt = new Date();
+
+    return this.purchaseOrderRepository.save(order);
+  }
+
+  /**
+   * Cancel a purchase order that has not been fully received. Stock already
+   * received stays in inventory.
+   * @param {string} orderId - Purchase order ID
+   * @param {string} [reason] - Why the order was cancelled
+   * @returns {Promise<Object>} Cancelled purchase order
+   * @throws {Error} If not found, or 409 once received or cancelled
+   */
+  async cancelPurchaseOrder(orderId, reason = '') {
+    const order = await this.getPurchaseOrderById(orderId);
+
+    if (!CANCELLABLE_STATUSES.has(order.status)) {
+      throw this._createConflictError(
+        `Purchase order ${order.orderNumber} is ${order.status} and cannot be cancelled`
+      );
+    }
+
+    order.status = PURCHASE_ORDER_STATUS.CANCELLED;
+    order.cancelledAt = new Date();
+    order.cancelReason = reason;
+
+    return this.purchaseOrderRepository.save(order);
+  }
+
+  /**
+   * Delete a draft purchase order. Sent orders are cancelled instead so the
+   * history is kept.
+   * @param {string} orderId - Purchase order ID
+   * @returns {Promise<Object>} Deleted purchase order
+   * @throws {Error} If not found, or 409 unless the order is a draft
+   */
+  async deletePurchaseOrder(orderId) {
+    const order = await this.getPurchaseOrderById(orderId);
+
+    if (order.status !== PURCHASE_ORDER_STATUS.DRAFT) {
+      const error = this._createConflictError(
+        `Purchase order ${order.orderNumber} is ${order.status} and cannot be deleted. Cancel it instead.`
+      );
+      error.action = 'CANCEL_PURCHASE_ORDER';
+      throw error;
+    }
+
+    return this.purchaseOrderRepository.deleteById(orderId);
+  }
+
+  /**
+   * Receive a delivery against a sent purchase order. Each delivered line is
+   * added to its item as a new batch from the order's supplier, priced at
+   * the line's unit price unless the delivery says otherwise.
+   *
+   * The order is RECEIVED once every line is fully delivered, or when
+   * `final` closes it early (remaining lines are flagged SHORT); otherwise
+   * it is PARTIALLY_RECEIVED.
+   * @param {string} orderId - Purchase order ID
+   * @param {{ lines?: Array<{ lineId: string, quantity: number, expiryDate?: string, unitPrice?: number, location?: string, locationId?: string, batchNote?: string }>, note?: string, final?: boolean }} delivery
+   * @returns {Promise<Object>} Updated purchase order
+   * @throws {Error} If not found, 409 unless the order is open for receiving,
+   *   or 400 for unknown lines or items
+   */
+  async receivePurchaseOrder(
+    orderId,
+    { lines = [], note = '', final = false }
+  ) {
+    const order = await this.getPurchaseOrderById(orderId);
+
+    if (!RECEIVABLE_STATUSES.has(order.status)) {
+      throw this._createConflictError(
+        `Purchase order ${order.orderNumber} is ${order.status} and cannot be received`
+      );
+    }
+
+    const lineIds = lines.map((line) => String(line.lineId));
+    if (new Set(lineIds).size !== lineIds.length) {
+      throw this._createBadRequestError(
+        'Each purchase order line can appear only once per delivery'
+      );
+    }
+
+    const deliveries = lines.map((delivered) => {
+      const orderLine = order.lines.id(delivered.lineId);
+
+      if (!orderLine) {
+        throw this._createBadRequestError(
+          `Purchase order line with ID ${delivered.lineId} not found on ${order.orderNumber}`
+        );
+      }
+
+      return { delivered, orderLine };
+    });
+
+    // Check every item up front so a deleted item cannot leave half a
+    // delivery booked.
+    const itemIds = deliveries.map(({ orderLine }) => orderLine.itemId);
+    const items = itemIds.length
+      ? await this.inventoryItemRepository.findMany({ _id: { $in: itemIds } })
+      : [];
+    const existingItemIds = new Set(items.map((item) => item._id.toString()));
+
+    for (const { orderLine } of deliveries) {
+      if (!existingItemIds.has(orderLine.itemId.toString())) {
+        throw this._createBadRequestError(
+          `Inventory item "${orderLine.itemName}" no longer exists; remove its line from the delivery`
+        );
+      }
+    }
+
+    const receipt = {
+      receivedAt: new Date(),
+      receivedBy: getAuditActor().actorId,
+      note,
+      lines: [],
+    };
+    let failure = null;
+
+    for (const { delivered, orderLine } of deliveries) {
+      try {
+        const updatedItem = await this.inventoryItemService.addBatch(
+          orderLine.itemId,
+          {
+            quantity: delivered.quantity,
+            expiryDate: delivered.expiryDate ?? null,
+            supplier: order.supplierName,
+            supplierId: order.supplierId,
+            purchaseOrderId: order._id,
+            unitPrice: delivered.unitPrice ?? orderLine.unitPrice,
+            location: delivered.location ?? '',
+            locationId: delivered.locationId ?? null,
+            batchNote: delivered.batchNote ?? `PO ${order.orderNumber}`,
+          },
+          {
+            type: INVENTORY_MOVEMENT_TYPES.RECEIPT,
+            reason: `Received on ${order.orderNumber}`,
+            source: INVENTORY_MOVEMENT_SOURCES.PURCHASE_ORDER,
+            sourceRef: order._id.toString(),
+          }
+        );
+        const batch = updatedItem.batches[updatedItem.batches.length - 1];
+
+        orderLine.receivedQuantity = roundQuantity(
+          orderLine.receivedQuantity + delivered.quantity
+        );
+        receipt.lines.push({
+          lineId: orderLine._id,
+          itemId: orderLine.itemId,
+          quantity: delivered.quantity,
+          batchId: batch?._id ?? null,
+        });
+      } catch (error) {
+        // Batches already added stay in stock; record them on the order
+        // before reporting the failure.
+        failure = error;
+        break;
+      }
+    }
+
+    if (receipt.lines.length) {
+      order.receipts.push(receipt);
+    }
+
+    const closing =
+      !failure &&
+      (final ||
+        order.lines.every((line) => line.receivedQuantity >= line.quantity));
+
+    for (const line of order.lines) {
+      if (line.receivedQuantity > line.quantity) {
+        line.discrepancy = PURCHASE_ORDER_DISCREPANCY.OVER;
+      } else if (closing && line.receivedQuantity < line.quantity) {
+        line.discrepancy = PURCHASE_ORDER_DISCREPANCY.SHORT;
+      }
+    }
+
+    if (closing) {
+      order.status = PURCHASE_ORDER_STATUS.RECEIVED;
+      order.receivedAt = receipt.receivedAt;
+    } else if (receipt.lines.length) {
+      order.status = PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED;
+    }
+
+    const savedOrder = await this.purchaseOrderRepository.save(order);
+
+    if (failure) {
+      throw failure;
+    }
+
+    return savedOrder;
+  }
+}
@@ -0,0 +1,339 @@
+import { InventoryItemRepository } from '../../infrastructure/repositories/inventory-item.repository.js';
+import { InventoryMovementRepository } from '../../infrastructure/repositories/inventory-movement.repository.js';
+import { InventoryReservationRepository } from '../../infrastructure/repositories/inventory-reservation.repository.js';
+import { PurchaseOrderRepository } from '../../infrastructure/repositories/purchase-order.repository.js';
+import { SupplierRepository } from '../../infrastructure/repositories/supplier.repository.js';
+import {
+  INVENTORY_MOVEMENT_TYPES,
+  REORDER_SUGGESTION_DEFAULTS,
+} from '../constants/inventory-constants.js';
+import {
+  isBatchExpired,
+  sortBatchesFifo,
+} from '../utils/inventory-status.util.js';
+import { roundQuantity } from '../utils/quantity.util.js';
+import { PurchaseOrderService } from './purchase-order.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfUtcDay(date) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Split an item's unexpired stock into what will be used within the horizon
+ * and what expires first. Batches are drawn oldest-expiry first at the daily
+ * demand rate; a batch expiring inside the horizon only counts for what
+ * demand reaches before its expiry date.
+ * @param {Array<Object>} batches - Item batches
+ * @param {{ dailyDemand: number, now: Date, horizonEnd: Date }} options
+ * @returns {{ usable: number, expiringBeforeUse: number }}
+ */
+function splitUsableStock(batches, { dailyDemand, now, horizonEnd }) {
+  let usable = 0;
+  let expiringBeforeUse = 0;
+
+  for (const batch of sortBatchesFifo(batches)) {
+    const quantity = Number(batch?.quantity ?? 0);
+
+    if (!(quantity > 0) || isBatchExpired(batch, now)) {
+      continue;
+    }
+
+    const expiryDate = batch.expiryDate ? new Date(batch.expiryDate) : null;
+
+    if (!expiryDate || Number.isNaN(expiryDate.getTime())) {
+      usable += quantity;
+      continue;
+    }
+
+    if (expiryDate > horizonEnd) {
+      usable += quantity;
+      continue;
+    }
+
+    const demandBeforeExpiry =
+      (dailyDemand * (expiryDate.getTime() - now.getTime())) / DAY_MS;
+    const used = Math.min(quantity, Math.max(0, demandBeforeExpiry - usable));
+
+    usable += used;
+    expiringBeforeUse += quantity - used;
+  }
+
+  return {
+    usable: roundQuantity(usable),
+    expiringBeforeUse: roundQuantity(expiringBeforeUse),
+  };
+}
+
+/**
+ * Service for reorder suggestions.
+ * Demand over the horizon is what confirmed meal plans have reserved (held
+ * or unfilled) for that window, plus the average daily consumption from the
+ * movement ledger for the days no plan reserves that item for. It is compared with the stock
+ * that will still be usable before it expires and with what is already on
+ * open purchase orders; the gap up to the item's reorder level is suggested,
+ * grouped by the supplier the item was last ordered from.
+ */
+export class ReorderSuggestionService {
+  constructor({
+    inventoryItemRepository = new InventoryItemRepository(),
+    inventoryMovementRepository = new InventoryMovementRepository(),
+    inventoryReservationRepository = new InventoryReservationRepository(),
+    purchaseOrderRepository = new PurchaseOrderRepository(),
+    supplierRepository = new SupplierRepository(),
+    purchaseOrderService = new PurchaseOrderService(),
+  } = {}) {
+    this.inventoryItemRepository = inventoryItemRepository;
+    this.inventoryMovementRepository = inventoryMovementRepository;
+    this.inventoryReservationRepository = inventoryReservationRepository;
+    this.purchaseOrderRepository = purchaseOrderRepository;
+    this.supplierRepository = supplierRepository;
+    this.purchaseOrderService = purchaseOrderService;
+  }
+
+  /**
+   * Supplier to reorder an item from: the supplier of its latest purchase
+   * order line, else of its most recently received batch. Inactive suppliers
+   * are skipped.
+   * @param {Object} item - Inventory item
+   * @param {Object|undefined} lastOrderLine - Latest purchase order line
+   * @param {Map<string, Object>} activeSuppliers - Active suppliers by ID
+   * @returns {{ supplierId: string, supplierName: string, unitPrice: number }|null}
+   */
+  _resolveSupplier(item, lastOrderLine, activeSuppliers) {
+    if (
+      lastOrderLine &&
+      activeSuppliers.has(String(lastOrderLine.supplierId))
+    ) {
+      return {
+        supplierId: String(lastOrderLine.supplierId),
+        supplierName: lastOrderLine.supplierName,
+        unitPrice: lastOrderLine.unitPrice ?? 0,
+      };
+    }
+
+    const lastBatch = [...(item.batches || [])]
+      .filter((batch) => batch.supplierId)
+      .sort(
+        (left, right) =>
+          new Date(right.receivedAt || 0) - new Date(left.receivedAt || 0)
+      )[0];
+    const supplier =
+      lastBatch && activeSuppliers.get(String(lastBatch.supplierId));
+
+    if (!supplier) {
+      return null;
+    }
+
+    return {
+      supplierId: String(supplier._id),
+      supplierName: supplier.name,
+      unitPrice: lastBatch.unitPrice ?? 0,
+    };
+  }
+
+  /**
+   * Project demand and propose order quantities per item and supplier
+   * @param {{ horizonDays?: number, lookbackDays?: number, includeAll?: boolean, now?: Date }} [options]
+   * @returns {Promise<{ generatedAt: Date, horizonDays: number, lookbackDays: number, items: Array<Object>, suppliers: Array<Object> }>}
+   *   Per-item projections (only items needing an order unless includeAll),
+   *   and the suggested lines grouped per supplier (supplierId null when the
+   *   item has no known supplier)
+   */
+  async getReorderSuggestions(options = {}) {
+    const horizonDays =
+      options.horizonDays ?? REORDER_SUGGESTION_DEFAULTS.HORIZON_DAYS;
+    const lookbackDays =
+      options.lookbackDays ?? REORDER_SUGGESTION_DEFAULTS.LOOKBACK_DAYS;
+    const now = options.now ?? new Date();
+    const today = startOfUtcDay(now);
+    const horizonEnd = new Date(today.getTime() + horizonDays * DAY_MS);
+
+    const [items, consumption, planned, onOrder, lastOrderLines, suppliers] =
+      await Promise.all([
+        this.inventoryItemRepository.findMany({}),
+        this.inventoryMovementRepository.sumByItemForType({
+          type: INVENTORY_MOVEMENT_TYPES.CONSUMPTION,
+          since: new Date(now.getTime() - lookbackDays * DAY_MS),
+        }),
+        this.inventoryReservationRepository.sumPlannedDemandByItem({
+          from: today,
+          until: horizonEnd,
+        }),
+        this.purchaseOrderRepository.sumOutstandingByItem(),
+        this.purchaseOrderRepository.findLastOrderLineByItem(),
+        this.supplierRepository.findMany({ active: true }),
+      ]);
+
+    const activeSuppliers = new Map(
+      suppliers.map((supplier) => [String(supplier._id), supplier])
+    );
+    const suggestions = items.map((item) => {
+      const itemId = item._id.toString();
+      // Consumption is recorded as negative ledger quantities.
+      const averageDailyConsumption = roundQuantity(
+        Math.max(0, -(consumption.get(itemId) || 0)) / lookbackDays
+      );
+      const plannedDemand = roundQuantity(planned.byItem.get(itemId) || 0);
+      // Days a confirmed plan reserves this item for take their demand from
+      // the plan alone; other items still need consumption on those days.
+      const unplannedDays = Math.max(
+        0,
+        horizonDays - (planned.mealDatesByItem.get(itemId)?.length ?? 0)
+      );
+      const projectedDemand = roundQuantity(
+        plannedDemand + averageDailyConsumption * unplannedDays
+      );
+      const dailyDemand = projectedDemand / horizonDays;
+      const { usable, expiringBeforeUse } = splitUsableStock(item.batches, {
+        dailyDemand,
+        now,
+        horizonEnd,
+      });
+      const onOrderQuantity = roundQuantity(onOrder.get(itemId) || 0);
+      const reorderLevel = item.reorderLevel || 0;
+      const gap = roundQuantity(
+        projectedDemand + reorderLevel - usable - onOrderQuantity
+      );
+      const suggestedQuantity = gap > 0 ? Math.ceil(gap) : 0;
+      const supplier = this._resolveSupplier(
+        item,
+        lastOrderLines.get(itemId),
+        activeSuppliers
+      );
+
+      return {
+        itemId,
+        itemName: item.name,
+        unit: item.unit,
+        reorderLevel,
+        averageDailyConsumption,
+        plannedDemand,
+        projectedDemand,
+        usableStock: usable,
+        expiringBeforeUse,
+        onOrderQuantity,
+        daysOfCover:
+          dailyDemand > 0 ? Math.round((usable / dailyDemand) * 10) / 10 : null,
+        suggestedQuantity,
+        supplier,
+        estimatedCost: supplier
+          ? roundQuantity(suggestedQuantity * supplier.unitPrice)
+          : null,
+      };
+    });
+
+    const listed = suggestions
+      .filter(
+        (suggestion) => options.includeAll || suggestion.suggestedQuantity > 0
+      )
+      .sort(
+        (left, right) =>
+          (left.daysOfCover ?? Infinity) - (right.daysOfCover ?? Infinity) ||
+          left.itemName.localeCompare(right.itemName)
+      );
+
+    const bySupplier = new Map();
+    for (const suggestion of listed) {
+      if (suggestion.suggestedQuantity <= 0) {
+        continue;
+      }
+      const key = suggestion.supplier?.supplierId ?? null;
+      if (!bySupplier.has(key)) {
+        bySupplier.set(key, {
+          supplierId: key,
+          supplierName: suggestion.supplier?.supplierName ?? null,
+          lines: [],
+          estimatedTotal: 0,
+        });
+      }
+      const group = bySupplier.get(key);
+      group.lines.push({
+        itemId: suggestion.itemId,
+        itemName: suggestion.itemName,
+        unit: suggestion.unit,
+        quantity: suggestion.suggestedQuantity,
+        unitPrice: suggestion.supplier?.unitPrice ?? 0,
+      });
+      group.estimatedTotal = roundQuantity(
+        group.estimatedTotal + (suggestion.estimatedCost ?? 0)
+      );
+    }
+
+    return {
+      generatedAt: now,
+      horizonDays,
+      lookbackDays,
+      items: listed,
+      // Lines without a known supplier come last.
+      suppliers: [...bySupplier.values()].sort(
+        (left, right) =>
+          (left.supplierId === null) - (right.supplierId === null)
+      ),
+    };
+  }
+
+  /**
+   * Turn current reorder suggestions into draft purchase orders, one per
+   * supplier. Items without a known supplier go to the default supplier when
+   * one is given and are reported as skipped otherwise.
+   * @param {{ horizonDays?: number, lookbackDays?: number, itemIds?: Array<string>, defaultSupplierId?: string, now?: Date }} [options]
+   * @returns {Promise<{ orders: Array<Object>, skipped: Array<{ itemId: string, itemName: string, reason: string }> }>}
+   * @throws {Error} 400 if a supplier cannot be ordered from
+   */
+  async createDraftPurchaseOrders(options = {}) {
+    const { horizonDays, suppliers } = await this.getReorderSuggestions({
+      horizonDays: options.horizonDays,
+      lookbackDays: options.lookbackDays,
+      now: options.now,
+    });
+    const selected = options.itemIds?.length
+      ? new Set(options.itemIds.map(String))
+      : null;
+
+    const linesBySupplier = new Map();
+    const skipped = [];
+
+    for (const group of suppliers) {
+      const supplierId = group.supplierId ?? options.defaultSupplierId ?? null;
+
+      for (const line of group.lines) {
+        if (selected && !selected.has(line.itemId)) {
+          continue;
+        }
+        if (!supplierId) {
+          skipped.push({
+            itemId: line.itemId,
+            itemName: line.itemName,
+            reason: 'No supplier on record',
+          });
+          continue;
+        }
+        if (!linesBySupplier.has(String(supplierId))) {
+          linesBySupplier.set(String(supplierId), []);
+        }
+        linesBySupplier.get(String(supplierId)).push({
+          itemId: line.itemId,
+          quantity: line.quantity,
+          unitPrice: line.unitPrice,
+        });
+      }
+    }
+
+    const orders = [];
+    for (const [supplierId, lines] of linesBySupplier) {
+      orders.push(
+        await this.purchaseOrderService.createPurchaseOrder({
+          supplierId,
+          lines,
+          notes: `Reorder suggestion for the next ${horizonDays} days`,
+        })
+      );
+    }
+
+    return { orders, skipped };
+  }
+}
@@ -0,0 +1,461 @@
+import { InventoryItemRepository } from '../../infrastructure/repositories/inventory-item.repository.js';
+import { StockTakeRepository } from '../../infrastructure/repositories/stock-take.repository.js';
+import {
+  INVENTORY_MOVEMENT_SOURCES,
+  INVENTORY_MOVEMENT_TYPES,
+  STOCK_TAKE_STATUS,
+} from '../constants/inventory-constants.js';
+import {
+  generateDocumentNumber,
+  isDuplicateNumberError,
+} from '../utils/document-number.util.js';
+import { roundQuantity } from '../utils/quantity.util.js';
+import { InventoryMovementService } from './inventory-movement.service.js';
+import { StorageLocationService } from './storage-location.service.js';
+import { getAuditActor } from '../../../audit-log/integration.js';
+
+function isCounted(line) {
+  return line.countedQuantity !== null && line.countedQuantity !== undefined;
+}
+
+function compareLines(a, b) {
+  const byName = a.itemName.localeCompare(b.itemName);
+
+  if (byName !== 0) {
+    return byName;
+  }
+
+  // Undated batches after dated ones, as on the shelf
+  const aExpiry = a.expiryDate ? new Date(a.expiryDate).getTime() : Infinity;
+  const bExpiry = b.expiryDate ? new Date(b.expiryDate).getTime() : Infinity;
+
+  return aExpiry - bExpiry;
+}
+
+/**
+ * Service for physical stock-takes (cycle counts).
+ * A stock-take snapshots one count-sheet line per stocked batch of a
+ * location and/or category. Counts are recorded per line while
+ * IN_PROGRESS; each count also refreshes the line's system quantity so
+ * stock used during the count is not mistaken for a variance. Once
+ * SUBMITTED the counts are frozen for review, and posting applies the
+ * approved variances to their batches as ADJUSTMENT movements.
+ */
+export class StockTakeService {
+  constructor({
+    stockTakeRepository = new StockTakeRepository(),
+    inventoryItemRepository = new InventoryItemRepository(),
+    inventoryMovementService = new InventoryMovementService(),
+    storageLocationService = new StorageLocationService(),
+  } = {}) {
+    this.stockTakeRepository = stockTakeRepository;
+    this.inventoryItemRepository = inventoryItemRepository;
+    this.inventoryMovementService = inventoryMovementService;
+    this.storageLocationService = storageLocationService;
+  }
+
+  _createBadRequestError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+
+  _createConflictError(message) {
+    const error = new Error(message);
+    error.statusCode = 409;
+    return error;
+  }
+
+  /**
+   * List stock-takes with optional filters, newest first
+   * @param {{ status?: string, locationId?: string }} [filters]
+   * @returns {Promise<Array>} Stock-takes
+   */
+  async listStockTakes(filters = {}) {
+    const queryFilter = {};
+
+    if (filters.status) {
+      queryFilter.status = filters.status;
+    }
+
+    if (filters.locationId) {
+      queryFilter.locationId = filters.locationId;
+    }
+
+    return this.stockTakeRepository.findMany(queryFilter);
+  }
+
+  /**
+   * Get a stock-take by ID
+   * @param {string} stockTakeId - Stock-take ID
+   * @returns {Promise<Object>} Found stock-take
+   * @throws {Error} If stock-take not found
+   */
+  async getStockTakeById(stockTakeId) {
+    const stockTake = await this.stockTakeRepository.findById(stockTakeId);
+
+    if (!stockTake) {
+      throw new Error(`Stock-take with ID ${stockTakeId} not found`);
+    }
+
+    return stockTake;
+  }
+
+  /**
+   * Load a stock-take in one of the given statuses
+   * @param {string} stockTakeId - Stock-take ID
+   * @param {Array<string>} statuses - Allowed statuses
+   * @param {string} action - What is being attempted, for the error message
+   * @returns {Promise<Object>} Stock-take
+   * @throws {Error} If not found, or 409 in any other status
+   */
+  async _getStockTakeInStatus(stockTakeId, statuses, action) {
+    const stockTake = await this.getStockTakeById(stockTakeId);
+
+    if (!statuses.includes(stockTake.status)) {
+      throw this._createConflictError(
+        `Stock-take ${stockTake.stockTakeNumber} is ${stockTake.status} and cannot be ${action}`
+      );
+    }
+
+    return stockTake;
+  }
+
+  /**
+   * Create the stock-take record, retrying the rare number collision
+   * @param {Object} stockTakeData - Stock-take data
+   * @returns {Promise<Object>} Created stock-take
+   */
+  async _createWithNumber(stockTakeData) {
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return await this.stockTakeRepository.create({
+          ...stockTakeData,
+          stockTakeNumber: generateDocumentNumber('ST'),
+        });
+      } catch (error) {
+        if (!isDuplicateNumberError(error, 'stockTakeNumber') || attempt >= 3) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Start a stock-take and generate its count sheet: one line per batch
+   * with stock, ordered by item name and expiry
+   * @param {{ locationId?: string, category?: string, notes?: string }} scope
+   *   Location and/or category to count; neither counts everything
+   * @returns {Promise<Object>} IN_PROGRESS stock-take
+   * @throws {Error} If the location is not found, or 400 when there is nothing to count
+   */
+  async createStockTake(scope = {}) {
+    const location = scope.locationId
+      ? await this.storageLocationService.getLocationById(scope.locationId)
+      : null;
+
+    const itemFilter = {};
+
+    if (scope.category) {
+      itemFilter.category = scope.category;
+    }
+
+    if (location) {
+      itemFilter.batches = {
+        $elemMatch: { locationId: location._id, quantity: { $gt: 0 } },
+      };
+    }
+
+    const items = await this.inventoryItemRepository.findMany(itemFilter);
+    const lines = items
+      .flatMap((item) =>
+        (item.batches || [])
+          .filter(
+            (batch) =>
+              batch.quantity > 0 &&
+              (!location ||
+                String(batch.locationId) === location._id.toString())
+          )
+          .map((batch) => ({
+            itemId: item._id,
+            itemName: item.name,
+            barcode: item.barcode ?? '',
+            unit: item.unit,
+            batchId: batch._id,
+            expiryDate: batch.expiryDate ?? null,
+            location: batch.location ?? '',
+            unitPrice: batch.unitPrice ?? 0,
+            systemQuantity: batch.quantity,
+          }))
+      )
+      .sort(compareLines);
+
+    if (lines.length === 0) {
+      throw this._createBadRequestError(
+        'There is no stock to count for this location and category'
+      );
+    }
+
+    return this._createWithNumber({
+      locationId: location?._id ?? null,
+      locationName: location?.name ?? '',
+      category: scope.category ?? null,
+      status: STOCK_TAKE_STATUS.IN_PROGRESS,
+      lines,
+      notes: scope.notes ?? '',
+    });
+  }
+
+  /**
+   * Record counted quantities. A null count clears the line. Each counted
+   * line's system quantity is refreshed from its batch, or 0 if the batch
+   * has since been used up or removed.
+   * @param {string} stockTakeId - Stock-take ID
+   * @param {Array<{ lineId: string, countedQuantity: number|null, note?: string }>} counts
+   * @returns {Promise<Object>} Updated stock-take
+   * @throws {Error} If not found, 409 unless IN_PROGRESS, or 400 for a line not on the sheet
+   */
+  async recordCounts(stockTakeId, counts) {
+    const stockTake = await this._getStockTakeInStatus(
+      stockTakeId,
+      [STOCK_TAKE_STATUS.IN_PROGRESS],
+      'counted'
+    );
+
+    const updates = counts.map((count) => {
+      const line = stockTake.lines.id(count.lineId);
+
+      if (!line) {
+        throw this._createBadRequestError(
+          `Stock-take line with ID ${count.lineId} not found on ${stockTake.stockTakeNumber}`
+        );
+      }
+
+      return { count, line };
+    });
+
+    const itemIds = [
+      ...new Set(updates.map(({ line }) => line.itemId.toString())),
+    ];
+    const items = await this.inventoryItemRepository.findMany({
+      _id: { $in: itemIds },
+    });
+    const batchQuantities = new Map(
+      items.flatMap((item) =>
+        (item.batches || []).map((batch) => [
+          batch._id.toString(),
+          batch.quantity,
+        ])
+      )
+    );
+    const now = new Date();
+    const { actorId } = getAuditActor();
+
+    for (const { count, line } of updates) {
+      line.systemQuantity = batchQuantities.get(line.batchId.toString()) ?? 0;
+      line.countedQuantity = count.countedQuantity;
+      line.countedAt = count.countedQuantity === null ? null : now;
+      line.countedBy = count.countedQuantity === null ? null : actorId;
+
+      if (count.note !== undefined) {
+        line.note = count.note;
+      }
+    }
+
+    return this.stockTakeRepository.save(stockTake);
+  }
+
+  /**
+   * Close counting and freeze the counts for review
+   * @param {string} stockTakeId - Stock-take ID
+   * @returns {Promise<Object>} SUBMITTED stock-take
+   * @throws {Error} If not found, 409 unless IN_PROGRESS, or 400 when nothing was counted
+   */
+  async submitStockTake(stockTakeId) {
+    const stockTake = await this._getStockTakeInStatus(
+      stockTakeId,
+      [STOCK_TAKE_STATUS.IN_PROGRESS],
+      'submitted'
+    );
+
+    if (!stockTake.lines.some(isCounted)) {
+      throw this._createBadRequestError(
+        `Record at least one count before submitting ${stockTake.stockTakeNumber}`
+      );
+    }
+
+    stockTake.status = STOCK_TAKE_STATUS.SUBMITTED;
+    stockTake.submittedAt = new Date();
+
+    return this.stockTakeRepository.save(stockTake);
+  }
+
+  /**
+   * Post approved variances to stock. Each approved line changes its batch
+   * by counted minus system quantity, never below zero; uncounted lines and
+   * lines without a variance are left alone.
+   *
+   * The stock-take is claimed as POSTING before any batch changes, so a
+   * second post of the same sheet gets a 409 instead of applying every
+   * variance again. If posting fails part-way it returns to SUBMITTED with
+   * the lines posted so far, and a retry skips those lines.
+   * @param {string} stockTakeId - Stock-take ID
+   * @param {{ lineIds?: Array<string> }} [approval] - Lines whose variances
+   *   are approved; every counted variance when omitted
+   * @returns {Promise<Object>} POSTED stock-take
+   * @throws {Error} If not found, 409 unless SUBMITTED, or 400 for a line not on the sheet
+   */
+  async postStockTake(stockTakeId, approval = {}) {
+    const submitted = await this._getStockTakeInStatus(
+      stockTakeId,
+      [STOCK_TAKE_STATUS.SUBMITTED],
+      'posted'
+    );
+    // Lines are fixed once submitted, so a bad approval is refused unclaimed
+    this._findApprovedLines(submitted, approval);
+
+    const stockTake = await this.stockTakeRepository.claimStatus(
+      stockTakeId,
+      STOCK_TAKE_STATUS.SUBMITTED,
+      STOCK_TAKE_STATUS.POSTING
+    );
+
+    if (!stockTake) {
+      // Deleted (404) or posted by another request in between (409)
+      const current = await this._getStockTakeInStatus(
+        stockTakeId,
+        [STOCK_TAKE_STATUS.SUBMITTED],
+        'posted'
+      );
+      // Back to SUBMITTED after another post failed in between
+      throw this._createConflictError(
+        `Stock-take ${current.stockTakeNumber} was just being posted; try again`
+      );
+    }
+
+    try {
+      await this._applyVariances(stockTake, approval);
+    } catch (error) {
+      stockTake.status = STOCK_TAKE_STATUS.SUBMITTED;
+      await this.stockTakeRepository.save(stockTake);
+      throw error;
+    }
+
+    stockTake.status = STOCK_TAKE_STATUS.POSTED;
+    stockTake.postedAt = new Date();
+    stockTake.postedBy = getAuditActor().actorId;
+
+    return this.stockTakeRepository.save(stockTake);
+  }
+
+  /**
+   * Resolve the approved lines of a stock-take
+   * @param {Object} stockTake - Stock-take
+   * @param {{ lineIds?: Array<string> }} approval - Approved lines
+   * @returns {Array<Object>} Approved lines; every line when none are named
+   * @throws {Error} 400 for a line not on the sheet
+   */
+  _findApprovedLines(stockTake, approval) {
+    if (!approval.lineIds) {
+      return stockTake.lines;
+    }
+
+    return approval.lineIds.map((lineId) => {
+      const line = stockTake.lines.id(lineId);
+
+      if (!line) {
+        throw this._createBadRequestError(
+          `Stock-take line with ID ${lineId} not found on ${stockTake.stockTakeNumber}`
+        );
+      }
+
+      return line;
+    });
+  }
+
+  /**
+   * Apply the approved variances of a claimed stock-take, recording each
+   * line's posted quantity as its item is adjusted
+   * @param {Object} stockTake - Stock-take claimed as POSTING
+   * @param {{ lineIds?: Array<string> }} approval - Approved lines
+   * @returns {Promise<void>}
+   */
+  async _applyVariances(stockTake, approval) {
+    const approvedLines = this._findApprovedLines(stockTake, approval);
+    const adjustmentsByItem = new Map();
+
+    for (const line of approvedLines) {
+      // Already posted by an earlier attempt that failed part-way
+      if (!isCounted(line) || line.postedQuantity !== null) {
+        continue;
+      }
+
+      const quantity = roundQuantity(
+        line.countedQuantity - line.systemQuantity
+      );
+
+      if (quantity === 0) {
+        continue;
+      }
+
+      const itemKey = line.itemId.toString();
+      if (!adjustmentsByItem.has(itemKey)) {
+        adjustmentsByItem.set(itemKey, []);
+      }
+      adjustmentsByItem.get(itemKey).push({ line, quantity });
+    }
+
+    for (const [itemId, adjustments] of adjustmentsByItem) {
+      const before = await this.inventoryItemRepository.findById(itemId);
+      const result = before
+        ? await this.inventoryItemRepository.adjustBatchQuantities(
+            itemId,
+            adjustments.map(({ line, quantity }) => ({
+              batchId: line.batchId,
+              quantity,
+            }))
+          )
+        : null;
+
+      // Marked before recording, so a retry never adjusts these batches twice.
+      // 0 records an approved variance whose item or batch no longer exists.
+      for (const { line } of adjustments) {
+        line.postedQuantity = result?.applied.get(line.batchId.toString()) ?? 0;
+      }
+
+      if (result) {
+        await this.inventoryMovementService.recordBatchChanges(
+          before,
+          result.item,
+          {
+            type: INVENTORY_MOVEMENT_TYPES.ADJUSTMENT,
+            reason: `Stock-take ${stockTake.stockTakeNumber}`,
+            source: INVENTORY_MOVEMENT_SOURCES.STOCK_TAKE,
+            sourceRef: stockTake._id.toString(),
+          }
+        );
+      }
+    }
+  }
+
+  /**
+   * Cancel a stock-take that has not been posted; stock is not changed
+   * @param {string} stockTakeId - Stock-take ID
+   * @param {string} [reason] - Cancellation reason
+   * @returns {Promise<Object>} CANCELLED stock-take
+   * @throws {Error} If not found, or 409 if already posted or cancelled
+   */
+  async cancelStockTake(stockTakeId, reason) {
+    const stockTake = await this._getStockTakeInStatus(
+      stockTakeId,
+      [STOCK_TAKE_STATUS.IN_PROGRESS, STOCK_TAKE_STATUS.SUBMITTED],
+      'cancelled'
+    );
+
+    stockTake.status = STOCK_TAKE_STATUS.CANCELLED;
+    stockTake.cancelledAt = new Date();
+    stockTake.cancelReason = reason ?? '';
+
+    return this.stockTakeRepository.save(stockTake);
+  }
+}
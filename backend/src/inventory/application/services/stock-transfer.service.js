@@ -0,0 +1,363 @@
+import { InventoryItemRepository } from '../../infrastructure/repositories/inventory-item.repository.js';
+import { InventoryReservationRepository } from '../../infrastructure/repositories/inventory-reservation.repository.js';
+import { StockTransferRepository } from '../../infrastructure/repositories/stock-transfer.repository.js';
+import {
+  INVENTORY_MOVEMENT_SOURCES,
+  INVENTORY_MOVEMENT_TYPES,
+  STOCK_TRANSFER_STATUS,
+} from '../constants/inventory-constants.js';
+import {
+  generateDocumentNumber,
+  isDuplicateNumberError,
+} from '../utils/document-number.util.js';
+import { InventoryMovementService } from './inventory-movement.service.js';
+import { StorageLocationService } from './storage-location.service.js';
+import { getAuditActor } from '../../../audit-log/integration.js';
+
+/**
+ * Service for moving stock between storage locations.
+ * Dispatching takes the quantity FIFO from the free (unreserved) batches at
+ * the source and holds it on the transfer while IN_TRANSIT. Receiving adds
+ * it at the destination as batches that keep the source batches' expiry,
+ * supplier and price; cancelling puts it back at the source. Every step is
+ * recorded in the movement ledger as a TRANSFER.
+ */
+export class StockTransferService {
+  constructor({
+    stockTransferRepository = new StockTransferRepository(),
+    inventoryItemRepository = new InventoryItemRepository(),
+    inventoryReservationRepository = new InventoryReservationRepository(),
+    inventoryMovementService = new InventoryMovementService(),
+    storageLocationService = new StorageLocationService(),
+  } = {}) {
+    this.stockTransferRepository = stockTransferRepository;
+    this.inventoryItemRepository = inventoryItemRepository;
+    this.inventoryReservationRepository = inventoryReservationRepository;
+    this.inventoryMovementService = inventoryMovementService;
+    this.storageLocationService = storageLocationService;
+  }
+
+  _createBadRequestError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+
+  _createConflictError(message) {
+    const error = new Error(message);
+    error.statusCode = 409;
+    return error;
+  }
+
+  /**
+   * List stock transfers with optional filters, newest first
+   * @param {{ status?: string, itemId?: string, locationId?: string }} [filters]
+   *   locationId matches transfers from or to the location
+   * @returns {Promise<Array>} Stock transfers
+   */
+  async listTransfers(filters = {}) {
+    const queryFilter = {};
+
+    if (filters.status) {
+      queryFilter.status = filters.status;
+    }
+
+    if (filters.itemId) {
+      queryFilter.itemId = filters.itemId;
+    }
+
+    if (filters.locationId) {
+      queryFilter.$or = [
+        { fromLocationId: filters.locationId },
+        { toLocationId: filters.locationId },
+      ];
+    }
+
+    return this.stockTransferRepository.findMany(queryFilter);
+  }
+
+  /**
+   * Get a stock transfer by ID
+   * @param {string} transferId - Stock transfer ID
+   * @returns {Promise<Object>} Found stock transfer
+   * @throws {Error} If stock transfer not found
+   */
+  async getTransferById(transferId) {
+    const transfer = await this.stockTransferRepository.findById(transferId);
+
+    if (!transfer) {
+      throw new Error(`Stock transfer with ID ${transferId} not found`);
+    }
+
+    return transfer;
+  }
+
+  /**
+   * Create the transfer record, retrying the rare transfer number collision
+   * @param {Object} transferData - Stock transfer data
+   * @returns {Promise<Object>} Created stock transfer
+   */
+  async _createWithNumber(transferData) {
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return await this.stockTransferRepository.create({
+          ...transferData,
+          transferNumber: generateDocumentNumber('TR'),
+        });
+      } catch (error) {
+        if (!isDuplicateNumberError(error, 'transferNumber') || attempt >= 3) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Dispatch stock from one location to another
+   * @param {{ itemId: string, fromLocationId: string, toLocationId: string, quantity: number, notes?: string }} transferData
+   * @returns {Promise<Object>} IN_TRANSIT stock transfer
+   * @throws {Error} If the item is not found, or 400 for unusable locations or too little free stock at the source
+   */
+  async dispatchTransfer(transferData) {
+    if (
+      String(transferData.fromLocationId) === String(transferData.toLocationId)
+    ) {
+      throw this._createBadRequestError(
+        'Source and destination locations must differ'
+      );
+    }
+
+    const [fromLocation, toLocation] = await Promise.all([
+      this.storageLocationService.getLocationById(transferData.fromLocationId),
+      this.storageLocationService.getActiveLocation(transferData.toLocationId),
+    ]);
+    const item = await this.inventoryItemRepository.findById(
+      transferData.itemId
+    );
+
+    if (!item) {
+      throw new Error(
+        `Inventory item with ID ${transferData.itemId} not found`
+      );
+    }
+
+    const transfer = await this._createWithNumber({
+      itemId: item._id,
+      itemName: item.name,
+      unit: item.unit,
+      quantity: transferData.quantity,
+      fromLocationId: fromLocation._id,
+      fromLocationName: fromLocation.name,
+      toLocationId: toLocation._id,
+      toLocationName: toLocation.name,
+      status: STOCK_TRANSFER_STATUS.IN_TRANSIT,
+      notes: transferData.notes ?? '',
+      dispatchedBy: getAuditActor().actorId,
+      dispatchedAt: new Date(),
+    });
+
+    const heldByBatch =
+      await this.inventoryReservationRepository.sumReservedByBatch(item._id);
+    const result = await this.inventoryItemRepository.takeFromLocation(
+      item._id,
+      fromLocation._id,
+      transferData.quantity,
+      heldByBatch
+    );
+
+    if (!result) {
+      await this.stockTransferRepository.deleteById(transfer._id);
+      throw this._createBadRequestError(
+        `Not enough unreserved stock of ${item.name} at ${fromLocation.name}`
+      );
+    }
+
+    await this.inventoryMovementService.recordBatchChanges(item, result.item, {
+      type: INVENTORY_MOVEMENT_TYPES.TRANSFER,
+      reason: `Dispatched to ${toLocation.name}`,
+      source: INVENTORY_MOVEMENT_SOURCES.STOCK_TRANSFER,
+      sourceRef: transfer._id.toString(),
+    });
+
+    transfer.batches = result.taken.map(({ batch, quantity }) => ({
+      sourceBatchId: batch._id,
+      quantity,
+      expiryDate: batch.expiryDate ?? null,
+      supplier: batch.supplier ?? '',
+      supplierId: batch.supplierId ?? null,
+      purchaseOrderId: batch.purchaseOrderId ?? null,
+      unitPrice: batch.unitPrice ?? 0,
+      batchNote: batch.batchNote ?? '',
+    }));
+
+    return this.stockTransferRepository.save(transfer);
+  }
+
+  /**
+   * Put a transfer's stock into batches at a location. Each carried batch
+   * records the batch it became as soon as it is placed, so a retry after a
+   * failed attempt skips it instead of adding it twice.
+   * @param {Object} transfer - Claimed stock transfer
+   * @param {{ locationId: Object, locationName: string, reason: string }} destination
+   * @returns {Promise<void>}
+   * @throws {Error} If the item no longer exists, or 409 if an earlier
+   *   attempt placed stock at the other location
+   */
+  async _placeStock(transfer, { locationId, locationName, reason }) {
+    const placedElsewhere = transfer.batches.find(
+      (carried) =>
+        carried.arrivedBatchId &&
+        carried.arrivedLocationId?.toString() !== locationId.toString()
+    );
+
+    if (placedElsewhere) {
+      const receiving =
+        placedElsewhere.arrivedLocationId?.toString() ===
+        transfer.toLocationId.toString();
+      throw this._createConflictError(
+        receiving
+          ? `Stock transfer ${transfer.transferNumber} was partly received; receive it again to finish`
+          : `Stock transfer ${transfer.transferNumber} was partly returned to its source; cancel it again to finish`
+      );
+    }
+
+    const pending = transfer.batches.filter(
+      (carried) => !carried.arrivedBatchId
+    );
+
+    if (pending.length === 0) {
+      return;
+    }
+
+    const before = await this.inventoryItemRepository.findById(transfer.itemId);
+    const after = await this.inventoryItemRepository.addBatchesById(
+      transfer.itemId,
+      pending.map((carried) => ({
+        quantity: carried.quantity,
+        expiryDate: carried.expiryDate,
+        supplier: carried.supplier,
+        supplierId: carried.supplierId,
+        purchaseOrderId: carried.purchaseOrderId,
+        unitPrice: carried.unitPrice,
+        batchNote: carried.batchNote,
+        location: locationName,
+        locationId,
+      }))
+    );
+
+    if (after) {
+      // The new batches were appended in the order they were carried.
+      const arrived = after.batches.slice(-pending.length);
+      pending.forEach((carried, index) => {
+        carried.arrivedBatchId = arrived[index]?._id ?? null;
+        carried.arrivedLocationId = locationId;
+      });
+    }
+
+    if (!before || !after) {
+      throw new Error(`Inventory item with ID ${transfer.itemId} not found`);
+    }
+
+    await this.inventoryMovementService.recordBatchChanges(before, after, {
+      type: INVENTORY_MOVEMENT_TYPES.TRANSFER,
+      reason,
+      source: INVENTORY_MOVEMENT_SOURCES.STOCK_TRANSFER,
+      sourceRef: transfer._id.toString(),
+    });
+  }
+
+  /**
+   * Claim an in-transit transfer for receiving or cancelling. The claim is
+   * atomic, so of two concurrent requests only one places the stock.
+   * @param {string} transferId - Stock transfer ID
+   * @param {string} claimStatus - RECEIVING or CANCELLING
+   * @returns {Promise<Object>} Claimed stock transfer
+   * @throws {Error} If not found, or 409 if it is no longer in transit
+   */
+  async _claimInTransitTransfer(transferId, claimStatus) {
+    const transfer = await this.stockTransferRepository.claimStatus(
+      transferId,
+      STOCK_TRANSFER_STATUS.IN_TRANSIT,
+      claimStatus
+    );
+
+    if (!transfer) {
+      const current = await this.getTransferById(transferId);
+      throw this._createConflictError(
+        `Stock transfer ${current.transferNumber} is ${current.status}, not in transit`
+      );
+    }
+
+    return transfer;
+  }
+
+  /**
+   * Place a claimed transfer's stock, handing the transfer back to
+   * IN_TRANSIT, with the batches placed so far, if it could not finish
+   * @param {Object} transfer - Claimed stock transfer
+   * @param {{ locationId: Object, locationName: string, reason: string }} destination
+   * @returns {Promise<void>}
+   * @throws {Error} If the item no longer exists, or 409 if an earlier
+   *   attempt placed stock at the other location
+   */
+  async _placeClaimedStock(transfer, destination) {
+    try {
+      await this._placeStock(transfer, destination);
+    } catch (error) {
+      transfer.status = STOCK_TRANSFER_STATUS.IN_TRANSIT;
+      await this.stockTransferRepository.save(transfer);
+      throw error;
+    }
+  }
+
+  /**
+   * Receive an in-transit transfer at its destination
+   * @param {string} transferId - Stock transfer ID
+   * @returns {Promise<Object>} RECEIVED stock transfer
+   * @throws {Error} If not found, or 409 if it is not in transit
+   */
+  async receiveTransfer(transferId) {
+    const transfer = await this._claimInTransitTransfer(
+      transferId,
+      STOCK_TRANSFER_STATUS.RECEIVING
+    );
+
+    await this._placeClaimedStock(transfer, {
+      locationId: transfer.toLocationId,
+      locationName: transfer.toLocationName,
+      reason: `Received from ${transfer.fromLocationName}`,
+    });
+
+    transfer.status = STOCK_TRANSFER_STATUS.RECEIVED;
+    transfer.receivedAt = new Date();
+    transfer.receivedBy = getAuditActor().actorId;
+
+    return this.stockTransferRepository.save(transfer);
+  }
+
+  /**
+   * Cancel an in-transit transfer, returning the stock to its source
+   * @param {string} transferId - Stock transfer ID
+   * @param {string} [reason] - Cancellation reason
+   * @returns {Promise<Object>} CANCELLED stock transfer
+   * @throws {Error} If not found, or 409 if it is not in transit
+   */
+  async cancelTransfer(transferId, reason) {
+    const transfer = await this._claimInTransitTransfer(
+      transferId,
+      STOCK_TRANSFER_STATUS.CANCELLING
+    );
+
+    await this._placeClaimedStock(transfer, {
+      locationId: transfer.fromLocationId,
+      locationName: transfer.fromLocationName,
+      reason: `Transfer to ${transfer.toLocationName} cancelled`,
+    });
+
+    transfer.status = STOCK_TRANSFER_STATUS.CANCELLED;
+    transfer.cancelledAt = new Date();
+    transfer.cancelReason = reason ?? '';
+
+    return this.stockTransferRepository.save(transfer);
+  }
+}
@@ -0,0 +1,210 @@
+import { InventoryItemRepository } from '../../infrastructure/repositories/inventory-item.repository.js';
+import { StockTransferRepository } from '../../infrastructure/repositories/stock-transfer.repository.js';
+import { StorageLocationRepository } from '../../infrastructure/repositories/storage-location.repository.js';
+import { findSchoolById } from '../../../school-management/infrastructure/repositories/school.repository.js';
+
+function escapeRegExp(value = '') {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Service for storage location business logic
+ */
+export class StorageLocationService {
+  constructor({
+    storageLocationRepository = new StorageLocationRepository(),
+    inventoryItemRepository = new InventoryItemRepository(),
+    stockTransferRepository = new StockTransferRepository(),
+    schoolLookup = findSchoolById,
+  } = {}) {
+    this.storageLocationRepository = storageLocationRepository;
+    this.inventoryItemRepository = inventoryItemRepository;
+    this.stockTransferRepository = stockTransferRepository;
+    this.schoolLookup = schoolLookup;
+  }
+
+  _createBadRequestError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+
+  _createConflictError(message) {
+    const error = new Error(message);
+    error.statusCode = 409;
+    return error;
+  }
+
+  /**
+   * Reject a name already used by another location
+   * @param {string} name - Location name
+   * @param {string} [locationId] - Location being updated
+   * @throws {Error} 409 if the name is taken
+   */
+  async _assertNameAvailable(name, locationId) {
+    const existing = await this.storageLocationRepository.findByName(name);
+
+    if (existing && existing._id.toString() !== String(locationId)) {
+      throw this._createConflictError(
+        `A storage location named "${existing.name}" already exists`
+      );
+    }
+  }
+
+  /**
+   * Reject a school that does not exist
+   * @param {string|null|undefined} schoolId - School ID
+   * @throws {Error} 400 if the school is unknown
+   */
+  async _assertSchoolExists(schoolId) {
+    if (!schoolId) {
+      return;
+    }
+
+    if (!(await this.schoolLookup(schoolId))) {
+      throw this._createBadRequestError(`School with ID ${schoolId} not found`);
+    }
+  }
+
+  /**
+   * List storage locations with optional filters
+   * @param {{ active?: boolean, type?: string, schoolId?: string, search?: string }} [filters]
+   * @returns {Promise<Array>} Locations ordered by name
+   */
+  async listLocations(filters = {}) {
+    const queryFilter = {};
+
+    if (typeof filters.active === 'boolean') {
+      queryFilter.active = filters.active;
+    }
+
+    if (filters.type) {
+      queryFilter.type = filters.type;
+    }
+
+    if (filters.schoolId) {
+      queryFilter.schoolId = filters.schoolId;
+    }
+
+    if (filters.search) {
+      queryFilter.name = {
+        $regex: escapeRegExp(filters.search),
+        $options: 'i',
+      };
+    }
+
+    return this.storageLocationRepository.findMany(queryFilter);
+  }
+
+  /**
+   * Get a storage location by ID
+   * @param {string} locationId - Location ID
+   * @returns {Promise<Object>} Found location
+   * @throws {Error} If location not found
+   */
+  async getLocationById(locationId) {
+    const location = await this.storageLocationRepository.findById(locationId);
+
+    if (!location) {
+      throw new Error(`Storage location with ID ${locationId} not found`);
+    }
+
+    return location;
+  }
+
+  /**
+   * Get a location that can take stock
+   * @param {string} locationId - Location ID
+   * @returns {Promise<Object>} Active location
+   * @throws {Error} 400 if the location is unknown or inactive
+   */
+  async getActiveLocation(locationId) {
+    const location = await this.storageLocationRepository.findById(locationId);
+
+    if (!location) {
+      throw this._createBadRequestError(
+        `Storage location with ID ${locationId} not found`
+      );
+    }
+
+    if (!location.active) {
+      throw this._createBadRequestError(
+        `Storage location "${location.name}" is inactive`
+      );
+    }
+
+    return location;
+  }
+
+  /**
+   * Create a storage location
+   * @param {Object} locationData - Location data
+   * @returns {Promise<Object>} Created location
+   * @throws {Error} 400 for an unknown school, 409 if the name is taken
+   */
+  async createLocation(locationData) {
+    await this._assertSchoolExists(locationData.schoolId);
+    await this._assertNameAvailable(locationData.name);
+
+    return this.storageLocationRepository.create(locationData);
+  }
+
+  /**
+   * Update a storage location. Batches keep the name they were stored under
+   * until they move.
+   * @param {string} locationId - Location ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated location
+   * @throws {Error} If not found, 400 for an unknown school, 409 if the new name is taken
+   */
+  async updateLocation(locationId, updates) {
+    await this._assertSchoolExists(updates.schoolId);
+
+    if (updates.name !== undefined) {
+      await this._assertNameAvailable(updates.name, locationId);
+    }
+
+    const location = await this.storageLocationRepository.updateById(
+      locationId,
+      updates
+    );
+
+    if (!location) {
+      throw new Error(`Storage location with ID ${locationId} not found`);
+    }
+
+    return location;
+  }
+
+  /**
+   * Delete a storage location. Locations holding stock or named on a
+   * transfer can only be deactivated.
+   * @param {string} locationId - Location ID
+   * @returns {Promise<Object>} Deleted location
+   * @throws {Error} If not found, or 409 if the location is in use
+   */
+  async deleteLocation(locationId) {
+    const location = await this.getLocationById(locationId);
+
+    const [stockedItems, hasTransfers] = await Promise.all([
+      this.inventoryItemRepository.count({
+        batches: {
+          $elemMatch: { locationId: location._id, quantity: { $gt: 0 } },
+        },
+      }),
+      this.stockTransferRepository.exists({
+        $or: [{ fromLocationId: location._id }, { toLocationId: location._id }],
+      }),
+    ]);
+
+    if (stockedItems > 0 || hasTransfers) {
+      const error = this._createConflictError(
+        'Storage location holds stock or has transfers and cannot be deleted. Deactivate it instead.'
+      );
+      error.action = 'DEACTIVATE_STORAGE_LOCATION';
+      throw error;
+    }
+
+    return this.storageLocationRepository.deleteById(locationId);
+  }
+}
@@ -0,0 +1,138 @@
+import { SupplierRepository } from '../../infrastructure/repositories/supplier.repository.js';
+import { PurchaseOrderRepository } from '../../infrastructure/repositories/purchase-order.repository.js';
+
+function escapeRegExp(value = '') {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Service for supplier business logic
+ */
+export class SupplierService {
+  constructor({
+    supplierRepository = new SupplierRepository(),
+    purchaseOrderRepository = new PurchaseOrderRepository(),
+  } = {}) {
+    this.supplierRepository = supplierRepository;
+    this.purchaseOrderRepository = purchaseOrderRepository;
+  }
+
+  _createConflictError(message) {
+    const error = new Error(message);
+    error.statusCode = 409;
+    return error;
+  }
+
+  /**
+   * Reject a name already used by another supplier
+   * @param {string} name - Supplier name
+   * @param {string} [supplierId] - Supplier being updated
+   * @throws {Error} 409 if the name is taken
+   */
+  async _assertNameAvailable(name, supplierId) {
+    const existing = await this.supplierRepository.findByName(name);
+
+    if (existing && existing._id.toString() !== String(supplierId)) {
+      throw this._createConflictError(
+        `A supplier named "${existing.name}" already exists`
+      );
+    }
+  }
+
+  /**
+   * List suppliers with optional filters
+   * @param {{ active?: boolean, search?: string }} [filters]
+   * @returns {Promise<Array>} Suppliers ordered by name
+   */
+  async listSuppliers(filters = {}) {
+    const queryFilter = {};
+
+    if (typeof filters.active === 'boolean') {
+      queryFilter.active = filters.active;
+    }
+
+    if (filters.search) {
+      queryFilter.name = {
+        $regex: escapeRegExp(filters.search),
+        $options: 'i',
+      };
+    }
+
+    return this.supplierRepository.findMany(queryFilter);
+  }
+
+  /**
+   * Get a supplier by ID
+   * @param {string} supplierId - Supplier ID
+   * @returns {Promise<Object>} Found supplier
+   * @throws {Error} If supplier not found
+   */
+  async getSupplierById(supplierId) {
+    const supplier = await this.supplierRepository.findById(supplierId);
+
+    if (!supplier) {
+      throw new Error(`Supplier with ID ${supplierId} not found`);
+    }
+
+    return supplier;
+  }
+
+  /**
+   * Create a supplier
+   * @param {Object} supplierData - Supplier data
+   * @returns {Promise<Object>} Created supplier
+   * @throws {Error} 409 if the name is taken
+   */
+  async createSupplier(supplierData) {
+    await this._assertNameAvailable(supplierData.name);
+
+    return this.supplierRepository.create(supplierData);
+  }
+
+  /**
+   * Update a supplier
+   * @param {string} supplierId - Supplier ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated supplier
+   * @throws {Error} If supplier not found, or 409 if the new name is taken
+   */
+  async updateSupplier(supplierId, updates) {
+    if (updates.name !== undefined) {
+      await this._assertNameAvailable(updates.name, supplierId);
+    }
+
+    const supplier = await this.supplierRepository.updateById(
+      supplierId,
+      updates
+    );
+
+    if (!supplier) {
+      throw new Error(`Supplier with ID ${supplierId} not found`);
+    }
+
+    return supplier;
+  }
+
+  /**
+   * Delete a supplier. Suppliers with purchase orders are kept for the order
+   * history and can only be deactivated.
+   * @param {string} supplierId - Supplier ID
+   * @returns {Promise<Object>} Deleted supplier
+   * @throws {Error} If supplier not found, or 409 if it has purchase orders
+   */
+  async deleteSupplier(supplierId) {
+    const supplier = await this.getSupplierById(supplierId);
+
+    if (
+      await this.purchaseOrderRepository.exists({ supplierId: supplier._id })
+    ) {
+      const error = this._createConflictError(
+        'Supplier has purchase orders and cannot be deleted. Deactivate it instead.'
+      );
+      error.action = 'DEACTIVATE_SUPPLIER';
+      throw error;
+    }
+
+    return this.supplierRepository.deleteById(supplierId);
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * Human-readable document number: <prefix>-<yyyymmdd>-<4 random base36 characters>
+ * @param {string} prefix - Document prefix, e.g. 'PO'
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function generateDocumentNumber(prefix, now = new Date()) {
+  const datePart = now.toISOString().slice(0, 10).replace(/-/g, '');
+  const randomPart = Math.floor(Math.random() * 36 ** 4)
+    .toString(36)
+    .toUpperCase()
+    .padStart(4, '0');
+
+  return `${prefix}-${datePart}-${randomPart}`;
+}
+
+/**
+ * Whether a write failed on the unique index of a generated number field
+ * @param {Error} error - Write error
+ * @param {string} field - Number field name
+ * @returns {boolean}
+ */
+export function isDuplicateNumberError(error, field) {
+  return error?.code === 11000 && Boolean(error?.keyPattern?.[field]);
+}
@@ -17,7 +17,7 @@ function toComparableDate(value) {
   return date;
 }
 
-function isBatchExpired(batch, now = new Date()) {
+export function isBatchExpired(batch, now = new Date()) {
   const expiryDate = toComparableDate(batch?.expiryDate);
 
   return Boolean(batch?.quantity > 0 && expiryDate && expiryDate < now);
@@ -122,3 +122,23 @@ export function syncQuantityAndStatus(item) {
 
   return item;
 }
+
+/**
+ * Sum of non-expired batch quantities, without mutating the item.
+ * @param {Object} item - Inventory item with batches
+ * @param {Date} [now=new Date()]
+ * @returns {number}
+ */
+export function getUsableQuantity(item, now = new Date()) {
+  const batches = Array.isArray(item?.batches) ? item.batches : [];
+
+  return batches.reduce((sum, batch) => {
+    const batchQuantity = Number(batch?.quantity ?? 0);
+
+    if (Number.isNaN(batchQuantity) || batchQuantity <= 0) {
+      return sum;
+    }
+
+    return isBatchExpired(batch, now) ? sum : sum + batchQuantity;
+  }, 0);
+}
@@ -0,0 +1,10 @@
+/**
+ * Round a quantity to six decimals. Quantities may be fractional (kg,
+ * liters), so sums and differences pick up float noise that would otherwise
+ * break comparisons and totals.
+ * @param {number} value
+ * @returns {number}
+ */
+export function roundQuantity(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
@@ -1,4 +1,16 @@
 import { inventoryRouter } from './presentation/controllers/inventory-item.controller.js';
+import { supplierRouter } from './presentation/controllers/supplier.controller.js';
+import { purchaseOrderRouter } from './presentation/controllers/purchase-order.controller.js';
+import { storageLocationRouter } from './presentation/controllers/storage-location.controller.js';
+import { stockTransferRouter } from './presentation/controllers/stock-transfer.controller.js';
+import { stockTakeRouter } from './presentation/controllers/stock-take.controller.js';
 
-//Exporting inventory router to be used in the main app
-export { inventoryRouter };
+//Exporting inventory routers to be used in the main app
+export {
+  inventoryRouter,
+  supplierRouter,
+  purchaseOrderRouter,
+  storageLocationRouter,
+  stockTransferRouter,
+  stockTakeRouter,
+};
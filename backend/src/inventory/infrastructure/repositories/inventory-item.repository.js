@@ -143,6 +143,31 @@ export class InventoryItemRepository {
     }).sort({ quantity: 1 });
   }
 
+  /**
+   * Re-derive quantity and status for every item with a dated batch so
+   * batches that expired since the item was last written get flagged
+   * @returns {Promise<{scanned: number, updated: number}>} Recompute summary
+   */
+  async recomputeExpiryStatuses() {
+    let scanned = 0;
+    let updated = 0;
+    const cursor = InventoryItem.find({
+      'batches.expiryDate': { $ne: null },
+    }).cursor();
+
+    for await (const item of cursor) {
+      scanned += 1;
+      syncQuantityAndStatus(item);
+
+      if (item.isModified()) {
+        await item.save();
+        updated += 1;
+      }
+    }
+
+    return { scanned, updated };
+  }
+
   /**
    * Find items by category
    * @param {string} category - Category name
@@ -171,6 +196,84 @@ export class InventoryItemRepository {
     return item.save();
   }
 
+  /**
+   * Add several stock batches to an item in one write
+   * @param {string} id - Inventory item ID
+   * @param {Array<Object>} batches - Batch data
+   * @returns {Promise<Object|null>} Updated inventory item (new batches last) or null
+   */
+  async addBatchesById(id, batches) {
+    const item = await InventoryItem.findById(id);
+
+    if (!item) {
+      return null;
+    }
+
+    item.batches.push(...batches);
+    syncQuantityAndStatus(item);
+
+    return item.save();
+  }
+
+  /**
+   * Take a quantity FIFO from the usable batches kept at one location,
+   * leaving quantities held for reservations in place
+   * @param {string} id - Inventory item ID
+   * @param {string} locationId - Storage location ID
+   * @param {number} amount - Quantity to take
+   * @param {Map<string, number>} [heldByBatch] - Reserved quantity per batch ID
+   * @returns {Promise<{ item: Object, taken: Array<{ batch: Object, quantity: number }> }|null>}
+   *   Updated item and the batches drawn from, or null if the item is missing
+   *   or the location has too little free stock
+   */
+  async takeFromLocation(id, locationId, amount, heldByBatch = new Map()) {
+    const item = await InventoryItem.findById(id);
+
+    if (!item) {
+      return null;
+    }
+
+    const now = new Date();
+    const freeBatches = sortBatchesFifo(
+      item.batches.filter(
+        (batch) =>
+          String(batch.locationId) === String(locationId) &&
+          batch.quantity > 0 &&
+          !isBatchExpired(batch, now)
+      )
+    )
+      .map((batch) => ({
+        batch,
+        free: batch.quantity - (heldByBatch.get(batch._id.toString()) || 0),
+      }))
+      .filter(({ free }) => free > 0);
+
+    const freeQuantity = freeBatches.reduce((sum, { free }) => sum + free, 0);
+
+    if (freeQuantity < amount) {
+      return null;
+    }
+
+    const taken = [];
+    let remainingAmount = amount;
+
+    for (const { batch, free } of freeBatches) {
+      if (remainingAmount <= 0) {
+        break;
+      }
+
+      const quantity = Math.min(free, remainingAmount);
+      taken.push({ batch: batch.toObject(), quantity });
+      batch.quantity -= quantity;
+      remainingAmount -= quantity;
+    }
+
+    item.batches = item.batches.filter((batch) => batch.quantity > 0);
+    syncQuantityAndStatus(item);
+
+    return { item: await item.save(), taken };
+  }
+
   /**
    * Remove a stock batch from an item
    * @param {string} itemId - Inventory item ID
@@ -244,4 +347,92 @@ export class InventoryItemRepository {
 
     return item.save();
   }
+
+  /**
+   * Change batch quantities by signed amounts, never below zero. Batches
+   * that were removed in the meantime are skipped; batches left empty are
+   * dropped.
+   * @param {string} id - Inventory item ID
+   * @param {Array<{ batchId: string, quantity: number }>} adjustments - Per-batch changes
+   * @returns {Promise<{ item: Object, applied: Map<string, number> }|null>} Updated item and the change applied per batch ID, or null
+   */
+  async adjustBatchQuantities(id, adjustments) {
+    const item = await InventoryItem.findById(id);
+
+    if (!item) {
+      return null;
+    }
+
+    const applied = new Map();
+
+    for (const { batchId, quantity } of adjustments) {
+      const batch = item.batches.id(batchId);
+
+      if (!batch) {
+        continue;
+      }
+
+      const nextQuantity = Math.max(0, batch.quantity + quantity);
+      applied.set(String(batchId), nextQuantity - batch.quantity);
+      batch.quantity = nextQuantity;
+    }
+
+    item.batches = item.batches.filter((batch) => batch.quantity > 0);
+    syncQuantityAndStatus(item);
+
+    return { item: await item.save(), applied };
+  }
+
+  /**
+   * Drain reserved quantities from their batches. A reserved batch that was
+   * removed or shrank in the meantime is topped up FIFO from the other usable
+   * batches, so consumption never drives stock negative.
+   * @param {string} id - Inventory item ID
+   * @param {Array<{ batchId: string, quantity: number }>} drains - Per-batch amounts
+   * @returns {Promise<{ item: Object, drained: number }|null>} Updated item and total drained, or null
+   */
+  async consumeFromBatches(id, drains) {
+    const item = await InventoryItem.findById(id);
+
+    if (!item) {
+      return null;
+    }
+
+    let drained = 0;
+    let remainder = 0;
+
+    for (const { batchId, quantity } of drains) {
+      const batch = item.batches.id(batchId);
+      const fromBatch = batch ? Math.min(batch.quantity, quantity) : 0;
+
+      if (fromBatch > 0) {
+        batch.quantity -= fromBatch;
+        drained += fromBatch;
+      }
+      remainder += quantity - fromBatch;
+    }
+
+    const now = new Date();
+    const fallbackBatches = sortBatchesFifo(
+      item.batches.filter(
+        (batch) => batch.quantity > 0 && !isBatchExpired(batch, now)
+      )
+    );
+
+    for (const batch of fallbackBatches) {
+      if (remainder <= 0) {
+        break;
+      }
+
+      const fromBatch = Math.min(batch.quantity, remainder);
+      batch.quantity -= fromBatch;
+      drained += fromBatch;
+      remainder -= fromBatch;
+    }
+
+    item.batches = item.batches.filter((batch) => batch.quantity > 0);
+    syncQuantityAndStatus(item);
+
+    return { item: await item.save(), drained };
+  }
 }
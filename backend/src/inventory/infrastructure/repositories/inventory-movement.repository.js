@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+
+import { InventoryMovement } from '../schemas/inventory-movement.schema.js';
+
+/**
+ * Repository for the stock movement ledger. Append-only: there are no
+ * update or delete operations.
+ */
+export class InventoryMovementRepository {
+  /**
+   * Append movement records
+   * @param {Array<Object>} movements - Movement data
+   * @returns {Promise<Array>} Created movements
+   */
+  async createMany(movements) {
+    if (!movements.length) {
+      return [];
+    }
+
+    return InventoryMovement.insertMany(movements);
+  }
+
+  /**
+   * Find movements matching a filter, newest first
+   * @param {Object} filter - Query filter
+   * @param {{ limit?: number }} [options]
+   * @returns {Promise<Array>} Matching movements
+   */
+  async findMany(filter = {}, { limit } = {}) {
+    const query = InventoryMovement.find(filter).sort({
+      createdAt: -1,
+      _id: -1,
+    });
+
+    if (limit) {
+      query.limit(limit);
+    }
+
+    return query.lean();
+  }
+
+  /**
+   * Ledger sum per batch for each item
+   * @param {Array<string>} itemIds - Inventory item IDs
+   * @returns {Promise<Map<string, Map<string, number>>>} Quantity keyed by item ID, then batch ID
+   */
+  async sumByItemAndBatch(itemIds) {
+    const rows = await InventoryMovement.aggregate([
+      {
+        $match: {
+          itemId: {
+            $in: itemIds.map((id) => new mongoose.Types.ObjectId(String(id))),
+          },
+        },
+      },
+      {
+        $group: {
+          _id: { itemId: '$itemId', batchId: '$batchId' },
+          quantity: { $sum: '$quantity' },
+        },
+      },
+    ]);
+
+    const byItem = new Map();
+    for (const row of rows) {
+      const itemKey = row._id.itemId.toString();
+      if (!byItem.has(itemKey)) {
+        byItem.set(itemKey, new Map());
+      }
+      byItem.get(itemKey).set(row._id.batchId.toString(), row.quantity);
+    }
+
+    return byItem;
+  }
+
+  /**
+   * When the earliest movement not of the given types was recorded
+   * @param {Array<string>} [excludeTypes] - Movement types to ignore
+   * @returns {Promise<Date|null>} Creation date, or null for an empty ledger
+   */
+  async findFirstMovementAt(excludeTypes = []) {
+    const first = await InventoryMovement.findOne({
+      type: { $nin: excludeTypes },
+    })
+      .sort({ createdAt: 1 })
+      .select('createdAt')
+      .lean();
+
+    return first?.createdAt ?? null;
+  }
+
+  /**
+   * Batches with at least one movement of a type
+   * @param {string} type - Movement type
+   * @returns {Promise<Set<string>>} Batch IDs
+   */
+  async findBatchIdsByType(type) {
+    const batchIds = await InventoryMovement.distinct('batchId', { type });
+
+    return new Set(batchIds.map((id) => id.toString()));
+  }
+
+  /**
+   * Ledger sum per item for one movement type since a date
+   * @param {{ type: string, since: Date }} options
+   * @returns {Promise<Map<string, number>>} Signed quantity keyed by item ID
+   */
+  async sumByItemForType({ type, since }) {
+    const rows = await InventoryMovement.aggregate([
+      { $match: { type, createdAt: { $gte: since } } },
+      { $group: { _id: '$itemId', quantity: { $sum: '$quantity' } } },
+    ]);
+
+    return new Map(rows.map((row) => [row._id.toString(), row.quantity]));
+  }
+}
@@ -0,0 +1,181 @@
+import mongoose from 'mongoose';
+
+import { INVENTORY_RESERVATION_STATUS } from '../../application/constants/inventory-constants.js';
+import { InventoryReservation } from '../schemas/inventory-reservation.schema.js';
+
+/**
+ * Repository for inventory reservation data access operations
+ */
+export class InventoryReservationRepository {
+  /**
+   * Create reservation records
+   * @param {Array<Object>} reservations - Reservation data
+   * @returns {Promise<Array>} Created reservations
+   */
+  async createMany(reservations) {
+    if (!reservations.length) {
+      return [];
+    }
+
+    return InventoryReservation.insertMany(reservations);
+  }
+
+  /**
+   * Find reservations matching a filter
+   * @param {Object} filter - Query filter
+   * @returns {Promise<Array>} Matching reservations
+   */
+  async findMany(filter = {}) {
+    return InventoryReservation.find(filter).sort({ createdAt: 1 });
+  }
+
+  /**
+   * Sum active reservations per item
+   * @param {Array<string>} itemIds - Inventory item IDs
+   * @param {{ excludeMealPlanId?: string }} [options]
+   * @returns {Promise<Map<string, number>>} Reserved quantity keyed by item ID
+   */
+  async sumReservedByItem(itemIds, options = {}) {
+    const match = {
+      itemId: {
+        $in: itemIds.map((id) => new mongoose.Types.ObjectId(String(id))),
+      },
+      status: INVENTORY_RESERVATION_STATUS.RESERVED,
+    };
+
+    if (options.excludeMealPlanId) {
+      match.mealPlanId = { $ne: String(options.excludeMealPlanId) };
+    }
+
+    const rows = await InventoryReservation.aggregate([
+      { $match: match },
+      { $group: { _id: '$itemId', reserved: { $sum: '$quantity' } } },
+    ]);
+
+    return new Map(rows.map((row) => [row._id.toString(), row.reserved]));
+  }
+
+  /**
+   * Sum active reservations per batch of a single item
+   * @param {string} itemId - Inventory item ID
+   * @returns {Promise<Map<string, number>>} Reserved quantity keyed by batch ID
+   */
+  async sumReservedByBatch(itemId) {
+    const rows = await InventoryReservation.aggregate([
+      {
+        $match: {
+          itemId: new mongoose.Types.ObjectId(String(itemId)),
+          status: INVENTORY_RESERVATION_STATUS.RESERVED,
+        },
+      },
+      { $group: { _id: '$batchId', reserved: { $sum: '$quantity' } } },
+    ]);
+
+    return new Map(rows.map((row) => [row._id.toString(), row.reserved]));
+  }
+
+  /**
+   * Mark a reservation consumed
+   * @param {string} id - Reservation ID
+   * @param {number} consumedQuantity - Quantity drained from stock (added to earlier partial consumption)
+   * @returns {Promise<Object|null>} Updated reservation or null
+   */
+  async markConsumed(id, consumedQuantity) {
+    return InventoryReservation.findOneAndUpdate(
+      { _id: id, status: INVENTORY_RESERVATION_STATUS.RESERVED },
+      {
+        $set: {
+          status: INVENTORY_RESERVATION_STATUS.CONSUMED,
+          consumedAt: new Date(),
+        },
+        $inc: { consumedQuantity },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Consume part of a reservation, which keeps holding the rest
+   * @param {string} id - Reservation ID
+   * @param {number} quantity - Held quantity no longer reserved
+   * @param {number} consumedQuantity - Quantity drained from stock
+   * @returns {Promise<Object|null>} Updated reservation or null
+   */
+  async consumePart(id, quantity, consumedQuantity) {
+    return InventoryReservation.findOneAndUpdate(
+      { _id: id, status: INVENTORY_RESERVATION_STATUS.RESERVED },
+      { $inc: { quantity: -quantity, consumedQuantity } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Sum planned demand (held and unfilled reservations) per item for meals
+   * in a date window. Reservations without a meal date are always included;
+   * meals already in the past are not.
+   * @param {{ from: Date, until: Date }} window - Demand window (until is exclusive)
+   * @returns {Promise<{ byItem: Map<string, number>, mealDatesByItem: Map<string, Array<Date>> }>}
+   *   Planned quantity and the distinct planned meal dates, keyed by item ID
+   */
+  async sumPlannedDemandByItem({ from, until }) {
+    const rows = await InventoryReservation.aggregate([
+      {
+        $match: {
+          status: {
+            $in: [
+              INVENTORY_RESERVATION_STATUS.RESERVED,
+              INVENTORY_RESERVATION_STATUS.UNFILLED,
+            ],
+          },
+          $or: [{ mealDate: null }, { mealDate: { $gte: from, $lt: until } }],
+        },
+      },
+      {
+        $group: {
+          _id: '$itemId',
+          planned: { $sum: '$quantity' },
+          mealDates: { $addToSet: '$mealDate' },
+        },
+      },
+    ]);
+
+    return {
+      byItem: new Map(rows.map((row) => [row._id.toString(), row.planned])),
+      mealDatesByItem: new Map(
+        rows.map((row) => [
+          row._id.toString(),
+          row.mealDates.filter(Boolean).map((mealDate) => new Date(mealDate)),
+        ])
+      ),
+    };
+  }
+
+  /**
+   * Release every active reservation matching a filter
+   * @param {Object} filter - Query filter (status is forced to RESERVED or UNFILLED)
+   * @param {string} reason - Release reason
+   * @returns {Promise<number>} Number of released reservations
+   */
+  async releaseMany(filter, reason) {
+    const result = await InventoryReservation.updateMany(
+      {
+        ...filter,
+        status: {
+          $in: [
+            INVENTORY_RESERVATION_STATUS.RESERVED,
+            INVENTORY_RESERVATION_STATUS.UNFILLED,
+          ],
+        },
+      },
+      {
+        $set: {
+          status: INVENTORY_RESERVATION_STATUS.RELEASED,
+          releasedAt: new Date(),
+          releaseReason: reason || '',
+        },
+      }
+    );
+
+    return result.modifiedCount ?? 0;
+  }
+}
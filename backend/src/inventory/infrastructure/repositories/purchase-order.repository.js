@@ -0,0 +1,118 @@
+import { PURCHASE_ORDER_STATUS } from '../../application/constants/inventory-constants.js';
+import { PurchaseOrder } from '../schemas/purchase-order.schema.js';
+
+const OPEN_STATUSES = [
+  PURCHASE_ORDER_STATUS.DRAFT,
+  PURCHASE_ORDER_STATUS.SENT,
+  PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED,
+];
+
+/**
+ * Repository for purchase order data access operations
+ */
+export class PurchaseOrderRepository {
+  /**
+   * Create a purchase order
+   * @param {Object} orderData - Purchase order data
+   * @returns {Promise<Object>} Created purchase order
+   */
+  async create(orderData) {
+    return new PurchaseOrder(orderData).save();
+  }
+
+  /**
+   * Find a purchase order by ID
+   * @param {string} id - Purchase order ID
+   * @returns {Promise<Object|null>} Found purchase order or null
+   */
+  async findById(id) {
+    return PurchaseOrder.findById(id);
+  }
+
+  /**
+   * Find purchase orders matching a filter, newest first
+   * @param {Object} filter - Query filter
+   * @returns {Promise<Array>} Matching purchase orders
+   */
+  async findMany(filter = {}) {
+    return PurchaseOrder.find(filter).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Whether any purchase order matches a filter
+   * @param {Object} filter - Query filter
+   * @returns {Promise<boolean>}
+   */
+  async exists(filter) {
+    return Boolean(await PurchaseOrder.exists(filter));
+  }
+
+  /**
+   * Quantity still to be delivered per item across open purchase orders
+   * (drafts, sent and partially received)
+   * @returns {Promise<Map<string, number>>} Outstanding quantity keyed by item ID
+   */
+  async sumOutstandingByItem() {
+    const rows = await PurchaseOrder.aggregate([
+      { $match: { status: { $in: OPEN_STATUSES } } },
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: '$lines.itemId',
+          outstanding: {
+            $sum: {
+              $max: [
+                0,
+                { $subtract: ['$lines.quantity', '$lines.receivedQuantity'] },
+              ],
+            },
+          },
+        },
+      },
+    ]);
+
+    return new Map(rows.map((row) => [row._id.toString(), row.outstanding]));
+  }
+
+  /**
+   * Most recent non-cancelled order line per item, with its supplier
+   * @returns {Promise<Map<string, { supplierId: Object, supplierName: string, unitPrice: number, orderedAt: Date }>>}
+   *   Last order line keyed by item ID
+   */
+  async findLastOrderLineByItem() {
+    const rows = await PurchaseOrder.aggregate([
+      { $match: { status: { $ne: PURCHASE_ORDER_STATUS.CANCELLED } } },
+      { $sort: { createdAt: -1 } },
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: '$lines.itemId',
+          supplierId: { $first: '$supplierId' },
+          supplierName: { $first: '$supplierName' },
+          unitPrice: { $first: '$lines.unitPrice' },
+          orderedAt: { $first: '$createdAt' },
+        },
+      },
+    ]);
+
+    return new Map(rows.map(({ _id, ...line }) => [_id.toString(), line]));
+  }
+
+  /**
+   * Persist changes made to a loaded purchase order
+   * @param {Object} order - Purchase order document
+   * @returns {Promise<Object>} Saved purchase order
+   */
+  async save(order) {
+    return order.save();
+  }
+
+  /**
+   * Delete a purchase order by ID
+   * @param {string} id - Purchase order ID
+   * @returns {Promise<Object|null>} Deleted purchase order or null
+   */
+  async deleteById(id) {
+    return PurchaseOrder.findByIdAndDelete(id);
+  }
+}
@@ -0,0 +1,58 @@
+import { StockTake } from '../schemas/stock-take.schema.js';
+
+/**
+ * Repository for stock-take data access operations
+ */
+export class StockTakeRepository {
+  /**
+   * Create a stock-take
+   * @param {Object} stockTakeData - Stock-take data
+   * @returns {Promise<Object>} Created stock-take
+   */
+  async create(stockTakeData) {
+    return new StockTake(stockTakeData).save();
+  }
+
+  /**
+   * Find a stock-take by ID
+   * @param {string} id - Stock-take ID
+   * @returns {Promise<Object|null>} Found stock-take or null
+   */
+  async findById(id) {
+    return StockTake.findById(id);
+  }
+
+  /**
+   * Find stock-takes matching a filter, newest first
+   * @param {Object} filter - Query filter
+   * @returns {Promise<Array>} Matching stock-takes
+   */
+  async findMany(filter = {}) {
+    return StockTake.find(filter).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Persist changes made to a loaded stock-take
+   * @param {Object} stockTake - Stock-take document
+   * @returns {Promise<Object>} Saved stock-take
+   */
+  async save(stockTake) {
+    return stockTake.save();
+  }
+
+  /**
+   * Move a stock-take from one status to another unless another request
+   * already moved it: the status must still be `fromStatus`.
+   * @param {string} id - Stock-take ID
+   * @param {string} fromStatus - Status the stock-take must be in
+   * @param {string} toStatus - Status to move it to
+   * @returns {Promise<Object|null>} Claimed stock-take, or null
+   */
+  async claimStatus(id, fromStatus, toStatus) {
+    return StockTake.findOneAndUpdate(
+      { _id: id, status: fromStatus },
+      { $set: { status: toStatus } },
+      { new: true }
+    );
+  }
+}
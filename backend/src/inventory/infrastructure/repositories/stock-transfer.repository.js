@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+
+import { STOCK_TRANSFER_STATUS } from '../../application/constants/inventory-constants.js';
+import { StockTransfer } from '../schemas/stock-transfer.schema.js';
+
+/**
+ * Repository for stock transfer data access operations
+ */
+export class StockTransferRepository {
+  /**
+   * Create a stock transfer
+   * @param {Object} transferData - Stock transfer data
+   * @returns {Promise<Object>} Created stock transfer
+   */
+  async create(transferData) {
+    return new StockTransfer(transferData).save();
+  }
+
+  /**
+   * Find a stock transfer by ID
+   * @param {string} id - Stock transfer ID
+   * @returns {Promise<Object|null>} Found stock transfer or null
+   */
+  async findById(id) {
+    return StockTransfer.findById(id);
+  }
+
+  /**
+   * Find stock transfers matching a filter, newest first
+   * @param {Object} filter - Query filter
+   * @returns {Promise<Array>} Matching stock transfers
+   */
+  async findMany(filter = {}) {
+    return StockTransfer.find(filter).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Whether any stock transfer matches a filter
+   * @param {Object} filter - Query filter
+   * @returns {Promise<boolean>}
+   */
+  async exists(filter) {
+    return Boolean(await StockTransfer.exists(filter));
+  }
+
+  /**
+   * Persist changes made to a loaded stock transfer
+   * @param {Object} transfer - Stock transfer document
+   * @returns {Promise<Object>} Saved stock transfer
+   */
+  async save(transfer) {
+    return transfer.save();
+  }
+
+  /**
+   * Move a transfer from one status to another unless another request
+   * already moved it: the status must still be `fromStatus`.
+   * @param {string} id - Stock transfer ID
+   * @param {string} fromStatus - Status the transfer must be in
+   * @param {string} toStatus - Status to move it to
+   * @returns {Promise<Object|null>} Claimed stock transfer, or null
+   */
+  async claimStatus(id, fromStatus, toStatus) {
+    return StockTransfer.findOneAndUpdate(
+      { _id: id, status: fromStatus },
+      { $set: { status: toStatus } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Delete a stock transfer by ID
+   * @param {string} id - Stock transfer ID
+   * @returns {Promise<Object|null>} Deleted stock transfer or null
+   */
+  async deleteById(id) {
+    return StockTransfer.findByIdAndDelete(id);
+  }
+
+  /**
+   * Quantity in transit per item and destination
+   * @param {Array<string>} itemIds - Inventory item IDs
+   * @returns {Promise<Map<string, Array<{ locationId: string, locationName: string, quantity: number }>>>}
+   *   In-transit quantities per destination, keyed by item ID
+   */
+  async sumInTransitByItem(itemIds) {
+    const rows = await StockTransfer.aggregate([
+      {
+        $match: {
+          itemId: {
+            $in: itemIds.map((id) => new mongoose.Types.ObjectId(String(id))),
+          },
+          // Stock being received or cancelled has not been placed yet
+          status: {
+            $in: [
+              STOCK_TRANSFER_STATUS.IN_TRANSIT,
+              STOCK_TRANSFER_STATUS.RECEIVING,
+              STOCK_TRANSFER_STATUS.CANCELLING,
+            ],
+          },
+        },
+      },
+      {
+        $group: {
+          _id: { itemId: '$itemId', locationId: '$toLocationId' },
+          locationName: { $first: '$toLocationName' },
+          quantity: { $sum: '$quantity' },
+        },
+      },
+    ]);
+
+    const byItem = new Map();
+    for (const row of rows) {
+      const itemKey = row._id.itemId.toString();
+      if (!byItem.has(itemKey)) {
+        byItem.set(itemKey, []);
+      }
+      byItem.get(itemKey).push({
+        locationId: row._id.locationId.toString(),
+        locationName: row.locationName,
+        quantity: row.quantity,
+      });
+    }
+
+    return byItem;
+  }
+}
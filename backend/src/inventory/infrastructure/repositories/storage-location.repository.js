@@ -0,0 +1,73 @@
+import { StorageLocation } from '../schemas/storage-location.schema.js';
+
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * Repository for storage location data access operations
+ */
+export class StorageLocationRepository {
+  /**
+   * Create a storage location
+   * @param {Object} locationData - Location data
+   * @returns {Promise<Object>} Created storage location
+   */
+  async create(locationData) {
+    return new StorageLocation(locationData).save();
+  }
+
+  /**
+   * Find a storage location by ID
+   * @param {string} id - Storage location ID
+   * @returns {Promise<Object|null>} Found storage location or null
+   */
+  async findById(id) {
+    return StorageLocation.findById(id);
+  }
+
+  /**
+   * Find a storage location by name, ignoring case
+   * @param {string} name - Location name
+   * @returns {Promise<Object|null>} Found storage location or null
+   */
+  async findByName(name) {
+    return StorageLocation.findOne({ name }).collation(NAME_COLLATION);
+  }
+
+  /**
+   * Find storage locations matching a filter, by name
+   * @param {Object} filter - Query filter
+   * @returns {Promise<Array>} Matching storage locations
+   */
+  async findMany(filter = {}) {
+    return StorageLocation.find(filter)
+      .collation(NAME_COLLATION)
+      .sort({ name: 1 });
+  }
+
+  /**
+   * Update a storage location by ID
+   * @param {string} id - Storage location ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object|null>} Updated storage location or null
+   */
+  async updateById(id, updates) {
+    const location = await StorageLocation.findById(id);
+
+    if (!location) {
+      return null;
+    }
+
+    Object.assign(location, updates);
+
+    return location.save();
+  }
+
+  /**
+   * Delete a storage location by ID
+   * @param {string} id - Storage location ID
+   * @returns {Promise<Object|null>} Deleted storage location or null
+   */
+  async deleteById(id) {
+    return StorageLocation.findByIdAndDelete(id);
+  }
+}
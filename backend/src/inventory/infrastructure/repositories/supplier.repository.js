@@ -0,0 +1,71 @@
+import { Supplier } from '../schemas/supplier.schema.js';
+
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * Repository for supplier data access operations
+ */
+export class SupplierRepository {
+  /**
+   * Create a supplier
+   * @param {Object} supplierData - Supplier data
+   * @returns {Promise<Object>} Created supplier
+   */
+  async create(supplierData) {
+    return new Supplier(supplierData).save();
+  }
+
+  /**
+   * Find a supplier by ID
+   * @param {string} id - Supplier ID
+   * @returns {Promise<Object|null>} Found supplier or null
+   */
+  async findById(id) {
+    return Supplier.findById(id);
+  }
+
+  /**
+   * Find a supplier by name, ignoring case
+   * @param {string} name - Supplier name
+   * @returns {Promise<Object|null>} Found supplier or null
+   */
+  async findByName(name) {
+    return Supplier.findOne({ name }).collation(NAME_COLLATION);
+  }
+
+  /**
+   * Find suppliers matching a filter, by name
+   * @param {Object} filter - Query filter
+   * @returns {Promise<Array>} Matching suppliers
+   */
+  async findMany(filter = {}) {
+    return Supplier.find(filter).collation(NAME_COLLATION).sort({ name: 1 });
+  }
+
+  /**
+   * Update a supplier by ID
+   * @param {string} id - Supplier ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object|null>} Updated supplier or null
+   */
+  async updateById(id, updates) {
+    const supplier = await Supplier.findById(id);
+
+    if (!supplier) {
+      return null;
+    }
+
+    Object.assign(supplier, updates);
+
+    return supplier.save();
+  }
+
+  /**
+   * Delete a supplier by ID
+   * @param {string} id - Supplier ID
+   * @returns {Promise<Object|null>} Deleted supplier or null
+   */
+  async deleteById(id) {
+    return Supplier.findByIdAndDelete(id);
+  }
+}
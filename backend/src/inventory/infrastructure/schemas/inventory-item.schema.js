@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { auditTrailPlugin } from '../../../audit-log/integration.js';
 
 import {
   INVENTORY_CATEGORIES,
@@ -48,6 +49,17 @@ const batchSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+    // Set when the batch was received against a purchase order
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      default: null,
+    },
+    purchaseOrderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseOrder',
+      default: null,
+    },
     unitPrice: {
       type: Number,
       default: 0,
@@ -57,6 +69,12 @@ const batchSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+    // Storage location the batch is kept at; `location` holds its name
+    locationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StorageLocation',
+      default: null,
+    },
     receivedAt: {
       type: Date,
       default: Date.now,
@@ -173,11 +191,14 @@ const inventoryItemSchema = new mongoose.Schema(
 );
 
 /**
- * Index for faster queries added on name, category, and status fields
+ * Index for faster queries added on name, category, status and batch location fields
  */
 inventoryItemSchema.index({ name: 1 });
 inventoryItemSchema.index({ category: 1 });
 inventoryItemSchema.index({ status: 1 });
+inventoryItemSchema.index({ 'batches.locationId': 1 });
+
+inventoryItemSchema.plugin(auditTrailPlugin);
 
 export const InventoryItem = mongoose.model(
   'InventoryItem',
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+import {
+  INVENTORY_MOVEMENT_SOURCES,
+  INVENTORY_MOVEMENT_TYPES,
+} from '../../application/constants/inventory-constants.js';
+
+/**
+ * Mongoose schema for the append-only stock movement ledger.
+ * One entry per batch whose quantity changed; entries are never updated
+ * or deleted, so the ledger sum of an item equals its batch stock.
+ * @typedef {Object} InventoryMovement
+ * @property {ObjectId} itemId - Inventory item the stock belongs to
+ * @property {ObjectId} batchId - Batch whose quantity changed
+ * @property {string} type - RECEIPT, CONSUMPTION, ADJUSTMENT, WASTAGE, EXPIRY_WRITE_OFF, TRANSFER or OPENING_BALANCE
+ * @property {number} quantity - Signed change in the item's unit (negative when stock leaves)
+ * @property {string} reason - Free-text reason given for the movement
+ * @property {string} source - MANUAL, MEAL_PLAN, MEAL_SESSION or PURCHASE_ORDER
+ * @property {string} sourceRef - Identifies the plan, session meal or purchase order behind the movement
+ * @property {string} actorId - User who made the change, null for jobs and the system
+ * @property {string} actorRole - Role of that user
+ * @property {string} actorSource - API, JOB or SYSTEM (see the audit context)
+ * @property {Date} createdAt - When the movement happened
+ */
+const inventoryMovementSchema = new mongoose.Schema(
+  {
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryItem',
+      required: true,
+    },
+    batchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(INVENTORY_MOVEMENT_TYPES),
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    reason: {
+      type: String,
+      default: '',
+    },
+    source: {
+      type: String,
+      enum: Object.values(INVENTORY_MOVEMENT_SOURCES),
+      default: INVENTORY_MOVEMENT_SOURCES.MANUAL,
+    },
+    sourceRef: {
+      type: String,
+      default: '',
+    },
+    actorId: {
+      type: String,
+      default: null,
+    },
+    actorRole: {
+      type: String,
+      default: null,
+    },
+    actorSource: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+/**
+ * Movements are listed per item newest first, summed per item and batch, and
+ * summed per type over a recent window (consumption history)
+ */
+inventoryMovementSchema.index({ itemId: 1, createdAt: -1 });
+inventoryMovementSchema.index({ itemId: 1, batchId: 1 });
+inventoryMovementSchema.index({ type: 1, createdAt: -1 });
+
+export const InventoryMovement = mongoose.model(
+  'InventoryMovement',
+  inventoryMovementSchema
+);
@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+import { INVENTORY_RESERVATION_STATUS } from '../../application/constants/inventory-constants.js';
+
+/**
+ * Mongoose schema for stock held against a batch for a confirmed meal plan
+ * @typedef {Object} InventoryReservation
+ * @property {ObjectId} itemId - Reserved inventory item
+ * @property {ObjectId|null} batchId - Batch the quantity is held against (FIFO at reservation time); null when UNFILLED
+ * @property {number} quantity - Reserved quantity in the item's unit
+ * @property {string} status - RESERVED, UNFILLED, CONSUMED or RELEASED
+ * @property {string} mealPlanId - Meal plan the stock is held for
+ * @property {string} mealDay - Plan day (e.g. 'Monday') the stock is for
+ * @property {string} mealType - Plan meal type (e.g. 'lunch')
+ * @property {Date|null} mealDate - Calendar date of the plan day, when known
+ * @property {string} ingredientName - Recipe ingredient the reservation covers
+ * @property {number} consumedQuantity - Quantity actually drained on consumption
+ * @property {Date} consumedAt - When the matching meal session completed
+ * @property {Date} releasedAt - When the reservation was released
+ * @property {string} releaseReason - Why the reservation was released
+ */
+const inventoryReservationSchema = new mongoose.Schema(
+  {
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryItem',
+      required: true,
+    },
+    batchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: Object.values(INVENTORY_RESERVATION_STATUS),
+      default: INVENTORY_RESERVATION_STATUS.RESERVED,
+    },
+    mealPlanId: {
+      type: String,
+      required: true,
+    },
+    mealDay: {
+      type: String,
+      required: true,
+    },
+    mealType: {
+      type: String,
+      required: true,
+    },
+    mealDate: {
+      type: Date,
+      default: null,
+    },
+    ingredientName: {
+      type: String,
+      default: '',
+    },
+    consumedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    consumedAt: {
+      type: Date,
+      default: null,
+    },
+    releasedAt: {
+      type: Date,
+      default: null,
+    },
+    releaseReason: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Active reservations are looked up per item (availability), per plan meal
+ * (consume/release) and by meal date (reorder demand)
+ */
+inventoryReservationSchema.index({ itemId: 1, status: 1 });
+inventoryReservationSchema.index({ status: 1, mealDate: 1 });
+inventoryReservationSchema.index({
+  mealPlanId: 1,
+  status: 1,
+  mealDay: 1,
+  mealType: 1,
+});
+
+export const InventoryReservation = mongoose.model(
+  'InventoryReservation',
+  inventoryReservationSchema
+);
@@ -0,0 +1,205 @@
+import mongoose from 'mongoose';
+import { auditTrailPlugin } from '../../../audit-log/integration.js';
+
+import {
+  PURCHASE_ORDER_DISCREPANCY,
+  PURCHASE_ORDER_STATUS,
+} from '../../application/constants/inventory-constants.js';
+
+/**
+ * One ordered inventory item. `itemName` and `unit` are copied from the
+ * item when the line is written so the order still reads correctly if the
+ * item is renamed or deleted.
+ */
+const purchaseOrderLineSchema = new mongoose.Schema(
+  {
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryItem',
+      required: true,
+    },
+    itemName: {
+      type: String,
+      default: '',
+    },
+    unit: {
+      type: String,
+      default: '',
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    unitPrice: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    receivedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // OVER as soon as more than ordered arrives; SHORT once the order is
+    // closed with less than ordered
+    discrepancy: {
+      type: String,
+      enum: [...Object.values(PURCHASE_ORDER_DISCREPANCY), null],
+      default: null,
+    },
+  },
+  {
+    _id: true,
+  }
+);
+
+/**
+ * One delivered line of a receipt and the batch it created
+ */
+const receiptLineSchema = new mongoose.Schema(
+  {
+    lineId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryItem',
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    batchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+/**
+ * One delivery received against the order
+ */
+const receiptSchema = new mongoose.Schema(
+  {
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    receivedBy: {
+      type: String,
+      default: null,
+    },
+    note: {
+      type: String,
+      default: '',
+    },
+    lines: {
+      type: [receiptLineSchema],
+      default: [],
+    },
+  },
+  {
+    _id: true,
+  }
+);
+
+/**
+ * Mongoose schema for purchase orders placed with a supplier
+ * @typedef {Object} PurchaseOrder
+ * @property {string} orderNumber - Human-readable order number, e.g. PO-20260310-7K2Q
+ * @property {ObjectId} supplierId - Supplier the order is placed with
+ * @property {string} supplierName - Supplier name when the order was written
+ * @property {string} status - DRAFT, SENT, PARTIALLY_RECEIVED, RECEIVED or CANCELLED
+ * @property {Array<Object>} lines - Ordered items with received quantities
+ * @property {Array<Object>} receipts - Deliveries received against the order
+ * @property {Date} expectedDeliveryDate - When the supplier should deliver
+ * @property {string} notes - Free-text notes
+ * @property {string} createdBy - User who created the order
+ * @property {Date} sentAt - When the order was sent to the supplier
+ * @property {Date} receivedAt - When the order was closed as received
+ * @property {Date} cancelledAt - When the order was cancelled
+ * @property {string} cancelReason - Why the order was cancelled
+ */
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    orderNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      required: true,
+    },
+    supplierName: {
+      type: String,
+      default: '',
+    },
+    status: {
+      type: String,
+      enum: Object.values(PURCHASE_ORDER_STATUS),
+      default: PURCHASE_ORDER_STATUS.DRAFT,
+    },
+    lines: {
+      type: [purchaseOrderLineSchema],
+      default: [],
+    },
+    receipts: {
+      type: [receiptSchema],
+      default: [],
+    },
+    expectedDeliveryDate: {
+      type: Date,
+      default: null,
+    },
+    notes: {
+      type: String,
+      default: '',
+    },
+    createdBy: {
+      type: String,
+      default: null,
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    receivedAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancelReason: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Orders are listed by status and supplier, and open orders are looked up per item
+ */
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ supplierId: 1, status: 1 });
+purchaseOrderSchema.index({ 'lines.itemId': 1, status: 1 });
+
+purchaseOrderSchema.plugin(auditTrailPlugin);
+
+export const PurchaseOrder = mongoose.model(
+  'PurchaseOrder',
+  purchaseOrderSchema
+);
@@ -0,0 +1,166 @@
+import mongoose from 'mongoose';
+import { auditTrailPlugin } from '../../../audit-log/integration.js';
+
+import { STOCK_TAKE_STATUS } from '../../application/constants/inventory-constants.js';
+
+/**
+ * One batch on the count sheet. Item and batch details are copied when the
+ * sheet is generated so it still reads correctly if the item changes.
+ * `systemQuantity` is the batch quantity when the sheet was generated, then
+ * when the count was last recorded.
+ */
+const stockTakeLineSchema = new mongoose.Schema(
+  {
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryItem',
+      required: true,
+    },
+    itemName: {
+      type: String,
+      default: '',
+    },
+    barcode: {
+      type: String,
+      default: '',
+    },
+    unit: {
+      type: String,
+      default: '',
+    },
+    batchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    expiryDate: {
+      type: Date,
+      default: null,
+    },
+    location: {
+      type: String,
+      default: '',
+    },
+    unitPrice: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    systemQuantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // null until the batch has been counted
+    countedQuantity: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    countedAt: {
+      type: Date,
+      default: null,
+    },
+    countedBy: {
+      type: String,
+      default: null,
+    },
+    note: {
+      type: String,
+      default: '',
+    },
+    // Quantity change applied to the batch when the variance was posted;
+    // null while unposted or when the variance was not approved
+    postedQuantity: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    _id: true,
+  }
+);
+
+/**
+ * Mongoose schema for a physical stock count
+ * @typedef {Object} StockTake
+ * @property {string} stockTakeNumber - Human-readable number, e.g. ST-20260310-7K2Q
+ * @property {ObjectId|null} locationId - Storage location counted, or null for all
+ * @property {string} locationName - Location name when the sheet was generated
+ * @property {string|null} category - Item category counted, or null for all
+ * @property {string} status - IN_PROGRESS, SUBMITTED, POSTED or CANCELLED
+ * @property {Array<Object>} lines - One line per batch on the count sheet
+ * @property {string} notes - Free-text notes
+ * @property {Date} submittedAt - When counting was closed for review
+ * @property {Date} postedAt - When approved variances were applied to stock
+ * @property {string} postedBy - User who posted the variances
+ * @property {Date} cancelledAt - When the stock-take was cancelled
+ * @property {string} cancelReason - Why the stock-take was cancelled
+ */
+const stockTakeSchema = new mongoose.Schema(
+  {
+    stockTakeNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    locationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StorageLocation',
+      default: null,
+    },
+    locationName: {
+      type: String,
+      default: '',
+    },
+    category: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: Object.values(STOCK_TAKE_STATUS),
+      default: STOCK_TAKE_STATUS.IN_PROGRESS,
+    },
+    lines: {
+      type: [stockTakeLineSchema],
+      default: [],
+    },
+    notes: {
+      type: String,
+      default: '',
+    },
+    submittedAt: {
+      type: Date,
+      default: null,
+    },
+    postedAt: {
+      type: Date,
+      default: null,
+    },
+    postedBy: {
+      type: String,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancelReason: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Stock-takes are listed by status and per location
+ */
+stockTakeSchema.index({ status: 1, createdAt: -1 });
+stockTakeSchema.index({ locationId: 1, status: 1 });
+
+stockTakeSchema.plugin(auditTrailPlugin);
+
+export const StockTake = mongoose.model('StockTake', stockTakeSchema);
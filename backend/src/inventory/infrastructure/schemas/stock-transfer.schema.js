@@ -0,0 +1,188 @@
+import mongoose from 'mongoose';
+import { auditTrailPlugin } from '../../../audit-log/integration.js';
+
+import { STOCK_TRANSFER_STATUS } from '../../application/constants/inventory-constants.js';
+
+/**
+ * Stock taken from one source batch. The batch details travel with the
+ * quantity so the batch created on arrival keeps its expiry, supplier and
+ * price.
+ */
+const transferBatchSchema = new mongoose.Schema(
+  {
+    sourceBatchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    expiryDate: {
+      type: Date,
+      default: null,
+    },
+    supplier: {
+      type: String,
+      default: '',
+    },
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      default: null,
+    },
+    purchaseOrderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseOrder',
+      default: null,
+    },
+    unitPrice: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    batchNote: {
+      type: String,
+      default: '',
+    },
+    // Batch created at the destination (or back at the source on cancel)
+    arrivedBatchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Where that batch was placed
+    arrivedLocationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StorageLocation',
+      default: null,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+/**
+ * Mongoose schema for stock moved between storage locations
+ * @typedef {Object} StockTransfer
+ * @property {string} transferNumber - Human-readable number, e.g. TR-20260310-7K2Q
+ * @property {ObjectId} itemId - Transferred inventory item
+ * @property {string} itemName - Item name when the transfer was written
+ * @property {string} unit - Item unit when the transfer was written
+ * @property {number} quantity - Quantity dispatched
+ * @property {ObjectId} fromLocationId - Location the stock left
+ * @property {string} fromLocationName - Source name when the transfer was written
+ * @property {ObjectId} toLocationId - Location the stock is going to
+ * @property {string} toLocationName - Destination name when the transfer was written
+ * @property {string} status - IN_TRANSIT, RECEIVED or CANCELLED
+ * @property {Array<Object>} batches - Source batches the quantity was taken from
+ * @property {string} notes - Free-text notes
+ * @property {string} dispatchedBy - User who dispatched the stock
+ * @property {Date} dispatchedAt - When the stock left the source
+ * @property {string} receivedBy - User who received the stock
+ * @property {Date} receivedAt - When the stock arrived
+ * @property {Date} cancelledAt - When the transfer was cancelled
+ * @property {string} cancelReason - Why the transfer was cancelled
+ */
+const stockTransferSchema = new mongoose.Schema(
+  {
+    transferNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryItem',
+      required: true,
+    },
+    itemName: {
+      type: String,
+      default: '',
+    },
+    unit: {
+      type: String,
+      default: '',
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    fromLocationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StorageLocation',
+      required: true,
+    },
+    fromLocationName: {
+      type: String,
+      default: '',
+    },
+    toLocationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StorageLocation',
+      required: true,
+    },
+    toLocationName: {
+      type: String,
+      default: '',
+    },
+    status: {
+      type: String,
+      enum: Object.values(STOCK_TRANSFER_STATUS),
+      default: STOCK_TRANSFER_STATUS.IN_TRANSIT,
+    },
+    batches: {
+      type: [transferBatchSchema],
+      default: [],
+    },
+    notes: {
+      type: String,
+      default: '',
+    },
+    dispatchedBy: {
+      type: String,
+      default: null,
+    },
+    dispatchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    receivedBy: {
+      type: String,
+      default: null,
+    },
+    receivedAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancelReason: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Transfers are listed by status and per location, and in-transit stock is
+ * summed per item
+ */
+stockTransferSchema.index({ status: 1, createdAt: -1 });
+stockTransferSchema.index({ fromLocationId: 1, status: 1 });
+stockTransferSchema.index({ toLocationId: 1, status: 1 });
+stockTransferSchema.index({ itemId: 1, status: 1 });
+
+stockTransferSchema.plugin(auditTrailPlugin);
+
+export const StockTransfer = mongoose.model(
+  'StockTransfer',
+  stockTransferSchema
+);
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import { auditTrailPlugin } from '../../../audit-log/integration.js';
+
+import { STORAGE_LOCATION_TYPES } from '../../application/constants/inventory-constants.js';
+
+/**
+ * Mongoose schema for places stock is kept (school stores, central kitchens,
+ * district warehouses)
+ * @typedef {Object} StorageLocation
+ * @property {string} name - Location name, unique ignoring case
+ * @property {string} type - SCHOOL, CENTRAL_KITCHEN, WAREHOUSE or OTHER
+ * @property {ObjectId|null} schoolId - School the location belongs to, if any
+ * @property {string} address - Postal or delivery address
+ * @property {string} notes - Free-text notes
+ * @property {boolean} active - Inactive locations cannot receive stock
+ */
+const storageLocationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(STORAGE_LOCATION_TYPES),
+      default: STORAGE_LOCATION_TYPES.OTHER,
+    },
+    schoolId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'School',
+      default: null,
+    },
+    address: {
+      type: String,
+      default: '',
+    },
+    notes: {
+      type: String,
+      default: '',
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Location names are unique regardless of case; locations are listed per school
+ */
+storageLocationSchema.index(
+  { name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+storageLocationSchema.index({ schoolId: 1 });
+
+storageLocationSchema.plugin(auditTrailPlugin);
+
+export const StorageLocation = mongoose.model(
+  'StorageLocation',
+  storageLocationSchema
+);
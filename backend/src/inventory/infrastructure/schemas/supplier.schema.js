@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import { auditTrailPlugin } from '../../../audit-log/integration.js';
+
+/**
+ * Mongoose schema for suppliers that purchase orders are placed with
+ * @typedef {Object} Supplier
+ * @property {string} name - Supplier name, unique ignoring case
+ * @property {string} contactName - Person to contact
+ * @property {string} email - Order contact email
+ * @property {string} phone - Order contact phone
+ * @property {string} address - Postal or delivery address
+ * @property {number} leadTimeDays - Usual days from order to delivery
+ * @property {string} notes - Free-text notes
+ * @property {boolean} active - Inactive suppliers cannot receive new orders
+ */
+const supplierSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    contactName: {
+      type: String,
+      default: '',
+    },
+    email: {
+      type: String,
+      default: '',
+      trim: true,
+      lowercase: true,
+    },
+    phone: {
+      type: String,
+      default: '',
+    },
+    address: {
+      type: String,
+      default: '',
+    },
+    leadTimeDays: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    notes: {
+      type: String,
+      default: '',
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Supplier names are unique regardless of case
+ */
+supplierSchema.index(
+  { name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+supplierSchema.plugin(auditTrailPlugin);
+
+export const Supplier = mongoose.model('Supplier', supplierSchema);
@@ -0,0 +1,224 @@
+import PDFDocument from 'pdfkit';
+import { roundQuantity } from '../../application/utils/quantity.util.js';
+
+const TABLE_BORDER = '#333333';
+const HEADER_FILL = '#d1d5db';
+const LINE_WIDTH = 0.45;
+
+function createPdfBuffer(asyncRenderFn) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      autoFirstPage: true,
+      margin: 40,
+      size: 'LETTER',
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    asyncRenderFn(doc)
+      .then(() => doc.end())
+      .catch(reject);
+  });
+}
+
+function pageInnerBounds(doc) {
+  const left = doc.page.margins.left;
+  const top = doc.page.margins.top;
+  const right = doc.page.width - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const width = right - left;
+  return { left, top, right, bottom, width };
+}
+
+function sumWidths(widths) {
+  return widths.reduce((a, b) => a + b, 0);
+}
+
+function formatDate(value) {
+  if (!value) {
+    return '—';
+  }
+  const d = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(d.getTime())) {
+    return '—';
+  }
+  return d.toLocaleDateString();
+}
+
+function isCounted(line) {
+  return line.countedQuantity !== null && line.countedQuantity !== undefined;
+}
+
+function formatQuantity(value) {
+  return String(roundQuantity(value));
+}
+
+function formatScope(stockTake) {
+  const parts = [
+    stockTake.locationName || 'All locations',
+    stockTake.category || 'All categories',
+  ];
+  return parts.join(' · ');
+}
+
+function drawTableRow(doc, x, y, colWidths, cells, height, options = {}) {
+  const { header = false, fontSize = 8, fill = null } = options;
+  const tw = sumWidths(colWidths);
+
+  doc.save();
+  doc.lineWidth(LINE_WIDTH).strokeColor(TABLE_BORDER);
+  if (fill) {
+    doc.fillColor(fill).rect(x, y, tw, height).fill();
+  }
+  doc.rect(x, y, tw, height).stroke();
+
+  let cx = x;
+  for (let i = 1; i < colWidths.length; i += 1) {
+    cx += colWidths[i - 1];
+    doc
+      .moveTo(cx, y)
+      .lineTo(cx, y + height)
+      .stroke();
+  }
+
+  cx = x;
+  doc.fillColor('#111827');
+  doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize);
+  const padX = 5;
+  const textY = y + (height - fontSize) / 2 - 1;
+  cells.forEach((cell, i) => {
+    const w = colWidths[i];
+    doc.text(String(cell ?? ''), cx + padX, textY, {
+      width: w - padX * 2,
+      ellipsis: true,
+      lineBreak: false,
+    });
+    cx += w;
+  });
+  doc.restore();
+  return y + height;
+}
+
+function drawSheetHeader(doc, y, stockTake) {
+  const { left, width } = pageInnerBounds(doc);
+  let cy = y;
+  doc.font('Helvetica-Bold').fontSize(17).fillColor('#14532d');
+  doc.text('Stock-take count sheet', left, cy, { width, align: 'center' });
+  cy += 26;
+  doc.font('Helvetica').fontSize(11).fillColor('#374151');
+  doc.text(
+    `${stockTake.stockTakeNumber} · ${formatScope(stockTake)}`,
+    left,
+    cy,
+    { width, align: 'center' }
+  );
+  cy += 16;
+  doc.fontSize(10).fillColor('#6b7280');
+  doc.text(
+    `Status: ${stockTake.status} · Started: ${formatDate(stockTake.createdAt)}`,
+    left,
+    cy,
+    { width, align: 'center' }
+  );
+  cy += 14;
+  doc.fontSize(9);
+  doc.text(`Generated: ${new Date().toLocaleString()}`, left, cy, {
+    width,
+    align: 'center',
+  });
+  return cy + 28;
+}
+
+function drawSignatureLines(doc, y) {
+  const { left, width, bottom } = pageInnerBounds(doc);
+  let cy = y;
+  if (cy + 40 > bottom) {
+    doc.addPage();
+    cy = pageInnerBounds(doc).top;
+  }
+  const half = (width - 24) / 2;
+  doc.font('Helvetica').fontSize(9).fillColor('#374151');
+  doc.text('Counted by: ______________________', left, cy, { width: half });
+  doc.text('Checked by: ______________________', left + half + 24, cy, {
+    width: half,
+  });
+  return cy + 20;
+}
+
+// ─── Count sheet PDF ────────────────────────────────────────────────
+
+/**
+ * Printable count sheet with one row per batch. The Counted and Variance
+ * columns are filled in for lines already counted and left blank for
+ * writing in otherwise.
+ * @param {{ stockTake: Object }} params - Stock-take document or plain object
+ * @returns {Promise<Buffer>} PDF document
+ */
+export async function generateStockTakeSheetPdf({ stockTake }) {
+  return createPdfBuffer(async (doc) => {
+    const { left, top, width, bottom } = pageInnerBounds(doc);
+    let y = top;
+
+    y = drawSheetHeader(doc, y, stockTake);
+
+    const lines = stockTake.lines || [];
+    if (!lines.length) {
+      doc.font('Helvetica').fontSize(11).fillColor('#6b7280');
+      doc.text('No batches on this count sheet.', left, y, { width });
+      return;
+    }
+
+    const colWidths = [130, 75, 55, 62, 35, 55, 60, 60];
+    const headerCells = [
+      'Item',
+      'Barcode',
+      'Expiry',
+      'Location',
+      'Unit',
+      'System',
+      'Counted',
+      'Variance',
+    ];
+    const rowH = 20;
+    const headerH = 22;
+
+    const drawHeaderRow = () => {
+      y = drawTableRow(doc, left, y, colWidths, headerCells, headerH, {
+        header: true,
+        fontSize: 8,
+        fill: HEADER_FILL,
+      });
+    };
+
+    drawHeaderRow();
+
+    lines.forEach((line, idx) => {
+      if (y + rowH > bottom) {
+        doc.addPage();
+        y = pageInnerBounds(doc).top;
+        drawHeaderRow();
+      }
+      const counted = isCounted(line);
+      const cells = [
+        line.itemName,
+        line.barcode || '—',
+        formatDate(line.expiryDate),
+        line.location || '—',
+        line.unit,
+        formatQuantity(line.systemQuantity),
+        counted ? formatQuantity(line.countedQuantity) : '',
+        counted
+          ? formatQuantity(line.countedQuantity - line.systemQuantity)
+          : '',
+      ];
+      const fill = idx % 2 === 0 ? '#fafafa' : '#ffffff';
+      y = drawTableRow(doc, left, y, colWidths, cells, rowH, {
+        fontSize: 8,
+        fill,
+      });
+    });
+
+    drawSignatureLines(doc, y + 24);
+  });
+}
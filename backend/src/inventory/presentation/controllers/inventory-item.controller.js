@@ -4,7 +4,9 @@ import { UpdateInventoryItemRequestDTO } from '../../application/dtos/requests/u
 import { PatchInventoryItemRequestDTO } from '../../application/dtos/requests/patch-inventory-item.request.dto.js';
 import { AdjustInventoryQuantityRequestDTO } from '../../application/dtos/requests/adjust-inventory-quantity.request.dto.js';
 import { AddInventoryBatchRequestDTO } from '../../application/dtos/requests/add-inventory-batch.request.dto.js';
+import { PurchaseOrderResponseDTO } from '../../application/dtos/responses/purchase-order-response.dto.js';
 import { InventoryItemService } from '../../application/services/inventory-item.service.js';
+import { ReorderSuggestionService } from '../../application/services/reorder-suggestion.service.js';
 import { openFoodFactsService } from '../../application/services/open-food-facts.service.js';
 import { inventoryErrorMiddleware } from '../middleware/inventory-error.middleware.js';
 import { validateAdjustInventoryQuantity } from '../validators/adjust-inventory-quantity.validator.js';
@@ -12,79 +14,194 @@ import { validateAddInventoryBatch } from '../validators/add-inventory-batch.val
 import { validateCreateInventoryItem } from '../validators/create-inventory-item.validator.js';
 import { validateUpdateInventoryItem } from '../validators/update-inventory-item.validator.js';
 import { validatePatchInventoryItem } from '../validators/patch-inventory-item.validator.js';
+import {
+  validateListInventoryMovements,
+  validateRemoveInventoryBatch,
+} from '../validators/inventory-movement.validator.js';
+import {
+  validateCreateReorderPurchaseOrders,
+  validateGetReorderSuggestions,
+} from '../validators/reorder-suggestion.validator.js';
+import { validateInventoryLocationFilter } from '../validators/storage-location.validator.js';
 
 export const inventoryRouter = express.Router();
 
 const inventoryItemService = new InventoryItemService();
+const reorderSuggestionService = new ReorderSuggestionService();
 
 /**
  * GET /api/inventory
- * List all inventory items with optional filters.
+ * List all inventory items with optional filters. `locationId` keeps items
+ * with stock at that storage location.
  */
-inventoryRouter.get('/', async (req, res, next) => {
-  try {
-    const { category, status, search } = req.query;
+inventoryRouter.get(
+  '/',
+  validateInventoryLocationFilter,
+  async (req, res, next) => {
+    try {
+      const { category, status, search, locationId } = req.query;
+
+      const filters = {};
+      if (locationId) {
+        filters.locationId = locationId;
+      }
+      if (category) {
+        filters.category = category;
+      }
+      if (status) {
+        filters.status = status;
+      }
+      if (search) {
+        filters.search = search;
+      }
+
+      const items = await inventoryItemService.listInventoryItems(filters);
 
-    const filters = {};
-    if (category) {
-      filters.category = category;
-    }
-    if (status) {
-      filters.status = status;
+      res.status(200).json({
+        success: true,
+        count: items.length,
+        data: await inventoryItemService.withStockBreakdown(items),
+      });
+    } catch (error) {
+      error.fallbackMessage = 'Failed to retrieve inventory items';
+      return next(error);
     }
-    if (search) {
-      filters.search = search;
+  }
+);
+
+/**
+ * GET /api/inventory/stats
+ * Get inventory statistics, optionally for one storage location
+ */
+inventoryRouter.get(
+  '/stats',
+  validateInventoryLocationFilter,
+  async (req, res, next) => {
+    try {
+      const { locationId } = req.query;
+
+      const stats = await inventoryItemService.getInventoryStats({
+        locationId,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: stats,
+      });
+    } catch (error) {
+      error.fallbackMessage = 'Failed to retrieve inventory statistics';
+      return next(error);
     }
+  }
+);
 
-    const items = await inventoryItemService.listInventoryItems(filters);
+/**
+ * GET /api/inventory/low-stock
+ * Get items that are low in stock
+ */
+inventoryRouter.get('/low-stock', async (req, res, next) => {
+  try {
+    const items = await inventoryItemService.getLowStockItems();
 
     res.status(200).json({
       success: true,
       count: items.length,
-      data: items,
+      data: await inventoryItemService.withStockBreakdown(items),
     });
   } catch (error) {
-    error.fallbackMessage = 'Failed to retrieve inventory items';
+    error.fallbackMessage = 'Failed to retrieve low stock items';
     return next(error);
   }
 });
 
 /**
- * GET /api/inventory/stats
- * Get inventory statistics
+ * GET /api/inventory/reconciliation
+ * Compare the movement ledger with batch stock for every item
  */
-inventoryRouter.get('/stats', async (req, res, next) => {
+inventoryRouter.get('/reconciliation', async (req, res, next) => {
   try {
-    const stats = await inventoryItemService.getInventoryStats();
+    const reconciliations = await inventoryItemService.reconcileInventory({
+      unbalancedOnly: req.query.unbalancedOnly === 'true',
+    });
 
     res.status(200).json({
       success: true,
-      data: stats,
+      count: reconciliations.length,
+      data: reconciliations,
     });
   } catch (error) {
-    error.fallbackMessage = 'Failed to retrieve inventory statistics';
+    error.fallbackMessage = 'Failed to reconcile inventory movements';
     return next(error);
   }
 });
 
 /**
- * GET /api/inventory/low-stock
- * Get items that are low in stock
+ * GET /api/inventory/reorder-suggestions
+ * Suggest order quantities per item and supplier from consumption history,
+ * confirmed meal plans, expiring batches and open purchase orders
  */
-inventoryRouter.get('/low-stock', async (req, res, next) => {
-  try {
-    const items = await inventoryItemService.getLowStockItems();
+inventoryRouter.get(
+  '/reorder-suggestions',
+  validateGetReorderSuggestions,
+  async (req, res, next) => {
+    try {
+      const { horizonDays, lookbackDays, includeAll } = req.query;
 
-    res.status(200).json({
-      success: true,
-      count: items.length,
-      data: items,
-    });
-  } catch (error) {
-    error.fallbackMessage = 'Failed to retrieve low stock items';
-    return next(error);
+      const suggestions = await reorderSuggestionService.getReorderSuggestions({
+        horizonDays: horizonDays ? Number(horizonDays) : undefined,
+        lookbackDays: lookbackDays ? Number(lookbackDays) : undefined,
+        includeAll: includeAll === 'true',
+      });
+
+      res.status(200).json({
+        success: true,
+        count: suggestions.items.length,
+        data: suggestions,
+      });
+    } catch (error) {
+      error.fallbackMessage = 'Failed to build reorder suggestions';
+      return next(error);
+    }
   }
-});
+);
+
+/**
+ * POST /api/inventory/reorder-suggestions/purchase-orders
+ * Create one draft purchase order per supplier from the current suggestions
+ */
+inventoryRouter.post(
+  '/reorder-suggestions/purchase-orders',
+  validateCreateReorderPurchaseOrders,
+  async (req, res, next) => {
+    try {
+      const { horizonDays, lookbackDays, itemIds, defaultSupplierId } =
+        req.body;
+
+      const { orders, skipped } =
+        await reorderSuggestionService.createDraftPurchaseOrders({
+          horizonDays: horizonDays ? Number(horizonDays) : undefined,
+          lookbackDays: lookbackDays ? Number(lookbackDays) : undefined,
+          itemIds,
+          defaultSupplierId: defaultSupplierId || undefined,
+        });
+
+      res.status(orders.length ? 201 : 200).json({
+        success: true,
+        count: orders.length,
+        data: {
+          orders: orders.map((order) => new PurchaseOrderResponseDTO(order)),
+          skipped,
+        },
+        message: orders.length
+          ? `Created ${orders.length} draft purchase order(s)`
+          : 'Nothing to order',
+      });
+    } catch (error) {
+      error.fallbackMessage = 'Failed to create purchase orders';
+      return next(error);
+    }
+  }
+);
 
 /**
  * GET /api/inventory/lookup/:barcode
@@ -148,7 +265,7 @@ inventoryRouter.get('/:id', async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      data: item,
+      data: await inventoryItemService.withStockBreakdownOne(item),
     });
   } catch (error) {
     error.fallbackMessage = 'Failed to retrieve inventory item';
@@ -156,6 +273,63 @@ inventoryRouter.get('/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/inventory/:id/activity
+ * Audit trail of an inventory item, newest first
+ */
+inventoryRouter.get('/:id/activity', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const limit = req.query.limit ? Number(req.query.limit) : undefined;
+
+    const activity = await inventoryItemService.getInventoryItemActivity(
+      id,
+      limit
+    );
+
+    res.status(200).json({
+      success: true,
+      data: activity,
+    });
+  } catch (error) {
+    error.fallbackMessage = 'Failed to retrieve inventory item activity';
+    return next(error);
+  }
+});
+
+/**
+ * GET /api/inventory/:id/movements
+ * Stock movement ledger of an inventory item, newest first, with its reconciliation
+ */
+inventoryRouter.get(
+  '/:id/movements',
+  validateListInventoryMovements,
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { type, dateFrom, dateTo, limit } = req.query;
+
+      const { movements, reconciliation } =
+        await inventoryItemService.getInventoryItemMovements(id, {
+          type,
+          dateFrom,
+          dateTo,
+          limit: limit ? Number(limit) : undefined,
+        });
+
+      res.status(200).json({
+        success: true,
+        count: movements.length,
+        data: movements,
+        reconciliation,
+      });
+    } catch (error) {
+      error.fallbackMessage = 'Failed to retrieve inventory item movements';
+      return next(error);
+    }
+  }
+);
+
 /**
  * POST /api/inventory
  * Create a new inventory item
@@ -177,7 +351,7 @@ inventoryRouter.post(
       res.status(201).json({
         success: true,
         message: 'Inventory item created successfully',
-        data: newItem,
+        data: await inventoryItemService.withStockBreakdownOne(newItem),
       });
     } catch (error) {
       error.fallbackMessage = 'Failed to create inventory item';
@@ -203,7 +377,7 @@ inventoryRouter.post(
       res.status(201).json({
         success: true,
         message: 'Inventory batch added successfully',
-        data: updatedItem,
+        data: await inventoryItemService.withStockBreakdownOne(updatedItem),
       });
     } catch (error) {
       error.fallbackMessage = 'Failed to add inventory batch';
@@ -216,22 +390,30 @@ inventoryRouter.post(
  * DELETE /api/inventory/:id/batches/:batchId
  * Remove a stock batch from an inventory item
  */
-inventoryRouter.delete('/:id/batches/:batchId', async (req, res, next) => {
-  try {
-    const { id, batchId } = req.params;
+inventoryRouter.delete(
+  '/:id/batches/:batchId',
+  validateRemoveInventoryBatch,
+  async (req, res, next) => {
+    try {
+      const { id, batchId } = req.params;
+      const { type, reason } = req.query;
 
-    const updatedItem = await inventoryItemService.removeBatch(id, batchId);
+      const updatedItem = await inventoryItemService.removeBatch(id, batchId, {
+        type,
+        reason,
+      });
 
-    res.status(200).json({
-      success: true,
-      message: 'Inventory batch removed successfully',
-      data: updatedItem,
-    });
-  } catch (error) {
-    error.fallbackMessage = 'Failed to remove inventory batch';
-    return next(error);
+      res.status(200).json({
+        success: true,
+        message: 'Inventory batch removed successfully',
+        data: await inventoryItemService.withStockBreakdownOne(updatedItem),
+      });
+    } catch (error) {
+      error.fallbackMessage = 'Failed to remove inventory batch';
+      return next(error);
+    }
   }
-});
+);
 
 /**
  * PUT /api/inventory/:id
@@ -253,7 +435,7 @@ inventoryRouter.put(
       res.status(200).json({
         success: true,
         message: 'Inventory item updated successfully',
-        data: updatedItem,
+        data: await inventoryItemService.withStockBreakdownOne(updatedItem),
       });
     } catch (error) {
       error.fallbackMessage = 'Failed to update inventory item';
@@ -282,7 +464,7 @@ inventoryRouter.patch(
       res.status(200).json({
         success: true,
         message: 'Inventory item partially updated successfully',
-        data: updatedItem,
+        data: await inventoryItemService.withStockBreakdownOne(updatedItem),
       });
     } catch (error) {
       error.fallbackMessage = 'Failed to partially update inventory item';
@@ -313,7 +495,7 @@ inventoryRouter.patch(
       res.status(200).json({
         success: true,
         message: 'Inventory item quantity decreased successfully',
-        data: updatedItem,
+        data: await inventoryItemService.withStockBreakdownOne(updatedItem),
       });
     } catch (error) {
       error.fallbackMessage = 'Failed to decrement inventory item quantity';
@@ -0,0 +1,213 @@
+import express from 'express';
+import { PurchaseOrderRequestDTO } from '../../application/dtos/requests/purchase-order.request.dto.js';
+import { ReceivePurchaseOrderRequestDTO } from '../../application/dtos/requests/receive-purchase-order.request.dto.js';
+import { PurchaseOrderResponseDTO } from '../../application/dtos/responses/purchase-order-response.dto.js';
+import { PurchaseOrderService } from '../../application/services/purchase-order.service.js';
+import { inventoryErrorMiddleware } from '../middleware/inventory-error.middleware.js';
+import {
+  validateCancelPurchaseOrder,
+  validateCreatePurchaseOrder,
+  validateListPurchaseOrders,
+  validateUpdatePurchaseOrder,
+} from '../validators/purchase-order.validator.js';
+import { validateReceivePurchaseOrder } from '../validators/receive-purchase-order.validator.js';
+
+export const purchaseOrderRouter = express.Router();
+
+const purchaseOrderService = new PurchaseOrderService();
+
+/**
+ * GET /api/inventory/purchase-orders
+ * List purchase orders, newest first, by status, supplier or item
+ */
+purchaseOrderRouter.get(
+  '/',
+  validateListPurchaseOrders,
+  async (req, res, next) => {
+    try {
+      const { status, supplierId, itemId } = req.query;
+
+      const orders = await purchaseOrderService.listPurchaseOrders({
+        status,
+        supplierId,
+        itemId,
+      });
+
+      res.status(200).json({
+        success: true,
+        count: orders.length,
+        data: orders.map((order) => new PurchaseOrderResponseDTO(order)),
+      });
+    } catch (error) {
+      error.fallbackMessage = 'Failed to retrieve purchase orders';
+      return next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/inventory/purchase-orders/:id
+ * Get a single purchase order with its receipts
+ */
+purchaseOrderRouter.get('/:id', async (req, res, next) => {
+  try {
+    const order = await purchaseOrderService.getPurchaseOrderById(
+      req.params.id
+    );
+
+    res.status(200).json({
+      success: true,
+      data: new PurchaseOrderResponseDTO(order),
+    });
+  } catch (error) {
+    error.fallbackMessage = 'Failed to retrieve purchase order';
+    return next(error);
+  }
+});
+
+/**
+ * POST /api/inventory/purchase-orders
+ * Create a draft purchase order
+ */
+purchaseOrderRouter.post(
+  '/',
+  validateCreatePurchaseOrder,
+  async (req, res, next) => {
+    try {
+      const orderData = new PurchaseOrderRequestDTO(req.body).toObject();
+
+      const order = await purchaseOrderService.createPurchaseOrder(orderData);
+
+      res.status(201).json({
+        success: true,
+        message: 'Purchase order created successfully',
+        data: new PurchaseOrderResponseDTO(order),
+      });
+    } catch (error) {
+      error.fallbackMessage = 'Failed to create purchase order';
+      return next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/inventory/purchase-orders/:id
+ * Update a draft purchase order
+ */
+purchaseOrderRouter.patch(
+  '/:id',
+  validateUpdatePurchaseOrder,
+  async (req, res, next) => {
+    try {
+      const updates = new PurchaseOrderRequestDTO(req.body).toObject();
+
+      const order = await purchaseOrderService.updatePurchaseOrder(
+        req.params.id,
+        updates
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Purchase order updated successfully',
+        data: new PurchaseOrderResponseDTO(order),
+      });
+    } catch (error) {
+      error.fallbackMessage = 'Failed to update purchase order';
+      return next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/inventory/purchase-orders/:id/send
+ * Mark a draft purchase order as sent to the supplier
+ */
+purchaseOrderRouter.post('/:id/send', async (req, res, next) => {
+  try {
+    const order = await purchaseOrderService.sendPurchaseOrder(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order sent successfully',
+      data: new PurchaseOrderResponseDTO(order),
+    });
+  } catch (error) {
+    error.fallbackMessage = 'Failed to send purchase order';
+    return next(error);
+  }
+});
+
+/**
+ * POST /api/inventory/purchase-orders/:id/receive
+ * Receive a delivery; each line becomes a stock batch on its item
+ */
+purchaseOrderRouter.post(
+  '/:id/receive',
+  validateReceivePurchaseOrder,
+  async (req, res, next) => {
+    try {
+      const delivery = new ReceivePurchaseOrderRequestDTO(req.body).toObject();
+
+      const order = await purchaseOrderService.receivePurchaseOrder(
+        req.params.id,
+        delivery
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Purchase order delivery received successfully',
+        data: new PurchaseOrderResponseDTO(order),
+      });
+    } catch (error) {
+      error.fallbackMessage = 'Failed to receive purchase order delivery';
+      return next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/inventory/purchase-orders/:id/cancel
+ * Cancel a purchase order that has not been fully received
+ */
+purchaseOrderRouter.post(
+  '/:id/cancel',
+  validateCancelPurchaseOrder,
+  async (req, res, next) => {
+    try {
+      const order = await purchaseOrderService.cancelPurchaseOrder(
+        req.params.id,
+        req.body?.reason
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Purchase order cancelled successfully',
+        data: new PurchaseOrderResponseDTO(order),
+      });
+    } catch (error) {
+      error.fallbackMessage = 'Failed to cancel purchase order';
+      return next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/inventory/purchase-orders/:id
+ * Delete a draft purchase order
+ */
+purchaseOrderRouter.delete('/:id', async (req, res, next) => {
+  try {
+    const order = await purchaseOrderService.deletePurchaseOrder(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order deleted successfully',
+      data: order,
+    });
+  } catch (error) {
+    error.fallbackMessage = 'Failed to delete purchase order';
+    return next(error);
+  }
+});
+
+purchaseOrderRouter.use(inventoryErrorMiddleware);
@@ -0,0 +1,203 @@
+import express from 'express';
+import { RecordStockTakeCountsRequestDTO } from '../../application/dtos/requests/record-stock-take-counts.request.dto.js';
+import { StockTakeRequestDTO } from '../../application/dtos/requests/stock-take.request.dto.js';
+import { StockTakeResponseDTO } from '../../application/dtos/responses/stock-take-response.dto.js';
+import { StockTakeService } from '../../application/services/stock-take.service.js';
+import { generateStockTakeSheetPdf } from '../../infrastructure/services/stock-take-pdf.service.js';
+import { inventoryErrorMiddleware } from '../middleware/inventory-error.middleware.js';
+import {
+  validateCancelStockTake,
+  validateCreateStockTake,
+  validateListStockTakes,
+  validatePostStockTake,
+  validateRecordStockTakeCounts,
+} from '../validators/stock-take.validator.js';
+
+export const stockTakeRouter = express.Router();
+
+const stockTakeService = new StockTakeService();
+
+/**
+ * GET /api/inventory/stock-takes
+ * List stock-takes, newest first, by status or location
+ */
+stockTakeRouter.get('/', validateListStockTakes, async (req, res, next) => {
+  try {
+    const { status, locationId } = req.query;
+
+    const stockTakes = await stockTakeService.listStockTakes({
+      status,
+      locationId,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: stockTakes.length,
+      data: stockTakes.map((stockTake) => new StockTakeResponseDTO(stockTake)),
+    });
+  } catch (error) {
+    error.fallbackMessage = 'Failed to retrieve stock-takes';
+    return next(error);
+  }
+});
+
+/**
+ * GET /api/inventory/stock-takes/:id/sheet.pdf
+ * Download the printable count sheet
+ */
+stockTakeRouter.get('/:id/sheet.pdf', async (req, res, next) => {
+  try {
+    const stockTake = await stockTakeService.getStockTakeById(req.params.id);
+
+    const pdfBuffer = await generateStockTakeSheetPdf({ stockTake });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="stock-take-${stockTake.stockTakeNumber}.pdf"`
+    );
+    return res.send(pdfBuffer);
+  } catch (error) {
+    error.fallbackMessage = 'Failed to generate stock-take count sheet';
+    return next(error);
+  }
+});
+
+/**
+ * GET /api/inventory/stock-takes/:id
+ * Get a single stock-take with its count sheet and variances
+ */
+stockTakeRouter.get('/:id', async (req, res, next) => {
+  try {
+    const stockTake = await stockTakeService.getStockTakeById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: new StockTakeResponseDTO(stockTake),
+    });
+  } catch (error) {
+    error.fallbackMessage = 'Failed to retrieve stock-take';
+    return next(error);
+  }
+});
+
+/**
+ * POST /api/inventory/stock-takes
+ * Start a stock-take for a location and/or category
+ */
+stockTakeRouter.post('/', validateCreateStockTake, async (req, res, next) => {
+  try {
+    const scope = new StockTakeRequestDTO(req.body).toObject();
+
+    const stockTake = await stockTakeService.createStockTake(scope);
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock-take started successfully',
+      data: new StockTakeResponseDTO(stockTake),
+    });
+  } catch (error) {
+    error.fallbackMessage = 'Failed to start stock-take';
+    return next(error);
+  }
+});
+
+/**
+ * PATCH /api/inventory/stock-takes/:id/counts
+ * Record counted quantities for count-sheet lines
+ */
+stockTakeRouter.patch(
+  '/:id/counts',
+  validateRecordStockTakeCounts,
+  async (req, res, next) => {
+    try {
+      const counts = new RecordStockTakeCountsRequestDTO(req.body).toObject();
+
+      const stockTake = await stockTakeService.recordCounts(
+        req.params.id,
+        counts
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Counts recorded successfully',
+        data: new StockTakeResponseDTO(stockTake),
+      });
+    } catch (error) {
+      error.fallbackMessage = 'Failed to record counts';
+      return next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/inventory/stock-takes/:id/submit
+ * Close counting and submit the variances for review
+ */
+stockTakeRouter.post('/:id/submit', async (req, res, next) => {
+  try {
+    const stockTake = await stockTakeService.submitStockTake(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Stock-take submitted successfully',
+      data: new StockTakeResponseDTO(stockTake),
+    });
+  } catch (error) {
+    error.fallbackMessage = 'Failed to submit stock-take';
+    return next(error);
+  }
+});
+
+/**
+ * POST /api/inventory/stock-takes/:id/post
+ * Apply approved variances to stock as adjustment movements
+ */
+stockTakeRouter.post(
+  '/:id/post',
+  validatePostStockTake,
+  async (req, res, next) => {
+    try {
+      const stockTake = await stockTakeService.postStockTake(req.params.id, {
+        lineIds: req.body?.lineIds,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Stock-take variances posted successfully',
+        data: new StockTakeResponseDTO(stockTake),
+      });
+    } catch (error) {
+      error.fallbackMessage = 'Failed to post stock-take';
+      return next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/inventory/stock-takes/:id/cancel
+ * Cancel a stock-take without changing stock
+ */
+stockTakeRouter.post(
+  '/:id/cancel',
+  validateCancelStockTake,
+  async (req, res, next) => {
+    try {
+      const stockTake = await stockTakeService.cancelStockTake(
+        req.params.id,
+        req.body?.reason
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Stock-take cancelled successfully',
+        data: new StockTakeResponseDTO(stockTake),
+      });
+    } catch (error) {
+      error.fallbackMessage = 'Failed to cancel stock-take';
+      return next(error);
+    }
+  }
+);
+
+stockTakeRouter.use(inventoryErrorMiddleware);
@@ -0,0 +1,133 @@
+import express from 'express';
+import { StockTransferRequestDTO } from '../../application/dtos/requests/stock-transfer.request.dto.js';
+import { StockTransferService } from '../../application/services/stock-transfer.service.js';
+import { inventoryErrorMiddleware } from '../middleware/inventory-error.middleware.js';
+import {
+  validateCancelStockTransfer,
+  validateCreateStockTransfer,
+  validateListStockTransfers,
+} from '../validators/stock-transfer.validator.js';
+
+export const stockTransferRouter = express.Router();
+
+const stockTransferService = new StockTransferService();
+
+/**
+ * GET /api/inventory/transfers
+ * List stock transfers, newest first, by status, item or location
+ */
+stockTransferRouter.get(
+  '/',
+  validateListStockTransfers,
+  async (req, res, next) => {
+    try {
+      const { status, itemId, locationId } = req.query;
+
+      const transfers = await stockTransferService.listTransfers({
+        status,
+        itemId,
+        locationId,
+      });
+
+      res.status(200).json({
+        success: true,
+        count: transfers.length,
+        data: transfers,
+      });
+    } catch (error) {
+      error.fallbackMessage = 'Failed to retrieve stock transfers';
+      return next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/inventory/transfers/:id
+ * Get a single stock transfer with the batches it carries
+ */
+stockTransferRouter.get('/:id', async (req, res, next) => {
+  try {
+    const transfer = await stockTransferService.getTransferById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: transfer,
+    });
+  } catch (error) {
+    error.fallbackMessage = 'Failed to retrieve stock transfer';
+    return next(error);
+  }
+});
+
+/**
+ * POST /api/inventory/transfers
+ * Dispatch stock from one location; it is in transit until received
+ */
+stockTransferRouter.post(
+  '/',
+  validateCreateStockTransfer,
+  async (req, res, next) => {
+    try {
+      const transferData = new StockTransferRequestDTO(req.body).toObject();
+
+      const transfer =
+        await stockTransferService.dispatchTransfer(transferData);
+
+      res.status(201).json({
+        success: true,
+        message: 'Stock transfer dispatched successfully',
+        data: transfer,
+      });
+    } catch (error) {
+      error.fallbackMessage = 'Failed to dispatch stock transfer';
+      return next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/inventory/transfers/:id/receive
+ * Receive an in-transit transfer into batches at its destination
+ */
+stockTransferRouter.post('/:id/receive', async (req, res, next) => {
+  try {
+    const transfer = await stockTransferService.receiveTransfer(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Stock transfer received successfully',
+      data: transfer,
+    });
+  } catch (error) {
+    error.fallbackMessage = 'Failed to receive stock transfer';
+    return next(error);
+  }
+});
+
+/**
+ * POST /api/inventory/transfers/:id/cancel
+ * Cancel an in-transit transfer and return the stock to its source
+ */
+stockTransferRouter.post(
+  '/:id/cancel',
+  validateCancelStockTransfer,
+  async (req, res, next) => {
+    try {
+      const transfer = await stockTransferService.cancelTransfer(
+        req.params.id,
+        req.body?.reason
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Stock transfer cancelled successfully',
+        data: transfer,
+      });
+    } catch (error) {
+      error.fallbackMessage = 'Failed to cancel stock transfer';
+      return next(error);
+    }
+  }
+);
+
+stockTransferRouter.use(inventoryErrorMiddleware);
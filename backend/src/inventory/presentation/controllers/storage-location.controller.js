@@ -0,0 +1,147 @@
+import express from 'express';
+import { StorageLocationRequestDTO } from '../../application/dtos/requests/storage-location.request.dto.js';
+import { StorageLocationService } from '../../application/services/storage-location.service.js';
+import { inventoryErrorMiddleware } from '../middleware/inventory-error.middleware.js';
+import {
+  validateCreateStorageLocation,
+  validateListStorageLocations,
+  validateUpdateStorageLocation,
+} from '../validators/storage-location.validator.js';
+
+export const storageLocationRouter = express.Router();
+
+const storageLocationService = new StorageLocationService();
+
+/**
+ * GET /api/inventory/locations
+ * List storage locations by activity, type, school or name
+ */
+storageLocationRouter.get(
+  '/',
+  validateListStorageLocations,
+  async (req, res, next) => {
+    try {
+      const { active, type, schoolId, search } = req.query;
+
+      const filters = {};
+      if (active === 'true' || active === 'false') {
+        filters.active = active === 'true';
+      }
+      if (type) {
+        filters.type = type;
+      }
+      if (schoolId) {
+        filters.schoolId = schoolId;
+      }
+      if (search) {
+        filters.search = search;
+      }
+
+      const locations = await storageLocationService.listLocations(filters);
+
+      res.status(200).json({
+        success: true,
+        count: locations.length,
+        data: locations,
+      });
+    } catch (error) {
+      error.fallbackMessage = 'Failed to retrieve storage locations';
+      return next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/inventory/locations/:id
+ * Get a single storage location by ID
+ */
+storageLocationRouter.get('/:id', async (req, res, next) => {
+  try {
+    const location = await storageLocationService.getLocationById(
+      req.params.id
+    );
+
+    res.status(200).json({
+      success: true,
+      data: location,
+    });
+  } catch (error) {
+    error.fallbackMessage = 'Failed to retrieve storage location';
+    return next(error);
+  }
+});
+
+/**
+ * POST /api/inventory/locations
+ * Create a storage location
+ */
+storageLocationRouter.post(
+  '/',
+  validateCreateStorageLocation,
+  async (req, res, next) => {
+    try {
+      const locationData = new StorageLocationRequestDTO(req.body).toObject();
+
+      const location =
+        await storageLocationService.createLocation(locationData);
+
+      res.status(201).json({
+        success: true,
+        message: 'Storage location created successfully',
+        data: location,
+      });
+    } catch (error) {
+      error.fallbackMessage = 'Failed to create storage location';
+      return next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/inventory/locations/:id
+ * Update a storage location; set `active: false` to stop stock going there
+ */
+storageLocationRouter.patch(
+  '/:id',
+  validateUpdateStorageLocation,
+  async (req, res, next) => {
+    try {
+      const updates = new StorageLocationRequestDTO(req.body).toObject();
+
+      const location = await storageLocationService.updateLocation(
+        req.params.id,
+        updates
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Storage location updated successfully',
+        data: location,
+      });
+    } catch (error) {
+      error.fallbackMessage = 'Failed to update storage location';
+      return next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/inventory/locations/:id
+ * Delete a storage location that holds no stock and has no transfers
+ */
+storageLocationRouter.delete('/:id', async (req, res, next) => {
+  try {
+    const location = await storageLocationService.deleteLocation(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Storage location deleted successfully',
+      data: location,
+    });
+  } catch (error) {
+    error.fallbackMessage = 'Failed to delete storage location';
+    return next(error);
+  }
+});
+
+storageLocationRouter.use(inventoryErrorMiddleware);
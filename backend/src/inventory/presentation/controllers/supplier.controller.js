@@ -0,0 +1,125 @@
+import express from 'express';
+import { SupplierRequestDTO } from '../../application/dtos/requests/supplier.request.dto.js';
+import { SupplierService } from '../../application/services/supplier.service.js';
+import { inventoryErrorMiddleware } from '../middleware/inventory-error.middleware.js';
+import {
+  validateCreateSupplier,
+  validateUpdateSupplier,
+} from '../validators/supplier.validator.js';
+
+export const supplierRouter = express.Router();
+
+const supplierService = new SupplierService();
+
+/**
+ * GET /api/inventory/suppliers
+ * List suppliers, optionally only active ones or by name
+ */
+supplierRouter.get('/', async (req, res, next) => {
+  try {
+    const { active, search } = req.query;
+
+    const filters = {};
+    if (active === 'true' || active === 'false') {
+      filters.active = active === 'true';
+    }
+    if (search) {
+      filters.search = search;
+    }
+
+    const suppliers = await supplierService.listSuppliers(filters);
+
+    res.status(200).json({
+      success: true,
+      count: suppliers.length,
+      data: suppliers,
+    });
+  } catch (error) {
+    error.fallbackMessage = 'Failed to retrieve suppliers';
+    return next(error);
+  }
+});
+
+/**
+ * GET /api/inventory/suppliers/:id
+ * Get a single supplier by ID
+ */
+supplierRouter.get('/:id', async (req, res, next) => {
+  try {
+    const supplier = await supplierService.getSupplierById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: supplier,
+    });
+  } catch (error) {
+    error.fallbackMessage = 'Failed to retrieve supplier';
+    return next(error);
+  }
+});
+
+/**
+ * POST /api/inventory/suppliers
+ * Create a supplier
+ */
+supplierRouter.post('/', validateCreateSupplier, async (req, res, next) => {
+  try {
+    const supplierData = new SupplierRequestDTO(req.body).toObject();
+
+    const supplier = await supplierService.createSupplier(supplierData);
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplier created successfully',
+      data: supplier,
+    });
+  } catch (error) {
+    error.fallbackMessage = 'Failed to create supplier';
+    return next(error);
+  }
+});
+
+/**
+ * PATCH /api/inventory/suppliers/:id
+ * Update a supplier; set `active: false` to stop new orders
+ */
+supplierRouter.patch('/:id', validateUpdateSupplier, async (req, res, next) => {
+  try {
+    const updates = new SupplierRequestDTO(req.body).toObject();
+
+    const supplier = await supplierService.updateSupplier(
+      req.params.id,
+      updates
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier updated successfully',
+      data: supplier,
+    });
+  } catch (error) {
+    error.fallbackMessage = 'Failed to update supplier';
+    return next(error);
+  }
+});
+
+/**
+ * DELETE /api/inventory/suppliers/:id
+ * Delete a supplier that has no purchase orders
+ */
+supplierRouter.delete('/:id', async (req, res, next) => {
+  try {
+    const supplier = await supplierService.deleteSupplier(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier deleted successfully',
+      data: supplier,
+    });
+  } catch (error) {
+    error.fallbackMessage = 'Failed to delete supplier';
+    return next(error);
+  }
+});
+
+supplierRouter.use(inventoryErrorMiddleware);
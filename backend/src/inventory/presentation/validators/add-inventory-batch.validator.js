@@ -1,3 +1,5 @@
+import mongoose from 'mongoose';
+
 /**
  * Validator middleware for adding a stock batch to an inventory item
  * @param {Object} req - Express request object
@@ -56,6 +58,18 @@ export function validateAddInventoryBatch(req, res, next) {
     });
   }
 
+  if (
+    body.locationId !== undefined &&
+    body.locationId !== null &&
+    (typeof body.locationId !== 'string' ||
+      !mongoose.Types.ObjectId.isValid(body.locationId))
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: 'locationId must be a valid id if provided',
+    });
+  }
+
   if (body.batchNote !== undefined && typeof body.batchNote !== 'string') {
     return res.status(400).json({
       success: false,
@@ -1,3 +1,6 @@
+import { MANUAL_DECREMENT_MOVEMENT_TYPES } from '../../application/constants/inventory-constants.js';
+import { getMovementDetailsError } from './inventory-movement.validator.js';
+
 /**
  * Validator middleware for increment/decrement inventory quantity requests
  * @param {Object} req - Express request object
@@ -28,5 +31,17 @@ export function validateAdjustInventoryQuantity(req, res, next) {
     });
   }
 
+  const movementError = getMovementDetailsError(
+    body,
+    MANUAL_DECREMENT_MOVEMENT_TYPES
+  );
+
+  if (movementError) {
+    return res.status(400).json({
+      success: false,
+      message: movementError,
+    });
+  }
+
   next();
 }
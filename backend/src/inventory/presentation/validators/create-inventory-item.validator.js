@@ -1,3 +1,5 @@
+import mongoose from 'mongoose';
+
 import { INVENTORY_CATEGORIES } from '../../application/constants/inventory-constants.js';
 
 const NUTRITIONAL_GRADES = ['a', 'b', 'c', 'd', 'e'];
@@ -228,6 +230,18 @@ export function validateCreateInventoryItem(req, res, next) {
     });
   }
 
+  if (
+    req.body.locationId !== undefined &&
+    req.body.locationId !== null &&
+    (typeof req.body.locationId !== 'string' ||
+      !mongoose.Types.ObjectId.isValid(req.body.locationId))
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: 'locationId must be a valid id when provided',
+    });
+  }
+
   if (
     req.body.batchNote !== undefined &&
     typeof req.body.batchNote !== 'string'
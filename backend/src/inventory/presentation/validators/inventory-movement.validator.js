@@ -0,0 +1,90 @@
+import { INVENTORY_MOVEMENT_TYPES } from '../../application/constants/inventory-constants.js';
+
+export const MAX_MOVEMENT_REASON_LENGTH = 500;
+
+/**
+ * Checks the optional ledger `type` and `reason` of a manual stock change
+ * @param {Object} source - Request body or query
+ * @param {Array<string>} allowedTypes - Movement types accepted here
+ * @returns {string|null} Error message, or null when valid
+ */
+export function getMovementDetailsError(source, allowedTypes) {
+  if (source.type !== undefined && !allowedTypes.includes(source.type)) {
+    return `type must be one of: ${allowedTypes.join(', ')}`;
+  }
+
+  if (
+    source.reason !== undefined &&
+    (typeof source.reason !== 'string' ||
+      source.reason.length > MAX_MOVEMENT_REASON_LENGTH)
+  ) {
+    return `reason must be a string of at most ${MAX_MOVEMENT_REASON_LENGTH} characters`;
+  }
+
+  return null;
+}
+
+/**
+ * Validator middleware for removing a batch; `type` and `reason` come from
+ * the query string
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validateRemoveInventoryBatch(req, res, next) {
+  const movementError = getMovementDetailsError(req.query || {}, [
+    INVENTORY_MOVEMENT_TYPES.ADJUSTMENT,
+    INVENTORY_MOVEMENT_TYPES.WASTAGE,
+    INVENTORY_MOVEMENT_TYPES.EXPIRY_WRITE_OFF,
+  ]);
+
+  if (movementError) {
+    return res.status(400).json({
+      success: false,
+      message: movementError,
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validator middleware for movement ledger queries
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validateListInventoryMovements(req, res, next) {
+  const { type, dateFrom, dateTo, limit } = req.query || {};
+
+  if (
+    type !== undefined &&
+    !Object.values(INVENTORY_MOVEMENT_TYPES).includes(type)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: `type must be one of: ${Object.values(INVENTORY_MOVEMENT_TYPES).join(', ')}`,
+    });
+  }
+
+  for (const [name, value] of Object.entries({ dateFrom, dateTo })) {
+    if (value !== undefined && Number.isNaN(new Date(value).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: `${name} must be a valid date`,
+      });
+    }
+  }
+
+  if (
+    limit !== undefined &&
+    (!Number.isInteger(Number(limit)) || Number(limit) <= 0)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: 'limit must be a positive integer',
+    });
+  }
+
+  next();
+}
@@ -0,0 +1,172 @@
+import mongoose from 'mongoose';
+
+import { PURCHASE_ORDER_STATUS } from '../../application/constants/inventory-constants.js';
+
+export const MAX_PURCHASE_ORDER_LINES = 200;
+const MAX_CANCEL_REASON_LENGTH = 500;
+
+function isObjectId(value) {
+  return typeof value === 'string' && mongoose.Types.ObjectId.isValid(value);
+}
+
+/**
+ * Checks purchase order fields; on update every field is optional
+ * @param {Object} body - Request body
+ * @param {{ partial: boolean }} options
+ * @returns {string|null} Error message, or null when valid
+ */
+function getPurchaseOrderError(body, { partial }) {
+  if (!partial || body.supplierId !== undefined) {
+    if (!isObjectId(body.supplierId)) {
+      return 'supplierId is required and must be a valid id';
+    }
+  }
+
+  if (!partial || body.lines !== undefined) {
+    if (!Array.isArray(body.lines) || body.lines.length === 0) {
+      return 'lines must be a non-empty array';
+    }
+
+    if (body.lines.length > MAX_PURCHASE_ORDER_LINES) {
+      return `lines must contain at most ${MAX_PURCHASE_ORDER_LINES} entries`;
+    }
+
+    for (const [index, line] of body.lines.entries()) {
+      if (!line || typeof line !== 'object' || !isObjectId(line.itemId)) {
+        return `lines[${index}].itemId must be a valid id`;
+      }
+
+      if (typeof line.quantity !== 'number' || !(line.quantity > 0)) {
+        return `lines[${index}].quantity must be a positive number`;
+      }
+
+      if (
+        line.unitPrice !== undefined &&
+        (typeof line.unitPrice !== 'number' || line.unitPrice < 0)
+      ) {
+        return `lines[${index}].unitPrice must be a non-negative number if provided`;
+      }
+    }
+  }
+
+  if (
+    body.expectedDeliveryDate !== undefined &&
+    body.expectedDeliveryDate !== null &&
+    isNaN(Date.parse(body.expectedDeliveryDate))
+  ) {
+    return 'expectedDeliveryDate must be a valid date if provided';
+  }
+
+  if (body.notes !== undefined && typeof body.notes !== 'string') {
+    return 'notes must be a string if provided';
+  }
+
+  if (body.status !== undefined) {
+    return 'status changes through the send, receive and cancel actions';
+  }
+
+  return null;
+}
+
+/**
+ * Validator middleware for creating a purchase order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validateCreatePurchaseOrder(req, res, next) {
+  const error = getPurchaseOrderError(req.body || {}, { partial: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validator middleware for updating a draft purchase order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validateUpdatePurchaseOrder(req, res, next) {
+  const body = req.body || {};
+
+  if (Object.keys(body).length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'At least one field is required for update',
+    });
+  }
+
+  const error = getPurchaseOrderError(body, { partial: true });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validator middleware for purchase order list filters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validateListPurchaseOrders(req, res, next) {
+  const { status, supplierId, itemId } = req.query || {};
+  const statuses = Object.values(PURCHASE_ORDER_STATUS);
+
+  if (status !== undefined && !statuses.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be one of: ${statuses.join(', ')}`,
+    });
+  }
+
+  if (supplierId !== undefined && !isObjectId(supplierId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'supplierId must be a valid id',
+    });
+  }
+
+  if (itemId !== undefined && !isObjectId(itemId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'itemId must be a valid id',
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validator middleware for cancelling a purchase order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validateCancelPurchaseOrder(req, res, next) {
+  const { reason } = req.body || {};
+
+  if (
+    reason !== undefined &&
+    (typeof reason !== 'string' || reason.length > MAX_CANCEL_REASON_LENGTH)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: `reason must be a string of at most ${MAX_CANCEL_REASON_LENGTH} characters`,
+    });
+  }
+
+  next();
+}
@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+
+import { MAX_PURCHASE_ORDER_LINES } from './purchase-order.validator.js';
+
+/**
+ * Checks one delivered line of a receipt
+ * @param {Object} line - Delivered line
+ * @param {number} index - Position in the request
+ * @returns {string|null} Error message, or null when valid
+ */
+function getReceivedLineError(line, index) {
+  if (
+    !line ||
+    typeof line !== 'object' ||
+    typeof line.lineId !== 'string' ||
+    !mongoose.Types.ObjectId.isValid(line.lineId)
+  ) {
+    return `lines[${index}].lineId must be a valid id`;
+  }
+
+  if (typeof line.quantity !== 'number' || !(line.quantity > 0)) {
+    return `lines[${index}].quantity must be a positive number`;
+  }
+
+  if (
+    line.expiryDate !== undefined &&
+    line.expiryDate !== null &&
+    isNaN(Date.parse(line.expiryDate))
+  ) {
+    return `lines[${index}].expiryDate must be a valid date if provided`;
+  }
+
+  if (
+    line.unitPrice !== undefined &&
+    (typeof line.unitPrice !== 'number' || line.unitPrice < 0)
+  ) {
+    return `lines[${index}].unitPrice must be a non-negative number if provided`;
+  }
+
+  if (line.location !== undefined && typeof line.location !== 'string') {
+    return `lines[${index}].location must be a string if provided`;
+  }
+
+  if (
+    line.locationId !== undefined &&
+    line.locationId !== null &&
+    (typeof line.locationId !== 'string' ||
+      !mongoose.Types.ObjectId.isValid(line.locationId))
+  ) {
+    return `lines[${index}].locationId must be a valid id if provided`;
+  }
+
+  if (line.batchNote !== undefined && typeof line.batchNote !== 'string') {
+    return `lines[${index}].batchNote must be a string if provided`;
+  }
+
+  return null;
+}
+
+/**
+ * Validator middleware for receiving a delivery against a purchase order.
+ * A delivery needs at least one line unless it only closes the order
+ * (`final: true`).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validateReceivePurchaseOrder(req, res, next) {
+  const body = req.body || {};
+  const lines = body.lines ?? [];
+
+  if (body.final !== undefined && typeof body.final !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      message: 'final must be a boolean if provided',
+    });
+  }
+
+  if (!Array.isArray(lines) || (lines.length === 0 && body.final !== true)) {
+    return res.status(400).json({
+      success: false,
+      message: 'lines must be a non-empty array unless final is true',
+    });
+  }
+
+  if (lines.length > MAX_PURCHASE_ORDER_LINES) {
+    return res.status(400).json({
+      success: false,
+      message: `lines must contain at most ${MAX_PURCHASE_ORDER_LINES} entries`,
+    });
+  }
+
+  for (const [index, line] of lines.entries()) {
+    const lineError = getReceivedLineError(line, index);
+
+    if (lineError) {
+      return res.status(400).json({
+        success: false,
+        message: lineError,
+      });
+    }
+  }
+
+  if (body.note !== undefined && typeof body.note !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'note must be a string if provided',
+    });
+  }
+
+  next();
+}
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+
+import { REORDER_SUGGESTION_DEFAULTS } from '../../application/constants/inventory-constants.js';
+import { MAX_PURCHASE_ORDER_LINES } from './purchase-order.validator.js';
+
+function isObjectId(value) {
+  return typeof value === 'string' && mongoose.Types.ObjectId.isValid(value);
+}
+
+/**
+ * Checks the optional `horizonDays` and `lookbackDays` windows
+ * @param {Object} source - Request body or query
+ * @returns {string|null} Error message, or null when valid
+ */
+function getWindowError(source) {
+  for (const name of ['horizonDays', 'lookbackDays']) {
+    const value = source[name];
+
+    if (
+      value !== undefined &&
+      (!Number.isInteger(Number(value)) ||
+        Number(value) <= 0 ||
+        Number(value) > REORDER_SUGGESTION_DEFAULTS.MAX_DAYS)
+    ) {
+      return `${name} must be an integer between 1 and ${REORDER_SUGGESTION_DEFAULTS.MAX_DAYS}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validator middleware for reorder suggestion queries
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validateGetReorderSuggestions(req, res, next) {
+  const query = req.query || {};
+  const windowError = getWindowError(query);
+
+  if (windowError) {
+    return res.status(400).json({
+      success: false,
+      message: windowError,
+    });
+  }
+
+  if (
+    query.includeAll !== undefined &&
+    !['true', 'false'].includes(query.includeAll)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: 'includeAll must be true or false',
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validator middleware for turning reorder suggestions into draft orders
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validateCreateReorderPurchaseOrders(req, res, next) {
+  const body = req.body || {};
+  const windowError = getWindowError(body);
+
+  if (windowError) {
+    return res.status(400).json({
+      success: false,
+      message: windowError,
+    });
+  }
+
+  if (
+    body.itemIds !== undefined &&
+    (!Array.isArray(body.itemIds) ||
+      body.itemIds.length > MAX_PURCHASE_ORDER_LINES ||
+      !body.itemIds.every(isObjectId))
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: `itemIds must be an array of at most ${MAX_PURCHASE_ORDER_LINES} valid inventory item IDs`,
+    });
+  }
+
+  if (
+    body.defaultSupplierId !== undefined &&
+    body.defaultSupplierId !== null &&
+    !isObjectId(body.defaultSupplierId)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: 'defaultSupplierId must be a valid supplier ID',
+    });
+  }
+
+  next();
+}
@@ -0,0 +1,189 @@
+import mongoose from 'mongoose';
+
+import {
+  INVENTORY_CATEGORIES,
+  STOCK_TAKE_STATUS,
+} from '../../application/constants/inventory-constants.js';
+
+const MAX_COUNTS_PER_REQUEST = 500;
+const MAX_CANCEL_REASON_LENGTH = 500;
+
+function isObjectId(value) {
+  return typeof value === 'string' && mongoose.Types.ObjectId.isValid(value);
+}
+
+/**
+ * Checks one recorded count
+ * @param {Object} count - Recorded count
+ * @param {number} index - Position in the request
+ * @returns {string|null} Error message, or null when valid
+ */
+function getCountError(count, index) {
+  if (!count || typeof count !== 'object' || !isObjectId(count.lineId)) {
+    return `counts[${index}].lineId must be a valid id`;
+  }
+
+  if (
+    count.countedQuantity !== null &&
+    (typeof count.countedQuantity !== 'number' ||
+      !Number.isFinite(count.countedQuantity) ||
+      count.countedQuantity < 0)
+  ) {
+    return `counts[${index}].countedQuantity must be a non-negative number or null`;
+  }
+
+  if (count.note !== undefined && typeof count.note !== 'string') {
+    return `counts[${index}].note must be a string if provided`;
+  }
+
+  return null;
+}
+
+/**
+ * Validator middleware for starting a stock-take
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validateCreateStockTake(req, res, next) {
+  const body = req.body || {};
+
+  if (
+    body.locationId !== undefined &&
+    body.locationId !== null &&
+    !isObjectId(body.locationId)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: 'locationId must be a valid id if provided',
+    });
+  }
+
+  if (
+    body.category !== undefined &&
+    body.category !== null &&
+    !Object.values(INVENTORY_CATEGORIES).includes(body.category)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: `category must be one of: ${Object.values(INVENTORY_CATEGORIES).join(', ')}`,
+    });
+  }
+
+  if (body.notes !== undefined && typeof body.notes !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'notes must be a string if provided',
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validator middleware for stock-take list filters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validateListStockTakes(req, res, next) {
+  const { status, locationId } = req.query || {};
+  const statuses = Object.values(STOCK_TAKE_STATUS);
+
+  if (status !== undefined && !statuses.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be one of: ${statuses.join(', ')}`,
+    });
+  }
+
+  if (locationId !== undefined && !isObjectId(locationId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'locationId must be a valid id',
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validator middleware for recording counted quantities
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validateRecordStockTakeCounts(req, res, next) {
+  const { counts } = req.body || {};
+
+  if (!Array.isArray(counts) || counts.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'counts must be a non-empty array',
+    });
+  }
+
+  if (counts.length > MAX_COUNTS_PER_REQUEST) {
+    return res.status(400).json({
+      success: false,
+      message: `counts must contain at most ${MAX_COUNTS_PER_REQUEST} entries`,
+    });
+  }
+
+  for (const [index, count] of counts.entries()) {
+    const countError = getCountError(count, index);
+
+    if (countError) {
+      return res.status(400).json({
+        success: false,
+        message: countError,
+      });
+    }
+  }
+
+  next();
+}
+
+/**
+ * Validator middleware for posting stock-take variances
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validatePostStockTake(req, res, next) {
+  const { lineIds } = req.body || {};
+
+  if (
+    lineIds !== undefined &&
+    (!Array.isArray(lineIds) || !lineIds.every(isObjectId))
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: 'lineIds must be an array of valid ids if provided',
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validator middleware for cancelling a stock-take
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validateCancelStockTake(req, res, next) {
+  const { reason } = req.body || {};
+
+  if (
+    reason !== undefined &&
+    (typeof reason !== 'string' || reason.length > MAX_CANCEL_REASON_LENGTH)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: `reason must be a string of at most ${MAX_CANCEL_REASON_LENGTH} characters`,
+    });
+  }
+
+  next();
+}
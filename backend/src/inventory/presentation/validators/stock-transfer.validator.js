@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+import { STOCK_TRANSFER_STATUS } from '../../application/constants/inventory-constants.js';
+
+const MAX_CANCEL_REASON_LENGTH = 500;
+
+function isObjectId(value) {
+  return typeof value === 'string' && mongoose.Types.ObjectId.isValid(value);
+}
+
+/**
+ * Validator middleware for dispatching a stock transfer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validateCreateStockTransfer(req, res, next) {
+  const body = req.body || {};
+
+  for (const field of ['itemId', 'fromLocationId', 'toLocationId']) {
+    if (!isObjectId(body[field])) {
+      return res.status(400).json({
+        success: false,
+        message: `${field} is required and must be a valid id`,
+      });
+    }
+  }
+
+  if (body.fromLocationId === body.toLocationId) {
+    return res.status(400).json({
+      success: false,
+      message: 'fromLocationId and toLocationId must differ',
+    });
+  }
+
+  if (typeof body.quantity !== 'number' || !(body.quantity > 0)) {
+    return res.status(400).json({
+      success: false,
+      message: 'quantity must be a positive number',
+    });
+  }
+
+  if (body.notes !== undefined && typeof body.notes !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'notes must be a string if provided',
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validator middleware for stock transfer list filters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validateListStockTransfers(req, res, next) {
+  const { status, itemId, locationId } = req.query || {};
+  const statuses = Object.values(STOCK_TRANSFER_STATUS);
+
+  if (status !== undefined && !statuses.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be one of: ${statuses.join(', ')}`,
+    });
+  }
+
+  if (itemId !== undefined && !isObjectId(itemId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'itemId must be a valid id',
+    });
+  }
+
+  if (locationId !== undefined && !isObjectId(locationId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'locationId must be a valid id',
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validator middleware for cancelling a stock transfer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validateCancelStockTransfer(req, res, next) {
+  const { reason } = req.body || {};
+
+  if (
+    reason !== undefined &&
+    (typeof reason !== 'string' || reason.length > MAX_CANCEL_REASON_LENGTH)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: `reason must be a string of at most ${MAX_CANCEL_REASON_LENGTH} characters`,
+    });
+  }
+
+  next();
+}
@@ -0,0 +1,142 @@
+import mongoose from 'mongoose';
+
+import { STORAGE_LOCATION_TYPES } from '../../application/constants/inventory-constants.js';
+
+const OPTIONAL_TEXT_FIELDS = ['address', 'notes'];
+
+function isObjectId(value) {
+  return typeof value === 'string' && mongoose.Types.ObjectId.isValid(value);
+}
+
+/**
+ * Checks storage location fields; on update every field is optional
+ * @param {Object} body - Request body
+ * @param {{ partial: boolean }} options
+ * @returns {string|null} Error message, or null when valid
+ */
+function getStorageLocationError(body, { partial }) {
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return 'name is required and must be a non-empty string';
+    }
+  }
+
+  const types = Object.values(STORAGE_LOCATION_TYPES);
+  if (body.type !== undefined && !types.includes(body.type)) {
+    return `type must be one of: ${types.join(', ')}`;
+  }
+
+  if (
+    body.schoolId !== undefined &&
+    body.schoolId !== null &&
+    !isObjectId(body.schoolId)
+  ) {
+    return 'schoolId must be a valid id or null if provided';
+  }
+
+  for (const field of OPTIONAL_TEXT_FIELDS) {
+    if (body[field] !== undefined && typeof body[field] !== 'string') {
+      return `${field} must be a string if provided`;
+    }
+  }
+
+  if (body.active !== undefined && typeof body.active !== 'boolean') {
+    return 'active must be a boolean if provided';
+  }
+
+  return null;
+}
+
+/**
+ * Validator middleware for creating a storage location
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validateCreateStorageLocation(req, res, next) {
+  const error = getStorageLocationError(req.body || {}, { partial: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validator middleware for updating a storage location
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validateUpdateStorageLocation(req, res, next) {
+  const body = req.body || {};
+
+  if (Object.keys(body).length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'At least one field is required for update',
+    });
+  }
+
+  const error = getStorageLocationError(body, { partial: true });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validator middleware for storage location list filters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validateListStorageLocations(req, res, next) {
+  const { type, schoolId } = req.query || {};
+  const types = Object.values(STORAGE_LOCATION_TYPES);
+
+  if (type !== undefined && !types.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      message: `type must be one of: ${types.join(', ')}`,
+    });
+  }
+
+  if (schoolId !== undefined && !isObjectId(schoolId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'schoolId must be a valid id',
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validator middleware for the `locationId` filter on inventory lists and
+ * statistics
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validateInventoryLocationFilter(req, res, next) {
+  const { locationId } = req.query || {};
+
+  if (locationId !== undefined && !isObjectId(locationId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'locationId must be a valid id',
+    });
+  }
+
+  next();
+}
@@ -0,0 +1,91 @@
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const OPTIONAL_TEXT_FIELDS = ['contactName', 'phone', 'address', 'notes'];
+
+/**
+ * Checks supplier fields; on update every field is optional
+ * @param {Object} body - Request body
+ * @param {{ partial: boolean }} options
+ * @returns {string|null} Error message, or null when valid
+ */
+function getSupplierError(body, { partial }) {
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return 'name is required and must be a non-empty string';
+    }
+  }
+
+  for (const field of OPTIONAL_TEXT_FIELDS) {
+    if (body[field] !== undefined && typeof body[field] !== 'string') {
+      return `${field} must be a string if provided`;
+    }
+  }
+
+  if (
+    body.email !== undefined &&
+    body.email !== '' &&
+    (typeof body.email !== 'string' || !EMAIL_PATTERN.test(body.email.trim()))
+  ) {
+    return 'email must be a valid email address if provided';
+  }
+
+  if (
+    body.leadTimeDays !== undefined &&
+    body.leadTimeDays !== null &&
+    (!Number.isInteger(body.leadTimeDays) || body.leadTimeDays < 0)
+  ) {
+    return 'leadTimeDays must be a non-negative integer if provided';
+  }
+
+  if (body.active !== undefined && typeof body.active !== 'boolean') {
+    return 'active must be a boolean if provided';
+  }
+
+  return null;
+}
+
+/**
+ * Validator middleware for creating a supplier
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validateCreateSupplier(req, res, next) {
+  const error = getSupplierError(req.body || {}, { partial: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validator middleware for updating a supplier
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function validateUpdateSupplier(req, res, next) {
+  const body = req.body || {};
+
+  if (Object.keys(body).length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'At least one field is required for update',
+    });
+  }
+
+  const error = getSupplierError(body, { partial: true });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  next();
+}
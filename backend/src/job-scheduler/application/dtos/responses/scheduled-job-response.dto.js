@@ -0,0 +1,19 @@
+export function toScheduledJobResponse(job, state, nextRunAt) {
+  return {
+    name: job.name,
+    description: job.description,
+    schedule: job.schedule,
+    nextRunAt: nextRunAt ?? null,
+    running: Boolean(
+      state?.lockedUntil && new Date(state.lockedUntil) > new Date()
+    ),
+    lastStartedAt: state?.lastStartedAt ?? null,
+    lastFinishedAt: state?.lastFinishedAt ?? null,
+    lastStatus: state?.lastStatus ?? null,
+    lastTrigger: state?.lastTrigger ?? null,
+    lastTriggeredBy: state?.lastTriggeredBy ?? null,
+    lastDurationMs: state?.lastDurationMs ?? null,
+    lastResult: state?.lastResult ?? null,
+    lastError: state?.lastError ?? null,
+  };
+}
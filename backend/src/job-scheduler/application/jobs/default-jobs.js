@@ -0,0 +1,65 @@
+// Jobs registered at startup. Times are UTC and staggered so the no-show
+// evaluation sees sessions that were auto-completed the same night. Manual
+// jobs are one-off maintenance, run by an admin.
+export function buildDefaultJobs({
+  mealDistributionJobsService,
+  inventoryIntegrationService,
+  trashIntegrationService,
+  notificationsIntegrationService,
+}) {
+  return [
+    {
+      name: 'auto-complete-meal-sessions',
+      description:
+        'Completes meal sessions still IN_PROGRESS from previous days and finalizes their attendance',
+      schedule: { dailyAtUtc: '00:15' },
+      run: ({ now }) =>
+        mealDistributionJobsService.autoCompleteStaleSessions({ now }),
+    },
+    {
+      name: 'recompute-inventory-expiry',
+      description:
+        'Recomputes inventory quantities and status so newly expired batches are flagged',
+      schedule: { dailyAtUtc: '00:30' },
+      run: () => inventoryIntegrationService.recomputeExpiryStatuses(),
+    },
+    {
+      name: 'backfill-inventory-opening-balances',
+      description:
+        'Records OPENING_BALANCE movements for stock that batches held before the movement ledger, so they reconcile',
+      schedule: { manual: true },
+      run: () => inventoryIntegrationService.backfillOpeningBalances(),
+    },
+    {
+      name: 'evaluate-no-show-patterns',
+      description:
+        'Runs the no-show pattern rules for every school with recent completed sessions',
+      schedule: { dailyAtUtc: '01:00' },
+      run: ({ now }) =>
+        mealDistributionJobsService.evaluateNoShowPatternsForAllSchools({
+          now,
+        }),
+    },
+    {
+      name: 'purge-trash',
+      description:
+        'Permanently deletes records in the trash past the retention period unless attendance or meal plans still reference them',
+      schedule: { dailyAtUtc: '02:00' },
+      run: ({ now }) => trashIntegrationService.purgeExpired({ now }),
+    },
+    {
+      name: 'send-guardian-digests',
+      description:
+        'Sends the daily digest of queued missed-meal notices, one per guardian address, for schools in digest mode',
+      schedule: { dailyAtUtc: '12:30' },
+      run: ({ now }) => notificationsIntegrationService.sendDigests({ now }),
+    },
+    {
+      name: 'retry-failed-notifications',
+      description:
+        'Retries failed guardian notifications whose backoff has elapsed and dead-letters those out of attempts',
+      schedule: { everyMinutes: 5 },
+      run: ({ now }) => notificationsIntegrationService.retryDue({ now }),
+    },
+  ];
+}
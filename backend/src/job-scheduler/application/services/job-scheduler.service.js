@@ -0,0 +1,157 @@
+// In-process runner for recurring jobs.
+// - Each registered job is timed locally from its schedule.
+// - Before running, the instance takes the job's lock in Mongo, so when
+//   several backend instances are up only one of them runs a given job.
+// - The outcome of the last run is stored on the job's lock document.
+import crypto from 'node:crypto';
+import os from 'node:os';
+import { toScheduledJobResponse } from '../dtos/responses/scheduled-job-response.dto.js';
+import { computeNextRunAt } from '../utils/job-schedule.util.js';
+
+// A crashed instance's lock is considered stale after this long.
+const DEFAULT_LEASE_MS = 30 * 60 * 1000;
+
+export class JobSchedulerService {
+  constructor({
+    scheduledJobRepository,
+    instanceId = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`,
+    leaseMs = DEFAULT_LEASE_MS,
+    // Wraps each run, e.g. to attribute its writes in the audit log
+    runInContext = (run, fn) => fn(),
+  }) {
+    this.scheduledJobRepository = scheduledJobRepository;
+    this.instanceId = instanceId;
+    this.leaseMs = leaseMs;
+    this.runInContext = runInContext;
+    this.jobs = new Map();
+    this.timers = new Map();
+    this.nextRunAt = new Map();
+  }
+
+  /**
+   * @param {{ name: string, description: string, schedule: object,
+   *   run: (context: { now: Date }) => Promise<object> }} job
+   */
+  register(job) {
+    if (this.jobs.has(job.name)) {
+      throw new Error(`Job "${job.name}" is already registered`);
+    }
+    this.jobs.set(job.name, job);
+    return this;
+  }
+
+  start() {
+    for (const name of this.jobs.keys()) {
+      this.scheduleNext(name);
+    }
+  }
+
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    this.nextRunAt.clear();
+  }
+
+  scheduleNext(name, from = new Date()) {
+    const nextRunAt = computeNextRunAt(this.jobs.get(name).schedule, from);
+    if (!nextRunAt) {
+      return;
+    }
+    this.nextRunAt.set(name, nextRunAt);
+
+    const timer = setTimeout(async () => {
+      try {
+        await this.runJob(name, { trigger: 'SCHEDULE' });
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error(`[JobScheduler] ${name} could not run:`, err.message);
+      }
+      this.scheduleNext(name);
+    }, nextRunAt.getTime() - from.getTime());
+    // Never keep the process alive just for a pending job.
+    timer.unref?.();
+    this.timers.set(name, timer);
+  }
+
+  /**
+   * Runs a job now if no instance holds its lock.
+   * Returns { job } with the updated job state, or { error } with
+   * JOB_NOT_FOUND / JOB_ALREADY_RUNNING.
+   */
+  async runJob(name, { trigger = 'MANUAL', triggeredBy } = {}) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      return { error: 'JOB_NOT_FOUND' };
+    }
+
+    const startedAt = new Date();
+    const lock = await this.scheduledJobRepository.acquireLock(
+      name,
+      this.instanceId,
+      this.leaseMs,
+      startedAt
+    );
+    if (!lock) {
+      return { error: 'JOB_ALREADY_RUNNING' };
+    }
+
+    let outcome;
+    try {
+      const result = await this.runInContext(
+        { name, trigger, triggeredBy },
+        () => job.run({ now: startedAt })
+      );
+      outcome = { lastStatus: 'SUCCEEDED', lastResult: result ?? null };
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error(`[JobScheduler] ${name} failed:`, err.message);
+      outcome = {
+        lastStatus: 'FAILED',
+        lastResult: null,
+        lastError: err.message || 'Job failed',
+      };
+    }
+
+    const finishedAt = new Date();
+    const state = await this.scheduledJobRepository.releaseLock(
+      name,
+      this.instanceId,
+      {
+        lastError: null,
+        ...outcome,
+        lastStartedAt: startedAt,
+        lastFinishedAt: finishedAt,
+        lastDurationMs: finishedAt.getTime() - startedAt.getTime(),
+        lastTrigger: trigger,
+        lastTriggeredBy: triggeredBy ?? null,
+      }
+    );
+
+    return {
+      job: toScheduledJobResponse(job, state, this.nextRunAt.get(name)),
+    };
+  }
+
+  async listJobs() {
+    const states = await this.scheduledJobRepository.findAll();
+    const stateByName = new Map(states.map((state) => [state.name, state]));
+    return [...this.jobs.values()].map((job) =>
+      toScheduledJobResponse(
+        job,
+        stateByName.get(job.name),
+        this.nextRunAt.get(job.name)
+      )
+    );
+  }
+
+  async getJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      return null;
+    }
+    const state = await this.scheduledJobRepository.findByName(name);
+    return toScheduledJobResponse(job, state, this.nextRunAt.get(name));
+  }
+}
@@ -0,0 +1,29 @@
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Next run time for a job schedule, strictly after `from`.
+ * Supported schedules:
+ *   { dailyAtUtc: 'HH:MM' }  — once a day at the given UTC time
+ *   { everyMinutes: n }      — every n minutes
+ *   { manual: true }         — never timed; runs only through the admin endpoint
+ * Returns null for a manual or unknown schedule.
+ */
+export function computeNextRunAt(schedule, from = new Date()) {
+  if (schedule?.manual) {
+    return null;
+  }
+  if (schedule?.everyMinutes > 0) {
+    return new Date(from.getTime() + schedule.everyMinutes * MINUTE_MS);
+  }
+
+  const match = /^(\d{1,2}):(\d{2})$/.exec(schedule?.dailyAtUtc || '');
+  if (!match) {
+    return null;
+  }
+  const next = new Date(from);
+  next.setUTCHours(Number(match[1]), Number(match[2]), 0, 0);
+  if (next <= from) {
+    next.setUTCDate(next.getUTCDate() + 1);
+  }
+  return next;
+}
@@ -0,0 +1,46 @@
+import { ScheduledJobRepository } from './infrastructure/repositories/scheduled-job.repository.js';
+import { JobSchedulerService } from './application/services/job-scheduler.service.js';
+import { buildDefaultJobs } from './application/jobs/default-jobs.js';
+import { createJobSchedulerController } from './presentation/controllers/job-scheduler.controller.js';
+import { mealDistributionJobsService } from '../meal-distribution/integration.js';
+import { inventoryIntegrationService } from '../inventory/integration.js';
+import { trashIntegrationService } from '../trash/integration.js';
+import { notificationsIntegrationService } from '../notifications/integration.js';
+import { AUDIT_SOURCES, runWithAuditActor } from '../audit-log/integration.js';
+
+const jobSchedulerService = new JobSchedulerService({
+  scheduledJobRepository: new ScheduledJobRepository(),
+  runInContext: ({ name, triggeredBy }, fn) =>
+    runWithAuditActor(
+      {
+        source: AUDIT_SOURCES.JOB,
+        actorId: triggeredBy ?? null,
+        jobName: name,
+      },
+      fn
+    ),
+});
+
+buildDefaultJobs({
+  mealDistributionJobsService,
+  inventoryIntegrationService,
+  trashIntegrationService,
+  notificationsIntegrationService,
+}).forEach((job) => jobSchedulerService.register(job));
+
+const createJobSchedulerRouter = () =>
+  createJobSchedulerController(jobSchedulerService);
+
+/**
+ * Starts the recurring timers unless JOB_SCHEDULER_ENABLED=false.
+ * Manual runs through the admin endpoint work either way.
+ */
+const startJobScheduler = () => {
+  if (String(process.env.JOB_SCHEDULER_ENABLED).toLowerCase() === 'false') {
+    return false;
+  }
+  jobSchedulerService.start();
+  return true;
+};
+
+export { createJobSchedulerRouter, startJobScheduler };
@@ -0,0 +1,3 @@
+import { createJobSchedulerRouter, startJobScheduler } from './bootstrap.js';
+
+export { createJobSchedulerRouter, startJobScheduler };
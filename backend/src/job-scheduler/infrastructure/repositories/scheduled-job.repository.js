@@ -0,0 +1,52 @@
+import { ScheduledJob } from '../schemas/scheduled-job.schema.js';
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+export class ScheduledJobRepository {
+  async findAll() {
+    return ScheduledJob.find({}).lean();
+  }
+
+  async findByName(name) {
+    return ScheduledJob.findOne({ name }).lean();
+  }
+
+  /**
+   * Takes the lock for `name` when it is free or its lease has expired.
+   * Returns the locked document, or null when another owner holds it.
+   */
+  async acquireLock(name, owner, leaseMs, now = new Date()) {
+    try {
+      return await ScheduledJob.findOneAndUpdate(
+        {
+          name,
+          $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+        },
+        {
+          $set: {
+            lockedBy: owner,
+            lockedUntil: new Date(now.getTime() + leaseMs),
+          },
+        },
+        { upsert: true, new: true }
+      ).lean();
+    } catch (err) {
+      // The upsert collides with the unique name when the lock is held.
+      if (err?.code === DUPLICATE_KEY_ERROR) {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Releases the lock held by `owner` and records the run outcome.
+   */
+  async releaseLock(name, owner, runUpdates = {}) {
+    return ScheduledJob.findOneAndUpdate(
+      { name, lockedBy: owner },
+      { $set: { ...runUpdates, lockedBy: null, lockedUntil: null } },
+      { new: true }
+    ).lean();
+  }
+}
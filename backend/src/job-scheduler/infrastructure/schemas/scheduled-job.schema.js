@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// One document per registered job. Doubles as the distributed lock:
+// an instance owns the job while `lockedBy` is set and `lockedUntil` is in
+// the future.
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true },
+    lockedBy: { type: String, default: null },
+    lockedUntil: { type: Date, default: null },
+    lastStartedAt: { type: Date },
+    lastFinishedAt: { type: Date },
+    lastStatus: { type: String, enum: ['SUCCEEDED', 'FAILED'] },
+    lastTrigger: { type: String, enum: ['SCHEDULE', 'MANUAL'] },
+    lastTriggeredBy: { type: String },
+    lastDurationMs: { type: Number },
+    lastResult: { type: mongoose.Schema.Types.Mixed },
+    lastError: { type: String },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export const ScheduledJob = mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -0,0 +1,49 @@
+import express from 'express';
+
+export const createJobSchedulerController = (jobSchedulerService) => {
+  const router = express.Router();
+
+  // List: GET /api/admin/jobs
+  router.get('/', async (req, res, next) => {
+    try {
+      const jobs = await jobSchedulerService.listJobs();
+      return res.status(200).json(jobs);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Get one: GET /api/admin/jobs/:name
+  router.get('/:name', async (req, res, next) => {
+    try {
+      const job = await jobSchedulerService.getJob(req.params.name);
+      if (!job) {
+        return res.status(404).json({ message: 'Job not found' });
+      }
+      return res.status(200).json(job);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Trigger now: POST /api/admin/jobs/:name/run
+  router.post('/:name/run', async (req, res, next) => {
+    try {
+      const result = await jobSchedulerService.runJob(req.params.name, {
+        trigger: 'MANUAL',
+        triggeredBy: req.user?._id?.toString(),
+      });
+      if (result.error === 'JOB_NOT_FOUND') {
+        return res.status(404).json({ message: 'Job not found' });
+      }
+      if (result.error === 'JOB_ALREADY_RUNNING') {
+        return res.status(409).json({ message: 'Job is already running' });
+      }
+      return res.status(200).json(result.job);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,12 @@
+export class BulkMarkAttendanceDto {
+  constructor({ mealSessionId, status, studentIds, allUnmarked, notes }) {
+    this.mealSessionId = String(mealSessionId).trim();
+    this.status = String(status).trim().toUpperCase();
+    this.studentIds = Array.isArray(studentIds)
+      ? [...new Set(studentIds.map((id) => String(id).trim()))]
+      : [];
+    this.allUnmarked = allUnmarked === true;
+    this.notes =
+      notes === undefined || notes === null ? undefined : String(notes).trim();
+  }
+}
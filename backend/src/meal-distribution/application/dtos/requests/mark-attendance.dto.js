@@ -1,9 +1,19 @@
 export class MarkAttendanceDto {
-  constructor({ studentId, mealSessionId, status, servedAt, notes }) {
+  constructor({
+    studentId,
+    mealSessionId,
+    status,
+    servedAt,
+    notes,
+    overrideReason,
+  }) {
     this.studentId = studentId;
     this.mealSessionId = mealSessionId;
     this.status = status;
     this.servedAt = servedAt;
     this.notes = notes;
+    this.overrideReason = overrideReason
+      ? String(overrideReason).trim()
+      : undefined;
   }
 }
@@ -0,0 +1,5 @@
+export class ReviewNoShowAlertDto {
+  constructor({ notes } = {}) {
+    this.notes = notes;
+  }
+}
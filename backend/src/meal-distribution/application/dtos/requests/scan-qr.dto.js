@@ -1,6 +1,9 @@
 export class ScanQrDto {
-  constructor({ mealSessionId, qrToken }) {
+  constructor({ mealSessionId, qrToken, overrideReason }) {
     this.mealSessionId = mealSessionId;
-    this.qrToken = qrToken;
+    this.qrToken = String(qrToken).trim();
+    this.overrideReason = overrideReason
+      ? String(overrideReason).trim()
+      : undefined;
   }
 }
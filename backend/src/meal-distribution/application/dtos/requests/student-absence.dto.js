@@ -0,0 +1,14 @@
+export class StudentAbsenceDto {
+  constructor({ studentId, schoolId, dateFrom, dateTo, mealTypes, reason }) {
+    this.studentId =
+      studentId === undefined ? undefined : String(studentId).trim();
+    this.schoolId =
+      schoolId === undefined ? undefined : String(schoolId).trim();
+    this.dateFrom = dateFrom;
+    this.dateTo = dateTo;
+    this.mealTypes = Array.isArray(mealTypes)
+      ? [...new Set(mealTypes.map((type) => String(type).trim().toLowerCase()))]
+      : undefined;
+    this.reason = reason === undefined ? undefined : String(reason).trim();
+  }
+}
@@ -0,0 +1,11 @@
+export class SyncOfflineScansDto {
+  constructor({ scans }) {
+    this.scans = scans.map((scan) => ({
+      idempotencyKey: String(scan.idempotencyKey).trim(),
+      mealSessionId: String(scan.mealSessionId).trim(),
+      qrToken: scan.qrToken ? String(scan.qrToken).trim() : undefined,
+      studentId: scan.studentId ? String(scan.studentId).trim() : undefined,
+      scannedAt: scan.scannedAt ? new Date(scan.scannedAt) : undefined,
+    }));
+  }
+}
@@ -0,0 +1,15 @@
+export class UpdateNoShowAlertSettingsDto {
+  constructor({
+    enabled,
+    consecutiveNoShows,
+    windowSchoolDays,
+    maxNoShowsInWindow,
+    notifyGuardians,
+  }) {
+    this.enabled = enabled;
+    this.consecutiveNoShows = consecutiveNoShows;
+    this.windowSchoolDays = windowSchoolDays;
+    this.maxNoShowsInWindow = maxNoShowsInWindow;
+    this.notifyGuardians = notifyGuardians;
+  }
+}
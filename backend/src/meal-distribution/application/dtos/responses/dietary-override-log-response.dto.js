@@ -0,0 +1,18 @@
+export function toDietaryOverrideLogResponse(doc) {
+  if (!doc) {
+    return null;
+  }
+  return {
+    id: doc._id?.toString?.() ?? null,
+    mealSessionId: doc.mealSessionId?.toString?.() ?? null,
+    schoolId: doc.schoolId,
+    studentId: doc.studentId,
+    attendanceId: doc.attendanceId ?? null,
+    recipeId: doc.recipeId ?? null,
+    recipeName: doc.recipeName ?? null,
+    conflicts: doc.conflicts ?? [],
+    reason: doc.reason,
+    overriddenBy: doc.overriddenBy ?? null,
+    createdAt: doc.createdAt ?? null,
+  };
+}
@@ -23,21 +23,28 @@ export function toMealSessionResponse(mealSessionDoc, mealDescription) {
   };
 }
 
-export function toGuardianNotificationResponse(doc) {
-  if (!doc) {
+// Maps a notification log entry from the notifications module.
+export function toGuardianNotificationResponse(entry) {
+  if (!entry) {
     return null;
   }
   return {
-    id: doc._id?.toString?.() ?? null,
-    mealSessionId:
-      doc.mealSessionId?.toString?.() ?? String(doc.mealSessionId ?? ''),
-    studentId: doc.studentId,
-    guardianEmail: doc.guardianEmail ?? null,
-    status: doc.status,
-    skipReason: doc.skipReason ?? null,
-    providerMessageId: doc.providerMessageId ?? null,
-    errorMessage: doc.errorMessage ?? null,
-    sentAt: doc.sentAt ?? null,
-    createdAt: doc.createdAt ?? null,
+    id: entry.id ?? null,
+    mealSessionId: entry.mealSessionId ?? null,
+    studentId: entry.studentId,
+    channel: entry.channel,
+    recipient: entry.recipient ?? null,
+    guardianEmail: entry.channel === 'email' ? (entry.recipient ?? null) : null,
+    status: entry.status,
+    skipReason: entry.skipReason ?? null,
+    providerMessageId: entry.providerMessageId ?? null,
+    errorMessage: entry.errorMessage ?? null,
+    sentAt: entry.sentAt ?? null,
+    attempts: entry.attempts ?? 0,
+    lastAttemptAt: entry.lastAttemptAt ?? null,
+    nextAttemptAt: entry.nextAttemptAt ?? null,
+    // Set when the notice went out in a daily digest
+    digest: entry.digest ?? null,
+    createdAt: entry.createdAt ?? null,
   };
 }
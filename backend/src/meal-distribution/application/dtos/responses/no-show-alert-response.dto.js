@@ -0,0 +1,38 @@
+export function toNoShowAlertResponse(doc) {
+  if (!doc) {
+    return null;
+  }
+  return {
+    id: doc._id?.toString?.() ?? null,
+    studentId: doc.studentId,
+    schoolId: doc.schoolId,
+    rule: doc.rule,
+    periodFrom: doc.periodFrom,
+    periodTo: doc.periodTo,
+    noShowCount: doc.noShowCount,
+    mealSessionIds: (doc.mealSessionIds || []).map((id) => id.toString()),
+    status: doc.status,
+    acknowledgedAt: doc.acknowledgedAt ?? null,
+    acknowledgedBy: doc.acknowledgedBy ?? null,
+    resolvedAt: doc.resolvedAt ?? null,
+    resolvedBy: doc.resolvedBy ?? null,
+    notes: doc.notes ?? null,
+    notified: Boolean(doc.notified),
+    notificationStatus: doc.notificationStatus ?? null,
+    notificationError: doc.notificationError ?? null,
+    notifiedAt: doc.notifiedAt ?? null,
+    createdAt: doc.createdAt ?? null,
+    updatedAt: doc.updatedAt ?? null,
+  };
+}
+
+export function toNoShowAlertSettingsResponse(schoolId, settings) {
+  return {
+    schoolId,
+    enabled: settings.enabled,
+    consecutiveNoShows: settings.consecutiveNoShows,
+    windowSchoolDays: settings.windowSchoolDays,
+    maxNoShowsInWindow: settings.maxNoShowsInWindow,
+    notifyGuardians: settings.notifyGuardians,
+  };
+}
@@ -0,0 +1,16 @@
+export function toOfflineScanResultResponse(
+  receipt,
+  { replayed = false } = {}
+) {
+  return {
+    idempotencyKey: receipt.idempotencyKey,
+    mealSessionId: receipt.mealSessionId,
+    studentId: receipt.studentId ?? null,
+    outcome: receipt.outcome,
+    code: receipt.code ?? null,
+    attendanceId: receipt.attendanceId ?? null,
+    conflicts: receipt.conflicts ?? [],
+    scannedAt: receipt.scannedAt ?? null,
+    replayed,
+  };
+}
@@ -0,0 +1,20 @@
+const toDateKey = (date) =>
+  date instanceof Date ? date.toISOString().slice(0, 10) : (date ?? null);
+
+export function toStudentAbsenceResponse(doc) {
+  if (!doc) {
+    return null;
+  }
+  return {
+    id: doc._id?.toString?.() ?? null,
+    studentId: doc.studentId,
+    schoolId: doc.schoolId,
+    dateFrom: toDateKey(doc.dateFrom),
+    dateTo: toDateKey(doc.dateTo),
+    mealTypes: doc.mealTypes ?? [],
+    reason: doc.reason,
+    enteredBy: doc.enteredBy ?? null,
+    createdAt: doc.createdAt ?? null,
+    updatedAt: doc.updatedAt ?? null,
+  };
+}
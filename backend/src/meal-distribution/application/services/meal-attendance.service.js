@@ -2,6 +2,13 @@
 // - Records and queries attendance for a given meal session.
 // - Keeps the parent MealSession's actualServedCount and wastageCount
 //   in sync whenever attendance is created, updated or deleted.
+// - Runs the dietary safety check whenever a student becomes PRESENT; a
+//   student the school's policy blocks is only marked with an override
+//   reason, which is logged.
+// - Marks many students of a session at once (bulk marking). Bulk marking
+//   takes no override reason, so students the school's dietary policy
+//   blocks are not marked PRESENT.
+// - Shows students with a registered absence as pre-excused on the roster.
 import { MarkAttendanceDto } from '../dtos/requests/mark-attendance.dto.js';
 import { toMealAttendanceResponse } from '../dtos/responses/meal-attendance-response.dto.js';
 import {
@@ -11,9 +18,16 @@ import {
 import { pickLatestAttendanceByStudentId } from '../../infrastructure/utils/latest-attendance-by-student.util.js';
 
 export class MealAttendanceService {
-  constructor(mealAttendanceRepository, mealSessionRepository) {
+  constructor(
+    mealAttendanceRepository,
+    mealSessionRepository,
+    studentAbsenceService = null,
+    mealSafetyCheckService = null
+  ) {
     this.mealAttendanceRepository = mealAttendanceRepository;
     this.mealSessionRepository = mealSessionRepository;
+    this.studentAbsenceService = studentAbsenceService;
+    this.mealSafetyCheckService = mealSafetyCheckService;
   }
 
   async promoteSessionToInProgressIfNeeded(session, nextAttendanceStatus) {
@@ -37,7 +51,43 @@ export class MealAttendanceService {
     return String(session?.status || '').toUpperCase() === 'COMPLETED';
   }
 
-  async markAttendance(dto) {
+  // Without a safety check service every student may be served
+  async checkDietarySafety({ mealSessionId, studentId, overrideReason }) {
+    if (!this.mealSafetyCheckService) {
+      return { safety: null };
+    }
+    return this.mealSafetyCheckService.checkScan({
+      mealSessionId,
+      studentId,
+      overrideReason,
+    });
+  }
+
+  async logDietaryOverride(
+    safetyResult,
+    { studentId, overrideReason, actorId, attendanceId }
+  ) {
+    if (!safetyResult.safety?.overridden) {
+      return;
+    }
+    await this.mealSafetyCheckService.logOverride({
+      session: safetyResult.session,
+      studentId,
+      safety: safetyResult.safety,
+      reason: overrideReason,
+      actorId,
+      attendanceId,
+    });
+  }
+
+  /**
+   * Marks one student. Marking PRESENT runs the dietary safety check:
+   * DIETARY_CONFLICT_BLOCKED (with `safety`) unless `dto.overrideReason` is
+   * given for a student the school's policy blocks.
+   * @param {MarkAttendanceDto} dto
+   * @param {{ actorId?: string }} [options] - Who overrides a dietary block
+   */
+  async markAttendance(dto, { actorId } = {}) {
     const { studentId, mealSessionId } = dto;
 
     // Ensure the meal session exists before recording attendance
@@ -52,7 +102,8 @@ export class MealAttendanceService {
     const normalizedStudentId = String(studentId).trim();
     const inSchool = await isActiveStudentInSchool(
       normalizedStudentId,
-      session.schoolId
+      session.schoolId,
+      session
     );
     if (!inSchool) {
       return { error: 'STUDENT_NOT_IN_SCHOOL' };
@@ -86,18 +137,32 @@ export class MealAttendanceService {
               ? new Date(dto.servedAt)
               : new Date(),
         notes: dto.notes,
+        overrideReason: dto.overrideReason,
       });
       const updated = await this.updateAttendance(
         existing._id.toString(),
-        updateDto
+        updateDto,
+        { actorId }
       );
       if (updated.notFound) {
         return { error: 'MEAL_SESSION_NOT_FOUND' };
       }
       if (updated.error) {
-        return { error: updated.error };
+        return { error: updated.error, safety: updated.safety };
       }
-      return { attendance: updated.attendance };
+      return { attendance: updated.attendance, safety: updated.safety };
+    }
+
+    const safetyResult =
+      status === 'PRESENT'
+        ? await this.checkDietarySafety({
+            mealSessionId,
+            studentId: normalizedStudentId,
+            overrideReason: dto.overrideReason,
+          })
+        : { safety: null };
+    if (safetyResult.error) {
+      return { error: safetyResult.error, safety: safetyResult.safety };
     }
 
     const data = {
@@ -118,6 +183,12 @@ export class MealAttendanceService {
 
     const created = await this.mealAttendanceRepository.create(data);
 
+    await this.logDietaryOverride(safetyResult, {
+      studentId: normalizedStudentId,
+      overrideReason: dto.overrideReason,
+      actorId,
+      attendanceId: created._id.toString(),
+    });
     await this.promoteSessionToInProgressIfNeeded(session, status);
 
     // Only bump counts when marking a PRESENT attendance
@@ -134,7 +205,145 @@ export class MealAttendanceService {
       });
     }
 
-    return { attendance: toMealAttendanceResponse(created) };
+    return {
+      attendance: toMealAttendanceResponse(created),
+      safety: safetyResult.safety,
+    };
+  }
+
+  /**
+   * Applies one status to many students of a session: the listed studentIds,
+   * or with `allUnmarked` every roster student without attendance yet.
+   * Served counts change in a single update for the whole batch.
+   * @param {import('../dtos/requests/bulk-mark-attendance.dto.js').BulkMarkAttendanceDto} dto
+   */
+  async bulkMarkAttendance(dto, now = new Date()) {
+    const { mealSessionId, status, notes } = dto;
+
+    const session = await this.mealSessionRepository.findById(mealSessionId);
+    if (!session) {
+      return { error: 'MEAL_SESSION_NOT_FOUND' };
+    }
+    if (this.isSessionCompleted(session)) {
+      return { error: 'MEAL_SESSION_COMPLETED' };
+    }
+
+    const [students, attendanceDocs] = await Promise.all([
+      findActiveStudentsWithGuardianForMealSession(session.schoolId, session),
+      this.mealAttendanceRepository.findMany({ mealSessionId }),
+    ]);
+    const rosterIds = new Set(
+      students.map((student) => String(student.studentId))
+    );
+    const attendanceByStudentId =
+      pickLatestAttendanceByStudentId(attendanceDocs);
+
+    const studentIds = dto.allUnmarked
+      ? [...rosterIds]
+          .filter((sid) => !attendanceByStudentId.has(sid))
+          .sort((a, b) => a.localeCompare(b))
+      : dto.studentIds;
+
+    const blockedStudents =
+      status === 'PRESENT' && this.mealSafetyCheckService
+        ? await this.mealSafetyCheckService.findBlockedStudents(
+            session,
+            studentIds.filter((sid) => rosterIds.has(sid))
+          )
+        : new Map();
+
+    const results = [];
+    let servedDelta = 0;
+    for (const studentId of studentIds) {
+      if (!rosterIds.has(studentId)) {
+        results.push({
+          studentId,
+          outcome: 'STUDENT_NOT_IN_SCHOOL',
+          previousStatus: null,
+          attendanceId: null,
+        });
+        continue;
+      }
+
+      const existing = attendanceByStudentId.get(studentId);
+      const previousStatus = existing?.status ?? null;
+      if (previousStatus === status) {
+        results.push({
+          studentId,
+          outcome: 'UNCHANGED',
+          previousStatus,
+          attendanceId: existing._id.toString(),
+        });
+        continue;
+      }
+
+      const blocked = blockedStudents.get(studentId);
+      if (blocked) {
+        results.push({
+          studentId,
+          outcome: 'DIETARY_CONFLICT_BLOCKED',
+          previousStatus,
+          attendanceId: existing?._id.toString() ?? null,
+          conflicts: blocked.conflicts,
+        });
+        continue;
+      }
+
+      let doc;
+      if (existing) {
+        doc = await this.mealAttendanceRepository.updateById(existing._id, {
+          status,
+          servedAt: now,
+          ...(notes !== undefined ? { notes } : {}),
+        });
+      } else {
+        doc = await this.mealAttendanceRepository.create({
+          studentId,
+          mealSessionId,
+          status,
+          servedAt: now,
+          notes,
+        });
+      }
+
+      if (status === 'PRESENT') {
+        servedDelta += 1;
+      } else if (previousStatus === 'PRESENT') {
+        servedDelta -= 1;
+      }
+      results.push({
+        studentId,
+        outcome: existing ? 'UPDATED' : 'MARKED',
+        previousStatus,
+        attendanceId: doc._id.toString(),
+      });
+    }
+
+    let updatedSession = session;
+    if (
+      results.some((r) => r.outcome === 'MARKED' || r.outcome === 'UPDATED')
+    ) {
+      await this.promoteSessionToInProgressIfNeeded(session, status);
+    }
+    if (servedDelta !== 0) {
+      updatedSession = await this.mealSessionRepository.adjustServedCount(
+        mealSessionId,
+        servedDelta
+      );
+    }
+
+    const summary = {};
+    for (const result of results) {
+      summary[result.outcome] = (summary[result.outcome] ?? 0) + 1;
+    }
+    return {
+      mealSessionId,
+      status,
+      results,
+      summary,
+      actualServedCount: updatedSession?.actualServedCount ?? 0,
+      wastageCount: updatedSession?.wastageCount ?? 0,
+    };
   }
 
   async getAttendanceById(attendanceId) {
@@ -149,6 +358,12 @@ export class MealAttendanceService {
     }
     if (filters.mealSessionId) {
       filter.mealSessionId = filters.mealSessionId;
+    } else if (filters.schoolIds) {
+      // School-scoped users without a session filter see their schools only
+      const sessions = await this.mealSessionRepository.findMany({
+        schoolId: { $in: filters.schoolIds },
+      });
+      filter.mealSessionId = { $in: sessions.map((session) => session._id) };
     }
     if (filters.status) {
       filter.status = String(filters.status).trim();
@@ -174,18 +389,31 @@ export class MealAttendanceService {
     }
     const isCompleted = this.isSessionCompleted(session);
 
-    const [students, attendanceDocs] = await Promise.all([
-      findActiveStudentsWithGuardianForMealSession(session.schoolId),
+    const [students, attendanceDocs, absencesByStudentId] = await Promise.all([
+      findActiveStudentsWithGuardianForMealSession(session.schoolId, session),
       this.mealAttendanceRepository.findMany({ mealSessionId }),
+      this.studentAbsenceService
+        ? this.studentAbsenceService.findAbsencesForSession(session)
+        : new Map(),
     ]);
 
     const attendanceByStudentId =
       pickLatestAttendanceByStudentId(attendanceDocs);
 
+    // Without attendance, a registered absence shows as PRE_EXCUSED until
+    // completion records it as EXCUSED
+    const unmarkedStatus = (absence) => {
+      if (absence) {
+        return isCompleted ? 'EXCUSED' : 'PRE_EXCUSED';
+      }
+      return isCompleted ? 'NO_SHOW' : 'NOT_MARKED';
+    };
+
     const roster = students
       .map((student) => {
         const sid = String(student.studentId);
         const attendance = attendanceByStudentId.get(sid);
+        const absence = absencesByStudentId.get(sid);
         return {
           studentId: sid,
           firstName: student.firstName || '',
@@ -194,10 +422,12 @@ export class MealAttendanceService {
             .filter(Boolean)
             .join(' ')
             .trim(),
-          status:
-            attendance?.status || (isCompleted ? 'NO_SHOW' : 'NOT_MARKED'),
+          status: attendance?.status || unmarkedStatus(absence),
           servedAt: attendance?.servedAt || null,
           attendanceId: attendance?._id?.toString?.() || null,
+          absence: absence
+            ? { id: absence._id.toString(), reason: absence.reason }
+            : null,
         };
       })
       .sort((a, b) => String(a.studentId).localeCompare(String(b.studentId)));
@@ -205,7 +435,14 @@ export class MealAttendanceService {
     return { roster };
   }
 
-  async updateAttendance(attendanceId, dto) {
+  /**
+   * Updates one attendance. Changing it to PRESENT runs the same dietary
+   * safety check as markAttendance.
+   * @param {string} attendanceId
+   * @param {MarkAttendanceDto} dto
+   * @param {{ actorId?: string }} [options] - Who overrides a dietary block
+   */
+  async updateAttendance(attendanceId, dto, { actorId } = {}) {
     const existing = await this.mealAttendanceRepository.findById(attendanceId);
     if (!existing) {
       return { notFound: true };
@@ -239,11 +476,30 @@ export class MealAttendanceService {
     const originalStatus = existing.status;
     const newStatus = updates.status || originalStatus;
 
+    const safetyResult =
+      newStatus === 'PRESENT' && originalStatus !== 'PRESENT'
+        ? await this.checkDietarySafety({
+            mealSessionId: existing.mealSessionId.toString(),
+            studentId: existing.studentId,
+            overrideReason: dto.overrideReason,
+          })
+        : { safety: null };
+    if (safetyResult.error) {
+      return { error: safetyResult.error, safety: safetyResult.safety };
+    }
+
     const updated = await this.mealAttendanceRepository.updateById(
       attendanceId,
       updates
     );
 
+    await this.logDietaryOverride(safetyResult, {
+      studentId: existing.studentId,
+      overrideReason: dto.overrideReason,
+      actorId,
+      attendanceId,
+    });
+
     // Adjust session counts if status changed with respect to PRESENT
     if (originalStatus !== newStatus) {
       let delta = 0;
@@ -283,7 +539,10 @@ export class MealAttendanceService {
       await this.promoteSessionToInProgressIfNeeded(session, newStatus);
     }
 
-    return { attendance: toMealAttendanceResponse(updated) };
+    return {
+      attendance: toMealAttendanceResponse(updated),
+      safety: safetyResult.safety,
+    };
   }
 
   async deleteAttendance(attendanceId) {
@@ -0,0 +1,89 @@
+// Application service that turns a scanned qrToken into a trusted studentId.
+// - Signed tokens must verify, be unexpired and match the student's current
+//   card version (older versions were superseded by a reissued card).
+// - Unsigned legacy JSON cards are only accepted while the student's school
+//   is inside its legacyQrGraceUntil window and no signed card was issued.
+// - Revoked cards (lost, stolen, damaged) are refused before any other check
+//   so the scanner can tell staff to confiscate the card.
+import {
+  findStudentMealCardState,
+  isSignedMealCardToken,
+  verifyMealCardToken,
+} from '../../infrastructure/services/meal-card-lookup.service.js';
+
+function findRevokedCard(student, version) {
+  return (student.mealCards || []).find(
+    (card) => card.version === version && card.status === 'revoked'
+  );
+}
+
+export class MealCardVerificationService {
+  async resolveStudentId(qrToken, now = new Date()) {
+    if (isSignedMealCardToken(qrToken)) {
+      return this.resolveSignedToken(qrToken, now);
+    }
+    return this.resolveLegacyToken(qrToken, now);
+  }
+
+  async resolveSignedToken(qrToken, now) {
+    const verified = verifyMealCardToken(qrToken, now);
+    if (verified.error) {
+      return { error: verified.error };
+    }
+
+    const student = await findStudentMealCardState(verified.studentId);
+    // Unknown students fall through to the attendance service, which
+    // already reports STUDENT_NOT_IN_SCHOOL.
+    const revoked = student && findRevokedCard(student, verified.cardVersion);
+    if (revoked) {
+      return { error: 'QR_CARD_REVOKED', revokeReason: revoked.revokeReason };
+    }
+    if (student && verified.cardVersion !== (student.qrCardVersion || 0)) {
+      return {
+        error:
+          verified.cardVersion < (student.qrCardVersion || 0)
+            ? 'QR_CARD_SUPERSEDED'
+            : 'QR_TOKEN_INVALID',
+      };
+    }
+
+    return { studentId: verified.studentId };
+  }
+
+  async resolveLegacyToken(qrToken, now) {
+    let payload;
+    try {
+      payload = JSON.parse(qrToken);
+    } catch {
+      return { error: 'QR_TOKEN_INVALID' };
+    }
+
+    const studentId = payload?.studentId
+      ? String(payload.studentId).trim()
+      : '';
+    if (!studentId) {
+      return { error: 'QR_TOKEN_MISSING_STUDENT' };
+    }
+
+    const student = await findStudentMealCardState(studentId);
+    if (!student) {
+      return { studentId };
+    }
+    const revoked = findRevokedCard(student, 0);
+    if (revoked) {
+      return { error: 'QR_CARD_REVOKED', revokeReason: revoked.revokeReason };
+    }
+    if ((student.qrCardVersion || 0) > 0) {
+      return { error: 'QR_CARD_SUPERSEDED' };
+    }
+
+    const graceUntil = student.school?.legacyQrGraceUntil
+      ? new Date(student.school.legacyQrGraceUntil)
+      : null;
+    if (!graceUntil || Number.isNaN(graceUntil.getTime()) || now > graceUntil) {
+      return { error: 'QR_UNSIGNED_NOT_ACCEPTED' };
+    }
+
+    return { studentId };
+  }
+}
@@ -0,0 +1,89 @@
+// Application service behind the scheduled meal-distribution jobs.
+// - Completes sessions left IN_PROGRESS on earlier days through
+//   MealSessionService so the usual NO_SHOW backfill and guardian emails run.
+// - Evaluates no-show patterns for every school with recent sessions.
+
+// How far back a school must have completed sessions to be evaluated.
+const NO_SHOW_EVALUATION_LOOKBACK_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfUtcDay(date) {
+  const d = new Date(date);
+  d.setUTCHours(0, 0, 0, 0);
+  return d;
+}
+
+export class MealDistributionJobsService {
+  constructor({
+    mealSessionRepository,
+    mealSessionService,
+    noShowAlertService,
+  }) {
+    this.mealSessionRepository = mealSessionRepository;
+    this.mealSessionService = mealSessionService;
+    this.noShowAlertService = noShowAlertService;
+  }
+
+  /**
+   * Marks every IN_PROGRESS session dated before today (UTC) as COMPLETED.
+   * A failure on one session does not stop the others.
+   */
+  async autoCompleteStaleSessions({ now = new Date() } = {}) {
+    const stale = await this.mealSessionRepository.findMany({
+      status: 'IN_PROGRESS',
+      date: { $lt: startOfUtcDay(now) },
+    });
+
+    const completed = [];
+    const failed = [];
+    for (const session of stale) {
+      try {
+        await this.mealSessionService.updateMealSession(session._id, {
+          status: 'COMPLETED',
+        });
+        completed.push(session._id.toString());
+      } catch (err) {
+        failed.push({
+          mealSessionId: session._id.toString(),
+          error: err.message,
+        });
+      }
+    }
+
+    return { found: stale.length, completed: completed.length, failed };
+  }
+
+  /**
+   * Runs the no-show rules for each school that completed a session within
+   * the lookback period.
+   */
+  async evaluateNoShowPatternsForAllSchools({ now = new Date() } = {}) {
+    const schoolIds = await this.mealSessionRepository.findDistinctSchoolIds({
+      status: 'COMPLETED',
+      date: {
+        $gte: new Date(
+          now.getTime() - NO_SHOW_EVALUATION_LOOKBACK_DAYS * DAY_MS
+        ),
+        $lte: now,
+      },
+    });
+
+    let created = 0;
+    let updated = 0;
+    const failed = [];
+    for (const schoolId of schoolIds) {
+      try {
+        const result = await this.noShowAlertService.evaluateNoShowPatterns({
+          schoolId,
+          asOf: now,
+        });
+        created += result.created.length;
+        updated += result.updated.length;
+      } catch (err) {
+        failed.push({ schoolId, error: err.message });
+      }
+    }
+
+    return { schools: schoolIds.length, created, updated, failed };
+  }
+}
@@ -0,0 +1,81 @@
+// Application service that turns reserved stock into consumption.
+// - When a meal session completes, finds the confirmed meal plan entry for
+//   the session's school, date and meal type.
+// - Asks inventory to drain that meal's reservations from their batches.
+// - A plan meal is school-wide, so grade or class sessions of the same meal
+//   each consume their share of what is still reserved; the last one to
+//   complete consumes the rest.
+export class MealInventoryConsumptionService {
+  constructor({
+    mealPlanLookupService,
+    inventoryService,
+    mealSessionRepository,
+  }) {
+    this.mealPlanLookupService = mealPlanLookupService;
+    this.inventoryService = inventoryService;
+    this.mealSessionRepository = mealSessionRepository;
+  }
+
+  /**
+   * Returns { mealPlanId, consumed, items }, with mealPlanId null when the
+   * session has no confirmed plan entry (nothing was reserved for it).
+   */
+  async consumeForCompletedSession(session) {
+    const planMeal = await this.mealPlanLookupService.getConfirmedPlanMeal(
+      session.schoolId,
+      session.date,
+      session.mealType
+    );
+    if (!planMeal) {
+      return { mealPlanId: null, consumed: 0, items: 0 };
+    }
+
+    const share = await this._getSessionShare(session);
+    const result = await this.inventoryService.consumeMealPlanReservations({
+      ...planMeal,
+      share,
+    });
+    return { mealPlanId: planMeal.mealPlanId, ...result };
+  }
+
+  /**
+   * Part of the remaining reservations that belongs to the session: its
+   * planned headcount against that of the same meal's sessions still open
+   * (evenly when nobody is planned), or 1 when no other session is open.
+   */
+  async _getSessionShare(session) {
+    const sessionDate = new Date(session.date);
+    const dayStartUtc = new Date(
+      Date.UTC(
+        sessionDate.getUTCFullYear(),
+        sessionDate.getUTCMonth(),
+        sessionDate.getUTCDate()
+      )
+    );
+    const nextDayStartUtc = new Date(dayStartUtc);
+    nextDayStartUtc.setUTCDate(nextDayStartUtc.getUTCDate() + 1);
+
+    const sameMealSessions = await this.mealSessionRepository.findMany({
+      schoolId: String(session.schoolId),
+      mealType: new RegExp(`^${session.mealType}$`, 'i'),
+      date: { $gte: dayStartUtc, $lt: nextDayStartUtc },
+    });
+    const openSessions = sameMealSessions.filter(
+      (other) =>
+        other._id.toString() !== session._id.toString() &&
+        String(other.status || '').toUpperCase() !== 'COMPLETED'
+    );
+    if (openSessions.length === 0) {
+      return 1;
+    }
+
+    const ownHeadcount = Number(session.plannedHeadcount) || 0;
+    const totalHeadcount = openSessions.reduce(
+      (sum, other) => sum + (Number(other.plannedHeadcount) || 0),
+      ownHeadcount
+    );
+    return totalHeadcount > 0
+      ? ownHeadcount / totalHeadcount
+      : 1 / (openSessions.length + 1);
+  }
+}
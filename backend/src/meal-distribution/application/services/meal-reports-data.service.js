@@ -70,6 +70,8 @@ export async function listSessionSummariesForSchool({
       sessionId: s._id.toString(),
       date: s.date,
       mealType: s.mealType,
+      grade: s.grade ?? null,
+      className: s.className ?? null,
       status: s.status,
       plannedHeadcount: s.plannedHeadcount ?? 0,
       actualServedCount: s.actualServedCount ?? 0,
@@ -94,7 +96,9 @@ export async function listNoShowReportRows({ schoolId, dateFrom, dateTo }) {
   }
 
   const ids = [...new Set(items.map((i) => String(i.studentId)))];
+  // Students in the trash keep their names on historical reports
   const students = await Student.find({ studentId: { $in: ids } })
+    .setOptions({ withDeleted: true })
     .select('studentId firstName lastName')
     .lean();
 
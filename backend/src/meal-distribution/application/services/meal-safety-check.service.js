@@ -0,0 +1,200 @@
+// Application service for the dietary safety check done at scan time.
+// - Compares the student's dietaryTags with the allergens and dietary flags
+//   of the recipe planned for the session.
+// - Allergen clashes are a 'block' verdict; unmet dietary preferences
+//   (vegetarian, halal) are a 'warning'.
+// - At schools with dietaryConflictPolicy 'block', a 'block' verdict stops
+//   the scan unless staff give an override reason, which is logged.
+import {
+  findActiveStudentDietaryProfile,
+  findActiveStudentDietaryProfiles,
+} from '../../infrastructure/services/meal-student-lookup.service.js';
+
+export const SAFETY_VERDICT = Object.freeze({
+  OK: 'ok',
+  WARNING: 'warning',
+  BLOCK: 'block',
+});
+
+// Student dietary tag → recipe allergens that conflict, or the dietary flag
+// the recipe must carry.
+const DIETARY_TAG_RULES = {
+  'Nut Allergy': {
+    severity: SAFETY_VERDICT.BLOCK,
+    allergens: ['nuts', 'peanuts'],
+  },
+  'Dairy-Free': { severity: SAFETY_VERDICT.BLOCK, allergens: ['dairy'] },
+  'Gluten-Free': {
+    severity: SAFETY_VERDICT.BLOCK,
+    allergens: ['gluten', 'wheat'],
+  },
+  Vegetarian: { severity: SAFETY_VERDICT.WARNING, requiredFlag: 'vegetarian' },
+  Halal: { severity: SAFETY_VERDICT.WARNING, requiredFlag: 'halal' },
+};
+
+/**
+ * Pure verdict for a student's dietary tags against a planned recipe.
+ * With no planned recipe the verdict is 'ok' and `recipe` is null.
+ */
+export function evaluateDietarySafety(dietaryTags = [], recipe = null) {
+  if (!recipe) {
+    return { verdict: SAFETY_VERDICT.OK, recipe: null, conflicts: [] };
+  }
+
+  const recipeAllergens = new Set(
+    (recipe.allergens || []).map((a) => String(a).toLowerCase())
+  );
+  const conflicts = [];
+  for (const tag of dietaryTags) {
+    const rule = DIETARY_TAG_RULES[tag];
+    if (!rule) {
+      continue;
+    }
+    if (rule.allergens) {
+      const matched = rule.allergens.filter((a) => recipeAllergens.has(a));
+      if (matched.length > 0) {
+        conflicts.push({
+          dietaryTag: tag,
+          severity: rule.severity,
+          allergens: matched,
+        });
+      }
+      continue;
+    }
+    if (recipe.dietaryFlags?.[rule.requiredFlag] !== true) {
+      conflicts.push({
+        dietaryTag: tag,
+        severity: rule.severity,
+        missingFlag: rule.requiredFlag,
+      });
+    }
+  }
+
+  let verdict = SAFETY_VERDICT.OK;
+  if (conflicts.some((c) => c.severity === SAFETY_VERDICT.BLOCK)) {
+    verdict = SAFETY_VERDICT.BLOCK;
+  } else if (conflicts.length > 0) {
+    verdict = SAFETY_VERDICT.WARNING;
+  }
+
+  return {
+    verdict,
+    recipe: { recipeId: recipe.recipeId, recipeName: recipe.recipeName },
+    conflicts,
+  };
+}
+
+export class MealSafetyCheckService {
+  constructor({
+    mealSessionRepository,
+    mealPlanLookupService,
+    dietaryOverrideLogRepository,
+  }) {
+    this.mealSessionRepository = mealSessionRepository;
+    this.mealPlanLookupService = mealPlanLookupService;
+    this.dietaryOverrideLogRepository = dietaryOverrideLogRepository;
+  }
+
+  /**
+   * Returns { safety } (null when the session or student is unknown; the
+   * attendance service reports those), or { error: 'DIETARY_CONFLICT_BLOCKED',
+   * safety } when the school policy refuses the scan and no override reason
+   * was given.
+   */
+  async checkScan({ mealSessionId, studentId, overrideReason }) {
+    const session = await this.mealSessionRepository.findById(mealSessionId);
+    if (!session) {
+      return { safety: null };
+    }
+    const profile = await findActiveStudentDietaryProfile(
+      studentId,
+      session.schoolId
+    );
+    if (!profile) {
+      return { safety: null };
+    }
+
+    const recipe = await this.mealPlanLookupService.getPlannedRecipe(
+      session.schoolId,
+      session.date,
+      session.mealType
+    );
+    const policy = profile.school?.dietaryConflictPolicy ?? 'warn';
+    const safety = {
+      ...evaluateDietarySafety(profile.dietaryTags, recipe),
+      policy,
+      overridden: false,
+    };
+
+    const enforced =
+      safety.verdict === SAFETY_VERDICT.BLOCK && policy === 'block';
+    if (!enforced) {
+      return { safety };
+    }
+    if (!overrideReason) {
+      return { error: 'DIETARY_CONFLICT_BLOCKED', safety };
+    }
+    return { safety: { ...safety, overridden: true }, session };
+  }
+
+  /**
+   * Verdicts the school policy enforces for several students of one session,
+   * as a Map of studentId → safety. Students who may be served are left out.
+   * For callers that cannot take an override reason, such as bulk marking.
+   */
+  async findBlockedStudents(session, studentIds) {
+    if (studentIds.length === 0) {
+      return new Map();
+    }
+    const recipe = await this.mealPlanLookupService.getPlannedRecipe(
+      session.schoolId,
+      session.date,
+      session.mealType
+    );
+    if (!recipe) {
+      return new Map();
+    }
+
+    const profiles = await findActiveStudentDietaryProfiles(
+      studentIds,
+      session.schoolId
+    );
+    const blocked = new Map();
+    for (const profile of profiles) {
+      const policy = profile.school?.dietaryConflictPolicy ?? 'warn';
+      if (policy !== 'block') {
+        continue;
+      }
+      const safety = evaluateDietarySafety(profile.dietaryTags, recipe);
+      if (safety.verdict === SAFETY_VERDICT.BLOCK) {
+        blocked.set(String(profile.studentId), {
+          ...safety,
+          policy,
+          overridden: false,
+        });
+      }
+    }
+    return blocked;
+  }
+
+  async logOverride({
+    session,
+    studentId,
+    safety,
+    reason,
+    actorId,
+    attendanceId,
+  }) {
+    return this.dietaryOverrideLogRepository.create({
+      mealSessionId: session._id,
+      schoolId: session.schoolId,
+      studentId,
+      attendanceId,
+      recipeId: safety.recipe?.recipeId,
+      recipeName: safety.recipe?.recipeName,
+      conflicts: safety.conflicts,
+      reason,
+      overriddenBy: actorId,
+    });
+  }
+}
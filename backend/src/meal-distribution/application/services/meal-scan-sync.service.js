@@ -0,0 +1,118 @@
+// Application service for scans captured while the scanner was offline.
+// - Applies each queued scan through MealAttendanceService.markAttendance,
+//   oldest first, using the client scan time as servedAt.
+// - Offline scans carry no dietary override reason, so a scan the school
+//   policy blocks is left unmarked by markAttendance and reported with its
+//   conflicts for staff to reconcile.
+// - Records a receipt per idempotency key so a batch that is sent again
+//   (e.g. after a dropped response) reports the original outcomes.
+import { MarkAttendanceDto } from '../dtos/requests/mark-attendance.dto.js';
+import { toOfflineScanResultResponse } from '../dtos/responses/offline-scan-result-response.dto.js';
+
+const MARK_ERROR_OUTCOMES = {
+  STUDENT_ALREADY_PRESENT: 'DUPLICATE',
+  STUDENT_NOT_IN_SCHOOL: 'STUDENT_NOT_IN_SCHOOL',
+  MEAL_SESSION_COMPLETED: 'SESSION_LOCKED',
+  MEAL_SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+  DIETARY_CONFLICT_BLOCKED: 'DIETARY_CONFLICT_BLOCKED',
+};
+
+function toServedAt(scannedAt, now) {
+  if (!(scannedAt instanceof Date) || Number.isNaN(scannedAt.getTime())) {
+    return now;
+  }
+  // A skewed device clock must not record a meal in the future.
+  return scannedAt > now ? now : scannedAt;
+}
+
+export class MealScanSyncService {
+  constructor({
+    mealAttendanceService,
+    mealCardVerificationService,
+    mealScanSyncReceiptRepository,
+  }) {
+    this.mealAttendanceService = mealAttendanceService;
+    this.mealCardVerificationService = mealCardVerificationService;
+    this.mealScanSyncReceiptRepository = mealScanSyncReceiptRepository;
+  }
+
+  async applyScan(scan, now) {
+    let studentId = scan.studentId;
+    if (scan.qrToken) {
+      const resolved = await this.mealCardVerificationService.resolveStudentId(
+        scan.qrToken,
+        now
+      );
+      if (resolved.error) {
+        return { outcome: 'INVALID_CARD', code: resolved.error };
+      }
+      studentId = resolved.studentId;
+    }
+
+    const result = await this.mealAttendanceService.markAttendance(
+      new MarkAttendanceDto({
+        studentId,
+        mealSessionId: scan.mealSessionId,
+        status: 'PRESENT',
+        servedAt: toServedAt(scan.scannedAt, now),
+        notes: undefined,
+      })
+    );
+    if (result.error) {
+      return {
+        studentId,
+        outcome: MARK_ERROR_OUTCOMES[result.error] ?? 'SESSION_NOT_FOUND',
+        code: result.error,
+        ...(result.safety ? { conflicts: result.safety.conflicts } : {}),
+      };
+    }
+    return {
+      studentId,
+      outcome: 'ACCEPTED',
+      attendanceId: result.attendance?.id ?? undefined,
+    };
+  }
+
+  /**
+   * Returns one result per scan, in request order, plus outcome totals.
+   */
+  async syncScans(dto, now = new Date()) {
+    const keys = dto.scans.map((scan) => scan.idempotencyKey);
+    const existing =
+      await this.mealScanSyncReceiptRepository.findByIdempotencyKeys(keys);
+    const resultsByKey = new Map(
+      existing.map((receipt) => [
+        receipt.idempotencyKey,
+        toOfflineScanResultResponse(receipt, { replayed: true }),
+      ])
+    );
+
+    const pending = dto.scans
+      .filter((scan) => !resultsByKey.has(scan.idempotencyKey))
+      .sort(
+        (a, b) => (a.scannedAt?.getTime() ?? 0) - (b.scannedAt?.getTime() ?? 0)
+      );
+
+    for (const scan of pending) {
+      const applied = await this.applyScan(scan, now);
+      const { receipt, created } =
+        await this.mealScanSyncReceiptRepository.createOrGetExisting({
+          idempotencyKey: scan.idempotencyKey,
+          mealSessionId: scan.mealSessionId,
+          scannedAt: scan.scannedAt,
+          ...applied,
+        });
+      resultsByKey.set(
+        scan.idempotencyKey,
+        toOfflineScanResultResponse(receipt, { replayed: !created })
+      );
+    }
+
+    const results = keys.map((key) => resultsByKey.get(key));
+    const summary = {};
+    for (const result of results) {
+      summary[result.outcome] = (summary[result.outcome] ?? 0) + 1;
+    }
+    return { results, summary };
+  }
+}
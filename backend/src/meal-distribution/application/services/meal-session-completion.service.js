@@ -2,6 +2,7 @@ import { MealAttendance } from '../../infrastructure/schemas/meal-attendance.sch
 import { findActiveStudentsWithGuardianForMealSession } from '../../infrastructure/services/meal-student-lookup.service.js';
 import { pickLatestAttendanceByStudentId } from '../../infrastructure/utils/latest-attendance-by-student.util.js';
 import { findSchoolById } from '../../../school-management/infrastructure/repositories/school.repository.js';
+import { NOTIFICATION_TEMPLATES } from '../../../notifications/integration.js';
 
 function formatSessionDateForEmail(date) {
   if (!date) {
@@ -17,29 +18,21 @@ function formatSessionDateForEmail(date) {
 export class MealSessionCompletionService {
   constructor({
     mealAttendanceRepository,
-    mealGuardianNotificationRepository,
     notificationService,
+    studentAbsenceService,
   }) {
     this.mealAttendanceRepository = mealAttendanceRepository;
-    this.mealGuardianNotificationRepository =
-      mealGuardianNotificationRepository;
     this.notificationService = notificationService;
-  }
-
-  async safeCreateNotificationLog(payload) {
-    try {
-      await this.mealGuardianNotificationRepository.create(payload);
-    } catch (err) {
-      if (err?.code === 11000) {
-        return;
-      }
-      throw err;
-    }
+    this.studentAbsenceService = studentAbsenceService;
   }
 
   /**
-   * When a session becomes COMPLETED: backfill NO_SHOW for expected students not PRESENT,
-   * send guardian emails where possible, persist audit rows (idempotent per session+student).
+   * When a session becomes COMPLETED: backfill NO_SHOW for expected students
+   * (those in the session's grade and class) not PRESENT
+   * and notify their guardians (logged once per session, student and channel).
+   * Schools on 'daily_digest' queue the notices for the daily guardian digest.
+   * Unmarked students with a registered absence are backfilled as EXCUSED and
+   * their guardians are not notified.
    */
   async finalizeOnSessionCompleted(mealSessionDoc) {
     if (!mealSessionDoc) {
@@ -57,13 +50,19 @@ export class MealSessionCompletionService {
     const schoolLabel =
       (schoolDoc?.schoolName && String(schoolDoc.schoolName).trim()) ||
       String(schoolId);
+    const digest = schoolDoc?.guardianNoShowDelivery === 'daily_digest';
 
-    const students =
-      await findActiveStudentsWithGuardianForMealSession(schoolId);
+    const students = await findActiveStudentsWithGuardianForMealSession(
+      schoolId,
+      mealSessionDoc
+    );
     const attendanceDocs = await this.mealAttendanceRepository.findMany({
       mealSessionId,
     });
     const byStudentId = pickLatestAttendanceByStudentId(attendanceDocs);
+    const absencesByStudentId = this.studentAbsenceService
+      ? await this.studentAbsenceService.findAbsencesForSession(mealSessionDoc)
+      : new Map();
 
     for (const student of students) {
       const sid = String(student.studentId);
@@ -75,59 +74,43 @@ export class MealSessionCompletionService {
         continue;
       }
 
-      if (!existing) {
+      const absence = absencesByStudentId.get(sid);
+      if (!existing && absence) {
         await MealAttendance.create({
           studentId: sid,
           mealSessionId,
-          status: 'NO_SHOW',
+          status: 'EXCUSED',
           servedAt: new Date(),
+          notes: `Registered absence: ${absence.reason}`,
         });
+        continue;
       }
 
-      const email = String(student.guardian?.email || '').trim();
-      if (!email) {
-        await this.safeCreateNotificationLog({
-          mealSessionId,
+      if (!existing) {
+        await MealAttendance.create({
           studentId: sid,
-          status: 'SKIPPED',
-          skipReason: 'MISSING_EMAIL',
+          mealSessionId,
+          status: 'NO_SHOW',
+          servedAt: new Date(),
         });
-        continue;
       }
 
-      const sendResult = await this.notificationService.sendGuardianNoShowEmail(
-        {
-          to: email,
-          studentDisplayName: displayName,
+      await this.notificationService.notifyGuardian({
+        template: NOTIFICATION_TEMPLATES.GUARDIAN_NO_SHOW,
+        guardian: student.guardian,
+        data: {
+          studentName: displayName,
           mealType,
-          sessionDate: sessionDateLabel,
-          schoolLabel,
-        }
-      );
-
-      if (!sendResult.ok) {
-        await this.safeCreateNotificationLog({
-          mealSessionId,
+          date: sessionDateLabel,
+          schoolName: schoolLabel,
+        },
+        context: {
           studentId: sid,
-          guardianEmail: email,
-          status:
-            sendResult.code === 'NO_EMAIL_PROVIDER' ? 'SKIPPED' : 'FAILED',
-          skipReason:
-            sendResult.code === 'NO_EMAIL_PROVIDER'
-              ? 'NO_EMAIL_PROVIDER'
-              : undefined,
-          errorMessage: sendResult.message || sendResult.code || 'Send failed',
-        });
-        continue;
-      }
-
-      await this.safeCreateNotificationLog({
-        mealSessionId,
-        studentId: sid,
-        guardianEmail: email,
-        status: 'SENT',
-        providerMessageId: sendResult.messageId,
-        sentAt: new Date(),
+          schoolId: String(schoolId),
+          mealSessionId,
+          dedupeKey: `no-show:${mealSessionId}:${sid}`,
+        },
+        digest,
       });
     }
   }
@@ -1,20 +1,29 @@
 // Application service responsible for all meal-session business rules.
-// - Derives plannedHeadcount from the school-management component.
+// - Derives plannedHeadcount from the school-management component, counting
+//   only the session's grade and class when it is limited to one.
 // - Keeps actualServedCount and wastageCount consistent when sessions or
 //   attendance data change.
+// - Consumes the meal plan's reserved stock when a session completes.
 import {
   toGuardianNotificationResponse,
   toMealSessionResponse,
 } from '../dtos/responses/meal-session-response.dto.js';
 import { countStudentsBySchool } from '../../../school-management/infrastructure/repositories/student.repository.js';
+import { findActiveStudentsWithGuardianForMealSession } from '../../infrastructure/services/meal-student-lookup.service.js';
+import {
+  formatSessionScope,
+  isSessionScoped,
+  sessionScopesOverlap,
+} from '../../infrastructure/utils/session-scope.util.js';
+import { NOTIFICATION_TEMPLATES } from '../../../notifications/integration.js';
 
 export class MealSessionService {
   constructor(mealSessionRepository, deps = {}) {
     this.mealSessionRepository = mealSessionRepository;
     this.completionService = deps.completionService ?? null;
-    this.mealGuardianNotificationRepository =
-      deps.mealGuardianNotificationRepository ?? null;
+    this.notificationService = deps.notificationService ?? null;
     this.mealPlanLookupService = deps.mealPlanLookupService ?? null;
+    this.inventoryConsumptionService = deps.inventoryConsumptionService ?? null;
   }
 
   async _lookupMealDescription(session) {
@@ -37,8 +46,19 @@ export class MealSessionService {
       dto.date instanceof Date ? dto.date : new Date(dto.date);
     const mealTypeValue = String(dto.mealType).trim();
     const schoolIdValue = String(dto.schoolId).trim();
+    const scope = {
+      grade:
+        dto.grade === undefined || dto.grade === null
+          ? undefined
+          : String(dto.grade).trim() || undefined,
+      className:
+        dto.className === undefined || dto.className === null
+          ? undefined
+          : String(dto.className).trim() || undefined,
+    };
 
-    // Only one session per day for each meal type per school.
+    // Per day and meal type a school has one session, or several limited to
+    // grades/classes that do not share any student.
     const dayStartUtc = new Date(
       Date.UTC(
         sessionDate.getUTCFullYear(),
@@ -49,22 +69,34 @@ export class MealSessionService {
     const nextDayStartUtc = new Date(dayStartUtc);
     nextDayStartUtc.setUTCDate(nextDayStartUtc.getUTCDate() + 1);
 
-    const existingSession = await this.mealSessionRepository.findOne({
+    const sameDaySessions = await this.mealSessionRepository.findMany({
       schoolId: schoolIdValue,
       mealType: new RegExp(`^${mealTypeValue}$`, 'i'),
       date: { $gte: dayStartUtc, $lt: nextDayStartUtc },
     });
+    const existingSession = sameDaySessions.find((session) =>
+      sessionScopesOverlap(session, scope)
+    );
 
     if (existingSession) {
       const duplicateError = new Error(
-        `${mealTypeValue} session already exists for this day`
+        isSessionScoped(existingSession)
+          ? `${mealTypeValue} session for ${formatSessionScope(existingSession)} already exists for this day`
+          : `${mealTypeValue} session already exists for this day`
       );
       duplicateError.code = 'MEAL_SESSION_DUPLICATE';
       throw duplicateError;
     }
 
     // Derive plannedHeadcount from school-management student data
-    const plannedHeadcountValue = await countStudentsBySchool(schoolIdValue);
+    const plannedHeadcountValue = isSessionScoped(scope)
+      ? (
+          await findActiveStudentsWithGuardianForMealSession(
+            schoolIdValue,
+            scope
+          )
+        ).length
+      : await countStudentsBySchool(schoolIdValue);
     const actualServedCountValue =
       dto.actualServedCount === undefined || dto.actualServedCount === null
         ? 0
@@ -74,14 +106,8 @@ export class MealSessionService {
       date: sessionDate,
       mealType: mealTypeValue,
       schoolId: schoolIdValue,
-      grade:
-        dto.grade === undefined || dto.grade === null
-          ? undefined
-          : String(dto.grade).trim(),
-      className:
-        dto.className === undefined || dto.className === null
-          ? undefined
-          : String(dto.className).trim(),
+      grade: scope.grade,
+      className: scope.className,
       plannedHeadcount: plannedHeadcountValue,
       actualServedCount: actualServedCountValue,
       menuId:
@@ -112,6 +138,9 @@ export class MealSessionService {
     const filter = {};
     if (filters.schoolId) {
       filter.schoolId = String(filters.schoolId).trim();
+    } else if (filters.schoolIds) {
+      // School-scoped users without a school filter see their schools only
+      filter.schoolId = { $in: filters.schoolIds };
     }
     if (filters.mealType) {
       filter.mealType = String(filters.mealType).trim();
@@ -200,6 +229,22 @@ export class MealSessionService {
       await this.completionService.finalizeOnSessionCompleted(updated);
     }
 
+    if (movedToCompleted && this.inventoryConsumptionService) {
+      // Stock bookkeeping must not undo a completed session; reservations
+      // that fail to consume stay RESERVED and show up as reserved stock.
+      try {
+        await this.inventoryConsumptionService.consumeForCompletedSession(
+          updated
+        );
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error(
+          `Failed to consume reserved stock for meal session ${mealSessionId}:`,
+          err
+        );
+      }
+    }
+
     const mealDesc = await this._lookupMealDescription(updated);
     return toMealSessionResponse(updated, mealDesc);
   }
@@ -210,13 +255,38 @@ export class MealSessionService {
   }
 
   async listGuardianNotificationsForSession(mealSessionId) {
-    if (!this.mealGuardianNotificationRepository) {
+    if (!this.notificationService) {
       return [];
     }
-    const rows =
-      await this.mealGuardianNotificationRepository.findBySessionId(
-        mealSessionId
-      );
+    const rows = await this.notificationService.listForMealSessions(
+      [mealSessionId],
+      { template: NOTIFICATION_TEMPLATES.GUARDIAN_NO_SHOW }
+    );
     return rows.map((row) => toGuardianNotificationResponse(row));
   }
+
+  /**
+   * @returns {Promise<{ notification: Object }
+   *   | { error: 'NOTIFICATION_NOT_FOUND' | 'NOTIFICATION_NOT_RESENDABLE' }>}
+   */
+  async resendGuardianNotification(mealSessionId, notificationId) {
+    const result = await this.notificationService.resend(notificationId, {
+      mealSessionId,
+    });
+    if (result.error) {
+      return result;
+    }
+    return {
+      notification: toGuardianNotificationResponse(result.notification),
+    };
+  }
+
+  async retryFailedGuardianNotifications(mealSessionId) {
+    const result =
+      await this.notificationService.resendFailedForMealSession(mealSessionId);
+    return {
+      ...result,
+      items: result.items.map((row) => toGuardianNotificationResponse(row)),
+    };
+  }
 }
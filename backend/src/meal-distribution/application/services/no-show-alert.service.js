@@ -1,5 +1,393 @@
+// Application service for repeated no-show patterns.
+// - Scans COMPLETED meal sessions over a rolling window of school days and
+//   raises NoShowAlert documents per student when a school's rules match.
+// - Overlapping alerts for the same student and rule are merged instead of
+//   duplicated; periods already RESOLVED are not alerted on again.
+// - Optionally notifies the guardian once per new alert.
+import {
+  toNoShowAlertResponse,
+  toNoShowAlertSettingsResponse,
+} from '../dtos/responses/no-show-alert-response.dto.js';
+import { NO_SHOW_ALERT_DEFAULT_SETTINGS } from '../../infrastructure/schemas/no-show-alert-settings.schema.js';
+import { findActiveStudentWithGuardian } from '../../infrastructure/services/meal-student-lookup.service.js';
+import { pickLatestAttendanceByStudentId } from '../../infrastructure/utils/latest-attendance-by-student.util.js';
+import { findSchoolById } from '../../../school-management/infrastructure/repositories/school.repository.js';
+import { NOTIFICATION_TEMPLATES } from '../../../notifications/integration.js';
+
+// Upper bound on sessions per school day when loading the window.
+const MAX_SESSIONS_PER_DAY = 10;
+
+function toDayKey(date) {
+  const d = date instanceof Date ? date : new Date(date);
+  return Number.isNaN(d.getTime()) ? '' : d.toISOString().slice(0, 10);
+}
+
+function sortSessionsAscending(sessions) {
+  return [...sessions].sort((a, b) => {
+    const diff = new Date(a.date).getTime() - new Date(b.date).getTime();
+    if (diff !== 0) {
+      return diff;
+    }
+    return (
+      new Date(a.createdAt || 0).getTime() -
+      new Date(b.createdAt || 0).getTime()
+    );
+  });
+}
+
 export class NoShowAlertService {
-  async evaluateNoShowPatterns(/* { studentId, schoolId, from, to } */) {}
+  constructor({
+    noShowAlertRepository,
+    noShowAlertSettingsRepository,
+    mealSessionRepository,
+    mealAttendanceRepository,
+    notificationService,
+  }) {
+    this.noShowAlertRepository = noShowAlertRepository;
+    this.noShowAlertSettingsRepository = noShowAlertSettingsRepository;
+    this.mealSessionRepository = mealSessionRepository;
+    this.mealAttendanceRepository = mealAttendanceRepository;
+    this.notificationService = notificationService;
+  }
+
+  async getSettings(schoolId) {
+    const stored =
+      await this.noShowAlertSettingsRepository.findBySchoolId(schoolId);
+    const settings = { ...NO_SHOW_ALERT_DEFAULT_SETTINGS };
+    for (const key of Object.keys(settings)) {
+      if (stored?.[key] !== undefined && stored?.[key] !== null) {
+        settings[key] = stored[key];
+      }
+    }
+    return settings;
+  }
+
+  async getSettingsForSchool(schoolId) {
+    const sid = String(schoolId).trim();
+    return toNoShowAlertSettingsResponse(sid, await this.getSettings(sid));
+  }
+
+  async updateSettingsForSchool(schoolId, dto) {
+    const sid = String(schoolId).trim();
+    const updates = {};
+    for (const key of Object.keys(NO_SHOW_ALERT_DEFAULT_SETTINGS)) {
+      if (dto[key] === undefined || dto[key] === null) {
+        continue;
+      }
+      updates[key] =
+        typeof NO_SHOW_ALERT_DEFAULT_SETTINGS[key] === 'number'
+          ? Number(dto[key])
+          : Boolean(dto[key]);
+    }
+    if (Object.keys(updates).length > 0) {
+      await this.noShowAlertSettingsRepository.upsertBySchoolId(sid, updates);
+    }
+    return this.getSettingsForSchool(sid);
+  }
+
+  async listAlerts(filters = {}) {
+    const filter = { schoolId: String(filters.schoolId).trim() };
+    if (filters.status) {
+      filter.status = String(filters.status).trim().toUpperCase();
+    }
+    if (filters.studentId) {
+      filter.studentId = String(filters.studentId).trim();
+    }
+    const docs = await this.noShowAlertRepository.findMany(filter);
+    return docs.map(toNoShowAlertResponse);
+  }
+
+  /**
+   * Loads the last `windowSchoolDays` school days (days with at least one
+   * COMPLETED session) up to `asOf` and returns each student's attendance
+   * timeline in chronological order.
+   */
+  async loadWindowTimelines(schoolId, windowSchoolDays, asOf) {
+    const recent = await this.mealSessionRepository.findMany(
+      { schoolId, status: 'COMPLETED', date: { $lte: asOf } },
+      { limit: windowSchoolDays * MAX_SESSIONS_PER_DAY }
+    );
+
+    const dayKeys = [];
+    for (const session of recent) {
+      const key = toDayKey(session.date);
+      if (key && !dayKeys.includes(key)) {
+        dayKeys.push(key);
+      }
+    }
+    const windowDays = new Set(dayKeys.slice(0, windowSchoolDays));
+    const sessions = sortSessionsAscending(
+      recent.filter((session) => windowDays.has(toDayKey(session.date)))
+    );
+    if (sessions.length === 0) {
+      return new Map();
+    }
+
+    const attendanceDocs = await this.mealAttendanceRepository.findMany({
+      mealSessionId: { $in: sessions.map((session) => session._id) },
+    });
+    const docsBySession = new Map();
+    for (const doc of attendanceDocs) {
+      const key = doc.mealSessionId.toString();
+      if (!docsBySession.has(key)) {
+        docsBySession.set(key, []);
+      }
+      docsBySession.get(key).push(doc);
+    }
+
+    const timelines = new Map();
+    for (const session of sessions) {
+      const latest = pickLatestAttendanceByStudentId(
+        docsBySession.get(session._id.toString()) || []
+      );
+      for (const [studentId, attendance] of latest) {
+        if (!timelines.has(studentId)) {
+          timelines.set(studentId, []);
+        }
+        timelines.get(studentId).push({
+          mealSessionId: session._id,
+          date: session.date,
+          status: String(attendance.status || '').toUpperCase(),
+        });
+      }
+    }
+    return timelines;
+  }
+
+  /**
+   * Longest-recent run of consecutive NO_SHOWs meeting the threshold; the
+   * most recent qualifying run wins.
+   */
+  findConsecutiveRun(timeline, threshold) {
+    let run = [];
+    let best = null;
+    for (const entry of timeline) {
+      if (entry.status === 'NO_SHOW') {
+        run.push(entry);
+        continue;
+      }
+      if (run.length >= threshold) {
+        best = run;
+      }
+      run = [];
+    }
+    if (run.length >= threshold) {
+      best = run;
+    }
+    return best;
+  }
+
+  matchesRule(rule, noShows, settings) {
+    if (rule === 'CONSECUTIVE') {
+      return noShows.length >= settings.consecutiveNoShows;
+    }
+    return noShows.length > settings.maxNoShowsInWindow;
+  }
+
+  async upsertAlert({ schoolId, studentId, rule, noShows, settings }) {
+    const overlapping = await this.noShowAlertRepository.findOverlapping({
+      schoolId,
+      studentId,
+      rule,
+      from: new Date(noShows[0].date),
+      to: new Date(noShows[noShows.length - 1].date),
+    });
+
+    // No-shows inside an already RESOLVED period never count again.
+    const resolvedUntil = overlapping
+      .filter((alert) => alert.status === 'RESOLVED')
+      .reduce(
+        (latest, alert) => Math.max(latest, new Date(alert.periodTo).getTime()),
+        Number.NEGATIVE_INFINITY
+      );
+    const fresh = noShows.filter(
+      (entry) => new Date(entry.date).getTime() > resolvedUntil
+    );
+    if (fresh.length === 0) {
+      return { outcome: 'unchanged', alert: null };
+    }
+
+    const unresolved = overlapping.find((alert) => alert.status !== 'RESOLVED');
+    if (unresolved) {
+      const knownIds = (unresolved.mealSessionIds || []).map((id) =>
+        id.toString()
+      );
+      const sessionIds = new Set(knownIds);
+      fresh.forEach((entry) => sessionIds.add(entry.mealSessionId.toString()));
+      const periodFrom = new Date(
+        Math.min(
+          new Date(unresolved.periodFrom).getTime(),
+          new Date(fresh[0].date).getTime()
+        )
+      );
+      const periodTo = new Date(
+        Math.max(
+          new Date(unresolved.periodTo).getTime(),
+          new Date(fresh[fresh.length - 1].date).getTime()
+        )
+      );
+      if (sessionIds.size === knownIds.length) {
+        return { outcome: 'unchanged', alert: unresolved };
+      }
+      const updated = await this.noShowAlertRepository.updateById(
+        unresolved._id,
+        {
+          periodFrom,
+          periodTo,
+          noShowCount: sessionIds.size,
+          mealSessionIds: [...sessionIds],
+        }
+      );
+      return { outcome: 'updated', alert: updated };
+    }
+
+    if (!this.matchesRule(rule, fresh, settings)) {
+      return { outcome: 'unchanged', alert: null };
+    }
+
+    const created = await this.noShowAlertRepository.create({
+      schoolId,
+      studentId,
+      rule,
+      periodFrom: new Date(fresh[0].date),
+      periodTo: new Date(fresh[fresh.length - 1].date),
+      noShowCount: fresh.length,
+      mealSessionIds: fresh.map((entry) => entry.mealSessionId),
+    });
+    return { outcome: 'created', alert: created };
+  }
+
+  /**
+   * Evaluates the school's no-show rules as of `asOf` (default now).
+   * Returns the created and updated alerts.
+   */
+  async evaluateNoShowPatterns({ schoolId, asOf } = {}) {
+    const sid = String(schoolId).trim();
+    const asOfDate = asOf ? new Date(asOf) : new Date();
+    const settings = await this.getSettings(sid);
+    if (!settings.enabled) {
+      return { schoolId: sid, enabled: false, created: [], updated: [] };
+    }
+
+    const timelines = await this.loadWindowTimelines(
+      sid,
+      settings.windowSchoolDays,
+      asOfDate
+    );
+
+    const created = [];
+    const updated = [];
+    for (const [studentId, timeline] of timelines) {
+      const candidates = [];
+      const run = this.findConsecutiveRun(
+        timeline,
+        settings.consecutiveNoShows
+      );
+      if (run) {
+        candidates.push({ rule: 'CONSECUTIVE', noShows: run });
+      }
+      const windowNoShows = timeline.filter(
+        (entry) => entry.status === 'NO_SHOW'
+      );
+      if (this.matchesRule('ROLLING_WINDOW', windowNoShows, settings)) {
+        candidates.push({ rule: 'ROLLING_WINDOW', noShows: windowNoShows });
+      }
+
+      for (const candidate of candidates) {
+        const result = await this.upsertAlert({
+          schoolId: sid,
+          studentId,
+          settings,
+          ...candidate,
+        });
+        if (result.outcome === 'created') {
+          const alert = settings.notifyGuardians
+            ? await this.triggerParentNotification({ alert: result.alert })
+            : result.alert;
+          created.push(toNoShowAlertResponse(alert));
+        } else if (result.outcome === 'updated') {
+          updated.push(toNoShowAlertResponse(result.alert));
+        }
+      }
+    }
+
+    return { schoolId: sid, enabled: true, created, updated };
+  }
+
+  /**
+   * Notifies the guardian about a newly raised alert and records the outcome
+   * on the alert. Returns the updated alert document.
+   */
+  async triggerParentNotification({ alert }) {
+    const student = await findActiveStudentWithGuardian(alert.studentId);
+    const school = await findSchoolById(alert.schoolId).catch(() => null);
+    const result = await this.notificationService.notifyGuardian({
+      template: NOTIFICATION_TEMPLATES.GUARDIAN_NO_SHOW_PATTERN,
+      guardian: student?.guardian,
+      data: {
+        studentName:
+          [student?.firstName, student?.lastName].filter(Boolean).join(' ') ||
+          alert.studentId,
+        noShowCount: alert.noShowCount,
+        periodFrom: toDayKey(alert.periodFrom),
+        periodTo: toDayKey(alert.periodTo),
+        schoolName:
+          (school?.schoolName && String(school.schoolName).trim()) ||
+          alert.schoolId,
+      },
+      context: {
+        studentId: alert.studentId,
+        schoolId: alert.schoolId,
+        noShowAlertId: alert._id,
+      },
+    });
+
+    if (result.status !== 'SENT') {
+      return this.noShowAlertRepository.updateById(alert._id, {
+        notificationStatus: result.status,
+        notificationError:
+          result.skipReason || result.errorMessage || 'Send failed',
+      });
+    }
+
+    return this.noShowAlertRepository.updateById(alert._id, {
+      notified: true,
+      notificationStatus: 'SENT',
+      notifiedAt: result.sentAt ?? new Date(),
+    });
+  }
+
+  async acknowledgeAlert(alertId, dto, actorId) {
+    const alert = await this.noShowAlertRepository.findById(alertId);
+    if (!alert) {
+      return { error: 'NO_SHOW_ALERT_NOT_FOUND' };
+    }
+    if (alert.status !== 'OPEN') {
+      return { error: 'NO_SHOW_ALERT_NOT_OPEN' };
+    }
+    const updated = await this.noShowAlertRepository.updateById(alertId, {
+      status: 'ACKNOWLEDGED',
+      acknowledgedAt: new Date(),
+      acknowledgedBy: actorId,
+      ...(dto.notes ? { notes: String(dto.notes).trim() } : {}),
+    });
+    return { alert: toNoShowAlertResponse(updated) };
+  }
 
-  async triggerParentNotification(/* { studentId, schoolId, contactInfo } */) {}
+  async resolveAlert(alertId, dto, actorId) {
+    const alert = await this.noShowAlertRepository.findById(alertId);
+    if (!alert) {
+      return { error: 'NO_SHOW_ALERT_NOT_FOUND' };
+    }
+    if (alert.status === 'RESOLVED') {
+      return { error: 'NO_SHOW_ALERT_ALREADY_RESOLVED' };
+    }
+    const updated = await this.noShowAlertRepository.updateById(alertId, {
+      status: 'RESOLVED',
+      resolvedAt: new Date(),
+      resolvedBy: actorId,
+      ...(dto.notes ? { notes: String(dto.notes).trim() } : {}),
+    });
+    return { alert: toNoShowAlertResponse(updated) };
+  }
 }
@@ -1,7 +1,11 @@
 import { MealAttendance } from '../../infrastructure/schemas/meal-attendance.schema.js';
-import { MealGuardianNotification } from '../../infrastructure/schemas/meal-guardian-notification.schema.js';
 import { MealSession } from '../../infrastructure/schemas/meal-session.schema.js';
 import Student from '../../../school-management/infrastructure/schemas/student.schema.js';
+import {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_TEMPLATES,
+  notificationsIntegrationService,
+} from '../../../notifications/integration.js';
 
 function notifyKey(mealSessionId, studentId) {
   return `${mealSessionId.toString()}:${String(studentId)}`;
@@ -9,7 +13,7 @@ function notifyKey(mealSessionId, studentId) {
 
 /**
  * Aggregates NO_SHOW attendance for the school’s meal sessions in an optional date range,
- * with guardian email (from Student schema) and guardian email audit (if session was finalized).
+ * with guardian email (from Student schema) and the no-show email log entry (if session was finalized).
  */
 export async function listNoShowAlertsForSchool({
   schoolId,
@@ -49,9 +53,11 @@ export async function listNoShowAlertsForSchool({
     return [];
   }
 
-  const notifications = await MealGuardianNotification.find({
-    mealSessionId: { $in: sessionIds },
-  }).lean();
+  const notifications =
+    await notificationsIntegrationService.listForMealSessions(sessionIds, {
+      template: NOTIFICATION_TEMPLATES.GUARDIAN_NO_SHOW,
+      channel: NOTIFICATION_CHANNELS.EMAIL,
+    });
 
   const notifyMap = new Map(
     notifications.map((n) => [notifyKey(n.mealSessionId, n.studentId), n])
@@ -64,6 +70,7 @@ export async function listNoShowAlertsForSchool({
   const students = await Student.find({
     studentId: { $in: uniqueStudentIds },
   })
+    .setOptions({ withDeleted: true })
     .select('studentId guardian')
     .lean();
 
@@ -0,0 +1,123 @@
+// Application service for absences registered before service.
+// - Guardians or teachers report an absence for a student, a range of days
+//   and optionally only some meal types.
+// - The session roster shows covered students as pre-excused, and session
+//   completion records them EXCUSED instead of NO_SHOW.
+import { toStudentAbsenceResponse } from '../dtos/responses/student-absence-response.dto.js';
+import { isActiveStudentInSchool } from '../../infrastructure/services/meal-student-lookup.service.js';
+
+function startOfUtcDay(date) {
+  const d = new Date(date);
+  d.setUTCHours(0, 0, 0, 0);
+  return d;
+}
+
+export class StudentAbsenceService {
+  constructor({ studentAbsenceRepository }) {
+    this.studentAbsenceRepository = studentAbsenceRepository;
+  }
+
+  /**
+   * @param {import('../dtos/requests/student-absence.dto.js').StudentAbsenceDto} dto
+   * @param {string} [actorId] - User who entered the absence
+   */
+  async createAbsence(dto, actorId) {
+    const inSchool = await isActiveStudentInSchool(dto.studentId, dto.schoolId);
+    if (!inSchool) {
+      return { error: 'STUDENT_NOT_IN_SCHOOL' };
+    }
+
+    const created = await this.studentAbsenceRepository.create({
+      studentId: dto.studentId,
+      schoolId: dto.schoolId,
+      dateFrom: startOfUtcDay(dto.dateFrom),
+      dateTo: startOfUtcDay(dto.dateTo ?? dto.dateFrom),
+      mealTypes: dto.mealTypes ?? [],
+      reason: dto.reason,
+      enteredBy: actorId,
+    });
+    return { absence: toStudentAbsenceResponse(created) };
+  }
+
+  /**
+   * @param {{ schoolId?: string, studentId?: string, date?: string,
+   *   schoolIds?: string[] | null }} filters - `date` keeps absences covering
+   *   that day; `schoolIds` narrows the list for school-scoped users
+   */
+  async listAbsences(filters = {}) {
+    const filter = {};
+    if (filters.schoolId) {
+      filter.schoolId = String(filters.schoolId).trim();
+    } else if (filters.schoolIds) {
+      filter.schoolId = { $in: filters.schoolIds };
+    }
+    if (filters.studentId) {
+      filter.studentId = String(filters.studentId).trim();
+    }
+    if (filters.date) {
+      const day = startOfUtcDay(filters.date);
+      filter.dateFrom = { $lte: day };
+      filter.dateTo = { $gte: day };
+    }
+
+    const docs = await this.studentAbsenceRepository.findMany(filter);
+    return docs.map(toStudentAbsenceResponse);
+  }
+
+  async getAbsence(id) {
+    const doc = await this.studentAbsenceRepository.findById(id);
+    return doc
+      ? { absence: toStudentAbsenceResponse(doc) }
+      : { error: 'ABSENCE_NOT_FOUND' };
+  }
+
+  async updateAbsence(id, dto) {
+    const existing = await this.studentAbsenceRepository.findById(id);
+    if (!existing) {
+      return { error: 'ABSENCE_NOT_FOUND' };
+    }
+
+    const updates = {};
+    if (dto.dateFrom !== undefined) {
+      updates.dateFrom = startOfUtcDay(dto.dateFrom);
+    }
+    if (dto.dateTo !== undefined) {
+      updates.dateTo = startOfUtcDay(dto.dateTo);
+    }
+    if (dto.mealTypes !== undefined) {
+      updates.mealTypes = dto.mealTypes;
+    }
+    if (dto.reason !== undefined) {
+      updates.reason = dto.reason;
+    }
+
+    const dateFrom = updates.dateFrom ?? existing.dateFrom;
+    const dateTo = updates.dateTo ?? existing.dateTo;
+    if (dateTo < dateFrom) {
+      return { error: 'INVALID_DATE_RANGE' };
+    }
+
+    const updated = await this.studentAbsenceRepository.updateById(id, updates);
+    return { absence: toStudentAbsenceResponse(updated) };
+  }
+
+  async deleteAbsence(id) {
+    const deleted = await this.studentAbsenceRepository.deleteById(id);
+    return deleted
+      ? { absence: toStudentAbsenceResponse(deleted) }
+      : { error: 'ABSENCE_NOT_FOUND' };
+  }
+
+  /**
+   * Absences covering a meal session's day and meal type, by studentId.
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async findAbsencesForSession(session) {
+    const absences = await this.studentAbsenceRepository.findCovering({
+      schoolId: session.schoolId,
+      day: startOfUtcDay(session.date),
+      mealType: session.mealType,
+    });
+    return new Map(absences.map((absence) => [absence.studentId, absence]));
+  }
+}
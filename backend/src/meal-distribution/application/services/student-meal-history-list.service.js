@@ -16,7 +16,9 @@ export async function listStudentMealHistory({
     return [];
   }
 
+  // History stays readable after the student is moved to the trash
   const student = await Student.findOne({ studentId: studentIdValue })
+    .setOptions({ withDeleted: true })
     .select('studentId firstName lastName')
     .lean();
 
@@ -4,6 +4,7 @@ import { mealScanRouter } from './presentation/controllers/meal-scan.controller.
 import { noShowAlertsRouter } from './presentation/controllers/no-show-alerts.controller.js';
 import { studentMealHistoryRouter } from './presentation/controllers/student-meal-history.controller.js';
 import { mealReportsRouter } from './presentation/controllers/meal-reports.controller.js';
+import { studentAbsencesRouter } from './presentation/controllers/student-absences.controller.js';
 
 export {
   mealSessionRouter,
@@ -12,4 +13,5 @@ export {
   noShowAlertsRouter,
   studentMealHistoryRouter,
   mealReportsRouter,
+  studentAbsencesRouter,
 };
@@ -0,0 +1,11 @@
+import { DietaryOverrideLog } from '../schemas/dietary-override-log.schema.js';
+
+export class DietaryOverrideLogRepository {
+  async create(data) {
+    return DietaryOverrideLog.create(data);
+  }
+
+  async findMany(filter = {}) {
+    return DietaryOverrideLog.find(filter).sort({ createdAt: -1 });
+  }
+}
@@ -0,0 +1,28 @@
+import { MealScanSyncReceipt } from '../schemas/meal-scan-sync-receipt.schema.js';
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+export class MealScanSyncReceiptRepository {
+  async findByIdempotencyKeys(keys) {
+    return MealScanSyncReceipt.find({ idempotencyKey: { $in: keys } }).lean();
+  }
+
+  /**
+   * Stores a receipt. When another request stored the same key first, that
+   * receipt is returned with `created: false`.
+   */
+  async createOrGetExisting(data) {
+    try {
+      const created = await MealScanSyncReceipt.create(data);
+      return { receipt: created.toObject(), created: true };
+    } catch (err) {
+      if (err?.code === DUPLICATE_KEY_ERROR) {
+        const receipt = await MealScanSyncReceipt.findOne({
+          idempotencyKey: data.idempotencyKey,
+        }).lean();
+        return { receipt, created: false };
+      }
+      throw err;
+    }
+  }
+}
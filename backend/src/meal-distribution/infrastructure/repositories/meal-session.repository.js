@@ -13,14 +13,58 @@ export class MealSessionRepository {
     return MealSession.findById(id);
   }
 
-  async findMany(filter = {}) {
-    return MealSession.find(filter).sort({ date: -1 });
+  async findMany(filter = {}, { limit } = {}) {
+    const query = MealSession.find(filter).sort({ date: -1 });
+    return limit ? query.limit(limit) : query;
+  }
+
+  async findDistinctSchoolIds(filter = {}) {
+    return MealSession.distinct('schoolId', filter);
   }
 
   async updateById(id, updates) {
     return MealSession.findByIdAndUpdate(id, updates, { new: true });
   }
 
+  /**
+   * Adds `delta` to actualServedCount (never below 0) and re-derives
+   * wastageCount from plannedHeadcount in one update, so concurrent
+   * markings do not overwrite each other's counts.
+   */
+  async adjustServedCount(id, delta) {
+    return MealSession.findByIdAndUpdate(
+      id,
+      [
+        {
+          $set: {
+            actualServedCount: {
+              $max: [
+                { $add: [{ $ifNull: ['$actualServedCount', 0] }, delta] },
+                0,
+              ],
+            },
+          },
+        },
+        {
+          $set: {
+            wastageCount: {
+              $max: [
+                {
+                  $subtract: [
+                    { $ifNull: ['$plannedHeadcount', 0] },
+                    '$actualServedCount',
+                  ],
+                },
+                0,
+              ],
+            },
+          },
+        },
+      ],
+      { new: true }
+    );
+  }
+
   async deleteById(id) {
     return MealSession.findByIdAndDelete(id);
   }
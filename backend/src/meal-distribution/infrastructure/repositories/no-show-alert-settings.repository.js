@@ -0,0 +1,15 @@
+import { NoShowAlertSettings } from '../schemas/no-show-alert-settings.schema.js';
+
+export class NoShowAlertSettingsRepository {
+  async findBySchoolId(schoolId) {
+    return NoShowAlertSettings.findOne({ schoolId }).lean();
+  }
+
+  async upsertBySchoolId(schoolId, updates) {
+    return NoShowAlertSettings.findOneAndUpdate(
+      { schoolId },
+      { $set: updates },
+      { new: true, upsert: true, runValidators: true }
+    ).lean();
+  }
+}
@@ -0,0 +1,32 @@
+import { NoShowAlert } from '../schemas/no-show-alert.schema.js';
+
+export class NoShowAlertRepository {
+  async create(data) {
+    return NoShowAlert.create(data);
+  }
+
+  async findById(id) {
+    return NoShowAlert.findById(id);
+  }
+
+  async findMany(filter = {}) {
+    return NoShowAlert.find(filter).sort({ periodTo: -1 });
+  }
+
+  /**
+   * Alerts of the same rule for a student whose period overlaps [from, to].
+   */
+  async findOverlapping({ schoolId, studentId, rule, from, to }) {
+    return NoShowAlert.find({
+      schoolId,
+      studentId,
+      rule,
+      periodFrom: { $lte: to },
+      periodTo: { $gte: from },
+    }).sort({ periodTo: -1 });
+  }
+
+  async updateById(id, updates) {
+    return NoShowAlert.findByIdAndUpdate(id, updates, { new: true });
+  }
+}
@@ -0,0 +1,39 @@
+import { StudentAbsence } from '../schemas/student-absence.schema.js';
+
+export class StudentAbsenceRepository {
+  async create(data) {
+    return StudentAbsence.create(data);
+  }
+
+  async findById(id) {
+    return StudentAbsence.findById(id);
+  }
+
+  async findMany(filter = {}) {
+    return StudentAbsence.find(filter).sort({ dateFrom: -1, createdAt: -1 });
+  }
+
+  /**
+   * Absences of a school that cover one day and meal type. `day` is the
+   * start of a UTC day.
+   */
+  async findCovering({ schoolId, day, mealType }) {
+    return StudentAbsence.find({
+      schoolId: String(schoolId),
+      dateFrom: { $lte: day },
+      dateTo: { $gte: day },
+      $or: [
+        { mealTypes: { $size: 0 } },
+        { mealTypes: String(mealType || '').toLowerCase() },
+      ],
+    });
+  }
+
+  async updateById(id, updates) {
+    return StudentAbsence.findByIdAndUpdate(id, updates, { new: true });
+  }
+
+  async deleteById(id) {
+    return StudentAbsence.findByIdAndDelete(id);
+  }
+}
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Audit entry written when staff mark a student PRESENT despite a blocking
+// dietary conflict at a school whose policy refuses such scans.
+const dietaryOverrideLogSchema = new mongoose.Schema(
+  {
+    mealSessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MealSession',
+      required: true,
+    },
+    schoolId: { type: String, required: true },
+    studentId: { type: String, required: true },
+    attendanceId: { type: String },
+    recipeId: { type: String },
+    recipeName: { type: String },
+    conflicts: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    reason: { type: String, required: true },
+    overriddenBy: { type: String },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+dietaryOverrideLogSchema.index({ schoolId: 1, createdAt: -1 });
+
+export const DietaryOverrideLog = mongoose.model(
+  'DietaryOverrideLog',
+  dietaryOverrideLogSchema
+);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { auditTrailPlugin } from '../../../audit-log/integration.js';
 
 const mealAttendanceSchema = new mongoose.Schema(
   {
@@ -21,6 +22,8 @@ const mealAttendanceSchema = new mongoose.Schema(
   }
 );
 
+mealAttendanceSchema.plugin(auditTrailPlugin);
+
 export const MealAttendance = mongoose.model(
   'MealAttendance',
   mealAttendanceSchema
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// One receipt per offline scan that reached the server, keyed by the
+// client-generated idempotency key, so re-sent batches return the original
+// outcome instead of being applied twice.
+const mealScanSyncReceiptSchema = new mongoose.Schema(
+  {
+    idempotencyKey: { type: String, required: true, unique: true },
+    mealSessionId: { type: String, required: true },
+    studentId: { type: String },
+    outcome: {
+      type: String,
+      enum: [
+        'ACCEPTED',
+        'DUPLICATE',
+        'STUDENT_NOT_IN_SCHOOL',
+        'SESSION_LOCKED',
+        'SESSION_NOT_FOUND',
+        'INVALID_CARD',
+        'DIETARY_CONFLICT_BLOCKED',
+      ],
+      required: true,
+    },
+    code: { type: String },
+    attendanceId: { type: String },
+    // Dietary conflicts that kept a DIETARY_CONFLICT_BLOCKED scan unmarked
+    conflicts: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+    scannedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export const MealScanSyncReceipt = mongoose.model(
+  'MealScanSyncReceipt',
+  mealScanSyncReceiptSchema
+);
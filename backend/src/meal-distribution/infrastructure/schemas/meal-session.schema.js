@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { auditTrailPlugin } from '../../../audit-log/integration.js';
 
 const mealSessionSchema = new mongoose.Schema(
   {
@@ -19,4 +20,6 @@ const mealSessionSchema = new mongoose.Schema(
   }
 );
 
+mealSessionSchema.plugin(auditTrailPlugin);
+
 export const MealSession = mongoose.model('MealSession', mealSessionSchema);
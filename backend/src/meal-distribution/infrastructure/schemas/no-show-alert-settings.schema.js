@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+import { auditTrailPlugin } from '../../../audit-log/integration.js';
+
+// Per-school thresholds for the no-show pattern rules. Schools without a
+// document use NO_SHOW_ALERT_DEFAULT_SETTINGS.
+const noShowAlertSettingsSchema = new mongoose.Schema(
+  {
+    schoolId: { type: String, required: true, unique: true },
+    enabled: { type: Boolean, default: true },
+    consecutiveNoShows: { type: Number, default: 3, min: 2 },
+    windowSchoolDays: { type: Number, default: 10, min: 1 },
+    maxNoShowsInWindow: { type: Number, default: 4, min: 1 },
+    notifyGuardians: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export const NO_SHOW_ALERT_DEFAULT_SETTINGS = Object.freeze({
+  enabled: true,
+  consecutiveNoShows: 3,
+  windowSchoolDays: 10,
+  maxNoShowsInWindow: 4,
+  notifyGuardians: true,
+});
+
+noShowAlertSettingsSchema.plugin(auditTrailPlugin);
+
+export const NoShowAlertSettings = mongoose.model(
+  'NoShowAlertSettings',
+  noShowAlertSettingsSchema
+);
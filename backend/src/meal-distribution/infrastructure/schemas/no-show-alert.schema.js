@@ -1,17 +1,46 @@
 import mongoose from 'mongoose';
+import { auditTrailPlugin } from '../../../audit-log/integration.js';
 
 const noShowAlertSchema = new mongoose.Schema(
   {
     studentId: { type: String, required: true },
     schoolId: { type: String, required: true },
+    // CONSECUTIVE: N NO_SHOWs in a row; ROLLING_WINDOW: more than N NO_SHOWs
+    // within the school's last M school days.
+    rule: {
+      type: String,
+      enum: ['CONSECUTIVE', 'ROLLING_WINDOW'],
+      required: true,
+    },
     periodFrom: { type: Date, required: true },
     periodTo: { type: Date, required: true },
     noShowCount: { type: Number, required: true },
+    mealSessionIds: [
+      { type: mongoose.Schema.Types.ObjectId, ref: 'MealSession' },
+    ],
+    status: {
+      type: String,
+      enum: ['OPEN', 'ACKNOWLEDGED', 'RESOLVED'],
+      default: 'OPEN',
+    },
+    acknowledgedAt: { type: Date },
+    acknowledgedBy: { type: String },
+    resolvedAt: { type: Date },
+    resolvedBy: { type: String },
+    notes: { type: String },
     notified: { type: Boolean, default: false },
+    notificationStatus: { type: String, enum: ['SENT', 'FAILED', 'SKIPPED'] },
+    notificationError: { type: String },
+    notifiedAt: { type: Date },
   },
   {
     timestamps: true,
   }
 );
 
+noShowAlertSchema.index({ schoolId: 1, studentId: 1, rule: 1, periodTo: -1 });
+noShowAlertSchema.index({ schoolId: 1, status: 1 });
+
+noShowAlertSchema.plugin(auditTrailPlugin);
+
 export const NoShowAlert = mongoose.model('NoShowAlert', noShowAlertSchema);
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+import { auditTrailPlugin } from '../../../audit-log/integration.js';
+
+// An absence known before service, e.g. reported by a guardian or teacher.
+// Dates are whole UTC days and inclusive; no mealTypes means every meal.
+const studentAbsenceSchema = new mongoose.Schema(
+  {
+    studentId: { type: String, required: true },
+    schoolId: { type: String, required: true },
+    dateFrom: { type: Date, required: true },
+    dateTo: { type: Date, required: true },
+    mealTypes: [{ type: String }],
+    reason: { type: String, required: true },
+    enteredBy: { type: String },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+studentAbsenceSchema.index({ schoolId: 1, dateFrom: 1, dateTo: 1 });
+studentAbsenceSchema.index({ studentId: 1, dateFrom: -1 });
+
+studentAbsenceSchema.plugin(auditTrailPlugin);
+
+export const StudentAbsence = mongoose.model(
+  'StudentAbsence',
+  studentAbsenceSchema
+);
@@ -0,0 +1,20 @@
+/**
+ * Meal-distribution only: reads the meal-card state of a student (current
+ * signed card version, card history and the school's legacy-card grace
+ * period) and exposes
+ * school-management's meal-card token verification to the scan flow.
+ */
+import Student from '../../../school-management/infrastructure/schemas/student.schema.js';
+import {
+  isSignedMealCardToken,
+  verifyMealCardToken,
+} from '../../../school-management/application/services/meal-card-token.service.js';
+
+export { isSignedMealCardToken, verifyMealCardToken };
+
+export async function findStudentMealCardState(studentId) {
+  return Student.findOne({ studentId: String(studentId).trim() })
+    .select('studentId qrCardVersion mealCards school')
+    .populate('school', 'legacyQrGraceUntil')
+    .lean();
+}
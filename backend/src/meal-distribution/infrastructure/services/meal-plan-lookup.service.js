@@ -1,6 +1,8 @@
 import MealPlanSchema from '../../../meal-planning/infrastructure/schemas/MealPlanSchema.js';
 import RecipeSchema from '../../../menu-management/infrastructure/schemas/RecipeSchema.js';
 
+const WITH_DELETED = { withDeleted: true };
+
 const WEEKDAY_NAMES = [
   'Sunday',
   'Monday',
@@ -16,45 +18,60 @@ const WEEKDAY_NAMES = [
  * for a given school + calendar date + meal type.
  *
  * Returns `null` for every field when no matching meal plan or entry exists,
- * so callers can safely treat the result as optional.
+ * so callers can safely treat the result as optional. Plans in the trash are
+ * skipped; recipes in the trash still resolve for the plans using them.
  */
 export class MealPlanLookupService {
-  async getMealDescription(schoolId, date, mealType) {
-    const empty = {
-      recipeName: null,
-      recipeDescription: null,
-      mealNotes: null,
-    };
-
+  /**
+   * Meal plan and entry for the school + date + meal type, or null.
+   * Throws on database errors; callers decide how best-effort to be.
+   */
+  async _findPlanAndEntry(schoolId, date, mealType) {
     if (!schoolId || !date || !mealType) {
-      return empty;
+      return null;
     }
 
     const targetDate = date instanceof Date ? date : new Date(date);
     if (Number.isNaN(targetDate.getTime())) {
-      return empty;
+      return null;
     }
 
-    try {
-      const plan = await MealPlanSchema.findOne({
-        schoolId,
-        weekStartDate: { $lte: targetDate },
-        weekEndDate: { $gte: targetDate },
-      });
+    const plan = await MealPlanSchema.findOne({
+      schoolId,
+      weekStartDate: { $lte: targetDate },
+      weekEndDate: { $gte: targetDate },
+    });
 
-      if (!plan || !Array.isArray(plan.meals) || plan.meals.length === 0) {
-        return empty;
-      }
+    if (!plan || !Array.isArray(plan.meals) || plan.meals.length === 0) {
+      return null;
+    }
+
+    const dayName = WEEKDAY_NAMES[targetDate.getUTCDay()];
+    const normalizedMealType = String(mealType).trim().toLowerCase();
 
-      const dayName = WEEKDAY_NAMES[targetDate.getUTCDay()];
-      const normalizedMealType = String(mealType).trim().toLowerCase();
+    const entry = plan.meals.find(
+      (m) =>
+        m.day === dayName &&
+        String(m.mealType).trim().toLowerCase() === normalizedMealType
+    );
+
+    return entry ? { plan, entry } : null;
+  }
+
+  async _findPlanEntry(schoolId, date, mealType) {
+    const found = await this._findPlanAndEntry(schoolId, date, mealType);
+    return found?.entry ?? null;
+  }
 
-      const entry = plan.meals.find(
-        (m) =>
-          m.day === dayName &&
-          String(m.mealType).trim().toLowerCase() === normalizedMealType
-      );
+  async getMealDescription(schoolId, date, mealType) {
+    const empty = {
+      recipeName: null,
+      recipeDescription: null,
+      mealNotes: null,
+    };
 
+    try {
+      const entry = await this._findPlanEntry(schoolId, date, mealType);
       if (!entry) {
         return empty;
       }
@@ -62,9 +79,9 @@ export class MealPlanLookupService {
       let recipeDescription = null;
       if (entry.recipeId) {
         try {
-          const recipe = await RecipeSchema.findById(entry.recipeId).select(
-            'description'
-          );
+          const recipe = await RecipeSchema.findById(entry.recipeId)
+            .setOptions(WITH_DELETED)
+            .select('description');
           recipeDescription = recipe?.description ?? null;
         } catch {
           // Recipe lookup is best-effort; don't break if it fails.
@@ -80,4 +97,49 @@ export class MealPlanLookupService {
       return empty;
     }
   }
+
+  /**
+   * Plan reference of a confirmed meal plan's entry for the school + date +
+   * meal type, in the shape inventory reservations are keyed by, or null.
+   */
+  async getConfirmedPlanMeal(schoolId, date, mealType) {
+    const found = await this._findPlanAndEntry(schoolId, date, mealType);
+    if (!found || found.plan.status !== 'confirmed') {
+      return null;
+    }
+
+    return {
+      mealPlanId: found.plan._id.toString(),
+      day: found.entry.day,
+      mealType: found.entry.mealType,
+    };
+  }
+
+  /**
+   * Allergens and dietary flags of the recipe planned for the school +
+   * date + meal type, or null when nothing is planned. Unlike
+   * getMealDescription, database errors propagate: a safety check must not
+   * silently pass because the lookup failed.
+   */
+  async getPlannedRecipe(schoolId, date, mealType) {
+    const entry = await this._findPlanEntry(schoolId, date, mealType);
+    if (!entry?.recipeId) {
+      return null;
+    }
+
+    const recipe = await RecipeSchema.findById(entry.recipeId)
+      .setOptions(WITH_DELETED)
+      .select('name allergens dietaryFlags')
+      .lean();
+    if (!recipe) {
+      return null;
+    }
+
+    return {
+      recipeId: recipe._id.toString(),
+      recipeName: entry.recipeName || recipe.name || null,
+      allergens: recipe.allergens ?? [],
+      dietaryFlags: recipe.dietaryFlags ?? {},
+    };
+  }
 }
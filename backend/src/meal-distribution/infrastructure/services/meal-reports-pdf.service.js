@@ -8,6 +8,10 @@ import {
   buildEmailStatusPieConfig,
   buildRosterStatusPieConfig,
 } from '../../application/services/meal-distribution-charts.service.js';
+import {
+  formatSessionScope,
+  isSessionScoped,
+} from '../utils/session-scope.util.js';
 
 const TABLE_BORDER = '#333333';
 const HEADER_FILL = '#d1d5db';
@@ -478,7 +482,9 @@ export async function generateMealSessionSummaryPdf({
     ];
     const bodyRows = rows.map((r) => [
       formatDate(r.date),
-      String(r.mealType || '—'),
+      isSessionScoped(r)
+        ? `${r.mealType || '—'} (${formatSessionScope(r)})`
+        : String(r.mealType || '—'),
       String(r.status || '—'),
       String(r.plannedHeadcount ?? 0),
       String(r.actualServedCount ?? 0),
@@ -596,6 +602,7 @@ export async function generateSessionRosterPdf({
   schoolName,
   sessionLabel,
   mealType,
+  sessionScope,
   sessionDate,
   sessionStatus,
   roster,
@@ -609,7 +616,7 @@ export async function generateSessionRosterPdf({
       y,
       'Session attendance roster',
       schoolName,
-      `${formatDate(sessionDate)} · ${String(mealType || 'meal')} · ${String(sessionStatus || '—')}`,
+      `${formatDate(sessionDate)} · ${String(mealType || 'meal')} · ${String(sessionScope || 'Whole school')} · ${String(sessionStatus || '—')}`,
       `Session ID: ${sessionLabel} · Generated: ${new Date().toLocaleString()}`
     );
 
@@ -5,6 +5,7 @@
  */
 import mongoose from 'mongoose';
 import Student from '../../../school-management/infrastructure/schemas/student.schema.js';
+import { studentMatchesSessionScope } from '../utils/session-scope.util.js';
 
 export function buildSchoolMatchForMealSession(schoolId) {
   const s = String(schoolId).trim();
@@ -17,24 +18,83 @@ export function buildSchoolMatchForMealSession(schoolId) {
   return { school: s };
 }
 
-export async function findActiveStudentsWithGuardianForMealSession(schoolId) {
+/**
+ * Active students of the school. Pass the meal session to keep only the
+ * students in its grade and class.
+ */
+export async function findActiveStudentsWithGuardianForMealSession(
+  schoolId,
+  session = null
+) {
   const match = buildSchoolMatchForMealSession(schoolId);
-  return Student.find({ ...match, status: 'active' })
-    .select('studentId firstName lastName guardian')
+  const students = await Student.find({ ...match, status: 'active' })
+    .select('studentId firstName lastName gradeLevel className guardian')
     .lean();
+  return session
+    ? students.filter((student) => studentMatchesSessionScope(student, session))
+    : students;
 }
 
 /**
- * True if an active student with this business studentId belongs to the school.
+ * True if an active student with this business studentId belongs to the
+ * school and, when a meal session is given, to its grade and class.
  */
-export async function isActiveStudentInSchool(studentId, schoolId) {
+export async function isActiveStudentInSchool(
+  studentId,
+  schoolId,
+  session = null
+) {
   const match = buildSchoolMatchForMealSession(schoolId);
   const doc = await Student.findOne({
     ...match,
     status: 'active',
     studentId: String(studentId).trim(),
   })
-    .select('_id')
+    .select('_id gradeLevel className')
+    .lean();
+  return Boolean(doc) && (!session || studentMatchesSessionScope(doc, session));
+}
+
+/**
+ * Active student (by business studentId) with guardian contact details.
+ */
+export async function findActiveStudentWithGuardian(studentId) {
+  return Student.findOne({
+    status: 'active',
+    studentId: String(studentId).trim(),
+  })
+    .select('studentId firstName lastName guardian')
+    .lean();
+}
+
+/**
+ * Active student in the school with dietary tags and the school's
+ * dietary-conflict policy, or null.
+ */
+export async function findActiveStudentDietaryProfile(studentId, schoolId) {
+  const match = buildSchoolMatchForMealSession(schoolId);
+  return Student.findOne({
+    ...match,
+    status: 'active',
+    studentId: String(studentId).trim(),
+  })
+    .select('studentId firstName lastName dietaryTags kitchenNotes school')
+    .populate('school', 'dietaryConflictPolicy')
+    .lean();
+}
+
+/**
+ * Dietary profiles (as in findActiveStudentDietaryProfile) of the active
+ * students in the school with these business studentIds.
+ */
+export async function findActiveStudentDietaryProfiles(studentIds, schoolId) {
+  const match = buildSchoolMatchForMealSession(schoolId);
+  return Student.find({
+    ...match,
+    status: 'active',
+    studentId: { $in: studentIds.map((id) => String(id).trim()) },
+  })
+    .select('studentId firstName lastName dietaryTags kitchenNotes school')
+    .populate('school', 'dietaryConflictPolicy')
     .lean();
-  return Boolean(doc);
 }
@@ -0,0 +1,57 @@
+/**
+ * A meal session may be limited to a grade and/or class. Labels are
+ * compared case-insensitively and a leading "Grade" is ignored, so a
+ * session for "5" matches students in "Grade 5".
+ */
+const normalizeGroupLabel = (value) =>
+  String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/^grade\s*/, '');
+
+/** The grade and class a session is limited to; empty values mean any. */
+export function sessionScopeOf(session) {
+  return {
+    grade: normalizeGroupLabel(session?.grade),
+    className: normalizeGroupLabel(session?.className),
+  };
+}
+
+export function isSessionScoped(session) {
+  const { grade, className } = sessionScopeOf(session);
+  return Boolean(grade || className);
+}
+
+/** True if the student's gradeLevel and className fit the session's scope. */
+export function studentMatchesSessionScope(student, session) {
+  const { grade, className } = sessionScopeOf(session);
+  if (grade && normalizeGroupLabel(student?.gradeLevel) !== grade) {
+    return false;
+  }
+  if (className && normalizeGroupLabel(student?.className) !== className) {
+    return false;
+  }
+  return true;
+}
+
+/** True if some student could belong to both sessions. */
+export function sessionScopesOverlap(a, b) {
+  const scopeA = sessionScopeOf(a);
+  const scopeB = sessionScopeOf(b);
+  return ['grade', 'className'].every(
+    (field) =>
+      !scopeA[field] || !scopeB[field] || scopeA[field] === scopeB[field]
+  );
+}
+
+/** e.g. "Grade 5 · Class 5A", or "Whole school" without a scope. */
+export function formatSessionScope(session) {
+  const parts = [];
+  if (session?.grade) {
+    parts.push(`Grade ${normalizeGroupLabel(session.grade).toUpperCase()}`);
+  }
+  if (session?.className) {
+    parts.push(`Class ${String(session.className).trim()}`);
+  }
+  return parts.length > 0 ? parts.join(' · ') : 'Whole school';
+}
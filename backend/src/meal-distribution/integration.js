@@ -0,0 +1,51 @@
+import { MealSessionRepository } from './infrastructure/repositories/meal-session.repository.js';
+import { MealAttendanceRepository } from './infrastructure/repositories/meal-attendance.repository.js';
+import { NoShowAlertRepository } from './infrastructure/repositories/no-show-alert.repository.js';
+import { NoShowAlertSettingsRepository } from './infrastructure/repositories/no-show-alert-settings.repository.js';
+import { StudentAbsenceRepository } from './infrastructure/repositories/student-absence.repository.js';
+import { MealSessionService } from './application/services/meal-session.service.js';
+import { MealSessionCompletionService } from './application/services/meal-session-completion.service.js';
+import { StudentAbsenceService } from './application/services/student-absence.service.js';
+import { NoShowAlertService } from './application/services/no-show-alert.service.js';
+import { MealDistributionJobsService } from './application/services/meal-distribution-jobs.service.js';
+import { MealInventoryConsumptionService } from './application/services/meal-inventory-consumption.service.js';
+import { MealPlanLookupService } from './infrastructure/services/meal-plan-lookup.service.js';
+import { inventoryIntegrationService } from '../inventory/integration.js';
+import { notificationsIntegrationService } from '../notifications/integration.js';
+
+// Internal surface for other backend modules (e.g. the job scheduler),
+// independent from HTTP controllers and route guards.
+const mealSessionRepository = new MealSessionRepository();
+const mealAttendanceRepository = new MealAttendanceRepository();
+const mealPlanLookupService = new MealPlanLookupService();
+
+const mealSessionService = new MealSessionService(mealSessionRepository, {
+  completionService: new MealSessionCompletionService({
+    mealAttendanceRepository,
+    notificationService: notificationsIntegrationService,
+    studentAbsenceService: new StudentAbsenceService({
+      studentAbsenceRepository: new StudentAbsenceRepository(),
+    }),
+  }),
+  notificationService: notificationsIntegrationService,
+  mealPlanLookupService,
+  inventoryConsumptionService: new MealInventoryConsumptionService({
+    mealPlanLookupService,
+    inventoryService: inventoryIntegrationService,
+    mealSessionRepository,
+  }),
+});
+
+const noShowAlertService = new NoShowAlertService({
+  noShowAlertRepository: new NoShowAlertRepository(),
+  noShowAlertSettingsRepository: new NoShowAlertSettingsRepository(),
+  mealSessionRepository,
+  mealAttendanceRepository,
+  notificationService: notificationsIntegrationService,
+});
+
+export const mealDistributionJobsService = new MealDistributionJobsService({
+  mealSessionRepository,
+  mealSessionService,
+  noShowAlertService,
+});
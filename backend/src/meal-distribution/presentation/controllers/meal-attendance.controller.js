@@ -1,23 +1,83 @@
 import express from 'express';
 import { MealAttendanceRepository } from '../../infrastructure/repositories/meal-attendance.repository.js';
 import { MealSessionRepository } from '../../infrastructure/repositories/meal-session.repository.js';
+import { MealScanSyncReceiptRepository } from '../../infrastructure/repositories/meal-scan-sync-receipt.repository.js';
+import { DietaryOverrideLogRepository } from '../../infrastructure/repositories/dietary-override-log.repository.js';
+import { MealPlanLookupService } from '../../infrastructure/services/meal-plan-lookup.service.js';
 import { MealAttendanceService } from '../../application/services/meal-attendance.service.js';
+import { StudentAbsenceService } from '../../application/services/student-absence.service.js';
+import { StudentAbsenceRepository } from '../../infrastructure/repositories/student-absence.repository.js';
+import { MealCardVerificationService } from '../../application/services/meal-card-verification.service.js';
+import { MealScanSyncService } from '../../application/services/meal-scan-sync.service.js';
+import { MealSafetyCheckService } from '../../application/services/meal-safety-check.service.js';
 import { MarkAttendanceDto } from '../../application/dtos/requests/mark-attendance.dto.js';
-import { validateMarkAttendance } from '../validators/mark-attendance.validator.js';
+import { BulkMarkAttendanceDto } from '../../application/dtos/requests/bulk-mark-attendance.dto.js';
+import { SyncOfflineScansDto } from '../../application/dtos/requests/sync-offline-scans.dto.js';
+import {
+  validateMarkAttendance,
+  validateUpdateAttendance,
+} from '../validators/mark-attendance.validator.js';
+import { validateBulkMarkAttendance } from '../validators/bulk-mark-attendance.validator.js';
+import { validateSyncOfflineScans } from '../validators/sync-offline-scans.validator.js';
+import {
+  requireAttendanceInScope,
+  requireMealSessionInScope,
+} from '../middleware/school-scope.middleware.js';
+import { scopedSchoolIds } from '../../../shared/middleware/school-scope.middleware.js';
 
 const mealAttendanceRepository = new MealAttendanceRepository();
 const mealSessionRepository = new MealSessionRepository();
+const mealSafetyCheckService = new MealSafetyCheckService({
+  mealSessionRepository,
+  mealPlanLookupService: new MealPlanLookupService(),
+  dietaryOverrideLogRepository: new DietaryOverrideLogRepository(),
+});
 const mealAttendanceService = new MealAttendanceService(
   mealAttendanceRepository,
-  mealSessionRepository
+  mealSessionRepository,
+  new StudentAbsenceService({
+    studentAbsenceRepository: new StudentAbsenceRepository(),
+  }),
+  mealSafetyCheckService
 );
+const mealScanSyncService = new MealScanSyncService({
+  mealAttendanceService,
+  mealCardVerificationService: new MealCardVerificationService(),
+  mealScanSyncReceiptRepository: new MealScanSyncReceiptRepository(),
+});
 
 export const mealAttendanceRouter = express.Router();
 
+// Same body as a blocked QR scan, so clients handle both alike
+function sendDietaryConflictBlocked(res, safety) {
+  return res.status(409).json({
+    message:
+      "This meal conflicts with the student's dietary needs; attendance was not marked. Staff can override with a reason.",
+    code: 'DIETARY_CONFLICT_BLOCKED',
+    safety,
+  });
+}
+
+// School admins and staff only reach sessions of their assigned schools,
+// whether named in the query, the body or any queued offline scan
+mealAttendanceRouter.use(
+  requireMealSessionInScope((req) => [
+    req.query.mealSessionId,
+    req.body?.mealSessionId,
+    ...(Array.isArray(req.body?.scans)
+      ? req.body.scans.map((scan) => scan?.mealSessionId)
+      : []),
+  ])
+);
+mealAttendanceRouter.use('/:id', requireAttendanceInScope);
+
 // List: GET /api/meal-attendance?studentId=&mealSessionId=&status=&dateFrom=&dateTo=
 mealAttendanceRouter.get('/', async (req, res, next) => {
   try {
-    const items = await mealAttendanceService.listAttendance(req.query);
+    const items = await mealAttendanceService.listAttendance({
+      ...req.query,
+      schoolIds: scopedSchoolIds(req),
+    });
     return res.status(200).json(items);
   } catch (err) {
     next(err);
@@ -56,13 +116,17 @@ mealAttendanceRouter.get('/:id', async (req, res, next) => {
 });
 
 // Create / mark attendance: POST /api/meal-attendance
+// Marking PRESENT runs the dietary safety check; send overrideReason to mark
+// a student the school's policy blocks.
 mealAttendanceRouter.post(
   '/',
   validateMarkAttendance,
   async (req, res, next) => {
     try {
       const dto = new MarkAttendanceDto(req.body);
-      const result = await mealAttendanceService.markAttendance(dto);
+      const result = await mealAttendanceService.markAttendance(dto, {
+        actorId: req.user?._id?.toString(),
+      });
 
       if (result.error === 'MEAL_SESSION_NOT_FOUND') {
         return res.status(404).json({ message: 'Meal session not found' });
@@ -84,37 +148,95 @@ mealAttendanceRouter.post(
             'This student is already marked present for this meal session.',
         });
       }
+      if (result.error === 'DIETARY_CONFLICT_BLOCKED') {
+        return sendDietaryConflictBlocked(res, result.safety);
+      }
 
-      return res.status(201).json(result.attendance);
+      return res
+        .status(201)
+        .json({ ...result.attendance, safety: result.safety });
     } catch (err) {
       next(err);
     }
   }
 );
 
-// Update attendance: PUT /api/meal-attendance/:id
-mealAttendanceRouter.put('/:id', async (req, res, next) => {
-  try {
-    const dto = new MarkAttendanceDto(req.body);
-    const result = await mealAttendanceService.updateAttendance(
-      req.params.id,
-      dto
-    );
+// Mark many students at once: POST /api/meal-attendance/bulk
+// Always 200 once the session is found; each student carries its own outcome.
+mealAttendanceRouter.post(
+  '/bulk',
+  validateBulkMarkAttendance,
+  async (req, res, next) => {
+    try {
+      const dto = new BulkMarkAttendanceDto(req.body);
+      const result = await mealAttendanceService.bulkMarkAttendance(dto);
 
-    if (result.notFound) {
-      return res.status(404).json({ message: 'Meal attendance not found' });
+      if (result.error === 'MEAL_SESSION_NOT_FOUND') {
+        return res.status(404).json({ message: 'Meal session not found' });
+      }
+      if (result.error === 'MEAL_SESSION_COMPLETED') {
+        return res.status(409).json({
+          message: 'Meal session is completed; attendance is locked',
+        });
+      }
+
+      return res.status(200).json(result);
+    } catch (err) {
+      next(err);
     }
-    if (result.error === 'MEAL_SESSION_COMPLETED') {
-      return res
-        .status(409)
-        .json({ message: 'Meal session is completed; attendance is locked' });
+  }
+);
+
+// Sync scans queued while offline: POST /api/meal-attendance/sync
+// Always 200; each scan carries its own outcome.
+mealAttendanceRouter.post(
+  '/sync',
+  validateSyncOfflineScans,
+  async (req, res, next) => {
+    try {
+      const dto = new SyncOfflineScansDto(req.body);
+      const result = await mealScanSyncService.syncScans(dto);
+      return res.status(200).json(result);
+    } catch (err) {
+      next(err);
     }
+  }
+);
 
-    return res.status(200).json(result.attendance);
-  } catch (err) {
-    next(err);
+// Update attendance: PUT /api/meal-attendance/:id
+// Changing to PRESENT runs the same dietary safety check as marking.
+mealAttendanceRouter.put(
+  '/:id',
+  validateUpdateAttendance,
+  async (req, res, next) => {
+    try {
+      const dto = new MarkAttendanceDto(req.body);
+      const result = await mealAttendanceService.updateAttendance(
+        req.params.id,
+        dto,
+        { actorId: req.user?._id?.toString() }
+      );
+
+      if (result.notFound) {
+        return res.status(404).json({ message: 'Meal attendance not found' });
+      }
+      if (result.error === 'MEAL_SESSION_COMPLETED') {
+        return res
+          .status(409)
+          .json({ message: 'Meal session is completed; attendance is locked' });
+      }
+      if (result.error === 'DIETARY_CONFLICT_BLOCKED') {
+        return sendDietaryConflictBlocked(res, result.safety);
+      }
+
+      return res
+        .status(200)
+        .json({ ...result.attendance, safety: result.safety });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
 // Delete attendance: DELETE /api/meal-attendance/:id
 mealAttendanceRouter.delete('/:id', async (req, res, next) => {
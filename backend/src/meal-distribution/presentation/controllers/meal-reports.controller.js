@@ -4,6 +4,8 @@ import { findSchoolById } from '../../../school-management/infrastructure/reposi
 import { MealAttendanceRepository } from '../../infrastructure/repositories/meal-attendance.repository.js';
 import { MealSessionRepository } from '../../infrastructure/repositories/meal-session.repository.js';
 import { MealAttendanceService } from '../../application/services/meal-attendance.service.js';
+import { StudentAbsenceService } from '../../application/services/student-absence.service.js';
+import { StudentAbsenceRepository } from '../../infrastructure/repositories/student-absence.repository.js';
 import {
   listNoShowReportRows,
   listSessionSummariesForSchool,
@@ -13,16 +15,26 @@ import {
   generateNoShowReportPdf,
   generateSessionRosterPdf,
 } from '../../infrastructure/services/meal-reports-pdf.service.js';
+import { requireMealSessionInScope } from '../middleware/school-scope.middleware.js';
+import { formatSessionScope } from '../../infrastructure/utils/session-scope.util.js';
 
 const mealAttendanceRepository = new MealAttendanceRepository();
 const mealSessionRepository = new MealSessionRepository();
 const mealAttendanceService = new MealAttendanceService(
   mealAttendanceRepository,
-  mealSessionRepository
+  mealSessionRepository,
+  new StudentAbsenceService({
+    studentAbsenceRepository: new StudentAbsenceRepository(),
+  })
 );
 
 export const mealReportsRouter = express.Router();
 
+// The roster report names a session as well as a school; both must be in scope
+mealReportsRouter.use(
+  requireMealSessionInScope((req) => req.query.mealSessionId)
+);
+
 function safeFilenamePart(value) {
   return (
     String(value || 'report')
@@ -147,6 +159,7 @@ mealReportsRouter.get('/session-roster.pdf', async (req, res, next) => {
       schoolName: school.schoolName,
       sessionLabel: sessionId,
       mealType: session.mealType,
+      sessionScope: formatSessionScope(session),
       sessionDate: session.date,
       sessionStatus: session.status,
       roster: rosterResult.roster,
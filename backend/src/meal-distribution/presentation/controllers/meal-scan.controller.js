@@ -1,43 +1,95 @@
 // Presentation layer adapter that turns a scanned QR payload into a call
-// to the core attendance service. The QR token is decoded here and the
-// resulting studentId is passed down as a MarkAttendanceDto.
+// to the core attendance service. The QR token is verified here and the
+// resulting studentId is passed down as a MarkAttendanceDto; the attendance
+// service checks the student's dietary tags against the planned recipe.
 import express from 'express';
+import mongoose from 'mongoose';
 import { MealAttendanceRepository } from '../../infrastructure/repositories/meal-attendance.repository.js';
 import { MealSessionRepository } from '../../infrastructure/repositories/meal-session.repository.js';
+import { DietaryOverrideLogRepository } from '../../infrastructure/repositories/dietary-override-log.repository.js';
+import { MealPlanLookupService } from '../../infrastructure/services/meal-plan-lookup.service.js';
 import { MealAttendanceService } from '../../application/services/meal-attendance.service.js';
+import { MealCardVerificationService } from '../../application/services/meal-card-verification.service.js';
+import { MealSafetyCheckService } from '../../application/services/meal-safety-check.service.js';
+import { toDietaryOverrideLogResponse } from '../../application/dtos/responses/dietary-override-log-response.dto.js';
 import { MarkAttendanceDto } from '../../application/dtos/requests/mark-attendance.dto.js';
 import { ScanQrDto } from '../../application/dtos/requests/scan-qr.dto.js';
 import { validateScanQr } from '../validators/scan-qr.validator.js';
+import { requireMealSessionInScope } from '../middleware/school-scope.middleware.js';
 
 const mealAttendanceRepository = new MealAttendanceRepository();
 const mealSessionRepository = new MealSessionRepository();
+const mealCardVerificationService = new MealCardVerificationService();
+const dietaryOverrideLogRepository = new DietaryOverrideLogRepository();
+const mealSafetyCheckService = new MealSafetyCheckService({
+  mealSessionRepository,
+  mealPlanLookupService: new MealPlanLookupService(),
+  dietaryOverrideLogRepository,
+});
 const mealAttendanceService = new MealAttendanceService(
   mealAttendanceRepository,
-  mealSessionRepository
+  mealSessionRepository,
+  null,
+  mealSafetyCheckService
 );
 
+const QR_TOKEN_ERRORS = {
+  QR_TOKEN_INVALID: {
+    status: 400,
+    message: 'Invalid qrToken: the meal card could not be verified',
+  },
+  QR_TOKEN_MISSING_STUDENT: {
+    status: 400,
+    message: 'QR payload must contain studentId',
+  },
+  QR_TOKEN_EXPIRED: {
+    status: 400,
+    message: 'This meal card has expired; please reissue it',
+  },
+  QR_UNSIGNED_NOT_ACCEPTED: {
+    status: 400,
+    message:
+      'Unsigned meal cards are no longer accepted at this school; please reprint the card',
+  },
+  QR_CARD_SUPERSEDED: {
+    status: 409,
+    message: 'This meal card was replaced by a newer card',
+  },
+  QR_CARD_REVOKED: {
+    status: 409,
+    message: 'This meal card has been revoked; please keep the card aside',
+  },
+};
+
 export const mealScanRouter = express.Router();
 
+// School admins and staff only scan into sessions of their assigned schools
+mealScanRouter.use(
+  requireMealSessionInScope((req) => [
+    req.query.mealSessionId,
+    req.body?.mealSessionId,
+  ])
+);
+
 // Scan QR and mark attendance: POST /api/meal-scan
 mealScanRouter.post('/', validateScanQr, async (req, res, next) => {
   try {
     const dto = new ScanQrDto(req.body);
 
-    let payload;
-    try {
-      payload = JSON.parse(dto.qrToken);
-    } catch {
-      return res
-        .status(400)
-        .json({ message: 'Invalid qrToken: must be a JSON string payload' });
-    }
-
-    const { studentId } = payload || {};
-    if (!studentId) {
-      return res
-        .status(400)
-        .json({ message: 'QR payload must contain studentId' });
+    const resolved = await mealCardVerificationService.resolveStudentId(
+      dto.qrToken
+    );
+    if (resolved.error) {
+      const { status, message } = QR_TOKEN_ERRORS[resolved.error];
+      return res.status(status).json({
+        message,
+        code: resolved.error,
+        ...(resolved.revokeReason
+          ? { revokeReason: resolved.revokeReason }
+          : {}),
+      });
     }
+    const { studentId } = resolved;
 
     const markDto = new MarkAttendanceDto({
       studentId,
@@ -45,9 +97,12 @@ mealScanRouter.post('/', validateScanQr, async (req, res, next) => {
       status: 'PRESENT',
       servedAt: new Date(),
       notes: undefined,
+      overrideReason: dto.overrideReason,
     });
 
-    const result = await mealAttendanceService.markAttendance(markDto);
+    const result = await mealAttendanceService.markAttendance(markDto, {
+      actorId: req.user?._id?.toString(),
+    });
 
     if (result.error === 'MEAL_SESSION_NOT_FOUND') {
       return res.status(404).json({ message: 'Meal session not found' });
@@ -69,8 +124,39 @@ mealScanRouter.post('/', validateScanQr, async (req, res, next) => {
           'This student is already marked present for this meal session.',
       });
     }
+    if (result.error === 'DIETARY_CONFLICT_BLOCKED') {
+      return res.status(409).json({
+        message:
+          "This meal conflicts with the student's dietary needs; attendance was not marked. Staff can override with a reason.",
+        code: 'DIETARY_CONFLICT_BLOCKED',
+        safety: result.safety,
+      });
+    }
+
+    return res
+      .status(201)
+      .json({ ...result.attendance, safety: result.safety });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    return res.status(201).json(result.attendance);
+// Override audit: GET /api/meal-scan/dietary-overrides?schoolId=&mealSessionId=
+mealScanRouter.get('/dietary-overrides', async (req, res, next) => {
+  try {
+    const { schoolId, mealSessionId } = req.query || {};
+    if (!schoolId || !String(schoolId).trim()) {
+      return res.status(400).json({ message: 'schoolId is required' });
+    }
+    const filter = { schoolId: String(schoolId).trim() };
+    if (mealSessionId) {
+      if (!mongoose.Types.ObjectId.isValid(String(mealSessionId))) {
+        return res.status(400).json({ message: 'Invalid mealSessionId' });
+      }
+      filter.mealSessionId = String(mealSessionId).trim();
+    }
+    const docs = await dietaryOverrideLogRepository.findMany(filter);
+    return res.status(200).json(docs.map(toDietaryOverrideLogResponse));
   } catch (err) {
     next(err);
   }
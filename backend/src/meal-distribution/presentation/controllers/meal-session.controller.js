@@ -1,46 +1,72 @@
 import express from 'express';
 import { MealSessionRepository } from '../../infrastructure/repositories/meal-session.repository.js';
 import { MealAttendanceRepository } from '../../infrastructure/repositories/meal-attendance.repository.js';
-import { MealGuardianNotificationRepository } from '../../infrastructure/repositories/meal-guardian-notification.repository.js';
 import { MealSessionService } from '../../application/services/meal-session.service.js';
 import { MealSessionCompletionService } from '../../application/services/meal-session-completion.service.js';
+import { StudentAbsenceService } from '../../application/services/student-absence.service.js';
+import { StudentAbsenceRepository } from '../../infrastructure/repositories/student-absence.repository.js';
+import { MealInventoryConsumptionService } from '../../application/services/meal-inventory-consumption.service.js';
 import { MealPlanLookupService } from '../../infrastructure/services/meal-plan-lookup.service.js';
-import { NotificationService } from '../../infrastructure/services/notification.service.js';
+import { inventoryIntegrationService } from '../../../inventory/integration.js';
+import { notificationsIntegrationService } from '../../../notifications/integration.js';
 import { CreateMealSessionDto } from '../../application/dtos/requests/create-meal-session.dto.js';
 import { UpdateMealSessionDto } from '../../application/dtos/requests/update-meal-session.dto.js';
 import { validateCreateMealSession } from '../validators/create-meal-session.validator.js';
 import { validateUpdateMealSession } from '../validators/update-meal-session.validator.js';
+import { requireMealSessionInScope } from '../middleware/school-scope.middleware.js';
+import { scopedSchoolIds } from '../../../shared/middleware/school-scope.middleware.js';
+import { requireRole } from '../../../shared/middleware/require-role.middleware.js';
+import { ROLES } from '../../../shared/constants/roles.js';
 
 const mealSessionRepository = new MealSessionRepository();
 const mealAttendanceRepository = new MealAttendanceRepository();
-const mealGuardianNotificationRepository =
-  new MealGuardianNotificationRepository();
-const notificationService = new NotificationService();
 const completionService = new MealSessionCompletionService({
   mealAttendanceRepository,
-  mealGuardianNotificationRepository,
-  notificationService,
+  notificationService: notificationsIntegrationService,
+  studentAbsenceService: new StudentAbsenceService({
+    studentAbsenceRepository: new StudentAbsenceRepository(),
+  }),
 });
 const mealPlanLookupService = new MealPlanLookupService();
 const mealSessionService = new MealSessionService(mealSessionRepository, {
   completionService,
-  mealGuardianNotificationRepository,
+  notificationService: notificationsIntegrationService,
   mealPlanLookupService,
+  inventoryConsumptionService: new MealInventoryConsumptionService({
+    mealPlanLookupService,
+    inventoryService: inventoryIntegrationService,
+    mealSessionRepository,
+  }),
 });
 
+// Resending guardian notifications is limited to admins and school admins
+const requireNotificationResendRole = requireRole([
+  ROLES.ADMIN,
+  ROLES.SCHOOL_ADMIN,
+]);
+
 export const mealSessionRouter = express.Router();
 
+// School admins and staff only reach sessions of their assigned schools
+mealSessionRouter.use(
+  '/:id',
+  requireMealSessionInScope((req) => req.params.id)
+);
+
 // List: GET /api/meal-sessions?schoolId=&mealType=&date=&dateFrom=&dateTo=
 mealSessionRouter.get('/', async (req, res, next) => {
   try {
-    const sessions = await mealSessionService.listMealSessions(req.query);
+    const sessions = await mealSessionService.listMealSessions({
+      ...req.query,
+      schoolIds: scopedSchoolIds(req),
+    });
     return res.status(200).json(sessions);
   } catch (err) {
     next(err);
   }
 });
 
-// Guardian email audit for a session (must be before GET /:id)
+// Guardian notification log for a session (must be before GET /:id)
 mealSessionRouter.get('/:id/guardian-notifications', async (req, res, next) => {
   try {
     const session = await mealSessionService.getMealSessionById(req.params.id);
@@ -56,6 +82,55 @@ mealSessionRouter.get('/:id/guardian-notifications', async (req, res, next) => {
   }
 });
 
+// Retry all: POST /api/meal-sessions/:id/guardian-notifications/retry-failed
+mealSessionRouter.post(
+  '/:id/guardian-notifications/retry-failed',
+  requireNotificationResendRole,
+  async (req, res, next) => {
+    try {
+      const session = await mealSessionService.getMealSessionById(
+        req.params.id
+      );
+      if (!session) {
+        return res.status(404).json({ message: 'Meal session not found' });
+      }
+      const result = await mealSessionService.retryFailedGuardianNotifications(
+        req.params.id
+      );
+      return res.status(200).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Resend one: POST /api/meal-sessions/:id/guardian-notifications/:notificationId/resend
+mealSessionRouter.post(
+  '/:id/guardian-notifications/:notificationId/resend',
+  requireNotificationResendRole,
+  async (req, res, next) => {
+    try {
+      const result = await mealSessionService.resendGuardianNotification(
+        req.params.id,
+        req.params.notificationId
+      );
+      if (result.error === 'NOTIFICATION_NOT_FOUND') {
+        return res
+          .status(404)
+          .json({ message: 'Guardian notification not found' });
+      }
+      if (result.error === 'NOTIFICATION_NOT_RESENDABLE') {
+        return res.status(409).json({
+          message: 'Only FAILED or DEAD_LETTER notifications can be resent',
+        });
+      }
+      return res.status(200).json(result.notification);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 // Get one: GET /api/meal-sessions/:id
 mealSessionRouter.get('/:id', async (req, res, next) => {
   try {
@@ -1,8 +1,55 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import { listNoShowAlertsForSchool } from '../../application/services/no-show-alerts-list.service.js';
+import { NoShowAlertService } from '../../application/services/no-show-alert.service.js';
+import { NoShowAlertRepository } from '../../infrastructure/repositories/no-show-alert.repository.js';
+import { NoShowAlertSettingsRepository } from '../../infrastructure/repositories/no-show-alert-settings.repository.js';
+import { MealSessionRepository } from '../../infrastructure/repositories/meal-session.repository.js';
+import { MealAttendanceRepository } from '../../infrastructure/repositories/meal-attendance.repository.js';
+import { notificationsIntegrationService } from '../../../notifications/integration.js';
+import { UpdateNoShowAlertSettingsDto } from '../../application/dtos/requests/update-no-show-alert-settings.dto.js';
+import { ReviewNoShowAlertDto } from '../../application/dtos/requests/review-no-show-alert.dto.js';
+import { validateNoShowAlertSettings } from '../validators/no-show-alert-settings.validator.js';
+import { requireNoShowAlertInScope } from '../middleware/school-scope.middleware.js';
+
+const noShowAlertService = new NoShowAlertService({
+  noShowAlertRepository: new NoShowAlertRepository(),
+  noShowAlertSettingsRepository: new NoShowAlertSettingsRepository(),
+  mealSessionRepository: new MealSessionRepository(),
+  mealAttendanceRepository: new MealAttendanceRepository(),
+  notificationService: notificationsIntegrationService,
+});
+
+const ALERT_STATUSES = ['OPEN', 'ACKNOWLEDGED', 'RESOLVED'];
+
+function requireSchoolId(value, res) {
+  if (!value || !String(value).trim()) {
+    res.status(400).json({ message: 'schoolId is required' });
+    return null;
+  }
+  return String(value).trim();
+}
+
+function sendReviewResult(res, result) {
+  if (result.error === 'NO_SHOW_ALERT_NOT_FOUND') {
+    return res.status(404).json({ message: 'No-show alert not found' });
+  }
+  if (result.error === 'NO_SHOW_ALERT_NOT_OPEN') {
+    return res
+      .status(409)
+      .json({ message: 'Only OPEN alerts can be acknowledged' });
+  }
+  if (result.error === 'NO_SHOW_ALERT_ALREADY_RESOLVED') {
+    return res.status(409).json({ message: 'Alert is already resolved' });
+  }
+  return res.status(200).json(result.alert);
+}
 
 export const noShowAlertsRouter = express.Router();
 
+// School admins and staff only review alerts of their assigned schools
+noShowAlertsRouter.use('/:id', requireNoShowAlertInScope);
+
 noShowAlertsRouter.get('/', async (req, res, next) => {
   try {
     const schoolId = req.query.schoolId;
@@ -21,3 +68,115 @@ noShowAlertsRouter.get('/', async (req, res, next) => {
     next(err);
   }
 });
+
+// Pattern alerts: GET /api/meal-distribution/no-show-alerts/patterns?schoolId=&status=&studentId=
+noShowAlertsRouter.get('/patterns', async (req, res, next) => {
+  try {
+    const schoolId = requireSchoolId(req.query.schoolId, res);
+    if (!schoolId) {
+      return;
+    }
+    const status = req.query.status
+      ? String(req.query.status).trim().toUpperCase()
+      : undefined;
+    if (status && !ALERT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: `status must be one of: ${ALERT_STATUSES.join(', ')}`,
+      });
+    }
+
+    const items = await noShowAlertService.listAlerts({
+      schoolId,
+      status,
+      studentId: req.query.studentId,
+    });
+    return res.status(200).json(items);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Run the rules now: POST /api/meal-distribution/no-show-alerts/evaluate
+noShowAlertsRouter.post('/evaluate', async (req, res, next) => {
+  try {
+    const schoolId = requireSchoolId(req.body?.schoolId, res);
+    if (!schoolId) {
+      return;
+    }
+    const asOf = req.body?.asOf;
+    if (asOf && Number.isNaN(new Date(asOf).getTime())) {
+      return res.status(400).json({ message: 'asOf must be a valid date' });
+    }
+
+    const result = await noShowAlertService.evaluateNoShowPatterns({
+      schoolId,
+      asOf,
+    });
+    return res.status(200).json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Per-school thresholds: GET /api/meal-distribution/no-show-alerts/settings?schoolId=
+noShowAlertsRouter.get('/settings', async (req, res, next) => {
+  try {
+    const schoolId = requireSchoolId(req.query.schoolId, res);
+    if (!schoolId) {
+      return;
+    }
+    const settings = await noShowAlertService.getSettingsForSchool(schoolId);
+    return res.status(200).json(settings);
+  } catch (err) {
+    next(err);
+  }
+});
+
+noShowAlertsRouter.put(
+  '/settings',
+  validateNoShowAlertSettings,
+  async (req, res, next) => {
+    try {
+      const dto = new UpdateNoShowAlertSettingsDto(req.body);
+      const settings = await noShowAlertService.updateSettingsForSchool(
+        req.body.schoolId,
+        dto
+      );
+      return res.status(200).json(settings);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+noShowAlertsRouter.patch('/:id/acknowledge', async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'No-show alert not found' });
+    }
+    const result = await noShowAlertService.acknowledgeAlert(
+      req.params.id,
+      new ReviewNoShowAlertDto(req.body),
+      req.user?._id?.toString()
+    );
+    return sendReviewResult(res, result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+noShowAlertsRouter.patch('/:id/resolve', async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'No-show alert not found' });
+    }
+    const result = await noShowAlertService.resolveAlert(
+      req.params.id,
+      new ReviewNoShowAlertDto(req.body),
+      req.user?._id?.toString()
+    );
+    return sendReviewResult(res, result);
+  } catch (err) {
+    next(err);
+  }
+});
@@ -0,0 +1,116 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { StudentAbsenceService } from '../../application/services/student-absence.service.js';
+import { StudentAbsenceRepository } from '../../infrastructure/repositories/student-absence.repository.js';
+import { StudentAbsenceDto } from '../../application/dtos/requests/student-absence.dto.js';
+import { validateStudentAbsence } from '../validators/student-absence.validator.js';
+import { requireStudentAbsenceInScope } from '../middleware/school-scope.middleware.js';
+import { scopedSchoolIds } from '../../../shared/middleware/school-scope.middleware.js';
+
+const studentAbsenceService = new StudentAbsenceService({
+  studentAbsenceRepository: new StudentAbsenceRepository(),
+});
+
+function sendAbsenceResult(res, result, status = 200) {
+  if (result.error === 'ABSENCE_NOT_FOUND') {
+    return res.status(404).json({ message: 'Absence not found' });
+  }
+  if (result.error === 'STUDENT_NOT_IN_SCHOOL') {
+    return res.status(400).json({
+      message: 'That student ID is not an active student at this school.',
+    });
+  }
+  if (result.error === 'INVALID_DATE_RANGE') {
+    return res
+      .status(400)
+      .json({ message: 'dateTo must not be before dateFrom' });
+  }
+  return res.status(status).json(result.absence);
+}
+
+// Malformed ids are answered as not found
+function requireValidId(req, res, next) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ message: 'Absence not found' });
+  }
+  next();
+}
+
+export const studentAbsencesRouter = express.Router();
+
+// School admins and staff only reach absences of their assigned schools
+studentAbsencesRouter.use('/:id', requireStudentAbsenceInScope);
+
+// List: GET /api/meal-distribution/absences?schoolId=&studentId=&date=
+studentAbsencesRouter.get('/', async (req, res, next) => {
+  try {
+    const { schoolId, studentId, date } = req.query;
+    if (date && Number.isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ message: 'date must be a valid date' });
+    }
+    const items = await studentAbsenceService.listAbsences({
+      schoolId,
+      studentId,
+      date,
+      schoolIds: scopedSchoolIds(req),
+    });
+    return res.status(200).json(items);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Register: POST /api/meal-distribution/absences
+studentAbsencesRouter.post(
+  '/',
+  validateStudentAbsence(),
+  async (req, res, next) => {
+    try {
+      const result = await studentAbsenceService.createAbsence(
+        new StudentAbsenceDto(req.body),
+        req.user?._id?.toString()
+      );
+      return sendAbsenceResult(res, result, 201);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Get one: GET /api/meal-distribution/absences/:id
+studentAbsencesRouter.get('/:id', requireValidId, async (req, res, next) => {
+  try {
+    const result = await studentAbsenceService.getAbsence(req.params.id);
+    return sendAbsenceResult(res, result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Change dates, meal types or reason: PUT /api/meal-distribution/absences/:id
+studentAbsencesRouter.put(
+  '/:id',
+  requireValidId,
+  validateStudentAbsence({ partial: true }),
+  async (req, res, next) => {
+    try {
+      const result = await studentAbsenceService.updateAbsence(
+        req.params.id,
+        new StudentAbsenceDto(req.body)
+      );
+      return sendAbsenceResult(res, result);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Cancel: DELETE /api/meal-distribution/absences/:id
+studentAbsencesRouter.delete('/:id', requireValidId, async (req, res, next) => {
+  try {
+    const result = await studentAbsenceService.deleteAbsence(req.params.id);
+    return sendAbsenceResult(res, result);
+  } catch (err) {
+    next(err);
+  }
+});
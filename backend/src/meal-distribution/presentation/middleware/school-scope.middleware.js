@@ -0,0 +1,65 @@
+// School-scope checks for meal-distribution records addressed by their own
+// id. Sessions carry the schoolId; attendance is scoped through its session
+// and no-show alerts and student absences carry their own schoolId. Unknown or malformed ids
+// resolve to nothing so the route can still answer 400/404 itself.
+import mongoose from 'mongoose';
+import { requireSchoolInScope } from '../../../shared/middleware/school-scope.middleware.js';
+import { MealSessionRepository } from '../../infrastructure/repositories/meal-session.repository.js';
+import { MealAttendanceRepository } from '../../infrastructure/repositories/meal-attendance.repository.js';
+import { NoShowAlertRepository } from '../../infrastructure/repositories/no-show-alert.repository.js';
+import { StudentAbsenceRepository } from '../../infrastructure/repositories/student-absence.repository.js';
+
+const mealSessionRepository = new MealSessionRepository();
+const mealAttendanceRepository = new MealAttendanceRepository();
+const noShowAlertRepository = new NoShowAlertRepository();
+const studentAbsenceRepository = new StudentAbsenceRepository();
+
+const validIds = (ids) =>
+  [ids]
+    .flat()
+    .filter((id) => id && mongoose.Types.ObjectId.isValid(String(id)))
+    .map((id) => String(id).trim());
+
+async function schoolIdsOfSessions(sessionIds) {
+  const ids = validIds(sessionIds);
+  if (ids.length === 0) {
+    return [];
+  }
+  return mealSessionRepository.findDistinctSchoolIds({ _id: { $in: ids } });
+}
+
+/**
+ * @param {(req: import('express').Request) => *} pickSessionIds - Returns
+ *   the meal session id(s) the request touches
+ */
+export const requireMealSessionInScope = (pickSessionIds) =>
+  requireSchoolInScope((req) => schoolIdsOfSessions(pickSessionIds(req)));
+
+export const requireAttendanceInScope = requireSchoolInScope(async (req) => {
+  const [id] = validIds(req.params.id);
+  if (!id) {
+    return null;
+  }
+  const attendance = await mealAttendanceRepository.findById(id);
+  return attendance ? schoolIdsOfSessions(attendance.mealSessionId) : null;
+});
+
+export const requireNoShowAlertInScope = requireSchoolInScope(async (req) => {
+  const [id] = validIds(req.params.id);
+  if (!id) {
+    return null;
+  }
+  const alert = await noShowAlertRepository.findById(id);
+  return alert?.schoolId;
+});
+
+export const requireStudentAbsenceInScope = requireSchoolInScope(
+  async (req) => {
+    const [id] = validIds(req.params.id);
+    if (!id) {
+      return null;
+    }
+    const absence = await studentAbsenceRepository.findById(id);
+    return absence?.schoolId;
+  }
+);
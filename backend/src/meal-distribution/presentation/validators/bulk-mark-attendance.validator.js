@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+export const BULK_ATTENDANCE_STATUSES = ['PRESENT', 'EXCUSED', 'NO_SHOW'];
+export const MAX_STUDENTS_PER_BULK_MARK = 500;
+
+export function validateBulkMarkAttendance(req, res, next) {
+  const { mealSessionId, status, studentIds, allUnmarked } = req.body || {};
+
+  if (!mongoose.Types.ObjectId.isValid(mealSessionId)) {
+    return res
+      .status(400)
+      .json({ message: 'mealSessionId must be a valid id' });
+  }
+  if (!BULK_ATTENDANCE_STATUSES.includes(String(status).toUpperCase())) {
+    return res.status(400).json({
+      message: `status must be one of: ${BULK_ATTENDANCE_STATUSES.join(', ')}`,
+    });
+  }
+
+  const hasStudentIds = studentIds !== undefined && studentIds !== null;
+  if (hasStudentIds === (allUnmarked === true)) {
+    return res.status(400).json({
+      message: 'Send either studentIds or allUnmarked: true',
+    });
+  }
+  if (hasStudentIds) {
+    if (!Array.isArray(studentIds) || studentIds.length === 0) {
+      return res
+        .status(400)
+        .json({ message: 'studentIds must be a non-empty array' });
+    }
+    if (studentIds.length > MAX_STUDENTS_PER_BULK_MARK) {
+      return res.status(400).json({
+        message: `At most ${MAX_STUDENTS_PER_BULK_MARK} students can be marked at once`,
+      });
+    }
+    const blankIndex = studentIds.findIndex((id) => !String(id ?? '').trim());
+    if (blankIndex !== -1) {
+      return res
+        .status(400)
+        .json({ message: `studentIds[${blankIndex}] is empty` });
+    }
+  }
+
+  next();
+}
@@ -1,5 +1,7 @@
+import { describeInvalidOverrideReason } from './scan-qr.validator.js';
+
 export function validateMarkAttendance(req, res, next) {
-  const { studentId, mealSessionId } = req.body || {};
+  const { studentId, mealSessionId, overrideReason } = req.body || {};
 
   if (!studentId || !mealSessionId) {
     return res.status(400).json({
@@ -7,5 +9,21 @@ export function validateMarkAttendance(req, res, next) {
     });
   }
 
+  const overrideReasonMessage = describeInvalidOverrideReason(overrideReason);
+  if (overrideReasonMessage) {
+    return res.status(400).json({ message: overrideReasonMessage });
+  }
+
+  next();
+}
+
+export function validateUpdateAttendance(req, res, next) {
+  const overrideReasonMessage = describeInvalidOverrideReason(
+    req.body?.overrideReason
+  );
+  if (overrideReasonMessage) {
+    return res.status(400).json({ message: overrideReasonMessage });
+  }
+
   next();
 }
@@ -0,0 +1,35 @@
+const INTEGER_FIELDS = {
+  consecutiveNoShows: 2,
+  windowSchoolDays: 1,
+  maxNoShowsInWindow: 1,
+};
+const BOOLEAN_FIELDS = ['enabled', 'notifyGuardians'];
+
+export function validateNoShowAlertSettings(req, res, next) {
+  const body = req.body || {};
+
+  if (!body.schoolId || !String(body.schoolId).trim()) {
+    return res.status(400).json({ message: 'schoolId is required' });
+  }
+
+  for (const [field, min] of Object.entries(INTEGER_FIELDS)) {
+    const value = body[field];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (!Number.isInteger(Number(value)) || Number(value) < min) {
+      return res.status(400).json({
+        message: `${field} must be an integer of at least ${min}`,
+      });
+    }
+  }
+
+  for (const field of BOOLEAN_FIELDS) {
+    const value = body[field];
+    if (value !== undefined && value !== null && typeof value !== 'boolean') {
+      return res.status(400).json({ message: `${field} must be a boolean` });
+    }
+  }
+
+  next();
+}
@@ -1,5 +1,20 @@
+const MAX_OVERRIDE_REASON_LENGTH = 500;
+
+// Message for an invalid dietary override reason, or null when it is valid
+export function describeInvalidOverrideReason(overrideReason) {
+  if (overrideReason === undefined || overrideReason === null) {
+    return null;
+  }
+  const reason =
+    typeof overrideReason === 'string' ? overrideReason.trim() : '';
+  if (reason.length < 3 || reason.length > MAX_OVERRIDE_REASON_LENGTH) {
+    return `overrideReason must be 3–${MAX_OVERRIDE_REASON_LENGTH} characters`;
+  }
+  return null;
+}
+
 export function validateScanQr(req, res, next) {
-  const { mealSessionId, qrToken } = req.body || {};
+  const { mealSessionId, qrToken, overrideReason } = req.body || {};
 
   if (!mealSessionId || !qrToken) {
     return res.status(400).json({
@@ -7,5 +22,10 @@ export function validateScanQr(req, res, next) {
     });
   }
 
+  const overrideReasonMessage = describeInvalidOverrideReason(overrideReason);
+  if (overrideReasonMessage) {
+    return res.status(400).json({ message: overrideReasonMessage });
+  }
+
   next();
 }
@@ -0,0 +1,67 @@
+const MAX_REASON_LENGTH = 500;
+
+const isValidDate = (value) =>
+  typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+
+/**
+ * Checks an absence body. On update every field is optional, but the
+ * studentId and schoolId of an absence cannot change.
+ */
+export const validateStudentAbsence =
+  ({ partial = false } = {}) =>
+  (req, res, next) => {
+    const body = req.body || {};
+
+    if (partial) {
+      if (body.studentId !== undefined || body.schoolId !== undefined) {
+        return res.status(400).json({
+          message: 'studentId and schoolId of an absence cannot be changed',
+        });
+      }
+    } else {
+      for (const field of ['studentId', 'schoolId', 'dateFrom', 'reason']) {
+        if (!body[field] || !String(body[field]).trim()) {
+          return res.status(400).json({ message: `${field} is required` });
+        }
+      }
+    }
+
+    for (const field of ['dateFrom', 'dateTo']) {
+      if (body[field] !== undefined && !isValidDate(body[field])) {
+        return res
+          .status(400)
+          .json({ message: `${field} must be a valid date` });
+      }
+    }
+    if (
+      isValidDate(body.dateFrom) &&
+      isValidDate(body.dateTo) &&
+      new Date(body.dateTo) < new Date(body.dateFrom)
+    ) {
+      return res
+        .status(400)
+        .json({ message: 'dateTo must not be before dateFrom' });
+    }
+
+    if (
+      body.mealTypes !== undefined &&
+      (!Array.isArray(body.mealTypes) ||
+        body.mealTypes.some((type) => !String(type ?? '').trim()))
+    ) {
+      return res.status(400).json({
+        message:
+          'mealTypes must be an array of meal types (empty for all meals)',
+      });
+    }
+
+    if (body.reason !== undefined) {
+      const reason = String(body.reason ?? '').trim();
+      if (!reason || reason.length > MAX_REASON_LENGTH) {
+        return res.status(400).json({
+          message: `reason is required (max ${MAX_REASON_LENGTH} characters)`,
+        });
+      }
+    }
+
+    next();
+  };
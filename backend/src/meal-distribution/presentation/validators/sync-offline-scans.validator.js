@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+export const MAX_OFFLINE_SCANS_PER_SYNC = 500;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 100;
+
+export function validateSyncOfflineScans(req, res, next) {
+  const { scans } = req.body || {};
+
+  if (!Array.isArray(scans) || scans.length === 0) {
+    return res.status(400).json({ message: 'scans must be a non-empty array' });
+  }
+  if (scans.length > MAX_OFFLINE_SCANS_PER_SYNC) {
+    return res.status(400).json({
+      message: `At most ${MAX_OFFLINE_SCANS_PER_SYNC} scans can be synced at once`,
+    });
+  }
+
+  const seenKeys = new Set();
+  for (const [index, scan] of scans.entries()) {
+    const key = String(scan?.idempotencyKey || '').trim();
+    if (!key || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+      return res.status(400).json({
+        message: `scans[${index}].idempotencyKey is required (max ${MAX_IDEMPOTENCY_KEY_LENGTH} characters)`,
+      });
+    }
+    if (seenKeys.has(key)) {
+      return res.status(400).json({
+        message: `scans[${index}].idempotencyKey is repeated in this batch`,
+      });
+    }
+    seenKeys.add(key);
+
+    if (!mongoose.Types.ObjectId.isValid(scan.mealSessionId)) {
+      return res.status(400).json({
+        message: `scans[${index}].mealSessionId must be a valid id`,
+      });
+    }
+    if (!scan.qrToken && !scan.studentId) {
+      return res.status(400).json({
+        message: `scans[${index}] needs a qrToken or a studentId`,
+      });
+    }
+    if (
+      scan.scannedAt !== undefined &&
+      scan.scannedAt !== null &&
+      Number.isNaN(new Date(scan.scannedAt).getTime())
+    ) {
+      return res.status(400).json({
+        message: `scans[${index}].scannedAt must be a valid date`,
+      });
+    }
+  }
+
+  next();
+}
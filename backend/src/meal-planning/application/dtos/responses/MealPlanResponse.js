@@ -17,6 +17,7 @@ class MealPlanResponse {
 
     this.status = mealPlan.status;
     this.inventoryChecked = mealPlan.inventoryChecked;
+    this.inventoryOverride = mealPlan.inventoryOverride;
     this.totalPlannedServings = mealPlan.getTotalPlannedServings();
     this.isCurrentWeek = mealPlan.isCurrentWeek();
     this.createdAt = mealPlan.createdAt;
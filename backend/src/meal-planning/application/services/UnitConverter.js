@@ -0,0 +1,117 @@
+// Converts recipe ingredient quantities into inventory units.
+// Units are grouped by dimension (mass, volume, count) with a factor to the
+// dimension's base unit; quantities only convert within one dimension.
+// Items stocked in packages (packs, boxes, ...) convert through their
+// packageWeight / packageWeightUnit, e.g. 1 pack = 500 g.
+const UNIT_DEFINITIONS = {
+  g: { dimension: 'mass', factor: 1 },
+  gram: { dimension: 'mass', factor: 1 },
+  grams: { dimension: 'mass', factor: 1 },
+  kg: { dimension: 'mass', factor: 1000 },
+  kilogram: { dimension: 'mass', factor: 1000 },
+  kilograms: { dimension: 'mass', factor: 1000 },
+  oz: { dimension: 'mass', factor: 28.3495 },
+  lb: { dimension: 'mass', factor: 453.592 },
+  ml: { dimension: 'volume', factor: 1 },
+  milliliters: { dimension: 'volume', factor: 1 },
+  millilitres: { dimension: 'volume', factor: 1 },
+  l: { dimension: 'volume', factor: 1000 },
+  liter: { dimension: 'volume', factor: 1000 },
+  litre: { dimension: 'volume', factor: 1000 },
+  liters: { dimension: 'volume', factor: 1000 },
+  litres: { dimension: 'volume', factor: 1000 },
+  cup: { dimension: 'volume', factor: 240 },
+  tbsp: { dimension: 'volume', factor: 15 },
+  tsp: { dimension: 'volume', factor: 5 },
+  piece: { dimension: 'count', factor: 1 },
+  pieces: { dimension: 'count', factor: 1 },
+  units: { dimension: 'count', factor: 1 },
+};
+
+class UnitConverter {
+  static normalizeUnit(unit) {
+    return String(unit || '')
+      .trim()
+      .toLowerCase();
+  }
+
+  // Returns the unit definition or null when the unit is not recognised
+  static getDefinition(unit) {
+    return UNIT_DEFINITIONS[this.normalizeUnit(unit)] || null;
+  }
+
+  /**
+   * Converts a quantity between two units of the same dimension.
+   * @param {number} quantity
+   * @param {string} fromUnit
+   * @param {string} toUnit
+   * @returns {number|null} Converted quantity, or null if the units are incompatible
+   */
+  static convert(quantity, fromUnit, toUnit) {
+    if (this.normalizeUnit(fromUnit) === this.normalizeUnit(toUnit)) {
+      return quantity;
+    }
+
+    const from = this.getDefinition(fromUnit);
+    const to = this.getDefinition(toUnit);
+
+    if (!from || !to || from.dimension !== to.dimension) {
+      return null;
+    }
+
+    return (quantity * from.factor) / to.factor;
+  }
+
+  // True when the item records how much one unit of it holds
+  static hasPackageSize(item) {
+    return (
+      Number(item?.packageWeight) > 0 &&
+      this.getDefinition(item.packageWeightUnit) !== null
+    );
+  }
+
+  /**
+   * Converts a quantity into an inventory item's unit. Falls back to the
+   * item's package size when the units differ in dimension, so 2 kg of an
+   * item stocked in 500 g packs is 4 packs.
+   * @param {number} quantity
+   * @param {string} fromUnit
+   * @param {{ unit: string, packageWeight?: number, packageWeightUnit?: string }} item
+   * @returns {number|null}
+   */
+  static convertToItemUnit(quantity, fromUnit, item) {
+    const direct = this.convert(quantity, fromUnit, item.unit);
+    if (direct !== null || !this.hasPackageSize(item)) {
+      return direct;
+    }
+
+    const inPackageUnit = this.convert(
+      quantity,
+      fromUnit,
+      item.packageWeightUnit
+    );
+    return inPackageUnit === null
+      ? null
+      : inPackageUnit / Number(item.packageWeight);
+  }
+
+  /**
+   * Converts a quantity held in one item's unit into another item's unit,
+   * using either item's package size where needed.
+   * @returns {number|null}
+   */
+  static convertBetweenItems(quantity, fromItem, toItem) {
+    const direct = this.convertToItemUnit(quantity, fromItem.unit, toItem);
+    if (direct !== null || !this.hasPackageSize(fromItem)) {
+      return direct;
+    }
+
+    return this.convertToItemUnit(
+      quantity * Number(fromItem.packageWeight),
+      fromItem.packageWeightUnit,
+      toItem
+    );
+  }
+}
+
+export default UnitConverter;
@@ -0,0 +1,315 @@
+import MealPlanNotFoundException from '../../../domain/exceptions/MealPlanNotFoundException.js';
+import UnitConverter from '../../services/UnitConverter.js';
+
+// Per-ingredient outcome of an inventory check
+const INGREDIENT_STATUS = {
+  SUFFICIENT: 'sufficient',
+  SHORT: 'short',
+  UNMATCHED: 'unmatched',
+  UNIT_MISMATCH: 'unit_mismatch',
+};
+
+// How an ingredient was tied to inventory: the recipe's explicit
+// inventoryItemId, or the name-based fallback for unmapped ingredients
+const MATCHED_BY = {
+  MAPPING: 'mapping',
+  NAME: 'name',
+};
+
+function normalizeName(value = '') {
+  return String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function roundQuantity(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+class CheckMealPlanInventoryUseCase {
+  constructor(mealPlanRepository, recipeRepository, inventoryService) {
+    this.mealPlanRepository = mealPlanRepository;
+    this.recipeRepository = recipeRepository;
+    this.inventoryService = inventoryService;
+  }
+
+  // Runs the check and records the outcome on the plan's inventoryChecked flag
+  async execute(mealPlanId) {
+    const mealPlan = await this.mealPlanRepository.findById(mealPlanId);
+
+    if (!mealPlan) {
+      throw new MealPlanNotFoundException(mealPlanId);
+    }
+
+    const report = await this.buildReport(mealPlan);
+    const inventoryChecked = !report.hasShortages;
+
+    if (mealPlan.inventoryChecked !== inventoryChecked) {
+      if (inventoryChecked) {
+        mealPlan.markInventoryChecked();
+      } else {
+        mealPlan.clearInventoryCheck();
+      }
+      await this.mealPlanRepository.update(mealPlanId, mealPlan);
+    }
+
+    return report;
+  }
+
+  // Expands every meal into ingredient requirements and compares them with stock
+  async buildReport(mealPlan) {
+    const { requirements, missingRecipes } =
+      await this._expandRequirements(mealPlan);
+    // The plan's own reservations still count as available to it.
+    const stock = await this.inventoryService.listStockForMealPlanning({
+      excludeMealPlanId: mealPlan.id,
+    });
+
+    const ingredients = [...requirements.values()].map((requirement) =>
+      this._compareWithStock(requirement, stock)
+    );
+
+    return {
+      mealPlanId: mealPlan.id,
+      checkedAt: new Date(),
+      hasShortages:
+        missingRecipes.length > 0 ||
+        ingredients.some((i) => i.status !== INGREDIENT_STATUS.SUFFICIENT),
+      ingredients,
+      missingRecipes,
+    };
+  }
+
+  // Scales each recipe's ingredients by plannedServings / servingSize
+  async _expandRequirements(mealPlan) {
+    const requirements = new Map();
+    const missingRecipes = [];
+    const recipeCache = new Map();
+
+    for (const meal of mealPlan.meals) {
+      if (!recipeCache.has(meal.recipeId)) {
+        recipeCache.set(
+          meal.recipeId,
+          // A recipe moved to the trash still feeds the plans using it
+          await this.recipeRepository.findById(meal.recipeId, {
+            withDeleted: true,
+          })
+        );
+      }
+      const recipe = recipeCache.get(meal.recipeId);
+
+      if (!recipe) {
+        missingRecipes.push({
+          day: meal.day,
+          mealType: meal.mealType,
+          recipeId: meal.recipeId,
+          recipeName: meal.recipeName,
+        });
+        continue;
+      }
+
+      const multiplier = meal.plannedServings / (recipe.servingSize || 1);
+
+      for (const ingredient of recipe.ingredients || []) {
+        const inventoryItemId = ingredient.inventoryItemId
+          ? String(ingredient.inventoryItemId)
+          : null;
+        // Mapped ingredients group by item, so differently named
+        // ingredients that draw on the same stock are summed together.
+        const key = inventoryItemId
+          ? `item:${inventoryItemId}`
+          : `name:${normalizeName(ingredient.name)}`;
+        if (!requirements.has(key)) {
+          requirements.set(key, {
+            ingredientName: ingredient.name,
+            inventoryItemId,
+            amounts: [],
+            meals: [],
+          });
+        }
+        const requirement = requirements.get(key);
+        requirement.amounts.push({
+          quantity: ingredient.quantity * multiplier,
+          unit: ingredient.unit,
+          day: meal.day,
+          mealType: meal.mealType,
+        });
+        const mealIdentifier = meal.getMealIdentifier();
+        if (!requirement.meals.includes(mealIdentifier)) {
+          requirement.meals.push(mealIdentifier);
+        }
+      }
+    }
+
+    return { requirements, missingRecipes };
+  }
+
+  // Splits each meal's ingredient needs across matching items for
+  // reservation, using the same matching and units as the report. Lines
+  // carry the meal's calendar date so reorder planning can place them. A
+  // remainder no item can cover stays on the first item so the reservation
+  // reports it as a shortfall.
+  async buildReservationLines(mealPlan) {
+    const { requirements } = await this._expandRequirements(mealPlan);
+    const stock = await this.inventoryService.listStockForMealPlanning({
+      excludeMealPlanId: mealPlan.id,
+    });
+    const remainingByItem = new Map(
+      stock.map((item) => [item.id, item.availableQuantity])
+    );
+    const lines = [];
+
+    for (const requirement of requirements.values()) {
+      const items = this._findMatchingItems(requirement, stock);
+
+      for (const amount of requirement.amounts) {
+        const candidates = items
+          .map((item) => ({
+            item,
+            quantity: UnitConverter.convertToItemUnit(
+              amount.quantity,
+              amount.unit,
+              item
+            ),
+          }))
+          .filter((candidate) => candidate.quantity !== null);
+
+        if (candidates.length === 0) {
+          continue;
+        }
+
+        const line = {
+          day: amount.day,
+          mealType: amount.mealType,
+          mealDate: mealPlan.getDateForDay(amount.day),
+          ingredientName: requirement.ingredientName,
+        };
+        // Share of this meal's need that is still uncovered
+        let uncovered = 1;
+
+        for (const { item, quantity } of candidates) {
+          if (uncovered <= 0 || quantity <= 0) {
+            break;
+          }
+          const remaining = remainingByItem.get(item.id) || 0;
+          const taken = Math.min(quantity * uncovered, remaining);
+          if (taken > 0) {
+            lines.push({ ...line, itemId: item.id, quantity: taken });
+            remainingByItem.set(item.id, remaining - taken);
+            uncovered -= taken / quantity;
+          }
+        }
+
+        if (uncovered > 1e-9) {
+          lines.push({
+            ...line,
+            itemId: candidates[0].item.id,
+            quantity: candidates[0].quantity * uncovered,
+          });
+        }
+      }
+    }
+
+    return lines;
+  }
+
+  // A mapped ingredient only draws on its item. Otherwise exact name matches
+  // win, then items whose name contains the ingredient.
+  _findMatchingItems(requirement, stock) {
+    if (requirement.inventoryItemId) {
+      return stock.filter((item) => item.id === requirement.inventoryItemId);
+    }
+
+    const name = normalizeName(requirement.ingredientName);
+    const exact = stock.filter((item) => normalizeName(item.name) === name);
+    if (exact.length > 0) {
+      return exact;
+    }
+    return stock.filter((item) => normalizeName(item.name).includes(name));
+  }
+
+  // Sums amounts into an item's unit; null if any amount cannot be converted
+  _sumForItem(amounts, item) {
+    let total = 0;
+    for (const amount of amounts) {
+      const converted = UnitConverter.convertToItemUnit(
+        amount.quantity,
+        amount.unit,
+        item
+      );
+      if (converted === null) {
+        return null;
+      }
+      total += converted;
+    }
+    return total;
+  }
+
+  _compareWithStock(requirement, stock) {
+    const items = this._findMatchingItems(requirement, stock);
+    const base = {
+      ingredientName: requirement.ingredientName,
+      matchedBy: requirement.inventoryItemId
+        ? MATCHED_BY.MAPPING
+        : MATCHED_BY.NAME,
+      meals: requirement.meals,
+      inventoryItems: items.map((item) => ({
+        id: item.id,
+        name: item.name,
+        unit: item.unit,
+      })),
+    };
+
+    if (items.length === 0) {
+      const unit = requirement.amounts[0].unit;
+      const required = this._sumForItem(requirement.amounts, { unit });
+      return {
+        ...base,
+        unit,
+        required: required === null ? null : roundQuantity(required),
+        available: 0,
+        shortfall: required === null ? null : roundQuantity(required),
+        status: INGREDIENT_STATUS.UNMATCHED,
+      };
+    }
+
+    // Report in the unit of the first matched item the recipe units convert to
+    const reportingItem = items.find(
+      (item) => this._sumForItem(requirement.amounts, item) !== null
+    );
+
+    if (!reportingItem) {
+      return {
+        ...base,
+        unit: requirement.amounts[0].unit,
+        required: null,
+        available: null,
+        shortfall: null,
+        status: INGREDIENT_STATUS.UNIT_MISMATCH,
+      };
+    }
+
+    const unit = reportingItem.unit;
+    const required = this._sumForItem(requirement.amounts, reportingItem);
+    const available = items.reduce((sum, item) => {
+      const converted = UnitConverter.convertBetweenItems(
+        item.availableQuantity,
+        item,
+        reportingItem
+      );
+      return converted === null ? sum : sum + converted;
+    }, 0);
+    const shortfall = Math.max(0, required - available);
+
+    return {
+      ...base,
+      unit,
+      required: roundQuantity(required),
+      available: roundQuantity(available),
+      shortfall: roundQuantity(shortfall),
+      status:
+        shortfall > 0 ? INGREDIENT_STATUS.SHORT : INGREDIENT_STATUS.SUFFICIENT,
+    };
+  }
+}
+
+export { INGREDIENT_STATUS, MATCHED_BY };
+export default CheckMealPlanInventoryUseCase;
@@ -1,21 +1,86 @@
 import MealPlanNotFoundException from '../../../domain/exceptions/MealPlanNotFoundException.js';
+import InvalidMealPlanException from '../../../domain/exceptions/InvalidMealPlanException.js';
+import InsufficientInventoryException from '../../../domain/exceptions/InsufficientInventoryException.js';
+import { INGREDIENT_STATUS } from './CheckMealPlanInventoryUseCase.js';
 
 class ConfirmMealPlanUseCase {
-  constructor(mealPlanRepository) {
+  constructor(
+    mealPlanRepository,
+    checkMealPlanInventoryUseCase,
+    inventoryService
+  ) {
     this.mealPlanRepository = mealPlanRepository;
+    this.checkMealPlanInventoryUseCase = checkMealPlanInventoryUseCase;
+    this.inventoryService = inventoryService;
   }
 
-  // Transitions meal plan status from 'planned' to 'confirmed'
-  async execute(mealPlanId) {
+  // Transitions meal plan status from 'planned' to 'confirmed'.
+  // Refuses when stock cannot cover the plan unless the caller overrides
+  // with a reason, which is stored on the plan. On confirmation the needed
+  // stock is reserved against FIFO batches; it is consumed as the plan's
+  // meal sessions complete. Returns the plan and the reservation summary.
+  async execute(
+    mealPlanId,
+    { overrideShortages = false, overrideReason, overriddenBy } = {}
+  ) {
     const mealPlan = await this.mealPlanRepository.findById(mealPlanId);
 
     if (!mealPlan) {
       throw new MealPlanNotFoundException(mealPlanId);
     }
 
+    if (mealPlan.status !== 'planned') {
+      throw new InvalidMealPlanException(
+        'Can only confirm meal plans with status "planned"'
+      );
+    }
+
+    const report =
+      await this.checkMealPlanInventoryUseCase.buildReport(mealPlan);
+
+    if (report.hasShortages) {
+      if (!overrideShortages) {
+        throw new InsufficientInventoryException(report);
+      }
+      if (!overrideReason || overrideReason.trim().length === 0) {
+        throw new InvalidMealPlanException(
+          'overrideReason is required to confirm a plan with inventory shortages'
+        );
+      }
+      mealPlan.recordInventoryOverride({
+        reason: overrideReason,
+        overriddenBy,
+        shortageCount:
+          report.ingredients.filter(
+            (i) => i.status !== INGREDIENT_STATUS.SUFFICIENT
+          ).length + report.missingRecipes.length,
+      });
+    } else {
+      mealPlan.markInventoryChecked();
+    }
+
     mealPlan.confirm();
 
-    return await this.mealPlanRepository.update(mealPlanId, mealPlan);
+    const lines =
+      await this.checkMealPlanInventoryUseCase.buildReservationLines(mealPlan);
+    const reservation = await this.inventoryService.reserveStockForMealPlan({
+      mealPlanId,
+      lines,
+    });
+
+    try {
+      const confirmedPlan = await this.mealPlanRepository.update(
+        mealPlanId,
+        mealPlan
+      );
+      return { mealPlan: confirmedPlan, reservation };
+    } catch (error) {
+      await this.inventoryService.releaseMealPlanReservations(
+        mealPlanId,
+        'Meal plan confirmation failed'
+      );
+      throw error;
+    }
   }
 }
 
@@ -2,11 +2,14 @@ import MealPlanNotFoundException from '../../../domain/exceptions/MealPlanNotFou
 import InvalidMealPlanException from '../../../domain/exceptions/InvalidMealPlanException.js';
 
 class DeleteMealPlanUseCase {
-  constructor(mealPlanRepository) {
+  constructor(mealPlanRepository, inventoryService) {
     this.mealPlanRepository = mealPlanRepository;
+    this.inventoryService = inventoryService;
   }
 
-  async execute(mealPlanId) {
+  // Moves the plan to the trash and releases its reserved stock; restoring
+  // it from the trash sends a confirmed plan back to 'planned'
+  async execute(mealPlanId, deletedBy) {
     const mealPlan = await this.mealPlanRepository.findById(mealPlanId);
 
     if (!mealPlan) {
@@ -21,12 +24,20 @@ class DeleteMealPlanUseCase {
       throw new InvalidMealPlanException('Draft meal plans cannot be deleted');
     }
 
-    const deletedMealPlan = await this.mealPlanRepository.delete(mealPlanId);
+    const deletedMealPlan = await this.mealPlanRepository.delete(
+      mealPlanId,
+      deletedBy
+    );
 
     if (!deletedMealPlan) {
       throw new MealPlanNotFoundException(mealPlanId);
     }
 
+    await this.inventoryService.releaseMealPlanReservations(
+      mealPlanId,
+      'Meal plan deleted'
+    );
+
     return deletedMealPlan;
   }
 }
@@ -1,18 +1,43 @@
 import MealPlan from '../../../domain/entities/MealPlan.js';
 import MealEntry from '../../../domain/value-objects/MealEntry.js';
 import MealPlanNotFoundException from '../../../domain/exceptions/MealPlanNotFoundException.js';
+import InvalidMealPlanException from '../../../domain/exceptions/InvalidMealPlanException.js';
 
 class UpdateMealPlanUseCase {
-  constructor(mealPlanRepository) {
+  constructor(mealPlanRepository, inventoryService) {
     this.mealPlanRepository = mealPlanRepository;
+    this.inventoryService = inventoryService;
   }
 
+  // Editing a confirmed plan's meals or week, or moving it out of
+  // 'confirmed', releases its stock reservations and returns it to
+  // 'planned' so it has to be confirmed (and reserved) again.
   async execute(mealPlanId, updateData) {
     const existingMealPlan = await this.mealPlanRepository.findById(mealPlanId);
     if (!existingMealPlan) {
       throw new MealPlanNotFoundException(mealPlanId);
     }
 
+    const wasConfirmed = existingMealPlan.status === 'confirmed';
+    if (updateData.status === 'confirmed' && !wasConfirmed) {
+      throw new InvalidMealPlanException(
+        'Use POST /api/meal-plans/:id/confirm to confirm a meal plan'
+      );
+    }
+
+    const releasesReservations =
+      wasConfirmed &&
+      Boolean(
+        updateData.meals ||
+        updateData.weekStartDate ||
+        updateData.weekEndDate ||
+        (updateData.status && updateData.status !== 'confirmed')
+      );
+    let status = updateData.status ?? existingMealPlan.status;
+    if (releasesReservations && status === 'confirmed') {
+      status = 'planned';
+    }
+
     const meals = updateData.meals
       ? updateData.meals.map(
           (m) =>
@@ -34,16 +59,33 @@ class UpdateMealPlanUseCase {
       weekStartDate: updateData.weekStartDate ?? existingMealPlan.weekStartDate,
       weekEndDate: updateData.weekEndDate ?? existingMealPlan.weekEndDate,
       meals,
-      status: updateData.status ?? existingMealPlan.status,
+      status,
       createdBy: existingMealPlan.createdBy,
-      inventoryChecked:
-        updateData.inventoryChecked ?? existingMealPlan.inventoryChecked,
+      // Changing meals invalidates the last inventory check and any override.
+      inventoryChecked: updateData.meals
+        ? false
+        : existingMealPlan.inventoryChecked,
+      inventoryOverride: updateData.meals
+        ? null
+        : existingMealPlan.inventoryOverride,
       createdAt: existingMealPlan.createdAt,
       updatedAt: new Date(),
     });
 
     updatedMealPlan.validate();
-    return await this.mealPlanRepository.update(mealPlanId, updatedMealPlan);
+    const savedMealPlan = await this.mealPlanRepository.update(
+      mealPlanId,
+      updatedMealPlan
+    );
+
+    if (releasesReservations) {
+      await this.inventoryService.releaseMealPlanReservations(
+        mealPlanId,
+        'Meal plan edited'
+      );
+    }
+
+    return savedMealPlan;
   }
 }
 
@@ -2,11 +2,22 @@ import express from 'express';
 import createMealPlanRoutes from './presentation/routes/mealPlanRoutes.js';
 import errorHandler from './presentation/middleware/errorHandler.js';
 import container from './config/dependencies.js';
+import { requireSchoolInScope } from '../shared/middleware/school-scope.middleware.js';
 
 const createMealPlanningRouter = () => {
   const router = express.Router();
   const mealPlanController = container.get('mealPlanController');
+  const mealPlanRepository = container.get('mealPlanRepository');
 
+  // School admins only reach meal plans of their assigned schools; unknown
+  // ids (and the /school/:schoolId listing) fall through to the routes
+  router.use(
+    '/meal-plans/:id',
+    requireSchoolInScope(
+      async (req) =>
+        (await mealPlanRepository.findById(req.params.id))?.schoolId
+    )
+  );
   router.use('/meal-plans', createMealPlanRoutes(mealPlanController));
 
   // Module-level error handler must be registered after module routes.
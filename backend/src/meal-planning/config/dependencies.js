@@ -1,4 +1,6 @@
 import MongoMealPlanRepository from '../infrastructure/repositories/MongoMealPlanRepository.js';
+import MongoRecipeRepository from '../../menu-management/infrastructure/repositories/MongoRecipeRepository.js';
+import { inventoryIntegrationService } from '../../inventory/integration.js';
 
 import CreateMealPlanUseCase from '../application/use-cases/meal-plan/CreateMealPlanUseCase.js';
 import GetMealPlanUseCase from '../application/use-cases/meal-plan/GetMealPlanUseCase.js';
@@ -6,6 +8,7 @@ import GetSchoolMealPlansUseCase from '../application/use-cases/meal-plan/GetSch
 import UpdateMealPlanUseCase from '../application/use-cases/meal-plan/UpdateMealPlanUseCase.js';
 import DeleteMealPlanUseCase from '../application/use-cases/meal-plan/DeleteMealPlanUseCase.js';
 import ConfirmMealPlanUseCase from '../application/use-cases/meal-plan/ConfirmMealPlanUseCase.js';
+import CheckMealPlanInventoryUseCase from '../application/use-cases/meal-plan/CheckMealPlanInventoryUseCase.js';
 
 import MealPlanController from '../presentation/controllers/MealPlanController.js';
 
@@ -20,6 +23,8 @@ class DependencyContainer {
 
   _initializeInfrastructure() {
     this.instances.mealPlanRepository = new MongoMealPlanRepository();
+    this.instances.recipeRepository = new MongoRecipeRepository();
+    this.instances.inventoryService = inventoryIntegrationService;
   }
 
   _initializeUseCases() {
@@ -36,15 +41,26 @@ class DependencyContainer {
     );
 
     this.instances.updateMealPlanUseCase = new UpdateMealPlanUseCase(
-      this.instances.mealPlanRepository
+      this.instances.mealPlanRepository,
+      this.instances.inventoryService
     );
 
     this.instances.deleteMealPlanUseCase = new DeleteMealPlanUseCase(
-      this.instances.mealPlanRepository
+      this.instances.mealPlanRepository,
+      this.instances.inventoryService
     );
 
+    this.instances.checkMealPlanInventoryUseCase =
+      new CheckMealPlanInventoryUseCase(
+        this.instances.mealPlanRepository,
+        this.instances.recipeRepository,
+        this.instances.inventoryService
+      );
+
     this.instances.confirmMealPlanUseCase = new ConfirmMealPlanUseCase(
-      this.instances.mealPlanRepository
+      this.instances.mealPlanRepository,
+      this.instances.checkMealPlanInventoryUseCase,
+      this.instances.inventoryService
     );
   }
 
@@ -56,6 +72,8 @@ class DependencyContainer {
       updateMealPlanUseCase: this.instances.updateMealPlanUseCase,
       deleteMealPlanUseCase: this.instances.deleteMealPlanUseCase,
       confirmMealPlanUseCase: this.instances.confirmMealPlanUseCase,
+      checkMealPlanInventoryUseCase:
+        this.instances.checkMealPlanInventoryUseCase,
     });
   }
 
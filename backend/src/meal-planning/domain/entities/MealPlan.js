@@ -1,5 +1,16 @@
 import MealEntry from '../value-objects/MealEntry.js';
 
+// Indexed by Date#getUTCDay()
+const WEEKDAY_NAMES = [
+  'Sunday',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+];
+
 // Represents a weekly meal plan for a specific school
 class MealPlan {
   constructor({
@@ -12,6 +23,7 @@ class MealPlan {
     status,
     createdBy,
     inventoryChecked,
+    inventoryOverride,
     createdAt,
     updatedAt,
   }) {
@@ -26,6 +38,7 @@ class MealPlan {
     this.status = status || 'planned';
     this.createdBy = createdBy;
     this.inventoryChecked = inventoryChecked || false;
+    this.inventoryOverride = inventoryOverride || null;
     this.createdAt = createdAt || new Date();
     this.updatedAt = updatedAt || new Date();
   }
@@ -86,6 +99,21 @@ class MealPlan {
     return this.meals.reduce((total, meal) => total + meal.plannedServings, 0);
   }
 
+  // Returns the UTC date within the plan's week that falls on the given
+  // weekday name (e.g. 'Tuesday'), or null if the week has no such day
+  getDateForDay(day) {
+    const date = new Date(this.weekStartDate);
+    date.setUTCHours(0, 0, 0, 0);
+
+    while (date <= this.weekEndDate) {
+      if (WEEKDAY_NAMES[date.getUTCDay()] === day) {
+        return new Date(date);
+      }
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return null;
+  }
+
   // Checks whether today falls within the plan's week range
   isCurrentWeek() {
     const now = new Date();
@@ -115,6 +143,27 @@ class MealPlan {
     this.inventoryChecked = true;
     this.updatedAt = new Date();
   }
+
+  // Clears the checked flag when stock no longer covers the plan
+  clearInventoryCheck() {
+    this.inventoryChecked = false;
+    this.updatedAt = new Date();
+  }
+
+  // Records who confirmed the plan despite stock shortages, and why
+  recordInventoryOverride({ reason, overriddenBy, shortageCount }) {
+    if (!reason || reason.trim().length === 0) {
+      throw new Error('An override reason is required');
+    }
+    this.inventoryChecked = false;
+    this.inventoryOverride = {
+      reason: reason.trim(),
+      overriddenBy: overriddenBy || null,
+      overriddenAt: new Date(),
+      shortageCount,
+    };
+    this.updatedAt = new Date();
+  }
 }
 
 export default MealPlan;
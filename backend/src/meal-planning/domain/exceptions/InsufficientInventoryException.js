@@ -0,0 +1,11 @@
+// Raised when a meal plan needs more stock than inventory holds
+class InsufficientInventoryException extends Error {
+  constructor(report) {
+    super('Inventory is insufficient for this meal plan');
+    this.name = 'InsufficientInventoryException';
+    this.statusCode = 409;
+    this.report = report;
+  }
+}
+
+export default InsufficientInventoryException;
@@ -20,7 +20,7 @@ class IMealPlanRepository {
     throw new Error('Method update() must be implemented');
   }
 
-  async delete(_id) {
+  async delete(_id, _deletedBy) {
     throw new Error('Method delete() must be implemented');
   }
 
@@ -1,6 +1,7 @@
 import IMealPlanRepository from '../../domain/repositories/IMealPlanRepository.js';
 import MealPlanSchema from '../schemas/MealPlanSchema.js';
 import MealPlanMapper from './mappers/MealPlanMapper.js';
+import { toSoftDeleteUpdate } from '../../../shared/plugins/soft-delete.plugin.js';
 
 // MongoDB implementation of IMealPlanRepository
 class MongoMealPlanRepository extends IMealPlanRepository {
@@ -81,9 +82,14 @@ class MongoMealPlanRepository extends IMealPlanRepository {
     }
   }
 
-  async delete(id) {
+  // Moves the plan to the trash; the trash purge job removes it for good
+  async delete(id, deletedBy) {
     try {
-      const deletedDoc = await MealPlanSchema.findByIdAndDelete(id);
+      const deletedDoc = await MealPlanSchema.findByIdAndUpdate(
+        id,
+        toSoftDeleteUpdate(deletedBy),
+        { new: true }
+      );
       if (!deletedDoc) {
         return null;
       }
@@ -31,6 +31,14 @@ class MealPlanMapper {
       status: mongoDoc.status,
       createdBy: mongoDoc.createdBy,
       inventoryChecked: mongoDoc.inventoryChecked,
+      inventoryOverride: mongoDoc.inventoryOverride?.reason
+        ? {
+            reason: mongoDoc.inventoryOverride.reason,
+            overriddenBy: mongoDoc.inventoryOverride.overriddenBy || null,
+            overriddenAt: mongoDoc.inventoryOverride.overriddenAt,
+            shortageCount: mongoDoc.inventoryOverride.shortageCount,
+          }
+        : null,
       createdAt: mongoDoc.createdAt,
       updatedAt: mongoDoc.updatedAt,
     });
@@ -53,6 +61,7 @@ class MealPlanMapper {
       })),
       status: mealPlan.status,
       inventoryChecked: mealPlan.inventoryChecked,
+      inventoryOverride: mealPlan.inventoryOverride,
       createdBy: mealPlan.createdBy,
     };
 
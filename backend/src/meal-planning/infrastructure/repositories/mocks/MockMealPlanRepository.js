@@ -47,7 +47,7 @@ class MockMealPlanRepository extends IMealPlanRepository {
     return this.mealPlans[index];
   }
 
-  async delete(id) {
+  async delete(id, _deletedBy) {
     const index = this.mealPlans.findIndex((mp) => mp.id === id);
     if (index === -1) {
       return null;
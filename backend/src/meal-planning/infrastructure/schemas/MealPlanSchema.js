@@ -1,6 +1,8 @@
 // meal-planning/infrastructure/schemas/MealPlanSchema.js
 
 import mongoose from 'mongoose';
+import { auditTrailPlugin } from '../../../audit-log/integration.js';
+import { softDeletePlugin } from '../../../shared/plugins/soft-delete.plugin.js';
 
 // MongoDB schema for meal plans
 const mealPlanSchema = new mongoose.Schema(
@@ -94,6 +96,17 @@ const mealPlanSchema = new mongoose.Schema(
       default: false,
     },
 
+    // Set when a plan is confirmed despite an inventory shortfall
+    inventoryOverride: {
+      type: {
+        reason: { type: String, trim: true, maxlength: 500 },
+        overriddenBy: { type: String, trim: true },
+        overriddenAt: { type: Date },
+        shortageCount: { type: Number, min: 0 },
+      },
+      default: null,
+    },
+
     createdBy: {
       type: String,
       required: [true, 'Created by is required'],
@@ -132,4 +145,7 @@ mealPlanSchema.pre('save', function (next) {
   }
 });
 
+mealPlanSchema.plugin(softDeletePlugin);
+mealPlanSchema.plugin(auditTrailPlugin);
+
 export default mongoose.model('MealPlan', mealPlanSchema);
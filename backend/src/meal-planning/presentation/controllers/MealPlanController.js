@@ -10,6 +10,7 @@ class MealPlanController {
     updateMealPlanUseCase,
     deleteMealPlanUseCase,
     confirmMealPlanUseCase,
+    checkMealPlanInventoryUseCase,
   }) {
     this.createMealPlanUseCase = createMealPlanUseCase;
     this.getMealPlanUseCase = getMealPlanUseCase;
@@ -17,12 +18,14 @@ class MealPlanController {
     this.updateMealPlanUseCase = updateMealPlanUseCase;
     this.deleteMealPlanUseCase = deleteMealPlanUseCase;
     this.confirmMealPlanUseCase = confirmMealPlanUseCase;
+    this.checkMealPlanInventoryUseCase = checkMealPlanInventoryUseCase;
   }
 
   /** POST /api/meal-plans */
   async createMealPlan(req, res, next) {
     try {
-      const createdBy = req.body.createdBy;
+      // The signed-in user owns the plan; the body value is only a fallback
+      const createdBy = req.user?._id?.toString() || req.body.createdBy;
 
       if (!createdBy || String(createdBy).trim().length === 0) {
         return res.status(401).json({
@@ -116,7 +119,7 @@ class MealPlanController {
   async deleteMealPlan(req, res, next) {
     try {
       const { id } = req.params;
-      await this.deleteMealPlanUseCase.execute(id);
+      await this.deleteMealPlanUseCase.execute(id, req.user?._id?.toString());
 
       res
         .status(200)
@@ -130,18 +133,61 @@ class MealPlanController {
   async confirmMealPlan(req, res, next) {
     try {
       const { id } = req.params;
-      const mealPlan = await this.confirmMealPlanUseCase.execute(id);
+      const { overrideShortages, overrideReason, overriddenBy } =
+        req.body || {};
+
+      if (
+        overrideShortages !== undefined &&
+        typeof overrideShortages !== 'boolean'
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: 'overrideShortages must be a boolean',
+        });
+      }
+
+      if (
+        overrideReason !== undefined &&
+        (typeof overrideReason !== 'string' || overrideReason.length > 500)
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: 'overrideReason must be a string of at most 500 characters',
+        });
+      }
+
+      const { mealPlan, reservation } =
+        await this.confirmMealPlanUseCase.execute(id, {
+          overrideShortages: overrideShortages === true,
+          overrideReason,
+          overriddenBy:
+            req.user?._id?.toString() ||
+            (overriddenBy ? String(overriddenBy).trim() : undefined),
+        });
       const response = new MealPlanResponse(mealPlan);
 
       res.status(200).json({
         success: true,
         message: 'Meal plan confirmed successfully',
         data: response,
+        reservation,
       });
     } catch (error) {
       next(error);
     }
   }
+
+  /** POST /api/meal-plans/:id/inventory-check */
+  async checkMealPlanInventory(req, res, next) {
+    try {
+      const { id } = req.params;
+      const report = await this.checkMealPlanInventoryUseCase.execute(id);
+
+      res.status(200).json({ success: true, data: report });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 export default MealPlanController;
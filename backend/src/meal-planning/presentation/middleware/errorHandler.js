@@ -1,5 +1,6 @@
 import MealPlanNotFoundException from '../../domain/exceptions/MealPlanNotFoundException.js';
 import InvalidMealPlanException from '../../domain/exceptions/InvalidMealPlanException.js';
+import InsufficientInventoryException from '../../domain/exceptions/InsufficientInventoryException.js';
 
 const errorHandler = (err, req, res, _next) => {
   console.error(err);
@@ -12,6 +13,13 @@ const errorHandler = (err, req, res, _next) => {
     return res.status(400).json({ success: false, error: err.message });
   }
 
+  // The shortfall report lets clients show what is missing and offer an override
+  if (err instanceof InsufficientInventoryException) {
+    return res
+      .status(409)
+      .json({ success: false, error: err.message, data: err.report });
+  }
+
   // Mongoose validation errors
   if (err.name === 'ValidationError') {
     const errors = Object.values(err.errors).map((e) => e.message);
@@ -23,6 +23,11 @@ const createMealPlanRoutes = (mealPlanController) => {
     mealPlanController.deleteMealPlan(req, res, next)
   );
 
+  // Compare a meal plan's ingredient needs with current stock
+  router.post('/:id/inventory-check', (req, res, next) =>
+    mealPlanController.checkMealPlanInventory(req, res, next)
+  );
+
   // Confirm a meal plan by ID
   router.post('/:id/confirm', (req, res, next) =>
     mealPlanController.confirmMealPlan(req, res, next)
@@ -1,3 +1,6 @@
+// Matches a 24-character hex MongoDB ObjectId
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
 // DTO for validating and mapping the create recipe HTTP request body
 class CreateRecipeRequest {
   /**
@@ -58,6 +61,14 @@ class CreateRecipeRequest {
         if (!ing.unit) {
           errors.push(`Ingredient ${index + 1}: unit is required`);
         }
+        if (
+          ing.inventoryItemId &&
+          !OBJECT_ID_PATTERN.test(String(ing.inventoryItemId))
+        ) {
+          errors.push(
+            `Ingredient ${index + 1}: inventoryItemId must be a valid ID`
+          );
+        }
       });
     }
 
@@ -1,3 +1,6 @@
+// Matches a 24-character hex MongoDB ObjectId
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
 // DTO for partial recipe updates; only maps and validates fields explicitly provided
 class UpdateRecipeRequest {
   /**
@@ -75,6 +78,14 @@ class UpdateRecipeRequest {
           if (!ing.unit) {
             errors.push(`Ingredient ${index + 1}: unit is required`);
           }
+          if (
+            ing.inventoryItemId &&
+            !OBJECT_ID_PATTERN.test(String(ing.inventoryItemId))
+          ) {
+            errors.push(
+              `Ingredient ${index + 1}: inventoryItemId must be a valid ID`
+            );
+          }
         });
       }
     }
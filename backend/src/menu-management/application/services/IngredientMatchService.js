@@ -0,0 +1,178 @@
+import InvalidRecipeException from '../../domain/exceptions/InvalidRecipeException.js';
+import UnitConverter from '../../../meal-planning/application/services/UnitConverter.js';
+
+// Suggestions scoring below this are too weak to be worth showing
+const MIN_SUGGESTION_SCORE = 0.3;
+const DEFAULT_SUGGESTION_LIMIT = 5;
+
+function normalizeName(value = '') {
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Crude singular form so "tomatoes" and "tomato" share a token
+function toTokens(value) {
+  return normalizeName(value)
+    .split(' ')
+    .filter(Boolean)
+    .map((token) => token.replace(/(es|s)$/, '') || token);
+}
+
+function diceCoefficient(left, right) {
+  if (left.length === 0 || right.length === 0) {
+    return 0;
+  }
+  const rightCounts = new Map();
+  right.forEach((entry) =>
+    rightCounts.set(entry, (rightCounts.get(entry) || 0) + 1)
+  );
+  let overlap = 0;
+  left.forEach((entry) => {
+    const count = rightCounts.get(entry) || 0;
+    if (count > 0) {
+      overlap += 1;
+      rightCounts.set(entry, count - 1);
+    }
+  });
+  return (2 * overlap) / (left.length + right.length);
+}
+
+function toBigrams(value) {
+  const compact = normalizeName(value).replace(/\s/g, '');
+  const bigrams = [];
+  for (let i = 0; i < compact.length - 1; i += 1) {
+    bigrams.push(compact.slice(i, i + 2));
+  }
+  return bigrams;
+}
+
+// 1 for the same name; otherwise the better of word overlap and character
+// bigram overlap, with a floor for item names that contain every ingredient
+// word ("Rice" → "Basmati Rice 5kg")
+function scoreName(ingredientName, itemName) {
+  if (normalizeName(ingredientName) === normalizeName(itemName)) {
+    return 1;
+  }
+  const ingredientTokens = toTokens(ingredientName);
+  const itemTokens = toTokens(itemName);
+  const tokenScore = diceCoefficient(ingredientTokens, itemTokens);
+  const bigramScore =
+    diceCoefficient(toBigrams(ingredientName), toBigrams(itemName)) * 0.9;
+  const containsAll =
+    ingredientTokens.length > 0 &&
+    ingredientTokens.every((token) => itemTokens.includes(token));
+
+  return Math.max(tokenScore, bigramScore, containsAll ? 0.8 : 0);
+}
+
+// UPC-A and EAN-13 differ only by a leading zero, so compare without them
+function normalizeBarcode(value = '') {
+  return String(value).replace(/\D/g, '').replace(/^0+/, '');
+}
+
+function roundScore(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Links recipe ingredients to inventory items: checks explicit mappings and
+// ranks candidate items for ingredients that are not mapped yet
+class IngredientMatchService {
+  /**
+   * @param {Object} inventoryService - Inventory integration service
+   */
+  constructor(inventoryService) {
+    this.inventoryService = inventoryService;
+  }
+
+  /**
+   * Normalises each ingredient's inventoryItemId to a string or null and
+   * checks the referenced items exist.
+   * @param {Array<Object>} ingredients
+   * @returns {Promise<Array<Object>>}
+   * @throws {InvalidRecipeException} If a mapped inventory item does not exist
+   */
+  async resolveMappings(ingredients = []) {
+    const resolved = ingredients.map((ingredient) => ({
+      ...ingredient,
+      inventoryItemId: ingredient.inventoryItemId
+        ? String(ingredient.inventoryItemId)
+        : null,
+    }));
+
+    const itemIds = [
+      ...new Set(
+        resolved.map((ingredient) => ingredient.inventoryItemId).filter(Boolean)
+      ),
+    ];
+
+    for (const itemId of itemIds) {
+      try {
+        await this.inventoryService.getInventoryItemById(itemId);
+      } catch {
+        const index = resolved.findIndex(
+          (ingredient) => ingredient.inventoryItemId === itemId
+        );
+        throw new InvalidRecipeException(
+          `Ingredient ${index + 1}: inventory item '${itemId}' not found`
+        );
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Ranks inventory items for an ingredient by name and barcode similarity.
+   * @param {Object} query
+   * @param {string} [query.name] - Ingredient name
+   * @param {string} [query.unit] - Recipe unit, used to flag convertible items
+   * @param {string} [query.barcode] - Barcode of the product used in the recipe
+   * @param {number} [query.limit=5]
+   * @returns {Promise<Array<Object>>} Best matches first
+   */
+  async suggestMatches({
+    name = '',
+    unit = '',
+    barcode = '',
+    limit = DEFAULT_SUGGESTION_LIMIT,
+  }) {
+    const items = await this.inventoryService.listInventoryItems();
+    const wantedBarcode = normalizeBarcode(barcode);
+
+    return items
+      .map((item) => {
+        const nameScore = name ? scoreName(name, item.name) : 0;
+        const barcodeScore =
+          wantedBarcode && normalizeBarcode(item.barcode) === wantedBarcode
+            ? 1
+            : 0;
+
+        return {
+          inventoryItemId: item._id?.toString?.() || item.id,
+          name: item.name,
+          barcode: item.barcode || '',
+          unit: item.unit,
+          packageWeight: item.packageWeight || 0,
+          packageWeightUnit: item.packageWeightUnit || '',
+          score: roundScore(Math.max(nameScore, barcodeScore)),
+          matchedOn: barcodeScore >= nameScore ? 'barcode' : 'name',
+          // Whether recipe quantities can be converted into the item's unit
+          unitCompatible: unit
+            ? UnitConverter.convertToItemUnit(1, unit, item) !== null
+            : null,
+        };
+      })
+      .filter((match) => match.score >= MIN_SUGGESTION_SCORE)
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          Number(b.unitCompatible === true) - Number(a.unitCompatible === true)
+      )
+      .slice(0, limit);
+  }
+}
+
+export default IngredientMatchService;
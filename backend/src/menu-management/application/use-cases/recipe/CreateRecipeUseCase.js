@@ -5,22 +5,29 @@ import DietaryFlags from '../../../domain/value-objects/DietaryFlags.js';
 class CreateRecipeUseCase {
   /**
    * @param {IRecipeRepository} recipeRepository
+   * @param {IngredientMatchService} ingredientMatchService
    */
-  constructor(recipeRepository) {
+  constructor(recipeRepository, ingredientMatchService) {
     this.recipeRepository = recipeRepository;
+    this.ingredientMatchService = ingredientMatchService;
   }
 
   /**
    * @param {Object} recipeData
    * @returns {Promise<Recipe>}
+   * @throws {InvalidRecipeException} If a mapped inventory item does not exist
    * @throws {Error} If validation or repository save fails
    */
   async execute(recipeData) {
+    const ingredients = await this.ingredientMatchService.resolveMappings(
+      recipeData.ingredients
+    );
+
     const recipe = new Recipe({
       name: recipeData.name,
       description: recipeData.description,
       imageUrl: recipeData.imageUrl,
-      ingredients: recipeData.ingredients,
+      ingredients,
       instructions: recipeData.instructions,
       nutritionalInfo: recipeData.nutritionalInfo || null,
       dietaryFlags: new DietaryFlags(recipeData.dietaryFlags || {}),
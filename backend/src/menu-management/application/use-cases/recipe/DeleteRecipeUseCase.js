@@ -1,6 +1,6 @@
 import RecipeNotFoundException from '../../../domain/exceptions/RecipeNotFoundException.js';
 
-// Soft deletes a recipe by ID; throws RecipeNotFoundException if not found
+// Moves a recipe to the trash by ID; throws RecipeNotFoundException if not found
 class DeleteRecipeUseCase {
   /**
    * @param {IRecipeRepository} recipeRepository
@@ -11,11 +11,12 @@ class DeleteRecipeUseCase {
 
   /**
    * @param {string} recipeId
+   * @param {string} [deletedBy] - User id of the actor
    * @returns {Promise<Recipe>}
    * @throws {RecipeNotFoundException}
    */
-  async execute(recipeId) {
-    const recipe = await this.recipeRepository.delete(recipeId);
+  async execute(recipeId, deletedBy) {
+    const recipe = await this.recipeRepository.delete(recipeId, deletedBy);
 
     if (!recipe) {
       throw new RecipeNotFoundException(recipeId);
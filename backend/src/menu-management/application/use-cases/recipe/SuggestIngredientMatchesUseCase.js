@@ -0,0 +1,51 @@
+import InvalidRecipeException from '../../../domain/exceptions/InvalidRecipeException.js';
+
+const MAX_SUGGESTION_LIMIT = 20;
+
+// Ranks inventory items that could back an unmapped recipe ingredient
+class SuggestIngredientMatchesUseCase {
+  /**
+   * @param {IngredientMatchService} ingredientMatchService
+   */
+  constructor(ingredientMatchService) {
+    this.ingredientMatchService = ingredientMatchService;
+  }
+
+  /**
+   * @param {Object} query
+   * @param {string} [query.name]
+   * @param {string} [query.unit]
+   * @param {string} [query.barcode]
+   * @param {number} [query.limit]
+   * @returns {Promise<Array<Object>>}
+   * @throws {InvalidRecipeException} If neither name nor barcode is given, or limit is out of range
+   */
+  async execute({ name, unit, barcode, limit }) {
+    const trimmedName = (name || '').trim();
+    const trimmedBarcode = (barcode || '').trim();
+
+    if (!trimmedName && !trimmedBarcode) {
+      throw new InvalidRecipeException(
+        'Ingredient name or barcode is required'
+      );
+    }
+
+    if (
+      limit !== undefined &&
+      (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUGGESTION_LIMIT)
+    ) {
+      throw new InvalidRecipeException(
+        `Limit must be between 1 and ${MAX_SUGGESTION_LIMIT}`
+      );
+    }
+
+    return await this.ingredientMatchService.suggestMatches({
+      name: trimmedName,
+      unit: (unit || '').trim(),
+      barcode: trimmedBarcode,
+      limit,
+    });
+  }
+}
+
+export default SuggestIngredientMatchesUseCase;
@@ -6,9 +6,11 @@ import RecipeNotFoundException from '../../../domain/exceptions/RecipeNotFoundEx
 class UpdateRecipeUseCase {
   /**
    * @param {IRecipeRepository} recipeRepository
+   * @param {IngredientMatchService} ingredientMatchService
    */
-  constructor(recipeRepository) {
+  constructor(recipeRepository, ingredientMatchService) {
     this.recipeRepository = recipeRepository;
+    this.ingredientMatchService = ingredientMatchService;
   }
 
   /**
@@ -16,6 +18,7 @@ class UpdateRecipeUseCase {
    * @param {Object} updateData
    * @returns {Promise<Recipe>}
    * @throws {RecipeNotFoundException}
+   * @throws {InvalidRecipeException} If a mapped inventory item does not exist
    * @throws {Error} If validation or repository update fails
    */
   async execute(recipeId, updateData) {
@@ -25,12 +28,18 @@ class UpdateRecipeUseCase {
       throw new RecipeNotFoundException(recipeId);
     }
 
+    const ingredients = updateData.ingredients
+      ? await this.ingredientMatchService.resolveMappings(
+          updateData.ingredients
+        )
+      : existingRecipe.ingredients;
+
     const updatedRecipe = new Recipe({
       id: recipeId,
       name: updateData.name ?? existingRecipe.name,
       description: updateData.description ?? existingRecipe.description,
       imageUrl: updateData.imageUrl ?? existingRecipe.imageUrl,
-      ingredients: updateData.ingredients ?? existingRecipe.ingredients,
+      ingredients,
       instructions: updateData.instructions ?? existingRecipe.instructions,
       dietaryFlags: updateData.dietaryFlags
         ? new DietaryFlags(updateData.dietaryFlags)
@@ -1,12 +1,15 @@
 import MongoRecipeRepository from '../infrastructure/repositories/MongoRecipeRepository.js';
 import USDANutritionService from '../infrastructure/services/USDANutritionService.js';
+import { inventoryIntegrationService } from '../../inventory/integration.js';
 import NutritionService from '../application/services/NutritionService.js';
+import IngredientMatchService from '../application/services/IngredientMatchService.js';
 import CreateRecipeUseCase from '../application/use-cases/recipe/CreateRecipeUseCase.js';
 import GetRecipeUseCase from '../application/use-cases/recipe/GetRecipeUseCase.js';
 import GetAllRecipesUseCase from '../application/use-cases/recipe/GetAllRecipesUseCase.js';
 import UpdateRecipeUseCase from '../application/use-cases/recipe/UpdateRecipeUseCase.js';
 import DeleteRecipeUseCase from '../application/use-cases/recipe/DeleteRecipeUseCase.js';
 import SearchRecipeUseCase from '../application/use-cases/recipe/SearchRecipeUseCase.js';
+import SuggestIngredientMatchesUseCase from '../application/use-cases/recipe/SuggestIngredientMatchesUseCase.js';
 import CalculateNutritionUseCase from '../application/use-cases/nutrition/CalculateNutritionUseCase.js';
 import RecipeController from '../presentation/controllers/RecipeController.js';
 import NutritionController from '../presentation/controllers/NutritionController.js';
@@ -24,18 +27,22 @@ class DependencyContainer {
   _initializeInfrastructure() {
     this.instances.recipeRepository = new MongoRecipeRepository();
     this.instances.usdaNutritionService = new USDANutritionService();
+    this.instances.inventoryService = inventoryIntegrationService;
   }
 
   _initializeServices() {
     this.instances.nutritionService = new NutritionService(
       this.instances.usdaNutritionService
     );
+    this.instances.ingredientMatchService = new IngredientMatchService(
+      this.instances.inventoryService
+    );
   }
 
   _initializeUseCases() {
     this.instances.createRecipeUseCase = new CreateRecipeUseCase(
       this.instances.recipeRepository,
-      this.instances.nutritionService
+      this.instances.ingredientMatchService
     );
     this.instances.getRecipeUseCase = new GetRecipeUseCase(
       this.instances.recipeRepository
@@ -45,7 +52,7 @@ class DependencyContainer {
     );
     this.instances.updateRecipeUseCase = new UpdateRecipeUseCase(
       this.instances.recipeRepository,
-      this.instances.nutritionService
+      this.instances.ingredientMatchService
     );
     this.instances.deleteRecipeUseCase = new DeleteRecipeUseCase(
       this.instances.recipeRepository
@@ -53,6 +60,10 @@ class DependencyContainer {
     this.instances.searchRecipeUseCase = new SearchRecipeUseCase(
       this.instances.recipeRepository
     );
+    this.instances.suggestIngredientMatchesUseCase =
+      new SuggestIngredientMatchesUseCase(
+        this.instances.ingredientMatchService
+      );
     this.instances.calculateNutritionUseCase = new CalculateNutritionUseCase(
       this.instances.nutritionService
     );
@@ -66,6 +77,8 @@ class DependencyContainer {
       updateRecipeUseCase: this.instances.updateRecipeUseCase,
       deleteRecipeUseCase: this.instances.deleteRecipeUseCase,
       searchRecipeUseCase: this.instances.searchRecipeUseCase,
+      suggestIngredientMatchesUseCase:
+        this.instances.suggestIngredientMatchesUseCase,
     });
     this.instances.nutritionController = new NutritionController({
       calculateNutritionUseCase: this.instances.calculateNutritionUseCase,
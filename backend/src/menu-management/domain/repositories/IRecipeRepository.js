@@ -10,9 +10,10 @@ class IRecipeRepository {
 
   /**
    * @param {string} _id
+   * @param {Object} [_options]
    * @returns {Promise<Recipe|null>}
    */
-  async findById(_id) {
+  async findById(_id, _options) {
     throw new Error('IRecipeRepository.findById() must be implemented');
   }
 
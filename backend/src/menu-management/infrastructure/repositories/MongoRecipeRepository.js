@@ -1,6 +1,7 @@
 import IRecipeRepository from '../../domain/repositories/IRecipeRepository.js';
 import RecipeSchema from '../schemas/RecipeSchema.js';
 import RecipeMapper from './mappers/RecipeMapper.js';
+import { toSoftDeleteUpdate } from '../../../shared/plugins/soft-delete.plugin.js';
 
 // Concrete MongoDB implementation of IRecipeRepository; uses soft deletes
 class MongoRecipeRepository extends IRecipeRepository {
@@ -26,13 +27,17 @@ class MongoRecipeRepository extends IRecipeRepository {
     }
   }
 
+  // Recipes in the trash are hidden unless withDeleted is set (meal plans
+  // that still reference them)
   /**
    * @param {string} id
+   * @param {Object} [options={}]
+   * @param {boolean} [options.withDeleted=false]
    * @returns {Promise<Recipe|null>}
    */
-  async findById(id) {
+  async findById(id, { withDeleted = false } = {}) {
     try {
-      const doc = await RecipeSchema.findById(id);
+      const doc = await RecipeSchema.findById(id).setOptions({ withDeleted });
       return RecipeMapper.toDomain(doc);
     } catch (error) {
       // CastError means invalid ObjectId format; treat as not found
@@ -123,16 +128,17 @@ class MongoRecipeRepository extends IRecipeRepository {
     }
   }
 
-  // Soft deletes by setting isActive to false
+  // Soft deletes by setting isActive to false and moving it to the trash
   /**
    * @param {string} id
+   * @param {string} [deletedBy]
    * @returns {Promise<Recipe|null>}
    */
-  async delete(id) {
+  async delete(id, deletedBy) {
     try {
       const deletedDoc = await RecipeSchema.findByIdAndUpdate(
         id,
-        { isActive: false },
+        { isActive: false, ...toSoftDeleteUpdate(deletedBy) },
         { new: true }
       );
 
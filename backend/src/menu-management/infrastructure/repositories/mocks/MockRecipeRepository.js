@@ -20,10 +20,14 @@ class MockRecipeRepository extends IRecipeRepository {
 
   /**
    * @param {string} id
+   * @param {Object} [options={}]
    * @returns {Promise<Object|null>}
    */
-  async findById(id) {
-    return this.recipes.find((r) => r.id === id) || null;
+  async findById(id, { withDeleted = false } = {}) {
+    return (
+      this.recipes.find((r) => r.id === id && (withDeleted || !r.deletedAt)) ||
+      null
+    );
   }
 
   /**
@@ -69,13 +73,16 @@ class MockRecipeRepository extends IRecipeRepository {
   // Soft deletes by setting isActive to false
   /**
    * @param {string} id
+   * @param {string} [deletedBy]
    * @returns {Promise<Object|null>}
    */
-  async delete(id) {
-    const index = this.recipes.findIndex((r) => r.id === id);
+  async delete(id, deletedBy) {
+    const index = this.recipes.findIndex((r) => r.id === id && !r.deletedAt);
     if (index === -1) {return null;}
 
     this.recipes[index].isActive = false;
+    this.recipes[index].deletedAt = new Date();
+    this.recipes[index].deletedBy = deletedBy ?? null;
     return this.recipes[index];
   }
 
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { auditTrailPlugin } from '../../../audit-log/integration.js';
+import { softDeletePlugin } from '../../../shared/plugins/soft-delete.plugin.js';
 
 const recipeSchema = new mongoose.Schema(
   {
@@ -65,6 +67,13 @@ const recipeSchema = new mongoose.Schema(
           type: Boolean,
           default: true,
         },
+        // Optional link to the stock item this ingredient draws on; unmapped
+        // ingredients fall back to name matching in inventory checks
+        inventoryItemId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'InventoryItem',
+          default: null,
+        },
       },
     ],
 
@@ -180,4 +189,7 @@ recipeSchema.pre('save', function (next) {
   next();
 });
 
+recipeSchema.plugin(softDeletePlugin);
+recipeSchema.plugin(auditTrailPlugin);
+
 export default mongoose.model('Recipe', recipeSchema);
@@ -12,6 +12,7 @@ class RecipeController {
    * @param {UpdateRecipeUseCase} dependencies.updateRecipeUseCase
    * @param {DeleteRecipeUseCase} dependencies.deleteRecipeUseCase
    * @param {SearchRecipeUseCase} dependencies.searchRecipeUseCase
+   * @param {SuggestIngredientMatchesUseCase} dependencies.suggestIngredientMatchesUseCase
    */
   constructor({
     createRecipeUseCase,
@@ -20,6 +21,7 @@ class RecipeController {
     updateRecipeUseCase,
     deleteRecipeUseCase,
     searchRecipeUseCase,
+    suggestIngredientMatchesUseCase,
   }) {
     this.createRecipeUseCase = createRecipeUseCase;
     this.getRecipeUseCase = getRecipeUseCase;
@@ -27,12 +29,17 @@ class RecipeController {
     this.updateRecipeUseCase = updateRecipeUseCase;
     this.deleteRecipeUseCase = deleteRecipeUseCase;
     this.searchRecipeUseCase = searchRecipeUseCase;
+    this.suggestIngredientMatchesUseCase = suggestIngredientMatchesUseCase;
   }
 
   // POST /api/recipes
   async createRecipe(req, res, next) {
     try {
-      const recipeRequest = new CreateRecipeRequest(req.body);
+      // The signed-in user is the author; the body value is only a fallback
+      const recipeRequest = new CreateRecipeRequest({
+        ...req.body,
+        createdBy: req.user?._id?.toString() || req.body.createdBy,
+      });
       const validationErrors = recipeRequest.validate();
 
       if (validationErrors.length > 0) {
@@ -148,7 +155,7 @@ class RecipeController {
   async deleteRecipe(req, res, next) {
     try {
       const { id } = req.params;
-      await this.deleteRecipeUseCase.execute(id);
+      await this.deleteRecipeUseCase.execute(id, req.user?._id?.toString());
 
       res.status(200).json({
         success: true,
@@ -181,6 +188,28 @@ class RecipeController {
     }
   }
 
+  // GET /api/recipes/ingredients/suggest-matches?name&unit&barcode&limit
+  async suggestIngredientMatches(req, res, next) {
+    try {
+      const { name, unit, barcode } = req.query;
+      const limit =
+        req.query.limit !== undefined ? Number(req.query.limit) : undefined;
+
+      const matches = await this.suggestIngredientMatchesUseCase.execute({
+        name,
+        unit,
+        barcode,
+        limit,
+      });
+
+      res
+        .status(200)
+        .json({ success: true, data: matches, count: matches.length });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // GET /api/recipes/search/dietary?vegetarian&vegan&halal&glutenFree&dairyFree&nutFree
   async searchByDietaryFlags(req, res, next) {
     try {
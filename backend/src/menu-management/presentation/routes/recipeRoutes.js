@@ -17,6 +17,9 @@ const createRecipeRoutes = (recipeController) => {
   router.get('/search/dietary', (req, res, next) =>
     recipeController.searchByDietaryFlags(req, res, next)
   );
+  router.get('/ingredients/suggest-matches', (req, res, next) =>
+    recipeController.suggestIngredientMatches(req, res, next)
+  );
 
   router.get('/:id', (req, res, next) =>
     recipeController.getRecipe(req, res, next)
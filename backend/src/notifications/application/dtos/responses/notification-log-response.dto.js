@@ -0,0 +1,36 @@
+/**
+ * @param {Object} doc - Notification log entry
+ * @param {Object} [digest] - Digest entry a DIGESTED message went out in
+ */
+export function toNotificationLogResponse(doc, digest) {
+  return {
+    id: doc._id?.toString(),
+    template: doc.template,
+    channel: doc.channel,
+    recipient: doc.recipient ?? null,
+    studentId: doc.studentId ?? null,
+    schoolId: doc.schoolId ?? null,
+    mealSessionId: doc.mealSessionId?.toString() ?? null,
+    noShowAlertId: doc.noShowAlertId?.toString() ?? null,
+    status: doc.status,
+    skipReason: doc.skipReason ?? null,
+    language: doc.language ?? null,
+    provider: doc.provider ?? null,
+    providerMessageId: doc.providerMessageId ?? null,
+    errorMessage: doc.errorMessage ?? null,
+    sentAt: doc.sentAt ?? null,
+    attempts: doc.attempts ?? 0,
+    lastAttemptAt: doc.lastAttemptAt ?? null,
+    nextAttemptAt: doc.nextAttemptAt ?? null,
+    digestLogId: doc.digestLogId?.toString() ?? null,
+    digest: digest
+      ? {
+          id: digest._id?.toString(),
+          status: digest.status,
+          sentAt: digest.sentAt ?? null,
+          errorMessage: digest.errorMessage ?? null,
+        }
+      : null,
+    createdAt: doc.createdAt ?? null,
+  };
+}
@@ -0,0 +1,13 @@
+export function toNotificationTemplateResponse(doc) {
+  return {
+    id: doc._id?.toString(),
+    template: doc.template,
+    language: doc.language,
+    channel: doc.channel,
+    subject: doc.subject ?? null,
+    text: doc.text,
+    itemLine: doc.itemLine ?? null,
+    createdAt: doc.createdAt ?? null,
+    updatedAt: doc.updatedAt ?? null,
+  };
+}
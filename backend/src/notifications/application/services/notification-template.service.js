@@ -0,0 +1,345 @@
+// Guardian message text per template, language and channel. Stored variants
+// replace the built-in English text; a language without a variant falls back
+// to the stored English variant and then to the built-in text.
+import { toNotificationTemplateResponse } from '../dtos/responses/notification-template-response.dto.js';
+import {
+  DEFAULT_NOTIFICATION_LANGUAGE,
+  NOTIFICATION_LANGUAGES,
+  SAMPLE_DIGEST_ITEMS,
+  SAMPLE_TEMPLATE_DATA,
+  guardianTemplates,
+} from '../templates/guardian.templates.js';
+import {
+  findUnknownPlaceholders,
+  renderTemplateMessage,
+} from '../templates/render-template.js';
+import { NOTIFICATION_CHANNELS } from '../../infrastructure/schemas/notification-log.schema.js';
+
+const LANGUAGES = Object.values(NOTIFICATION_LANGUAGES);
+const isDuplicateKeyError = (err) => err?.code === 11000;
+const invalid = (message) => ({ error: 'INVALID_TEMPLATE', message });
+
+export class NotificationTemplateService {
+  /**
+   * @param {{ notificationTemplateRepository: Object, templates?: Object,
+   *   findPreviewStudent?: (studentId: string) => Promise<Object | null> }} deps
+   */
+  constructor({
+    notificationTemplateRepository,
+    templates = guardianTemplates,
+    findPreviewStudent = async () => null,
+  }) {
+    this.notificationTemplateRepository = notificationTemplateRepository;
+    this.templates = templates;
+    this.findPreviewStudent = findPreviewStudent;
+  }
+
+  /** Language to render in for a guardian; unknown or unset means English. */
+  resolveLanguage(language) {
+    return LANGUAGES.includes(language)
+      ? language
+      : DEFAULT_NOTIFICATION_LANGUAGE;
+  }
+
+  /**
+   * Renders a template for one channel. `draft` ({ subject?, text,
+   * itemLine? }) is rendered instead of the stored text, for previews.
+   * `items` are the collected messages of a digest.
+   * @returns {Promise<{ language: string, source: 'draft' | 'custom' | 'default',
+   *   subject?: string, text: string }>}
+   */
+  async render({
+    template: templateName,
+    channel,
+    language,
+    data,
+    draft,
+    items,
+  }) {
+    const builtIn = this.templates[templateName][channel];
+    const wanted = this.resolveLanguage(language);
+
+    const variant =
+      draft ??
+      (await this.notificationTemplateRepository.findVariant(
+        templateName,
+        channel,
+        [...new Set([wanted, DEFAULT_NOTIFICATION_LANGUAGE])]
+      ));
+
+    let source = 'default';
+    if (draft) {
+      source = 'draft';
+    } else if (variant) {
+      source = 'custom';
+    }
+    return {
+      language: draft
+        ? wanted
+        : (variant?.language ?? DEFAULT_NOTIFICATION_LANGUAGE),
+      source,
+      ...renderTemplateMessage(builtIn, variant, data, items),
+    };
+  }
+
+  /** Checks a template, language and channel. Returns an error message or null. */
+  validateTarget({ template, language, channel }) {
+    const definition = this.templates[template];
+    if (!definition) {
+      return `template must be one of: ${Object.keys(this.templates).join(', ')}`;
+    }
+    if (!LANGUAGES.includes(language)) {
+      return `language must be one of: ${LANGUAGES.join(', ')}`;
+    }
+    if (!definition[channel]) {
+      return `channel must be one of: ${Object.values(NOTIFICATION_CHANNELS)
+        .filter((c) => definition[c])
+        .join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Checks text, and the item line of digest templates, against the
+   * template's placeholders. Returns an error message or null.
+   */
+  validateText({ template, channel, subject, text, itemLine }) {
+    if (typeof text !== 'string' || !text.trim()) {
+      return 'text is required';
+    }
+    if (channel === NOTIFICATION_CHANNELS.EMAIL) {
+      if (typeof subject !== 'string' || !subject.trim()) {
+        return 'subject is required for email templates';
+      }
+    } else if (subject !== undefined && subject !== null) {
+      return 'subject is only used by email templates';
+    }
+
+    const { placeholders, itemPlaceholders } = this.templates[template];
+    const unknown = findUnknownPlaceholders(
+      `${subject ?? ''} ${text}`,
+      placeholders
+    );
+    if (unknown.length > 0) {
+      return `Unknown placeholder(s): ${unknown.join(', ')}. ${template} supports: ${placeholders.join(', ')}`;
+    }
+
+    if (!itemPlaceholders) {
+      return itemLine !== undefined && itemLine !== null
+        ? 'itemLine is only used by digest templates'
+        : null;
+    }
+    if (typeof itemLine !== 'string' || !itemLine.trim()) {
+      return `itemLine is required for ${template}`;
+    }
+    const unknownInLine = findUnknownPlaceholders(itemLine, itemPlaceholders);
+    if (unknownInLine.length > 0) {
+      return `Unknown placeholder(s) in itemLine: ${unknownInLine.join(', ')}. ${template} items support: ${itemPlaceholders.join(', ')}`;
+    }
+    return null;
+  }
+
+  validateVariant(variant) {
+    return this.validateTarget(variant) ?? this.validateText(variant);
+  }
+
+  /** Built-in templates with their placeholders and English text. */
+  listDefaults() {
+    return Object.entries(this.templates).map(([name, definition]) => ({
+      template: name,
+      language: DEFAULT_NOTIFICATION_LANGUAGE,
+      defaultChannels: definition.defaultChannels,
+      placeholders: definition.placeholders,
+      ...(definition.itemPlaceholders
+        ? { itemPlaceholders: definition.itemPlaceholders }
+        : {}),
+      channels: Object.fromEntries(
+        Object.values(NOTIFICATION_CHANNELS)
+          .filter((channel) => definition[channel])
+          .map((channel) => [channel, definition[channel]])
+      ),
+    }));
+  }
+
+  /**
+   * @param {{ template?: string, language?: string, channel?: string }} filters
+   */
+  async listTemplates({ template, language, channel } = {}) {
+    const filter = Object.fromEntries(
+      Object.entries({ template, language, channel }).filter(([, v]) => v)
+    );
+
+    const docs = await this.notificationTemplateRepository.findMany(filter);
+    return docs.map(toNotificationTemplateResponse);
+  }
+
+  async getTemplate(id) {
+    const doc = await this.notificationTemplateRepository
+      .findById(id)
+      .catch(() => null);
+    if (!doc) {
+      return { error: 'TEMPLATE_NOT_FOUND' };
+    }
+    return { template: toNotificationTemplateResponse(doc) };
+  }
+
+  /**
+   * @param {{ template: string, language: string, channel: string,
+   *   subject?: string, text: string, itemLine?: string }} body
+   */
+  async createTemplate(body = {}) {
+    const { template, language, channel, subject, text, itemLine } = body;
+    const message = this.validateVariant(body);
+    if (message) {
+      return invalid(message);
+    }
+
+    try {
+      const doc = await this.notificationTemplateRepository.create({
+        template,
+        language,
+        channel,
+        subject: subject ?? undefined,
+        text,
+        itemLine: itemLine ?? undefined,
+      });
+      return { template: toNotificationTemplateResponse(doc) };
+    } catch (err) {
+      if (isDuplicateKeyError(err)) {
+        return { error: 'TEMPLATE_EXISTS' };
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Replaces the subject, text and item line of a stored variant. Its
+   * template, language and channel cannot change.
+   * @param {{ subject?: string, text: string, itemLine?: string }} body
+   */
+  async updateTemplate(id, body = {}) {
+    const existing = await this.notificationTemplateRepository
+      .findById(id)
+      .catch(() => null);
+    if (!existing) {
+      return { error: 'TEMPLATE_NOT_FOUND' };
+    }
+
+    const { subject, text, itemLine } = body;
+    const message = this.validateText({
+      template: existing.template,
+      channel: existing.channel,
+      subject,
+      text,
+      itemLine,
+    });
+    if (message) {
+      return invalid(message);
+    }
+
+    const doc = await this.notificationTemplateRepository.updateById(id, {
+      subject: subject ?? undefined,
+      text,
+      itemLine: itemLine ?? undefined,
+    });
+    return { template: toNotificationTemplateResponse(doc) };
+  }
+
+  /** Deletes a stored variant; that language falls back again. */
+  async deleteTemplate(id) {
+    const doc = await this.notificationTemplateRepository
+      .deleteById(id)
+      .catch(() => null);
+    if (!doc) {
+      return { error: 'TEMPLATE_NOT_FOUND' };
+    }
+    return { template: toNotificationTemplateResponse(doc) };
+  }
+
+  /**
+   * Renders a template against a student, or sample values without one.
+   * Pass `text` (and `subject` for email, `itemLine` for digests) to
+   * preview unsaved text. Digests list sample collected messages.
+   * @param {{ template: string, channel: string, language?: string,
+   *   studentId?: string, subject?: string, text?: string,
+   *   itemLine?: string }} params
+   */
+  async preview({
+    template,
+    channel,
+    language,
+    studentId,
+    subject,
+    text,
+    itemLine,
+  }) {
+    const draft = text !== undefined ? { subject, text, itemLine } : undefined;
+    const message =
+      this.validateTarget({
+        template,
+        language: language ?? DEFAULT_NOTIFICATION_LANGUAGE,
+        channel,
+      }) ?? (draft ? this.validateText({ template, channel, ...draft }) : null);
+    if (message) {
+      return invalid(message);
+    }
+
+    let student = null;
+    if (studentId) {
+      student = await this.findPreviewStudent(studentId);
+      if (!student) {
+        return { error: 'STUDENT_NOT_FOUND' };
+      }
+    }
+
+    const { placeholders, itemPlaceholders } = this.templates[template];
+    const data = { ...SAMPLE_TEMPLATE_DATA, ...studentTemplateData(student) };
+    const items = itemPlaceholders
+      ? SAMPLE_DIGEST_ITEMS.map((item) => ({
+          ...item,
+          ...studentTemplateData(student),
+        }))
+      : undefined;
+    const rendered = await this.render({
+      template,
+      channel,
+      language: language ?? student?.guardian?.preferredLanguage,
+      data,
+      draft,
+      items,
+    });
+    return {
+      preview: {
+        template,
+        channel,
+        studentId: student?.studentId ?? null,
+        ...rendered,
+        data: Object.fromEntries(
+          placeholders.map((name) => [name, data[name]])
+        ),
+        // Values of each sample message rendered into {{items}}
+        ...(items ? { items } : {}),
+      },
+    };
+  }
+}
+
+// Placeholder values a student record can fill
+function studentTemplateData(student) {
+  if (!student) {
+    return {};
+  }
+  const data = {
+    studentName: [student.firstName, student.lastName]
+      .filter(Boolean)
+      .join(' '),
+  };
+  if (student.school?.schoolName) {
+    data.schoolName = student.school.schoolName;
+  }
+  if (Array.isArray(student.dietaryTags)) {
+    data.dietaryTags =
+      student.dietaryTags.length > 0 ? student.dietaryTags.join(', ') : 'none';
+  }
+  return data;
+}
@@ -0,0 +1,635 @@
+// Sends guardian notifications through pluggable channel adapters and keeps
+// one log of every attempt. Which channels a message uses comes from the
+// guardian's preferences, falling back to the template's defaults;
+// `guardian.smsOptOut` always wins over both. Messages are rendered in
+// `guardian.preferredLanguage` when a variant exists. Failed sends are
+// retried with exponential backoff and end in DEAD_LETTER once the attempts
+// run out.
+import { toNotificationLogResponse } from '../dtos/responses/notification-log-response.dto.js';
+import {
+  DEFAULT_NOTIFICATION_LANGUAGE,
+  guardianTemplates,
+} from '../templates/guardian.templates.js';
+import { renderTemplateMessage } from '../templates/render-template.js';
+import {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_STATUSES,
+} from '../../infrastructure/schemas/notification-log.schema.js';
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+export const DEFAULT_MAX_ATTEMPTS = 5;
+export const DEFAULT_RETRY_BASE_MINUTES = 5;
+// Due retries handled per run of the retry job
+const RETRY_BATCH_SIZE = 100;
+
+const MINUTE_MS = 60 * 1000;
+const RESENDABLE_STATUSES = [
+  NOTIFICATION_STATUSES.FAILED,
+  NOTIFICATION_STATUSES.DEAD_LETTER,
+];
+
+const CONTACT_FIELDS = {
+  [NOTIFICATION_CHANNELS.EMAIL]: { field: 'email', missing: 'MISSING_EMAIL' },
+  [NOTIFICATION_CHANNELS.SMS]: { field: 'phone', missing: 'MISSING_PHONE' },
+};
+
+const isDuplicateKeyError = (err) => err?.code === 11000;
+
+/**
+ * Overall outcome of a notification across its channels: SENT if any
+ * channel delivered, otherwise QUEUED if any channel waits for a digest,
+ * FAILED if any channel failed, else SKIPPED.
+ */
+function summarize(deliveries) {
+  const sent = deliveries.find((d) => d.status === NOTIFICATION_STATUSES.SENT);
+  if (sent) {
+    return { status: NOTIFICATION_STATUSES.SENT, sentAt: sent.sentAt };
+  }
+  if (deliveries.some((d) => d.status === NOTIFICATION_STATUSES.QUEUED)) {
+    return { status: NOTIFICATION_STATUSES.QUEUED };
+  }
+  const failed = deliveries.find((d) => RESENDABLE_STATUSES.includes(d.status));
+  if (failed) {
+    return {
+      status: NOTIFICATION_STATUSES.FAILED,
+      errorMessage: failed.errorMessage,
+    };
+  }
+  return {
+    status: NOTIFICATION_STATUSES.SKIPPED,
+    skipReason: deliveries[0]?.skipReason ?? 'NO_CHANNEL',
+  };
+}
+
+export class NotificationService {
+  /**
+   * @param {{ notificationLogRepository: Object,
+   *   channels: Object<string, { provider: string, send: Function }>,
+   *   templates?: Object, templateRenderer?: { render: Function },
+   *   maxAttempts?: number, retryBaseMinutes?: number }} deps
+   */
+  constructor({
+    notificationLogRepository,
+    channels,
+    templates = guardianTemplates,
+    templateRenderer = null,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    retryBaseMinutes = DEFAULT_RETRY_BASE_MINUTES,
+  }) {
+    this.notificationLogRepository = notificationLogRepository;
+    this.channels = channels;
+    this.templates = templates;
+    // Without a renderer (NotificationTemplateService) the built-in English
+    // text is always used
+    this.templateRenderer = templateRenderer;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseMinutes = retryBaseMinutes;
+  }
+
+  /**
+   * Fields for a failed attempt: FAILED with the next retry time, or
+   * DEAD_LETTER when this was the last allowed attempt. The delay doubles
+   * with every attempt.
+   */
+  failedAttempt(attempts, now, errorMessage) {
+    if (attempts >= this.maxAttempts) {
+      return {
+        status: NOTIFICATION_STATUSES.DEAD_LETTER,
+        attempts,
+        lastAttemptAt: now,
+        nextAttemptAt: null,
+        errorMessage,
+      };
+    }
+    const delayMinutes = this.retryBaseMinutes * 2 ** (attempts - 1);
+    return {
+      status: NOTIFICATION_STATUSES.FAILED,
+      attempts,
+      lastAttemptAt: now,
+      nextAttemptAt: new Date(now.getTime() + delayMinutes * MINUTE_MS),
+      errorMessage,
+    };
+  }
+
+  /** Calls the channel adapter; adapter errors become a failed result. */
+  async send(adapter, to, message) {
+    try {
+      return await adapter.send({ to, ...message });
+    } catch (err) {
+      return { ok: false, code: 'PROVIDER_ERROR', message: err.message };
+    }
+  }
+
+  /** @returns {Promise<{ language: string, subject?: string, text: string }>} */
+  async renderMessage(templateName, channel, language, data, items) {
+    if (this.templateRenderer) {
+      return this.templateRenderer.render({
+        template: templateName,
+        channel,
+        language,
+        data,
+        ...(items ? { items } : {}),
+      });
+    }
+    return {
+      language: DEFAULT_NOTIFICATION_LANGUAGE,
+      ...renderTemplateMessage(
+        this.templates[templateName][channel],
+        null,
+        data,
+        items
+      ),
+    };
+  }
+
+  /**
+   * Channels a template goes out on for this guardian, in preference order.
+   * Opted-out SMS is returned separately so it can be logged as skipped.
+   */
+  resolveChannels(template, guardian = {}) {
+    const preferred =
+      Array.isArray(guardian.notificationChannels) &&
+      guardian.notificationChannels.length > 0
+        ? guardian.notificationChannels
+        : template.defaultChannels;
+    const supported = [...new Set(preferred)].filter((channel) =>
+      Boolean(template[channel])
+    );
+
+    if (!guardian.smsOptOut) {
+      return { channels: supported, optedOut: [] };
+    }
+    return {
+      channels: supported.filter((c) => c !== NOTIFICATION_CHANNELS.SMS),
+      optedOut: supported.filter((c) => c === NOTIFICATION_CHANNELS.SMS),
+    };
+  }
+
+  /**
+   * Renders and sends one template to a student's guardian. Delivery
+   * problems never throw; they are logged and reported in the result.
+   * With `digest` the message is logged as QUEUED and goes out with the
+   * next daily digest instead (see sendDigests).
+   * @param {{ template: string, guardian?: Object, data?: Object,
+   *   context?: { studentId?: string, schoolId?: string,
+   *     mealSessionId?: string, noShowAlertId?: string, dedupeKey?: string },
+   *   digest?: boolean }} params
+   * @returns {Promise<{ status: string, skipReason?: string,
+   *   errorMessage?: string, sentAt?: Date, deliveries: Array }>}
+   */
+  async notifyGuardian({
+    template: templateName,
+    guardian,
+    data = {},
+    context = {},
+    digest = false,
+  }) {
+    const template = this.templates[templateName];
+    if (!template) {
+      throw new Error(`Unknown notification template: ${templateName}`);
+    }
+    if (digest && !template.digest) {
+      throw new Error(`Notification template has no digest: ${templateName}`);
+    }
+
+    const { channels, optedOut } = this.resolveChannels(
+      template,
+      guardian ?? {}
+    );
+    const deliveries = [];
+
+    for (const channel of optedOut) {
+      deliveries.push(
+        await this.record(templateName, channel, context, {
+          status: NOTIFICATION_STATUSES.SKIPPED,
+          skipReason: 'OPTED_OUT',
+        })
+      );
+    }
+
+    for (const channel of channels) {
+      deliveries.push(
+        await this.deliver({
+          templateName,
+          channel,
+          guardian: guardian ?? {},
+          data,
+          context,
+          digest,
+        })
+      );
+    }
+
+    return { ...summarize(deliveries), deliveries };
+  }
+
+  async deliver({ templateName, channel, guardian, data, context, digest }) {
+    if (context.dedupeKey) {
+      const existing = await this.notificationLogRepository.findByDedupeKey(
+        context.dedupeKey,
+        channel
+      );
+      if (existing) {
+        return { ...existing, duplicate: true };
+      }
+    }
+
+    const { field, missing } = CONTACT_FIELDS[channel];
+    const recipient = String(guardian[field] || '').trim();
+    if (!recipient) {
+      return this.record(templateName, channel, context, {
+        status: NOTIFICATION_STATUSES.SKIPPED,
+        skipReason: missing,
+      });
+    }
+
+    if (digest) {
+      return this.record(templateName, channel, context, {
+        recipient,
+        language: guardian.preferredLanguage || DEFAULT_NOTIFICATION_LANGUAGE,
+        status: NOTIFICATION_STATUSES.QUEUED,
+        digestData: data,
+      });
+    }
+
+    const { language, subject, text } = await this.renderMessage(
+      templateName,
+      channel,
+      guardian.preferredLanguage,
+      data
+    );
+    return this.record(templateName, channel, context, {
+      recipient,
+      language,
+      ...(await this.dispatch(channel, recipient, { subject, text })),
+    });
+  }
+
+  /**
+   * Sends a rendered message on a channel and returns the log fields for
+   * the outcome of this first attempt.
+   */
+  async dispatch(channel, recipient, { subject, text }, now = new Date()) {
+    const adapter = this.channels[channel];
+    if (!adapter) {
+      return {
+        status: NOTIFICATION_STATUSES.SKIPPED,
+        skipReason: 'NO_PROVIDER',
+      };
+    }
+
+    const message = subject === undefined ? { text } : { subject, text };
+    const sendResult = await this.send(adapter, recipient, message);
+    if (sendResult.code === 'NO_PROVIDER') {
+      return {
+        provider: adapter.provider,
+        status: NOTIFICATION_STATUSES.SKIPPED,
+        skipReason: 'NO_PROVIDER',
+      };
+    }
+    if (!sendResult.ok) {
+      return {
+        provider: adapter.provider,
+        message,
+        ...this.failedAttempt(
+          1,
+          now,
+          sendResult.message || sendResult.code || 'Send failed'
+        ),
+      };
+    }
+    return {
+      provider: adapter.provider,
+      status: NOTIFICATION_STATUSES.SENT,
+      providerMessageId: sendResult.messageId,
+      attempts: 1,
+      lastAttemptAt: now,
+      sentAt: now,
+    };
+  }
+
+  async record(templateName, channel, context, outcome) {
+    const entry = {
+      template: templateName,
+      channel,
+      studentId: context.studentId,
+      schoolId: context.schoolId,
+      mealSessionId: context.mealSessionId,
+      noShowAlertId: context.noShowAlertId,
+      dedupeKey: context.dedupeKey,
+      ...outcome,
+    };
+    try {
+      await this.notificationLogRepository.create(entry);
+    } catch (err) {
+      // Another run logged the same message first
+      if (!isDuplicateKeyError(err)) {
+        throw err;
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * One more attempt at a logged message that failed. Automatic retries
+   * count towards the attempt limit; a manual resend starts a fresh series.
+   * Returns null when another run took the message first.
+   */
+  async attempt(entry, { now = new Date(), manual = false } = {}) {
+    const claimed = await this.notificationLogRepository.claimForAttempt(
+      entry,
+      manual ? RESENDABLE_STATUSES : [NOTIFICATION_STATUSES.FAILED],
+      now
+    );
+    if (!claimed) {
+      return null;
+    }
+
+    const attempts = (manual ? 0 : claimed.attempts || 0) + 1;
+    const adapter = this.channels[claimed.channel];
+    const sendResult = adapter
+      ? await this.send(adapter, claimed.recipient, claimed.message ?? {})
+      : { ok: false, code: 'NO_PROVIDER', message: 'No provider configured' };
+
+    const changes = sendResult.ok
+      ? {
+          status: NOTIFICATION_STATUSES.SENT,
+          provider: adapter.provider,
+          providerMessageId: sendResult.messageId,
+          attempts,
+          lastAttemptAt: now,
+          nextAttemptAt: null,
+          errorMessage: null,
+          sentAt: now,
+          $unset: { message: 1 },
+        }
+      : this.failedAttempt(
+          attempts,
+          now,
+          sendResult.message || sendResult.code || 'Send failed'
+        );
+
+    return this.notificationLogRepository.updateById(claimed._id, changes);
+  }
+
+  /**
+   * Retries FAILED messages whose backoff has elapsed. Run by the
+   * retry-failed-notifications job.
+   * @param {{ now?: Date }} [options]
+   */
+  async retryDue({ now = new Date() } = {}) {
+    const due = await this.notificationLogRepository.findDueForRetry(
+      now,
+      RETRY_BATCH_SIZE
+    );
+    const result = { found: due.length, sent: 0, failed: 0, deadLettered: 0 };
+
+    for (const entry of due) {
+      const updated = await this.attempt(entry, { now });
+      if (updated?.status === NOTIFICATION_STATUSES.SENT) {
+        result.sent += 1;
+      } else if (updated?.status === NOTIFICATION_STATUSES.FAILED) {
+        result.failed += 1;
+      } else if (updated?.status === NOTIFICATION_STATUSES.DEAD_LETTER) {
+        result.deadLettered += 1;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Sends every QUEUED message as one digest per template, channel and
+   * recipient. Each digest is logged as its own entry and retried like any
+   * other message; the collected entries become DIGESTED and point at it.
+   * Run by the send-guardian-digests job.
+   * @param {{ now?: Date }} [options]
+   * @returns {Promise<{ queued: number, digests: number, sent: number,
+   *   failed: number, skipped: number }>}
+   */
+  async sendDigests({ now = new Date() } = {}) {
+    const queued = await this.notificationLogRepository.findQueued();
+    const groups = new Map();
+    for (const entry of queued) {
+      const key = [entry.template, entry.channel, entry.recipient].join('|');
+      groups.set(key, [...(groups.get(key) ?? []), entry]);
+    }
+
+    const result = {
+      queued: queued.length,
+      digests: groups.size,
+      sent: 0,
+      failed: 0,
+      skipped: 0,
+    };
+    for (const entries of groups.values()) {
+      const digest = await this.sendDigest(entries, now);
+      if (digest.status === NOTIFICATION_STATUSES.SENT) {
+        result.sent += 1;
+      } else if (RESENDABLE_STATUSES.includes(digest.status)) {
+        result.failed += 1;
+      } else {
+        result.skipped += 1;
+      }
+    }
+    return result;
+  }
+
+  /** One digest for queued entries sharing a template, channel and recipient. */
+  async sendDigest(entries, now) {
+    const [first] = entries;
+    const template = this.templates[first.template];
+    // Only kept when every entry agrees, e.g. a single child
+    const shared = (field) =>
+      new Set(entries.map((e) => e[field])).size === 1 ? first[field] : null;
+
+    const rendered = await this.renderMessage(
+      template.digest,
+      first.channel,
+      first.language,
+      {
+        date: now.toISOString().slice(0, 10),
+        itemCount: entries.length,
+      },
+      entries.map((e) => e.digestData)
+    );
+    const digest = await this.notificationLogRepository.create({
+      template: template.digest,
+      channel: first.channel,
+      recipient: first.recipient,
+      studentId: shared('studentId'),
+      schoolId: shared('schoolId'),
+      language: rendered.language,
+      ...(await this.dispatch(first.channel, first.recipient, rendered, now)),
+    });
+
+    await this.notificationLogRepository.markDigested(
+      entries.map((e) => e._id),
+      digest._id
+    );
+    return digest;
+  }
+
+  /**
+   * Sends a FAILED or DEAD_LETTER message again now.
+   * @param {string} id
+   * @param {{ mealSessionId?: string }} [scope] - Only resend if the message
+   *   belongs to this meal session
+   * @returns {Promise<{ notification: Object }
+   *   | { error: 'NOTIFICATION_NOT_FOUND' | 'NOTIFICATION_NOT_RESENDABLE' }>}
+   */
+  async resend(id, { mealSessionId } = {}) {
+    const entry = await this.notificationLogRepository
+      .findById(id)
+      .catch(() => null);
+    if (
+      !entry ||
+      (mealSessionId && String(entry.mealSessionId) !== String(mealSessionId))
+    ) {
+      return { error: 'NOTIFICATION_NOT_FOUND' };
+    }
+    if (!RESENDABLE_STATUSES.includes(entry.status) || !entry.message) {
+      return { error: 'NOTIFICATION_NOT_RESENDABLE' };
+    }
+
+    const updated = await this.attempt(entry, { manual: true });
+    if (!updated) {
+      return { error: 'NOTIFICATION_NOT_RESENDABLE' };
+    }
+    return { notification: toNotificationLogResponse(updated) };
+  }
+
+  /**
+   * Resends every FAILED or DEAD_LETTER message of a meal session.
+   * @returns {Promise<{ retried: number, sent: number, failed: number,
+   *   items: Array }>}
+   */
+  async resendFailedForMealSession(mealSessionId) {
+    const failed = await this.notificationLogRepository.findMany({
+      mealSessionId,
+      status: { $in: RESENDABLE_STATUSES },
+    });
+    // Failed digests that carried this session's notices
+    const digestIds = await this.digestIdsForMealSessions([mealSessionId]);
+    const failedDigests =
+      digestIds.length > 0
+        ? await this.notificationLogRepository.findMany({
+            _id: { $in: digestIds },
+            status: { $in: RESENDABLE_STATUSES },
+          })
+        : [];
+    const entries = [...failed, ...failedDigests];
+
+    const items = [];
+    for (const entry of entries.filter((e) => e.message)) {
+      const updated = await this.attempt(entry, { manual: true });
+      if (updated) {
+        items.push(toNotificationLogResponse(updated));
+      }
+    }
+
+    const sent = items.filter(
+      (item) => item.status === NOTIFICATION_STATUSES.SENT
+    ).length;
+    return { retried: items.length, sent, failed: items.length - sent, items };
+  }
+
+  /**
+   * @param {{ template?: string, channel?: string, status?: string,
+   *   studentId?: string, schoolId?: string, mealSessionId?: string,
+   *   dateFrom?: string, dateTo?: string, page?: number, limit?: number }} filters
+   * @returns {Promise<{ items: Array, page: number, limit: number, total: number }>}
+   */
+  async listNotifications(filters = {}) {
+    const filter = {};
+    [
+      'template',
+      'channel',
+      'status',
+      'studentId',
+      'schoolId',
+      'mealSessionId',
+    ].forEach((key) => {
+      if (filters[key]) {
+        filter[key] = String(filters[key]).trim();
+      }
+    });
+    if (filters.dateFrom || filters.dateTo) {
+      filter.createdAt = {};
+      if (filters.dateFrom) {
+        filter.createdAt.$gte = new Date(filters.dateFrom);
+      }
+      if (filters.dateTo) {
+        filter.createdAt.$lte = new Date(filters.dateTo);
+      }
+    }
+
+    const page = Math.max(1, Number(filters.page) || 1);
+    const limit = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, Number(filters.limit) || DEFAULT_PAGE_SIZE)
+    );
+    const { items, total } = await this.notificationLogRepository.findPage(
+      filter,
+      { skip: (page - 1) * limit, limit }
+    );
+
+    return {
+      items: items.map((item) => toNotificationLogResponse(item)),
+      page,
+      limit,
+      total,
+    };
+  }
+
+  /**
+   * Log entries for the given meal sessions, e.g. the no-show notices sent
+   * when they completed.
+   * @param {Array<string>} mealSessionIds
+   * @param {{ template?: string, channel?: string }} [options]
+   */
+  async listForMealSessions(mealSessionIds, { template, channel } = {}) {
+    const rows = await this.notificationLogRepository.findMany({
+      mealSessionId: { $in: mealSessionIds },
+      ...(template ? { template } : {}),
+      ...(channel ? { channel } : {}),
+    });
+
+    const digestIds = [
+      ...new Set(
+        rows.filter((r) => r.digestLogId).map((r) => String(r.digestLogId))
+      ),
+    ];
+    const digests =
+      digestIds.length > 0
+        ? await this.notificationLogRepository.findMany({
+            _id: { $in: digestIds },
+          })
+        : [];
+    const digestById = new Map(digests.map((d) => [String(d._id), d]));
+    return rows.map((row) =>
+      toNotificationLogResponse(row, digestById.get(String(row.digestLogId)))
+    );
+  }
+
+  async digestIdsForMealSessions(mealSessionIds) {
+    const digested = await this.notificationLogRepository.findMany({
+      mealSessionId: { $in: mealSessionIds },
+      status: NOTIFICATION_STATUSES.DIGESTED,
+    });
+    return [...new Set(digested.map((e) => String(e.digestLogId)))];
+  }
+
+  /** Messages held by outbox adapters, newest first. */
+  listOutbox() {
+    const outboxes = Object.values(this.channels).filter(
+      (adapter) => adapter?.provider === 'outbox'
+    );
+    return {
+      enabled: outboxes.length > 0,
+      items: outboxes
+        .flatMap((outbox) => outbox.list())
+        .sort((a, b) => b.queuedAt - a.queuedAt),
+    };
+  }
+}
@@ -0,0 +1,179 @@
+// Built-in message templates for guardian notifications. Each template lists
+// the placeholders its text may use, renders the channels it supports and
+// names the channels used when the guardian has not chosen any. These are
+// the English defaults; admins can store per-language variants that take
+// their place (see NotificationTemplateService). A template with a `digest`
+// can instead be collected and sent once a day as that template. The digest
+// template renders each collected message with the `itemLine` of its
+// channel, which may use `itemPlaceholders`, into its `{{items}}`.
+// Stored language variants carry their own `itemLine`.
+export const NOTIFICATION_TEMPLATES = Object.freeze({
+  GUARDIAN_NO_SHOW: 'GUARDIAN_NO_SHOW',
+  GUARDIAN_NO_SHOW_DIGEST: 'GUARDIAN_NO_SHOW_DIGEST',
+  GUARDIAN_NO_SHOW_PATTERN: 'GUARDIAN_NO_SHOW_PATTERN',
+  DIETARY_TAGS_UPDATED: 'DIETARY_TAGS_UPDATED',
+  MEAL_ELIGIBILITY_UPDATED: 'MEAL_ELIGIBILITY_UPDATED',
+  QR_STATUS_UPDATED: 'QR_STATUS_UPDATED',
+});
+
+export const NOTIFICATION_LANGUAGES = Object.freeze({
+  ENGLISH: 'en',
+  SINHALA: 'si',
+  TAMIL: 'ta',
+});
+
+export const DEFAULT_NOTIFICATION_LANGUAGE = NOTIFICATION_LANGUAGES.ENGLISH;
+
+// Every template may use these
+const COMMON_PLACEHOLDERS = ['studentName', 'schoolName'];
+
+export const guardianTemplates = {
+  [NOTIFICATION_TEMPLATES.GUARDIAN_NO_SHOW]: {
+    defaultChannels: ['email'],
+    placeholders: [...COMMON_PLACEHOLDERS, 'mealType', 'date'],
+    digest: NOTIFICATION_TEMPLATES.GUARDIAN_NO_SHOW_DIGEST,
+    email: {
+      subject: 'Meal attendance notice — {{mealType}}',
+      text: `Hello,
+
+This is to inform you that {{studentName}} was not marked present for {{mealType}} on {{date}} (school: {{schoolName}}).
+
+If you have questions, please contact the school.
+
+— KidsFeed
+`,
+    },
+    sms: {
+      text: 'KidsFeed: {{studentName}} was not marked present for {{mealType}} on {{date}}. Contact your school if you have questions.',
+    },
+  },
+
+  // One message per guardian address with every missed meal since the last digest
+  [NOTIFICATION_TEMPLATES.GUARDIAN_NO_SHOW_DIGEST]: {
+    defaultChannels: ['email'],
+    placeholders: ['date', 'itemCount', 'items'],
+    // What each GUARDIAN_NO_SHOW message supplies to its line
+    itemPlaceholders: [...COMMON_PLACEHOLDERS, 'mealType', 'date'],
+    email: {
+      subject: 'Missed school meals — {{date}}',
+      text: `Hello,
+
+The following {{itemCount}} school meal(s) were missed:
+
+{{items}}
+
+If you have questions, please contact the school.
+
+— KidsFeed
+`,
+      itemLine: '- {{studentName}}: {{mealType}} on {{date}} ({{schoolName}})',
+    },
+    sms: {
+      text: 'KidsFeed: {{itemCount}} missed school meal(s): {{items}}. Contact your school if you have questions.',
+      itemLine: '- {{studentName}}: {{mealType}} on {{date}} ({{schoolName}})',
+    },
+  },
+
+  [NOTIFICATION_TEMPLATES.GUARDIAN_NO_SHOW_PATTERN]: {
+    defaultChannels: ['email'],
+    placeholders: [
+      ...COMMON_PLACEHOLDERS,
+      'noShowCount',
+      'periodFrom',
+      'periodTo',
+    ],
+    email: {
+      subject: 'Repeated missed meals — {{studentName}}',
+      text: `Hello,
+
+{{studentName}} has missed {{noShowCount}} school meals between {{periodFrom}} and {{periodTo}} (school: {{schoolName}}).
+
+The school may contact you to check whether your child needs any support. If you have questions, please contact the school.
+
+— KidsFeed
+`,
+    },
+    sms: {
+      text: 'KidsFeed: {{studentName}} has missed {{noShowCount}} school meals between {{periodFrom}} and {{periodTo}}. The school may contact you. Contact your school if you have questions.',
+    },
+  },
+
+  [NOTIFICATION_TEMPLATES.DIETARY_TAGS_UPDATED]: {
+    defaultChannels: ['sms'],
+    placeholders: [...COMMON_PLACEHOLDERS, 'dietaryTags'],
+    email: {
+      subject: 'Dietary tags updated — {{studentName}}',
+      text: `Hello,
+
+The dietary tags for {{studentName}} have been updated. Current tags: {{dietaryTags}}.
+
+If you have questions, please contact the school.
+
+— KidsFeed
+`,
+    },
+    sms: {
+      text: 'KidsFeed: Dietary tags for {{studentName}} have been updated. Current tags: {{dietaryTags}}. Contact your school if you have questions.',
+    },
+  },
+
+  [NOTIFICATION_TEMPLATES.MEAL_ELIGIBILITY_UPDATED]: {
+    defaultChannels: ['sms'],
+    placeholders: [...COMMON_PLACEHOLDERS, 'eligibilityStatus'],
+    email: {
+      subject: 'Meal eligibility updated — {{studentName}}',
+      text: `Hello,
+
+The meal eligibility status for {{studentName}} has been updated to: {{eligibilityStatus}}.
+
+Please contact the school for more information.
+
+— KidsFeed
+`,
+    },
+    sms: {
+      text: 'KidsFeed: The meal eligibility status for {{studentName}} has been updated to: {{eligibilityStatus}}. Contact your school for more information.',
+    },
+  },
+
+  [NOTIFICATION_TEMPLATES.QR_STATUS_UPDATED]: {
+    defaultChannels: ['sms'],
+    placeholders: [...COMMON_PLACEHOLDERS, 'qrStatus'],
+    email: {
+      subject: 'Meal card update — {{studentName}}',
+      text: `Hello,
+
+The meal card QR code for {{studentName}} is now {{qrStatus}}.
+
+Please contact the school for more information.
+
+— KidsFeed
+`,
+    },
+    sms: {
+      text: 'KidsFeed: The meal card QR code for {{studentName}} is now {{qrStatus}}. Contact your school for more information.',
+    },
+  },
+};
+
+// Values used by the preview endpoint when no student is given, or for
+// placeholders a student record cannot fill
+export const SAMPLE_TEMPLATE_DATA = Object.freeze({
+  studentName: 'Nimal Perera',
+  schoolName: 'Sample Primary School',
+  mealType: 'lunch',
+  date: '2026-03-10',
+  itemCount: 2,
+  noShowCount: 3,
+  periodFrom: '2026-03-02',
+  periodTo: '2026-03-10',
+  dietaryTags: 'Vegetarian',
+  eligibilityStatus: 'eligible for free/reduced meals',
+  qrStatus: 'printed and ready',
+});
+
+// Collected messages the preview renders into a digest's {{items}}
+export const SAMPLE_DIGEST_ITEMS = Object.freeze([
+  { ...SAMPLE_TEMPLATE_DATA, mealType: 'breakfast' },
+  { ...SAMPLE_TEMPLATE_DATA, mealType: 'lunch' },
+]);
@@ -0,0 +1,47 @@
+// {{name}} placeholders in template text; whitespace inside the braces is allowed
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z][A-Za-z0-9]*)\s*\}\}/g;
+
+/** Replaces each placeholder with its value; missing values render empty. */
+export function renderTemplateText(text, data = {}) {
+  return String(text ?? '').replace(PLACEHOLDER_PATTERN, (match, name) =>
+    data[name] === undefined || data[name] === null ? '' : String(data[name])
+  );
+}
+
+/** Placeholder names used in the text that are not in `allowed`. */
+export function findUnknownPlaceholders(text, allowed) {
+  const unknown = new Set();
+  for (const [, name] of String(text ?? '').matchAll(PLACEHOLDER_PATTERN)) {
+    if (!allowed.includes(name)) {
+      unknown.add(name);
+    }
+  }
+  return [...unknown];
+}
+
+/**
+ * Renders one channel of a template. `variant` is a stored language
+ * variant; without one the built-in text is used. For a digest, `items`
+ * holds the data of each collected message, rendered one `itemLine` each
+ * into `{{items}}`.
+ * @returns {{ subject?: string, text: string }}
+ */
+export function renderTemplateMessage(builtIn, variant, data, items) {
+  const source = variant ?? builtIn;
+  const values = items
+    ? {
+        ...data,
+        items: items
+          .map((item) =>
+            // Variants stored before item lines were editable have none
+            renderTemplateText(source.itemLine ?? builtIn.itemLine, item)
+          )
+          .join('\n'),
+      }
+    : data;
+  const message = { text: renderTemplateText(source.text, values) };
+  if (source.subject !== undefined && source.subject !== null) {
+    message.subject = renderTemplateText(source.subject, values);
+  }
+  return message;
+}
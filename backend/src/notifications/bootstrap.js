@@ -0,0 +1,14 @@
+import {
+  notificationService,
+  notificationTemplateService,
+} from './integration.js';
+import { createNotificationLogController } from './presentation/controllers/notification-log.controller.js';
+import { createNotificationTemplateController } from './presentation/controllers/notification-template.controller.js';
+
+const createNotificationsRouter = () =>
+  createNotificationLogController(notificationService);
+
+const createNotificationTemplatesRouter = () =>
+  createNotificationTemplateController(notificationTemplateService);
+
+export { createNotificationsRouter, createNotificationTemplatesRouter };
@@ -0,0 +1,6 @@
+import {
+  createNotificationsRouter,
+  createNotificationTemplatesRouter,
+} from './bootstrap.js';
+
+export { createNotificationsRouter, createNotificationTemplatesRouter };
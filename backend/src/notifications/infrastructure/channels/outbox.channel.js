@@ -0,0 +1,39 @@
+// Messages kept per outbox, newest last. Older ones are dropped.
+const MAX_OUTBOX_MESSAGES = 500;
+
+/**
+ * Local stand-in for a real provider: keeps messages in memory instead of
+ * sending them, so development and test runs can read what would have gone
+ * out. Enabled with NOTIFICATION_TRANSPORT=outbox.
+ */
+export class OutboxChannel {
+  constructor({ channel }) {
+    this.provider = 'outbox';
+    this.channel = channel;
+    this.messages = [];
+    this.sequence = 0;
+  }
+
+  async send(message) {
+    this.sequence += 1;
+    const messageId = `outbox-${this.channel}-${this.sequence}`;
+    this.messages.push({
+      messageId,
+      channel: this.channel,
+      ...message,
+      queuedAt: new Date(),
+    });
+    if (this.messages.length > MAX_OUTBOX_MESSAGES) {
+      this.messages.shift();
+    }
+    return { ok: true, messageId };
+  }
+
+  list() {
+    return [...this.messages].reverse();
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
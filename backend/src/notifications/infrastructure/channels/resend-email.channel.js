@@ -1,9 +1,10 @@
 /**
- * Third-party email for guardian no-show notices.
+ * Email through the Resend HTTP API.
  * Set RESEND_API_KEY and MEAL_DISTRIBUTION_EMAIL_FROM in env to enable sends.
  */
-export class NotificationService {
+export class ResendEmailChannel {
   constructor(options = {}) {
+    this.provider = 'resend';
     this.resendApiKey = options.resendApiKey;
     this.from = options.from;
   }
@@ -20,28 +21,17 @@ export class NotificationService {
     );
   }
 
-  async sendGuardianNoShowEmail({
-    to,
-    studentDisplayName,
-    mealType,
-    sessionDate,
-    schoolLabel,
-  }) {
+  /**
+   * @param {{ to: string, subject: string, text: string }} message
+   * @returns {Promise<{ ok: true, messageId: string }
+   *   | { ok: false, code: 'NO_PROVIDER' | 'PROVIDER_ERROR', message?: string }>}
+   */
+  async send({ to, subject, text }) {
     const resendApiKey = this.getResendApiKey();
     if (!resendApiKey) {
-      return { ok: false, code: 'NO_EMAIL_PROVIDER' };
+      return { ok: false, code: 'NO_PROVIDER' };
     }
 
-    const subject = `Meal attendance notice — ${mealType}`;
-    const text = `Hello,
-
-This is to inform you that ${studentDisplayName} was not marked present for ${mealType} on ${sessionDate} (school: ${schoolLabel}).
-
-If you have questions, please contact the school.
-
-— KidsFeed
-`;
-
     const response = await fetch('https://api.resend.com/emails', {
       method: 'POST',
       headers: {
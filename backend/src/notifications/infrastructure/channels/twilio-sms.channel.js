@@ -0,0 +1,46 @@
+import twilio from 'twilio';
+
+/**
+ * Guardian text messages through Twilio. Messages go out on the WhatsApp
+ * channel (Twilio sandbox: TWILIO_PHONE_NUMBER must be +14155238886).
+ * Set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER in env
+ * to enable sends.
+ */
+export class TwilioSmsChannel {
+  constructor(options = {}) {
+    this.provider = 'twilio';
+    this.accountSid = options.accountSid ?? process.env.TWILIO_ACCOUNT_SID;
+    this.authToken = options.authToken ?? process.env.TWILIO_AUTH_TOKEN;
+    this.fromNumber = options.fromNumber ?? process.env.TWILIO_PHONE_NUMBER;
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = twilio(this.accountSid, this.authToken);
+    }
+    return this.client;
+  }
+
+  /**
+   * @param {{ to: string, text: string }} message
+   * @returns {Promise<{ ok: true, messageId: string }
+   *   | { ok: false, code: 'NO_PROVIDER' | 'PROVIDER_ERROR', message?: string }>}
+   */
+  async send({ to, text }) {
+    if (!this.accountSid || !this.authToken || !this.fromNumber) {
+      return { ok: false, code: 'NO_PROVIDER' };
+    }
+
+    try {
+      const msg = await this.getClient().messages.create({
+        body: text,
+        from: `whatsapp:${this.fromNumber}`,
+        to: `whatsapp:${to}`,
+      });
+      return { ok: true, messageId: msg.sid };
+    } catch (err) {
+      return { ok: false, code: 'PROVIDER_ERROR', message: err.message };
+    }
+  }
+}
@@ -0,0 +1,84 @@
+import {
+  NOTIFICATION_STATUSES,
+  NotificationLog,
+} from '../schemas/notification-log.schema.js';
+
+export class NotificationLogRepository {
+  async create(data) {
+    return NotificationLog.create(data);
+  }
+
+  async findById(id) {
+    return NotificationLog.findById(id).lean();
+  }
+
+  async findByDedupeKey(dedupeKey, channel) {
+    return NotificationLog.findOne({ dedupeKey, channel }).lean();
+  }
+
+  async findMany(filter = {}) {
+    return NotificationLog.find(filter)
+      .sort({ studentId: 1, channel: 1 })
+      .lean();
+  }
+
+  /** FAILED messages whose next retry is due, oldest due first. */
+  async findDueForRetry(now, limit) {
+    return NotificationLog.find({
+      status: NOTIFICATION_STATUSES.FAILED,
+      nextAttemptAt: { $lte: now },
+    })
+      .sort({ nextAttemptAt: 1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Takes a message for a new attempt unless another run already did:
+   * lastAttemptAt must still be what the caller read.
+   */
+  async claimForAttempt(entry, statuses, now) {
+    return NotificationLog.findOneAndUpdate(
+      {
+        _id: entry._id,
+        status: { $in: statuses },
+        lastAttemptAt: entry.lastAttemptAt ?? null,
+      },
+      { $set: { lastAttemptAt: now } },
+      { new: true }
+    ).lean();
+  }
+
+  /** Messages waiting for a digest, oldest first. */
+  async findQueued() {
+    return NotificationLog.find({ status: NOTIFICATION_STATUSES.QUEUED })
+      .sort({ createdAt: 1 })
+      .lean();
+  }
+
+  async markDigested(ids, digestLogId) {
+    return NotificationLog.updateMany(
+      { _id: { $in: ids }, status: NOTIFICATION_STATUSES.QUEUED },
+      {
+        $set: { status: NOTIFICATION_STATUSES.DIGESTED, digestLogId },
+        $unset: { digestData: 1 },
+      }
+    );
+  }
+
+  async updateById(id, changes) {
+    return NotificationLog.findByIdAndUpdate(id, changes, { new: true }).lean();
+  }
+
+  async findPage(filter = {}, { skip = 0, limit = 50 } = {}) {
+    const [items, total] = await Promise.all([
+      NotificationLog.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      NotificationLog.countDocuments(filter),
+    ]);
+    return { items, total };
+  }
+}
@@ -0,0 +1,42 @@
+import { NotificationTemplate } from '../schemas/notification-template.schema.js';
+
+export class NotificationTemplateRepository {
+  async create(data) {
+    return NotificationTemplate.create(data);
+  }
+
+  async findById(id) {
+    return NotificationTemplate.findById(id).lean();
+  }
+
+  async findMany(filter = {}) {
+    return NotificationTemplate.find(filter)
+      .sort({ template: 1, language: 1, channel: 1 })
+      .lean();
+  }
+
+  /** First stored variant in the order of `languages`, or null. */
+  async findVariant(template, channel, languages) {
+    const variants = await NotificationTemplate.find({
+      template,
+      channel,
+      language: { $in: languages },
+    }).lean();
+    return (
+      languages
+        .map((language) => variants.find((v) => v.language === language))
+        .find(Boolean) ?? null
+    );
+  }
+
+  async updateById(id, changes) {
+    return NotificationTemplate.findByIdAndUpdate(id, changes, {
+      new: true,
+      runValidators: true,
+    }).lean();
+  }
+
+  async deleteById(id) {
+    return NotificationTemplate.findByIdAndDelete(id).lean();
+  }
+}
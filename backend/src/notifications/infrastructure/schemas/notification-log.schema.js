@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_CHANNELS = Object.freeze({
+  EMAIL: 'email',
+  SMS: 'sms',
+});
+
+export const NOTIFICATION_STATUSES = Object.freeze({
+  SENT: 'SENT',
+  FAILED: 'FAILED',
+  SKIPPED: 'SKIPPED',
+  // Failed on every allowed attempt; only a manual resend tries again
+  DEAD_LETTER: 'DEAD_LETTER',
+  // Waiting for the next daily digest
+  QUEUED: 'QUEUED',
+  // Went out in the digest logged at digestLogId
+  DIGESTED: 'DIGESTED',
+});
+
+// One document per message on one channel; retries update it in place.
+// Replaces the per-feature guardian notification logs.
+const notificationLogSchema = new mongoose.Schema(
+  {
+    template: { type: String, required: true },
+    channel: {
+      type: String,
+      enum: Object.values(NOTIFICATION_CHANNELS),
+      required: true,
+    },
+    // Email address or phone number the message went to, if any
+    recipient: { type: String },
+    studentId: { type: String },
+    schoolId: { type: String },
+    mealSessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'MealSession' },
+    noShowAlertId: { type: mongoose.Schema.Types.ObjectId, ref: 'NoShowAlert' },
+    // Set for messages that must go out at most once per channel
+    dedupeKey: { type: String },
+    status: {
+      type: String,
+      enum: Object.values(NOTIFICATION_STATUSES),
+      required: true,
+    },
+    skipReason: { type: String },
+    // Language the message was rendered in
+    language: { type: String },
+    // Which adapter handled the message: 'resend', 'twilio' or 'outbox'
+    provider: { type: String },
+    providerMessageId: { type: String },
+    errorMessage: { type: String },
+    sentAt: { type: Date },
+    // Rendered message kept while a send can still be retried
+    message: {
+      subject: { type: String },
+      text: { type: String },
+    },
+    // Placeholder values of a QUEUED message, rendered into its digest
+    digestData: { type: mongoose.Schema.Types.Mixed },
+    digestLogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NotificationLog',
+    },
+    attempts: { type: Number, default: 0 },
+    lastAttemptAt: { type: Date },
+    // Set while the message is FAILED and waiting for its next retry
+    nextAttemptAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+notificationLogSchema.index(
+  { dedupeKey: 1, channel: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+notificationLogSchema.index({ mealSessionId: 1, studentId: 1 });
+notificationLogSchema.index({ studentId: 1, createdAt: -1 });
+notificationLogSchema.index({ createdAt: -1 });
+notificationLogSchema.index(
+  { createdAt: 1 },
+  { partialFilterExpression: { status: NOTIFICATION_STATUSES.QUEUED } }
+);
+notificationLogSchema.index(
+  { nextAttemptAt: 1 },
+  { partialFilterExpression: { status: NOTIFICATION_STATUSES.FAILED } }
+);
+
+export const NotificationLog = mongoose.model(
+  'NotificationLog',
+  notificationLogSchema
+);
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import { auditTrailPlugin } from '../../../audit-log/integration.js';
+import {
+  NOTIFICATION_LANGUAGES,
+  NOTIFICATION_TEMPLATES,
+} from '../../application/templates/guardian.templates.js';
+import { NOTIFICATION_CHANNELS } from './notification-log.schema.js';
+
+// Admin-edited text for one template in one language on one channel.
+// Replaces the built-in English text when present.
+const notificationTemplateSchema = new mongoose.Schema(
+  {
+    template: {
+      type: String,
+      enum: Object.values(NOTIFICATION_TEMPLATES),
+      required: true,
+    },
+    language: {
+      type: String,
+      enum: Object.values(NOTIFICATION_LANGUAGES),
+      required: true,
+    },
+    channel: {
+      type: String,
+      enum: Object.values(NOTIFICATION_CHANNELS),
+      required: true,
+    },
+    // Email only
+    subject: { type: String },
+    text: { type: String, required: true },
+    // Digest templates only: the line each collected message renders into
+    // {{items}}
+    itemLine: { type: String },
+  },
+  { timestamps: true }
+);
+
+notificationTemplateSchema.index(
+  { template: 1, language: 1, channel: 1 },
+  { unique: true }
+);
+
+notificationTemplateSchema.plugin(auditTrailPlugin);
+
+export const NotificationTemplate = mongoose.model(
+  'NotificationTemplate',
+  notificationTemplateSchema
+);
@@ -0,0 +1,10 @@
+/**
+ * Notifications only: reads the student a template preview is rendered
+ * against, with its school, through the school-management repository.
+ */
+import { findByStudentId } from '../../../school-management/infrastructure/repositories/student.repository.js';
+
+/** Student by business studentId with `school` populated, or null. */
+export async function findPreviewStudent(studentId) {
+  return findByStudentId(String(studentId).trim());
+}
@@ -0,0 +1,103 @@
+// Public surface of the notifications module for other modules: guardian
+// notifications and reads of the notification log.
+import { NotificationLogRepository } from './infrastructure/repositories/notification-log.repository.js';
+import { NotificationTemplateRepository } from './infrastructure/repositories/notification-template.repository.js';
+import { findPreviewStudent } from './infrastructure/services/preview-student-lookup.service.js';
+import { ResendEmailChannel } from './infrastructure/channels/resend-email.channel.js';
+import { TwilioSmsChannel } from './infrastructure/channels/twilio-sms.channel.js';
+import { OutboxChannel } from './infrastructure/channels/outbox.channel.js';
+import {
+  DEFAULT_MAX_ATTEMPTS,
+  DEFAULT_RETRY_BASE_MINUTES,
+  NotificationService,
+} from './application/services/notification.service.js';
+import { NotificationTemplateService } from './application/services/notification-template.service.js';
+import {
+  NOTIFICATION_LANGUAGES,
+  NOTIFICATION_TEMPLATES,
+} from './application/templates/guardian.templates.js';
+import {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_STATUSES,
+} from './infrastructure/schemas/notification-log.schema.js';
+
+// NOTIFICATION_TRANSPORT=outbox keeps every message in memory instead of
+// calling Resend or Twilio.
+const buildChannels = () =>
+  process.env.NOTIFICATION_TRANSPORT === 'outbox'
+    ? {
+        [NOTIFICATION_CHANNELS.EMAIL]: new OutboxChannel({
+          channel: NOTIFICATION_CHANNELS.EMAIL,
+        }),
+        [NOTIFICATION_CHANNELS.SMS]: new OutboxChannel({
+          channel: NOTIFICATION_CHANNELS.SMS,
+        }),
+      }
+    : {
+        [NOTIFICATION_CHANNELS.EMAIL]: new ResendEmailChannel(),
+        [NOTIFICATION_CHANNELS.SMS]: new TwilioSmsChannel(),
+      };
+
+export const notificationTemplateService = new NotificationTemplateService({
+  notificationTemplateRepository: new NotificationTemplateRepository(),
+  findPreviewStudent,
+});
+
+export const notificationService = new NotificationService({
+  notificationLogRepository: new NotificationLogRepository(),
+  channels: buildChannels(),
+  templateRenderer: notificationTemplateService,
+  maxAttempts:
+    Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS,
+  retryBaseMinutes:
+    Number(process.env.NOTIFICATION_RETRY_BASE_MINUTES) ||
+    DEFAULT_RETRY_BASE_MINUTES,
+});
+
+export const notificationsIntegrationService = {
+  /**
+   * @param {{ template: string, guardian?: Object, data?: Object,
+   *   context?: Object, digest?: boolean }} params
+   */
+  notifyGuardian(params) {
+    return notificationService.notifyGuardian(params);
+  },
+
+  /**
+   * @param {Array<string>} mealSessionIds
+   * @param {{ template?: string, channel?: string }} [options]
+   */
+  listForMealSessions(mealSessionIds, options) {
+    return notificationService.listForMealSessions(mealSessionIds, options);
+  },
+
+  /** @param {{ now?: Date }} [options] */
+  retryDue(options) {
+    return notificationService.retryDue(options);
+  },
+
+  /** @param {{ now?: Date }} [options] */
+  sendDigests(options) {
+    return notificationService.sendDigests(options);
+  },
+
+  /**
+   * @param {string} id - Notification log entry ID
+   * @param {{ mealSessionId?: string }} [scope]
+   */
+  resend(id, scope) {
+    return notificationService.resend(id, scope);
+  },
+
+  /** @param {string} mealSessionId */
+  resendFailedForMealSession(mealSessionId) {
+    return notificationService.resendFailedForMealSession(mealSessionId);
+  },
+};
+
+export {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_LANGUAGES,
+  NOTIFICATION_STATUSES,
+  NOTIFICATION_TEMPLATES,
+};
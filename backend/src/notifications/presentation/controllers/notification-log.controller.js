@@ -0,0 +1,83 @@
+import express from 'express';
+import {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_STATUSES,
+} from '../../infrastructure/schemas/notification-log.schema.js';
+
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+export const createNotificationLogController = (notificationService) => {
+  const router = express.Router();
+
+  // Query: GET /api/admin/notifications?template=&channel=&status=&studentId=&schoolId=&mealSessionId=&dateFrom=&dateTo=&page=&limit=
+  router.get('/', async (req, res, next) => {
+    try {
+      const { channel, status, dateFrom, dateTo, page, limit } = req.query;
+      const channels = Object.values(NOTIFICATION_CHANNELS);
+      const statuses = Object.values(NOTIFICATION_STATUSES);
+
+      if (channel && !channels.includes(channel)) {
+        return res
+          .status(400)
+          .json({ message: `channel must be one of: ${channels.join(', ')}` });
+      }
+      if (status && !statuses.includes(String(status).toUpperCase())) {
+        return res
+          .status(400)
+          .json({ message: `status must be one of: ${statuses.join(', ')}` });
+      }
+      if (
+        (dateFrom && !isValidDate(dateFrom)) ||
+        (dateTo && !isValidDate(dateTo))
+      ) {
+        return res
+          .status(400)
+          .json({ message: 'dateFrom and dateTo must be valid dates' });
+      }
+      if ((page && !(Number(page) >= 1)) || (limit && !(Number(limit) >= 1))) {
+        return res
+          .status(400)
+          .json({ message: 'page and limit must be positive numbers' });
+      }
+
+      const result = await notificationService.listNotifications({
+        ...req.query,
+        status: status ? String(status).toUpperCase() : undefined,
+      });
+      return res.status(200).json(result);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Resend a failed message: POST /api/admin/notifications/:id/resend
+  router.post('/:id/resend', async (req, res, next) => {
+    try {
+      const result = await notificationService.resend(req.params.id);
+      if (result.error === 'NOTIFICATION_NOT_FOUND') {
+        return res.status(404).json({ message: 'Notification not found' });
+      }
+      if (result.error === 'NOTIFICATION_NOT_RESENDABLE') {
+        return res.status(409).json({
+          message: 'Only FAILED or DEAD_LETTER notifications can be resent',
+        });
+      }
+      return res.status(200).json(result.notification);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Development outbox: GET /api/admin/notifications/outbox
+  router.get('/outbox', (req, res) => {
+    const outbox = notificationService.listOutbox();
+    if (!outbox.enabled) {
+      return res.status(404).json({
+        message: 'Outbox is not enabled (set NOTIFICATION_TRANSPORT=outbox)',
+      });
+    }
+    return res.status(200).json(outbox.items);
+  });
+
+  return router;
+};
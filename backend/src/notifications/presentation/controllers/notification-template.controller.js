@@ -0,0 +1,110 @@
+import express from 'express';
+
+const notFound = (res) =>
+  res.status(404).json({ message: 'Notification template not found' });
+
+export const createNotificationTemplateController = (templateService) => {
+  const router = express.Router();
+
+  // Built-in text and placeholders: GET /api/admin/notification-templates/defaults
+  router.get('/defaults', (req, res) => {
+    res.status(200).json(templateService.listDefaults());
+  });
+
+  // Render against a student or sample values: POST /api/admin/notification-templates/preview
+  router.post('/preview', async (req, res, next) => {
+    try {
+      const result = await templateService.preview(req.body ?? {});
+      if (result.error === 'INVALID_TEMPLATE') {
+        return res.status(400).json({ message: result.message });
+      }
+      if (result.error === 'STUDENT_NOT_FOUND') {
+        return res.status(404).json({ message: 'Student not found' });
+      }
+      return res.status(200).json(result.preview);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // List stored variants: GET /api/admin/notification-templates?template=&language=&channel=
+  router.get('/', async (req, res, next) => {
+    try {
+      const { template, language, channel } = req.query;
+      const items = await templateService.listTemplates({
+        template,
+        language,
+        channel,
+      });
+      return res.status(200).json(items);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Create: POST /api/admin/notification-templates
+  router.post('/', async (req, res, next) => {
+    try {
+      const result = await templateService.createTemplate(req.body ?? {});
+      if (result.error === 'INVALID_TEMPLATE') {
+        return res.status(400).json({ message: result.message });
+      }
+      if (result.error === 'TEMPLATE_EXISTS') {
+        return res.status(409).json({
+          message:
+            'A variant for this template, language and channel already exists',
+        });
+      }
+      return res.status(201).json(result.template);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Get one: GET /api/admin/notification-templates/:id
+  router.get('/:id', async (req, res, next) => {
+    try {
+      const result = await templateService.getTemplate(req.params.id);
+      if (result.error) {
+        return notFound(res);
+      }
+      return res.status(200).json(result.template);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Update text: PUT /api/admin/notification-templates/:id
+  router.put('/:id', async (req, res, next) => {
+    try {
+      const result = await templateService.updateTemplate(
+        req.params.id,
+        req.body ?? {}
+      );
+      if (result.error === 'TEMPLATE_NOT_FOUND') {
+        return notFound(res);
+      }
+      if (result.error === 'INVALID_TEMPLATE') {
+        return res.status(400).json({ message: result.message });
+      }
+      return res.status(200).json(result.template);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Delete (back to the fallback text): DELETE /api/admin/notification-templates/:id
+  router.delete('/:id', async (req, res, next) => {
+    try {
+      const result = await templateService.deleteTemplate(req.params.id);
+      if (result.error) {
+        return notFound(res);
+      }
+      return res.status(200).json(result.template);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
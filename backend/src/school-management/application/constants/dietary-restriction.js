@@ -1,3 +1,8 @@
 const DIETARY_TAGS = ['Vegetarian', 'Halal', 'Nut Allergy', 'Dairy-Free', 'Gluten-Free'];
 
-export { DIETARY_TAGS };
+// What the meal scan does when a student's dietary tags clash with the recipe
+// being served: 'warn' marks attendance and returns the conflict, 'block'
+// refuses PRESENT unless staff override with a reason.
+const DIETARY_CONFLICT_POLICIES = ['warn', 'block'];
+
+export { DIETARY_TAGS, DIETARY_CONFLICT_POLICIES };
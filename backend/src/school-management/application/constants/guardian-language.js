@@ -0,0 +1,5 @@
+// Languages guardian messages can be sent in: English, Sinhala, Tamil.
+// Unset means English.
+const GUARDIAN_LANGUAGES = ['en', 'si', 'ta'];
+
+export { GUARDIAN_LANGUAGES };
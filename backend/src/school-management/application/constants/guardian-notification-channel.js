@@ -0,0 +1,9 @@
+// Channels a guardian can choose for notifications. smsOptOut still turns
+// SMS off even when it is chosen here.
+const GUARDIAN_NOTIFICATION_CHANNELS = ['email', 'sms'];
+
+// How a school's missed-meal notices reach guardians: one message per
+// session, or one daily digest per guardian address covering all children.
+const GUARDIAN_NO_SHOW_DELIVERY_MODES = ['immediate', 'daily_digest'];
+
+export { GUARDIAN_NOTIFICATION_CHANNELS, GUARDIAN_NO_SHOW_DELIVERY_MODES };
@@ -0,0 +1,9 @@
+const MEAL_CARD_STATUS = {
+  ACTIVE: 'active',
+  SUPERSEDED: 'superseded',
+  REVOKED: 'revoked',
+};
+
+const MEAL_CARD_REVOKE_REASONS = ['lost', 'stolen', 'damaged'];
+
+export { MEAL_CARD_STATUS, MEAL_CARD_REVOKE_REASONS };
@@ -3,6 +3,7 @@ const toBulkStudentData = (row, schoolId) => ({
   firstName: row.firstName,
   lastName: row.lastName,
   gradeLevel: row.gradeLevel,
+  className: row.className || undefined,
   age: row.age ? parseInt(row.age, 10) : undefined,
   status: row.status || 'active',
   school: schoolId,
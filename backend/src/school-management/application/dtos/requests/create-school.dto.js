@@ -5,6 +5,9 @@ const toCreateSchoolData = (body) => ({
   region: body.region,
   contactName: body.contactName,
   contactPhone: body.contactPhone,
+  legacyQrGraceUntil: body.legacyQrGraceUntil,
+  dietaryConflictPolicy: body.dietaryConflictPolicy,
+  guardianNoShowDelivery: body.guardianNoShowDelivery,
 });
 
 export { toCreateSchoolData };
@@ -4,6 +4,7 @@ const toCreateStudentData = (body, schoolId) => ({
   lastName: body.lastName,
   age: body.age,
   gradeLevel: body.gradeLevel,
+  className: body.className,
   photoUrl: body.photoUrl,
   status: body.status || 'active',
   school: schoolId,
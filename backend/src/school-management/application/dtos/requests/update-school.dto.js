@@ -6,6 +6,15 @@ const toUpdateSchoolData = (body) => {
   if (body.region !== undefined) data.region = body.region;
   if (body.contactName !== undefined) data.contactName = body.contactName;
   if (body.contactPhone !== undefined) data.contactPhone = body.contactPhone;
+  if (body.legacyQrGraceUntil !== undefined) {
+    data.legacyQrGraceUntil = body.legacyQrGraceUntil;
+  }
+  if (body.dietaryConflictPolicy !== undefined) {
+    data.dietaryConflictPolicy = body.dietaryConflictPolicy;
+  }
+  if (body.guardianNoShowDelivery !== undefined) {
+    data.guardianNoShowDelivery = body.guardianNoShowDelivery;
+  }
   return data;
 };
 
@@ -1,6 +1,6 @@
 const toUpdateStudentData = (body) => {
   const data = {};
-  const fields = ['firstName', 'lastName', 'age', 'gradeLevel', 'photoUrl', 'status', 'guardian'];
+  const fields = ['firstName', 'lastName', 'age', 'gradeLevel', 'className', 'photoUrl', 'status', 'guardian'];
   for (const field of fields) {
     if (body[field] !== undefined) data[field] = body[field];
   }
@@ -0,0 +1,15 @@
+const toMealCardHistoryResponse = (card, currentVersion) => ({
+  version: card.version,
+  serial: card.serial,
+  status: card.status,
+  isCurrent: card.version === currentVersion,
+  issuedAt: card.issuedAt,
+  issuedBy: card.issuedBy,
+  supersededAt: card.supersededAt,
+  revokedAt: card.revokedAt,
+  revokedBy: card.revokedBy,
+  revokeReason: card.revokeReason,
+  revokeNotes: card.revokeNotes,
+});
+
+export { toMealCardHistoryResponse };
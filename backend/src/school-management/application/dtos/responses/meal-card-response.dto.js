@@ -10,6 +10,7 @@ const toMealCardResponse = (student) => ({
   qrCode: student.qrCode,
   qrStatus: student.qrStatus,
   qrGeneratedAt: student.qrGeneratedAt,
+  qrCardVersion: student.qrCardVersion,
   dietaryTags: student.dietaryTags,
 });
 
@@ -6,6 +6,9 @@ const toSchoolResponse = (school) => ({
   region: school.region,
   contactName: school.contactName,
   contactPhone: school.contactPhone,
+  legacyQrGraceUntil: school.legacyQrGraceUntil,
+  dietaryConflictPolicy: school.dietaryConflictPolicy ?? 'warn',
+  guardianNoShowDelivery: school.guardianNoShowDelivery ?? 'immediate',
   totalStudents: school.totalStudents ?? 0,
   createdAt: school.createdAt,
   updatedAt: school.updatedAt,
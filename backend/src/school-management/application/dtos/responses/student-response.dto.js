@@ -5,6 +5,7 @@ const toStudentResponse = (student) => ({
   lastName: student.lastName,
   age: student.age,
   gradeLevel: student.gradeLevel,
+  className: student.className,
   photoUrl: student.photoUrl,
   status: student.status,
   school: student.school
@@ -16,6 +17,7 @@ const toStudentResponse = (student) => ({
   qrCode: student.qrCode,
   qrStatus: student.qrStatus,
   qrGeneratedAt: student.qrGeneratedAt,
+  qrCardVersion: student.qrCardVersion,
   createdAt: student.createdAt,
   updatedAt: student.updatedAt,
 });
@@ -4,7 +4,10 @@ import {
 } from '../../infrastructure/repositories/student.repository.js';
 import { toStudentResponse } from '../dtos/responses/student-response.dto.js';
 import { AppError } from '../errors/app-error.js';
-import { sendGuardianSms } from '../../infrastructure/services/twilio.service.js';
+import {
+  NOTIFICATION_TEMPLATES,
+  notificationsIntegrationService,
+} from '../../../notifications/integration.js';
 
 const ELIGIBILITY_LABELS = {
   eligible: 'eligible for free/reduced meals',
@@ -12,6 +15,17 @@ const ELIGIBILITY_LABELS = {
   pending: 'pending eligibility review',
 };
 
+// Placeholders every guardian template can use
+const guardianTemplateData = (student) => ({
+  studentName: `${student.firstName} ${student.lastName}`,
+  schoolName: student.school?.schoolName,
+});
+
+const guardianContext = (student) => ({
+  studentId: student.studentId,
+  schoolId: String(student.school?._id ?? student.school ?? ''),
+});
+
 const updateDietaryProfile = async (id, body) => {
   const student = await findStudentById(id);
   if (!student) {
@@ -28,18 +42,16 @@ const updateDietaryProfile = async (id, body) => {
 
   const updated = await updateStudentById(id, data);
 
-  if (
-    body.dietaryTags !== undefined &&
-    !student.guardian?.smsOptOut &&
-    student.guardian?.phone
-  ) {
-    const name = `${student.firstName} ${student.lastName}`;
-    const tags =
-      body.dietaryTags.length > 0 ? body.dietaryTags.join(', ') : 'none';
-    await sendGuardianSms(
-      student.guardian.phone,
-      `KidsFeed: Dietary tags for ${name} have been updated. Current tags: ${tags}. Contact your school if you have questions.`
-    );
+  if (body.dietaryTags !== undefined) {
+    await notificationsIntegrationService.notifyGuardian({
+      template: NOTIFICATION_TEMPLATES.DIETARY_TAGS_UPDATED,
+      guardian: student.guardian,
+      data: {
+        ...guardianTemplateData(student),
+        dietaryTags: body.dietaryTags.length > 0 ? body.dietaryTags.join(', ') : 'none',
+      },
+      context: guardianContext(student),
+    });
   }
 
   return toStudentResponse(updated);
@@ -61,16 +73,16 @@ const updateMealEligibility = async (id, status) => {
     mealEligibilityStatus: status,
   });
 
-  if (
-    previousStatus !== status &&
-    !student.guardian?.smsOptOut &&
-    student.guardian?.phone
-  ) {
-    const name = `${student.firstName} ${student.lastName}`;
-    await sendGuardianSms(
-      student.guardian.phone,
-      `KidsFeed: The meal eligibility status for ${name} has been updated to: ${ELIGIBILITY_LABELS[status]}. Contact your school for more information.`
-    );
+  if (previousStatus !== status) {
+    await notificationsIntegrationService.notifyGuardian({
+      template: NOTIFICATION_TEMPLATES.MEAL_ELIGIBILITY_UPDATED,
+      guardian: student.guardian,
+      data: {
+        ...guardianTemplateData(student),
+        eligibilityStatus: ELIGIBILITY_LABELS[status],
+      },
+      context: guardianContext(student),
+    });
   }
 
   return toStudentResponse(updated);
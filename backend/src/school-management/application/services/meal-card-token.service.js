@@ -0,0 +1,138 @@
+import crypto from 'node:crypto';
+import { AppError } from '../errors/app-error.js';
+
+// Signed meal-card tokens look like `KF1.<keyId>.<payload>.<signature>` where
+// payload is base64url JSON { sid, v, iat, exp } and signature is an
+// HMAC-SHA256 over `KF1.<keyId>.<payload>`. Keys are read from
+// MEAL_CARD_SIGNING_KEYS ("keyId:secret,keyId:secret") so old keys can keep
+// verifying cards while MEAL_CARD_ACTIVE_KEY_ID points at the new one.
+const TOKEN_PREFIX = 'KF1';
+const DEFAULT_TTL_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getSigningKeys = () => {
+  const raw = process.env.MEAL_CARD_SIGNING_KEYS || '';
+  const keys = new Map();
+  raw
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const separator = entry.indexOf(':');
+      if (separator <= 0) {
+        return;
+      }
+      const keyId = entry.slice(0, separator).trim();
+      const secret = entry.slice(separator + 1).trim();
+      if (keyId && secret) {
+        keys.set(keyId, secret);
+      }
+    });
+  return keys;
+};
+
+const getActiveKeyId = (keys) => {
+  const configured = (process.env.MEAL_CARD_ACTIVE_KEY_ID || '').trim();
+  if (configured) {
+    return configured;
+  }
+  // Fall back to the last listed key so appending a key rotates to it.
+  return Array.from(keys.keys()).pop();
+};
+
+const getTokenTtlMs = () => {
+  const days = Number(process.env.MEAL_CARD_TOKEN_TTL_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : DEFAULT_TTL_DAYS) * DAY_MS;
+};
+
+const sign = (signingInput, secret) =>
+  crypto.createHmac('sha256', secret).update(signingInput).digest('base64url');
+
+const isSignedMealCardToken = (token) =>
+  typeof token === 'string' && token.trim().startsWith(`${TOKEN_PREFIX}.`);
+
+const signMealCardToken = ({
+  studentId,
+  cardVersion,
+  issuedAt = new Date(),
+}) => {
+  const keys = getSigningKeys();
+  const keyId = getActiveKeyId(keys);
+  const secret = keyId ? keys.get(keyId) : undefined;
+  if (!secret) {
+    throw new AppError(500, 'Meal card signing key is not configured');
+  }
+
+  const iat = issuedAt.getTime();
+  const payload = Buffer.from(
+    JSON.stringify({
+      sid: String(studentId),
+      v: cardVersion,
+      iat,
+      exp: iat + getTokenTtlMs(),
+    })
+  ).toString('base64url');
+
+  const signingInput = `${TOKEN_PREFIX}.${keyId}.${payload}`;
+  return `${signingInput}.${sign(signingInput, secret)}`;
+};
+
+/**
+ * Verifies signature and expiry of a signed meal-card token.
+ * Returns { studentId, cardVersion, issuedAt, keyId } or { error } with
+ * QR_TOKEN_INVALID / QR_TOKEN_EXPIRED. Card-version checks against the
+ * student record are left to the caller.
+ */
+const verifyMealCardToken = (token, now = new Date()) => {
+  if (!isSignedMealCardToken(token)) {
+    return { error: 'QR_TOKEN_INVALID' };
+  }
+
+  const parts = token.trim().split('.');
+  if (parts.length !== 4) {
+    return { error: 'QR_TOKEN_INVALID' };
+  }
+  const [, keyId, payload, signature] = parts;
+
+  const secret = getSigningKeys().get(keyId);
+  if (!secret) {
+    return { error: 'QR_TOKEN_INVALID' };
+  }
+
+  const expected = Buffer.from(
+    sign(`${TOKEN_PREFIX}.${keyId}.${payload}`, secret)
+  );
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return { error: 'QR_TOKEN_INVALID' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return { error: 'QR_TOKEN_INVALID' };
+  }
+  if (
+    !claims?.sid ||
+    !Number.isInteger(claims.v) ||
+    !Number.isFinite(claims.iat)
+  ) {
+    return { error: 'QR_TOKEN_INVALID' };
+  }
+  if (Number.isFinite(claims.exp) && now.getTime() > claims.exp) {
+    return { error: 'QR_TOKEN_EXPIRED' };
+  }
+
+  return {
+    studentId: String(claims.sid),
+    cardVersion: claims.v,
+    issuedAt: new Date(claims.iat),
+    keyId,
+  };
+};
+
+export { isSignedMealCardToken, signMealCardToken, verifyMealCardToken };
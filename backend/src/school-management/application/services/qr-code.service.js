@@ -7,59 +7,191 @@ import { findSchoolById } from '../../infrastructure/repositories/school.reposit
 import { generateQRCodeBase64 } from '../../infrastructure/services/qr-code-generator.service.js';
 import { toStudentResponse } from '../dtos/responses/student-response.dto.js';
 import { toMealCardResponse } from '../dtos/responses/meal-card-response.dto.js';
+import { toMealCardHistoryResponse } from '../dtos/responses/meal-card-history-response.dto.js';
+import { MEAL_CARD_STATUS } from '../constants/meal-card.js';
 import { AppError } from '../errors/app-error.js';
-import { sendGuardianSms } from '../../infrastructure/services/twilio.service.js';
+import {
+  NOTIFICATION_TEMPLATES,
+  notificationsIntegrationService,
+} from '../../../notifications/integration.js';
+import { signMealCardToken } from './meal-card-token.service.js';
+
+const toCardHistory = (student) =>
+  (student.mealCards || []).map((card) =>
+    typeof card.toObject === 'function' ? card.toObject() : { ...card }
+  );
 
-const generateStudentQR = async (studentId) => {
-  const student = await findStudentById(studentId);
-  if (!student) {
-    throw new AppError(404, 'Student not found');
+const buildCardSerial = (studentId, version) => `${studentId}-v${version}`;
+
+const findCurrentCard = (student) =>
+  toCardHistory(student).find(
+    (card) => card.version === (student.qrCardVersion || 0)
+  );
+
+// A signed card issued before card history was recorded has no entry; it is
+// still the valid card for the student.
+const hasActiveSignedCard = (student) => {
+  if (!student.qrCardVersion) {
+    return false;
   }
+  const current = findCurrentCard(student);
+  return !current || current.status === MEAL_CARD_STATUS.ACTIVE;
+};
 
-  const qrPayload = JSON.stringify({
+// Every (re)issue bumps the card version so cards printed earlier are
+// rejected at scan time as superseded.
+const issueSignedCard = async (student, { issuedBy } = {}) => {
+  const cardVersion = (student.qrCardVersion || 0) + 1;
+  const issuedAt = new Date();
+  const qrPayload = signMealCardToken({
     studentId: student.studentId,
-    name: `${student.firstName} ${student.lastName}`,
-    grade: student.gradeLevel,
+    cardVersion,
+    issuedAt,
   });
-
   const qrCode = await generateQRCodeBase64(qrPayload);
-  const updated = await updateStudentById(studentId, {
+
+  const mealCards = toCardHistory(student).map((card) =>
+    card.status === MEAL_CARD_STATUS.ACTIVE
+      ? { ...card, status: MEAL_CARD_STATUS.SUPERSEDED, supersededAt: issuedAt }
+      : card
+  );
+  mealCards.push({
+    version: cardVersion,
+    serial: buildCardSerial(student.studentId, cardVersion),
+    status: MEAL_CARD_STATUS.ACTIVE,
+    issuedAt,
+    issuedBy,
+  });
+
+  return updateStudentById(student._id, {
     qrCode,
-    qrGeneratedAt: new Date(),
+    qrCardVersion: cardVersion,
+    qrGeneratedAt: issuedAt,
     qrStatus: 'pending',
+    mealCards,
   });
+};
+
+// Returns the student's current signed card, issuing the first one when the
+// student has none (never issued, legacy unsigned card, or revoked).
+const generateStudentQR = async (studentId, { issuedBy } = {}) => {
+  const student = await findStudentById(studentId);
+  if (!student) {
+    throw new AppError(404, 'Student not found');
+  }
+
+  if (hasActiveSignedCard(student) && student.qrCode) {
+    return toStudentResponse(student);
+  }
+
+  const updated = await issueSignedCard(student, { issuedBy });
+  return toStudentResponse(updated);
+};
+
+const reissueStudentQR = async (studentId, { issuedBy } = {}) => {
+  const student = await findStudentById(studentId);
+  if (!student) {
+    throw new AppError(404, 'Student not found');
+  }
+
+  const updated = await issueSignedCard(student, { issuedBy });
+  return toStudentResponse(updated);
+};
+
+const revokeStudentQR = async (
+  studentId,
+  { reason, notes, reissue = false },
+  { revokedBy } = {}
+) => {
+  const student = await findStudentById(studentId);
+  if (!student) {
+    throw new AppError(404, 'Student not found');
+  }
+
+  const version = student.qrCardVersion || 0;
+  const current = findCurrentCard(student);
+  const hasLegacyCard = version === 0 && Boolean(student.qrCode);
+  if (
+    current?.status === MEAL_CARD_STATUS.REVOKED ||
+    (version === 0 && !hasLegacyCard)
+  ) {
+    throw new AppError(409, 'Student has no active meal card to revoke');
+  }
+
+  const revokedAt = new Date();
+  const revocation = {
+    status: MEAL_CARD_STATUS.REVOKED,
+    revokedAt,
+    revokedBy,
+    revokeReason: reason,
+    revokeNotes: notes,
+  };
+  const mealCards = toCardHistory(student);
+  if (current) {
+    Object.assign(
+      mealCards.find((card) => card.version === version),
+      revocation
+    );
+  } else {
+    // Legacy unsigned card (version 0) or a signed card issued before card
+    // history was recorded.
+    mealCards.push({
+      version,
+      serial: buildCardSerial(student.studentId, version),
+      issuedAt: student.qrGeneratedAt,
+      ...revocation,
+    });
+  }
 
+  // The revoked image must not be downloaded or printed again.
+  let updated = await updateStudentById(student._id, {
+    mealCards,
+    qrCode: null,
+  });
+  if (reissue) {
+    updated = await issueSignedCard(updated, { issuedBy: revokedBy });
+  }
   return toStudentResponse(updated);
 };
 
-const batchGenerateQR = async (schoolId, filters = {}) => {
+const getStudentQRHistory = async (studentId) => {
+  const student = await findStudentById(studentId);
+  if (!student) {
+    throw new AppError(404, 'Student not found');
+  }
+
+  return toCardHistory(student)
+    .sort((a, b) => b.version - a.version)
+    .map((card) => toMealCardHistoryResponse(card, student.qrCardVersion));
+};
+
+const batchGenerateQR = async (schoolId, filters = {}, { issuedBy } = {}) => {
   const school = await findSchoolById(schoolId);
   if (!school) {
     throw new AppError(404, 'School not found');
   }
 
-  const students = await findStudentsBySchoolForQr(schoolId, filters);
+  const { reissue, ...queryFilters } = filters;
+  const students = await findStudentsBySchoolForQr(schoolId, queryFilters);
+  // Without an explicit reissue, students holding a valid card keep it so
+  // printed cards are not superseded by a bulk run.
+  const toIssue = reissue
+    ? students
+    : students.filter((student) => !hasActiveSignedCard(student));
 
   const results = await Promise.allSettled(
-    students.map(async (student) => {
-      const qrPayload = JSON.stringify({
-        studentId: student.studentId,
-        name: `${student.firstName} ${student.lastName}`,
-        grade: student.gradeLevel,
-      });
-      const qrCode = await generateQRCodeBase64(qrPayload);
-      return updateStudentById(student._id, {
-        qrCode,
-        qrGeneratedAt: new Date(),
-        qrStatus: 'pending',
-      });
-    })
+    toIssue.map((student) => issueSignedCard(student, { issuedBy }))
   );
 
   const successful = results.filter((r) => r.status === 'fulfilled').length;
   const failed = results.filter((r) => r.status === 'rejected').length;
 
-  return { total: students.length, generated: successful, failed };
+  return {
+    total: students.length,
+    generated: successful,
+    skipped: students.length - toIssue.length,
+    failed,
+  };
 };
 
 const listQRCards = async (schoolId, rawQuery = {}) => {
@@ -86,17 +218,29 @@ const updateQRStatus = async (studentId, status) => {
     throw new AppError(404, 'Student not found');
   }
 
-  if (!student.guardian?.smsOptOut && student.guardian?.phone) {
-    const name = `${student.firstName} ${student.lastName}`;
-    const statusLabel =
-      status === 'printed' ? 'printed and ready' : 'pending review';
-    await sendGuardianSms(
-      student.guardian.phone,
-      `KidsFeed: The meal card QR code for ${name} is now ${statusLabel}. Contact your school for more information.`
-    );
-  }
+  await notificationsIntegrationService.notifyGuardian({
+    template: NOTIFICATION_TEMPLATES.QR_STATUS_UPDATED,
+    guardian: student.guardian,
+    data: {
+      studentName: `${student.firstName} ${student.lastName}`,
+      schoolName: student.school?.schoolName,
+      qrStatus: status === 'printed' ? 'printed and ready' : 'pending review',
+    },
+    context: {
+      studentId: student.studentId,
+      schoolId: String(student.school?._id ?? student.school ?? ''),
+    },
+  });
 
   return toStudentResponse(student);
 };
 
-export { generateStudentQR, batchGenerateQR, listQRCards, updateQRStatus };
+export {
+  generateStudentQR,
+  reissueStudentQR,
+  revokeStudentQR,
+  getStudentQRHistory,
+  batchGenerateQR,
+  listQRCards,
+  updateQRStatus,
+};
@@ -16,8 +16,8 @@ const createNewSchool = async (body) => {
   return toSchoolResponse(school);
 };
 
-const getAllSchools = async () => {
-  const schools = await findAllSchools();
+const getAllSchools = async (schoolIds = null) => {
+  const schools = await findAllSchools(schoolIds);
   return schools.map(toSchoolResponse);
 };
 
@@ -38,8 +38,8 @@ const updateSchool = async (id, body) => {
   return toSchoolResponse(school);
 };
 
-const deleteSchool = async (id) => {
-  const school = await deleteSchoolById(id);
+const deleteSchool = async (id, deletedBy) => {
+  const school = await deleteSchoolById(id, deletedBy);
   if (!school) {
     throw new AppError(404, 'School not found');
   }
@@ -3,16 +3,21 @@ import School from '../../infrastructure/schemas/school.schema.js';
 import { toStudentResponse } from '../dtos/responses/student-response.dto.js';
 import { AppError } from '../errors/app-error.js';
 
-const globalSearch = async (q) => {
+const globalSearch = async (q, schoolIds = null) => {
   if (!q || q.trim() === '') {
     throw new AppError(400, 'Search query is required');
   }
 
   const regex = new RegExp(q.trim(), 'i');
 
+  const schoolQuery = { schoolName: regex };
+  if (schoolIds) {
+    schoolQuery._id = { $in: schoolIds };
+  }
+
   const [students, schools] = await Promise.all([
-    searchStudents(q),
-    School.find({ schoolName: regex }).limit(10).lean(),
+    searchStudents(q, schoolIds),
+    School.find(schoolQuery).limit(10).lean(),
   ]);
 
   return {
@@ -3,8 +3,9 @@ import School from '../../infrastructure/schemas/school.schema.js';
 import { findSchoolById } from '../../infrastructure/repositories/school.repository.js';
 import { AppError } from '../errors/app-error.js';
 
-const getDashboardOverview = async () => {
-  const schools = await School.find().lean();
+const getDashboardOverview = async (schoolIds = null) => {
+  const query = schoolIds ? { _id: { $in: schoolIds } } : {};
+  const schools = await School.find(query).lean();
 
   const schoolsWithCounts = await Promise.all(
     schools.map(async (school) => {
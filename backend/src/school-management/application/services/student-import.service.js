@@ -12,7 +12,7 @@ const importSessions = new Map();
 
 const VALID_STATUSES = ['active', 'draft'];
 
-const validateRow = async (row, rowIndex, existingIds) => {
+const validateRow = async (row, rowIndex, existingIds, trashedIds) => {
   const errors = [];
 
   if (!row.firstName || row.firstName.trim() === '') {
@@ -35,6 +35,13 @@ const validateRow = async (row, rowIndex, existingIds) => {
       field: 'studentId',
       message: 'Student ID is required',
     });
+  } else if (trashedIds.has(row.studentId)) {
+    errors.push({
+      row: rowIndex,
+      field: 'studentId',
+      message:
+        'Student ID belongs to a student in the trash; restore it instead',
+    });
   } else if (existingIds.has(row.studentId)) {
     errors.push({
       row: rowIndex,
@@ -81,14 +88,17 @@ const previewImport = async (schoolId, fileBuffer) => {
 
     // Check existing in DB
     const existingInDb = row.studentId
-      ? await findByStudentId(row.studentId)
+      ? await findByStudentId(row.studentId, { withDeleted: true })
       : null;
     const existingIds = new Set();
-    if (existingInDb) {
+    const trashedIds = new Set();
+    if (existingInDb?.deletedAt) {
+      trashedIds.add(row.studentId);
+    } else if (existingInDb) {
       existingIds.add(row.studentId);
     }
 
-    const rowErrors = await validateRow(row, rowNum, existingIds);
+    const rowErrors = await validateRow(row, rowNum, existingIds, trashedIds);
 
     if (rowErrors.length > 0) {
       allErrors.push(...rowErrors);
@@ -13,6 +13,7 @@ import { toStudentQueryParams } from '../dtos/requests/student-query.dto.js';
 import { toStudentResponse } from '../dtos/responses/student-response.dto.js';
 import { toStudentListResponse } from '../dtos/responses/student-list-response.dto.js';
 import { AppError } from '../errors/app-error.js';
+import { auditLogIntegrationService } from '../../../audit-log/integration.js';
 
 const createStudentForSchool = async (schoolId, body) => {
   const school = await findSchoolById(schoolId);
@@ -20,7 +21,15 @@ const createStudentForSchool = async (schoolId, body) => {
     throw new AppError(404, 'School not found');
   }
 
-  const existing = await findByStudentId(body.studentId);
+  const existing = await findByStudentId(body.studentId, {
+    withDeleted: true,
+  });
+  if (existing?.deletedAt) {
+    throw new AppError(
+      409,
+      'Student ID belongs to a student in the trash; restore that student instead'
+    );
+  }
   if (existing) {
     throw new AppError(409, 'Student ID already exists');
   }
@@ -46,6 +55,14 @@ const listStudentsForSchool = async (schoolId, rawQuery) => {
   return toStudentListResponse(data, total, page, limit);
 };
 
+const getStudentActivity = async (id, { limit } = {}) => {
+  const student = await findStudentById(id);
+  if (!student) {
+    throw new AppError(404, 'Student not found');
+  }
+  return auditLogIntegrationService.listEntityActivity('Student', id, { limit });
+};
+
 const getStudent = async (id) => {
   const student = await findStudentById(id);
   if (!student) {
@@ -63,8 +80,8 @@ const updateStudent = async (id, body) => {
   return toStudentResponse(student);
 };
 
-const deleteStudent = async (id) => {
-  const student = await deleteStudentById(id);
+const deleteStudent = async (id, deletedBy) => {
+  const student = await deleteStudentById(id, deletedBy);
   if (!student) {
     throw new AppError(404, 'Student not found');
   }
@@ -74,6 +91,7 @@ export {
   createStudentForSchool,
   listStudentsForSchool,
   getStudent,
+  getStudentActivity,
   updateStudent,
   deleteStudent,
 };
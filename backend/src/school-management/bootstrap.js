@@ -24,8 +24,9 @@ import { searchRouter } from './presentation/controllers/search.controller.js';
 // Export (all routes relative to /schools/:schoolId)
 import { exportRouter } from './presentation/controllers/export.controller.js';
 
-// Error handler
+// Middleware
 import { errorHandler } from './presentation/middleware/error-handler.middleware.js';
+import { requireStudentInScope } from './presentation/middleware/student-scope.middleware.js';
 
 const createSchoolManagementRouter = () => {
   const router = express.Router();
@@ -53,6 +54,8 @@ const createSchoolManagementRouter = () => {
   router.use('/schools/:schoolId', exportRouter);
 
   // ── Students standalone ───────────────────────────────────────────────
+  // School admins and staff only reach students of their assigned schools
+  router.use('/students/:id', requireStudentInScope);
   router.use('/students', studentPutRouter);
   router.use('/students', studentDeleteRouter);
   router.use('/students', studentDietaryRouter);
@@ -1,11 +1,14 @@
 import School from '../schemas/school.schema.js';
+import { toSoftDeleteUpdate } from '../../../shared/plugins/soft-delete.plugin.js';
 
 const createSchool = async (data) => {
   return await School.create(data);
 };
 
-const findAllSchools = async () => {
-  return await School.find().populate('totalStudents');
+// schoolIds narrows the list to those schools; null returns every school
+const findAllSchools = async (schoolIds = null) => {
+  const query = schoolIds ? { _id: { $in: schoolIds } } : {};
+  return await School.find(query).populate('totalStudents');
 };
 
 const findSchoolById = async (id) => {
@@ -16,8 +19,9 @@ const updateSchoolById = async (id, data) => {
   return await School.findByIdAndUpdate(id, data, { new: true, runValidators: true });
 };
 
-const deleteSchoolById = async (id) => {
-  return await School.findByIdAndDelete(id);
+// Moves the school to the trash; the trash purge job removes it for good
+const deleteSchoolById = async (id, deletedBy) => {
+  return await School.findByIdAndUpdate(id, toSoftDeleteUpdate(deletedBy), { new: true });
 };
 
 export { createSchool, findAllSchools, findSchoolById, updateSchoolById, deleteSchoolById };
@@ -1,11 +1,16 @@
 import Student from '../schemas/student.schema.js';
+import { toSoftDeleteUpdate } from '../../../shared/plugins/soft-delete.plugin.js';
 
 const createStudent = async (data) => {
   return await Student.create(data);
 };
 
-const findByStudentId = async (studentId) => {
-  return await Student.findOne({ studentId }).populate('school');
+// studentId is unique across the trash too, so uniqueness checks pass
+// withDeleted to see trashed students
+const findByStudentId = async (studentId, { withDeleted = false } = {}) => {
+  return await Student.findOne({ studentId })
+    .setOptions({ withDeleted })
+    .populate('school');
 };
 
 const findStudentById = async (id) => {
@@ -36,8 +41,9 @@ const updateStudentById = async (id, data) => {
   return await Student.findByIdAndUpdate(id, data, { new: true, runValidators: true }).populate('school');
 };
 
-const deleteStudentById = async (id) => {
-  return await Student.findByIdAndDelete(id);
+// Moves the student to the trash; the trash purge job removes it for good
+const deleteStudentById = async (id, deletedBy) => {
+  return await Student.findByIdAndUpdate(id, toSoftDeleteUpdate(deletedBy), { new: true });
 };
 
 const findStudentsBySchoolForQr = async (schoolId, { grade, qrStatus } = {}) => {
@@ -51,11 +57,16 @@ const countStudentsBySchool = async (schoolId) => {
   return await Student.countDocuments({ school: schoolId });
 };
 
-const searchStudents = async (searchTerm) => {
+// schoolIds narrows the search to those schools; null searches every school
+const searchStudents = async (searchTerm, schoolIds = null) => {
   const regex = new RegExp(searchTerm, 'i');
-  return await Student.find({
+  const query = {
     $or: [{ firstName: regex }, { lastName: regex }, { studentId: regex }],
-  })
+  };
+  if (schoolIds) {
+    query.school = { $in: schoolIds };
+  }
+  return await Student.find(query)
     .limit(20)
     .populate('school');
 };
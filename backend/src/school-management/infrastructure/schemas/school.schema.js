@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import { auditTrailPlugin } from '../../../audit-log/integration.js';
+import { softDeletePlugin } from '../../../shared/plugins/soft-delete.plugin.js';
+import { GUARDIAN_NO_SHOW_DELIVERY_MODES } from '../../application/constants/guardian-notification-channel.js';
 
 const schoolSchema = new mongoose.Schema(
   {
@@ -8,6 +11,16 @@ const schoolSchema = new mongoose.Schema(
     region: { type: String },
     contactName: { type: String },
     contactPhone: { type: String },
+    // Unsigned (legacy JSON) meal cards are accepted at scan time until this date.
+    legacyQrGraceUntil: { type: Date },
+    // 'block' refuses meal scans on an allergen conflict unless overridden.
+    dietaryConflictPolicy: { type: String, enum: ['warn', 'block'], default: 'warn' },
+    // 'daily_digest' collects missed-meal notices into one message per guardian per day.
+    guardianNoShowDelivery: {
+      type: String,
+      enum: GUARDIAN_NO_SHOW_DELIVERY_MODES,
+      default: 'immediate',
+    },
   },
   { timestamps: true }
 );
@@ -19,4 +32,7 @@ schoolSchema.virtual('totalStudents', {
   count: true,
 });
 
+schoolSchema.plugin(softDeletePlugin);
+schoolSchema.plugin(auditTrailPlugin);
+
 export default mongoose.model('School', schoolSchema);
@@ -1,4 +1,8 @@
 import mongoose from 'mongoose';
+import { auditTrailPlugin } from '../../../audit-log/integration.js';
+import { softDeletePlugin } from '../../../shared/plugins/soft-delete.plugin.js';
+import { GUARDIAN_NOTIFICATION_CHANNELS } from '../../application/constants/guardian-notification-channel.js';
+import { GUARDIAN_LANGUAGES } from '../../application/constants/guardian-language.js';
 
 const DIETARY_TAGS = [
   'Vegetarian',
@@ -8,6 +12,28 @@ const DIETARY_TAGS = [
   'Gluten-Free',
 ];
 
+// One entry per physical meal card issued to the student. version 0 is the
+// legacy unsigned card, only recorded when it gets revoked.
+const mealCardSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true },
+    serial: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ['active', 'superseded', 'revoked'],
+      default: 'active',
+    },
+    issuedAt: { type: Date },
+    issuedBy: { type: String },
+    supersededAt: { type: Date },
+    revokedAt: { type: Date },
+    revokedBy: { type: String },
+    revokeReason: { type: String, enum: ['lost', 'stolen', 'damaged'] },
+    revokeNotes: { type: String },
+  },
+  { _id: false }
+);
+
 const studentSchema = new mongoose.Schema(
   {
     studentId: { type: String, required: true, unique: true },
@@ -15,6 +41,8 @@ const studentSchema = new mongoose.Schema(
     lastName: { type: String, required: true },
     age: { type: Number },
     gradeLevel: { type: String },
+    // Class or section within the grade, matched by class-scoped meal sessions
+    className: { type: String },
     photoUrl: { type: String },
     status: { type: String, enum: ['active', 'draft'], default: 'active' },
     school: {
@@ -34,6 +62,14 @@ const studentSchema = new mongoose.Schema(
       emergencyContactName: { type: String },
       emergencyContactPhone: { type: String },
       smsOptOut: { type: Boolean, default: false },
+      // Empty means each notification's default channels
+      notificationChannels: {
+        type: [String],
+        enum: GUARDIAN_NOTIFICATION_CHANNELS,
+        default: undefined,
+      },
+      // Language for guardian messages; unset means English
+      preferredLanguage: { type: String, enum: GUARDIAN_LANGUAGES },
     },
     dietaryTags: {
       type: [String],
@@ -48,6 +84,9 @@ const studentSchema = new mongoose.Schema(
       default: 'pending',
     },
     qrGeneratedAt: { type: Date },
+    // Version of the currently valid signed meal card; 0 = never issued.
+    qrCardVersion: { type: Number, default: 0 },
+    mealCards: { type: [mealCardSchema], default: [] },
   },
   { timestamps: true }
 );
@@ -57,4 +96,7 @@ studentSchema.index({ firstName: 1 });
 studentSchema.index({ lastName: 1 });
 studentSchema.index({ school: 1 });
 
+studentSchema.plugin(softDeletePlugin);
+studentSchema.plugin(auditTrailPlugin, { omitValues: ['qrCode', 'photoUrl'] });
+
 export default mongoose.model('Student', studentSchema);
@@ -6,6 +6,7 @@ const CSV_TEMPLATE_HEADERS = [
   'lastName',
   'studentId',
   'gradeLevel',
+  'className',
   'age',
   'guardianName',
   'guardianPhone',
@@ -42,6 +42,7 @@ router.get('/qr/export/csv', async (req, res, next) => {
       firstName: s.firstName,
       lastName: s.lastName,
       gradeLevel: s.gradeLevel || '',
+      className: s.className || '',
       qrStatus: s.qrStatus,
       qrGeneratedAt: s.qrGeneratedAt ? s.qrGeneratedAt.toISOString() : '',
     }));
@@ -51,6 +52,7 @@ router.get('/qr/export/csv', async (req, res, next) => {
       'firstName',
       'lastName',
       'gradeLevel',
+      'className',
       'qrStatus',
       'qrGeneratedAt',
     ]);
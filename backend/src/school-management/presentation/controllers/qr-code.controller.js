@@ -1,25 +1,67 @@
 import express from 'express';
 import {
   generateStudentQR,
+  reissueStudentQR,
+  revokeStudentQR,
+  getStudentQRHistory,
   batchGenerateQR,
   listQRCards,
   updateQRStatus,
 } from '../../application/services/qr-code.service.js';
 import { sendSuccess } from '../../application/helpers/response.helper.js';
+import { validateMealCardRevoke } from '../validators/meal-card.validator.js';
 
-// Router for /students/:id/qr and /students/:id/qr/status
+const actorIdOf = (req) => req.user?._id?.toString();
+
+// Router for /students/:id/qr, /students/:id/qr/status and card lifecycle
 const studentQrRouter = express.Router();
 
 // GET /students/:id/qr
 studentQrRouter.get('/:id/qr', async (req, res, next) => {
   try {
-    const student = await generateStudentQR(req.params.id);
+    const student = await generateStudentQR(req.params.id, {
+      issuedBy: actorIdOf(req),
+    });
     return sendSuccess(res, 200, 'QR code generated successfully', student);
   } catch (error) {
     next(error);
   }
 });
 
+// GET /students/:id/qr/history
+studentQrRouter.get('/:id/qr/history', async (req, res, next) => {
+  try {
+    const history = await getStudentQRHistory(req.params.id);
+    return sendSuccess(res, 200, 'Meal card history retrieved successfully', history);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /students/:id/qr/reissue
+studentQrRouter.post('/:id/qr/reissue', async (req, res, next) => {
+  try {
+    const student = await reissueStudentQR(req.params.id, {
+      issuedBy: actorIdOf(req),
+    });
+    return sendSuccess(res, 201, 'Meal card reissued successfully', student);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /students/:id/qr/revoke
+studentQrRouter.post('/:id/qr/revoke', validateMealCardRevoke, async (req, res, next) => {
+  try {
+    const student = await revokeStudentQR(req.params.id, req.body, {
+      revokedBy: actorIdOf(req),
+    });
+    return sendSuccess(res, 200, 'Meal card revoked successfully', student);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // PUT /students/:id/qr/status
 studentQrRouter.put('/:id/qr/status', async (req, res, next) => {
   try {
@@ -37,8 +79,12 @@ const schoolQrRouter = express.Router({ mergeParams: true });
 // POST /schools/:schoolId/qr/batch
 schoolQrRouter.post('/batch', async (req, res, next) => {
   try {
-    const { grade } = req.query;
-    const result = await batchGenerateQR(req.params.schoolId, { grade });
+    const { grade, reissue } = req.query;
+    const result = await batchGenerateQR(
+      req.params.schoolId,
+      { grade, reissue: reissue === 'true' },
+      { issuedBy: actorIdOf(req) }
+    );
     return sendSuccess(res, 200, 'Batch QR generation complete', result);
   } catch (error) {
     next(error);
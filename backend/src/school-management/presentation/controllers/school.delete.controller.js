@@ -6,7 +6,7 @@ const router = express.Router();
 
 router.delete('/:id', async (req, res, next) => {
   try {
-    await deleteSchool(req.params.id);
+    await deleteSchool(req.params.id, req.user?._id);
     return sendSuccess(res, 200, 'School deleted successfully', null);
   } catch (error) {
     next(error);
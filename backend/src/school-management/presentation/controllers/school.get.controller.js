@@ -1,12 +1,13 @@
 import express from 'express';
 import { getAllSchools, getSchoolById } from '../../application/services/school.service.js';
 import { sendSuccess } from '../../application/helpers/response.helper.js';
+import { scopedSchoolIds } from '../../../shared/middleware/school-scope.middleware.js';
 
 const router = express.Router();
 
 router.get('/', async (req, res, next) => {
   try {
-    const schools = await getAllSchools();
+    const schools = await getAllSchools(scopedSchoolIds(req));
     return sendSuccess(res, 200, 'Schools retrieved successfully', schools);
   } catch (error) {
     next(error);
@@ -1,6 +1,7 @@
 import express from 'express';
 import { getDashboardOverview, getSchoolStats } from '../../application/services/stats.service.js';
 import { sendSuccess } from '../../application/helpers/response.helper.js';
+import { scopedSchoolIds } from '../../../shared/middleware/school-scope.middleware.js';
 
 const dashboardRouter = express.Router();
 const schoolStatsRouter = express.Router({ mergeParams: true });
@@ -8,7 +9,7 @@ const schoolStatsRouter = express.Router({ mergeParams: true });
 // GET /dashboard/overview
 dashboardRouter.get('/overview', async (req, res, next) => {
   try {
-    const data = await getDashboardOverview();
+    const data = await getDashboardOverview(scopedSchoolIds(req));
     return sendSuccess(res, 200, 'Dashboard overview retrieved successfully', data);
   } catch (error) {
     next(error);
@@ -7,7 +7,7 @@ const router = express.Router();
 // DELETE /students/:id
 router.delete('/:id', async (req, res, next) => {
   try {
-    await deleteStudent(req.params.id);
+    await deleteStudent(req.params.id, req.user?._id);
     return sendSuccess(res, 200, 'Student deleted successfully', null);
   } catch (error) {
     next(error);
@@ -1,5 +1,5 @@
 import express from 'express';
-import { getStudent, listStudentsForSchool } from '../../application/services/student.service.js';
+import { getStudent, getStudentActivity, listStudentsForSchool } from '../../application/services/student.service.js';
 import { sendSuccess } from '../../application/helpers/response.helper.js';
 
 const router = express.Router({ mergeParams: true });
@@ -14,6 +14,17 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+// GET /students/:id/activity
+router.get('/:id/activity', async (req, res, next) => {
+  try {
+    const limit = req.query.limit ? Number(req.query.limit) : undefined;
+    const activity = await getStudentActivity(req.params.id, { limit });
+    return sendSuccess(res, 200, 'Student activity retrieved successfully', activity);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // GET /students/:id
 router.get('/:id', async (req, res, next) => {
   try {
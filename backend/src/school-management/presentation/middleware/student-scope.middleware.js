@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+import { requireSchoolInScope } from '../../../shared/middleware/school-scope.middleware.js';
+import { findStudentById } from '../../infrastructure/repositories/student.repository.js';
+
+// Refuses /students/:id routes when the student's school is outside the
+// user's assigned schools. Unknown or malformed ids fall through so the
+// route can answer 404 itself.
+const requireStudentInScope = requireSchoolInScope(async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return null;
+  }
+  const student = await findStudentById(req.params.id);
+  return student?.school;
+});
+
+export { requireStudentInScope };
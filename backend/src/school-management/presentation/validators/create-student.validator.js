@@ -1,4 +1,5 @@
 import { AppError } from '../../application/errors/app-error.js';
+import { collectGuardianErrors } from './guardian-fields.js';
 
 const validateCreateStudent = (req, res, next) => {
   const { studentId, firstName, lastName } = req.body || {};
@@ -14,6 +15,8 @@ const validateCreateStudent = (req, res, next) => {
     errors.push({ field: 'lastName', message: 'Last name is required' });
   }
 
+  errors.push(...collectGuardianErrors(req.body?.guardian));
+
   if (errors.length > 0) return next(new AppError(400, 'Validation failed', errors));
   next();
 };
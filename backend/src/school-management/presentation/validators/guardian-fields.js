@@ -0,0 +1,39 @@
+import { GUARDIAN_NOTIFICATION_CHANNELS } from '../../application/constants/guardian-notification-channel.js';
+import { GUARDIAN_LANGUAGES } from '../../application/constants/guardian-language.js';
+
+const collectGuardianErrors = (guardian) => {
+  const errors = [];
+  if (guardian === undefined || guardian === null) {
+    return errors;
+  }
+
+  if (typeof guardian !== 'object' || Array.isArray(guardian)) {
+    errors.push({ field: 'guardian', message: 'Guardian must be an object' });
+    return errors;
+  }
+
+  const { notificationChannels, smsOptOut, preferredLanguage } = guardian;
+  if (
+    notificationChannels !== undefined &&
+    (!Array.isArray(notificationChannels) ||
+      notificationChannels.some((c) => !GUARDIAN_NOTIFICATION_CHANNELS.includes(c)))
+  ) {
+    errors.push({
+      field: 'guardian.notificationChannels',
+      message: `Notification channels must be a list of: ${GUARDIAN_NOTIFICATION_CHANNELS.join(', ')}`,
+    });
+  }
+  if (smsOptOut !== undefined && typeof smsOptOut !== 'boolean') {
+    errors.push({ field: 'guardian.smsOptOut', message: 'smsOptOut must be true or false' });
+  }
+  if (preferredLanguage !== undefined && !GUARDIAN_LANGUAGES.includes(preferredLanguage)) {
+    errors.push({
+      field: 'guardian.preferredLanguage',
+      message: `Preferred language must be one of: ${GUARDIAN_LANGUAGES.join(', ')}`,
+    });
+  }
+
+  return errors;
+};
+
+export { collectGuardianErrors };
@@ -0,0 +1,27 @@
+import { AppError } from '../../application/errors/app-error.js';
+import { MEAL_CARD_REVOKE_REASONS } from '../../application/constants/meal-card.js';
+
+const validateMealCardRevoke = (req, res, next) => {
+  const { reason, notes, reissue } = req.body || {};
+  const errors = [];
+
+  if (!reason || !MEAL_CARD_REVOKE_REASONS.includes(reason)) {
+    errors.push({
+      field: 'reason',
+      message: `Reason must be one of: ${MEAL_CARD_REVOKE_REASONS.join(', ')}`,
+    });
+  }
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    errors.push({ field: 'notes', message: 'Notes must be a string' });
+  }
+  if (reissue !== undefined && typeof reissue !== 'boolean') {
+    errors.push({ field: 'reissue', message: 'Reissue must be a boolean' });
+  }
+
+  if (errors.length > 0) {
+    return next(new AppError(400, 'Validation failed', errors));
+  }
+  next();
+};
+
+export { validateMealCardRevoke };
@@ -1,7 +1,30 @@
 import { AppError } from '../../application/errors/app-error.js';
+import { DIETARY_CONFLICT_POLICIES } from '../../application/constants/dietary-restriction.js';
+import { GUARDIAN_NO_SHOW_DELIVERY_MODES } from '../../application/constants/guardian-notification-channel.js';
+
+const isInvalidOptionalDate = (value) =>
+  value !== undefined && value !== null && value !== '' && Number.isNaN(new Date(value).getTime());
+
+const isInvalidDietaryConflictPolicy = (value) =>
+  value !== undefined && !DIETARY_CONFLICT_POLICIES.includes(value);
+
+const isInvalidNoShowDelivery = (value) =>
+  value !== undefined && !GUARDIAN_NO_SHOW_DELIVERY_MODES.includes(value);
+
+const noShowDeliveryError = {
+  field: 'guardianNoShowDelivery',
+  message: `Must be one of: ${GUARDIAN_NO_SHOW_DELIVERY_MODES.join(', ')}`,
+};
 
 const validateCreateSchool = (req, res, next) => {
-  const { schoolName, managerEmail, districtNumber } = req.body || {};
+  const {
+    schoolName,
+    managerEmail,
+    districtNumber,
+    legacyQrGraceUntil,
+    dietaryConflictPolicy,
+    guardianNoShowDelivery,
+  } = req.body || {};
   const errors = [];
 
   if (!schoolName || schoolName.trim() === '') {
@@ -15,18 +38,36 @@ const validateCreateSchool = (req, res, next) => {
   if (!districtNumber || districtNumber.trim() === '') {
     errors.push({ field: 'districtNumber', message: 'District number is required' });
   }
+  if (isInvalidOptionalDate(legacyQrGraceUntil)) {
+    errors.push({ field: 'legacyQrGraceUntil', message: 'Invalid date' });
+  }
+  if (isInvalidDietaryConflictPolicy(dietaryConflictPolicy)) {
+    errors.push({ field: 'dietaryConflictPolicy', message: `Must be one of: ${DIETARY_CONFLICT_POLICIES.join(', ')}` });
+  }
+  if (isInvalidNoShowDelivery(guardianNoShowDelivery)) {
+    errors.push(noShowDeliveryError);
+  }
 
   if (errors.length > 0) return next(new AppError(400, 'Validation failed', errors));
   next();
 };
 
 const validateUpdateSchool = (req, res, next) => {
-  const { managerEmail } = req.body || {};
+  const { managerEmail, legacyQrGraceUntil, dietaryConflictPolicy, guardianNoShowDelivery } = req.body || {};
   const errors = [];
 
   if (managerEmail !== undefined && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(managerEmail)) {
     errors.push({ field: 'managerEmail', message: 'Invalid email format' });
   }
+  if (isInvalidOptionalDate(legacyQrGraceUntil)) {
+    errors.push({ field: 'legacyQrGraceUntil', message: 'Invalid date' });
+  }
+  if (isInvalidDietaryConflictPolicy(dietaryConflictPolicy)) {
+    errors.push({ field: 'dietaryConflictPolicy', message: `Must be one of: ${DIETARY_CONFLICT_POLICIES.join(', ')}` });
+  }
+  if (isInvalidNoShowDelivery(guardianNoShowDelivery)) {
+    errors.push(noShowDeliveryError);
+  }
 
   if (errors.length > 0) return next(new AppError(400, 'Validation failed', errors));
   next();
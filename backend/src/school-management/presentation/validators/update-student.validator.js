@@ -1,4 +1,5 @@
 import { AppError } from '../../application/errors/app-error.js';
+import { collectGuardianErrors } from './guardian-fields.js';
 
 const validateUpdateStudent = (req, res, next) => {
   const { status } = req.body || {};
@@ -8,6 +9,8 @@ const validateUpdateStudent = (req, res, next) => {
     errors.push({ field: 'status', message: 'Status must be active or draft' });
   }
 
+  errors.push(...collectGuardianErrors(req.body?.guardian));
+
   if (errors.length > 0) return next(new AppError(400, 'Validation failed', errors));
   next();
 };
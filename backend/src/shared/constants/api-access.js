@@ -0,0 +1,106 @@
+import { ROLES } from './roles.js';
+
+/**
+ * API_ACCESS — Role matrix for every protected API area.
+ *
+ * Each area lists the roles allowed to READ it (GET/HEAD) and the roles
+ * allowed to WRITE it (POST/PUT/PATCH/DELETE). The paths each area covers
+ * are wired in shared/middleware/api-access-guards.middleware.js.
+ *
+ * HOW TO ADD AN AREA
+ *   1. Add an entry here built from ROLES.
+ *   2. Mount it on its paths in api-access-guards.middleware.js.
+ *   3. Extend tests/unit-tests/shared/api-access-guards.test.js.
+ *
+ * Nested paths pass through every guard mounted on a prefix of them, so a
+ * nested area (e.g. STUDENTS under /schools/:schoolId) must never grant a
+ * role that its parent area (SCHOOLS) denies.
+ */
+const {
+  ADMIN,
+  SCHOOL_ADMIN,
+  SCHOOL_STAFF,
+  MENU_MANAGER,
+  MEAL_PLANNER,
+  INVENTORY_MANAGER,
+} = ROLES;
+
+/** Every role except UNASSIGNED. */
+const ASSIGNED_ROLES = Object.freeze(
+  Object.values(ROLES).filter((role) => role !== ROLES.UNASSIGNED)
+);
+
+const DISTRIBUTION_ROLES = [ADMIN, SCHOOL_ADMIN, SCHOOL_STAFF];
+
+/**
+ * Roles limited to the schools assigned to the user (User.schoolIds). Every
+ * other role works across all schools. See school-scope.middleware.js.
+ */
+const SCHOOL_SCOPED_ROLES = Object.freeze([SCHOOL_ADMIN, SCHOOL_STAFF]);
+
+const API_ACCESS = Object.freeze({
+  /** School records and school stats; planners read enrollment from here. */
+  SCHOOLS: {
+    read: ASSIGNED_ROLES,
+    write: [ADMIN, SCHOOL_ADMIN],
+  },
+
+  /** Students, dietary profiles, CSV import, meal cards, exports, search. */
+  STUDENTS: {
+    read: DISTRIBUTION_ROLES,
+    write: [ADMIN, SCHOOL_ADMIN],
+  },
+
+  /** Meal sessions, attendance, QR scans, offline scan sync and absences. */
+  MEAL_DISTRIBUTION: {
+    read: DISTRIBUTION_ROLES,
+    write: DISTRIBUTION_ROLES,
+  },
+
+  /** No-show alerts; staff can review and acknowledge them. */
+  NO_SHOW_ALERTS: {
+    read: DISTRIBUTION_ROLES,
+    write: DISTRIBUTION_ROLES,
+  },
+
+  /** Per-school no-show rules. */
+  NO_SHOW_ALERT_SETTINGS: {
+    read: DISTRIBUTION_ROLES,
+    write: [ADMIN, SCHOOL_ADMIN],
+  },
+
+  /** Student meal history and PDF reports (read-only). */
+  MEAL_REPORTS: {
+    read: DISTRIBUTION_ROLES,
+    write: [],
+  },
+
+  /** Recipes and nutrition calculation. */
+  RECIPES: {
+    read: [ADMIN, MENU_MANAGER, MEAL_PLANNER],
+    write: [ADMIN, MENU_MANAGER],
+  },
+
+  /**
+   * Weekly meal plans. Menu managers keep write access because the meal
+   * planning screens are part of their workspace.
+   */
+  MEAL_PLANS: {
+    read: [ADMIN, MEAL_PLANNER, MENU_MANAGER, SCHOOL_ADMIN],
+    write: [ADMIN, MEAL_PLANNER, MENU_MANAGER],
+  },
+
+  /** Inventory items and batches; planners read stock while planning. */
+  INVENTORY: {
+    read: [ADMIN, INVENTORY_MANAGER, MEAL_PLANNER, MENU_MANAGER],
+    write: [ADMIN, INVENTORY_MANAGER],
+  },
+
+  /** User role management and background jobs. */
+  ADMINISTRATION: {
+    read: [ADMIN],
+    write: [ADMIN],
+  },
+});
+
+export { API_ACCESS, ASSIGNED_ROLES, SCHOOL_SCOPED_ROLES };
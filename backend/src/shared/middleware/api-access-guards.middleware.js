@@ -0,0 +1,73 @@
+import express from 'express';
+import { API_ACCESS, ASSIGNED_ROLES } from '../constants/api-access.js';
+import { requireAccess } from './require-access.middleware.js';
+import { requireRole } from './require-role.middleware.js';
+
+/**
+ * Role guards for every API area, mounted once under /api after
+ * `apiRequireAuth` and `attachUser`. Paths are relative to /api and match
+ * by prefix, so a guard also covers everything nested below its path.
+ *
+ * Unassigned users are refused everywhere before any area guard runs.
+ */
+const apiAccessGuards = express.Router();
+
+apiAccessGuards.use(requireRole(ASSIGNED_ROLES));
+
+// ── School management ─────────────────────────────────────────────────
+apiAccessGuards.use(
+  ['/schools', '/dashboard'],
+  requireAccess(API_ACCESS.SCHOOLS)
+);
+apiAccessGuards.use(
+  [
+    '/students',
+    '/schools/:schoolId/students',
+    '/schools/:schoolId/import',
+    '/schools/:schoolId/qr',
+    '/schools/:schoolId/export',
+    '/search',
+  ],
+  requireAccess(API_ACCESS.STUDENTS)
+);
+
+// ── Meal distribution ─────────────────────────────────────────────────
+apiAccessGuards.use(
+  [
+    '/meal-sessions',
+    '/meal-attendance',
+    '/meal-scan',
+    '/meal-distribution/absences',
+  ],
+  requireAccess(API_ACCESS.MEAL_DISTRIBUTION)
+);
+apiAccessGuards.use(
+  '/meal-distribution/no-show-alerts',
+  requireAccess(API_ACCESS.NO_SHOW_ALERTS)
+);
+apiAccessGuards.use(
+  '/meal-distribution/no-show-alerts/settings',
+  requireAccess(API_ACCESS.NO_SHOW_ALERT_SETTINGS)
+);
+apiAccessGuards.use(
+  ['/meal-distribution/student-history', '/meal-distribution/reports'],
+  requireAccess(API_ACCESS.MEAL_REPORTS)
+);
+
+// ── Menu management & meal planning ───────────────────────────────────
+apiAccessGuards.use(
+  ['/recipes', '/nutrition'],
+  requireAccess(API_ACCESS.RECIPES)
+);
+apiAccessGuards.use('/meal-plans', requireAccess(API_ACCESS.MEAL_PLANS));
+
+// ── Inventory ─────────────────────────────────────────────────────────
+apiAccessGuards.use('/inventory', requireAccess(API_ACCESS.INVENTORY));
+
+// ── Administration ────────────────────────────────────────────────────
+apiAccessGuards.use(
+  ['/users', '/admin'],
+  requireAccess(API_ACCESS.ADMINISTRATION)
+);
+
+export { apiAccessGuards };
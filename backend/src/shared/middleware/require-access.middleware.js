@@ -0,0 +1,21 @@
+import { requireRole } from './require-role.middleware.js';
+
+const READ_METHODS = new Set(['GET', 'HEAD']);
+
+/**
+ * Factory that enforces an API_ACCESS policy: GET/HEAD requests need one of
+ * the policy's read roles, every other method one of its write roles.
+ * Must be used AFTER `apiRequireAuth` and `attachUser` in the middleware chain.
+ *
+ * @param {{ read: string[], write: string[] }} policy - An API_ACCESS entry.
+ * @returns {import('express').RequestHandler}
+ */
+export const requireAccess = (policy) => {
+  const requireRead = requireRole(policy.read);
+  const requireWrite = requireRole(policy.write);
+
+  return (req, res, next) =>
+    READ_METHODS.has(req.method)
+      ? requireRead(req, res, next)
+      : requireWrite(req, res, next);
+};
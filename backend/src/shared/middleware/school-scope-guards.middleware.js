@@ -0,0 +1,23 @@
+import express from 'express';
+import { requireSchoolInScope } from './school-scope.middleware.js';
+
+/**
+ * School-scope checks for every API area, mounted once under /api after
+ * `apiAccessGuards` and `attachSchoolScope`. They cover schools named
+ * directly in the request; records addressed by their own id (students,
+ * sessions, attendance, alerts, meal plans) are checked by their module.
+ */
+const schoolScopeGuards = express.Router();
+
+// ?schoolId= on any route and { schoolId } in any body
+schoolScopeGuards.use(
+  requireSchoolInScope((req) => [req.query?.schoolId, req.body?.schoolId])
+);
+
+// School ids in the path
+schoolScopeGuards.use(
+  ['/schools/:schoolId', '/meal-plans/school/:schoolId'],
+  requireSchoolInScope((req) => req.params.schoolId)
+);
+
+export { schoolScopeGuards };
@@ -0,0 +1,118 @@
+import { userRepository } from '../../user-management/infrastructure/repositories/user.repository.js';
+import { SCHOOL_SCOPED_ROLES } from '../constants/api-access.js';
+
+const UNRESTRICTED_SCOPE = Object.freeze({
+  restricted: false,
+  schoolIds: null,
+});
+
+// Accepts raw ids, ObjectIds and populated school documents
+const toSchoolIdString = (value) => {
+  if (value && typeof value === 'object' && value._id) {
+    return String(value._id);
+  }
+  return String(value).trim();
+};
+
+// Union of the legacy single `schoolId` and the `schoolIds` list
+const assignedSchoolIds = (user) => {
+  const ids = [...(user?.schoolIds ?? []), user?.schoolId]
+    .filter(Boolean)
+    .map(toSchoolIdString);
+  return [...new Set(ids)];
+};
+
+/**
+ * Resolves which schools the signed-in user may reach and stores it on
+ * `req.schoolScope`:
+ *   - `{ restricted: false, schoolIds: null }` for roles that work across
+ *     every school;
+ *   - `{ restricted: true, schoolIds: [...] }` for SCHOOL_SCOPED_ROLES.
+ *
+ * The session token only carries the user's id and role, so scoped users are
+ * loaded from MongoDB unless attachUser already attached the full document.
+ * Must be used AFTER `attachUser` in the middleware chain.
+ *
+ * @type {import('express').RequestHandler}
+ */
+export const attachSchoolScope = async (req, res, next) => {
+  try {
+    if (!SCHOOL_SCOPED_ROLES.includes(req.user?.role)) {
+      req.schoolScope = UNRESTRICTED_SCOPE;
+      return next();
+    }
+
+    const user = Array.isArray(req.user.schoolIds)
+      ? req.user
+      : await userRepository.findById(req.user._id);
+
+    req.schoolScope = { restricted: true, schoolIds: assignedSchoolIds(user) };
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * School ids the request may reach, or null when every school is allowed.
+ * Services use it to narrow list queries for scoped users.
+ *
+ * @param {import('express').Request} req
+ * @returns {string[]|null}
+ */
+export const scopedSchoolIds = (req) => {
+  if (!req.schoolScope) {
+    return [];
+  }
+  return req.schoolScope.restricted ? req.schoolScope.schoolIds : null;
+};
+
+/**
+ * @param {import('express').Request} req
+ * @param {*} schoolId - Id, ObjectId or populated school document.
+ * @returns {boolean}
+ */
+export const isSchoolInScope = (req, schoolId) => {
+  const allowed = scopedSchoolIds(req);
+  return allowed === null || allowed.includes(toSchoolIdString(schoolId));
+};
+
+/**
+ * Factory that refuses the request with 403 when it touches a school outside
+ * the user's scope. `resolveSchoolIds(req)` returns the school id(s) the
+ * request touches and may be async; empty values are skipped so the route
+ * can still answer 400/404 for missing or unknown records.
+ * Must be used AFTER `attachSchoolScope` in the middleware chain.
+ *
+ * @param {(req: import('express').Request) => *} resolveSchoolIds
+ * @returns {import('express').RequestHandler}
+ */
+export const requireSchoolInScope = (resolveSchoolIds) => {
+  return async (req, res, next) => {
+    if (!req.schoolScope) {
+      return res.status(403).json({
+        message:
+          'School scope not attached to request — ensure attachSchoolScope runs before requireSchoolInScope',
+      });
+    }
+    if (!req.schoolScope.restricted) {
+      return next();
+    }
+
+    try {
+      const schoolIds = [await resolveSchoolIds(req)]
+        .flat()
+        .filter((id) => id !== undefined && id !== null && id !== '');
+
+      if (schoolIds.every((schoolId) => isSchoolInScope(req, schoolId))) {
+        return next();
+      }
+
+      return res.status(403).json({
+        message: 'Forbidden: school is outside your assigned schools',
+      });
+    } catch (err) {
+      next(err);
+    }
+  };
+};
@@ -0,0 +1,58 @@
+// Mongoose plugin for soft deletion. Adds `deletedAt` / `deletedBy` and hides
+// deleted documents from every query, aggregate and populate by default.
+// A query sees deleted documents when it opts in with
+// `.setOptions({ withDeleted: true })` (historical reports, reference lookups)
+// or filters on `deletedAt` itself (the trash listing and purge job).
+//
+// Register it BEFORE auditTrailPlugin so the audit hooks read the same
+// records the query writes.
+
+const QUERY_HOOKS = [
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'deleteMany',
+  'deleteOne',
+  'replaceOne',
+  'updateMany',
+  'updateOne',
+];
+
+export const NOT_DELETED = Object.freeze({ deletedAt: null });
+
+export function softDeletePlugin(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    // User id of whoever moved the record to the trash
+    deletedBy: { type: String, default: null },
+  });
+
+  schema.pre(QUERY_HOOKS, function () {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) {
+      return;
+    }
+    this.where(NOT_DELETED);
+  });
+
+  schema.pre('aggregate', function () {
+    if (this.options?.withDeleted) {
+      return;
+    }
+    this.pipeline().unshift({ $match: NOT_DELETED });
+  });
+}
+
+/**
+ * Update that moves a record to the trash.
+ *
+ * @param {string|null|undefined} deletedBy - User id of the actor.
+ * @returns {{ deletedAt: Date, deletedBy: string|null }}
+ */
+export const toSoftDeleteUpdate = (deletedBy) => ({
+  deletedAt: new Date(),
+  deletedBy: deletedBy ? String(deletedBy) : null,
+});
@@ -0,0 +1,14 @@
+export function toTrashItemResponse(
+  entityType,
+  doc,
+  { label, purgeAfter = null } = {}
+) {
+  return {
+    entityType,
+    id: doc._id?.toString(),
+    label: label ?? null,
+    deletedAt: doc.deletedAt ?? null,
+    deletedBy: doc.deletedBy ?? null,
+    purgeAfter,
+  };
+}
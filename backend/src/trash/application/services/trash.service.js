@@ -0,0 +1,146 @@
+// Trash view, restore and retention purge for soft-deleted records. Records
+// reach the trash through their own module's delete endpoint; the purge job
+// deletes them for good once the retention period is over, unless other
+// records still reference them.
+import { toTrashItemResponse } from '../dtos/responses/trash-item-response.dto.js';
+
+export const DEFAULT_RETENTION_DAYS = 30;
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+// Records kept back by a purge run that are listed in its result
+const MAX_REPORTED_KEPT = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class TrashService {
+  constructor({ trashRepository, retentionDays = DEFAULT_RETENTION_DAYS }) {
+    this.trashRepository = trashRepository;
+    this.retentionDays = retentionDays;
+  }
+
+  entityTypes() {
+    return this.trashRepository.entityTypes();
+  }
+
+  isEntityType(entityType) {
+    return this.entityTypes().includes(entityType);
+  }
+
+  purgeAfter(deletedAt) {
+    return deletedAt
+      ? new Date(new Date(deletedAt).getTime() + this.retentionDays * DAY_MS)
+      : null;
+  }
+
+  toItem(entityType, doc) {
+    return toTrashItemResponse(entityType, doc, {
+      label: this.trashRepository.label(entityType, doc),
+      purgeAfter: this.purgeAfter(doc.deletedAt),
+    });
+  }
+
+  /**
+   * Trashed records, most recently deleted first, across every entity type
+   * unless one is given.
+   * @param {{ entityType?: string, page?: number, limit?: number }} filters
+   * @returns {Promise<{ items: Array, page: number, limit: number, total: number }
+   *   | { error: 'UNKNOWN_ENTITY_TYPE' }>}
+   */
+  async listTrash({ entityType, page: pageValue, limit: limitValue } = {}) {
+    if (entityType && !this.isEntityType(entityType)) {
+      return { error: 'UNKNOWN_ENTITY_TYPE' };
+    }
+
+    const page = Math.max(1, Number(pageValue) || 1);
+    const limit = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, Number(limitValue) || DEFAULT_PAGE_SIZE)
+    );
+    const types = entityType ? [entityType] : this.entityTypes();
+
+    // The first page * limit records of each type are enough to merge any page
+    const perType = await Promise.all(
+      types.map(async (type) => ({
+        type,
+        docs: await this.trashRepository.findDeleted(type, {
+          limit: page * limit,
+        }),
+        total: await this.trashRepository.countDeleted(type),
+      }))
+    );
+
+    const items = perType
+      .flatMap(({ type, docs }) => docs.map((doc) => ({ type, doc })))
+      .sort((a, b) => new Date(b.doc.deletedAt) - new Date(a.doc.deletedAt))
+      .slice((page - 1) * limit, page * limit)
+      .map(({ type, doc }) => this.toItem(type, doc));
+
+    return {
+      items,
+      page,
+      limit,
+      total: perType.reduce((sum, { total }) => sum + total, 0),
+    };
+  }
+
+  /**
+   * @returns {Promise<{ item: Object }
+   *   | { error: 'UNKNOWN_ENTITY_TYPE' | 'NOT_IN_TRASH' }>}
+   */
+  async restore(entityType, id) {
+    if (!this.isEntityType(entityType)) {
+      return { error: 'UNKNOWN_ENTITY_TYPE' };
+    }
+    const doc = await this.trashRepository.restore(entityType, id);
+    if (!doc) {
+      return { error: 'NOT_IN_TRASH' };
+    }
+    return { item: this.toItem(entityType, doc) };
+  }
+
+  /**
+   * Deletes records trashed before the retention cutoff. Records that are
+   * still referenced stay in the trash and are reported as kept.
+   * @param {{ now?: Date }} [options]
+   */
+  async purgeExpired({ now = new Date() } = {}) {
+    const cutoff = new Date(now.getTime() - this.retentionDays * DAY_MS);
+    const purged = {};
+    const kept = [];
+
+    for (const entityType of this.entityTypes()) {
+      purged[entityType] = 0;
+      const expired = await this.trashRepository.findExpired(
+        entityType,
+        cutoff
+      );
+
+      for (const doc of expired) {
+        const referencedBy = await this.trashRepository.findReferences(
+          entityType,
+          doc
+        );
+        if (referencedBy.length > 0) {
+          kept.push({
+            entityType,
+            id: String(doc._id),
+            label: this.trashRepository.label(entityType, doc),
+            referencedBy,
+          });
+          continue;
+        }
+        purged[entityType] += await this.trashRepository.purge(
+          entityType,
+          doc._id
+        );
+      }
+    }
+
+    return {
+      cutoff,
+      purged,
+      keptTotal: kept.length,
+      kept: kept.slice(0, MAX_REPORTED_KEPT),
+    };
+  }
+}
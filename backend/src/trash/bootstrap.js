@@ -0,0 +1,6 @@
+import { trashService } from './integration.js';
+import { createTrashController } from './presentation/controllers/trash.controller.js';
+
+const createTrashRouter = () => createTrashController(trashService);
+
+export { createTrashRouter };
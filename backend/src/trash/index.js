@@ -0,0 +1,3 @@
+import { createTrashRouter } from './bootstrap.js';
+
+export { createTrashRouter };
@@ -0,0 +1,148 @@
+// Reads and writes soft-deleted records of every trashable model. Each entry
+// says how a record is labelled in the trash view, what restoring it resets,
+// and which records still reference it (those keep it from being purged).
+import School from '../../../school-management/infrastructure/schemas/school.schema.js';
+import Student from '../../../school-management/infrastructure/schemas/student.schema.js';
+import RecipeSchema from '../../../menu-management/infrastructure/schemas/RecipeSchema.js';
+import MealPlanSchema from '../../../meal-planning/infrastructure/schemas/MealPlanSchema.js';
+import { MealSession } from '../../../meal-distribution/infrastructure/schemas/meal-session.schema.js';
+import { MealAttendance } from '../../../meal-distribution/infrastructure/schemas/meal-attendance.schema.js';
+
+const WITH_DELETED = { withDeleted: true };
+const IN_TRASH = { deletedAt: { $ne: null } };
+
+const TRASH_ENTITIES = {
+  School: {
+    model: School,
+    label: (doc) => doc.schoolName,
+    findReferences: async (doc) => {
+      const schoolId = String(doc._id);
+      const [students, sessions, plans] = await Promise.all([
+        Student.exists({ school: doc._id }).setOptions(WITH_DELETED),
+        MealSession.exists({ schoolId }),
+        MealPlanSchema.exists({ schoolId }).setOptions(WITH_DELETED),
+      ]);
+      return [
+        students && 'students',
+        sessions && 'meal sessions',
+        plans && 'meal plans',
+      ].filter(Boolean);
+    },
+  },
+  Student: {
+    model: Student,
+    label: (doc) => `${doc.firstName} ${doc.lastName} (${doc.studentId})`,
+    // Attendance refers to students by their business studentId
+    findReferences: async (doc) =>
+      (await MealAttendance.exists({ studentId: doc.studentId }))
+        ? ['meal attendance']
+        : [],
+  },
+  Recipe: {
+    model: RecipeSchema,
+    label: (doc) => doc.name,
+    restoreUpdate: () => ({ isActive: true }),
+    findReferences: async (doc) =>
+      (await MealPlanSchema.exists({ 'meals.recipeId': doc._id }).setOptions(
+        WITH_DELETED
+      ))
+        ? ['meal plans']
+        : [],
+  },
+  MealPlan: {
+    model: MealPlanSchema,
+    label: (doc) =>
+      `${doc.schoolName || doc.schoolId} — week of ${new Date(doc.weekStartDate)
+        .toISOString()
+        .slice(0, 10)}`,
+    // Its reservations were released when it was trashed, so a confirmed
+    // plan has to be confirmed again
+    restoreUpdate: (doc) =>
+      doc.status === 'confirmed' ? { status: 'planned' } : {},
+    // Sessions of its school during its week were served from it
+    findReferences: async (doc) =>
+      (await MealSession.exists({
+        schoolId: doc.schoolId,
+        date: { $gte: doc.weekStartDate, $lte: doc.weekEndDate },
+      }))
+        ? ['meal sessions']
+        : [],
+  },
+};
+
+export const TRASH_ENTITY_TYPES = Object.freeze(Object.keys(TRASH_ENTITIES));
+
+const isCastError = (error) => error?.name === 'CastError';
+
+export class TrashRepository {
+  entityTypes() {
+    return TRASH_ENTITY_TYPES;
+  }
+
+  label(entityType, doc) {
+    return TRASH_ENTITIES[entityType].label(doc);
+  }
+
+  // Most recently trashed first
+  async findDeleted(entityType, { limit = 50 } = {}) {
+    return TRASH_ENTITIES[entityType].model
+      .find(IN_TRASH)
+      .sort({ deletedAt: -1, _id: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  async countDeleted(entityType) {
+    return TRASH_ENTITIES[entityType].model.countDocuments(IN_TRASH);
+  }
+
+  // Trashed on or before the cutoff
+  async findExpired(entityType, cutoff) {
+    return TRASH_ENTITIES[entityType].model
+      .find({ deletedAt: { $ne: null, $lte: cutoff } })
+      .lean();
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The restored record, or null when it is
+   *   not in the trash
+   */
+  async restore(entityType, id) {
+    const { model, restoreUpdate = () => ({}) } = TRASH_ENTITIES[entityType];
+    try {
+      const doc = await model.findOne({ _id: id, ...IN_TRASH }).lean();
+      if (!doc) {
+        return null;
+      }
+      return await model
+        .findOneAndUpdate(
+          { _id: id, ...IN_TRASH },
+          { deletedAt: null, deletedBy: null, ...restoreUpdate(doc) },
+          { new: true }
+        )
+        .lean();
+    } catch (error) {
+      if (isCastError(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Promise<string[]>} What still references the record; empty
+   *   when it is safe to purge
+   */
+  async findReferences(entityType, doc) {
+    return TRASH_ENTITIES[entityType].findReferences(doc);
+  }
+
+  // Only ever removes records that are still in the trash
+  async purge(entityType, id) {
+    const { deletedCount } = await TRASH_ENTITIES[entityType].model.deleteOne({
+      _id: id,
+      ...IN_TRASH,
+    });
+    return deletedCount;
+  }
+}
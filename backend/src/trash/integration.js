@@ -0,0 +1,20 @@
+// Public surface of the trash module for other modules: the retention purge
+// run by the job scheduler.
+import { TrashRepository } from './infrastructure/repositories/trash.repository.js';
+import {
+  DEFAULT_RETENTION_DAYS,
+  TrashService,
+} from './application/services/trash.service.js';
+
+export const trashService = new TrashService({
+  trashRepository: new TrashRepository(),
+  retentionDays:
+    Number(process.env.TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS,
+});
+
+export const trashIntegrationService = {
+  /** @param {{ now?: Date }} [options] */
+  purgeExpired(options) {
+    return trashService.purgeExpired(options);
+  },
+};
@@ -0,0 +1,53 @@
+import express from 'express';
+
+const unknownEntityType = (res, trashService) =>
+  res.status(400).json({
+    message: `entityType must be one of: ${trashService
+      .entityTypes()
+      .join(', ')}`,
+  });
+
+export const createTrashController = (trashService) => {
+  const router = express.Router();
+
+  // List: GET /api/admin/trash?entityType=&page=&limit=
+  router.get('/', async (req, res, next) => {
+    try {
+      const { entityType, page, limit } = req.query;
+      if ((page && !(Number(page) >= 1)) || (limit && !(Number(limit) >= 1))) {
+        return res
+          .status(400)
+          .json({ message: 'page and limit must be positive numbers' });
+      }
+
+      const result = await trashService.listTrash({ entityType, page, limit });
+      if (result.error === 'UNKNOWN_ENTITY_TYPE') {
+        return unknownEntityType(res, trashService);
+      }
+      return res.status(200).json(result);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Restore: POST /api/admin/trash/:entityType/:id/restore
+  router.post('/:entityType/:id/restore', async (req, res, next) => {
+    try {
+      const result = await trashService.restore(
+        req.params.entityType,
+        req.params.id
+      );
+      if (result.error === 'UNKNOWN_ENTITY_TYPE') {
+        return unknownEntityType(res, trashService);
+      }
+      if (result.error === 'NOT_IN_TRASH') {
+        return res.status(404).json({ message: 'Record not found in trash' });
+      }
+      return res.status(200).json(result.item);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
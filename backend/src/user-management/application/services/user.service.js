@@ -117,6 +117,36 @@ class UserService {
     return updatedUser;
   }
 
+  /**
+   * Assigns the schools a school-scoped user (school admin or staff) may
+   * access. Duplicates are dropped; an empty list removes all access.
+   * Only MongoDB changes: the assignment is read per request, not from the
+   * session token, so no Clerk metadata update or token refresh is needed.
+   *
+   * @param {string} userId - The internal MongoDB user _id
+   * @param {string[]} schoolIds - MongoDB School _ids
+   * @returns {Promise<Object>} The updated User MongoDB document
+   */
+  async updateUserSchoolsById(userId, schoolIds) {
+    if (!userId || !Array.isArray(schoolIds)) {
+      throw new Error(
+        'userId and a schoolIds array are strictly required to update schools'
+      );
+    }
+
+    const uniqueSchoolIds = [...new Set(schoolIds.map(String))];
+    const updatedUser = await userRepository.updateSchoolsById(
+      userId,
+      uniqueSchoolIds
+    );
+
+    if (!updatedUser) {
+      throw new Error('User not found for provided userId');
+    }
+
+    return updatedUser;
+  }
+
   /**
    * DANGEROUS: Permanently deletes a user from Clerk and MongoDB.
    * Use this only from an admin-only frontend flow with a confirmation popup.
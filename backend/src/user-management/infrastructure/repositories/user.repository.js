@@ -140,6 +140,21 @@ class UserRepository {
       { new: true }
     );
   }
+
+  /**
+   * Replace the schools a user is assigned to by internal MongoDB ID.
+   * The first school also becomes the user's primary `schoolId`.
+   * @param {string} userId
+   * @param {string[]} schoolIds
+   * @returns {Promise<Object|null>}
+   */
+  async updateSchoolsById(userId, schoolIds) {
+    return UserModel.findByIdAndUpdate(
+      userId,
+      { $set: { schoolIds, schoolId: schoolIds[0] ?? null } },
+      { new: true }
+    );
+  }
 }
 
 export const userRepository = new UserRepository();
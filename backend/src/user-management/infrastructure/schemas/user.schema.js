@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { auditTrailPlugin } from '../../../audit-log/integration.js';
 import { ROLES } from '../../../shared/constants/roles.js';
 
 const userSchema = new mongoose.Schema(
@@ -7,16 +8,21 @@ const userSchema = new mongoose.Schema(
     email: { type: String, default: '', index: true },
     name: { type: String, default: '' },
     role: { type: String, default: ROLES.UNASSIGNED },
+    // Primary school; kept in sync with the first entry of schoolIds
     schoolId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'School',
       default: null,
     },
+    // Every school a school admin or staff member may access
+    schoolIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'School' }],
     preferences: { type: mongoose.Schema.Types.Mixed, default: {} },
   },
   { timestamps: true }
 );
 
+userSchema.plugin(auditTrailPlugin);
+
 const UserModel = mongoose.models.User || mongoose.model('User', userSchema);
 
 export { UserModel };
@@ -16,6 +16,9 @@ export const userManagementRouter = express.Router();
  * Updates a user's role in MongoDB and Clerk metadata.
  * Guard middleware is intentionally omitted for now.
  *
+ * PATCH /api/users/by-id/:userId/schools
+ * Replaces the schools a school admin or staff member may access.
+ *
  * DELETE /api/users/by-id/:userId
  * DELETE /api/users/by-clerk/:clerkId
  * DANGEROUS: permanently deletes a user from Clerk and MongoDB.
@@ -157,6 +160,57 @@ userManagementRouter.patch('/by-clerk/:clerkId/role', async (req, res) => {
   return updateRoleAndRespond(req, res, 'by-clerk');
 });
 
+userManagementRouter.patch('/by-id/:userId/schools', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { schoolIds } = req.body;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid MongoDB userId path param is required',
+      });
+    }
+
+    if (
+      !Array.isArray(schoolIds) ||
+      !schoolIds.every((id) => mongoose.Types.ObjectId.isValid(String(id)))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'schoolIds in body must be an array of valid MongoDB ids',
+      });
+    }
+
+    const updatedUser = await userService.updateUserSchoolsById(
+      userId,
+      schoolIds
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: 'User schools updated successfully',
+      data: {
+        _id: updatedUser._id,
+        clerkId: updatedUser.clerkId,
+        role: updatedUser.role,
+        schoolId: updatedUser.schoolId,
+        schoolIds: updatedUser.schoolIds,
+      },
+    });
+  } catch (error) {
+    const statusCode = error.message?.toLowerCase().includes('not found')
+      ? 404
+      : 500;
+
+    return res.status(statusCode).json({
+      success: false,
+      message: 'Failed to update user schools',
+      error: error.message,
+    });
+  }
+});
+
 userManagementRouter.delete('/by-id/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
@@ -0,0 +1,86 @@
+import { jest } from '@jest/globals';
+import { AuditLogService } from '../../../src/audit-log/application/services/audit-log.service.js';
+
+// --- Helpers ---
+const buildService = () => {
+  const auditLogRepository = {
+    createMany: jest.fn(async (docs) => docs),
+    findPage: jest.fn(async () => ({ items: [], total: 0 })),
+  };
+  return {
+    service: new AuditLogService({ auditLogRepository }),
+    auditLogRepository,
+  };
+};
+
+const ACTOR = { source: 'JOB', actorId: null, jobName: 'nightly' };
+
+describe('AuditLogService.recordChanges', () => {
+  it('stores field changes with the actor and skips no-op updates', async () => {
+    const { service, auditLogRepository } = buildService();
+
+    const stored = await service.recordChanges([
+      {
+        entityType: 'Student',
+        entityId: 's1',
+        action: 'UPDATE',
+        before: { mealEligibilityStatus: 'pending' },
+        after: { mealEligibilityStatus: 'eligible' },
+        actor: ACTOR,
+      },
+      {
+        entityType: 'Student',
+        entityId: 's2',
+        action: 'UPDATE',
+        before: { firstName: 'Ada' },
+        after: { firstName: 'Ada' },
+        actor: ACTOR,
+      },
+    ]);
+
+    expect(stored).toBe(1);
+    const [docs] = auditLogRepository.createMany.mock.calls[0];
+    expect(docs).toEqual([
+      expect.objectContaining({
+        entityId: 's1',
+        source: 'JOB',
+        jobName: 'nightly',
+        changes: [
+          {
+            path: 'mealEligibilityStatus',
+            before: 'pending',
+            after: 'eligible',
+          },
+        ],
+      }),
+    ]);
+  });
+});
+
+describe('AuditLogService.listEntries', () => {
+  it('filters by entity, actor and date range and caps the page size', async () => {
+    const { service, auditLogRepository } = buildService();
+
+    const result = await service.listEntries({
+      entityType: 'MealAttendance',
+      actorId: 'user-1',
+      dateFrom: '2026-03-01',
+      dateTo: '2026-03-31',
+      page: '3',
+      limit: '1000',
+    });
+
+    expect(auditLogRepository.findPage).toHaveBeenCalledWith(
+      {
+        entityType: 'MealAttendance',
+        actorId: 'user-1',
+        occurredAt: {
+          $gte: new Date('2026-03-01'),
+          $lte: new Date('2026-03-31'),
+        },
+      },
+      { skip: 400, limit: 200 }
+    );
+    expect(result).toEqual({ items: [], page: 3, limit: 200, total: 0 });
+  });
+});
@@ -0,0 +1,175 @@
+import { jest } from '@jest/globals';
+import { createAuditTrailPlugin } from '../../../src/audit-log/infrastructure/plugins/audit-trail.plugin.js';
+import { runWithAuditActor } from '../../../src/audit-log/application/context/audit-context.js';
+import { diffSnapshots } from '../../../src/audit-log/application/utils/audit-diff.util.js';
+
+// --- Helpers ---
+// Collects the hooks the plugin registers so they can be called directly
+const buildSchema = () => {
+  const hooks = { pre: {}, post: {} };
+  const register = (kind) => (names, fn) =>
+    [names].flat().forEach((name) => {
+      hooks[kind][name] = fn;
+    });
+  return { pre: register('pre'), post: register('post'), hooks };
+};
+
+const chain = (result) => {
+  const query = {
+    setOptions: () => query,
+    sort: () => query,
+    select: () => query,
+    lean: async () => result,
+  };
+  return query;
+};
+
+const ACTOR = {
+  source: 'API',
+  actorId: 'user-1',
+  actorRole: 'school_staff',
+  requestMethod: 'PUT',
+  requestPath: '/api/meal-attendance/a1',
+};
+
+const setup = (options) => {
+  const auditLogService = { recordChanges: jest.fn(async () => 1) };
+  const schema = buildSchema();
+  createAuditTrailPlugin(auditLogService)(schema, options);
+  return { auditLogService, hooks: schema.hooks };
+};
+
+// ─── Query writes ─────────────────────────────────────────────────────────────
+
+describe('auditTrailPlugin query hooks', () => {
+  it('attributes an update to the actor in context and diffs the record', async () => {
+    const { auditLogService, hooks } = setup();
+    const before = { _id: 'a1', status: 'NO_SHOW', studentId: 'S-1' };
+    const after = { ...before, status: 'PRESENT' };
+    const query = {
+      op: 'findOneAndUpdate',
+      getFilter: () => ({ _id: 'a1' }),
+      getOptions: () => ({}),
+      model: {
+        modelName: 'MealAttendance',
+        findOne: () => chain(before),
+        find: () => chain([after]),
+      },
+    };
+
+    await runWithAuditActor(ACTOR, () =>
+      hooks.pre.findOneAndUpdate.call(query)
+    );
+    await hooks.post.findOneAndUpdate.call(query, after);
+
+    const [[changes]] = auditLogService.recordChanges.mock.calls;
+    expect(changes).toEqual([
+      {
+        entityType: 'MealAttendance',
+        entityId: 'a1',
+        action: 'UPDATE',
+        before,
+        after,
+        actor: expect.objectContaining({ actorId: 'user-1', source: 'API' }),
+      },
+    ]);
+    expect(diffSnapshots(changes[0].before, changes[0].after)).toEqual([
+      { path: 'status', before: 'NO_SHOW', after: 'PRESENT' },
+    ]);
+  });
+
+  it('records deletes and falls back to SYSTEM outside a request', async () => {
+    const { auditLogService, hooks } = setup();
+    const before = { _id: 'i1', name: 'Rice' };
+    const query = {
+      op: 'findOneAndDelete',
+      getFilter: () => ({ _id: 'i1' }),
+      getOptions: () => ({}),
+      model: {
+        modelName: 'InventoryItem',
+        findOne: () => chain(before),
+        find: () => chain([]),
+      },
+    };
+
+    await hooks.pre.findOneAndDelete.call(query);
+    await hooks.post.findOneAndDelete.call(query);
+
+    expect(auditLogService.recordChanges).toHaveBeenCalledWith([
+      expect.objectContaining({
+        action: 'DELETE',
+        before,
+        after: null,
+        actor: expect.objectContaining({ source: 'SYSTEM', actorId: null }),
+      }),
+    ]);
+  });
+
+  it('never fails the write when recording fails', async () => {
+    const { auditLogService, hooks } = setup();
+    auditLogService.recordChanges.mockRejectedValueOnce(new Error('down'));
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const query = {
+      op: 'deleteOne',
+      getFilter: () => ({ _id: 'x' }),
+      getOptions: () => ({}),
+      model: {
+        modelName: 'School',
+        findOne: () => chain({ _id: 'x' }),
+        find: () => chain([]),
+      },
+    };
+
+    await hooks.pre.deleteOne.call(query);
+    await expect(hooks.post.deleteOne.call(query)).resolves.toBeUndefined();
+    expect(errorSpy).toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+});
+
+// ─── Document saves ───────────────────────────────────────────────────────────
+
+describe('auditTrailPlugin save hooks', () => {
+  it('records creates and stores omitted paths as a digest', async () => {
+    const { auditLogService, hooks } = setup({ omitValues: ['qrCode'] });
+    const doc = {
+      _id: 's1',
+      isNew: true,
+      $locals: {},
+      constructor: { modelName: 'Student' },
+      toObject: () => ({ _id: 's1', firstName: 'Ada', qrCode: 'data:...' }),
+    };
+
+    await runWithAuditActor(ACTOR, () => hooks.pre.save.call(doc));
+    await hooks.post.save.call(doc, doc);
+
+    const [[[change]]] = auditLogService.recordChanges.mock.calls;
+    expect(change).toMatchObject({ entityType: 'Student', action: 'CREATE' });
+    expect(change.after.firstName).toBe('Ada');
+    expect(change.after.qrCode).toMatch(/^\[omitted:[0-9a-f]{12}\]$/);
+  });
+});
+
+// ─── diffSnapshots ────────────────────────────────────────────────────────────
+
+describe('diffSnapshots', () => {
+  it('walks nested objects, compares arrays whole and skips bookkeeping', () => {
+    expect(
+      diffSnapshots(
+        {
+          guardian: { name: 'A', phone: '1' },
+          batches: [{ quantity: 5 }],
+          updatedAt: '2026-01-01',
+        },
+        {
+          guardian: { name: 'A', phone: '2' },
+          batches: [],
+          updatedAt: '2026-01-02',
+        }
+      )
+    ).toEqual([
+      { path: 'guardian.phone', before: '1', after: '2' },
+      { path: 'batches', before: [{ quantity: 5 }], after: [] },
+    ]);
+  });
+});
@@ -0,0 +1,239 @@
+import { jest } from '@jest/globals';
+import { InventoryMovementService } from '../../../src/inventory/application/services/inventory-movement.service.js';
+import { runWithAuditActor } from '../../../src/audit-log/integration.js';
+
+const batchId = (value) => ({ toString: () => value });
+
+const buildItem = (quantities, receivedAt = {}) => ({
+  _id: 'item-rice',
+  name: 'Rice',
+  batches: Object.entries(quantities).map(([id, quantity]) => ({
+    _id: batchId(id),
+    quantity,
+    receivedAt: receivedAt[id] ?? new Date('2026-01-05T00:00:00.000Z'),
+  })),
+});
+
+const buildService = ({
+  ledger = new Map(),
+  ledgerStartedAt = null,
+  openedBatchIds = new Set(),
+} = {}) => {
+  const inventoryMovementRepository = {
+    createMany: jest.fn(async (docs) => docs),
+    findMany: jest.fn(async () => []),
+    sumByItemAndBatch: jest.fn(async () => ledger),
+    findFirstMovementAt: jest.fn(async () => ledgerStartedAt),
+    findBatchIdsByType: jest.fn(async () => openedBatchIds),
+  };
+  const service = new InventoryMovementService({ inventoryMovementRepository });
+
+  return { service, inventoryMovementRepository };
+};
+
+describe('InventoryMovementService.recordBatchChanges', () => {
+  it('records one movement per changed batch with the acting user', async () => {
+    const { service, inventoryMovementRepository } = buildService();
+
+    await runWithAuditActor(
+      { source: 'API', actorId: 'user-1', actorRole: 'inventory_manager' },
+      () =>
+        service.recordBatchChanges(
+          buildItem({ early: 30, late: 40, other: 5 }),
+          buildItem({ late: 35, other: 5 }),
+          { type: 'WASTAGE', reason: 'Spilled' }
+        )
+    );
+
+    const [docs] = inventoryMovementRepository.createMany.mock.calls[0];
+    expect(docs).toEqual([
+      {
+        itemId: 'item-rice',
+        batchId: 'early',
+        type: 'WASTAGE',
+        quantity: -30,
+        reason: 'Spilled',
+        source: 'MANUAL',
+        sourceRef: '',
+        actorId: 'user-1',
+        actorRole: 'inventory_manager',
+        actorSource: 'API',
+      },
+      expect.objectContaining({ batchId: 'late', quantity: -5 }),
+    ]);
+  });
+
+  it('records a new item as receipts of its batches', async () => {
+    const { service, inventoryMovementRepository } = buildService();
+
+    await service.recordBatchChanges(null, buildItem({ first: 12.5 }), {
+      type: 'RECEIPT',
+    });
+
+    const [docs] = inventoryMovementRepository.createMany.mock.calls[0];
+    expect(docs).toEqual([
+      expect.objectContaining({
+        batchId: 'first',
+        type: 'RECEIPT',
+        quantity: 12.5,
+        actorSource: 'SYSTEM',
+      }),
+    ]);
+  });
+
+  it('records nothing when no batch quantity changed', async () => {
+    const { service, inventoryMovementRepository } = buildService();
+
+    await service.recordBatchChanges(
+      buildItem({ early: 30 }),
+      buildItem({ early: 30 }),
+      { type: 'ADJUSTMENT' }
+    );
+
+    expect(inventoryMovementRepository.createMany).not.toHaveBeenCalled();
+  });
+
+  it('does not fail the stock change when the ledger write fails', async () => {
+    const { service, inventoryMovementRepository } = buildService();
+    inventoryMovementRepository.createMany.mockRejectedValueOnce(
+      new Error('db down')
+    );
+    const consoleError = jest
+      .spyOn(console, 'error')
+      .mockImplementation(() => {});
+
+    await expect(
+      service.recordBatchChanges(null, buildItem({ first: 1 }), {
+        type: 'RECEIPT',
+      })
+    ).resolves.toEqual([]);
+
+    consoleError.mockRestore();
+  });
+});
+
+describe('InventoryMovementService.reconcileItems', () => {
+  it('balances when the ledger matches every batch', async () => {
+    const { service } = buildService({
+      ledger: new Map([
+        [
+          'item-rice',
+          new Map([
+            ['early', 30],
+            ['gone', 0],
+          ]),
+        ],
+      ]),
+    });
+
+    const reconciliation = await service.reconcileItem(
+      buildItem({ early: 30 })
+    );
+
+    expect(reconciliation).toEqual({
+      itemId: 'item-rice',
+      name: 'Rice',
+      ledgerQuantity: 30,
+      batchQuantity: 30,
+      difference: 0,
+      balanced: true,
+      unbalancedBatches: [],
+    });
+  });
+
+  it('reports batches whose stock differs from the ledger', async () => {
+    const { service } = buildService({
+      ledger: new Map([['item-rice', new Map([['early', 0.1 + 0.2]])]]),
+    });
+
+    const reconciliation = await service.reconcileItem(
+      buildItem({ early: 0.3, untracked: 10 })
+    );
+
+    expect(reconciliation.balanced).toBe(false);
+    expect(reconciliation.difference).toBe(10);
+    expect(reconciliation.unbalancedBatches).toEqual([
+      {
+        batchId: 'untracked',
+        ledgerQuantity: 0,
+        batchQuantity: 10,
+        difference: 10,
+      },
+    ]);
+  });
+});
+
+describe('InventoryMovementService.backfillOpeningBalances', () => {
+  const LEDGER_STARTED_AT = new Date('2026-02-01T00:00:00.000Z');
+
+  it('opens batches received before the ledger at their unrecorded stock', async () => {
+    const { service, inventoryMovementRepository } = buildService({
+      // The pre-ledger batch has since been used: 50 held, 12 consumed
+      ledger: new Map([['item-rice', new Map([['old', -12]])]]),
+      ledgerStartedAt: LEDGER_STARTED_AT,
+    });
+
+    const result = await runWithAuditActor(
+      { source: 'JOB', actorId: 'admin-1', jobName: 'backfill' },
+      () => service.backfillOpeningBalances([buildItem({ old: 38 })])
+    );
+
+    expect(
+      inventoryMovementRepository.findFirstMovementAt
+    ).toHaveBeenCalledWith(['OPENING_BALANCE']);
+    expect(inventoryMovementRepository.createMany).toHaveBeenCalledWith([
+      {
+        itemId: 'item-rice',
+        batchId: 'old',
+        type: 'OPENING_BALANCE',
+        quantity: 50,
+        reason: 'Stock held before the movement ledger',
+        source: 'BACKFILL',
+        sourceRef: '',
+        actorId: 'admin-1',
+        actorRole: null,
+        actorSource: 'JOB',
+      },
+    ]);
+    expect(result).toEqual({
+      ledgerStartedAt: LEDGER_STARTED_AT,
+      items: 1,
+      recorded: 1,
+      quantity: 50,
+    });
+  });
+
+  it('leaves later batches and already opened batches unbalanced', async () => {
+    const { service, inventoryMovementRepository } = buildService({
+      ledgerStartedAt: LEDGER_STARTED_AT,
+      openedBatchIds: new Set(['opened']),
+    });
+
+    const result = await service.backfillOpeningBalances([
+      buildItem(
+        { opened: 5, recent: 10 },
+        { recent: new Date('2026-03-01T00:00:00.000Z') }
+      ),
+    ]);
+
+    expect(inventoryMovementRepository.createMany).toHaveBeenCalledWith([]);
+    expect(result.recorded).toBe(0);
+  });
+
+  it('opens every stocked batch while the ledger is empty', async () => {
+    const { service, inventoryMovementRepository } = buildService();
+
+    await service.backfillOpeningBalances([
+      buildItem(
+        { a: 4, b: 0, c: 6 },
+        { c: new Date('2026-03-01T00:00:00.000Z') }
+      ),
+    ]);
+
+    const [docs] = inventoryMovementRepository.createMany.mock.calls[0];
+    expect(docs.map((doc) => [doc.batchId, doc.quantity])).toEqual([
+      ['a', 4],
+      ['c', 6],
+    ]);
+  });
+});
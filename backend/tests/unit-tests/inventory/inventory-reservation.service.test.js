@@ -0,0 +1,263 @@
+import { jest } from '@jest/globals';
+import { InventoryReservationService } from '../../../src/inventory/application/services/inventory-reservation.service.js';
+
+const batchId = (value) => ({ toString: () => value });
+
+const buildItem = () => ({
+  _id: 'item-rice',
+  batches: [
+    { _id: batchId('late'), quantity: 40, expiryDate: '2099-06-01' },
+    { _id: batchId('early'), quantity: 30, expiryDate: '2099-01-01' },
+    { _id: batchId('expired'), quantity: 100, expiryDate: '2000-01-01' },
+  ],
+});
+
+const buildService = ({ item = buildItem(), held = new Map() } = {}) => {
+  const inventoryItemRepository = {
+    findById: jest.fn(async () => item),
+    consumeFromBatches: jest.fn(async (id, drains) => ({
+      item,
+      drained: drains.reduce((sum, drain) => sum + drain.quantity, 0),
+    })),
+  };
+  const inventoryReservationRepository = {
+    sumReservedByBatch: jest.fn(async () => held),
+    createMany: jest.fn(async (docs) => docs),
+    findMany: jest.fn(async () => []),
+    markConsumed: jest.fn(async () => null),
+    consumePart: jest.fn(async () => null),
+    releaseMany: jest.fn(async () => 0),
+  };
+  const inventoryMovementService = {
+    recordBatchChanges: jest.fn(async () => []),
+  };
+  const service = new InventoryReservationService({
+    inventoryItemRepository,
+    inventoryReservationRepository,
+    inventoryMovementService,
+  });
+
+  return {
+    service,
+    inventoryItemRepository,
+    inventoryReservationRepository,
+    inventoryMovementService,
+  };
+};
+
+describe('InventoryReservationService', () => {
+  it('reserves the oldest-expiring free batches and skips expired stock', async () => {
+    const { service, inventoryReservationRepository } = buildService({
+      held: new Map([['early', 10]]),
+    });
+
+    const result = await service.reserveForMealPlan({
+      mealPlanId: 'plan-1',
+      lines: [
+        {
+          itemId: 'item-rice',
+          quantity: 35,
+          day: 'Monday',
+          mealType: 'lunch',
+          ingredientName: 'Rice',
+        },
+      ],
+    });
+
+    const [docs] = inventoryReservationRepository.createMany.mock.calls[0];
+    expect(docs.map((doc) => [doc.batchId.toString(), doc.quantity])).toEqual([
+      ['early', 20],
+      ['late', 15],
+    ]);
+    expect(docs[0]).toMatchObject({
+      mealPlanId: 'plan-1',
+      mealDay: 'Monday',
+      mealType: 'lunch',
+    });
+    expect(result).toEqual({ reserved: 2, shortfalls: [] });
+  });
+
+  it('releases earlier reservations of the plan before reserving again', async () => {
+    const { service, inventoryReservationRepository } = buildService();
+
+    await service.reserveForMealPlan({ mealPlanId: 'plan-1', lines: [] });
+
+    expect(inventoryReservationRepository.releaseMany).toHaveBeenCalledWith(
+      { mealPlanId: 'plan-1' },
+      'Replaced by a new reservation'
+    );
+  });
+
+  it('returns what cannot be covered as a shortfall', async () => {
+    const { service } = buildService();
+
+    const result = await service.reserveForMealPlan({
+      mealPlanId: 'plan-1',
+      lines: [
+        {
+          itemId: 'item-rice',
+          quantity: 50,
+          day: 'Monday',
+          mealType: 'lunch',
+          ingredientName: 'Rice',
+        },
+        {
+          itemId: 'item-rice',
+          quantity: 30,
+          day: 'Tuesday',
+          mealType: 'lunch',
+          ingredientName: 'Rice',
+        },
+      ],
+    });
+
+    expect(result.reserved).toBe(3);
+    expect(result.shortfalls).toEqual([
+      {
+        itemId: 'item-rice',
+        ingredientName: 'Rice',
+        day: 'Tuesday',
+        mealType: 'lunch',
+        quantity: 10,
+      },
+    ]);
+  });
+
+  it('consumes a meal by draining its reserved batches', async () => {
+    const { service, inventoryItemRepository, inventoryReservationRepository } =
+      buildService();
+    inventoryReservationRepository.findMany.mockResolvedValueOnce([
+      { _id: 'r1', itemId: 'item-rice', batchId: 'early', quantity: 20 },
+      { _id: 'r2', itemId: 'item-rice', batchId: 'late', quantity: 5 },
+    ]);
+    inventoryItemRepository.consumeFromBatches.mockResolvedValueOnce({
+      drained: 22,
+    });
+
+    const result = await service.consumeForMealPlanMeal({
+      mealPlanId: 'plan-1',
+      day: 'Monday',
+      mealType: 'lunch',
+    });
+
+    expect(inventoryItemRepository.consumeFromBatches).toHaveBeenCalledWith(
+      'item-rice',
+      [
+        { batchId: 'early', quantity: 20 },
+        { batchId: 'late', quantity: 5 },
+      ]
+    );
+    expect(inventoryReservationRepository.markConsumed.mock.calls).toEqual([
+      ['r1', 20],
+      ['r2', 2],
+    ]);
+    expect(result).toEqual({ consumed: 2, items: 1 });
+  });
+
+  it('consumes only a grade session share and keeps the rest reserved', async () => {
+    const { service, inventoryItemRepository, inventoryReservationRepository } =
+      buildService();
+    inventoryReservationRepository.findMany.mockResolvedValueOnce([
+      { _id: 'r1', itemId: 'item-rice', batchId: 'early', quantity: 20 },
+      { _id: 'r2', itemId: 'item-rice', batchId: 'late', quantity: 5 },
+    ]);
+
+    const result = await service.consumeForMealPlanMeal({
+      mealPlanId: 'plan-1',
+      day: 'Monday',
+      mealType: 'lunch',
+      share: 0.4,
+    });
+
+    expect(inventoryItemRepository.consumeFromBatches).toHaveBeenCalledWith(
+      'item-rice',
+      [
+        { batchId: 'early', quantity: 8 },
+        { batchId: 'late', quantity: 2 },
+      ]
+    );
+    expect(inventoryReservationRepository.consumePart.mock.calls).toEqual([
+      ['r1', 8, 8],
+      ['r2', 2, 2],
+    ]);
+    expect(inventoryReservationRepository.markConsumed).not.toHaveBeenCalled();
+    expect(inventoryReservationRepository.releaseMany).not.toHaveBeenCalled();
+    expect(result).toEqual({ consumed: 2, items: 1 });
+  });
+
+  it('keeps uncovered demand as unfilled reservations with the meal date', async () => {
+    const { service, inventoryReservationRepository } = buildService();
+    const mealDate = new Date('2099-03-10T00:00:00.000Z');
+
+    const result = await service.reserveForMealPlan({
+      mealPlanId: 'plan-1',
+      lines: [
+        {
+          itemId: 'item-rice',
+          quantity: 80,
+          day: 'Tuesday',
+          mealType: 'lunch',
+          mealDate,
+          ingredientName: 'Rice',
+        },
+      ],
+    });
+
+    const [docs] = inventoryReservationRepository.createMany.mock.calls[0];
+    expect(docs.every((doc) => doc.mealDate === mealDate)).toBe(true);
+    expect(docs.at(-1)).toMatchObject({
+      batchId: null,
+      quantity: 10,
+      status: 'UNFILLED',
+    });
+    expect(result.reserved).toBe(2);
+  });
+
+  it('releases what is left of a meal once its session completes', async () => {
+    const { service, inventoryReservationRepository } = buildService();
+
+    await service.consumeForMealPlanMeal({
+      mealPlanId: 'plan-1',
+      day: 'Monday',
+      mealType: 'lunch',
+    });
+
+    expect(inventoryReservationRepository.releaseMany).toHaveBeenCalledWith(
+      { mealPlanId: 'plan-1', mealDay: 'Monday', mealType: 'lunch' },
+      'Meal session completed'
+    );
+  });
+
+  it('records consumed stock in the movement ledger', async () => {
+    const {
+      service,
+      inventoryItemRepository,
+      inventoryReservationRepository,
+      inventoryMovementService,
+    } = buildService();
+    const consumedItem = { _id: 'item-rice', batches: [] };
+    inventoryReservationRepository.findMany.mockResolvedValueOnce([
+      { _id: 'r1', itemId: 'item-rice', batchId: 'early', quantity: 20 },
+    ]);
+    inventoryItemRepository.consumeFromBatches.mockResolvedValueOnce({
+      item: consumedItem,
+      drained: 20,
+    });
+
+    await service.consumeForMealPlanMeal({
+      mealPlanId: 'plan-1',
+      day: 'Monday',
+      mealType: 'lunch',
+    });
+
+    expect(inventoryMovementService.recordBatchChanges).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: 'item-rice' }),
+      consumedItem,
+      {
+        type: 'CONSUMPTION',
+        source: 'MEAL_SESSION',
+        sourceRef: 'plan-1:Monday:lunch',
+      }
+    );
+  });
+});
@@ -0,0 +1,289 @@
+import { jest } from '@jest/globals';
+import { PurchaseOrderService } from '../../../src/inventory/application/services/purchase-order.service.js';
+
+const objectId = (value) => ({ toString: () => value });
+
+const withIdLookup = (entries) =>
+  Object.assign(entries, {
+    id: (id) => entries.find((entry) => entry._id.toString() === String(id)),
+  });
+
+const buildOrder = ({ status = 'SENT', lines } = {}) => ({
+  _id: objectId('po-1'),
+  orderNumber: 'PO-20260310-7K2Q',
+  supplierId: objectId('supplier-1'),
+  supplierName: 'Fresh Farms',
+  status,
+  lines: withIdLookup(
+    (
+      lines || [
+        { id: 'line-rice', itemId: 'item-rice', quantity: 50, unitPrice: 2 },
+        { id: 'line-oil', itemId: 'item-oil', quantity: 10, unitPrice: 5 },
+      ]
+    ).map((line) => ({
+      _id: objectId(line.id),
+      itemId: objectId(line.itemId),
+      itemName: line.itemId,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      receivedQuantity: line.receivedQuantity ?? 0,
+      discrepancy: null,
+    }))
+  ),
+  receipts: [],
+});
+
+const buildService = ({ order = buildOrder(), items } = {}) => {
+  const purchaseOrderRepository = {
+    findById: jest.fn(async () => order),
+    save: jest.fn(async (saved) => saved),
+    create: jest.fn(async (data) => data),
+    deleteById: jest.fn(async () => order),
+  };
+  const supplierRepository = {
+    findById: jest.fn(async () => ({
+      _id: objectId('supplier-1'),
+      name: 'Fresh Farms',
+      active: true,
+    })),
+  };
+  const inventoryItemRepository = {
+    findMany: jest.fn(async () =>
+      (items || ['item-rice', 'item-oil']).map((id) => ({
+        _id: objectId(id),
+        name: id,
+        unit: 'kg',
+      }))
+    ),
+  };
+  let batchCount = 0;
+  const inventoryItemService = {
+    addBatch: jest.fn(async () => {
+      batchCount += 1;
+      return { batches: [{ _id: objectId(`batch-${batchCount}`) }] };
+    }),
+  };
+
+  const service = new PurchaseOrderService({
+    purchaseOrderRepository,
+    supplierRepository,
+    inventoryItemRepository,
+    inventoryItemService,
+  });
+
+  return {
+    service,
+    order,
+    purchaseOrderRepository,
+    inventoryItemService,
+  };
+};
+
+describe('PurchaseOrderService.receivePurchaseOrder', () => {
+  it('adds a batch per delivered line and records it on the receipt', async () => {
+    const { service, order, inventoryItemService } = buildService();
+
+    await service.receivePurchaseOrder('po-1', {
+      lines: [
+        {
+          lineId: 'line-rice',
+          quantity: 20,
+          expiryDate: '2026-12-01',
+          location: 'Dry store',
+        },
+      ],
+      note: 'First pallet',
+    });
+
+    expect(inventoryItemService.addBatch).toHaveBeenCalledWith(
+      order.lines[0].itemId,
+      expect.objectContaining({
+        quantity: 20,
+        expiryDate: '2026-12-01',
+        unitPrice: 2,
+        location: 'Dry store',
+        supplier: 'Fresh Farms',
+        supplierId: order.supplierId,
+        purchaseOrderId: order._id,
+      }),
+      expect.objectContaining({
+        type: 'RECEIPT',
+        source: 'PURCHASE_ORDER',
+        sourceRef: 'po-1',
+      })
+    );
+    expect(order.lines[0].receivedQuantity).toBe(20);
+    expect(order.receipts).toHaveLength(1);
+    expect(order.receipts[0]).toMatchObject({
+      note: 'First pallet',
+      lines: [{ quantity: 20, batchId: expect.anything() }],
+    });
+    expect(order.status).toBe('PARTIALLY_RECEIVED');
+  });
+
+  it('closes the order once every line is delivered and flags over-deliveries', async () => {
+    const { service, order } = buildService();
+
+    await service.receivePurchaseOrder('po-1', {
+      lines: [
+        { lineId: 'line-rice', quantity: 50 },
+        { lineId: 'line-oil', quantity: 12, unitPrice: 4.5 },
+      ],
+    });
+
+    expect(order.status).toBe('RECEIVED');
+    expect(order.receivedAt).toBeInstanceOf(Date);
+    expect(order.lines[0].discrepancy).toBeNull();
+    expect(order.lines[1].discrepancy).toBe('OVER');
+  });
+
+  it('marks undelivered lines short when a delivery is final', async () => {
+    const { service, order } = buildService({
+      order: buildOrder({
+        status: 'PARTIALLY_RECEIVED',
+        lines: [
+          {
+            id: 'line-rice',
+            itemId: 'item-rice',
+            quantity: 50,
+            receivedQuantity: 20,
+          },
+          { id: 'line-oil', itemId: 'item-oil', quantity: 10 },
+        ],
+      }),
+    });
+
+    await service.receivePurchaseOrder('po-1', {
+      lines: [{ lineId: 'line-rice', quantity: 25 }],
+      final: true,
+    });
+
+    expect(order.status).toBe('RECEIVED');
+    expect(order.lines[0]).toMatchObject({
+      receivedQuantity: 45,
+      discrepancy: 'SHORT',
+    });
+    expect(order.lines[1].discrepancy).toBe('SHORT');
+  });
+
+  it('rejects deliveries on orders that are not open for receiving', async () => {
+    const { service, inventoryItemService } = buildService({
+      order: buildOrder({ status: 'DRAFT' }),
+    });
+
+    await expect(
+      service.receivePurchaseOrder('po-1', {
+        lines: [{ lineId: 'line-rice', quantity: 5 }],
+      })
+    ).rejects.toMatchObject({ statusCode: 409 });
+    expect(inventoryItemService.addBatch).not.toHaveBeenCalled();
+  });
+
+  it('rejects lines that are not on the order before adding stock', async () => {
+    const { service, inventoryItemService } = buildService();
+
+    await expect(
+      service.receivePurchaseOrder('po-1', {
+        lines: [
+          { lineId: 'line-rice', quantity: 5 },
+          { lineId: 'line-unknown', quantity: 5 },
+        ],
+      })
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(inventoryItemService.addBatch).not.toHaveBeenCalled();
+  });
+
+  it('keeps what was received when a later line fails', async () => {
+    const { service, order, inventoryItemService, purchaseOrderRepository } =
+      buildService();
+    inventoryItemService.addBatch
+      .mockImplementationOnce(async () => ({
+        batches: [{ _id: objectId('batch-rice') }],
+      }))
+      .mockRejectedValueOnce(new Error('db down'));
+
+    await expect(
+      service.receivePurchaseOrder('po-1', {
+        lines: [
+          { lineId: 'line-rice', quantity: 50 },
+          { lineId: 'line-oil', quantity: 10 },
+        ],
+      })
+    ).rejects.toThrow('db down');
+
+    expect(purchaseOrderRepository.save).toHaveBeenCalledWith(order);
+    expect(order.status).toBe('PARTIALLY_RECEIVED');
+    expect(order.receipts[0].lines).toHaveLength(1);
+    expect(order.lines[1].receivedQuantity).toBe(0);
+  });
+});
+
+describe('PurchaseOrderService status changes', () => {
+  it('only edits and deletes draft orders', async () => {
+    const { service, purchaseOrderRepository } = buildService();
+
+    await expect(
+      service.updatePurchaseOrder('po-1', { notes: 'Rush' })
+    ).rejects.toMatchObject({ statusCode: 409 });
+    await expect(service.deletePurchaseOrder('po-1')).rejects.toMatchObject({
+      statusCode: 409,
+      action: 'CANCEL_PURCHASE_ORDER',
+    });
+    expect(purchaseOrderRepository.deleteById).not.toHaveBeenCalled();
+  });
+
+  it('sends drafts and cancels open orders', async () => {
+    const { service, order } = buildService({
+      order: buildOrder({ status: 'DRAFT' }),
+    });
+
+    await service.sendPurchaseOrder('po-1');
+    expect(order.status).toBe('SENT');
+    expect(order.sentAt).toBeInstanceOf(Date);
+
+    await service.cancelPurchaseOrder('po-1', 'Supplier out of stock');
+    expect(order).toMatchObject({
+      status: 'CANCELLED',
+      cancelReason: 'Supplier out of stock',
+    });
+
+    await expect(service.cancelPurchaseOrder('po-1')).rejects.toMatchObject({
+      statusCode: 409,
+    });
+  });
+
+  it('creates drafts with item names copied onto the lines', async () => {
+    const { service, purchaseOrderRepository } = buildService({
+      items: ['item-rice'],
+    });
+
+    const order = await service.createPurchaseOrder({
+      supplierId: 'supplier-1',
+      lines: [{ itemId: 'item-rice', quantity: 40, unitPrice: 1.8 }],
+    });
+
+    expect(purchaseOrderRepository.create).toHaveBeenCalledTimes(1);
+    expect(order).toMatchObject({
+      status: 'DRAFT',
+      supplierName: 'Fresh Farms',
+      orderNumber: expect.stringMatching(/^PO-\d{8}-[0-9A-Z]{4}$/),
+      lines: [
+        { itemName: 'item-rice', unit: 'kg', quantity: 40, unitPrice: 1.8 },
+      ],
+    });
+  });
+
+  it('rejects orders for unknown inventory items', async () => {
+    const { service, purchaseOrderRepository } = buildService({
+      items: ['item-rice'],
+    });
+
+    await expect(
+      service.createPurchaseOrder({
+        supplierId: 'supplier-1',
+        lines: [{ itemId: 'item-missing', quantity: 1 }],
+      })
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(purchaseOrderRepository.create).not.toHaveBeenCalled();
+  });
+});
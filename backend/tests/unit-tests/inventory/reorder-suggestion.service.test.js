@@ -0,0 +1,310 @@
+import { jest } from '@jest/globals';
+import { ReorderSuggestionService } from '../../../src/inventory/application/services/reorder-suggestion.service.js';
+
+const objectId = (value) => ({ toString: () => value });
+
+const NOW = new Date('2026-03-09T08:00:00.000Z');
+
+const buildItem = ({ id, batches = [], reorderLevel = 0 }) => ({
+  _id: objectId(id),
+  name: id,
+  unit: 'kg',
+  reorderLevel,
+  batches,
+});
+
+const buildService = ({
+  items = [],
+  consumption = new Map(),
+  planned = new Map(),
+  mealDatesByItem = new Map(),
+  onOrder = new Map(),
+  lastOrderLines = new Map(),
+  suppliers = [{ _id: objectId('supplier-1'), name: 'Fresh Farms' }],
+} = {}) => {
+  const inventoryItemRepository = { findMany: jest.fn(async () => items) };
+  const inventoryMovementRepository = {
+    sumByItemForType: jest.fn(async () => consumption),
+  };
+  const inventoryReservationRepository = {
+    sumPlannedDemandByItem: jest.fn(async () => ({
+      byItem: planned,
+      mealDatesByItem,
+    })),
+  };
+  const purchaseOrderRepository = {
+    sumOutstandingByItem: jest.fn(async () => onOrder),
+    findLastOrderLineByItem: jest.fn(async () => lastOrderLines),
+  };
+  const supplierRepository = { findMany: jest.fn(async () => suppliers) };
+  const purchaseOrderService = {
+    createPurchaseOrder: jest.fn(async (data) => ({
+      ...data,
+      status: 'DRAFT',
+      lines: data.lines,
+    })),
+  };
+
+  const service = new ReorderSuggestionService({
+    inventoryItemRepository,
+    inventoryMovementRepository,
+    inventoryReservationRepository,
+    purchaseOrderRepository,
+    supplierRepository,
+    purchaseOrderService,
+  });
+
+  return {
+    service,
+    inventoryMovementRepository,
+    inventoryReservationRepository,
+    purchaseOrderService,
+  };
+};
+
+describe('ReorderSuggestionService.getReorderSuggestions', () => {
+  it('projects demand from planned meals plus average consumption on unplanned days', async () => {
+    const { service, inventoryMovementRepository } = buildService({
+      items: [
+        buildItem({
+          id: 'item-rice',
+          batches: [{ quantity: 20, expiryDate: null }],
+        }),
+      ],
+      // 56 kg over the 28-day lookback: 2 kg a day
+      consumption: new Map([['item-rice', -56]]),
+      planned: new Map([['item-rice', 30]]),
+      mealDatesByItem: new Map([
+        [
+          'item-rice',
+          [
+            new Date('2026-03-09T00:00:00.000Z'),
+            new Date('2026-03-10T00:00:00.000Z'),
+            new Date('2026-03-11T00:00:00.000Z'),
+            new Date('2026-03-12T00:00:00.000Z'),
+          ],
+        ],
+      ]),
+    });
+
+    const result = await service.getReorderSuggestions({ now: NOW });
+
+    expect(inventoryMovementRepository.sumByItemForType).toHaveBeenCalledWith({
+      type: 'CONSUMPTION',
+      since: new Date('2026-02-09T08:00:00.000Z'),
+    });
+    expect(result.items).toHaveLength(1);
+    expect(result.items[0]).toMatchObject({
+      averageDailyConsumption: 2,
+      plannedDemand: 30,
+      // 30 planned + 2 kg/day over the 10 days no plan covers
+      projectedDemand: 50,
+      usableStock: 20,
+      suggestedQuantity: 30,
+    });
+  });
+
+  it('counts planned days per item, so an unplanned item keeps its consumption', async () => {
+    const { service } = buildService({
+      items: [buildItem({ id: 'item-rice' }), buildItem({ id: 'item-oil' })],
+      // Both use 1 kg a day; only rice is on a plan, for two days
+      consumption: new Map([
+        ['item-rice', -28],
+        ['item-oil', -28],
+      ]),
+      planned: new Map([['item-rice', 6]]),
+      mealDatesByItem: new Map([
+        [
+          'item-rice',
+          [
+            new Date('2026-03-09T00:00:00.000Z'),
+            new Date('2026-03-10T00:00:00.000Z'),
+          ],
+        ],
+      ]),
+    });
+
+    const result = await service.getReorderSuggestions({ now: NOW });
+    const byItem = new Map(result.items.map((item) => [item.itemId, item]));
+
+    // 6 planned + 1 kg/day over the other 12 days
+    expect(byItem.get('item-rice').projectedDemand).toBe(18);
+    // No plan reserves oil: all 14 days come from consumption
+    expect(byItem.get('item-oil')).toMatchObject({
+      plannedDemand: 0,
+      projectedDemand: 14,
+    });
+  });
+
+  it('does not count stock that expires before demand reaches it', async () => {
+    const { service } = buildService({
+      items: [
+        buildItem({
+          id: 'item-milk',
+          batches: [
+            { quantity: 10, expiryDate: '2026-03-11T08:00:00.000Z' },
+            { quantity: 40, expiryDate: '2026-06-01T00:00:00.000Z' },
+          ],
+        }),
+      ],
+      // 1 liter a day: only 2 of the first batch are used before it expires
+      consumption: new Map([['item-milk', -28]]),
+    });
+
+    const result = await service.getReorderSuggestions({
+      now: NOW,
+      includeAll: true,
+    });
+
+    expect(result.items[0]).toMatchObject({
+      projectedDemand: 14,
+      usableStock: 42,
+      expiringBeforeUse: 8,
+      suggestedQuantity: 0,
+    });
+    expect(result.suppliers).toEqual([]);
+  });
+
+  it('subtracts open orders and tops up to the reorder level', async () => {
+    const { service } = buildService({
+      items: [buildItem({ id: 'item-oil', reorderLevel: 5 })],
+      consumption: new Map([['item-oil', -28]]),
+      onOrder: new Map([['item-oil', 6.5]]),
+    });
+
+    const result = await service.getReorderSuggestions({ now: NOW });
+
+    // 14 projected + 5 reorder level - 6.5 on order, rounded up
+    expect(result.items[0].suggestedQuantity).toBe(13);
+  });
+
+  it('groups suggestions by the last active supplier and prices them', async () => {
+    const { service } = buildService({
+      items: [
+        buildItem({ id: 'item-rice', reorderLevel: 10 }),
+        buildItem({ id: 'item-salt', reorderLevel: 2 }),
+        buildItem({ id: 'item-oil', reorderLevel: 4 }),
+      ],
+      lastOrderLines: new Map([
+        [
+          'item-rice',
+          {
+            supplierId: objectId('supplier-1'),
+            supplierName: 'Fresh Farms',
+            unitPrice: 1.5,
+          },
+        ],
+        [
+          'item-oil',
+          {
+            supplierId: objectId('supplier-old'),
+            supplierName: 'Closed Down Ltd',
+            unitPrice: 3,
+          },
+        ],
+      ]),
+    });
+
+    const result = await service.getReorderSuggestions({ now: NOW });
+
+    expect(result.suppliers).toEqual([
+      expect.objectContaining({
+        supplierId: 'supplier-1',
+        estimatedTotal: 15,
+        lines: [expect.objectContaining({ itemId: 'item-rice', quantity: 10 })],
+      }),
+      expect.objectContaining({
+        supplierId: null,
+        lines: [
+          expect.objectContaining({ itemId: 'item-oil' }),
+          expect.objectContaining({ itemId: 'item-salt' }),
+        ],
+      }),
+    ]);
+  });
+});
+
+describe('ReorderSuggestionService.createDraftPurchaseOrders', () => {
+  const lastOrderLines = new Map([
+    [
+      'item-rice',
+      {
+        supplierId: objectId('supplier-1'),
+        supplierName: 'Fresh Farms',
+        unitPrice: 1.5,
+      },
+    ],
+  ]);
+  const items = [
+    buildItem({ id: 'item-rice', reorderLevel: 10 }),
+    buildItem({ id: 'item-salt', reorderLevel: 2 }),
+  ];
+
+  it('creates one draft per supplier and skips items without one', async () => {
+    const { service, purchaseOrderService } = buildService({
+      items,
+      lastOrderLines,
+    });
+
+    const result = await service.createDraftPurchaseOrders({ now: NOW });
+
+    expect(purchaseOrderService.createPurchaseOrder).toHaveBeenCalledTimes(1);
+    expect(purchaseOrderService.createPurchaseOrder).toHaveBeenCalledWith({
+      supplierId: 'supplier-1',
+      lines: [{ itemId: 'item-rice', quantity: 10, unitPrice: 1.5 }],
+      notes: 'Reorder suggestion for the next 14 days',
+    });
+    expect(result.orders).toHaveLength(1);
+    expect(result.skipped).toEqual([
+      {
+        itemId: 'item-salt',
+        itemName: 'item-salt',
+        reason: 'No supplier on record',
+      },
+    ]);
+  });
+
+  it('orders unassigned items from the default supplier', async () => {
+    const { service, purchaseOrderService } = buildService({
+      items,
+      lastOrderLines,
+    });
+
+    const result = await service.createDraftPurchaseOrders({
+      now: NOW,
+      defaultSupplierId: 'supplier-1',
+    });
+
+    expect(purchaseOrderService.createPurchaseOrder).toHaveBeenCalledWith(
+      expect.objectContaining({
+        supplierId: 'supplier-1',
+        lines: [
+          { itemId: 'item-rice', quantity: 10, unitPrice: 1.5 },
+          { itemId: 'item-salt', quantity: 2, unitPrice: 0 },
+        ],
+      })
+    );
+    expect(result.skipped).toEqual([]);
+  });
+
+  it('only orders the selected items', async () => {
+    const { service, purchaseOrderService } = buildService({
+      items,
+      lastOrderLines,
+    });
+
+    const result = await service.createDraftPurchaseOrders({
+      now: NOW,
+      itemIds: ['item-salt'],
+      defaultSupplierId: 'supplier-2',
+    });
+
+    expect(purchaseOrderService.createPurchaseOrder).toHaveBeenCalledWith(
+      expect.objectContaining({
+        supplierId: 'supplier-2',
+        lines: [{ itemId: 'item-salt', quantity: 2, unitPrice: 0 }],
+      })
+    );
+    expect(result.orders).toHaveLength(1);
+  });
+});
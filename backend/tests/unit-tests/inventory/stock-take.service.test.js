@@ -0,0 +1,446 @@
+import { jest } from '@jest/globals';
+import { StockTakeService } from '../../../src/inventory/application/services/stock-take.service.js';
+
+const objectId = (value) => ({ toString: () => value });
+
+const STOCK_TAKE_ID = objectId('stock-take-1');
+const RICE_ID = objectId('item-rice');
+const BEANS_ID = objectId('item-beans');
+const PANTRY = { _id: objectId('loc-pantry'), name: 'Pantry' };
+
+// Mongoose subdocument arrays look lines up by id
+const withLineLookup = (lines) =>
+  Object.assign(lines, {
+    id: (lineId) => lines.find((line) => line._id.toString() === lineId),
+  });
+
+const buildLine = (overrides = {}) => ({
+  _id: objectId('line-1'),
+  itemId: RICE_ID,
+  itemName: 'Rice',
+  batchId: objectId('batch-rice-1'),
+  unitPrice: 2,
+  systemQuantity: 20,
+  countedQuantity: null,
+  note: '',
+  postedQuantity: null,
+  ...overrides,
+});
+
+const buildStockTake = (overrides = {}) => ({
+  _id: STOCK_TAKE_ID,
+  stockTakeNumber: 'ST-20260310-7K2Q',
+  status: 'IN_PROGRESS',
+  ...overrides,
+  lines: withLineLookup(
+    overrides.lines || [
+      buildLine(),
+      buildLine({
+        _id: objectId('line-2'),
+        batchId: objectId('batch-rice-2'),
+        systemQuantity: 5,
+      }),
+      buildLine({
+        _id: objectId('line-3'),
+        itemId: BEANS_ID,
+        itemName: 'Beans',
+        batchId: objectId('batch-beans-1'),
+        unitPrice: 3,
+        systemQuantity: 8,
+      }),
+    ]
+  ),
+});
+
+const ITEMS = [
+  {
+    _id: RICE_ID,
+    name: 'Rice',
+    barcode: '7700001',
+    unit: 'kg',
+    batches: [
+      {
+        _id: objectId('batch-rice-2'),
+        quantity: 5,
+        expiryDate: new Date('2026-06-01'),
+        locationId: PANTRY._id,
+        unitPrice: 2,
+      },
+      {
+        _id: objectId('batch-rice-1'),
+        quantity: 20,
+        expiryDate: new Date('2026-04-01'),
+        locationId: PANTRY._id,
+        unitPrice: 2,
+      },
+      {
+        _id: objectId('batch-rice-3'),
+        quantity: 12,
+        expiryDate: new Date('2026-05-01'),
+        locationId: objectId('loc-kitchen'),
+        unitPrice: 2,
+      },
+    ],
+  },
+  {
+    _id: BEANS_ID,
+    name: 'Beans',
+    unit: 'kg',
+    batches: [
+      {
+        _id: objectId('batch-beans-1'),
+        quantity: 8,
+        expiryDate: null,
+        locationId: PANTRY._id,
+        unitPrice: 3,
+      },
+    ],
+  },
+];
+
+const buildService = ({ stockTake = buildStockTake(), items = ITEMS } = {}) => {
+  const stockTakeRepository = {
+    create: jest.fn(async (data) => ({ _id: STOCK_TAKE_ID, ...data })),
+    findById: jest.fn(async () => stockTake),
+    save: jest.fn(async (saved) => saved),
+    claimStatus: jest.fn(async (id, fromStatus, toStatus) => {
+      if (stockTake.status !== fromStatus) {
+        return null;
+      }
+      stockTake.status = toStatus;
+      return stockTake;
+    }),
+  };
+  const inventoryItemRepository = {
+    findMany: jest.fn(async () => items),
+    findById: jest.fn(async (id) =>
+      items.find((item) => item._id.toString() === id)
+    ),
+    adjustBatchQuantities: jest.fn(async (id, adjustments) => ({
+      item: { _id: id, batches: [] },
+      applied: new Map(
+        adjustments.map(({ batchId, quantity }) => [
+          batchId.toString(),
+          quantity,
+        ])
+      ),
+    })),
+  };
+  const inventoryMovementService = { recordBatchChanges: jest.fn() };
+  const storageLocationService = {
+    getLocationById: jest.fn(async () => PANTRY),
+  };
+
+  const service = new StockTakeService({
+    stockTakeRepository,
+    inventoryItemRepository,
+    inventoryMovementService,
+    storageLocationService,
+  });
+
+  return {
+    service,
+    stockTake,
+    stockTakeRepository,
+    inventoryItemRepository,
+    inventoryMovementService,
+  };
+};
+
+describe('StockTakeService.createStockTake', () => {
+  it('lists the stocked batches at the location by item name and expiry', async () => {
+    const { service, inventoryItemRepository, stockTakeRepository } =
+      buildService();
+
+    const stockTake = await service.createStockTake({
+      locationId: 'loc-pantry',
+      category: 'GRAINS',
+    });
+
+    expect(inventoryItemRepository.findMany).toHaveBeenCalledWith({
+      category: 'GRAINS',
+      batches: {
+        $elemMatch: { locationId: PANTRY._id, quantity: { $gt: 0 } },
+      },
+    });
+    expect(stockTakeRepository.create).toHaveBeenCalledTimes(1);
+    expect(stockTake.status).toBe('IN_PROGRESS');
+    expect(stockTake.locationName).toBe('Pantry');
+    expect(stockTake.stockTakeNumber).toMatch(/^ST-/);
+    expect(
+      stockTake.lines.map((line) => [
+        line.itemName,
+        line.batchId.toString(),
+        line.systemQuantity,
+      ])
+    ).toEqual([
+      ['Beans', 'batch-beans-1', 8],
+      ['Rice', 'batch-rice-1', 20],
+      ['Rice', 'batch-rice-2', 5],
+    ]);
+    expect(stockTake.lines[1]).toMatchObject({
+      barcode: '7700001',
+      unit: 'kg',
+    });
+  });
+
+  it('rejects a selection with nothing to count', async () => {
+    const { service, stockTakeRepository } = buildService({ items: [] });
+
+    await expect(
+      service.createStockTake({ category: 'DAIRY' })
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(stockTakeRepository.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('StockTakeService.recordCounts', () => {
+  it('records counts and refreshes the system quantity from the batch', async () => {
+    const items = [
+      {
+        ...ITEMS[0],
+        batches: [{ _id: objectId('batch-rice-1'), quantity: 18 }],
+      },
+    ];
+    const { service, stockTake, stockTakeRepository } = buildService({
+      items,
+    });
+
+    await service.recordCounts('stock-take-1', [
+      { lineId: 'line-1', countedQuantity: 17, note: 'Torn sack' },
+      { lineId: 'line-2', countedQuantity: 0 },
+    ]);
+
+    expect(stockTake.lines[0]).toMatchObject({
+      systemQuantity: 18,
+      countedQuantity: 17,
+      note: 'Torn sack',
+    });
+    expect(stockTake.lines[0].countedAt).toBeInstanceOf(Date);
+    // batch-rice-2 has been used up since the sheet was generated
+    expect(stockTake.lines[1]).toMatchObject({
+      systemQuantity: 0,
+      countedQuantity: 0,
+    });
+    expect(stockTake.lines[2].countedQuantity).toBeNull();
+    expect(stockTakeRepository.save).toHaveBeenCalledWith(stockTake);
+  });
+
+  it('rejects a line that is not on the sheet without changing any', async () => {
+    const { service, stockTake, stockTakeRepository } = buildService();
+
+    await expect(
+      service.recordCounts('stock-take-1', [
+        { lineId: 'line-1', countedQuantity: 17 },
+        { lineId: 'line-9', countedQuantity: 1 },
+      ])
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(stockTake.lines[0].countedQuantity).toBeNull();
+    expect(stockTakeRepository.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses counts once the stock-take is submitted', async () => {
+    const { service } = buildService({
+      stockTake: buildStockTake({ status: 'SUBMITTED' }),
+    });
+
+    await expect(
+      service.recordCounts('stock-take-1', [
+        { lineId: 'line-1', countedQuantity: 17 },
+      ])
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('StockTakeService.submitStockTake', () => {
+  it('requires at least one counted line', async () => {
+    const { service, stockTakeRepository } = buildService();
+
+    await expect(service.submitStockTake('stock-take-1')).rejects.toMatchObject(
+      { statusCode: 400 }
+    );
+    expect(stockTakeRepository.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('StockTakeService.postStockTake', () => {
+  const submittedStockTake = () =>
+    buildStockTake({
+      status: 'SUBMITTED',
+      lines: [
+        buildLine({ countedQuantity: 17 }),
+        buildLine({
+          _id: objectId('line-2'),
+          batchId: objectId('batch-rice-2'),
+          systemQuantity: 5,
+          countedQuantity: 5,
+        }),
+        buildLine({
+          _id: objectId('line-3'),
+          itemId: BEANS_ID,
+          itemName: 'Beans',
+          batchId: objectId('batch-beans-1'),
+          systemQuantity: 8,
+          countedQuantity: 10,
+        }),
+      ],
+    });
+
+  it('posts counted variances per item as stock-take adjustments', async () => {
+    const {
+      service,
+      stockTake,
+      inventoryItemRepository,
+      inventoryMovementService,
+    } = buildService({ stockTake: submittedStockTake() });
+
+    await service.postStockTake('stock-take-1');
+
+    expect(inventoryItemRepository.adjustBatchQuantities).toHaveBeenCalledTimes(
+      2
+    );
+    expect(inventoryItemRepository.adjustBatchQuantities).toHaveBeenCalledWith(
+      'item-rice',
+      [{ batchId: stockTake.lines[0].batchId, quantity: -3 }]
+    );
+    expect(inventoryItemRepository.adjustBatchQuantities).toHaveBeenCalledWith(
+      'item-beans',
+      [{ batchId: stockTake.lines[2].batchId, quantity: 2 }]
+    );
+    expect(inventoryMovementService.recordBatchChanges).toHaveBeenCalledWith(
+      ITEMS[0],
+      expect.anything(),
+      {
+        type: 'ADJUSTMENT',
+        reason: 'Stock-take ST-20260310-7K2Q',
+        source: 'STOCK_TAKE',
+        sourceRef: 'stock-take-1',
+      }
+    );
+    expect(stockTake.lines.map((line) => line.postedQuantity)).toEqual([
+      -3,
+      null,
+      2,
+    ]);
+    expect(stockTake.status).toBe('POSTED');
+    expect(stockTake.postedAt).toBeInstanceOf(Date);
+  });
+
+  it('posts only the approved lines', async () => {
+    const { service, stockTake, inventoryItemRepository } = buildService({
+      stockTake: submittedStockTake(),
+    });
+
+    await service.postStockTake('stock-take-1', { lineIds: ['line-3'] });
+
+    expect(inventoryItemRepository.adjustBatchQuantities).toHaveBeenCalledTimes(
+      1
+    );
+    expect(stockTake.lines[0].postedQuantity).toBeNull();
+    expect(stockTake.lines[2].postedQuantity).toBe(2);
+  });
+
+  it('rejects a line that is not on the sheet before claiming it', async () => {
+    const { service, stockTake, stockTakeRepository } = buildService({
+      stockTake: submittedStockTake(),
+    });
+
+    await expect(
+      service.postStockTake('stock-take-1', { lineIds: ['line-9'] })
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(stockTakeRepository.claimStatus).not.toHaveBeenCalled();
+    expect(stockTake.status).toBe('SUBMITTED');
+  });
+
+  it('applies the variances once when two posts race', async () => {
+    const { service, inventoryItemRepository } = buildService({
+      stockTake: submittedStockTake(),
+    });
+
+    const results = await Promise.allSettled([
+      service.postStockTake('stock-take-1'),
+      service.postStockTake('stock-take-1'),
+    ]);
+
+    expect(results.map((result) => result.status)).toEqual([
+      'fulfilled',
+      'rejected',
+    ]);
+    expect(results[1].reason.statusCode).toBe(409);
+    expect(inventoryItemRepository.adjustBatchQuantities).toHaveBeenCalledTimes(
+      2
+    );
+  });
+
+  it('returns to submitted when posting fails and skips posted lines on retry', async () => {
+    const { service, stockTake, inventoryItemRepository } = buildService({
+      stockTake: submittedStockTake(),
+    });
+    const adjust = inventoryItemRepository.adjustBatchQuantities;
+    adjust.mockImplementationOnce(adjust.getMockImplementation());
+    adjust.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(service.postStockTake('stock-take-1')).rejects.toThrow(
+      'connection lost'
+    );
+    expect(stockTake.status).toBe('SUBMITTED');
+    expect(stockTake.lines[0].postedQuantity).toBe(-3);
+
+    await service.postStockTake('stock-take-1');
+
+    expect(adjust).toHaveBeenCalledTimes(3);
+    expect(adjust).toHaveBeenLastCalledWith('item-beans', [
+      { batchId: stockTake.lines[2].batchId, quantity: 2 },
+    ]);
+    expect(stockTake.status).toBe('POSTED');
+  });
+
+  it('does not adjust a batch again when recording its movement failed', async () => {
+    const {
+      service,
+      stockTake,
+      inventoryItemRepository,
+      inventoryMovementService,
+    } = buildService({ stockTake: submittedStockTake() });
+    inventoryMovementService.recordBatchChanges.mockRejectedValueOnce(
+      new Error('connection lost')
+    );
+
+    await expect(service.postStockTake('stock-take-1')).rejects.toThrow(
+      'connection lost'
+    );
+    expect(stockTake.lines[0].postedQuantity).toBe(-3);
+
+    await service.postStockTake('stock-take-1');
+
+    expect(
+      inventoryItemRepository.adjustBatchQuantities.mock.calls.map(
+        ([itemId]) => itemId
+      )
+    ).toEqual(['item-rice', 'item-beans']);
+    expect(stockTake.status).toBe('POSTED');
+  });
+
+  it('refuses to post a stock-take that is still being counted', async () => {
+    const { service, inventoryItemRepository } = buildService();
+
+    await expect(service.postStockTake('stock-take-1')).rejects.toMatchObject({
+      statusCode: 409,
+    });
+    expect(
+      inventoryItemRepository.adjustBatchQuantities
+    ).not.toHaveBeenCalled();
+  });
+});
+
+describe('StockTakeService.cancelStockTake', () => {
+  it('cannot cancel a posted stock-take', async () => {
+    const { service } = buildService({
+      stockTake: buildStockTake({ status: 'POSTED' }),
+    });
+
+    await expect(
+      service.cancelStockTake('stock-take-1', 'Wrong shelf')
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
@@ -0,0 +1,324 @@
+import { jest } from '@jest/globals';
+import { StockTransferService } from '../../../src/inventory/application/services/stock-transfer.service.js';
+
+const objectId = (value) => ({ toString: () => value });
+
+const ITEM_ID = objectId('item-rice');
+const TRANSFER_ID = objectId('transfer-1');
+const KITCHEN = { _id: objectId('loc-kitchen'), name: 'Central Kitchen' };
+const SCHOOL = { _id: objectId('loc-school'), name: 'Hillside Primary' };
+
+const buildTransfer = (overrides = {}) => ({
+  _id: TRANSFER_ID,
+  transferNumber: 'TR-20260310-7K2Q',
+  itemId: ITEM_ID,
+  quantity: 30,
+  fromLocationId: KITCHEN._id,
+  fromLocationName: KITCHEN.name,
+  toLocationId: SCHOOL._id,
+  toLocationName: SCHOOL.name,
+  status: 'IN_TRANSIT',
+  batches: [
+    {
+      sourceBatchId: objectId('batch-1'),
+      quantity: 20,
+      expiryDate: new Date('2026-04-01'),
+      supplier: 'Fresh Farms',
+      unitPrice: 2,
+    },
+    {
+      sourceBatchId: objectId('batch-2'),
+      quantity: 10,
+      expiryDate: new Date('2026-05-01'),
+      supplier: 'Fresh Farms',
+      unitPrice: 2.5,
+    },
+  ],
+  ...overrides,
+});
+
+const buildService = ({ transfer = buildTransfer(), taken } = {}) => {
+  const item = {
+    _id: ITEM_ID,
+    name: 'Rice',
+    unit: 'kg',
+    batches: [],
+  };
+  const stockTransferRepository = {
+    create: jest.fn(async (data) => ({ _id: TRANSFER_ID, ...data })),
+    findById: jest.fn(async () => transfer),
+    // Atomic in the database; only the first of two claims gets the transfer
+    claimStatus: jest.fn(async (id, fromStatus, toStatus) => {
+      if (transfer.status !== fromStatus) {
+        return null;
+      }
+      transfer.status = toStatus;
+      return transfer;
+    }),
+    save: jest.fn(async (saved) => saved),
+    deleteById: jest.fn(async () => null),
+  };
+  const inventoryItemRepository = {
+    findById: jest.fn(async () => item),
+    takeFromLocation: jest.fn(async () =>
+      taken === null
+        ? null
+        : {
+            item: { ...item, batches: [] },
+            taken: taken || [
+              {
+                batch: { _id: objectId('batch-1'), quantity: 20, unitPrice: 2 },
+                quantity: 20,
+              },
+            ],
+          }
+    ),
+    addBatchesById: jest.fn(async (id, batches) => ({
+      ...item,
+      batches: [
+        { _id: objectId('batch-old') },
+        ...batches.map((batch, index) => ({
+          ...batch,
+          _id: objectId(`arrived-${index + 1}`),
+        })),
+      ],
+    })),
+  };
+  const inventoryReservationRepository = {
+    sumReservedByBatch: jest.fn(async () => new Map([['batch-1', 5]])),
+  };
+  const inventoryMovementService = { recordBatchChanges: jest.fn() };
+  const storageLocationService = {
+    getLocationById: jest.fn(async () => KITCHEN),
+    getActiveLocation: jest.fn(async () => SCHOOL),
+  };
+
+  const service = new StockTransferService({
+    stockTransferRepository,
+    inventoryItemRepository,
+    inventoryReservationRepository,
+    inventoryMovementService,
+    storageLocationService,
+  });
+
+  return {
+    service,
+    transfer,
+    stockTransferRepository,
+    inventoryItemRepository,
+    inventoryMovementService,
+  };
+};
+
+describe('StockTransferService.dispatchTransfer', () => {
+  const request = {
+    itemId: 'item-rice',
+    fromLocationId: 'loc-kitchen',
+    toLocationId: 'loc-school',
+    quantity: 20,
+  };
+
+  it('takes free stock at the source and keeps it on the transfer', async () => {
+    const {
+      service,
+      stockTransferRepository,
+      inventoryItemRepository,
+      inventoryMovementService,
+    } = buildService();
+
+    const transfer = await service.dispatchTransfer(request);
+
+    expect(inventoryItemRepository.takeFromLocation).toHaveBeenCalledWith(
+      ITEM_ID,
+      KITCHEN._id,
+      20,
+      new Map([['batch-1', 5]])
+    );
+    expect(stockTransferRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        transferNumber: expect.stringMatching(/^TR-\d{8}-[A-Z0-9]{4}$/),
+        fromLocationName: 'Central Kitchen',
+        toLocationName: 'Hillside Primary',
+        status: 'IN_TRANSIT',
+      })
+    );
+    expect(transfer.batches).toEqual([
+      expect.objectContaining({
+        quantity: 20,
+        unitPrice: 2,
+      }),
+    ]);
+    expect(inventoryMovementService.recordBatchChanges).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.anything(),
+      {
+        type: 'TRANSFER',
+        reason: 'Dispatched to Hillside Primary',
+        source: 'STOCK_TRANSFER',
+        sourceRef: 'transfer-1',
+      }
+    );
+  });
+
+  it('rejects a transfer to the same location', async () => {
+    const { service, stockTransferRepository } = buildService();
+
+    await expect(
+      service.dispatchTransfer({ ...request, toLocationId: 'loc-kitchen' })
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(stockTransferRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('drops the transfer when the source lacks free stock', async () => {
+    const { service, stockTransferRepository, inventoryMovementService } =
+      buildService({ taken: null });
+
+    await expect(service.dispatchTransfer(request)).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Not enough unreserved stock of Rice at Central Kitchen',
+    });
+    expect(stockTransferRepository.deleteById).toHaveBeenCalledWith(
+      TRANSFER_ID
+    );
+    expect(inventoryMovementService.recordBatchChanges).not.toHaveBeenCalled();
+  });
+});
+
+describe('StockTransferService.receiveTransfer', () => {
+  it('adds the carried batches at the destination', async () => {
+    const { service, inventoryItemRepository, inventoryMovementService } =
+      buildService();
+
+    const transfer = await service.receiveTransfer('transfer-1');
+
+    expect(inventoryItemRepository.addBatchesById).toHaveBeenCalledWith(
+      ITEM_ID,
+      [
+        expect.objectContaining({
+          quantity: 20,
+          expiryDate: new Date('2026-04-01'),
+          unitPrice: 2,
+          location: 'Hillside Primary',
+          locationId: SCHOOL._id,
+        }),
+        expect.objectContaining({ quantity: 10, unitPrice: 2.5 }),
+      ]
+    );
+    expect(transfer.status).toBe('RECEIVED');
+    expect(transfer.receivedAt).toBeInstanceOf(Date);
+    expect(
+      transfer.batches.map((batch) => batch.arrivedBatchId.toString())
+    ).toEqual(['arrived-1', 'arrived-2']);
+    expect(inventoryMovementService.recordBatchChanges).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.anything(),
+      expect.objectContaining({
+        type: 'TRANSFER',
+        reason: 'Received from Central Kitchen',
+      })
+    );
+  });
+
+  it('rejects a transfer that is no longer in transit', async () => {
+    const { service, inventoryItemRepository } = buildService({
+      transfer: buildTransfer({ status: 'RECEIVED' }),
+    });
+
+    await expect(service.receiveTransfer('transfer-1')).rejects.toMatchObject({
+      statusCode: 409,
+    });
+    expect(inventoryItemRepository.addBatchesById).not.toHaveBeenCalled();
+  });
+
+  it('places the stock once when a receive races another receive or a cancel', async () => {
+    const { service, inventoryItemRepository } = buildService();
+
+    const results = await Promise.allSettled([
+      service.receiveTransfer('transfer-1'),
+      service.receiveTransfer('transfer-1'),
+      service.cancelTransfer('transfer-1'),
+    ]);
+
+    expect(results.map((result) => result.status)).toEqual([
+      'fulfilled',
+      'rejected',
+      'rejected',
+    ]);
+    expect(results[1].reason).toMatchObject({ statusCode: 409 });
+    expect(results[2].reason).toMatchObject({ statusCode: 409 });
+    expect(inventoryItemRepository.addBatchesById).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not add placed batches again when a failed receive is retried', async () => {
+    const {
+      service,
+      transfer,
+      stockTransferRepository,
+      inventoryItemRepository,
+      inventoryMovementService,
+    } = buildService();
+    inventoryMovementService.recordBatchChanges.mockRejectedValueOnce(
+      new Error('connection lost')
+    );
+
+    await expect(service.receiveTransfer('transfer-1')).rejects.toThrow(
+      'connection lost'
+    );
+    expect(transfer.status).toBe('IN_TRANSIT');
+    expect(stockTransferRepository.save).toHaveBeenCalledWith(
+      expect.objectContaining({
+        batches: [
+          expect.objectContaining({ arrivedLocationId: SCHOOL._id }),
+          expect.objectContaining({ arrivedLocationId: SCHOOL._id }),
+        ],
+      })
+    );
+
+    await expect(service.cancelTransfer('transfer-1')).rejects.toMatchObject({
+      statusCode: 409,
+      message: expect.stringContaining('receive it again'),
+    });
+
+    const received = await service.receiveTransfer('transfer-1');
+
+    expect(received.status).toBe('RECEIVED');
+    expect(inventoryItemRepository.addBatchesById).toHaveBeenCalledTimes(1);
+    expect(
+      received.batches.map((batch) => batch.arrivedBatchId.toString())
+    ).toEqual(['arrived-1', 'arrived-2']);
+  });
+
+  it('hands the transfer back to in transit when the item is gone', async () => {
+    const { service, transfer, inventoryItemRepository } = buildService();
+    inventoryItemRepository.findById.mockResolvedValue(null);
+    inventoryItemRepository.addBatchesById.mockResolvedValue(null);
+
+    await expect(service.receiveTransfer('transfer-1')).rejects.toThrow(
+      'not found'
+    );
+    expect(transfer.status).toBe('IN_TRANSIT');
+  });
+});
+
+describe('StockTransferService.cancelTransfer', () => {
+  it('returns the stock to the source location', async () => {
+    const { service, inventoryItemRepository } = buildService();
+
+    const transfer = await service.cancelTransfer('transfer-1', 'Van broke');
+
+    expect(inventoryItemRepository.addBatchesById).toHaveBeenCalledWith(
+      ITEM_ID,
+      [
+        expect.objectContaining({
+          location: 'Central Kitchen',
+          locationId: KITCHEN._id,
+        }),
+        expect.objectContaining({ locationId: KITCHEN._id }),
+      ]
+    );
+    expect(transfer).toMatchObject({
+      status: 'CANCELLED',
+      cancelReason: 'Van broke',
+    });
+  });
+});
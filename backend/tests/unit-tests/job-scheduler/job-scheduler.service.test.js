@@ -0,0 +1,174 @@
+import { jest } from '@jest/globals';
+import { JobSchedulerService } from '../../../src/job-scheduler/application/services/job-scheduler.service.js';
+import { computeNextRunAt } from '../../../src/job-scheduler/application/utils/job-schedule.util.js';
+
+// --- Helpers ---
+const buildRepository = () => ({
+  findAll: jest.fn(async () => []),
+  findByName: jest.fn(async () => null),
+  acquireLock: jest.fn(async (name, owner) => ({ name, lockedBy: owner })),
+  releaseLock: jest.fn(async (name, owner, updates) => ({ name, ...updates })),
+});
+
+const buildJob = (overrides = {}) => ({
+  name: 'sample-job',
+  description: 'Sample',
+  schedule: { dailyAtUtc: '01:00' },
+  run: jest.fn(async () => ({ processed: 2 })),
+  ...overrides,
+});
+
+// ─── computeNextRunAt ─────────────────────────────────────────────────────────
+
+describe('computeNextRunAt', () => {
+  const from = new Date('2026-03-10T10:00:00.000Z');
+
+  it('returns today when the daily time is still ahead', () => {
+    expect(computeNextRunAt({ dailyAtUtc: '23:30' }, from)).toEqual(
+      new Date('2026-03-10T23:30:00.000Z')
+    );
+  });
+
+  it('returns tomorrow when the daily time has passed', () => {
+    expect(computeNextRunAt({ dailyAtUtc: '01:00' }, from)).toEqual(
+      new Date('2026-03-11T01:00:00.000Z')
+    );
+  });
+
+  it('adds the interval for everyMinutes schedules', () => {
+    expect(computeNextRunAt({ everyMinutes: 15 }, from)).toEqual(
+      new Date('2026-03-10T10:15:00.000Z')
+    );
+  });
+
+  it('never times a manual job', () => {
+    expect(computeNextRunAt({ manual: true }, from)).toBeNull();
+  });
+
+  it('returns null for an unknown schedule', () => {
+    expect(computeNextRunAt({ cron: '* * * * *' }, from)).toBeNull();
+  });
+});
+
+// ─── runJob ───────────────────────────────────────────────────────────────────
+
+describe('JobSchedulerService.runJob', () => {
+  it('runs the job under the lock and records the result', async () => {
+    const repository = buildRepository();
+    const job = buildJob();
+    const scheduler = new JobSchedulerService({
+      scheduledJobRepository: repository,
+      instanceId: 'instance-1',
+    }).register(job);
+
+    const result = await scheduler.runJob('sample-job', {
+      triggeredBy: 'admin-1',
+    });
+
+    expect(repository.acquireLock).toHaveBeenCalledWith(
+      'sample-job',
+      'instance-1',
+      expect.any(Number),
+      expect.any(Date)
+    );
+    expect(job.run).toHaveBeenCalledTimes(1);
+    expect(repository.releaseLock).toHaveBeenCalledWith(
+      'sample-job',
+      'instance-1',
+      expect.objectContaining({
+        lastStatus: 'SUCCEEDED',
+        lastResult: { processed: 2 },
+        lastTrigger: 'MANUAL',
+        lastTriggeredBy: 'admin-1',
+      })
+    );
+    expect(result.job.lastStatus).toBe('SUCCEEDED');
+  });
+
+  it('does not run the job when another instance holds the lock', async () => {
+    const repository = buildRepository();
+    repository.acquireLock.mockResolvedValue(null);
+    const job = buildJob();
+    const scheduler = new JobSchedulerService({
+      scheduledJobRepository: repository,
+    }).register(job);
+
+    const result = await scheduler.runJob('sample-job');
+
+    expect(result).toEqual({ error: 'JOB_ALREADY_RUNNING' });
+    expect(job.run).not.toHaveBeenCalled();
+    expect(repository.releaseLock).not.toHaveBeenCalled();
+  });
+
+  it('records a failure and still releases the lock', async () => {
+    const repository = buildRepository();
+    const job = buildJob({
+      run: jest.fn(async () => {
+        throw new Error('boom');
+      }),
+    });
+    const scheduler = new JobSchedulerService({
+      scheduledJobRepository: repository,
+    }).register(job);
+    const consoleSpy = jest
+      .spyOn(console, 'error')
+      .mockImplementation(() => {});
+
+    const result = await scheduler.runJob('sample-job');
+
+    expect(result.job.lastStatus).toBe('FAILED');
+    expect(result.job.lastError).toBe('boom');
+    expect(repository.releaseLock).toHaveBeenCalledTimes(1);
+    consoleSpy.mockRestore();
+  });
+
+  it('returns JOB_NOT_FOUND for an unregistered job', async () => {
+    const scheduler = new JobSchedulerService({
+      scheduledJobRepository: buildRepository(),
+    });
+
+    await expect(scheduler.runJob('missing')).resolves.toEqual({
+      error: 'JOB_NOT_FOUND',
+    });
+  });
+
+  it('refuses to register the same job twice', () => {
+    const scheduler = new JobSchedulerService({
+      scheduledJobRepository: buildRepository(),
+    }).register(buildJob());
+
+    expect(() => scheduler.register(buildJob())).toThrow(
+      'Job "sample-job" is already registered'
+    );
+  });
+});
+
+// ─── listJobs ─────────────────────────────────────────────────────────────────
+
+describe('JobSchedulerService.listJobs', () => {
+  it('merges registered jobs with their stored last run', async () => {
+    const repository = buildRepository();
+    repository.findAll.mockResolvedValue([
+      {
+        name: 'sample-job',
+        lastStatus: 'SUCCEEDED',
+        lastResult: { processed: 1 },
+      },
+    ]);
+    const scheduler = new JobSchedulerService({
+      scheduledJobRepository: repository,
+    })
+      .register(buildJob())
+      .register(buildJob({ name: 'other-job' }));
+
+    const jobs = await scheduler.listJobs();
+
+    expect(jobs).toHaveLength(2);
+    expect(jobs[0]).toMatchObject({
+      name: 'sample-job',
+      lastStatus: 'SUCCEEDED',
+      running: false,
+    });
+    expect(jobs[1]).toMatchObject({ name: 'other-job', lastStatus: null });
+  });
+});
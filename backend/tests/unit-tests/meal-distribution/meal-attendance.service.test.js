@@ -0,0 +1,395 @@
+import { jest } from '@jest/globals';
+
+// --- Mock dependencies before importing the service ---
+jest.unstable_mockModule(
+  '../../../src/meal-distribution/infrastructure/services/meal-student-lookup.service.js',
+  () => ({
+    findActiveStudentsWithGuardianForMealSession: jest.fn(),
+    isActiveStudentInSchool: jest.fn(),
+  })
+);
+
+const {
+  findActiveStudentsWithGuardianForMealSession: mockFindStudents,
+  isActiveStudentInSchool: mockIsActiveStudentInSchool,
+} =
+  await import('../../../src/meal-distribution/infrastructure/services/meal-student-lookup.service.js');
+
+const { MealAttendanceService } =
+  await import('../../../src/meal-distribution/application/services/meal-attendance.service.js');
+const { BulkMarkAttendanceDto } =
+  await import('../../../src/meal-distribution/application/dtos/requests/bulk-mark-attendance.dto.js');
+const { MarkAttendanceDto } =
+  await import('../../../src/meal-distribution/application/dtos/requests/mark-attendance.dto.js');
+
+// --- Helpers ---
+const SESSION_ID = '65f000000000000000000001';
+const NOW = new Date('2026-03-10T12:00:00.000Z');
+
+const buildSession = (overrides = {}) => ({
+  _id: SESSION_ID,
+  schoolId: 'school-1',
+  status: 'IN_PROGRESS',
+  plannedHeadcount: 10,
+  actualServedCount: 1,
+  wastageCount: 9,
+  ...overrides,
+});
+
+const NUT_CONFLICT = {
+  dietaryTag: 'Nut Allergy',
+  severity: 'block',
+  allergens: ['peanuts'],
+};
+
+const buildService = ({
+  session = buildSession(),
+  attendance = [],
+  blockedStudentIds = [],
+} = {}) => {
+  let nextId = 1;
+  const mealAttendanceRepository = {
+    findMany: jest.fn(async () => attendance),
+    findById: jest.fn(async (id) => attendance.find((row) => row._id === id)),
+    create: jest.fn(async (data) => ({ _id: `att-new-${nextId++}`, ...data })),
+    updateById: jest.fn(async (id, updates) => ({ _id: id, ...updates })),
+  };
+  const mealSessionRepository = {
+    findById: jest.fn(async () => session),
+    updateById: jest.fn(async () => session),
+    adjustServedCount: jest.fn(async (id, delta) => ({
+      ...session,
+      actualServedCount: session.actualServedCount + delta,
+      wastageCount:
+        session.plannedHeadcount - session.actualServedCount - delta,
+    })),
+  };
+  const mealSafetyCheckService = {
+    findBlockedStudents: jest.fn(
+      async () =>
+        new Map(
+          blockedStudentIds.map((sid) => [
+            sid,
+            { verdict: 'block', conflicts: [NUT_CONFLICT] },
+          ])
+        )
+    ),
+    checkScan: jest.fn(async ({ studentId, overrideReason }) => {
+      if (!blockedStudentIds.includes(studentId)) {
+        return { safety: null };
+      }
+      const safety = { verdict: 'block', conflicts: [NUT_CONFLICT] };
+      return overrideReason
+        ? { safety: { ...safety, overridden: true }, session }
+        : { error: 'DIETARY_CONFLICT_BLOCKED', safety };
+    }),
+    logOverride: jest.fn(async () => ({})),
+  };
+  const service = new MealAttendanceService(
+    mealAttendanceRepository,
+    mealSessionRepository,
+    null,
+    mealSafetyCheckService
+  );
+  return {
+    service,
+    mealAttendanceRepository,
+    mealSessionRepository,
+    mealSafetyCheckService,
+  };
+};
+
+const bulk = (service, body) =>
+  service.bulkMarkAttendance(
+    new BulkMarkAttendanceDto({ mealSessionId: SESSION_ID, ...body }),
+    NOW
+  );
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockFindStudents.mockResolvedValue([
+    { studentId: 'STU-1' },
+    { studentId: 'STU-2' },
+    { studentId: 'STU-3' },
+  ]);
+});
+
+// ─── bulkMarkAttendance ───────────────────────────────────────────────────────
+
+describe('MealAttendanceService.bulkMarkAttendance', () => {
+  it('marks listed students and updates served counts once', async () => {
+    const { service, mealAttendanceRepository, mealSessionRepository } =
+      buildService();
+
+    const result = await bulk(service, {
+      status: 'PRESENT',
+      studentIds: ['STU-1', 'STU-2'],
+      notes: 'Class trip',
+    });
+
+    expect(mealAttendanceRepository.create).toHaveBeenCalledTimes(2);
+    expect(mealAttendanceRepository.create).toHaveBeenCalledWith({
+      studentId: 'STU-1',
+      mealSessionId: SESSION_ID,
+      status: 'PRESENT',
+      servedAt: NOW,
+      notes: 'Class trip',
+    });
+    expect(mealSessionRepository.adjustServedCount).toHaveBeenCalledTimes(1);
+    expect(mealSessionRepository.adjustServedCount).toHaveBeenCalledWith(
+      SESSION_ID,
+      2
+    );
+    expect(result.summary).toEqual({ MARKED: 2 });
+    expect(result.actualServedCount).toBe(3);
+    expect(result.wastageCount).toBe(7);
+  });
+
+  it('does not mark students the dietary policy blocks as present', async () => {
+    const { service, mealAttendanceRepository, mealSafetyCheckService } =
+      buildService({
+        attendance: [{ _id: 'att-1', studentId: 'STU-2', status: 'NO_SHOW' }],
+        blockedStudentIds: ['STU-2'],
+      });
+
+    const result = await bulk(service, {
+      status: 'PRESENT',
+      studentIds: ['STU-1', 'STU-2', 'STU-9'],
+    });
+
+    expect(mealSafetyCheckService.findBlockedStudents).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: SESSION_ID }),
+      ['STU-1', 'STU-2']
+    );
+    expect(mealAttendanceRepository.create).toHaveBeenCalledTimes(1);
+    expect(mealAttendanceRepository.updateById).not.toHaveBeenCalled();
+    expect(result.results[1]).toEqual({
+      studentId: 'STU-2',
+      outcome: 'DIETARY_CONFLICT_BLOCKED',
+      previousStatus: 'NO_SHOW',
+      attendanceId: 'att-1',
+      conflicts: [NUT_CONFLICT],
+    });
+    expect(result.summary).toEqual({
+      MARKED: 1,
+      DIETARY_CONFLICT_BLOCKED: 1,
+      STUDENT_NOT_IN_SCHOOL: 1,
+    });
+  });
+
+  it('skips the dietary check for statuses other than present', async () => {
+    const { service, mealAttendanceRepository, mealSafetyCheckService } =
+      buildService({ blockedStudentIds: ['STU-2'] });
+
+    await bulk(service, { status: 'EXCUSED', studentIds: ['STU-2'] });
+
+    expect(mealSafetyCheckService.findBlockedStudents).not.toHaveBeenCalled();
+    expect(mealAttendanceRepository.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports students outside the school and unchanged ones', async () => {
+    const { service, mealAttendanceRepository } = buildService({
+      attendance: [{ _id: 'att-1', studentId: 'STU-1', status: 'EXCUSED' }],
+    });
+
+    const result = await bulk(service, {
+      status: 'EXCUSED',
+      studentIds: ['STU-1', 'STU-9'],
+    });
+
+    expect(mealAttendanceRepository.create).not.toHaveBeenCalled();
+    expect(mealAttendanceRepository.updateById).not.toHaveBeenCalled();
+    expect(result.results).toEqual([
+      {
+        studentId: 'STU-1',
+        outcome: 'UNCHANGED',
+        previousStatus: 'EXCUSED',
+        attendanceId: 'att-1',
+      },
+      {
+        studentId: 'STU-9',
+        outcome: 'STUDENT_NOT_IN_SCHOOL',
+        previousStatus: null,
+        attendanceId: null,
+      },
+    ]);
+  });
+
+  it('changes existing attendance and takes a PRESENT student off the count', async () => {
+    const { service, mealAttendanceRepository, mealSessionRepository } =
+      buildService({
+        attendance: [{ _id: 'att-1', studentId: 'STU-1', status: 'PRESENT' }],
+      });
+
+    const result = await bulk(service, {
+      status: 'NO_SHOW',
+      studentIds: ['STU-1'],
+    });
+
+    expect(mealAttendanceRepository.updateById).toHaveBeenCalledWith('att-1', {
+      status: 'NO_SHOW',
+      servedAt: NOW,
+    });
+    expect(mealSessionRepository.adjustServedCount).toHaveBeenCalledWith(
+      SESSION_ID,
+      -1
+    );
+    expect(result.results[0]).toMatchObject({
+      outcome: 'UPDATED',
+      previousStatus: 'PRESENT',
+    });
+  });
+
+  it('marks only roster students without attendance when allUnmarked is set', async () => {
+    const { service, mealAttendanceRepository, mealSessionRepository } =
+      buildService({
+        attendance: [{ _id: 'att-1', studentId: 'STU-2', status: 'PRESENT' }],
+      });
+
+    const result = await bulk(service, {
+      status: 'EXCUSED',
+      allUnmarked: true,
+    });
+
+    expect(result.results.map((r) => r.studentId)).toEqual(['STU-1', 'STU-3']);
+    expect(mealAttendanceRepository.updateById).not.toHaveBeenCalled();
+    expect(mealSessionRepository.adjustServedCount).not.toHaveBeenCalled();
+  });
+
+  it('starts a planned session when students are marked', async () => {
+    const { service, mealSessionRepository } = buildService({
+      session: buildSession({ status: 'PLANNED' }),
+    });
+
+    await bulk(service, { status: 'EXCUSED', studentIds: ['STU-1'] });
+
+    expect(mealSessionRepository.updateById).toHaveBeenCalledWith(SESSION_ID, {
+      status: 'IN_PROGRESS',
+    });
+  });
+
+  it('refuses a completed session', async () => {
+    const { service, mealAttendanceRepository } = buildService({
+      session: buildSession({ status: 'COMPLETED' }),
+    });
+
+    const result = await bulk(service, {
+      status: 'PRESENT',
+      studentIds: ['STU-1'],
+    });
+
+    expect(result).toEqual({ error: 'MEAL_SESSION_COMPLETED' });
+    expect(mealAttendanceRepository.create).not.toHaveBeenCalled();
+  });
+});
+
+// ─── markAttendance / updateAttendance ────────────────────────────────────────
+
+describe('MealAttendanceService dietary safety check', () => {
+  const mark = (service, body, options) =>
+    service.markAttendance(
+      new MarkAttendanceDto({ mealSessionId: SESSION_ID, ...body }),
+      options
+    );
+
+  beforeEach(() => mockIsActiveStudentInSchool.mockResolvedValue(true));
+
+  it('refuses to mark a student the dietary policy blocks as present', async () => {
+    const { service, mealAttendanceRepository, mealSafetyCheckService } =
+      buildService({ blockedStudentIds: ['STU-2'] });
+
+    const result = await mark(service, {
+      studentId: 'STU-2',
+      status: 'PRESENT',
+    });
+
+    expect(result).toEqual({
+      error: 'DIETARY_CONFLICT_BLOCKED',
+      safety: { verdict: 'block', conflicts: [NUT_CONFLICT] },
+    });
+    expect(mealSafetyCheckService.checkScan).toHaveBeenCalledWith({
+      mealSessionId: SESSION_ID,
+      studentId: 'STU-2',
+      overrideReason: undefined,
+    });
+    expect(mealAttendanceRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('marks a blocked student with an override reason and logs it', async () => {
+    const { service, mealAttendanceRepository, mealSafetyCheckService } =
+      buildService({ blockedStudentIds: ['STU-2'] });
+
+    const result = await mark(
+      service,
+      {
+        studentId: 'STU-2',
+        status: 'PRESENT',
+        overrideReason: ' Nut-free portion served ',
+      },
+      { actorId: 'user-9' }
+    );
+
+    expect(result.attendance.status).toBe('PRESENT');
+    expect(result.safety.overridden).toBe(true);
+    expect(mealAttendanceRepository.create).toHaveBeenCalledTimes(1);
+    expect(mealSafetyCheckService.logOverride).toHaveBeenCalledWith(
+      expect.objectContaining({
+        studentId: 'STU-2',
+        reason: 'Nut-free portion served',
+        actorId: 'user-9',
+        attendanceId: 'att-new-1',
+      })
+    );
+  });
+
+  it('does not check students marked other than present', async () => {
+    const { service, mealSafetyCheckService } = buildService({
+      blockedStudentIds: ['STU-2'],
+    });
+
+    const result = await mark(service, {
+      studentId: 'STU-2',
+      status: 'EXCUSED',
+    });
+
+    expect(result.attendance.status).toBe('EXCUSED');
+    expect(mealSafetyCheckService.checkScan).not.toHaveBeenCalled();
+  });
+
+  it('refuses to update a blocked student to present without an override', async () => {
+    const { service, mealAttendanceRepository, mealSafetyCheckService } =
+      buildService({
+        attendance: [
+          {
+            _id: 'att-1',
+            studentId: 'STU-2',
+            mealSessionId: SESSION_ID,
+            status: 'NO_SHOW',
+          },
+        ],
+        blockedStudentIds: ['STU-2'],
+      });
+
+    const blocked = await service.updateAttendance(
+      'att-1',
+      new MarkAttendanceDto({ status: 'PRESENT' })
+    );
+
+    expect(blocked.error).toBe('DIETARY_CONFLICT_BLOCKED');
+    expect(mealAttendanceRepository.updateById).not.toHaveBeenCalled();
+
+    const overridden = await service.updateAttendance(
+      'att-1',
+      new MarkAttendanceDto({
+        status: 'PRESENT',
+        overrideReason: 'Parent confirmed',
+      }),
+      { actorId: 'user-9' }
+    );
+
+    expect(overridden.attendance.status).toBe('PRESENT');
+    expect(mealSafetyCheckService.logOverride).toHaveBeenCalledWith(
+      expect.objectContaining({ attendanceId: 'att-1', actorId: 'user-9' })
+    );
+  });
+});
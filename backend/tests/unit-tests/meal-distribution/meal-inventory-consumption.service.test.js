@@ -0,0 +1,99 @@
+import { jest } from '@jest/globals';
+import { MealInventoryConsumptionService } from '../../../src/meal-distribution/application/services/meal-inventory-consumption.service.js';
+
+// --- Helpers ---
+const SESSION = {
+  _id: 'session-1',
+  schoolId: 'school-1',
+  date: new Date('2026-03-10T00:00:00.000Z'),
+  mealType: 'lunch',
+  status: 'COMPLETED',
+  plannedHeadcount: 120,
+};
+
+const buildService = (planMeal, sameMealSessions = [SESSION]) => {
+  const inventoryService = {
+    consumeMealPlanReservations: jest.fn(async () => ({
+      consumed: 3,
+      items: 2,
+    })),
+  };
+  const service = new MealInventoryConsumptionService({
+    mealPlanLookupService: {
+      getConfirmedPlanMeal: jest.fn(async () => planMeal),
+    },
+    inventoryService,
+    mealSessionRepository: {
+      findMany: jest.fn(async () => sameMealSessions),
+    },
+  });
+  return { service, inventoryService };
+};
+
+describe('MealInventoryConsumptionService', () => {
+  it('consumes the reservations of the confirmed plan meal', async () => {
+    const planMeal = {
+      mealPlanId: 'plan-1',
+      day: 'Tuesday',
+      mealType: 'lunch',
+    };
+    const { service, inventoryService } = buildService(planMeal);
+
+    const result = await service.consumeForCompletedSession(SESSION);
+
+    expect(inventoryService.consumeMealPlanReservations).toHaveBeenCalledWith({
+      ...planMeal,
+      share: 1,
+    });
+    expect(result).toEqual({ mealPlanId: 'plan-1', consumed: 3, items: 2 });
+  });
+
+  it('splits the plan meal between grade sessions by planned headcount', async () => {
+    const planMeal = {
+      mealPlanId: 'plan-1',
+      day: 'Tuesday',
+      mealType: 'lunch',
+    };
+    const grade1 = {
+      ...SESSION,
+      _id: 'session-grade-1',
+      grade: '1',
+      plannedHeadcount: 30,
+    };
+    const grade2 = {
+      ...SESSION,
+      _id: 'session-grade-2',
+      grade: '2',
+      status: 'PLANNED',
+      plannedHeadcount: 90,
+    };
+
+    const first = buildService(planMeal, [grade1, grade2]);
+    await first.service.consumeForCompletedSession(grade1);
+    expect(
+      first.inventoryService.consumeMealPlanReservations
+    ).toHaveBeenCalledWith({ ...planMeal, share: 0.25 });
+
+    // Grade 2 completes last and takes what grade 1 left reserved.
+    const last = buildService(planMeal, [
+      grade1,
+      { ...grade2, status: 'COMPLETED' },
+    ]);
+    await last.service.consumeForCompletedSession({
+      ...grade2,
+      status: 'COMPLETED',
+    });
+    expect(
+      last.inventoryService.consumeMealPlanReservations
+    ).toHaveBeenCalledWith({ ...planMeal, share: 1 });
+  });
+
+  it('does nothing when the session has no confirmed plan meal', async () => {
+    const { service, inventoryService } = buildService(null);
+
+    const result = await service.consumeForCompletedSession(SESSION);
+
+    expect(inventoryService.consumeMealPlanReservations).not.toHaveBeenCalled();
+    expect(result).toEqual({ mealPlanId: null, consumed: 0, items: 0 });
+  });
+});
@@ -0,0 +1,239 @@
+import { jest } from '@jest/globals';
+
+// --- Mock dependencies before importing the service ---
+jest.unstable_mockModule(
+  '../../../src/meal-distribution/infrastructure/services/meal-student-lookup.service.js',
+  () => ({
+    findActiveStudentDietaryProfile: jest.fn(),
+    findActiveStudentDietaryProfiles: jest.fn(),
+  })
+);
+
+const {
+  findActiveStudentDietaryProfile: mockFindProfile,
+  findActiveStudentDietaryProfiles: mockFindProfiles,
+} =
+  await import('../../../src/meal-distribution/infrastructure/services/meal-student-lookup.service.js');
+
+const { evaluateDietarySafety, MealSafetyCheckService } =
+  await import('../../../src/meal-distribution/application/services/meal-safety-check.service.js');
+
+// --- Helpers ---
+const buildRecipe = (overrides = {}) => ({
+  recipeId: 'recipe-1',
+  recipeName: 'Peanut Noodles',
+  allergens: ['peanuts', 'soy'],
+  dietaryFlags: { vegetarian: true, halal: false },
+  ...overrides,
+});
+
+const SESSION = {
+  _id: 'session-1',
+  schoolId: 'school-1',
+  date: new Date('2026-03-10T00:00:00.000Z'),
+  mealType: 'lunch',
+};
+
+const buildService = (recipe = buildRecipe()) => {
+  const dietaryOverrideLogRepository = { create: jest.fn(async (d) => d) };
+  const service = new MealSafetyCheckService({
+    mealSessionRepository: { findById: jest.fn(async () => SESSION) },
+    mealPlanLookupService: { getPlannedRecipe: jest.fn(async () => recipe) },
+    dietaryOverrideLogRepository,
+  });
+  return { service, dietaryOverrideLogRepository };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+// ─── evaluateDietarySafety ────────────────────────────────────────────────────
+
+describe('evaluateDietarySafety', () => {
+  it('is ok when no recipe is planned', () => {
+    expect(evaluateDietarySafety(['Nut Allergy'], null)).toEqual({
+      verdict: 'ok',
+      recipe: null,
+      conflicts: [],
+    });
+  });
+
+  it('blocks on an allergen clash and lists the allergens', () => {
+    const result = evaluateDietarySafety(['Nut Allergy'], buildRecipe());
+
+    expect(result.verdict).toBe('block');
+    expect(result.conflicts).toEqual([
+      { dietaryTag: 'Nut Allergy', severity: 'block', allergens: ['peanuts'] },
+    ]);
+  });
+
+  it('warns when a dietary preference flag is missing', () => {
+    const result = evaluateDietarySafety(
+      ['Halal', 'Vegetarian'],
+      buildRecipe()
+    );
+
+    expect(result.verdict).toBe('warning');
+    expect(result.conflicts).toEqual([
+      { dietaryTag: 'Halal', severity: 'warning', missingFlag: 'halal' },
+    ]);
+  });
+
+  it('is ok when the recipe satisfies every tag', () => {
+    const result = evaluateDietarySafety(
+      ['Dairy-Free', 'Vegetarian'],
+      buildRecipe()
+    );
+
+    expect(result.verdict).toBe('ok');
+    expect(result.recipe).toEqual({
+      recipeId: 'recipe-1',
+      recipeName: 'Peanut Noodles',
+    });
+  });
+});
+
+// ─── checkScan ────────────────────────────────────────────────────────────────
+
+describe('MealSafetyCheckService.checkScan', () => {
+  it('returns the verdict without blocking under the warn policy', async () => {
+    mockFindProfile.mockResolvedValue({
+      dietaryTags: ['Nut Allergy'],
+      school: { dietaryConflictPolicy: 'warn' },
+    });
+    const { service } = buildService();
+
+    const result = await service.checkScan({
+      mealSessionId: 'session-1',
+      studentId: 'STU-1',
+    });
+
+    expect(result.error).toBeUndefined();
+    expect(result.safety).toMatchObject({
+      verdict: 'block',
+      policy: 'warn',
+      overridden: false,
+    });
+  });
+
+  it('refuses a blocking conflict under the block policy', async () => {
+    mockFindProfile.mockResolvedValue({
+      dietaryTags: ['Nut Allergy'],
+      school: { dietaryConflictPolicy: 'block' },
+    });
+    const { service } = buildService();
+
+    const result = await service.checkScan({
+      mealSessionId: 'session-1',
+      studentId: 'STU-1',
+    });
+
+    expect(result.error).toBe('DIETARY_CONFLICT_BLOCKED');
+    expect(result.safety.verdict).toBe('block');
+  });
+
+  it('lets staff override a blocking conflict with a reason', async () => {
+    mockFindProfile.mockResolvedValue({
+      dietaryTags: ['Nut Allergy'],
+      school: { dietaryConflictPolicy: 'block' },
+    });
+    const { service, dietaryOverrideLogRepository } = buildService();
+
+    const result = await service.checkScan({
+      mealSessionId: 'session-1',
+      studentId: 'STU-1',
+      overrideReason: 'Served the nut-free alternative',
+    });
+    await service.logOverride({
+      session: result.session,
+      studentId: 'STU-1',
+      safety: result.safety,
+      reason: 'Served the nut-free alternative',
+      actorId: 'user-1',
+      attendanceId: 'att-1',
+    });
+
+    expect(result.safety.overridden).toBe(true);
+    expect(dietaryOverrideLogRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        mealSessionId: 'session-1',
+        schoolId: 'school-1',
+        studentId: 'STU-1',
+        recipeId: 'recipe-1',
+        reason: 'Served the nut-free alternative',
+        overriddenBy: 'user-1',
+      })
+    );
+  });
+
+  it('does not block warnings even under the block policy', async () => {
+    mockFindProfile.mockResolvedValue({
+      dietaryTags: ['Halal'],
+      school: { dietaryConflictPolicy: 'block' },
+    });
+    const { service } = buildService();
+
+    const result = await service.checkScan({
+      mealSessionId: 'session-1',
+      studentId: 'STU-1',
+    });
+
+    expect(result.error).toBeUndefined();
+    expect(result.safety.verdict).toBe('warning');
+  });
+
+  it('leaves unknown students to the attendance service', async () => {
+    mockFindProfile.mockResolvedValue(null);
+    const { service } = buildService();
+
+    await expect(
+      service.checkScan({ mealSessionId: 'session-1', studentId: 'STU-X' })
+    ).resolves.toEqual({ safety: null });
+  });
+});
+
+describe('MealSafetyCheckService.findBlockedStudents', () => {
+  it('returns only the students whose conflicts the school blocks', async () => {
+    mockFindProfiles.mockResolvedValue([
+      {
+        studentId: 'STU-1',
+        dietaryTags: ['Nut Allergy'],
+        school: { dietaryConflictPolicy: 'block' },
+      },
+      {
+        studentId: 'STU-2',
+        dietaryTags: ['Halal'],
+        school: { dietaryConflictPolicy: 'block' },
+      },
+      { studentId: 'STU-3', dietaryTags: [], school: {} },
+    ]);
+    const { service } = buildService();
+
+    const blocked = await service.findBlockedStudents(SESSION, [
+      'STU-1',
+      'STU-2',
+      'STU-3',
+    ]);
+
+    expect(mockFindProfiles).toHaveBeenCalledWith(
+      ['STU-1', 'STU-2', 'STU-3'],
+      'school-1'
+    );
+    expect([...blocked.keys()]).toEqual(['STU-1']);
+    expect(blocked.get('STU-1')).toMatchObject({
+      verdict: 'block',
+      policy: 'block',
+      conflicts: [{ dietaryTag: 'Nut Allergy', allergens: ['peanuts'] }],
+    });
+  });
+
+  it('blocks nobody when no recipe is planned', async () => {
+    const { service } = buildService(null);
+
+    const blocked = await service.findBlockedStudents(SESSION, ['STU-1']);
+
+    expect(blocked.size).toBe(0);
+    expect(mockFindProfiles).not.toHaveBeenCalled();
+  });
+});
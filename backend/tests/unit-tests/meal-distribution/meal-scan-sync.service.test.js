@@ -0,0 +1,229 @@
+import { jest } from '@jest/globals';
+import { MealScanSyncService } from '../../../src/meal-distribution/application/services/meal-scan-sync.service.js';
+import { SyncOfflineScansDto } from '../../../src/meal-distribution/application/dtos/requests/sync-offline-scans.dto.js';
+
+// --- Helpers ---
+const SESSION_ID = '65f000000000000000000001';
+const NOW = new Date('2026-03-10T12:00:00.000Z');
+
+const buildScan = (overrides = {}) => ({
+  idempotencyKey: 'key-1',
+  mealSessionId: SESSION_ID,
+  qrToken: 'KF1.k1.payload.sig',
+  scannedAt: '2026-03-10T08:00:00.000Z',
+  ...overrides,
+});
+
+const NUT_CONFLICT = {
+  dietaryTag: 'Nut Allergy',
+  severity: 'block',
+  allergens: ['peanuts'],
+};
+
+const buildService = ({
+  receipts = [],
+  markResults = {},
+  blockedStudentIds = [],
+} = {}) => {
+  const mealAttendanceService = {
+    markAttendance: jest.fn(async (dto) => {
+      if (blockedStudentIds.includes(dto.studentId)) {
+        return {
+          error: 'DIETARY_CONFLICT_BLOCKED',
+          safety: { verdict: 'block', conflicts: [NUT_CONFLICT] },
+        };
+      }
+      const error = markResults[dto.studentId];
+      return error
+        ? { error }
+        : { attendance: { id: `att-${dto.studentId}`, ...dto } };
+    }),
+  };
+  const mealCardVerificationService = {
+    resolveStudentId: jest.fn(async (token) =>
+      token === 'bad-token'
+        ? { error: 'QR_TOKEN_INVALID' }
+        : { studentId: token.startsWith('STU') ? token : 'STU-1' }
+    ),
+  };
+  const mealScanSyncReceiptRepository = {
+    findByIdempotencyKeys: jest.fn(async () => receipts),
+    createOrGetExisting: jest.fn(async (data) => ({
+      receipt: data,
+      created: true,
+    })),
+  };
+  const service = new MealScanSyncService({
+    mealAttendanceService,
+    mealCardVerificationService,
+    mealScanSyncReceiptRepository,
+  });
+  return {
+    service,
+    mealAttendanceService,
+    mealScanSyncReceiptRepository,
+  };
+};
+
+const sync = (service, scans) =>
+  service.syncScans(new SyncOfflineScansDto({ scans }), NOW);
+
+// ─── syncScans ────────────────────────────────────────────────────────────────
+
+describe('MealScanSyncService.syncScans', () => {
+  it('accepts a scan and uses the client scan time as servedAt', async () => {
+    const { service, mealAttendanceService } = buildService();
+
+    const { results, summary } = await sync(service, [buildScan()]);
+
+    expect(mealAttendanceService.markAttendance).toHaveBeenCalledWith(
+      expect.objectContaining({
+        studentId: 'STU-1',
+        mealSessionId: SESSION_ID,
+        status: 'PRESENT',
+        servedAt: new Date('2026-03-10T08:00:00.000Z'),
+      })
+    );
+    expect(results[0]).toMatchObject({
+      idempotencyKey: 'key-1',
+      outcome: 'ACCEPTED',
+      attendanceId: 'att-STU-1',
+      replayed: false,
+    });
+    expect(summary).toEqual({ ACCEPTED: 1 });
+  });
+
+  it('never records a servedAt later than the sync time', async () => {
+    const { service, mealAttendanceService } = buildService();
+
+    await sync(service, [buildScan({ scannedAt: '2026-03-11T08:00:00.000Z' })]);
+
+    expect(mealAttendanceService.markAttendance).toHaveBeenCalledWith(
+      expect.objectContaining({ servedAt: NOW })
+    );
+  });
+
+  it('maps attendance errors to per-scan outcomes', async () => {
+    const { service } = buildService({
+      markResults: {
+        'STU-DUP': 'STUDENT_ALREADY_PRESENT',
+        'STU-OUT': 'STUDENT_NOT_IN_SCHOOL',
+        'STU-LOCK': 'MEAL_SESSION_COMPLETED',
+      },
+    });
+
+    const { results, summary } = await sync(service, [
+      buildScan({ idempotencyKey: 'a', qrToken: 'STU-DUP' }),
+      buildScan({ idempotencyKey: 'b', qrToken: 'STU-OUT' }),
+      buildScan({ idempotencyKey: 'c', qrToken: 'STU-LOCK' }),
+      buildScan({ idempotencyKey: 'd', qrToken: 'bad-token' }),
+    ]);
+
+    expect(results.map((result) => result.outcome)).toEqual([
+      'DUPLICATE',
+      'STUDENT_NOT_IN_SCHOOL',
+      'SESSION_LOCKED',
+      'INVALID_CARD',
+    ]);
+    expect(results[3].code).toBe('QR_TOKEN_INVALID');
+    expect(summary).toEqual({
+      DUPLICATE: 1,
+      STUDENT_NOT_IN_SCHOOL: 1,
+      SESSION_LOCKED: 1,
+      INVALID_CARD: 1,
+    });
+  });
+
+  it('leaves a scan the dietary policy blocks unmarked and reports its conflicts', async () => {
+    const { service, mealAttendanceService } = buildService({
+      blockedStudentIds: ['STU-NUT'],
+    });
+
+    const { results, summary } = await sync(service, [
+      buildScan({ idempotencyKey: 'a', qrToken: 'STU-NUT' }),
+      buildScan({ idempotencyKey: 'b', qrToken: 'STU-OK' }),
+    ]);
+
+    expect(mealAttendanceService.markAttendance).toHaveBeenCalledWith(
+      expect.objectContaining({
+        studentId: 'STU-NUT',
+        status: 'PRESENT',
+        overrideReason: undefined,
+      })
+    );
+    expect(results[0]).toMatchObject({
+      studentId: 'STU-NUT',
+      outcome: 'DIETARY_CONFLICT_BLOCKED',
+      code: 'DIETARY_CONFLICT_BLOCKED',
+      conflicts: [NUT_CONFLICT],
+    });
+    expect(results[1].conflicts).toEqual([]);
+    expect(summary).toEqual({ DIETARY_CONFLICT_BLOCKED: 1, ACCEPTED: 1 });
+  });
+
+  it('replays the stored outcome for a known idempotency key', async () => {
+    const { service, mealAttendanceService, mealScanSyncReceiptRepository } =
+      buildService({
+        receipts: [
+          {
+            idempotencyKey: 'key-1',
+            mealSessionId: SESSION_ID,
+            studentId: 'STU-1',
+            outcome: 'ACCEPTED',
+            attendanceId: 'att-1',
+          },
+        ],
+      });
+
+    const { results } = await sync(service, [buildScan()]);
+
+    expect(mealAttendanceService.markAttendance).not.toHaveBeenCalled();
+    expect(
+      mealScanSyncReceiptRepository.createOrGetExisting
+    ).not.toHaveBeenCalled();
+    expect(results[0]).toMatchObject({
+      outcome: 'ACCEPTED',
+      attendanceId: 'att-1',
+      replayed: true,
+    });
+  });
+
+  it('applies scans oldest first but returns them in request order', async () => {
+    const { service, mealAttendanceService } = buildService();
+
+    const { results } = await sync(service, [
+      buildScan({
+        idempotencyKey: 'late',
+        qrToken: 'STU-LATE',
+        scannedAt: '2026-03-10T09:00:00.000Z',
+      }),
+      buildScan({
+        idempotencyKey: 'early',
+        qrToken: 'STU-EARLY',
+        scannedAt: '2026-03-10T07:00:00.000Z',
+      }),
+    ]);
+
+    expect(
+      mealAttendanceService.markAttendance.mock.calls.map(
+        ([dto]) => dto.studentId
+      )
+    ).toEqual(['STU-EARLY', 'STU-LATE']);
+    expect(results.map((result) => result.idempotencyKey)).toEqual([
+      'late',
+      'early',
+    ]);
+  });
+
+  it('accepts manual scans that carry a studentId instead of a token', async () => {
+    const { service, mealAttendanceService } = buildService();
+
+    await sync(service, [
+      buildScan({ qrToken: undefined, studentId: 'STU-9' }),
+    ]);
+
+    expect(mealAttendanceService.markAttendance).toHaveBeenCalledWith(
+      expect.objectContaining({ studentId: 'STU-9' })
+    );
+  });
+});
@@ -0,0 +1,163 @@
+import { jest } from '@jest/globals';
+
+// --- Mock dependencies before importing the services ---
+jest.unstable_mockModule(
+  '../../../src/meal-distribution/infrastructure/services/meal-student-lookup.service.js',
+  () => ({
+    findActiveStudentsWithGuardianForMealSession: jest.fn(),
+    isActiveStudentInSchool: jest.fn(),
+  })
+);
+
+jest.unstable_mockModule(
+  '../../../src/school-management/infrastructure/repositories/student.repository.js',
+  () => ({
+    countStudentsBySchool: jest.fn(async () => 120),
+    findByStudentId: jest.fn(),
+  })
+);
+
+const { findActiveStudentsWithGuardianForMealSession: mockFindStudents } =
+  await import('../../../src/meal-distribution/infrastructure/services/meal-student-lookup.service.js');
+
+const { formatSessionScope, sessionScopesOverlap, studentMatchesSessionScope } =
+  await import('../../../src/meal-distribution/infrastructure/utils/session-scope.util.js');
+const { MealSessionService } =
+  await import('../../../src/meal-distribution/application/services/meal-session.service.js');
+
+// --- Helpers ---
+const buildService = (sameDaySessions = []) => {
+  const mealSessionRepository = {
+    findMany: jest.fn(async () => sameDaySessions),
+    create: jest.fn(async (data) => ({ _id: 'session-new', ...data })),
+  };
+  return {
+    service: new MealSessionService(mealSessionRepository),
+    mealSessionRepository,
+  };
+};
+
+const createDto = (overrides = {}) => ({
+  date: '2026-03-10',
+  mealType: 'Lunch',
+  schoolId: 'SCH-1',
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockFindStudents.mockResolvedValue([
+    { studentId: 'STU-1' },
+    { studentId: 'STU-2' },
+  ]);
+});
+
+// ─── session-scope.util ───────────────────────────────────────────────────────
+
+describe('session scope matching', () => {
+  it('matches grades regardless of case and a leading "Grade"', () => {
+    const session = { grade: '5', className: '5a' };
+
+    expect(
+      studentMatchesSessionScope(
+        { gradeLevel: 'Grade 5', className: '5A' },
+        session
+      )
+    ).toBe(true);
+    expect(
+      studentMatchesSessionScope(
+        { gradeLevel: 'Grade 5', className: '5B' },
+        session
+      )
+    ).toBe(false);
+    expect(
+      studentMatchesSessionScope({ gradeLevel: '6' }, { grade: '5' })
+    ).toBe(false);
+  });
+
+  it('keeps every student in a whole-school session', () => {
+    expect(studentMatchesSessionScope({ gradeLevel: '6' }, {})).toBe(true);
+  });
+
+  it('treats sessions that could share a student as overlapping', () => {
+    expect(sessionScopesOverlap({}, { grade: '5' })).toBe(true);
+    expect(sessionScopesOverlap({ grade: '5' }, { grade: 'grade 5' })).toBe(
+      true
+    );
+    expect(sessionScopesOverlap({ grade: '5' }, { grade: '6' })).toBe(false);
+    expect(
+      sessionScopesOverlap(
+        { grade: '5', className: '5A' },
+        { grade: '5', className: '5B' }
+      )
+    ).toBe(false);
+  });
+
+  it('labels the scope for reports', () => {
+    expect(formatSessionScope({ grade: 'grade 5', className: '5A' })).toBe(
+      'Grade 5 · Class 5A'
+    );
+    expect(formatSessionScope({})).toBe('Whole school');
+  });
+});
+
+// ─── MealSessionService.createMealSession ─────────────────────────────────────
+
+describe('MealSessionService.createMealSession with a scope', () => {
+  it('plans the headcount from the students in the grade and class', async () => {
+    const { service, mealSessionRepository } = buildService();
+
+    const result = await service.createMealSession(
+      createDto({ grade: ' 5 ', className: '5A' })
+    );
+
+    expect(mockFindStudents).toHaveBeenCalledWith('SCH-1', {
+      grade: '5',
+      className: '5A',
+    });
+    expect(mealSessionRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        grade: '5',
+        className: '5A',
+        plannedHeadcount: 2,
+        wastageCount: 2,
+      })
+    );
+    expect(result).toMatchObject({ grade: '5', className: '5A' });
+  });
+
+  it('uses the whole school count without a scope', async () => {
+    const { service, mealSessionRepository } = buildService();
+
+    await service.createMealSession(createDto({ grade: '  ' }));
+
+    expect(mockFindStudents).not.toHaveBeenCalled();
+    expect(mealSessionRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({ grade: undefined, plannedHeadcount: 120 })
+    );
+  });
+
+  it('allows sessions for different grades on the same day', async () => {
+    const { service, mealSessionRepository } = buildService([
+      { _id: 'session-1', mealType: 'Lunch', grade: '6' },
+    ]);
+
+    await service.createMealSession(createDto({ grade: '5' }));
+
+    expect(mealSessionRepository.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses a session that overlaps an existing one', async () => {
+    const { service, mealSessionRepository } = buildService([
+      { _id: 'session-1', mealType: 'Lunch', grade: '5' },
+    ]);
+
+    await expect(
+      service.createMealSession(createDto({ grade: '5', className: '5A' }))
+    ).rejects.toMatchObject({
+      code: 'MEAL_SESSION_DUPLICATE',
+      message: 'Lunch session for Grade 5 already exists for this day',
+    });
+    expect(mealSessionRepository.create).not.toHaveBeenCalled();
+  });
+});
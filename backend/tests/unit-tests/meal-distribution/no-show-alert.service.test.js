@@ -0,0 +1,320 @@
+import { jest } from '@jest/globals';
+
+// --- Mock dependencies before importing the service ---
+jest.unstable_mockModule(
+  '../../../src/meal-distribution/infrastructure/services/meal-student-lookup.service.js',
+  () => ({
+    findActiveStudentWithGuardian: jest.fn(),
+  })
+);
+
+jest.unstable_mockModule(
+  '../../../src/school-management/infrastructure/repositories/school.repository.js',
+  () => ({
+    findSchoolById: jest.fn(async () => ({ schoolName: 'Test School' })),
+  })
+);
+
+const { findActiveStudentWithGuardian: mockFindStudent } =
+  await import('../../../src/meal-distribution/infrastructure/services/meal-student-lookup.service.js');
+
+const { NoShowAlertService } =
+  await import('../../../src/meal-distribution/application/services/no-show-alert.service.js');
+
+// --- Helpers ---
+const SCHOOL_ID = 'SCH-1';
+
+// One COMPLETED session per school day, ids s1..sN, newest first (as the repo sorts).
+const buildSessions = (count) =>
+  Array.from({ length: count }, (_, i) => ({
+    _id: `s${i + 1}`,
+    date: new Date(Date.UTC(2026, 2, 2 + i)),
+    createdAt: new Date(Date.UTC(2026, 2, 2 + i)),
+  })).reverse();
+
+// statuses[i] is the status of the student at session s(i+1).
+const buildAttendance = (studentId, statuses) =>
+  statuses.map((status, i) => ({
+    mealSessionId: `s${i + 1}`,
+    studentId,
+    status,
+    servedAt: new Date(Date.UTC(2026, 2, 2 + i, 8)),
+  }));
+
+const buildService = ({ sessions, attendance, alerts = [], settings = {} }) => {
+  const noShowAlertRepository = {
+    create: jest.fn(async (data) => ({ _id: 'alert-new', ...data })),
+    findById: jest.fn(),
+    findMany: jest.fn(async () => alerts),
+    findOverlapping: jest.fn(async () => alerts),
+    updateById: jest.fn(async (id, updates) => ({ _id: id, ...updates })),
+  };
+  const service = new NoShowAlertService({
+    noShowAlertRepository,
+    noShowAlertSettingsRepository: {
+      findBySchoolId: jest.fn(async () => ({
+        notifyGuardians: false,
+        ...settings,
+      })),
+      upsertBySchoolId: jest.fn(),
+    },
+    mealSessionRepository: { findMany: jest.fn(async () => sessions) },
+    mealAttendanceRepository: { findMany: jest.fn(async () => attendance) },
+    notificationService: {
+      notifyGuardian: jest.fn(async ({ guardian }) =>
+        guardian?.email
+          ? { status: 'SENT', sentAt: new Date() }
+          : { status: 'SKIPPED', skipReason: 'MISSING_EMAIL' }
+      ),
+    },
+  });
+  return { service, noShowAlertRepository };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+// ─── evaluateNoShowPatterns ───────────────────────────────────────────────────
+
+describe('evaluateNoShowPatterns', () => {
+  it('raises a CONSECUTIVE alert for the latest run of no-shows', async () => {
+    const { service, noShowAlertRepository } = buildService({
+      sessions: buildSessions(5),
+      attendance: buildAttendance('STU-1', [
+        'PRESENT',
+        'NO_SHOW',
+        'NO_SHOW',
+        'NO_SHOW',
+        'PRESENT',
+      ]),
+    });
+
+    const result = await service.evaluateNoShowPatterns({
+      schoolId: SCHOOL_ID,
+    });
+
+    expect(result.created).toHaveLength(1);
+    expect(noShowAlertRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        studentId: 'STU-1',
+        rule: 'CONSECUTIVE',
+        noShowCount: 3,
+        mealSessionIds: ['s2', 's3', 's4'],
+      })
+    );
+  });
+
+  it('raises a ROLLING_WINDOW alert when no-shows exceed the maximum', async () => {
+    const { service, noShowAlertRepository } = buildService({
+      sessions: buildSessions(6),
+      attendance: buildAttendance('STU-1', [
+        'NO_SHOW',
+        'PRESENT',
+        'NO_SHOW',
+        'PRESENT',
+        'NO_SHOW',
+        'NO_SHOW',
+      ]),
+      settings: { maxNoShowsInWindow: 3 },
+    });
+
+    const result = await service.evaluateNoShowPatterns({
+      schoolId: SCHOOL_ID,
+    });
+
+    expect(result.created.map((alert) => alert.rule)).toEqual([
+      'ROLLING_WINDOW',
+    ]);
+    expect(noShowAlertRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({ rule: 'ROLLING_WINDOW', noShowCount: 4 })
+    );
+  });
+
+  it('only looks at the last windowSchoolDays school days', async () => {
+    const { service, noShowAlertRepository } = buildService({
+      sessions: buildSessions(5),
+      attendance: buildAttendance('STU-1', [
+        'NO_SHOW',
+        'NO_SHOW',
+        'NO_SHOW',
+        'PRESENT',
+        'PRESENT',
+      ]),
+      settings: { windowSchoolDays: 3 },
+    });
+
+    const result = await service.evaluateNoShowPatterns({
+      schoolId: SCHOOL_ID,
+    });
+
+    expect(result.created).toHaveLength(0);
+    expect(noShowAlertRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('merges into an overlapping open alert instead of creating a duplicate', async () => {
+    const { service, noShowAlertRepository } = buildService({
+      sessions: buildSessions(4),
+      attendance: buildAttendance('STU-1', [
+        'NO_SHOW',
+        'NO_SHOW',
+        'NO_SHOW',
+        'NO_SHOW',
+      ]),
+      alerts: [
+        {
+          _id: 'alert-1',
+          rule: 'CONSECUTIVE',
+          status: 'ACKNOWLEDGED',
+          periodFrom: new Date(Date.UTC(2026, 2, 2)),
+          periodTo: new Date(Date.UTC(2026, 2, 4)),
+          mealSessionIds: ['s1', 's2', 's3'],
+        },
+      ],
+    });
+
+    const result = await service.evaluateNoShowPatterns({
+      schoolId: SCHOOL_ID,
+    });
+
+    expect(noShowAlertRepository.create).not.toHaveBeenCalled();
+    expect(result.updated).toHaveLength(1);
+    expect(noShowAlertRepository.updateById).toHaveBeenCalledWith(
+      'alert-1',
+      expect.objectContaining({
+        noShowCount: 4,
+        periodTo: new Date(Date.UTC(2026, 2, 5)),
+      })
+    );
+  });
+
+  it('does not re-alert on no-shows inside a resolved period', async () => {
+    const { service, noShowAlertRepository } = buildService({
+      sessions: buildSessions(4),
+      attendance: buildAttendance('STU-1', [
+        'NO_SHOW',
+        'NO_SHOW',
+        'NO_SHOW',
+        'NO_SHOW',
+      ]),
+      alerts: [
+        {
+          _id: 'alert-1',
+          rule: 'CONSECUTIVE',
+          status: 'RESOLVED',
+          periodFrom: new Date(Date.UTC(2026, 2, 2)),
+          periodTo: new Date(Date.UTC(2026, 2, 4)),
+          mealSessionIds: ['s1', 's2', 's3'],
+        },
+      ],
+    });
+
+    const result = await service.evaluateNoShowPatterns({
+      schoolId: SCHOOL_ID,
+    });
+
+    expect(result.created).toHaveLength(0);
+    expect(noShowAlertRepository.create).not.toHaveBeenCalled();
+    expect(noShowAlertRepository.updateById).not.toHaveBeenCalled();
+  });
+
+  it('does nothing when alerts are disabled for the school', async () => {
+    const { service, noShowAlertRepository } = buildService({
+      sessions: buildSessions(3),
+      attendance: buildAttendance('STU-1', ['NO_SHOW', 'NO_SHOW', 'NO_SHOW']),
+      settings: { enabled: false },
+    });
+
+    const result = await service.evaluateNoShowPatterns({
+      schoolId: SCHOOL_ID,
+    });
+
+    expect(result.enabled).toBe(false);
+    expect(noShowAlertRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('records a skipped notification when the guardian has no email', async () => {
+    mockFindStudent.mockResolvedValue({ studentId: 'STU-1', guardian: {} });
+    const { service, noShowAlertRepository } = buildService({
+      sessions: buildSessions(3),
+      attendance: buildAttendance('STU-1', ['NO_SHOW', 'NO_SHOW', 'NO_SHOW']),
+      settings: { notifyGuardians: true },
+    });
+
+    const result = await service.evaluateNoShowPatterns({
+      schoolId: SCHOOL_ID,
+    });
+
+    expect(noShowAlertRepository.updateById).toHaveBeenCalledWith(
+      'alert-new',
+      expect.objectContaining({
+        notificationStatus: 'SKIPPED',
+        notificationError: 'MISSING_EMAIL',
+      })
+    );
+    expect(result.created[0].notificationStatus).toBe('SKIPPED');
+  });
+});
+
+// ─── acknowledge / resolve ────────────────────────────────────────────────────
+
+describe('acknowledgeAlert / resolveAlert', () => {
+  it('acknowledges an open alert with the actor and notes', async () => {
+    const { service, noShowAlertRepository } = buildService({
+      sessions: [],
+      attendance: [],
+    });
+    noShowAlertRepository.findById.mockResolvedValue({
+      _id: 'alert-1',
+      status: 'OPEN',
+    });
+
+    const result = await service.acknowledgeAlert(
+      'alert-1',
+      { notes: ' Called parent ' },
+      'user-1'
+    );
+
+    expect(result.alert.status).toBe('ACKNOWLEDGED');
+    expect(result.alert.acknowledgedBy).toBe('user-1');
+    expect(result.alert.notes).toBe('Called parent');
+  });
+
+  it('refuses to acknowledge an alert that is not open', async () => {
+    const { service, noShowAlertRepository } = buildService({
+      sessions: [],
+      attendance: [],
+    });
+    noShowAlertRepository.findById.mockResolvedValue({
+      _id: 'alert-1',
+      status: 'RESOLVED',
+    });
+
+    const result = await service.acknowledgeAlert('alert-1', {}, 'user-1');
+
+    expect(result).toEqual({ error: 'NO_SHOW_ALERT_NOT_OPEN' });
+  });
+
+  it('refuses to resolve an already resolved alert', async () => {
+    const { service, noShowAlertRepository } = buildService({
+      sessions: [],
+      attendance: [],
+    });
+    noShowAlertRepository.findById.mockResolvedValue({
+      _id: 'alert-1',
+      status: 'RESOLVED',
+    });
+
+    const result = await service.resolveAlert('alert-1', {}, 'user-1');
+
+    expect(result).toEqual({ error: 'NO_SHOW_ALERT_ALREADY_RESOLVED' });
+  });
+
+  it('returns not found for an unknown alert', async () => {
+    const { service } = buildService({ sessions: [], attendance: [] });
+
+    const result = await service.resolveAlert('missing', {}, 'user-1');
+
+    expect(result).toEqual({ error: 'NO_SHOW_ALERT_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,241 @@
+import { jest } from '@jest/globals';
+
+// --- Mock dependencies before importing the services ---
+jest.unstable_mockModule(
+  '../../../src/meal-distribution/infrastructure/services/meal-student-lookup.service.js',
+  () => ({
+    isActiveStudentInSchool: jest.fn(),
+    findActiveStudentsWithGuardianForMealSession: jest.fn(),
+  })
+);
+
+jest.unstable_mockModule(
+  '../../../src/meal-distribution/infrastructure/schemas/meal-attendance.schema.js',
+  () => ({
+    MealAttendance: { create: jest.fn(async (data) => data) },
+  })
+);
+
+jest.unstable_mockModule(
+  '../../../src/school-management/infrastructure/repositories/school.repository.js',
+  () => ({
+    findSchoolById: jest.fn(async () => ({ schoolName: 'Test School' })),
+  })
+);
+
+const {
+  isActiveStudentInSchool: mockIsInSchool,
+  findActiveStudentsWithGuardianForMealSession: mockFindStudents,
+} =
+  await import('../../../src/meal-distribution/infrastructure/services/meal-student-lookup.service.js');
+const { MealAttendance } =
+  await import('../../../src/meal-distribution/infrastructure/schemas/meal-attendance.schema.js');
+
+const { StudentAbsenceService } =
+  await import('../../../src/meal-distribution/application/services/student-absence.service.js');
+const { StudentAbsenceDto } =
+  await import('../../../src/meal-distribution/application/dtos/requests/student-absence.dto.js');
+const { MealSessionCompletionService } =
+  await import('../../../src/meal-distribution/application/services/meal-session-completion.service.js');
+const { MealAttendanceService } =
+  await import('../../../src/meal-distribution/application/services/meal-attendance.service.js');
+
+// --- Helpers ---
+const SCHOOL_ID = 'SCH-1';
+
+const SESSION = {
+  _id: 'session-1',
+  schoolId: SCHOOL_ID,
+  date: new Date('2026-03-10T00:00:00.000Z'),
+  mealType: 'Lunch',
+  status: 'IN_PROGRESS',
+};
+
+const ABSENCE = {
+  _id: 'absence-1',
+  studentId: 'STU-2',
+  schoolId: SCHOOL_ID,
+  dateFrom: new Date('2026-03-09T00:00:00.000Z'),
+  dateTo: new Date('2026-03-11T00:00:00.000Z'),
+  mealTypes: [],
+  reason: 'Family trip',
+};
+
+const buildRepository = ({
+  existing = ABSENCE,
+  covering = [ABSENCE],
+} = {}) => ({
+  create: jest.fn(async (data) => ({ _id: 'absence-new', ...data })),
+  findById: jest.fn(async () => existing),
+  findMany: jest.fn(async () => []),
+  findCovering: jest.fn(async () => covering),
+  updateById: jest.fn(async (id, updates) => ({ ...existing, ...updates })),
+  deleteById: jest.fn(async () => existing),
+});
+
+const buildService = (options) => {
+  const studentAbsenceRepository = buildRepository(options);
+  return {
+    service: new StudentAbsenceService({ studentAbsenceRepository }),
+    studentAbsenceRepository,
+  };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockIsInSchool.mockResolvedValue(true);
+  mockFindStudents.mockResolvedValue([
+    { studentId: 'STU-1', firstName: 'Ann', guardian: { email: 'a@x.lk' } },
+    { studentId: 'STU-2', firstName: 'Ben', guardian: { email: 'b@x.lk' } },
+  ]);
+});
+
+// ─── StudentAbsenceService ────────────────────────────────────────────────────
+
+describe('StudentAbsenceService', () => {
+  it('registers an absence on whole days and records who entered it', async () => {
+    const { service, studentAbsenceRepository } = buildService();
+
+    const result = await service.createAbsence(
+      new StudentAbsenceDto({
+        studentId: ' STU-2 ',
+        schoolId: SCHOOL_ID,
+        dateFrom: '2026-03-09T08:30:00.000Z',
+        mealTypes: ['Lunch', 'lunch'],
+        reason: 'Dentist',
+      }),
+      'user-1'
+    );
+
+    expect(studentAbsenceRepository.create).toHaveBeenCalledWith({
+      studentId: 'STU-2',
+      schoolId: SCHOOL_ID,
+      dateFrom: new Date('2026-03-09T00:00:00.000Z'),
+      dateTo: new Date('2026-03-09T00:00:00.000Z'),
+      mealTypes: ['lunch'],
+      reason: 'Dentist',
+      enteredBy: 'user-1',
+    });
+    expect(result.absence).toMatchObject({
+      dateFrom: '2026-03-09',
+      dateTo: '2026-03-09',
+      enteredBy: 'user-1',
+    });
+  });
+
+  it('refuses students who are not active at the school', async () => {
+    mockIsInSchool.mockResolvedValue(false);
+    const { service, studentAbsenceRepository } = buildService();
+
+    const result = await service.createAbsence(
+      new StudentAbsenceDto({
+        studentId: 'STU-9',
+        schoolId: SCHOOL_ID,
+        dateFrom: '2026-03-09',
+        reason: 'Sick',
+      })
+    );
+
+    expect(result).toEqual({ error: 'STUDENT_NOT_IN_SCHOOL' });
+    expect(studentAbsenceRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses an update that ends the absence before it starts', async () => {
+    const { service, studentAbsenceRepository } = buildService();
+
+    const result = await service.updateAbsence(
+      'absence-1',
+      new StudentAbsenceDto({ dateTo: '2026-03-01' })
+    );
+
+    expect(result).toEqual({ error: 'INVALID_DATE_RANGE' });
+    expect(studentAbsenceRepository.updateById).not.toHaveBeenCalled();
+  });
+
+  it('looks up absences for the session day and meal type', async () => {
+    const { service, studentAbsenceRepository } = buildService();
+
+    const byStudentId = await service.findAbsencesForSession({
+      ...SESSION,
+      date: new Date('2026-03-10T11:00:00.000Z'),
+    });
+
+    expect(studentAbsenceRepository.findCovering).toHaveBeenCalledWith({
+      schoolId: SCHOOL_ID,
+      day: new Date('2026-03-10T00:00:00.000Z'),
+      mealType: 'Lunch',
+    });
+    expect(byStudentId.get('STU-2')).toBe(ABSENCE);
+  });
+});
+
+// ─── Roster and session completion ────────────────────────────────────────────
+
+describe('registered absences on the roster and at completion', () => {
+  it('shows unmarked students with an absence as pre-excused', async () => {
+    const { service: studentAbsenceService } = buildService();
+    const service = new MealAttendanceService(
+      { findMany: jest.fn(async () => []) },
+      { findById: jest.fn(async () => SESSION) },
+      studentAbsenceService
+    );
+
+    const { roster } = await service.listSessionRoster('session-1');
+
+    expect(roster.map((row) => [row.studentId, row.status])).toEqual([
+      ['STU-1', 'NOT_MARKED'],
+      ['STU-2', 'PRE_EXCUSED'],
+    ]);
+    expect(roster[1].absence).toEqual({
+      id: 'absence-1',
+      reason: 'Family trip',
+    });
+  });
+
+  it('records EXCUSED instead of NO_SHOW and does not notify the guardian', async () => {
+    const { service: studentAbsenceService } = buildService();
+    const notificationService = { notifyGuardian: jest.fn() };
+    const service = new MealSessionCompletionService({
+      mealAttendanceRepository: { findMany: jest.fn(async () => []) },
+      notificationService,
+      studentAbsenceService,
+    });
+
+    await service.finalizeOnSessionCompleted(SESSION);
+
+    expect(MealAttendance.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        studentId: 'STU-2',
+        status: 'EXCUSED',
+        notes: 'Registered absence: Family trip',
+      })
+    );
+    expect(MealAttendance.create).toHaveBeenCalledWith(
+      expect.objectContaining({ studentId: 'STU-1', status: 'NO_SHOW' })
+    );
+    expect(notificationService.notifyGuardian).toHaveBeenCalledTimes(1);
+    expect(notificationService.notifyGuardian).toHaveBeenCalledWith(
+      expect.objectContaining({
+        context: expect.objectContaining({ studentId: 'STU-1' }),
+      })
+    );
+  });
+
+  it('keeps attendance staff already recorded for an absent student', async () => {
+    const { service: studentAbsenceService } = buildService();
+    const service = new MealSessionCompletionService({
+      mealAttendanceRepository: {
+        findMany: jest.fn(async () => [
+          { _id: 'att-1', studentId: 'STU-2', status: 'PRESENT' },
+          { _id: 'att-2', studentId: 'STU-1', status: 'PRESENT' },
+        ]),
+      },
+      notificationService: { notifyGuardian: jest.fn() },
+      studentAbsenceService,
+    });
+
+    await service.finalizeOnSessionCompleted(SESSION);
+
+    expect(MealAttendance.create).not.toHaveBeenCalled();
+  });
+});
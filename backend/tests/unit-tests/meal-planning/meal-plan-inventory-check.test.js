@@ -0,0 +1,464 @@
+import { jest } from '@jest/globals';
+import MealPlan from '../../../src/meal-planning/domain/entities/MealPlan.js';
+import CheckMealPlanInventoryUseCase from '../../../src/meal-planning/application/use-cases/meal-plan/CheckMealPlanInventoryUseCase.js';
+import ConfirmMealPlanUseCase from '../../../src/meal-planning/application/use-cases/meal-plan/ConfirmMealPlanUseCase.js';
+import UpdateMealPlanUseCase from '../../../src/meal-planning/application/use-cases/meal-plan/UpdateMealPlanUseCase.js';
+import DeleteMealPlanUseCase from '../../../src/meal-planning/application/use-cases/meal-plan/DeleteMealPlanUseCase.js';
+import UnitConverter from '../../../src/meal-planning/application/services/UnitConverter.js';
+import InsufficientInventoryException from '../../../src/meal-planning/domain/exceptions/InsufficientInventoryException.js';
+import InvalidMealPlanException from '../../../src/meal-planning/domain/exceptions/InvalidMealPlanException.js';
+
+// --- Helpers ---
+const buildPlan = (overrides = {}) =>
+  new MealPlan({
+    id: 'plan-1',
+    schoolId: 'school-1',
+    weekStartDate: '2026-03-09',
+    weekEndDate: '2026-03-13',
+    createdBy: 'planner-1',
+    meals: [
+      {
+        day: 'Monday',
+        mealType: 'lunch',
+        recipeId: 'recipe-rice',
+        plannedServings: 100,
+      },
+      {
+        day: 'Tuesday',
+        mealType: 'lunch',
+        recipeId: 'recipe-rice',
+        plannedServings: 50,
+      },
+    ],
+    ...overrides,
+  });
+
+const RECIPES = {
+  'recipe-rice': {
+    id: 'recipe-rice',
+    servingSize: 10,
+    ingredients: [
+      { name: 'Rice', quantity: 1, unit: 'kg' },
+      { name: 'Coconut Milk', quantity: 500, unit: 'ml' },
+      { name: 'Eggs', quantity: 10, unit: 'piece' },
+    ],
+  },
+};
+
+const buildStock = (overrides = {}) => [
+  {
+    id: 'item-rice',
+    name: 'rice',
+    unit: 'g',
+    availableQuantity: 20000,
+    ...overrides.rice,
+  },
+  {
+    id: 'item-milk',
+    name: 'Coconut Milk',
+    unit: 'liters',
+    availableQuantity: 10,
+    ...overrides.milk,
+  },
+  {
+    id: 'item-eggs',
+    name: 'Eggs',
+    unit: 'pieces',
+    availableQuantity: 200,
+    ...overrides.eggs,
+  },
+];
+
+const buildUseCase = ({ plan = buildPlan(), stock = buildStock() } = {}) => {
+  const mealPlanRepository = {
+    findById: jest.fn(async () => plan),
+    update: jest.fn(async (id, mealPlan) => mealPlan),
+  };
+  const recipeRepository = {
+    findById: jest.fn(async (id) => RECIPES[id] || null),
+  };
+  const inventoryService = {
+    listStockForMealPlanning: jest.fn(async () => stock),
+    reserveStockForMealPlan: jest.fn(async ({ lines }) => ({
+      reserved: lines.length,
+      shortfalls: [],
+    })),
+    releaseMealPlanReservations: jest.fn(async () => ({ released: 2 })),
+  };
+  const useCase = new CheckMealPlanInventoryUseCase(
+    mealPlanRepository,
+    recipeRepository,
+    inventoryService
+  );
+  return { useCase, mealPlanRepository, recipeRepository, inventoryService };
+};
+
+// ─── UnitConverter ────────────────────────────────────────────────────────────
+
+describe('UnitConverter.convert', () => {
+  it('converts within a dimension', () => {
+    expect(UnitConverter.convert(2, 'kg', 'g')).toBe(2000);
+    expect(UnitConverter.convert(2, 'cup', 'ml')).toBe(480);
+    expect(UnitConverter.convert(1500, 'ml', 'liters')).toBe(1.5);
+  });
+
+  it('returns null across dimensions or for unknown units', () => {
+    expect(UnitConverter.convert(1, 'kg', 'ml')).toBeNull();
+    expect(UnitConverter.convert(1, 'kg', 'boxes')).toBeNull();
+  });
+
+  it('converts into packaged items through their package weight', () => {
+    const packs = { unit: 'packs', packageWeight: 500, packageWeightUnit: 'g' };
+    const kilos = { unit: 'kg' };
+
+    expect(UnitConverter.convertToItemUnit(2, 'kg', packs)).toBe(4);
+    expect(UnitConverter.convertToItemUnit(2, 'kg', { unit: 'packs' })).toBe(
+      null
+    );
+    expect(UnitConverter.convertBetweenItems(3, packs, kilos)).toBe(1.5);
+  });
+});
+
+// ─── CheckMealPlanInventoryUseCase ────────────────────────────────────────────
+
+describe('CheckMealPlanInventoryUseCase', () => {
+  it('scales ingredients by servings and reports in the inventory unit', async () => {
+    const { useCase, recipeRepository } = buildUseCase();
+
+    const report = await useCase.execute('plan-1');
+
+    expect(recipeRepository.findById).toHaveBeenCalledTimes(1);
+    expect(report.hasShortages).toBe(false);
+    const rice = report.ingredients.find((i) => i.ingredientName === 'Rice');
+    expect(rice).toMatchObject({
+      unit: 'g',
+      required: 15000,
+      available: 20000,
+      shortfall: 0,
+      status: 'sufficient',
+      meals: ['Monday lunch', 'Tuesday lunch'],
+    });
+    const milk = report.ingredients.find(
+      (i) => i.ingredientName === 'Coconut Milk'
+    );
+    expect(milk).toMatchObject({ unit: 'liters', required: 7.5 });
+  });
+
+  it('reports shortfalls and clears the checked flag', async () => {
+    const plan = buildPlan({ inventoryChecked: true });
+    const { useCase, mealPlanRepository } = buildUseCase({
+      plan,
+      stock: buildStock({ eggs: { availableQuantity: 120 } }),
+    });
+
+    const report = await useCase.execute('plan-1');
+
+    expect(report.hasShortages).toBe(true);
+    const eggs = report.ingredients.find((i) => i.ingredientName === 'Eggs');
+    expect(eggs).toMatchObject({
+      required: 150,
+      available: 120,
+      shortfall: 30,
+      status: 'short',
+    });
+    expect(plan.inventoryChecked).toBe(false);
+    expect(mealPlanRepository.update).toHaveBeenCalledWith('plan-1', plan);
+  });
+
+  it('flags unmatched ingredients, unit mismatches and missing recipes', async () => {
+    const plan = buildPlan({
+      meals: [
+        {
+          day: 'Monday',
+          mealType: 'lunch',
+          recipeId: 'recipe-rice',
+          plannedServings: 10,
+        },
+        {
+          day: 'Monday',
+          mealType: 'breakfast',
+          recipeId: 'recipe-gone',
+          recipeName: 'Old Recipe',
+          plannedServings: 10,
+        },
+      ],
+    });
+    const stock = buildStock({ rice: { unit: 'boxes' } }).filter(
+      (item) => item.id !== 'item-eggs'
+    );
+    const { useCase } = buildUseCase({ plan, stock });
+
+    const report = await useCase.buildReport(plan);
+
+    const byName = Object.fromEntries(
+      report.ingredients.map((i) => [i.ingredientName, i])
+    );
+    expect(byName.Rice.status).toBe('unit_mismatch');
+    expect(byName.Eggs).toMatchObject({
+      status: 'unmatched',
+      required: 10,
+      shortfall: 10,
+    });
+    expect(report.missingRecipes).toEqual([
+      expect.objectContaining({
+        recipeId: 'recipe-gone',
+        mealType: 'breakfast',
+      }),
+    ]);
+    expect(report.hasShortages).toBe(true);
+  });
+
+  it('marks the plan checked when stock covers every ingredient', async () => {
+    const plan = buildPlan();
+    const { useCase, mealPlanRepository } = buildUseCase({ plan });
+
+    await useCase.execute('plan-1');
+
+    expect(plan.inventoryChecked).toBe(true);
+    expect(mealPlanRepository.update).toHaveBeenCalled();
+  });
+});
+
+// ─── ConfirmMealPlanUseCase ───────────────────────────────────────────────────
+
+describe('ConfirmMealPlanUseCase', () => {
+  const buildConfirm = (stock) => {
+    const plan = buildPlan();
+    const { useCase, mealPlanRepository, inventoryService } = buildUseCase({
+      plan,
+      stock,
+    });
+    return {
+      plan,
+      mealPlanRepository,
+      inventoryService,
+      confirm: new ConfirmMealPlanUseCase(
+        mealPlanRepository,
+        useCase,
+        inventoryService
+      ),
+    };
+  };
+
+  it('confirms, marks inventory checked and reserves stock per meal', async () => {
+    const { plan, confirm, inventoryService } = buildConfirm();
+
+    const result = await confirm.execute('plan-1');
+
+    expect(plan.status).toBe('confirmed');
+    expect(plan.inventoryChecked).toBe(true);
+    expect(plan.inventoryOverride).toBeNull();
+    expect(result.mealPlan).toBe(plan);
+    const { lines } = inventoryService.reserveStockForMealPlan.mock.calls[0][0];
+    expect(lines).toContainEqual({
+      day: 'Tuesday',
+      mealType: 'lunch',
+      mealDate: new Date('2026-03-10T00:00:00.000Z'),
+      ingredientName: 'Rice',
+      itemId: 'item-rice',
+      quantity: 5000,
+    });
+    expect(result.reservation).toEqual({ reserved: 6, shortfalls: [] });
+  });
+
+  it('releases the reservation when saving the confirmed plan fails', async () => {
+    const { confirm, mealPlanRepository, inventoryService } = buildConfirm();
+    mealPlanRepository.update.mockRejectedValueOnce(new Error('db down'));
+
+    await expect(confirm.execute('plan-1')).rejects.toThrow('db down');
+    expect(inventoryService.releaseMealPlanReservations).toHaveBeenCalledWith(
+      'plan-1',
+      'Meal plan confirmation failed'
+    );
+  });
+
+  it('refuses with the shortfall report when stock is short', async () => {
+    const { plan, confirm, mealPlanRepository } = buildConfirm(
+      buildStock({ rice: { availableQuantity: 100 } })
+    );
+
+    const error = await confirm.execute('plan-1').catch((e) => e);
+
+    expect(error).toBeInstanceOf(InsufficientInventoryException);
+    expect(error.statusCode).toBe(409);
+    expect(error.report.hasShortages).toBe(true);
+    expect(plan.status).toBe('planned');
+    expect(mealPlanRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('requires a reason to override shortages', async () => {
+    const { confirm } = buildConfirm(
+      buildStock({ rice: { availableQuantity: 100 } })
+    );
+
+    await expect(
+      confirm.execute('plan-1', { overrideShortages: true })
+    ).rejects.toBeInstanceOf(InvalidMealPlanException);
+  });
+
+  it('confirms with a recorded override', async () => {
+    const { plan, confirm, inventoryService } = buildConfirm(
+      buildStock({ rice: { availableQuantity: 100 } })
+    );
+
+    await confirm.execute('plan-1', {
+      overrideShortages: true,
+      overrideReason: 'Delivery arrives Monday morning',
+      overriddenBy: 'planner-1',
+    });
+
+    // The uncovered part of Monday's rice stays on the item as a shortfall line.
+    const { lines } = inventoryService.reserveStockForMealPlan.mock.calls[0][0];
+    const riceLines = lines.filter((line) => line.ingredientName === 'Rice');
+    expect(riceLines.map((line) => line.quantity)).toEqual([100, 9900, 5000]);
+
+    expect(plan.status).toBe('confirmed');
+    expect(plan.inventoryChecked).toBe(false);
+    expect(plan.inventoryOverride).toMatchObject({
+      reason: 'Delivery arrives Monday morning',
+      overriddenBy: 'planner-1',
+      shortageCount: 1,
+    });
+  });
+
+  it('rejects plans that are not in planned status', async () => {
+    const { plan, confirm } = buildConfirm();
+    plan.status = 'confirmed';
+
+    await expect(confirm.execute('plan-1')).rejects.toBeInstanceOf(
+      InvalidMealPlanException
+    );
+  });
+});
+
+// ─── Explicit ingredient mappings ─────────────────────────────────────────────
+
+describe('CheckMealPlanInventoryUseCase with mapped ingredients', () => {
+  const mappedRecipe = (inventoryItemId) => ({
+    'recipe-rice': {
+      ...RECIPES['recipe-rice'],
+      ingredients: [
+        { name: 'White rice', quantity: 1, unit: 'kg', inventoryItemId },
+      ],
+    },
+  });
+
+  const buildMappedUseCase = (recipes, stock) => {
+    const { useCase, recipeRepository } = buildUseCase({ stock });
+    recipeRepository.findById.mockImplementation(
+      async (id) => recipes[id] || null
+    );
+    return useCase;
+  };
+
+  it('uses the mapped item even when the names differ, in package units', async () => {
+    const useCase = buildMappedUseCase(
+      mappedRecipe('item-packs'),
+      buildStock().concat({
+        id: 'item-packs',
+        name: 'Basmati 500g',
+        unit: 'packs',
+        packageWeight: 500,
+        packageWeightUnit: 'g',
+        availableQuantity: 40,
+      })
+    );
+
+    const [rice] = (await useCase.execute('plan-1')).ingredients;
+
+    // 15 kg across the week is 30 packs of 500 g; the name match is ignored.
+    expect(rice).toMatchObject({
+      matchedBy: 'mapping',
+      unit: 'packs',
+      required: 30,
+      available: 40,
+      status: 'sufficient',
+    });
+    expect(rice.inventoryItems.map((item) => item.id)).toEqual(['item-packs']);
+  });
+
+  it('reports a mapping to a missing item as unmatched', async () => {
+    const useCase = buildMappedUseCase(mappedRecipe('item-gone'), buildStock());
+
+    const [rice] = (await useCase.execute('plan-1')).ingredients;
+
+    expect(rice.matchedBy).toBe('mapping');
+    expect(rice.status).toBe('unmatched');
+  });
+});
+
+// ─── Reservation release on edit/delete ──────────────────────────────────────
+
+describe('meal plan edits and deletes', () => {
+  const buildConfirmedPlan = () => buildPlan({ status: 'confirmed' });
+
+  it('returns an edited confirmed plan to planned and releases its stock', async () => {
+    const plan = buildConfirmedPlan();
+    const { mealPlanRepository, inventoryService } = buildUseCase({ plan });
+    const update = new UpdateMealPlanUseCase(
+      mealPlanRepository,
+      inventoryService
+    );
+
+    const saved = await update.execute('plan-1', {
+      meals: [
+        {
+          day: 'Monday',
+          mealType: 'lunch',
+          recipeId: 'recipe-rice',
+          plannedServings: 80,
+        },
+      ],
+    });
+
+    expect(saved.status).toBe('planned');
+    expect(saved.inventoryChecked).toBe(false);
+    expect(inventoryService.releaseMealPlanReservations).toHaveBeenCalledWith(
+      'plan-1',
+      'Meal plan edited'
+    );
+  });
+
+  it('keeps reservations when only notes-level fields change', async () => {
+    const plan = buildConfirmedPlan();
+    const { mealPlanRepository, inventoryService } = buildUseCase({ plan });
+    const update = new UpdateMealPlanUseCase(
+      mealPlanRepository,
+      inventoryService
+    );
+
+    const saved = await update.execute('plan-1', { schoolName: 'Renamed' });
+
+    expect(saved.status).toBe('confirmed');
+    expect(inventoryService.releaseMealPlanReservations).not.toHaveBeenCalled();
+  });
+
+  it('does not allow confirming through an update', async () => {
+    const { mealPlanRepository, inventoryService } = buildUseCase();
+    const update = new UpdateMealPlanUseCase(
+      mealPlanRepository,
+      inventoryService
+    );
+
+    await expect(
+      update.execute('plan-1', { status: 'confirmed' })
+    ).rejects.toBeInstanceOf(InvalidMealPlanException);
+  });
+
+  it('releases reservations when a plan is deleted', async () => {
+    const plan = buildConfirmedPlan();
+    const { mealPlanRepository, inventoryService } = buildUseCase({ plan });
+    mealPlanRepository.delete = jest.fn(async () => plan);
+    const remove = new DeleteMealPlanUseCase(
+      mealPlanRepository,
+      inventoryService
+    );
+
+    await remove.execute('plan-1');
+
+    expect(inventoryService.releaseMealPlanReservations).toHaveBeenCalledWith(
+      'plan-1',
+      'Meal plan deleted'
+    );
+  });
+});
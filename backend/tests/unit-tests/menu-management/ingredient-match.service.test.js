@@ -0,0 +1,130 @@
+import { jest } from '@jest/globals';
+import IngredientMatchService from '../../../src/menu-management/application/services/IngredientMatchService.js';
+import SuggestIngredientMatchesUseCase from '../../../src/menu-management/application/use-cases/recipe/SuggestIngredientMatchesUseCase.js';
+import InvalidRecipeException from '../../../src/menu-management/domain/exceptions/InvalidRecipeException.js';
+
+// --- Helpers ---
+const ITEMS = [
+  {
+    _id: 'item-basmati',
+    name: 'Basmati Rice',
+    barcode: '0123456789012',
+    unit: 'packs',
+    packageWeight: 500,
+    packageWeightUnit: 'g',
+  },
+  { _id: 'item-rice', name: 'Rice', barcode: '', unit: 'kg' },
+  { _id: 'item-flour', name: 'Rice Flour', barcode: '', unit: 'boxes' },
+  { _id: 'item-milk', name: 'Whole Milk', barcode: '555', unit: 'liters' },
+];
+
+const buildService = (items = ITEMS) => {
+  const inventoryService = {
+    listInventoryItems: jest.fn(async () => items),
+    getInventoryItemById: jest.fn(async (id) => {
+      const item = items.find((entry) => entry._id === id);
+      if (!item) {
+        throw new Error(`Inventory item with ID ${id} not found`);
+      }
+      return item;
+    }),
+  };
+  return {
+    service: new IngredientMatchService(inventoryService),
+    inventoryService,
+  };
+};
+
+// ─── suggestMatches ───────────────────────────────────────────────────────────
+
+describe('IngredientMatchService.suggestMatches', () => {
+  it('ranks exact names first and drops unrelated items', async () => {
+    const { service } = buildService();
+
+    const matches = await service.suggestMatches({ name: 'rice', unit: 'g' });
+
+    expect(matches.map((match) => match.inventoryItemId)).toEqual([
+      'item-rice',
+      'item-basmati',
+      'item-flour',
+    ]);
+    expect(matches[0].score).toBe(1);
+  });
+
+  it('flags items whose unit the recipe unit cannot convert into', async () => {
+    const { service } = buildService();
+
+    const matches = await service.suggestMatches({ name: 'rice', unit: 'g' });
+    const byId = Object.fromEntries(
+      matches.map((match) => [match.inventoryItemId, match.unitCompatible])
+    );
+
+    // Packs convert through their 500 g package weight; boxes have none.
+    expect(byId).toEqual({
+      'item-rice': true,
+      'item-basmati': true,
+      'item-flour': false,
+    });
+  });
+
+  it('matches barcodes ignoring leading zeros', async () => {
+    const { service } = buildService();
+
+    const [match] = await service.suggestMatches({ barcode: '123456789012' });
+
+    expect(match).toMatchObject({
+      inventoryItemId: 'item-basmati',
+      score: 1,
+      matchedOn: 'barcode',
+    });
+  });
+});
+
+// ─── resolveMappings ──────────────────────────────────────────────────────────
+
+describe('IngredientMatchService.resolveMappings', () => {
+  it('normalises empty mappings to null and keeps valid ones', async () => {
+    const { service, inventoryService } = buildService();
+
+    const ingredients = await service.resolveMappings([
+      { name: 'Rice', quantity: 1, unit: 'kg', inventoryItemId: 'item-rice' },
+      { name: 'Salt', quantity: 1, unit: 'tsp', inventoryItemId: '' },
+    ]);
+
+    expect(ingredients.map((i) => i.inventoryItemId)).toEqual([
+      'item-rice',
+      null,
+    ]);
+    expect(inventoryService.getInventoryItemById).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects mappings to items that do not exist', async () => {
+    const { service } = buildService();
+
+    await expect(
+      service.resolveMappings([
+        { name: 'Rice', quantity: 1, unit: 'kg' },
+        { name: 'Oil', quantity: 1, unit: 'l', inventoryItemId: 'missing' },
+      ])
+    ).rejects.toThrow("Ingredient 2: inventory item 'missing' not found");
+  });
+});
+
+// ─── SuggestIngredientMatchesUseCase ─────────────────────────────────────────
+
+describe('SuggestIngredientMatchesUseCase', () => {
+  it('requires a name or barcode and a sensible limit', async () => {
+    const { service } = buildService();
+    const useCase = new SuggestIngredientMatchesUseCase(service);
+
+    await expect(useCase.execute({ name: '  ' })).rejects.toBeInstanceOf(
+      InvalidRecipeException
+    );
+    await expect(
+      useCase.execute({ name: 'rice', limit: 50 })
+    ).rejects.toBeInstanceOf(InvalidRecipeException);
+    await expect(useCase.execute({ name: 'rice', limit: 1 })).resolves.toEqual([
+      expect.objectContaining({ inventoryItemId: 'item-rice' }),
+    ]);
+  });
+});
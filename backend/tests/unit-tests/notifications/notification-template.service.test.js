@@ -0,0 +1,336 @@
+import { jest } from '@jest/globals';
+import { NotificationTemplateService } from '../../../src/notifications/application/services/notification-template.service.js';
+
+// --- Helpers ---
+const TEMPLATES = {
+  NOTICE: {
+    defaultChannels: ['sms'],
+    placeholders: ['studentName', 'schoolName'],
+    email: {
+      subject: 'Notice — {{studentName}}',
+      text: 'Hello {{studentName}}',
+    },
+    sms: { text: '{{studentName}} at {{schoolName}}' },
+  },
+  NOTICE_DIGEST: {
+    defaultChannels: ['sms'],
+    placeholders: ['itemCount', 'items'],
+    itemPlaceholders: ['studentName', 'mealType'],
+    sms: {
+      text: '{{itemCount}} missed: {{items}}',
+      itemLine: '{{studentName}} ({{mealType}})',
+    },
+  },
+};
+
+const buildService = ({ variants = [], student = null } = {}) => {
+  const notificationTemplateRepository = {
+    create: jest.fn(async (data) => ({ _id: 'tpl-1', ...data })),
+    findById: jest.fn(async (id) => variants.find((v) => v._id === id) ?? null),
+    findMany: jest.fn(async () => variants),
+    findVariant: jest.fn(
+      async (template, channel, languages) =>
+        languages
+          .map((language) =>
+            variants.find(
+              (v) =>
+                v.template === template &&
+                v.channel === channel &&
+                v.language === language
+            )
+          )
+          .find(Boolean) ?? null
+    ),
+    updateById: jest.fn(async (id, changes) => ({
+      ...variants.find((v) => v._id === id),
+      ...changes,
+    })),
+    deleteById: jest.fn(async () => null),
+  };
+  const service = new NotificationTemplateService({
+    notificationTemplateRepository,
+    templates: TEMPLATES,
+    findPreviewStudent: jest.fn(async () => student),
+  });
+  return { service, notificationTemplateRepository };
+};
+
+const sinhalaSms = {
+  _id: 'tpl-si',
+  template: 'NOTICE',
+  language: 'si',
+  channel: 'sms',
+  text: 'SI {{studentName}}',
+};
+
+// ─── render ───────────────────────────────────────────────────────────────────
+
+describe('NotificationTemplateService.render', () => {
+  it("uses the stored variant in the guardian's language", async () => {
+    const { service } = buildService({ variants: [sinhalaSms] });
+
+    await expect(
+      service.render({
+        template: 'NOTICE',
+        channel: 'sms',
+        language: 'si',
+        data: { studentName: 'Nimal' },
+      })
+    ).resolves.toEqual({ language: 'si', source: 'custom', text: 'SI Nimal' });
+  });
+
+  it("renders digest items with the variant's own item line", async () => {
+    const { service } = buildService({
+      variants: [
+        {
+          template: 'NOTICE_DIGEST',
+          language: 'si',
+          channel: 'sms',
+          text: 'SI {{itemCount}}: {{items}}',
+          itemLine: 'SI {{studentName}}/{{mealType}}',
+        },
+      ],
+    });
+
+    const rendered = await service.render({
+      template: 'NOTICE_DIGEST',
+      channel: 'sms',
+      language: 'si',
+      data: { itemCount: 2 },
+      items: [
+        { studentName: 'Kavya', mealType: 'lunch' },
+        { studentName: 'Ravi', mealType: 'breakfast' },
+      ],
+    });
+
+    expect(rendered.text).toBe('SI 2: SI Kavya/lunch\nSI Ravi/breakfast');
+  });
+
+  it('falls back to the built-in English text', async () => {
+    const { service, notificationTemplateRepository } = buildService({
+      variants: [sinhalaSms],
+    });
+
+    const rendered = await service.render({
+      template: 'NOTICE',
+      channel: 'email',
+      language: 'ta',
+      data: { studentName: 'Nimal' },
+    });
+
+    expect(notificationTemplateRepository.findVariant).toHaveBeenCalledWith(
+      'NOTICE',
+      'email',
+      ['ta', 'en']
+    );
+    expect(rendered).toEqual({
+      language: 'en',
+      source: 'default',
+      subject: 'Notice — Nimal',
+      text: 'Hello Nimal',
+    });
+  });
+});
+
+// ─── create / update ──────────────────────────────────────────────────────────
+
+describe('NotificationTemplateService.createTemplate', () => {
+  it('stores a valid variant', async () => {
+    const { service } = buildService();
+
+    const { template } = await service.createTemplate({
+      template: 'NOTICE',
+      language: 'ta',
+      channel: 'sms',
+      text: 'TA {{ studentName }}',
+    });
+
+    expect(template).toMatchObject({
+      id: 'tpl-1',
+      language: 'ta',
+      subject: null,
+      text: 'TA {{ studentName }}',
+    });
+  });
+
+  it('rejects placeholders the template does not supply', async () => {
+    const { service, notificationTemplateRepository } = buildService();
+
+    const result = await service.createTemplate({
+      template: 'NOTICE',
+      language: 'si',
+      channel: 'sms',
+      text: 'SI {{mealType}}',
+    });
+
+    expect(result).toEqual({
+      error: 'INVALID_TEMPLATE',
+      message: expect.stringContaining('Unknown placeholder(s): mealType'),
+    });
+    expect(notificationTemplateRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('requires a digest item line using only the item placeholders', async () => {
+    const { service, notificationTemplateRepository } = buildService();
+    const body = {
+      template: 'NOTICE_DIGEST',
+      language: 'ta',
+      channel: 'sms',
+      text: 'TA {{items}}',
+    };
+
+    await expect(service.createTemplate(body)).resolves.toMatchObject({
+      error: 'INVALID_TEMPLATE',
+      message: 'itemLine is required for NOTICE_DIGEST',
+    });
+    await expect(
+      service.createTemplate({ ...body, itemLine: '{{studentName}} {{date}}' })
+    ).resolves.toMatchObject({
+      error: 'INVALID_TEMPLATE',
+      message: expect.stringContaining('in itemLine: date'),
+    });
+    await expect(
+      service.createTemplate({ ...body, itemLine: 'TA {{studentName}}' })
+    ).resolves.toMatchObject({
+      template: expect.objectContaining({ itemLine: 'TA {{studentName}}' }),
+    });
+    expect(notificationTemplateRepository.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects an item line on other templates', async () => {
+    const { service } = buildService();
+
+    await expect(
+      service.createTemplate({
+        template: 'NOTICE',
+        language: 'ta',
+        channel: 'sms',
+        text: 'TA {{studentName}}',
+        itemLine: '{{studentName}}',
+      })
+    ).resolves.toMatchObject({
+      message: 'itemLine is only used by digest templates',
+    });
+  });
+
+  it('requires a subject for email variants', async () => {
+    const { service } = buildService();
+
+    await expect(
+      service.createTemplate({
+        template: 'NOTICE',
+        language: 'si',
+        channel: 'email',
+        text: 'SI',
+      })
+    ).resolves.toEqual({
+      error: 'INVALID_TEMPLATE',
+      message: 'subject is required for email templates',
+    });
+  });
+
+  it('reports an existing variant for the same language and channel', async () => {
+    const { service, notificationTemplateRepository } = buildService();
+    notificationTemplateRepository.create.mockRejectedValueOnce(
+      Object.assign(new Error('duplicate'), { code: 11000 })
+    );
+
+    await expect(
+      service.createTemplate({
+        template: 'NOTICE',
+        language: 'si',
+        channel: 'sms',
+        text: 'SI',
+      })
+    ).resolves.toEqual({ error: 'TEMPLATE_EXISTS' });
+  });
+
+  it('only changes the text of a stored variant', async () => {
+    const { service, notificationTemplateRepository } = buildService({
+      variants: [sinhalaSms],
+    });
+
+    await service.updateTemplate('tpl-si', {
+      text: 'SI v2 {{schoolName}}',
+      language: 'ta',
+    });
+
+    expect(notificationTemplateRepository.updateById).toHaveBeenCalledWith(
+      'tpl-si',
+      { subject: undefined, text: 'SI v2 {{schoolName}}' }
+    );
+  });
+});
+
+// ─── preview ──────────────────────────────────────────────────────────────────
+
+describe('NotificationTemplateService.preview', () => {
+  it("renders against a student in the guardian's language", async () => {
+    const { service } = buildService({
+      variants: [sinhalaSms],
+      student: {
+        studentId: 'STU-1',
+        firstName: 'Kavya',
+        lastName: 'Silva',
+        school: { schoolName: 'Hill School' },
+        guardian: { preferredLanguage: 'si' },
+      },
+    });
+
+    const { preview } = await service.preview({
+      template: 'NOTICE',
+      channel: 'sms',
+      studentId: 'STU-1',
+    });
+
+    expect(preview).toEqual({
+      template: 'NOTICE',
+      channel: 'sms',
+      studentId: 'STU-1',
+      language: 'si',
+      source: 'custom',
+      text: 'SI Kavya Silva',
+      data: { studentName: 'Kavya Silva', schoolName: 'Hill School' },
+    });
+  });
+
+  it('renders unsaved text against sample values', async () => {
+    const { service } = buildService();
+
+    const { preview } = await service.preview({
+      template: 'NOTICE',
+      channel: 'sms',
+      language: 'ta',
+      text: 'Draft for {{studentName}}',
+    });
+
+    expect(preview).toMatchObject({
+      source: 'draft',
+      language: 'ta',
+      text: 'Draft for Nimal Perera',
+    });
+  });
+
+  it('renders a draft digest item line against sample items', async () => {
+    const { service } = buildService();
+
+    const { preview } = await service.preview({
+      template: 'NOTICE_DIGEST',
+      channel: 'sms',
+      language: 'ta',
+      text: '{{items}}',
+      itemLine: '{{studentName}}: {{mealType}}',
+    });
+
+    expect(preview.text).toBe('Nimal Perera: breakfast\nNimal Perera: lunch');
+    expect(preview.items).toHaveLength(2);
+  });
+
+  it('reports unknown students', async () => {
+    const { service } = buildService();
+
+    await expect(
+      service.preview({ template: 'NOTICE', channel: 'sms', studentId: 'X' })
+    ).resolves.toEqual({ error: 'STUDENT_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,647 @@
+import { jest } from '@jest/globals';
+import { NotificationService } from '../../../src/notifications/application/services/notification.service.js';
+import { OutboxChannel } from '../../../src/notifications/infrastructure/channels/outbox.channel.js';
+
+// --- Helpers ---
+const TEMPLATES = {
+  NOTICE: {
+    defaultChannels: ['email'],
+    placeholders: ['name'],
+    digest: 'NOTICE_DIGEST',
+    email: { subject: 'Notice for {{name}}', text: 'Email' },
+    sms: { text: 'SMS for {{ name }}' },
+  },
+  NOTICE_DIGEST: {
+    defaultChannels: ['email'],
+    placeholders: ['date', 'itemCount', 'items'],
+    itemPlaceholders: ['name', 'day'],
+    email: {
+      subject: '{{itemCount}} notices on {{date}}',
+      text: '{{items}}',
+      itemLine: '- {{name}} on {{day}}',
+    },
+  },
+  PLAIN: {
+    defaultChannels: ['sms'],
+    placeholders: [],
+    sms: { text: 'Plain' },
+  },
+};
+
+const NOW = new Date('2026-05-04T10:00:00.000Z');
+const minutesAfter = (date, minutes) =>
+  new Date(date.getTime() + minutes * 60 * 1000);
+
+const failingEmail = () => ({
+  provider: 'resend',
+  send: jest.fn(async () => ({
+    ok: false,
+    code: 'PROVIDER_ERROR',
+    message: 'rate limited',
+  })),
+});
+
+// Equality and $in filters, as the service uses them
+const matchesFilter = (filter, entry) =>
+  Object.entries(filter).every(([field, condition]) =>
+    condition?.$in
+      ? condition.$in.map(String).includes(String(entry[field]))
+      : String(entry[field]) === String(condition)
+  );
+
+const buildService = ({
+  channels,
+  existing = null,
+  logged = [],
+  templateRenderer,
+} = {}) => {
+  const notificationLogRepository = {
+    create: jest.fn(async (data) => ({ _id: 'created-1', ...data })),
+    findByDedupeKey: jest.fn(async () => existing),
+    findById: jest.fn(async (id) => logged.find((e) => e._id === id) ?? null),
+    findMany: jest.fn(async (filter) =>
+      logged.filter((entry) => matchesFilter(filter, entry))
+    ),
+    findDueForRetry: jest.fn(async () => logged),
+    claimForAttempt: jest.fn(async (entry, statuses, now) =>
+      statuses.includes(entry.status) ? { ...entry, lastAttemptAt: now } : null
+    ),
+    findQueued: jest.fn(async () => logged),
+    markDigested: jest.fn(async () => ({})),
+    updateById: jest.fn(async (id, changes) => ({
+      ...logged.find((e) => e._id === id),
+      ...changes,
+    })),
+  };
+  const outboxes = {
+    email: new OutboxChannel({ channel: 'email' }),
+    sms: new OutboxChannel({ channel: 'sms' }),
+  };
+  const service = new NotificationService({
+    notificationLogRepository,
+    channels: channels ?? outboxes,
+    templates: TEMPLATES,
+    templateRenderer,
+    maxAttempts: 3,
+    retryBaseMinutes: 5,
+  });
+  return { service, notificationLogRepository, outboxes };
+};
+
+const notify = (service, guardian, context = { studentId: 'STU-1' }) =>
+  service.notifyGuardian({
+    template: 'NOTICE',
+    guardian,
+    data: { name: 'Alice' },
+    context,
+  });
+
+// ─── channel selection ────────────────────────────────────────────────────────
+
+describe('NotificationService.notifyGuardian channels', () => {
+  it("uses the template's default channels when the guardian chose none", async () => {
+    const { service, outboxes } = buildService();
+
+    const result = await notify(service, {
+      email: 'guardian@example.com',
+      phone: '+94770000000',
+    });
+
+    expect(result.status).toBe('SENT');
+    expect(outboxes.email.list()).toEqual([
+      expect.objectContaining({
+        to: 'guardian@example.com',
+        subject: 'Notice for Alice',
+      }),
+    ]);
+    expect(outboxes.sms.list()).toEqual([]);
+  });
+
+  it("follows the guardian's chosen channels", async () => {
+    const { service, outboxes } = buildService();
+
+    await notify(service, {
+      email: 'guardian@example.com',
+      phone: '+94770000000',
+      notificationChannels: ['sms', 'email'],
+    });
+
+    expect(outboxes.sms.list()).toEqual([
+      expect.objectContaining({ to: '+94770000000', text: 'SMS for Alice' }),
+    ]);
+    expect(outboxes.email.list()).toHaveLength(1);
+  });
+
+  it('never texts a guardian who opted out of SMS', async () => {
+    const { service, notificationLogRepository, outboxes } = buildService();
+
+    const result = await notify(service, {
+      phone: '+94770000000',
+      smsOptOut: true,
+      notificationChannels: ['sms'],
+    });
+
+    expect(outboxes.sms.list()).toEqual([]);
+    expect(result).toMatchObject({
+      status: 'SKIPPED',
+      skipReason: 'OPTED_OUT',
+    });
+    expect(notificationLogRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({ channel: 'sms', skipReason: 'OPTED_OUT' })
+    );
+  });
+});
+
+// ─── language ─────────────────────────────────────────────────────────────────
+
+describe('NotificationService.notifyGuardian language', () => {
+  it("renders in the guardian's preferred language through the renderer", async () => {
+    const templateRenderer = {
+      render: jest.fn(async () => ({
+        language: 'si',
+        source: 'custom',
+        subject: 'Sinhala subject',
+        text: 'Sinhala text',
+      })),
+    };
+    const { service, notificationLogRepository, outboxes } = buildService({
+      templateRenderer,
+    });
+
+    await notify(service, {
+      email: 'guardian@example.com',
+      preferredLanguage: 'si',
+    });
+
+    expect(templateRenderer.render).toHaveBeenCalledWith({
+      template: 'NOTICE',
+      channel: 'email',
+      language: 'si',
+      data: { name: 'Alice' },
+    });
+    expect(outboxes.email.list()).toEqual([
+      expect.objectContaining({ subject: 'Sinhala subject' }),
+    ]);
+    expect(notificationLogRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({ language: 'si', status: 'SENT' })
+    );
+  });
+
+  it('uses the built-in English text without a renderer', async () => {
+    const { service, notificationLogRepository } = buildService();
+
+    await notify(service, { email: 'guardian@example.com' });
+
+    expect(notificationLogRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({ language: 'en' })
+    );
+  });
+});
+
+// ─── outcomes and log ─────────────────────────────────────────────────────────
+
+describe('NotificationService.notifyGuardian outcomes', () => {
+  it('logs a skip when the guardian has no contact for the channel', async () => {
+    const { service, notificationLogRepository } = buildService();
+
+    const result = await notify(service, {});
+
+    expect(result).toMatchObject({
+      status: 'SKIPPED',
+      skipReason: 'MISSING_EMAIL',
+    });
+    expect(notificationLogRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        template: 'NOTICE',
+        channel: 'email',
+        studentId: 'STU-1',
+        status: 'SKIPPED',
+      })
+    );
+  });
+
+  it('records provider errors as FAILED without throwing', async () => {
+    const { service, notificationLogRepository } = buildService({
+      channels: {
+        email: {
+          provider: 'resend',
+          send: jest.fn(async () => {
+            throw new Error('socket hang up');
+          }),
+        },
+      },
+    });
+
+    const result = await notify(service, { email: 'guardian@example.com' });
+
+    expect(result).toMatchObject({
+      status: 'FAILED',
+      errorMessage: 'socket hang up',
+    });
+    expect(notificationLogRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        provider: 'resend',
+        recipient: 'guardian@example.com',
+        status: 'FAILED',
+        attempts: 1,
+        message: { subject: 'Notice for Alice', text: 'Email' },
+        nextAttemptAt: expect.any(Date),
+      })
+    );
+  });
+
+  it('treats an unconfigured provider as a skip', async () => {
+    const { service } = buildService({
+      channels: {
+        email: {
+          provider: 'resend',
+          send: async () => ({ ok: false, code: 'NO_PROVIDER' }),
+        },
+      },
+    });
+
+    await expect(
+      notify(service, { email: 'guardian@example.com' })
+    ).resolves.toMatchObject({ status: 'SKIPPED', skipReason: 'NO_PROVIDER' });
+  });
+
+  it('sends a deduplicated message only once per channel', async () => {
+    const { service, notificationLogRepository, outboxes } = buildService({
+      existing: { channel: 'email', status: 'SENT' },
+    });
+
+    const result = await notify(
+      service,
+      { email: 'guardian@example.com' },
+      { studentId: 'STU-1', dedupeKey: 'no-show:s1:STU-1' }
+    );
+
+    expect(result.status).toBe('SENT');
+    expect(notificationLogRepository.findByDedupeKey).toHaveBeenCalledWith(
+      'no-show:s1:STU-1',
+      'email'
+    );
+    expect(outboxes.email.list()).toEqual([]);
+    expect(notificationLogRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses unknown templates', async () => {
+    const { service } = buildService();
+
+    await expect(
+      service.notifyGuardian({ template: 'MISSING', guardian: {} })
+    ).rejects.toThrow('Unknown notification template');
+  });
+});
+
+// ─── retries ──────────────────────────────────────────────────────────────────
+
+const failedEntry = (overrides = {}) => ({
+  _id: 'log-1',
+  template: 'NOTICE',
+  channel: 'email',
+  recipient: 'guardian@example.com',
+  mealSessionId: 'session-1',
+  status: 'FAILED',
+  attempts: 1,
+  lastAttemptAt: NOW,
+  message: { subject: 'Notice for Alice', text: 'Email' },
+  ...overrides,
+});
+
+describe('NotificationService.retryDue', () => {
+  it('doubles the backoff after every failed attempt', async () => {
+    const { service, notificationLogRepository } = buildService({
+      channels: { email: failingEmail() },
+      logged: [failedEntry({ attempts: 1 })],
+    });
+
+    const result = await service.retryDue({ now: NOW });
+
+    expect(result).toEqual({ found: 1, sent: 0, failed: 1, deadLettered: 0 });
+    expect(notificationLogRepository.updateById).toHaveBeenCalledWith(
+      'log-1',
+      expect.objectContaining({
+        status: 'FAILED',
+        attempts: 2,
+        nextAttemptAt: minutesAfter(NOW, 10),
+        errorMessage: 'rate limited',
+      })
+    );
+  });
+
+  it('dead-letters a message once the attempts run out', async () => {
+    const { service, notificationLogRepository } = buildService({
+      channels: { email: failingEmail() },
+      logged: [failedEntry({ attempts: 2 })],
+    });
+
+    const result = await service.retryDue({ now: NOW });
+
+    expect(result.deadLettered).toBe(1);
+    expect(notificationLogRepository.updateById).toHaveBeenCalledWith(
+      'log-1',
+      expect.objectContaining({
+        status: 'DEAD_LETTER',
+        attempts: 3,
+        nextAttemptAt: null,
+      })
+    );
+  });
+
+  it('marks a successful retry as SENT and drops the stored message', async () => {
+    const { service, notificationLogRepository, outboxes } = buildService({
+      logged: [failedEntry()],
+    });
+
+    const result = await service.retryDue({ now: NOW });
+
+    expect(result.sent).toBe(1);
+    expect(outboxes.email.list()).toEqual([
+      expect.objectContaining({
+        to: 'guardian@example.com',
+        subject: 'Notice for Alice',
+      }),
+    ]);
+    expect(notificationLogRepository.updateById).toHaveBeenCalledWith(
+      'log-1',
+      expect.objectContaining({
+        status: 'SENT',
+        attempts: 2,
+        sentAt: NOW,
+        $unset: { message: 1 },
+      })
+    );
+  });
+
+  it('skips messages another run claimed first', async () => {
+    const { service, notificationLogRepository } = buildService({
+      logged: [failedEntry()],
+    });
+    notificationLogRepository.claimForAttempt.mockResolvedValueOnce(null);
+
+    const result = await service.retryDue({ now: NOW });
+
+    expect(result).toEqual({ found: 1, sent: 0, failed: 0, deadLettered: 0 });
+    expect(notificationLogRepository.updateById).not.toHaveBeenCalled();
+  });
+});
+
+// ─── manual resend ────────────────────────────────────────────────────────────
+
+describe('NotificationService.resend', () => {
+  it('resends a dead-lettered message with a fresh attempt series', async () => {
+    const { service, notificationLogRepository } = buildService({
+      logged: [failedEntry({ status: 'DEAD_LETTER', attempts: 3 })],
+    });
+
+    const { notification } = await service.resend('log-1', {
+      mealSessionId: 'session-1',
+    });
+
+    expect(notificationLogRepository.claimForAttempt).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: 'log-1' }),
+      ['FAILED', 'DEAD_LETTER'],
+      expect.any(Date)
+    );
+    expect(notification).toMatchObject({ status: 'SENT', attempts: 1 });
+  });
+
+  it('hides messages from other meal sessions', async () => {
+    const { service } = buildService({ logged: [failedEntry()] });
+
+    await expect(
+      service.resend('log-1', { mealSessionId: 'session-2' })
+    ).resolves.toEqual({ error: 'NOTIFICATION_NOT_FOUND' });
+  });
+
+  it('refuses messages that did not fail', async () => {
+    const { service, notificationLogRepository } = buildService({
+      logged: [failedEntry({ status: 'SENT' })],
+    });
+
+    await expect(service.resend('log-1')).resolves.toEqual({
+      error: 'NOTIFICATION_NOT_RESENDABLE',
+    });
+    expect(notificationLogRepository.updateById).not.toHaveBeenCalled();
+  });
+
+  it('retries every failed message of a meal session', async () => {
+    const { service, notificationLogRepository } = buildService({
+      logged: [
+        failedEntry(),
+        failedEntry({ _id: 'log-2', channel: 'sms', recipient: '+9477' }),
+        failedEntry({ _id: 'log-3', mealSessionId: 'session-2' }),
+        // Went out in a digest that failed
+        failedEntry({
+          _id: 'log-4',
+          status: 'DIGESTED',
+          digestLogId: 'digest-1',
+          message: undefined,
+        }),
+        failedEntry({
+          _id: 'digest-1',
+          template: 'NOTICE_DIGEST',
+          mealSessionId: undefined,
+          status: 'DEAD_LETTER',
+        }),
+      ],
+    });
+
+    const result = await service.resendFailedForMealSession('session-1');
+
+    expect(notificationLogRepository.findMany).toHaveBeenCalledWith({
+      mealSessionId: 'session-1',
+      status: { $in: ['FAILED', 'DEAD_LETTER'] },
+    });
+    expect(result).toMatchObject({ retried: 3, sent: 3, failed: 0 });
+    expect(result.items.map((item) => item.id)).toEqual([
+      'log-1',
+      'log-2',
+      'digest-1',
+    ]);
+  });
+});
+
+// ─── daily digest ─────────────────────────────────────────────────────────────
+
+const queuedEntry = (overrides = {}) => ({
+  _id: 'q-1',
+  template: 'NOTICE',
+  channel: 'email',
+  recipient: 'guardian@example.com',
+  studentId: 'STU-1',
+  schoolId: 'school-1',
+  mealSessionId: 'session-1',
+  language: 'en',
+  status: 'QUEUED',
+  digestData: { name: 'Alice', day: 'Mon' },
+  ...overrides,
+});
+
+describe('NotificationService digest', () => {
+  it('queues the message instead of sending it', async () => {
+    const { service, notificationLogRepository, outboxes } = buildService();
+
+    const result = await service.notifyGuardian({
+      template: 'NOTICE',
+      guardian: { email: 'guardian@example.com', preferredLanguage: 'si' },
+      data: { name: 'Alice', day: 'Mon' },
+      context: { studentId: 'STU-1', mealSessionId: 'session-1' },
+      digest: true,
+    });
+
+    expect(result.status).toBe('QUEUED');
+    expect(outboxes.email.list()).toEqual([]);
+    expect(notificationLogRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        status: 'QUEUED',
+        recipient: 'guardian@example.com',
+        language: 'si',
+        digestData: { name: 'Alice', day: 'Mon' },
+      })
+    );
+  });
+
+  it('refuses a digest for templates without one', async () => {
+    const { service } = buildService();
+
+    await expect(
+      service.notifyGuardian({ template: 'PLAIN', guardian: {}, digest: true })
+    ).rejects.toThrow('has no digest');
+  });
+
+  it('sends one digest per recipient covering every queued message', async () => {
+    const { service, notificationLogRepository, outboxes } = buildService({
+      logged: [
+        queuedEntry(),
+        queuedEntry({
+          _id: 'q-2',
+          studentId: 'STU-2',
+          digestData: { name: 'Ben', day: 'Mon' },
+        }),
+        queuedEntry({ _id: 'q-3', recipient: 'other@example.com' }),
+      ],
+    });
+
+    const result = await service.sendDigests({ now: NOW });
+
+    expect(result).toEqual({
+      queued: 3,
+      digests: 2,
+      sent: 2,
+      failed: 0,
+      skipped: 0,
+    });
+    expect(outboxes.email.list()).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({
+          to: 'guardian@example.com',
+          subject: '2 notices on 2026-05-04',
+          text: '- Alice on Mon\n- Ben on Mon',
+        }),
+      ])
+    );
+    expect(notificationLogRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        template: 'NOTICE_DIGEST',
+        recipient: 'guardian@example.com',
+        status: 'SENT',
+        studentId: null,
+        schoolId: 'school-1',
+      })
+    );
+    expect(notificationLogRepository.markDigested).toHaveBeenCalledWith(
+      ['q-1', 'q-2'],
+      'created-1'
+    );
+  });
+
+  it("renders the digest and its item lines in the guardian's language", async () => {
+    const templateRenderer = {
+      render: jest.fn(async () => ({
+        language: 'si',
+        source: 'custom',
+        subject: 'SI subject',
+        text: 'SI items',
+      })),
+    };
+    const { service, notificationLogRepository } = buildService({
+      logged: [
+        queuedEntry({ language: 'si' }),
+        queuedEntry({
+          _id: 'q-2',
+          language: 'si',
+          digestData: { name: 'Ben', day: 'Tue' },
+        }),
+      ],
+      templateRenderer,
+    });
+
+    await service.sendDigests({ now: NOW });
+
+    expect(templateRenderer.render).toHaveBeenCalledWith({
+      template: 'NOTICE_DIGEST',
+      channel: 'email',
+      language: 'si',
+      data: { date: '2026-05-04', itemCount: 2 },
+      items: [
+        { name: 'Alice', day: 'Mon' },
+        { name: 'Ben', day: 'Tue' },
+      ],
+    });
+    expect(notificationLogRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({ language: 'si', status: 'SENT' })
+    );
+  });
+
+  it("shows the digest's outcome on a session's notices", async () => {
+    const { service } = buildService({
+      logged: [
+        queuedEntry({ status: 'DIGESTED', digestLogId: 'digest-1' }),
+        {
+          _id: 'digest-1',
+          template: 'NOTICE_DIGEST',
+          status: 'SENT',
+          sentAt: NOW,
+        },
+      ],
+    });
+
+    const [row] = await service.listForMealSessions(['session-1']);
+
+    expect(row).toMatchObject({
+      status: 'DIGESTED',
+      digestLogId: 'digest-1',
+      digest: {
+        id: 'digest-1',
+        status: 'SENT',
+        sentAt: NOW,
+        errorMessage: null,
+      },
+    });
+  });
+
+  it('logs a failed digest for retry and still marks the messages digested', async () => {
+    const { service, notificationLogRepository } = buildService({
+      channels: { email: failingEmail() },
+      logged: [queuedEntry()],
+    });
+
+    const result = await service.sendDigests({ now: NOW });
+
+    expect(result.failed).toBe(1);
+    expect(notificationLogRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        template: 'NOTICE_DIGEST',
+        status: 'FAILED',
+        message: { subject: '1 notices on 2026-05-04', text: '- Alice on Mon' },
+        nextAttemptAt: minutesAfter(NOW, 5),
+      })
+    );
+    expect(notificationLogRepository.markDigested).toHaveBeenCalledWith(
+      ['q-1'],
+      'created-1'
+    );
+  });
+});
@@ -8,12 +8,15 @@ jest.unstable_mockModule(
   })
 );
 
-jest.unstable_mockModule(
-  '../../../src/school-management/infrastructure/services/twilio.service.js',
-  () => ({
-    sendGuardianSms: jest.fn().mockResolvedValue(undefined),
-  })
-);
+jest.unstable_mockModule('../../../src/notifications/integration.js', () => ({
+  NOTIFICATION_TEMPLATES: {
+    DIETARY_TAGS_UPDATED: 'DIETARY_TAGS_UPDATED',
+    MEAL_ELIGIBILITY_UPDATED: 'MEAL_ELIGIBILITY_UPDATED',
+  },
+  notificationsIntegrationService: {
+    notifyGuardian: jest.fn().mockResolvedValue({ status: 'SENT' }),
+  },
+}));
 
 const {
   findStudentById: mockFindStudentById,
@@ -21,8 +24,9 @@ const {
 } =
   await import('../../../src/school-management/infrastructure/repositories/student.repository.js');
 
-const { sendGuardianSms: mockSendGuardianSms } =
-  await import('../../../src/school-management/infrastructure/services/twilio.service.js');
+const {
+  notificationsIntegrationService: { notifyGuardian: mockNotifyGuardian },
+} = await import('../../../src/notifications/integration.js');
 
 const { updateDietaryProfile, updateMealEligibility } =
   await import('../../../src/school-management/application/services/dietary.service.js');
@@ -68,7 +72,7 @@ describe('updateDietaryProfile', () => {
     });
   });
 
-  it('sends SMS to guardian when dietaryTags updated and guardian has phone', async () => {
+  it('notifies the guardian when dietaryTags are updated', async () => {
     const student = makeStudent({
       guardian: { phone: '+1234567890', smsOptOut: false },
     });
@@ -79,39 +83,24 @@ describe('updateDietaryProfile', () => {
 
     await updateDietaryProfile('student-1', { dietaryTags: ['Halal'] });
 
-    expect(mockSendGuardianSms).toHaveBeenCalledWith(
-      '+1234567890',
-      expect.stringContaining('Halal')
-    );
-  });
-
-  it('does not send SMS when guardian has smsOptOut=true', async () => {
-    const student = makeStudent({
-      guardian: { phone: '+1234567890', smsOptOut: true },
+    expect(mockNotifyGuardian).toHaveBeenCalledWith({
+      template: 'DIETARY_TAGS_UPDATED',
+      guardian: student.guardian,
+      data: expect.objectContaining({
+        studentName: 'Alice Smith',
+        dietaryTags: 'Halal',
+      }),
+      context: { studentId: 'STU-001', schoolId: 'school-1' },
     });
-    mockFindStudentById.mockResolvedValue(student);
-    mockUpdateStudentById.mockResolvedValue(makeStudent());
-
-    await updateDietaryProfile('student-1', { dietaryTags: ['Halal'] });
-    expect(mockSendGuardianSms).not.toHaveBeenCalled();
-  });
-
-  it('does not send SMS when guardian has no phone', async () => {
-    const student = makeStudent({ guardian: { smsOptOut: false } });
-    mockFindStudentById.mockResolvedValue(student);
-    mockUpdateStudentById.mockResolvedValue(makeStudent());
-
-    await updateDietaryProfile('student-1', { dietaryTags: ['Halal'] });
-    expect(mockSendGuardianSms).not.toHaveBeenCalled();
   });
 
-  it('does not send SMS when dietaryTags not in body', async () => {
+  it('does not notify when dietaryTags not in body', async () => {
     const student = makeStudent();
     mockFindStudentById.mockResolvedValue(student);
     mockUpdateStudentById.mockResolvedValue(student);
 
     await updateDietaryProfile('student-1', { kitchenNotes: 'No nuts' });
-    expect(mockSendGuardianSms).not.toHaveBeenCalled();
+    expect(mockNotifyGuardian).not.toHaveBeenCalled();
   });
 
   it('updates kitchenNotes when provided', async () => {
@@ -161,7 +150,7 @@ describe('updateMealEligibility', () => {
     });
   });
 
-  it('sends SMS when status changes and guardian has phone', async () => {
+  it('notifies the guardian when the status changes', async () => {
     const student = makeStudent({
       mealEligibilityStatus: 'pending',
       guardian: { phone: '+1234567890', smsOptOut: false },
@@ -172,19 +161,23 @@ describe('updateMealEligibility', () => {
     );
 
     await updateMealEligibility('student-1', 'eligible');
-    expect(mockSendGuardianSms).toHaveBeenCalledWith(
-      '+1234567890',
-      expect.stringContaining('eligible')
+    expect(mockNotifyGuardian).toHaveBeenCalledWith(
+      expect.objectContaining({
+        template: 'MEAL_ELIGIBILITY_UPDATED',
+        data: expect.objectContaining({
+          eligibilityStatus: 'eligible for free/reduced meals',
+        }),
+      })
     );
   });
 
-  it('does not send SMS when status is unchanged', async () => {
+  it('does not notify when status is unchanged', async () => {
     const student = makeStudent({ mealEligibilityStatus: 'eligible' });
     mockFindStudentById.mockResolvedValue(student);
     mockUpdateStudentById.mockResolvedValue(student);
 
     await updateMealEligibility('student-1', 'eligible');
-    expect(mockSendGuardianSms).not.toHaveBeenCalled();
+    expect(mockNotifyGuardian).not.toHaveBeenCalled();
   });
 
   it('accepts all three valid statuses', async () => {
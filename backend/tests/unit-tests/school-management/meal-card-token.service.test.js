@@ -0,0 +1,113 @@
+import {
+  isSignedMealCardToken,
+  signMealCardToken,
+  verifyMealCardToken,
+} from '../../../src/school-management/application/services/meal-card-token.service.js';
+
+const ORIGINAL_ENV = { ...process.env };
+
+beforeEach(() => {
+  process.env.MEAL_CARD_SIGNING_KEYS = 'k1:first-secret,k2:second-secret';
+  process.env.MEAL_CARD_ACTIVE_KEY_ID = 'k2';
+  delete process.env.MEAL_CARD_TOKEN_TTL_DAYS;
+});
+
+afterAll(() => {
+  process.env = ORIGINAL_ENV;
+});
+
+const issuedAt = new Date('2025-01-01T00:00:00Z');
+
+describe('signMealCardToken', () => {
+  it('produces a KF1 token signed with the active key id', () => {
+    const token = signMealCardToken({
+      studentId: 'STU-001',
+      cardVersion: 1,
+      issuedAt,
+    });
+    expect(isSignedMealCardToken(token)).toBe(true);
+    expect(token.split('.')).toHaveLength(4);
+    expect(token.split('.')[1]).toBe('k2');
+  });
+
+  it('throws 500 when no signing key is configured', () => {
+    process.env.MEAL_CARD_SIGNING_KEYS = '';
+    expect(() =>
+      signMealCardToken({ studentId: 'STU-001', cardVersion: 1 })
+    ).toThrow(expect.objectContaining({ statusCode: 500 }));
+  });
+});
+
+describe('verifyMealCardToken', () => {
+  it('returns the student id and card version for a valid token', () => {
+    const token = signMealCardToken({
+      studentId: 'STU-001',
+      cardVersion: 3,
+      issuedAt,
+    });
+    expect(verifyMealCardToken(token, new Date('2025-02-01'))).toEqual({
+      studentId: 'STU-001',
+      cardVersion: 3,
+      issuedAt,
+      keyId: 'k2',
+    });
+  });
+
+  it('still verifies tokens signed with a rotated-out key that is listed', () => {
+    process.env.MEAL_CARD_ACTIVE_KEY_ID = 'k1';
+    const token = signMealCardToken({
+      studentId: 'STU-001',
+      cardVersion: 1,
+      issuedAt,
+    });
+    process.env.MEAL_CARD_ACTIVE_KEY_ID = 'k2';
+    expect(verifyMealCardToken(token, issuedAt).studentId).toBe('STU-001');
+  });
+
+  it('rejects a token whose payload was tampered with', () => {
+    const token = signMealCardToken({
+      studentId: 'STU-001',
+      cardVersion: 1,
+      issuedAt,
+    });
+    const [prefix, keyId, , signature] = token.split('.');
+    const forged = Buffer.from(
+      JSON.stringify({ sid: 'STU-999', v: 1, iat: issuedAt.getTime() })
+    ).toString('base64url');
+    expect(
+      verifyMealCardToken(`${prefix}.${keyId}.${forged}.${signature}`)
+    ).toEqual({
+      error: 'QR_TOKEN_INVALID',
+    });
+  });
+
+  it('rejects a token signed with an unknown key id', () => {
+    const token = signMealCardToken({
+      studentId: 'STU-001',
+      cardVersion: 1,
+      issuedAt,
+    });
+    process.env.MEAL_CARD_SIGNING_KEYS = 'k1:first-secret';
+    expect(verifyMealCardToken(token, issuedAt)).toEqual({
+      error: 'QR_TOKEN_INVALID',
+    });
+  });
+
+  it('rejects an expired token', () => {
+    process.env.MEAL_CARD_TOKEN_TTL_DAYS = '30';
+    const token = signMealCardToken({
+      studentId: 'STU-001',
+      cardVersion: 1,
+      issuedAt,
+    });
+    expect(verifyMealCardToken(token, new Date('2025-03-01'))).toEqual({
+      error: 'QR_TOKEN_EXPIRED',
+    });
+  });
+
+  it('rejects unsigned legacy JSON payloads', () => {
+    expect(verifyMealCardToken('{"studentId":"STU-001"}')).toEqual({
+      error: 'QR_TOKEN_INVALID',
+    });
+  });
+});
@@ -0,0 +1,290 @@
+import { jest } from '@jest/globals';
+
+// --- Mock dependencies before importing the service ---
+jest.unstable_mockModule(
+  '../../../src/school-management/infrastructure/repositories/student.repository.js',
+  () => ({
+    findStudentById: jest.fn(),
+    updateStudentById: jest.fn(),
+    findStudentsBySchoolForQr: jest.fn(),
+  })
+);
+
+jest.unstable_mockModule(
+  '../../../src/school-management/infrastructure/repositories/school.repository.js',
+  () => ({
+    findSchoolById: jest.fn(),
+  })
+);
+
+jest.unstable_mockModule(
+  '../../../src/school-management/infrastructure/services/qr-code-generator.service.js',
+  () => ({
+    generateQRCodeBase64: jest.fn(async () => 'data:image/png;base64,QR'),
+  })
+);
+
+jest.unstable_mockModule('../../../src/notifications/integration.js', () => ({
+  NOTIFICATION_TEMPLATES: { QR_STATUS_UPDATED: 'QR_STATUS_UPDATED' },
+  notificationsIntegrationService: { notifyGuardian: jest.fn() },
+}));
+
+const {
+  findStudentById: mockFindStudentById,
+  updateStudentById: mockUpdateStudentById,
+  findStudentsBySchoolForQr: mockFindStudentsBySchoolForQr,
+} = await import('../../../src/school-management/infrastructure/repositories/student.repository.js');
+
+const { findSchoolById: mockFindSchoolById } =
+  await import('../../../src/school-management/infrastructure/repositories/school.repository.js');
+
+const {
+  generateStudentQR,
+  reissueStudentQR,
+  revokeStudentQR,
+  getStudentQRHistory,
+  batchGenerateQR,
+} =
+  await import('../../../src/school-management/application/services/qr-code.service.js');
+
+// --- Helpers ---
+const makeStudent = (overrides = {}) => ({
+  _id: 'student-1',
+  studentId: 'STU-001',
+  firstName: 'Alice',
+  lastName: 'Smith',
+  school: { _id: 'school-1', schoolName: 'Lincoln Elementary' },
+  qrCode: null,
+  qrCardVersion: 0,
+  mealCards: [],
+  ...overrides,
+});
+
+const activeCard = (version) => ({
+  version,
+  serial: `STU-001-v${version}`,
+  status: 'active',
+  issuedAt: new Date('2025-01-01'),
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  process.env.MEAL_CARD_SIGNING_KEYS = 'k1:test-secret';
+  // Updates apply on top of whatever student the test looked up.
+  mockUpdateStudentById.mockImplementation(async (id, data) => {
+    const found = await mockFindStudentById.getMockImplementation()?.();
+    return makeStudent({ ...found, _id: id, ...data });
+  });
+});
+
+// ─── generateStudentQR ──────────────────────────────────────────────────────
+
+describe('generateStudentQR', () => {
+  it('throws 404 when student does not exist', async () => {
+    mockFindStudentById.mockResolvedValue(null);
+    await expect(generateStudentQR('bad-id')).rejects.toMatchObject({
+      statusCode: 404,
+    });
+  });
+
+  it('issues version 1 for a student without a signed card', async () => {
+    mockFindStudentById.mockResolvedValue(makeStudent());
+    const result = await generateStudentQR('student-1');
+
+    const update = mockUpdateStudentById.mock.calls[0][1];
+    expect(update.qrCardVersion).toBe(1);
+    expect(update.mealCards).toEqual([
+      expect.objectContaining({
+        version: 1,
+        serial: 'STU-001-v1',
+        status: 'active',
+      }),
+    ]);
+    expect(result.qrCardVersion).toBe(1);
+  });
+
+  it('returns the current card without reissuing it', async () => {
+    mockFindStudentById.mockResolvedValue(
+      makeStudent({
+        qrCode: 'data:existing',
+        qrCardVersion: 2,
+        mealCards: [activeCard(2)],
+      })
+    );
+    const result = await generateStudentQR('student-1');
+
+    expect(mockUpdateStudentById).not.toHaveBeenCalled();
+    expect(result.qrCode).toBe('data:existing');
+  });
+});
+
+// ─── reissueStudentQR ───────────────────────────────────────────────────────
+
+describe('reissueStudentQR', () => {
+  it('supersedes the active card and issues the next version', async () => {
+    mockFindStudentById.mockResolvedValue(
+      makeStudent({
+        qrCode: 'data:existing',
+        qrCardVersion: 1,
+        mealCards: [activeCard(1)],
+      })
+    );
+    await reissueStudentQR('student-1', { issuedBy: 'user-1' });
+
+    const { mealCards, qrCardVersion } = mockUpdateStudentById.mock.calls[0][1];
+    expect(qrCardVersion).toBe(2);
+    expect(mealCards[0]).toMatchObject({ version: 1, status: 'superseded' });
+    expect(mealCards[1]).toMatchObject({
+      version: 2,
+      status: 'active',
+      issuedBy: 'user-1',
+    });
+  });
+});
+
+// ─── revokeStudentQR ────────────────────────────────────────────────────────
+
+describe('revokeStudentQR', () => {
+  it('marks the current card revoked with a reason and clears the image', async () => {
+    mockFindStudentById.mockResolvedValue(
+      makeStudent({
+        qrCode: 'data:existing',
+        qrCardVersion: 1,
+        mealCards: [activeCard(1)],
+      })
+    );
+    await revokeStudentQR(
+      'student-1',
+      { reason: 'lost', notes: 'Lost on bus' },
+      { revokedBy: 'user-1' }
+    );
+
+    const update = mockUpdateStudentById.mock.calls[0][1];
+    expect(update.qrCode).toBeNull();
+    expect(update.mealCards[0]).toMatchObject({
+      version: 1,
+      status: 'revoked',
+      revokeReason: 'lost',
+      revokeNotes: 'Lost on bus',
+      revokedBy: 'user-1',
+    });
+  });
+
+  it('records a revoked legacy card as version 0', async () => {
+    mockFindStudentById.mockResolvedValue(
+      makeStudent({ qrCode: 'data:legacy' })
+    );
+    await revokeStudentQR('student-1', { reason: 'stolen' });
+
+    const { mealCards } = mockUpdateStudentById.mock.calls[0][1];
+    expect(mealCards).toEqual([
+      expect.objectContaining({
+        version: 0,
+        status: 'revoked',
+        revokeReason: 'stolen',
+      }),
+    ]);
+  });
+
+  it('reissues a new card when requested', async () => {
+    mockFindStudentById.mockResolvedValue(
+      makeStudent({
+        qrCode: 'data:existing',
+        qrCardVersion: 1,
+        mealCards: [activeCard(1)],
+      })
+    );
+    const result = await revokeStudentQR('student-1', {
+      reason: 'damaged',
+      reissue: true,
+    });
+
+    expect(mockUpdateStudentById).toHaveBeenCalledTimes(2);
+    const { mealCards } = mockUpdateStudentById.mock.calls[1][1];
+    expect(mealCards.map((card) => card.status)).toEqual(['revoked', 'active']);
+    expect(result.qrCardVersion).toBe(2);
+  });
+
+  it('throws 409 when the current card is already revoked', async () => {
+    mockFindStudentById.mockResolvedValue(
+      makeStudent({
+        qrCardVersion: 1,
+        mealCards: [
+          { ...activeCard(1), status: 'revoked', revokeReason: 'lost' },
+        ],
+      })
+    );
+    await expect(
+      revokeStudentQR('student-1', { reason: 'lost' })
+    ).rejects.toMatchObject({
+      statusCode: 409,
+    });
+  });
+
+  it('throws 409 when no card was ever issued', async () => {
+    mockFindStudentById.mockResolvedValue(makeStudent());
+    await expect(
+      revokeStudentQR('student-1', { reason: 'lost' })
+    ).rejects.toMatchObject({
+      statusCode: 409,
+    });
+  });
+});
+
+// ─── getStudentQRHistory ────────────────────────────────────────────────────
+
+describe('getStudentQRHistory', () => {
+  it('lists cards newest first and flags the current one', async () => {
+    mockFindStudentById.mockResolvedValue(
+      makeStudent({
+        qrCardVersion: 2,
+        mealCards: [{ ...activeCard(1), status: 'superseded' }, activeCard(2)],
+      })
+    );
+    const history = await getStudentQRHistory('student-1');
+
+    expect(history.map((card) => [card.version, card.isCurrent])).toEqual([
+      [2, true],
+      [1, false],
+    ]);
+  });
+});
+
+// ─── batchGenerateQR ────────────────────────────────────────────────────────
+
+describe('batchGenerateQR', () => {
+  it('skips students that already hold an active signed card', async () => {
+    mockFindSchoolById.mockResolvedValue({ _id: 'school-1' });
+    mockFindStudentsBySchoolForQr.mockResolvedValue([
+      makeStudent({
+        _id: 'a',
+        qrCode: 'data:x',
+        qrCardVersion: 1,
+        mealCards: [activeCard(1)],
+      }),
+      makeStudent({ _id: 'b' }),
+    ]);
+
+    const result = await batchGenerateQR('school-1', {});
+
+    expect(result).toEqual({ total: 2, generated: 1, skipped: 1, failed: 0 });
+    expect(mockUpdateStudentById).toHaveBeenCalledWith('b', expect.anything());
+  });
+
+  it('reissues every card when reissue is set', async () => {
+    mockFindSchoolById.mockResolvedValue({ _id: 'school-1' });
+    mockFindStudentsBySchoolForQr.mockResolvedValue([
+      makeStudent({
+        _id: 'a',
+        qrCode: 'data:x',
+        qrCardVersion: 1,
+        mealCards: [activeCard(1)],
+      }),
+    ]);
+
+    const result = await batchGenerateQR('school-1', { reissue: true });
+
+    expect(result).toMatchObject({ generated: 1, skipped: 0 });
+    expect(mockFindStudentsBySchoolForQr).toHaveBeenCalledWith('school-1', {});
+  });
+});
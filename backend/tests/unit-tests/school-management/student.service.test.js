@@ -89,6 +89,23 @@ describe('createStudentForSchool', () => {
     });
   });
 
+  it('throws 409 when studentId belongs to a trashed student', async () => {
+    mockFindSchoolById.mockResolvedValue(makeSchool());
+    mockFindByStudentId.mockResolvedValue(
+      makeStudent({ deletedAt: new Date() })
+    );
+    await expect(
+      createStudentForSchool('school-1', { studentId: 'STU-001' })
+    ).rejects.toMatchObject({
+      statusCode: 409,
+      message: expect.stringContaining('trash'),
+    });
+    expect(mockFindByStudentId).toHaveBeenCalledWith('STU-001', {
+      withDeleted: true,
+    });
+    expect(mockCreateStudent).not.toHaveBeenCalled();
+  });
+
   it('creates and returns the student when valid', async () => {
     const school = makeSchool();
     const student = makeStudent();
@@ -198,4 +215,10 @@ describe('deleteStudent', () => {
     mockDeleteStudentById.mockResolvedValue(makeStudent());
     await expect(deleteStudent('student-1')).resolves.toBeUndefined();
   });
+
+  it('records who moved the student to the trash', async () => {
+    mockDeleteStudentById.mockResolvedValue(makeStudent());
+    await deleteStudent('student-1', 'user-9');
+    expect(mockDeleteStudentById).toHaveBeenCalledWith('student-1', 'user-9');
+  });
 });
@@ -0,0 +1,121 @@
+import express from 'express';
+import { ROLES } from '../../../src/shared/constants/roles.js';
+import { API_ACCESS } from '../../../src/shared/constants/api-access.js';
+import { apiAccessGuards } from '../../../src/shared/middleware/api-access-guards.middleware.js';
+
+// --- Helpers ---
+// Stands in for apiRequireAuth + attachUser: the role comes from a header
+const buildApp = () => {
+  const app = express();
+  app.use('/api', (req, res, next) => {
+    const role = req.get('x-test-role');
+    req.user = role ? { _id: 'user-1', role } : undefined;
+    next();
+  });
+  app.use('/api', apiAccessGuards);
+  app.use('/api', (req, res) => res.status(200).json({ ok: true }));
+  return app;
+};
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = await new Promise((resolve) => {
+    const listening = buildApp().listen(0, () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+const callAs = async (role, method, path) => {
+  const response = await fetch(`${baseUrl}/api${path}`, {
+    method,
+    headers: role ? { 'x-test-role': role } : {},
+  });
+  return response.status;
+};
+
+// ─── Role matrix ──────────────────────────────────────────────────────────────
+
+describe('apiAccessGuards', () => {
+  it('refuses requests without an attached user and unassigned users', async () => {
+    expect(await callAs(null, 'GET', '/schools')).toBe(403);
+    expect(await callAs(ROLES.UNASSIGNED, 'GET', '/schools')).toBe(403);
+  });
+
+  it.each([
+    // School staff run distribution but cannot change records or menus
+    [ROLES.SCHOOL_STAFF, 'POST', '/meal-scan', 200],
+    [ROLES.SCHOOL_STAFF, 'POST', '/meal-attendance/sync', 200],
+    [ROLES.SCHOOL_STAFF, 'POST', '/meal-distribution/absences', 200],
+    [ROLES.SCHOOL_STAFF, 'GET', '/schools/s1/students', 200],
+    [ROLES.SCHOOL_STAFF, 'POST', '/schools/s1/students', 403],
+    [ROLES.SCHOOL_STAFF, 'PATCH', '/meal-distribution/no-show-alerts/a1', 200],
+    [
+      ROLES.SCHOOL_STAFF,
+      'PUT',
+      '/meal-distribution/no-show-alerts/settings/s1',
+      403,
+    ],
+    [ROLES.SCHOOL_STAFF, 'GET', '/recipes', 403],
+    [ROLES.SCHOOL_STAFF, 'PUT', '/recipes/r1', 403],
+    // School admins manage students and read meal plans
+    [ROLES.SCHOOL_ADMIN, 'POST', '/schools/s1/students', 200],
+    [
+      ROLES.SCHOOL_ADMIN,
+      'PUT',
+      '/meal-distribution/no-show-alerts/settings/s1',
+      200,
+    ],
+    [ROLES.SCHOOL_ADMIN, 'GET', '/meal-plans', 200],
+    [ROLES.SCHOOL_ADMIN, 'POST', '/meal-plans', 403],
+    [ROLES.SCHOOL_ADMIN, 'POST', '/inventory', 403],
+    // Menu managers own recipes
+    [ROLES.MENU_MANAGER, 'PUT', '/recipes/r1', 200],
+    [ROLES.MENU_MANAGER, 'GET', '/inventory', 200],
+    [ROLES.MENU_MANAGER, 'POST', '/meal-scan', 403],
+    [ROLES.MENU_MANAGER, 'GET', '/meal-distribution/absences', 403],
+    // Meal planners plan against recipes and stock but cannot edit either
+    [ROLES.MEAL_PLANNER, 'POST', '/meal-plans/p1/confirm', 200],
+    [ROLES.MEAL_PLANNER, 'GET', '/recipes', 200],
+    [ROLES.MEAL_PLANNER, 'POST', '/recipes', 403],
+    [ROLES.MEAL_PLANNER, 'GET', '/schools', 200],
+    [ROLES.MEAL_PLANNER, 'GET', '/schools/s1/students', 403],
+    [ROLES.MEAL_PLANNER, 'DELETE', '/inventory/i1', 403],
+    // Inventory managers own stock only
+    [ROLES.INVENTORY_MANAGER, 'POST', '/inventory/i1/batches', 200],
+    [ROLES.INVENTORY_MANAGER, 'GET', '/meal-plans', 403],
+    // Reports are read-only and administration is admin-only
+    [ROLES.SCHOOL_ADMIN, 'GET', '/meal-distribution/reports/s1', 200],
+    [ROLES.ADMIN, 'POST', '/meal-distribution/reports/s1', 403],
+    [ROLES.ADMIN, 'PATCH', '/users/u1/role', 200],
+    [ROLES.ADMIN, 'POST', '/admin/jobs/run', 200],
+    [ROLES.SCHOOL_ADMIN, 'GET', '/users', 403],
+    [ROLES.INVENTORY_MANAGER, 'POST', '/admin/jobs/run', 403],
+  ])('%s %s %s → %i', async (role, method, path, expected) => {
+    expect(await callAs(role, method, path)).toBe(expected);
+  });
+});
+
+// Nested areas are reached through their parent's guard as well, so they
+// must not grant anything the parent refuses
+describe('API_ACCESS', () => {
+  const isSubset = (inner, outer) =>
+    inner.every((role) => outer.includes(role));
+
+  it.each([
+    ['STUDENTS', 'SCHOOLS'],
+    ['NO_SHOW_ALERT_SETTINGS', 'NO_SHOW_ALERTS'],
+  ])('%s grants no more than %s', (nested, parent) => {
+    expect(isSubset(API_ACCESS[nested].read, API_ACCESS[parent].read)).toBe(
+      true
+    );
+    expect(isSubset(API_ACCESS[nested].write, API_ACCESS[parent].write)).toBe(
+      true
+    );
+  });
+});
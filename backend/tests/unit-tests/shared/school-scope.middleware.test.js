@@ -0,0 +1,168 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import { ROLES } from '../../../src/shared/constants/roles.js';
+import {
+  attachSchoolScope,
+  requireSchoolInScope,
+  scopedSchoolIds,
+} from '../../../src/shared/middleware/school-scope.middleware.js';
+import { schoolScopeGuards } from '../../../src/shared/middleware/school-scope-guards.middleware.js';
+
+// --- Helpers ---
+const SCHOOL_A = '64b000000000000000000001';
+const SCHOOL_B = '64b000000000000000000002';
+const SCHOOL_C = '64b000000000000000000003';
+
+const staffUser = (overrides = {}) => ({
+  _id: 'user-1',
+  role: ROLES.SCHOOL_STAFF,
+  schoolId: SCHOOL_A,
+  schoolIds: [SCHOOL_A, SCHOOL_B],
+  ...overrides,
+});
+
+const buildRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const runScope = async (user) => {
+  const req = { user };
+  const next = jest.fn();
+  await attachSchoolScope(req, buildRes(), next);
+  expect(next).toHaveBeenCalledWith();
+  return req;
+};
+
+// ─── attachSchoolScope ────────────────────────────────────────────────────────
+
+describe('attachSchoolScope', () => {
+  it('leaves central roles unrestricted', async () => {
+    const req = await runScope({ _id: 'user-2', role: ROLES.MEAL_PLANNER });
+
+    expect(req.schoolScope).toEqual({ restricted: false, schoolIds: null });
+    expect(scopedSchoolIds(req)).toBeNull();
+  });
+
+  it('restricts school staff to the union of schoolId and schoolIds', async () => {
+    const req = await runScope(
+      staffUser({ schoolId: SCHOOL_C, schoolIds: [SCHOOL_A, SCHOOL_A] })
+    );
+
+    expect(req.schoolScope.restricted).toBe(true);
+    expect(scopedSchoolIds(req)).toEqual([SCHOOL_A, SCHOOL_C]);
+  });
+});
+
+// ─── requireSchoolInScope ─────────────────────────────────────────────────────
+
+describe('requireSchoolInScope', () => {
+  const runGuard = async (resolve, scope) => {
+    const req = { schoolScope: scope };
+    const res = buildRes();
+    const next = jest.fn();
+    await requireSchoolInScope(resolve)(req, res, next);
+    return { res, next };
+  };
+  const STAFF_SCOPE = { restricted: true, schoolIds: [SCHOOL_A, SCHOOL_B] };
+
+  it('passes when every school touched is assigned, skipping empty values', async () => {
+    const { next } = await runGuard(
+      async () => [SCHOOL_A, { _id: SCHOOL_B }, undefined, ''],
+      STAFF_SCOPE
+    );
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('answers 403 when any school touched is not assigned', async () => {
+    const { res, next } = await runGuard(
+      () => [SCHOOL_A, SCHOOL_C],
+      STAFF_SCOPE
+    );
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('does not resolve anything for unrestricted users', async () => {
+    const resolve = jest.fn();
+    const { next } = await runGuard(resolve, {
+      restricted: false,
+      schoolIds: null,
+    });
+
+    expect(next).toHaveBeenCalledWith();
+    expect(resolve).not.toHaveBeenCalled();
+  });
+
+  it('refuses requests that never had a scope attached', async () => {
+    const { res, next } = await runGuard(() => SCHOOL_A, undefined);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
+
+// ─── schoolScopeGuards ────────────────────────────────────────────────────────
+
+describe('schoolScopeGuards', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', (req, res, next) => {
+      req.user =
+        req.get('x-test-role') === ROLES.ADMIN
+          ? { _id: 'admin-1', role: ROLES.ADMIN }
+          : staffUser();
+      next();
+    });
+    app.use('/api', attachSchoolScope, schoolScopeGuards);
+    app.use('/api', (req, res) => res.status(200).json({ ok: true }));
+
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const call = async (method, path, { body, role } = {}) => {
+    const response = await fetch(`${baseUrl}/api${path}`, {
+      method,
+      headers: {
+        'content-type': 'application/json',
+        ...(role ? { 'x-test-role': role } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return response.status;
+  };
+
+  it.each([
+    ['GET', `/schools/${SCHOOL_B}/students`, undefined, 200],
+    ['GET', `/schools/${SCHOOL_C}/students`, undefined, 403],
+    ['GET', `/schools/${SCHOOL_C}`, undefined, 403],
+    ['GET', `/meal-plans/school/${SCHOOL_C}`, undefined, 403],
+    ['GET', `/meal-sessions?schoolId=${SCHOOL_C}`, undefined, 403],
+    ['POST', '/meal-sessions', { schoolId: SCHOOL_C }, 403],
+    ['POST', '/meal-sessions', { schoolId: SCHOOL_A }, 200],
+    ['GET', '/schools', undefined, 200],
+  ])('school staff %s %s → %i', async (method, path, body, expected) => {
+    expect(await call(method, path, { body })).toBe(expected);
+  });
+
+  it('lets admins reach any school', async () => {
+    expect(
+      await call('GET', `/schools/${SCHOOL_C}/students`, { role: ROLES.ADMIN })
+    ).toBe(200);
+  });
+});
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import { softDeletePlugin } from '../../../src/shared/plugins/soft-delete.plugin.js';
+
+// --- Helpers ---
+const schema = new mongoose.Schema({ name: String });
+schema.plugin(softDeletePlugin);
+const Thing = mongoose.model('SoftDeletePluginThing', schema);
+
+// Runs the registered pre hooks without touching a database. Queries are
+// thenables, so they must not be passed to resolve() (that would exec them).
+const runPreHooks = (name, target) =>
+  new Promise((resolve, reject) =>
+    Thing.schema.s.hooks.execPre(name, target, [], (err) =>
+      err ? reject(err) : resolve()
+    )
+  );
+
+const filterAfterHooks = async (query) => {
+  await runPreHooks(query.op, query);
+  return query.getFilter();
+};
+
+describe('softDeletePlugin', () => {
+  it('adds deletedAt and deletedBy paths', () => {
+    expect(schema.path('deletedAt')).toBeDefined();
+    expect(schema.path('deletedBy')).toBeDefined();
+  });
+
+  it('hides trashed records from reads and writes by default', async () => {
+    expect(await filterAfterHooks(Thing.find({ name: 'a' }))).toEqual({
+      name: 'a',
+      deletedAt: null,
+    });
+    expect(
+      await filterAfterHooks(Thing.findOneAndUpdate({ name: 'a' }, { x: 1 }))
+    ).toEqual({ name: 'a', deletedAt: null });
+    expect(await filterAfterHooks(Thing.countDocuments({}))).toEqual({
+      deletedAt: null,
+    });
+  });
+
+  it('leaves queries alone that opt in or filter on deletedAt', async () => {
+    expect(
+      await filterAfterHooks(
+        Thing.findOne({ name: 'a' }).setOptions({ withDeleted: true })
+      )
+    ).toEqual({ name: 'a' });
+    expect(
+      await filterAfterHooks(Thing.deleteOne({ deletedAt: { $ne: null } }))
+    ).toEqual({ deletedAt: { $ne: null } });
+  });
+
+  it('prepends the filter to aggregates', async () => {
+    const aggregate = Thing.aggregate([{ $match: { name: 'a' } }]);
+    await runPreHooks('aggregate', aggregate);
+
+    expect(aggregate.pipeline()).toEqual([
+      { $match: { deletedAt: null } },
+      { $match: { name: 'a' } },
+    ]);
+  });
+});
@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+import { TrashService } from '../../../src/trash/application/services/trash.service.js';
+
+// --- Helpers ---
+const NOW = new Date('2026-04-30T02:00:00.000Z');
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000);
+
+const buildService = (trashed = {}) => {
+  const trashRepository = {
+    entityTypes: () => ['School', 'Student'],
+    label: (type, doc) => `${type}:${doc._id}`,
+    findDeleted: jest.fn(async (type, { limit }) =>
+      (trashed[type] ?? []).slice(0, limit)
+    ),
+    countDeleted: jest.fn(async (type) => (trashed[type] ?? []).length),
+    findExpired: jest.fn(async (type, cutoff) =>
+      (trashed[type] ?? []).filter((doc) => doc.deletedAt <= cutoff)
+    ),
+    findReferences: jest.fn(async () => []),
+    restore: jest.fn(async () => null),
+    purge: jest.fn(async () => 1),
+  };
+  return {
+    service: new TrashService({ trashRepository, retentionDays: 30 }),
+    trashRepository,
+  };
+};
+
+// ─── listTrash ────────────────────────────────────────────────────────────────
+
+describe('TrashService.listTrash', () => {
+  it('merges entity types newest first and pages the result', async () => {
+    const { service } = buildService({
+      School: [{ _id: 'sc1', deletedAt: daysAgo(1), deletedBy: 'admin-1' }],
+      Student: [
+        { _id: 'st1', deletedAt: daysAgo(0) },
+        { _id: 'st2', deletedAt: daysAgo(5) },
+      ],
+    });
+
+    const result = await service.listTrash({ page: '2', limit: '1' });
+
+    expect(result).toMatchObject({ page: 2, limit: 1, total: 3 });
+    expect(result.items).toEqual([
+      {
+        entityType: 'School',
+        id: 'sc1',
+        label: 'School:sc1',
+        deletedAt: daysAgo(1),
+        deletedBy: 'admin-1',
+        purgeAfter: daysAgo(-29),
+      },
+    ]);
+  });
+
+  it('refuses unknown entity types', async () => {
+    const { service, trashRepository } = buildService();
+
+    await expect(service.listTrash({ entityType: 'Invoice' })).resolves.toEqual(
+      { error: 'UNKNOWN_ENTITY_TYPE' }
+    );
+    expect(trashRepository.findDeleted).not.toHaveBeenCalled();
+  });
+});
+
+// ─── restore ──────────────────────────────────────────────────────────────────
+
+describe('TrashService.restore', () => {
+  it('reports records that are not in the trash', async () => {
+    const { service } = buildService();
+
+    await expect(service.restore('Student', 'st1')).resolves.toEqual({
+      error: 'NOT_IN_TRASH',
+    });
+  });
+
+  it('returns the restored record', async () => {
+    const { service, trashRepository } = buildService();
+    trashRepository.restore.mockResolvedValueOnce({
+      _id: 'st1',
+      deletedAt: null,
+    });
+
+    const { item } = await service.restore('Student', 'st1');
+
+    expect(trashRepository.restore).toHaveBeenCalledWith('Student', 'st1');
+    expect(item).toMatchObject({
+      id: 'st1',
+      deletedAt: null,
+      purgeAfter: null,
+    });
+  });
+});
+
+// ─── purgeExpired ─────────────────────────────────────────────────────────────
+
+describe('TrashService.purgeExpired', () => {
+  it('purges expired records and keeps those still referenced', async () => {
+    const { service, trashRepository } = buildService({
+      School: [{ _id: 'sc-recent', deletedAt: daysAgo(3) }],
+      Student: [
+        { _id: 'st-free', deletedAt: daysAgo(31) },
+        { _id: 'st-used', deletedAt: daysAgo(45) },
+      ],
+    });
+    trashRepository.findReferences.mockImplementation(async (type, doc) =>
+      doc._id === 'st-used' ? ['meal attendance'] : []
+    );
+
+    const result = await service.purgeExpired({ now: NOW });
+
+    expect(result).toEqual({
+      cutoff: daysAgo(30),
+      purged: { School: 0, Student: 1 },
+      keptTotal: 1,
+      kept: [
+        {
+          entityType: 'Student',
+          id: 'st-used',
+          label: 'Student:st-used',
+          referencedBy: ['meal attendance'],
+        },
+      ],
+    });
+    expect(trashRepository.purge).toHaveBeenCalledTimes(1);
+    expect(trashRepository.purge).toHaveBeenCalledWith('Student', 'st-free');
+  });
+});
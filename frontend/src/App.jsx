@@ -146,7 +146,11 @@ function App() {
           element={
             <RequireAuth>
               <RequireRole
-                allowedRoles={[USER_ROLES.ADMIN, USER_ROLES.MENU_MANAGER]}
+                allowedRoles={[
+                  USER_ROLES.ADMIN,
+                  USER_ROLES.MENU_MANAGER,
+                  USER_ROLES.MEAL_PLANNER,
+                ]}
               >
                 <Outlet />
               </RequireRole>
@@ -177,7 +181,11 @@ function App() {
           element={
             <RequireAuth>
               <RequireRole
-                allowedRoles={[USER_ROLES.ADMIN, USER_ROLES.MENU_MANAGER]}
+                allowedRoles={[
+                  USER_ROLES.ADMIN,
+                  USER_ROLES.MENU_MANAGER,
+                  USER_ROLES.MEAL_PLANNER,
+                ]}
               >
                 <MealPlanningRoute />
               </RequireRole>
@@ -189,7 +197,11 @@ function App() {
           element={
             <RequireAuth>
               <RequireRole
-                allowedRoles={[USER_ROLES.ADMIN, USER_ROLES.MENU_MANAGER]}
+                allowedRoles={[
+                  USER_ROLES.ADMIN,
+                  USER_ROLES.MENU_MANAGER,
+                  USER_ROLES.MEAL_PLANNER,
+                ]}
               >
                 <MealPlanDetailsRoute />
               </RequireRole>
@@ -201,7 +213,11 @@ function App() {
           element={
             <RequireAuth>
               <RequireRole
-                allowedRoles={[USER_ROLES.ADMIN, USER_ROLES.MENU_MANAGER]}
+                allowedRoles={[
+                  USER_ROLES.ADMIN,
+                  USER_ROLES.MENU_MANAGER,
+                  USER_ROLES.MEAL_PLANNER,
+                ]}
               >
                 <MealPlanningNewRoute />
               </RequireRole>
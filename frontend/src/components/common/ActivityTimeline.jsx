@@ -0,0 +1,79 @@
+import { cn } from '@/lib/utils';
+
+const ACTION_CLASSES = {
+  CREATE: 'bg-green-50 text-green-700',
+  UPDATE: 'bg-blue-50 text-blue-700',
+  DELETE: 'bg-red-50 text-red-700',
+};
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function describeActor(entry) {
+  if (entry.source === 'JOB') return `Job: ${entry.jobName ?? 'scheduled'}`;
+  if (entry.source === 'SYSTEM') return 'System';
+  if (!entry.actorId) return 'Unknown user';
+  return entry.actorRole
+    ? `${entry.actorRole} · ${entry.actorId}`
+    : entry.actorId;
+}
+
+/**
+ * Renders audit-log entries (newest first) as returned by the activity
+ * endpoints: who changed the record, when, and each field's before → after.
+ */
+function ActivityTimeline({ entries = [], emptyMessage, className }) {
+  if (entries.length === 0) {
+    return (
+      <p className={cn('py-3 text-center text-sm text-[#64748b]', className)}>
+        {emptyMessage ?? 'No recorded changes yet.'}
+      </p>
+    );
+  }
+
+  return (
+    <ol className={cn('flex flex-col gap-3', className)}>
+      {entries.map((entry) => (
+        <li
+          key={entry.id}
+          className="rounded-2xl border border-[#e2e8f0] bg-white px-4 py-3"
+        >
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <span
+              className={`rounded-full px-2.5 py-0.5 text-xs font-semibold ${
+                ACTION_CLASSES[entry.action] ?? 'bg-stone-100 text-[#334155]'
+              }`}
+            >
+              {entry.action}
+            </span>
+            <span className="text-xs text-[#64748b]">
+              {new Date(entry.occurredAt).toLocaleString()}
+            </span>
+          </div>
+          <p className="mt-1 text-xs text-[#64748b]">{describeActor(entry)}</p>
+          {entry.action === 'UPDATE' && entry.changes.length > 0 && (
+            <ul className="mt-2 flex flex-col gap-1">
+              {entry.changes.map((change) => (
+                <li
+                  key={change.path}
+                  className="text-xs break-all text-[#334155]"
+                >
+                  <span className="font-medium">{change.path}</span>:{' '}
+                  <span className="text-[#94a3b8] line-through">
+                    {formatValue(change.before)}
+                  </span>{' '}
+                  → {formatValue(change.after)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+export default ActivityTimeline;
@@ -6,3 +6,4 @@ export { default as CardGrid } from './CardGrid';
 export { default as PaginationControls } from './PaginationControls';
 export { default as StatusMessage } from './StatusMessage';
 export { default as ProgressCard } from './ProgressCard';
+export { default as ActivityTimeline } from './ActivityTimeline';
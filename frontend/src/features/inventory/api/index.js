@@ -48,6 +48,45 @@ export async function fetchInventoryItemById({ apiUrl, itemId, getToken }) {
   return payload?.data ?? null;
 }
 
+export async function fetchInventoryItemActivity({ apiUrl, itemId, getToken }) {
+  if (!itemId) {
+    throw new Error('Inventory item ID is required.');
+  }
+
+  const response = await requestInventoryApi({
+    apiUrl,
+    getToken,
+    path: `/api/inventory/${encodeURIComponent(itemId)}/activity`,
+    fallbackMessage: 'Failed to fetch inventory item activity.',
+  });
+
+  const payload = await response.json();
+  return Array.isArray(payload?.data) ? payload.data : [];
+}
+
+export async function fetchInventoryItemMovements({
+  apiUrl,
+  itemId,
+  getToken,
+}) {
+  if (!itemId) {
+    throw new Error('Inventory item ID is required.');
+  }
+
+  const response = await requestInventoryApi({
+    apiUrl,
+    getToken,
+    path: `/api/inventory/${encodeURIComponent(itemId)}/movements`,
+    fallbackMessage: 'Failed to fetch inventory item movements.',
+  });
+
+  const payload = await response.json();
+  return {
+    movements: Array.isArray(payload?.data) ? payload.data : [],
+    reconciliation: payload?.reconciliation ?? null,
+  };
+}
+
 export async function lookupInventoryItemByBarcode({
   apiUrl,
   barcode,
@@ -169,3 +208,369 @@ export async function deleteInventoryItem({ apiUrl, itemId, getToken }) {
   const responsePayload = await response.json();
   return responsePayload?.data ?? null;
 }
+
+export async function fetchSuppliers({ apiUrl, getToken, activeOnly = false }) {
+  const response = await requestInventoryApi({
+    apiUrl,
+    getToken,
+    path: `/api/inventory/suppliers${activeOnly ? '?active=true' : ''}`,
+    fallbackMessage: 'Failed to fetch suppliers.',
+  });
+
+  const payload = await response.json();
+  return Array.isArray(payload?.data) ? payload.data : [];
+}
+
+export async function createSupplier({ apiUrl, getToken, payload }) {
+  const response = await requestInventoryApi({
+    apiUrl,
+    getToken,
+    path: '/api/inventory/suppliers',
+    method: 'POST',
+    payload,
+    fallbackMessage: 'Failed to create supplier.',
+  });
+
+  const responsePayload = await response.json();
+  return responsePayload?.data ?? null;
+}
+
+export async function fetchPurchaseOrders({ apiUrl, getToken, status }) {
+  const query = new URLSearchParams();
+
+  if (status) {
+    query.set('status', status);
+  }
+
+  const response = await requestInventoryApi({
+    apiUrl,
+    getToken,
+    path: `/api/inventory/purchase-orders?${query.toString()}`,
+    fallbackMessage: 'Failed to fetch purchase orders.',
+  });
+
+  const payload = await response.json();
+  return Array.isArray(payload?.data) ? payload.data : [];
+}
+
+export async function createPurchaseOrder({ apiUrl, getToken, payload }) {
+  const response = await requestInventoryApi({
+    apiUrl,
+    getToken,
+    path: '/api/inventory/purchase-orders',
+    method: 'POST',
+    payload,
+    fallbackMessage: 'Failed to create purchase order.',
+  });
+
+  const responsePayload = await response.json();
+  return responsePayload?.data ?? null;
+}
+
+/**
+ * Runs a purchase order action: `send`, `receive` or `cancel`.
+ */
+export async function updatePurchaseOrderStatus({
+  apiUrl,
+  getToken,
+  orderId,
+  action,
+  payload = {},
+}) {
+  if (!orderId) {
+    throw new Error('Purchase order ID is required.');
+  }
+
+  const response = await requestInventoryApi({
+    apiUrl,
+    getToken,
+    path: `/api/inventory/purchase-orders/${encodeURIComponent(orderId)}/${action}`,
+    method: 'POST',
+    payload,
+    fallbackMessage: `Failed to ${action} purchase order.`,
+  });
+
+  const responsePayload = await response.json();
+  return responsePayload?.data ?? null;
+}
+
+export async function fetchReorderSuggestions({
+  apiUrl,
+  getToken,
+  horizonDays,
+}) {
+  const query = new URLSearchParams();
+
+  if (horizonDays) {
+    query.set('horizonDays', String(horizonDays));
+  }
+
+  const response = await requestInventoryApi({
+    apiUrl,
+    getToken,
+    path: `/api/inventory/reorder-suggestions?${query.toString()}`,
+    fallbackMessage: 'Failed to fetch reorder suggestions.',
+  });
+
+  const payload = await response.json();
+  return payload?.data ?? null;
+}
+
+export async function createReorderPurchaseOrders({
+  apiUrl,
+  getToken,
+  payload = {},
+}) {
+  const response = await requestInventoryApi({
+    apiUrl,
+    getToken,
+    path: '/api/inventory/reorder-suggestions/purchase-orders',
+    method: 'POST',
+    payload,
+    fallbackMessage: 'Failed to create purchase orders from suggestions.',
+  });
+
+  const responsePayload = await response.json();
+  return responsePayload?.data ?? { orders: [], skipped: [] };
+}
+
+export async function fetchStorageLocations({
+  apiUrl,
+  getToken,
+  activeOnly = false,
+}) {
+  const response = await requestInventoryApi({
+    apiUrl,
+    getToken,
+    path: `/api/inventory/locations${activeOnly ? '?active=true' : ''}`,
+    fallbackMessage: 'Failed to fetch storage locations.',
+  });
+
+  const payload = await response.json();
+  return Array.isArray(payload?.data) ? payload.data : [];
+}
+
+export async function createStorageLocation({ apiUrl, getToken, payload }) {
+  const response = await requestInventoryApi({
+    apiUrl,
+    getToken,
+    path: '/api/inventory/locations',
+    method: 'POST',
+    payload,
+    fallbackMessage: 'Failed to create storage location.',
+  });
+
+  const responsePayload = await response.json();
+  return responsePayload?.data ?? null;
+}
+
+export async function fetchStockTransfers({
+  apiUrl,
+  getToken,
+  status,
+  locationId,
+}) {
+  const query = new URLSearchParams();
+
+  if (status) {
+    query.set('status', status);
+  }
+
+  if (locationId) {
+    query.set('locationId', locationId);
+  }
+
+  const response = await requestInventoryApi({
+    apiUrl,
+    getToken,
+    path: `/api/inventory/transfers?${query.toString()}`,
+    fallbackMessage: 'Failed to fetch stock transfers.',
+  });
+
+  const payload = await response.json();
+  return Array.isArray(payload?.data) ? payload.data : [];
+}
+
+export async function createStockTransfer({ apiUrl, getToken, payload }) {
+  const response = await requestInventoryApi({
+    apiUrl,
+    getToken,
+    path: '/api/inventory/transfers',
+    method: 'POST',
+    payload,
+    fallbackMessage: 'Failed to dispatch stock transfer.',
+  });
+
+  const responsePayload = await response.json();
+  return responsePayload?.data ?? null;
+}
+
+/**
+ * Runs a stock transfer action: `receive` or `cancel`.
+ */
+export async function updateStockTransferStatus({
+  apiUrl,
+  getToken,
+  transferId,
+  action,
+  payload = {},
+}) {
+  if (!transferId) {
+    throw new Error('Stock transfer ID is required.');
+  }
+
+  const response = await requestInventoryApi({
+    apiUrl,
+    getToken,
+    path: `/api/inventory/transfers/${encodeURIComponent(transferId)}/${action}`,
+    method: 'POST',
+    payload,
+    fallbackMessage: `Failed to ${action} stock transfer.`,
+  });
+
+  const responsePayload = await response.json();
+  return responsePayload?.data ?? null;
+}
+
+export async function fetchStockTakes({
+  apiUrl,
+  getToken,
+  status,
+  locationId,
+}) {
+  const query = new URLSearchParams();
+
+  if (status) {
+    query.set('status', status);
+  }
+
+  if (locationId) {
+    query.set('locationId', locationId);
+  }
+
+  const response = await requestInventoryApi({
+    apiUrl,
+    getToken,
+    path: `/api/inventory/stock-takes?${query.toString()}`,
+    fallbackMessage: 'Failed to fetch stock-takes.',
+  });
+
+  const payload = await response.json();
+  return Array.isArray(payload?.data) ? payload.data : [];
+}
+
+export async function fetchStockTake({ apiUrl, getToken, stockTakeId }) {
+  if (!stockTakeId) {
+    throw new Error('Stock-take ID is required.');
+  }
+
+  const response = await requestInventoryApi({
+    apiUrl,
+    getToken,
+    path: `/api/inventory/stock-takes/${encodeURIComponent(stockTakeId)}`,
+    fallbackMessage: 'Failed to fetch stock-take.',
+  });
+
+  const payload = await response.json();
+  return payload?.data ?? null;
+}
+
+export async function createStockTake({ apiUrl, getToken, payload }) {
+  const response = await requestInventoryApi({
+    apiUrl,
+    getToken,
+    path: '/api/inventory/stock-takes',
+    method: 'POST',
+    payload,
+    fallbackMessage: 'Failed to start stock-take.',
+  });
+
+  const responsePayload = await response.json();
+  return responsePayload?.data ?? null;
+}
+
+/**
+ * Records counted quantities: `counts` is `[{ lineId, countedQuantity, note }]`,
+ * with `countedQuantity: null` clearing a count.
+ */
+export async function recordStockTakeCounts({
+  apiUrl,
+  getToken,
+  stockTakeId,
+  counts,
+}) {
+  if (!stockTakeId) {
+    throw new Error('Stock-take ID is required.');
+  }
+
+  const response = await requestInventoryApi({
+    apiUrl,
+    getToken,
+    path: `/api/inventory/stock-takes/${encodeURIComponent(stockTakeId)}/counts`,
+    method: 'PATCH',
+    payload: { counts },
+    fallbackMessage: 'Failed to record counts.',
+  });
+
+  const responsePayload = await response.json();
+  return responsePayload?.data ?? null;
+}
+
+/**
+ * Runs a stock-take action: `submit`, `post` or `cancel`.
+ */
+export async function updateStockTakeStatus({
+  apiUrl,
+  getToken,
+  stockTakeId,
+  action,
+  payload = {},
+}) {
+  if (!stockTakeId) {
+    throw new Error('Stock-take ID is required.');
+  }
+
+  const response = await requestInventoryApi({
+    apiUrl,
+    getToken,
+    path: `/api/inventory/stock-takes/${encodeURIComponent(stockTakeId)}/${action}`,
+    method: 'POST',
+    payload,
+    fallbackMessage: `Failed to ${action} stock-take.`,
+  });
+
+  const responsePayload = await response.json();
+  return responsePayload?.data ?? null;
+}
+
+/**
+ * Downloads the printable count sheet as a PDF.
+ */
+export async function downloadStockTakeSheet({
+  apiUrl,
+  getToken,
+  stockTakeId,
+  stockTakeNumber,
+}) {
+  if (!stockTakeId) {
+    throw new Error('Stock-take ID is required.');
+  }
+
+  const response = await requestInventoryApi({
+    apiUrl,
+    getToken,
+    path: `/api/inventory/stock-takes/${encodeURIComponent(stockTakeId)}/sheet.pdf`,
+    fallbackMessage: 'Failed to download count sheet.',
+  });
+
+  const blob = await response.blob();
+  const objectUrl = URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+  anchor.href = objectUrl;
+  anchor.download = `stock-take-${stockTakeNumber || stockTakeId}.pdf`;
+  anchor.rel = 'noopener';
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
+  URL.revokeObjectURL(objectUrl);
+}
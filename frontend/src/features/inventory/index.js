@@ -7,3 +7,6 @@ export { default as InventoryDashboardPage } from './pages/InventoryDashboardPag
 export { default as InventoryItemsPage } from './pages/InventoryItemsPage';
 export { default as InventoryNewItemPage } from './pages/InventoryNewItemPage';
 export { default as InventoryItemDetailsPage } from './pages/InventoryItemDetailsPage';
+export { default as PurchaseOrdersPage } from './pages/PurchaseOrdersPage';
+export { default as StockTransfersPage } from './pages/StockTransfersPage';
+export { default as StockTakesPage } from './pages/StockTakesPage';
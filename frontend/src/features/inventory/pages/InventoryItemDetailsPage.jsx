@@ -37,6 +37,7 @@ import {
 } from '@/components/ui/table';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Textarea } from '@/components/ui/textarea';
+import ActivityTimeline from '@/components/common/ActivityTimeline';
 import MetricCard from '@/components/common/MetricCard';
 import PageHero from '@/components/common/PageHero';
 import StatusMessage from '@/components/common/StatusMessage';
@@ -61,7 +62,9 @@ import {
   addInventoryBatch,
   deleteInventoryBatch,
   deleteInventoryItem,
+  fetchInventoryItemActivity,
   fetchInventoryItemById,
+  fetchInventoryItemMovements,
 } from '../api';
 import {
   batchTitle,
@@ -78,6 +81,26 @@ import {
   toOptionalNumber,
 } from '../lib';
 
+const MOVEMENT_TYPE_LABELS = {
+  RECEIPT: 'Receipt',
+  CONSUMPTION: 'Consumption',
+  ADJUSTMENT: 'Adjustment',
+  WASTAGE: 'Wastage',
+  EXPIRY_WRITE_OFF: 'Expiry write-off',
+  TRANSFER: 'Transfer',
+  OPENING_BALANCE: 'Opening balance',
+};
+
+const MOVEMENT_SOURCE_LABELS = {
+  MANUAL: 'Manual',
+  MEAL_PLAN: 'Meal plan',
+  MEAL_SESSION: 'Meal session',
+  PURCHASE_ORDER: 'Purchase order',
+  STOCK_TRANSFER: 'Stock transfer',
+  STOCK_TAKE: 'Stock-take',
+  BACKFILL: 'Backfill',
+};
+
 function BatchField({ label, required, children, className }) {
   return (
     <label className={cn('flex flex-col gap-2', className)}>
@@ -110,6 +133,13 @@ function InventoryItemDetailsPage() {
   const [activeBatchForDelete, setActiveBatchForDelete] = useState(null);
   const [isDeletingBatch, setIsDeletingBatch] = useState(false);
   const [isDeletingItem, setIsDeletingItem] = useState(false);
+  const [activity, setActivity] = useState([]);
+  const [activityError, setActivityError] = useState('');
+  const [isLoadingActivity, setIsLoadingActivity] = useState(false);
+  const [movements, setMovements] = useState([]);
+  const [reconciliation, setReconciliation] = useState(null);
+  const [movementsError, setMovementsError] = useState('');
+  const [isLoadingMovements, setIsLoadingMovements] = useState(false);
 
   const batches = useMemo(() => {
     return [...(item?.batches || [])].sort((left, right) => {
@@ -222,6 +252,62 @@ function InventoryItemDetailsPage() {
     }
   };
 
+  // Fetched whenever the Activity tab opens so it reflects batch edits
+  const loadActivity = async () => {
+    if (!apiBaseUrl || !itemId) {
+      return;
+    }
+
+    setIsLoadingActivity(true);
+    setActivityError('');
+
+    try {
+      const entries = await fetchInventoryItemActivity({
+        apiUrl: apiBaseUrl,
+        itemId,
+        getToken: isSignedIn ? getToken : undefined,
+      });
+
+      setActivity(entries);
+    } catch (error) {
+      setActivity([]);
+      setActivityError(
+        describeApiFetchFailure(error, 'Could not load item activity.'),
+      );
+    } finally {
+      setIsLoadingActivity(false);
+    }
+  };
+
+  // Fetched whenever the Movements tab opens, like the activity timeline
+  const loadMovements = async () => {
+    if (!apiBaseUrl || !itemId) {
+      return;
+    }
+
+    setIsLoadingMovements(true);
+    setMovementsError('');
+
+    try {
+      const ledger = await fetchInventoryItemMovements({
+        apiUrl: apiBaseUrl,
+        itemId,
+        getToken: isSignedIn ? getToken : undefined,
+      });
+
+      setMovements(ledger.movements);
+      setReconciliation(ledger.reconciliation);
+    } catch (error) {
+      setMovements([]);
+      setReconciliation(null);
+      setMovementsError(
+        describeApiFetchFailure(error, 'Could not load stock movements.'),
+      );
+    } finally {
+      setIsLoadingMovements(false);
+    }
+  };
+
   useEffect(() => {
     loadItem();
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -474,7 +560,18 @@ function InventoryItemDetailsPage() {
 
             <Separator />
 
-            <Tabs defaultValue="overview" className="space-y-5">
+            <Tabs
+              defaultValue="overview"
+              className="space-y-5"
+              onValueChange={(value) => {
+                if (value === 'activity') {
+                  loadActivity();
+                }
+                if (value === 'movements') {
+                  loadMovements();
+                }
+              }}
+            >
               <div className="flex flex-col gap-3 lg:flex-row lg:items-center lg:justify-between">
                 <TabsList
                   variant="line"
@@ -482,6 +579,8 @@ function InventoryItemDetailsPage() {
                 >
                   <TabsTrigger value="overview">Overview</TabsTrigger>
                   <TabsTrigger value="batches">Batches</TabsTrigger>
+                  <TabsTrigger value="movements">Movements</TabsTrigger>
+                  <TabsTrigger value="activity">Activity</TabsTrigger>
                 </TabsList>
 
                 <Button
@@ -684,6 +783,91 @@ function InventoryItemDetailsPage() {
                   </div>
                 )}
               </TabsContent>
+
+              <TabsContent value="movements" className="space-y-5">
+                {movementsError ? (
+                  <StatusMessage kind="error" message={movementsError} />
+                ) : isLoadingMovements ? (
+                  <StatusMessage message="Loading stock movements..." />
+                ) : (
+                  <>
+                    {reconciliation ? (
+                      <StatusMessage
+                        kind={reconciliation.balanced ? 'success' : 'error'}
+                        message={
+                          reconciliation.balanced
+                            ? `Ledger matches batch stock (${formatQuantityLabel(reconciliation.batchQuantity, item?.unit)}).`
+                            : `Ledger shows ${formatQuantityLabel(reconciliation.ledgerQuantity, item?.unit)} but batches hold ${formatQuantityLabel(reconciliation.batchQuantity, item?.unit)}.`
+                        }
+                      />
+                    ) : null}
+                    {movements.length === 0 ? (
+                      <StatusMessage message="No stock movements have been recorded for this item yet." />
+                    ) : (
+                      <Table>
+                        <TableHeader>
+                          <TableRow>
+                            <TableHead>Date</TableHead>
+                            <TableHead>Type</TableHead>
+                            <TableHead className="text-right">
+                              Quantity
+                            </TableHead>
+                            <TableHead>Source</TableHead>
+                            <TableHead>Reason</TableHead>
+                          </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                          {movements.map((movement) => (
+                            <TableRow key={movement.id}>
+                              <TableCell className="typography-body-sm text-[#40493d]">
+                                {formatDate(movement.createdAt)}
+                              </TableCell>
+                              <TableCell className="typography-body text-[#181c1b]">
+                                {MOVEMENT_TYPE_LABELS[movement.type] ||
+                                  movement.type}
+                              </TableCell>
+                              <TableCell
+                                className={cn(
+                                  'typography-body text-right',
+                                  movement.quantity < 0
+                                    ? 'text-[#ba1a1a]'
+                                    : 'text-[#005412]',
+                                )}
+                              >
+                                {movement.quantity > 0 ? '+' : ''}
+                                {formatQuantityLabel(
+                                  movement.quantity,
+                                  item?.unit,
+                                )}
+                              </TableCell>
+                              <TableCell className="typography-body-sm text-[#40493d]">
+                                {MOVEMENT_SOURCE_LABELS[movement.source] ||
+                                  movement.source}
+                              </TableCell>
+                              <TableCell className="typography-body-sm text-[#40493d]">
+                                {movement.reason || '—'}
+                              </TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    )}
+                  </>
+                )}
+              </TabsContent>
+
+              <TabsContent value="activity" className="space-y-5">
+                {activityError ? (
+                  <StatusMessage kind="error" message={activityError} />
+                ) : isLoadingActivity ? (
+                  <StatusMessage message="Loading activity..." />
+                ) : (
+                  <ActivityTimeline
+                    entries={activity}
+                    emptyMessage="No changes have been recorded for this item yet."
+                  />
+                )}
+              </TabsContent>
             </Tabs>
           </CardContent>
         </Card>
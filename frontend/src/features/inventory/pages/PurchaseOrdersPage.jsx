@@ -0,0 +1,1044 @@
+import { useAuth } from '@clerk/clerk-react';
+import { useEffect, useMemo, useState } from 'react';
+
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent } from '@/components/ui/card';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Input } from '@/components/ui/input';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetFooter,
+  SheetHeader,
+  SheetTitle,
+} from '@/components/ui/sheet';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import StatusMessage from '@/components/common/StatusMessage';
+import { describeApiFetchFailure } from '@/lib/describe-api-fetch-failure';
+import { resolveApiBaseUrl } from '@/lib/resolve-api-base';
+import { cn } from '@/lib/utils';
+import { Plus, Trash2 } from 'lucide-react';
+
+import InventoryLayout from '../layouts/InventoryLayout';
+import {
+  createPurchaseOrder,
+  createReorderPurchaseOrders,
+  createSupplier,
+  fetchInventoryItems,
+  fetchPurchaseOrders,
+  fetchReorderSuggestions,
+  fetchSuppliers,
+  updatePurchaseOrderStatus,
+} from '../api';
+import {
+  formatCurrency,
+  formatDate,
+  formatQuantityLabel,
+  getItemId,
+  toOptionalNumber,
+} from '../lib';
+
+const ALL_STATUSES = 'ALL';
+
+const PURCHASE_ORDER_STATUS_LABELS = {
+  DRAFT: 'Draft',
+  SENT: 'Sent',
+  PARTIALLY_RECEIVED: 'Partially received',
+  RECEIVED: 'Received',
+  CANCELLED: 'Cancelled',
+};
+
+const PURCHASE_ORDER_STATUS_TONES = {
+  DRAFT: 'bg-[#f3f4f0] text-[#4e544c]',
+  SENT: 'bg-[#e8f0fb] text-[#1d4f91]',
+  PARTIALLY_RECEIVED: 'bg-[#fff4e0] text-[#8a5300]',
+  RECEIVED: 'bg-[#e7f3e8] text-[#005412]',
+  CANCELLED: 'bg-[#fdecec] text-[#b42318]',
+};
+
+const DISCREPANCY_LABELS = {
+  SHORT: 'Short',
+  OVER: 'Over',
+};
+
+const emptyOrderLine = () => ({ itemId: '', quantity: '', unitPrice: '' });
+
+const initialOrderFormState = {
+  supplierId: '',
+  newSupplierName: '',
+  expectedDeliveryDate: '',
+  notes: '',
+  lines: [emptyOrderLine()],
+};
+
+function FormField({ label, required, children, className }) {
+  return (
+    <label className={cn('flex flex-col gap-2', className)}>
+      <span className="typography-body-sm text-[#202421]">
+        {label}
+        {required ? <span className="ml-1 text-[#ba1a1a]">*</span> : null}
+      </span>
+      {children}
+    </label>
+  );
+}
+
+function PurchaseOrderStatusBadge({ status }) {
+  return (
+    <Badge
+      className={cn(
+        'typography-body-sm rounded-full px-2.5 py-1 tracking-widest uppercase',
+        PURCHASE_ORDER_STATUS_TONES[status] || 'bg-[#f3f4f0] text-[#4e544c]',
+      )}
+    >
+      {PURCHASE_ORDER_STATUS_LABELS[status] || status}
+    </Badge>
+  );
+}
+
+function PurchaseOrdersPage() {
+  const { isSignedIn, getToken } = useAuth();
+  const apiBaseUrl = resolveApiBaseUrl();
+  const authToken = isSignedIn ? getToken : undefined;
+
+  const [orders, setOrders] = useState([]);
+  const [statusFilter, setStatusFilter] = useState(ALL_STATUSES);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [actionError, setActionError] = useState('');
+  const [actionSuccess, setActionSuccess] = useState('');
+  const [selectedOrderId, setSelectedOrderId] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const [suppliers, setSuppliers] = useState([]);
+  const [items, setItems] = useState([]);
+  const [isOrderSheetOpen, setIsOrderSheetOpen] = useState(false);
+  const [orderForm, setOrderForm] = useState(initialOrderFormState);
+  const [orderFormError, setOrderFormError] = useState('');
+
+  const [isReceiveSheetOpen, setIsReceiveSheetOpen] = useState(false);
+  const [receiveLines, setReceiveLines] = useState({});
+  const [receiveNote, setReceiveNote] = useState('');
+  const [closeOrder, setCloseOrder] = useState(false);
+  const [receiveError, setReceiveError] = useState('');
+
+  const [reorderSuggestions, setReorderSuggestions] = useState(null);
+  const [reorderError, setReorderError] = useState('');
+
+  const selectedOrder = useMemo(
+    () => orders.find((order) => order._id === selectedOrderId) || null,
+    [orders, selectedOrderId],
+  );
+
+  const loadOrders = async () => {
+    if (!apiBaseUrl) {
+      setLoadError('Could not resolve API base URL.');
+      setIsLoading(false);
+      return;
+    }
+
+    setIsLoading(true);
+    setLoadError('');
+
+    try {
+      setOrders(
+        await fetchPurchaseOrders({
+          apiUrl: apiBaseUrl,
+          getToken: authToken,
+          status: statusFilter === ALL_STATUSES ? undefined : statusFilter,
+        }),
+      );
+    } catch (error) {
+      setOrders([]);
+      setLoadError(
+        describeApiFetchFailure(error, 'Could not load purchase orders.'),
+      );
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadOrders();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [apiBaseUrl, statusFilter]);
+
+  const loadReorderSuggestions = async () => {
+    if (!apiBaseUrl) {
+      return;
+    }
+
+    setReorderError('');
+
+    try {
+      setReorderSuggestions(
+        await fetchReorderSuggestions({
+          apiUrl: apiBaseUrl,
+          getToken: authToken,
+        }),
+      );
+    } catch (error) {
+      setReorderSuggestions(null);
+      setReorderError(
+        describeApiFetchFailure(error, 'Could not load reorder suggestions.'),
+      );
+    }
+  };
+
+  useEffect(() => {
+    loadReorderSuggestions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [apiBaseUrl]);
+
+  const handleCreateReorderOrders = async () => {
+    setIsWorking(true);
+    setActionError('');
+    setActionSuccess('');
+
+    try {
+      const { orders: createdOrders, skipped } =
+        await createReorderPurchaseOrders({
+          apiUrl: apiBaseUrl,
+          getToken: authToken,
+          payload: { horizonDays: reorderSuggestions?.horizonDays },
+        });
+
+      const skippedNote = skipped.length
+        ? ` ${skipped.length} item(s) have no supplier and were skipped.`
+        : '';
+      setActionSuccess(
+        `Created ${createdOrders.length} draft purchase order(s).${skippedNote}`,
+      );
+      setSelectedOrderId(createdOrders[0]?._id ?? null);
+      await Promise.all([loadOrders(), loadReorderSuggestions()]);
+    } catch (error) {
+      setActionError(
+        describeApiFetchFailure(
+          error,
+          'Could not create purchase orders from the suggestions.',
+        ),
+      );
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const replaceOrder = (updatedOrder) => {
+    if (!updatedOrder) {
+      return;
+    }
+
+    setOrders((current) =>
+      current.map((order) =>
+        order._id === updatedOrder._id ? updatedOrder : order,
+      ),
+    );
+  };
+
+  const runOrderAction = async (action, payload, successMessage) => {
+    setIsWorking(true);
+    setActionError('');
+    setActionSuccess('');
+
+    try {
+      const updatedOrder = await updatePurchaseOrderStatus({
+        apiUrl: apiBaseUrl,
+        getToken: authToken,
+        orderId: selectedOrder._id,
+        action,
+        payload,
+      });
+
+      replaceOrder(updatedOrder);
+      setActionSuccess(successMessage);
+      return true;
+    } catch (error) {
+      setActionError(
+        describeApiFetchFailure(error, 'Could not update the purchase order.'),
+      );
+      return false;
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const openOrderSheet = async () => {
+    setOrderForm(initialOrderFormState);
+    setOrderFormError('');
+    setIsOrderSheetOpen(true);
+
+    try {
+      const [loadedSuppliers, loadedItems] = await Promise.all([
+        fetchSuppliers({
+          apiUrl: apiBaseUrl,
+          getToken: authToken,
+          activeOnly: true,
+        }),
+        fetchInventoryItems({ apiUrl: apiBaseUrl, getToken: authToken }),
+      ]);
+
+      setSuppliers(loadedSuppliers);
+      setItems(loadedItems);
+    } catch (error) {
+      setOrderFormError(
+        describeApiFetchFailure(error, 'Could not load suppliers and items.'),
+      );
+    }
+  };
+
+  const updateOrderLine = (index, field, value) => {
+    setOrderForm((current) => ({
+      ...current,
+      lines: current.lines.map((line, lineIndex) =>
+        lineIndex === index ? { ...line, [field]: value } : line,
+      ),
+    }));
+  };
+
+  const handleOrderSubmit = async (event) => {
+    event.preventDefault();
+    setOrderFormError('');
+
+    const lines = orderForm.lines
+      .filter((line) => line.itemId)
+      .map((line) => ({
+        itemId: line.itemId,
+        quantity: toOptionalNumber(line.quantity),
+        unitPrice: toOptionalNumber(line.unitPrice),
+      }));
+
+    if (!orderForm.supplierId && !orderForm.newSupplierName.trim()) {
+      setOrderFormError('Choose a supplier or enter a new supplier name.');
+      return;
+    }
+
+    if (lines.length === 0 || lines.some((line) => !(line.quantity > 0))) {
+      setOrderFormError('Add at least one item with a quantity above zero.');
+      return;
+    }
+
+    setIsWorking(true);
+
+    try {
+      let supplierId = orderForm.supplierId;
+
+      if (!supplierId) {
+        const supplier = await createSupplier({
+          apiUrl: apiBaseUrl,
+          getToken: authToken,
+          payload: { name: orderForm.newSupplierName.trim() },
+        });
+        supplierId = supplier?._id;
+      }
+
+      const order = await createPurchaseOrder({
+        apiUrl: apiBaseUrl,
+        getToken: authToken,
+        payload: {
+          supplierId,
+          lines,
+          expectedDeliveryDate: orderForm.expectedDeliveryDate || undefined,
+          notes: orderForm.notes || undefined,
+        },
+      });
+
+      setIsOrderSheetOpen(false);
+      setActionSuccess(`Purchase order ${order?.orderNumber} created.`);
+      setSelectedOrderId(order?._id ?? null);
+      await loadOrders();
+    } catch (error) {
+      setOrderFormError(
+        describeApiFetchFailure(error, 'Could not create the purchase order.'),
+      );
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const openReceiveSheet = () => {
+    setReceiveLines(
+      Object.fromEntries(
+        selectedOrder.lines.map((line) => [
+          line._id,
+          {
+            quantity: line.outstandingQuantity
+              ? String(line.outstandingQuantity)
+              : '',
+            expiryDate: '',
+            location: '',
+          },
+        ]),
+      ),
+    );
+    setReceiveNote('');
+    setCloseOrder(false);
+    setReceiveError('');
+    setIsReceiveSheetOpen(true);
+  };
+
+  const updateReceiveLine = (lineId, field, value) => {
+    setReceiveLines((current) => ({
+      ...current,
+      [lineId]: { ...current[lineId], [field]: value },
+    }));
+  };
+
+  const handleReceiveSubmit = async (event) => {
+    event.preventDefault();
+    setReceiveError('');
+
+    const lines = Object.entries(receiveLines)
+      .map(([lineId, line]) => ({
+        lineId,
+        quantity: toOptionalNumber(line.quantity),
+        expiryDate: line.expiryDate || undefined,
+        location: line.location || undefined,
+      }))
+      .filter((line) => line.quantity > 0);
+
+    if (lines.length === 0 && !closeOrder) {
+      setReceiveError(
+        'Enter a delivered quantity, or close the order to mark it short.',
+      );
+      return;
+    }
+
+    const received = await runOrderAction(
+      'receive',
+      { lines, note: receiveNote || undefined, final: closeOrder },
+      'Delivery received and added to stock.',
+    );
+
+    if (received) {
+      setIsReceiveSheetOpen(false);
+    }
+  };
+
+  const canReceive =
+    selectedOrder?.status === 'SENT' ||
+    selectedOrder?.status === 'PARTIALLY_RECEIVED';
+  const canCancel =
+    selectedOrder?.status === 'DRAFT' ||
+    selectedOrder?.status === 'SENT' ||
+    selectedOrder?.status === 'PARTIALLY_RECEIVED';
+
+  return (
+    <InventoryLayout
+      activeItemKey="purchase-orders"
+      title="Purchase Orders"
+      subtitle="Order stock from suppliers and receive deliveries into inventory"
+    >
+      <div className="space-y-6">
+        {actionError ? (
+          <StatusMessage kind="error" message={actionError} />
+        ) : null}
+        {actionSuccess ? (
+          <StatusMessage kind="success" message={actionSuccess} />
+        ) : null}
+
+        <Card className="rounded-[28px] border border-[#e6e9e5] bg-white shadow-[0px_12px_28px_rgba(47,51,49,0.05)]">
+          <CardContent className="space-y-4 p-6">
+            <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+              <Select value={statusFilter} onValueChange={setStatusFilter}>
+                <SelectTrigger className="w-full md:w-60">
+                  <SelectValue placeholder="All statuses" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL_STATUSES}>All statuses</SelectItem>
+                  {Object.entries(PURCHASE_ORDER_STATUS_LABELS).map(
+                    ([value, label]) => (
+                      <SelectItem key={value} value={value}>
+                        {label}
+                      </SelectItem>
+                    ),
+                  )}
+                </SelectContent>
+              </Select>
+              <Button
+                type="button"
+                className="typography-body-sm rounded-full bg-[#005412] px-5 text-white hover:bg-[#00460f]"
+                onClick={openOrderSheet}
+              >
+                <Plus className="h-4 w-4" />
+                New purchase order
+              </Button>
+            </div>
+
+            {loadError ? (
+              <StatusMessage kind="error" message={loadError} />
+            ) : isLoading ? (
+              <StatusMessage message="Loading purchase orders..." />
+            ) : orders.length === 0 ? (
+              <StatusMessage message="No purchase orders yet." />
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Order</TableHead>
+                    <TableHead>Supplier</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead>Expected</TableHead>
+                    <TableHead className="text-right">Total</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {orders.map((order) => (
+                    <TableRow
+                      key={order._id}
+                      className={cn(
+                        'cursor-pointer',
+                        order._id === selectedOrderId ? 'bg-[#f3f4f0]' : '',
+                      )}
+                      onClick={() => setSelectedOrderId(order._id)}
+                    >
+                      <TableCell className="typography-body text-[#181c1b]">
+                        {order.orderNumber}
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-[#40493d]">
+                        {order.supplierName}
+                      </TableCell>
+                      <TableCell>
+                        <PurchaseOrderStatusBadge status={order.status} />
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-[#40493d]">
+                        {formatDate(order.expectedDeliveryDate)}
+                      </TableCell>
+                      <TableCell className="typography-body text-right text-[#181c1b]">
+                        {formatCurrency(order.orderTotal)}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card className="rounded-[28px] border border-[#e6e9e5] bg-white shadow-[0px_12px_28px_rgba(47,51,49,0.05)]">
+          <CardContent className="space-y-4 p-6">
+            <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+              <div className="space-y-1">
+                <h2 className="typography-h1 text-[#181c1b]">
+                  Reorder suggestions
+                </h2>
+                <p className="typography-body-sm text-[#5f665f]">
+                  Planned meals and recent consumption for the next{' '}
+                  {reorderSuggestions?.horizonDays ?? 14} days, after stock that
+                  expires first and open orders.
+                </p>
+              </div>
+              <Button
+                type="button"
+                className="typography-body-sm rounded-full bg-[#005412] px-5 text-white hover:bg-[#00460f]"
+                disabled={isWorking || !reorderSuggestions?.items?.length}
+                onClick={handleCreateReorderOrders}
+              >
+                Create draft orders
+              </Button>
+            </div>
+
+            {reorderError ? (
+              <StatusMessage kind="error" message={reorderError} />
+            ) : !reorderSuggestions ? (
+              <StatusMessage message="Loading reorder suggestions..." />
+            ) : reorderSuggestions.items.length === 0 ? (
+              <StatusMessage message="Nothing needs ordering right now." />
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Item</TableHead>
+                    <TableHead className="text-right">Demand</TableHead>
+                    <TableHead className="text-right">Usable stock</TableHead>
+                    <TableHead className="text-right">Expiring</TableHead>
+                    <TableHead className="text-right">On order</TableHead>
+                    <TableHead className="text-right">Suggested</TableHead>
+                    <TableHead>Supplier</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {reorderSuggestions.items.map((suggestion) => (
+                    <TableRow key={suggestion.itemId}>
+                      <TableCell className="typography-body text-[#181c1b]">
+                        {suggestion.itemName}
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-right text-[#40493d]">
+                        {formatQuantityLabel(
+                          suggestion.projectedDemand,
+                          suggestion.unit,
+                        )}
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-right text-[#40493d]">
+                        {formatQuantityLabel(
+                          suggestion.usableStock,
+                          suggestion.unit,
+                        )}
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-right text-[#40493d]">
+                        {formatQuantityLabel(
+                          suggestion.expiringBeforeUse,
+                          suggestion.unit,
+                        )}
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-right text-[#40493d]">
+                        {formatQuantityLabel(
+                          suggestion.onOrderQuantity,
+                          suggestion.unit,
+                        )}
+                      </TableCell>
+                      <TableCell className="typography-body text-right text-[#181c1b]">
+                        {formatQuantityLabel(
+                          suggestion.suggestedQuantity,
+                          suggestion.unit,
+                        )}
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-[#40493d]">
+                        {suggestion.supplier?.supplierName || 'No supplier'}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+
+        {selectedOrder ? (
+          <Card className="rounded-[28px] border border-[#e6e9e5] bg-white shadow-[0px_12px_28px_rgba(47,51,49,0.05)]">
+            <CardContent className="space-y-5 p-6">
+              <div className="flex flex-col gap-3 lg:flex-row lg:items-start lg:justify-between">
+                <div className="space-y-1">
+                  <p className="typography-body-sm tracking-[0.2em] text-[#005412] uppercase">
+                    {selectedOrder.supplierName}
+                  </p>
+                  <h2 className="typography-h1 text-[#181c1b]">
+                    {selectedOrder.orderNumber}
+                  </h2>
+                  {selectedOrder.notes ? (
+                    <p className="typography-body text-[#5f665f]">
+                      {selectedOrder.notes}
+                    </p>
+                  ) : null}
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  {selectedOrder.status === 'DRAFT' ? (
+                    <Button
+                      type="button"
+                      className="typography-body-sm rounded-full bg-[#005412] px-5 text-white hover:bg-[#00460f]"
+                      disabled={isWorking}
+                      onClick={() =>
+                        runOrderAction(
+                          'send',
+                          undefined,
+                          'Purchase order marked as sent.',
+                        )
+                      }
+                    >
+                      Mark as sent
+                    </Button>
+                  ) : null}
+                  {canReceive ? (
+                    <Button
+                      type="button"
+                      className="typography-body-sm rounded-full bg-[#005412] px-5 text-white hover:bg-[#00460f]"
+                      disabled={isWorking}
+                      onClick={openReceiveSheet}
+                    >
+                      Receive delivery
+                    </Button>
+                  ) : null}
+                  {canCancel ? (
+                    <Button
+                      type="button"
+                      variant="outline"
+                      className="typography-body-sm rounded-full"
+                      disabled={isWorking}
+                      onClick={() =>
+                        runOrderAction(
+                          'cancel',
+                          undefined,
+                          'Purchase order cancelled.',
+                        )
+                      }
+                    >
+                      Cancel order
+                    </Button>
+                  ) : null}
+                </div>
+              </div>
+
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Item</TableHead>
+                    <TableHead className="text-right">Ordered</TableHead>
+                    <TableHead className="text-right">Received</TableHead>
+                    <TableHead className="text-right">Outstanding</TableHead>
+                    <TableHead className="text-right">Unit price</TableHead>
+                    <TableHead>Discrepancy</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {selectedOrder.lines.map((line) => (
+                    <TableRow key={line._id}>
+                      <TableCell className="typography-body text-[#181c1b]">
+                        {line.itemName}
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-right text-[#40493d]">
+                        {formatQuantityLabel(line.quantity, line.unit)}
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-right text-[#40493d]">
+                        {formatQuantityLabel(line.receivedQuantity, line.unit)}
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-right text-[#40493d]">
+                        {formatQuantityLabel(
+                          line.outstandingQuantity,
+                          line.unit,
+                        )}
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-right text-[#40493d]">
+                        {formatCurrency(line.unitPrice)}
+                      </TableCell>
+                      <TableCell
+                        className={cn(
+                          'typography-body-sm',
+                          line.discrepancy
+                            ? 'text-[#b42318]'
+                            : 'text-[#40493d]',
+                        )}
+                      >
+                        {line.discrepancy
+                          ? `${DISCREPANCY_LABELS[line.discrepancy]} by ${formatQuantityLabel(Math.abs(line.varianceQuantity), line.unit)}`
+                          : '—'}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+
+              {selectedOrder.receipts?.length ? (
+                <div className="space-y-2">
+                  <h3 className="typography-h2 text-[#181c1b]">Deliveries</h3>
+                  {selectedOrder.receipts.map((receipt) => (
+                    <p
+                      key={receipt._id}
+                      className="typography-body-sm text-[#40493d]"
+                    >
+                      {formatDate(receipt.receivedAt)} · {receipt.lines.length}{' '}
+                      {receipt.lines.length === 1 ? 'line' : 'lines'}
+                      {receipt.note ? ` · ${receipt.note}` : ''}
+                    </p>
+                  ))}
+                </div>
+              ) : null}
+            </CardContent>
+          </Card>
+        ) : null}
+      </div>
+
+      <Sheet open={isOrderSheetOpen} onOpenChange={setIsOrderSheetOpen}>
+        <SheetContent side="right" className="overflow-y-auto sm:max-w-2xl">
+          <SheetHeader>
+            <SheetTitle className="typography-h2">
+              New purchase order
+            </SheetTitle>
+            <SheetDescription className="typography-body">
+              The order is saved as a draft. Mark it as sent once it has gone to
+              the supplier.
+            </SheetDescription>
+          </SheetHeader>
+
+          <form
+            onSubmit={handleOrderSubmit}
+            className="flex flex-1 flex-col gap-5 px-6 pb-6"
+          >
+            <div className="grid gap-4 md:grid-cols-2">
+              <FormField label="Supplier" required>
+                <Select
+                  value={orderForm.supplierId}
+                  onValueChange={(value) =>
+                    setOrderForm((current) => ({
+                      ...current,
+                      supplierId: value,
+                    }))
+                  }
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Choose a supplier" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {suppliers.map((supplier) => (
+                      <SelectItem key={supplier._id} value={supplier._id}>
+                        {supplier.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </FormField>
+              <FormField label="Or add a new supplier">
+                <Input
+                  value={orderForm.newSupplierName}
+                  disabled={Boolean(orderForm.supplierId)}
+                  onChange={(event) =>
+                    setOrderForm((current) => ({
+                      ...current,
+                      newSupplierName: event.target.value,
+                    }))
+                  }
+                  placeholder="Supplier name"
+                />
+              </FormField>
+            </div>
+
+            <div className="grid gap-4 md:grid-cols-2">
+              <FormField label="Expected delivery">
+                <Input
+                  type="date"
+                  value={orderForm.expectedDeliveryDate}
+                  onChange={(event) =>
+                    setOrderForm((current) => ({
+                      ...current,
+                      expectedDeliveryDate: event.target.value,
+                    }))
+                  }
+                />
+              </FormField>
+              <FormField label="Notes">
+                <Input
+                  value={orderForm.notes}
+                  onChange={(event) =>
+                    setOrderForm((current) => ({
+                      ...current,
+                      notes: event.target.value,
+                    }))
+                  }
+                  placeholder="Optional"
+                />
+              </FormField>
+            </div>
+
+            <div className="space-y-3">
+              <p className="typography-body-sm text-[#202421]">Items</p>
+              {orderForm.lines.map((line, index) => (
+                <div
+                  key={index}
+                  className="grid grid-cols-[1fr_7rem_7rem_auto] items-center gap-2"
+                >
+                  <Select
+                    value={line.itemId}
+                    onValueChange={(value) =>
+                      updateOrderLine(index, 'itemId', value)
+                    }
+                  >
+                    <SelectTrigger>
+                      <SelectValue placeholder="Choose an item" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {items.map((item) => (
+                        <SelectItem
+                          key={getItemId(item)}
+                          value={getItemId(item)}
+                        >
+                          {item.name}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={line.quantity}
+                    onChange={(event) =>
+                      updateOrderLine(index, 'quantity', event.target.value)
+                    }
+                    placeholder="Qty"
+                  />
+                  <Input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={line.unitPrice}
+                    onChange={(event) =>
+                      updateOrderLine(index, 'unitPrice', event.target.value)
+                    }
+                    placeholder="Unit price"
+                  />
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="icon"
+                    aria-label="Remove line"
+                    disabled={orderForm.lines.length === 1}
+                    onClick={() =>
+                      setOrderForm((current) => ({
+                        ...current,
+                        lines: current.lines.filter(
+                          (_, lineIndex) => lineIndex !== index,
+                        ),
+                      }))
+                    }
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              ))}
+              <Button
+                type="button"
+                variant="outline"
+                className="typography-body-sm rounded-full"
+                onClick={() =>
+                  setOrderForm((current) => ({
+                    ...current,
+                    lines: [...current.lines, emptyOrderLine()],
+                  }))
+                }
+              >
+                <Plus className="h-4 w-4" />
+                Add item
+              </Button>
+            </div>
+
+            {orderFormError ? (
+              <StatusMessage kind="error" message={orderFormError} />
+            ) : null}
+
+            <SheetFooter className="px-0 pb-0">
+              <Button
+                type="submit"
+                className="typography-body-sm h-11 rounded-full bg-[#005412] text-white hover:bg-[#00460f]"
+                disabled={isWorking}
+              >
+                {isWorking ? 'Saving...' : 'Save draft'}
+              </Button>
+            </SheetFooter>
+          </form>
+        </SheetContent>
+      </Sheet>
+
+      <Sheet open={isReceiveSheetOpen} onOpenChange={setIsReceiveSheetOpen}>
+        <SheetContent side="right" className="overflow-y-auto sm:max-w-2xl">
+          <SheetHeader>
+            <SheetTitle className="typography-h2">Receive delivery</SheetTitle>
+            <SheetDescription className="typography-body">
+              Each delivered line is added to its item as a new batch from{' '}
+              {selectedOrder?.supplierName}.
+            </SheetDescription>
+          </SheetHeader>
+
+          <form
+            onSubmit={handleReceiveSubmit}
+            className="flex flex-1 flex-col gap-5 px-6 pb-6"
+          >
+            {selectedOrder?.lines.map((line) => (
+              <div
+                key={line._id}
+                className="space-y-2 rounded-[16px] border border-[#eff1ed] p-4"
+              >
+                <p className="typography-body text-[#181c1b]">
+                  {line.itemName}{' '}
+                  <span className="typography-body-sm text-[#5f665f]">
+                    ({formatQuantityLabel(line.outstandingQuantity, line.unit)}{' '}
+                    outstanding)
+                  </span>
+                </p>
+                <div className="grid gap-2 md:grid-cols-3">
+                  <FormField label="Delivered">
+                    <Input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={receiveLines[line._id]?.quantity ?? ''}
+                      onChange={(event) =>
+                        updateReceiveLine(
+                          line._id,
+                          'quantity',
+                          event.target.value,
+                        )
+                      }
+                    />
+                  </FormField>
+                  <FormField label="Expiry date">
+                    <Input
+                      type="date"
+                      value={receiveLines[line._id]?.expiryDate ?? ''}
+                      onChange={(event) =>
+                        updateReceiveLine(
+                          line._id,
+                          'expiryDate',
+                          event.target.value,
+                        )
+                      }
+                    />
+                  </FormField>
+                  <FormField label="Location">
+                    <Input
+                      value={receiveLines[line._id]?.location ?? ''}
+                      onChange={(event) =>
+                        updateReceiveLine(
+                          line._id,
+                          'location',
+                          event.target.value,
+                        )
+                      }
+                      placeholder="Storage area"
+                    />
+                  </FormField>
+                </div>
+              </div>
+            ))}
+
+            <FormField label="Delivery note">
+              <Input
+                value={receiveNote}
+                onChange={(event) => setReceiveNote(event.target.value)}
+                placeholder="Optional"
+              />
+            </FormField>
+
+            <label className="typography-body-sm flex items-center gap-2 text-[#202421]">
+              <Checkbox
+                checked={closeOrder}
+                onCheckedChange={(checked) => setCloseOrder(checked === true)}
+              />
+              Close the order; nothing more will arrive (remaining lines are
+              marked short)
+            </label>
+
+            {receiveError ? (
+              <StatusMessage kind="error" message={receiveError} />
+            ) : null}
+
+            <SheetFooter className="px-0 pb-0">
+              <Button
+                type="submit"
+                className="typography-body-sm h-11 rounded-full bg-[#005412] text-white hover:bg-[#00460f]"
+                disabled={isWorking}
+              >
+                {isWorking ? 'Receiving...' : 'Receive into stock'}
+              </Button>
+            </SheetFooter>
+          </form>
+        </SheetContent>
+      </Sheet>
+    </InventoryLayout>
+  );
+}
+
+export default PurchaseOrdersPage;
@@ -0,0 +1,928 @@
+import { useAuth } from '@clerk/clerk-react';
+import { BrowserMultiFormatReader } from '@zxing/browser';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent } from '@/components/ui/card';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Input } from '@/components/ui/input';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import StatusMessage from '@/components/common/StatusMessage';
+import { describeApiFetchFailure } from '@/lib/describe-api-fetch-failure';
+import { resolveApiBaseUrl } from '@/lib/resolve-api-base';
+import { cn } from '@/lib/utils';
+import { Camera, CameraOff, FileDown, Plus, ScanBarcode } from 'lucide-react';
+
+import InventoryLayout from '../layouts/InventoryLayout';
+import {
+  createStockTake,
+  downloadStockTakeSheet,
+  fetchStockTake,
+  fetchStockTakes,
+  fetchStorageLocations,
+  recordStockTakeCounts,
+  updateStockTakeStatus,
+} from '../api';
+import {
+  CATEGORY_OPTIONS,
+  formatCurrency,
+  formatDate,
+  formatQuantityLabel,
+  getCategoryLabel,
+  toOptionalNumber,
+} from '../lib';
+
+const ALL = 'ALL';
+
+const STOCK_TAKE_STATUS_LABELS = {
+  IN_PROGRESS: 'In progress',
+  SUBMITTED: 'Submitted',
+  POSTED: 'Posted',
+  CANCELLED: 'Cancelled',
+};
+
+const STOCK_TAKE_STATUS_TONES = {
+  IN_PROGRESS: 'bg-[#fff4e0] text-[#8a5300]',
+  SUBMITTED: 'bg-[#e8f0fe] text-[#1a4fa0]',
+  POSTED: 'bg-[#e7f3e8] text-[#005412]',
+  CANCELLED: 'bg-[#fdecec] text-[#b42318]',
+};
+
+const initialCreateFormState = { locationId: ALL, category: ALL, notes: '' };
+
+function StockTakeStatusBadge({ status }) {
+  return (
+    <Badge
+      className={cn(
+        'typography-body-sm rounded-full px-2.5 py-1 tracking-widest uppercase',
+        STOCK_TAKE_STATUS_TONES[status] || 'bg-[#f3f4f0] text-[#4e544c]',
+      )}
+    >
+      {STOCK_TAKE_STATUS_LABELS[status] || status}
+    </Badge>
+  );
+}
+
+function formatScope(stockTake) {
+  return [
+    stockTake.locationName || 'All locations',
+    stockTake.category
+      ? getCategoryLabel(stockTake.category)
+      : 'All categories',
+  ].join(' · ');
+}
+
+function formatSignedQuantity(quantity, unit) {
+  const label = formatQuantityLabel(Math.abs(quantity), unit);
+  return quantity > 0 ? `+${label}` : quantity < 0 ? `-${label}` : label;
+}
+
+function varianceTone(value) {
+  if (value > 0) {
+    return 'text-[#005412]';
+  }
+  return value < 0 ? 'text-[#b42318]' : 'text-[#40493d]';
+}
+
+function toDraftCounts(stockTake) {
+  return Object.fromEntries(
+    (stockTake?.lines || []).map((line) => [
+      line._id,
+      line.countedQuantity === null || line.countedQuantity === undefined
+        ? ''
+        : String(line.countedQuantity),
+    ]),
+  );
+}
+
+function StockTakesPage() {
+  const { isSignedIn, getToken } = useAuth();
+  const apiBaseUrl = resolveApiBaseUrl();
+  const authToken = isSignedIn ? getToken : undefined;
+
+  const [stockTakes, setStockTakes] = useState([]);
+  const [statusFilter, setStatusFilter] = useState(ALL);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [actionError, setActionError] = useState('');
+  const [actionSuccess, setActionSuccess] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+
+  const [locations, setLocations] = useState([]);
+  const [createForm, setCreateForm] = useState(initialCreateFormState);
+
+  const [stockTake, setStockTake] = useState(null);
+  const [draftCounts, setDraftCounts] = useState({});
+  const [approvedLineIds, setApprovedLineIds] = useState([]);
+  const [barcodeQuery, setBarcodeQuery] = useState('');
+  const [highlightedBarcode, setHighlightedBarcode] = useState('');
+
+  const [isCameraActive, setIsCameraActive] = useState(false);
+  const [cameraError, setCameraError] = useState('');
+  const videoRef = useRef(null);
+  const scannerRef = useRef(null);
+  const scanControlsRef = useRef(null);
+  const countInputRefs = useRef({});
+
+  const lines = useMemo(() => stockTake?.lines || [], [stockTake]);
+  const isCounting = stockTake?.status === 'IN_PROGRESS';
+  const isReviewing = stockTake?.status === 'SUBMITTED';
+
+  const changedCounts = useMemo(
+    () =>
+      lines
+        .filter((line) => {
+          const saved =
+            line.countedQuantity === null || line.countedQuantity === undefined
+              ? ''
+              : String(line.countedQuantity);
+          return (draftCounts[line._id] ?? '') !== saved;
+        })
+        .map((line) => ({
+          lineId: line._id,
+          countedQuantity:
+            draftCounts[line._id] === ''
+              ? null
+              : toOptionalNumber(draftCounts[line._id]),
+        })),
+    [lines, draftCounts],
+  );
+
+  const loadStockTakes = async () => {
+    if (!apiBaseUrl) {
+      setLoadError('Could not resolve API base URL.');
+      setIsLoading(false);
+      return;
+    }
+
+    setIsLoading(true);
+    setLoadError('');
+
+    try {
+      setStockTakes(
+        await fetchStockTakes({
+          apiUrl: apiBaseUrl,
+          getToken: authToken,
+          status: statusFilter === ALL ? undefined : statusFilter,
+        }),
+      );
+    } catch (error) {
+      setStockTakes([]);
+      setLoadError(
+        describeApiFetchFailure(error, 'Could not load stock-takes.'),
+      );
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadStockTakes();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [apiBaseUrl, statusFilter]);
+
+  useEffect(() => {
+    if (!apiBaseUrl) {
+      return;
+    }
+
+    fetchStorageLocations({ apiUrl: apiBaseUrl, getToken: authToken })
+      .then(setLocations)
+      .catch((error) => {
+        setLocations([]);
+        setActionError(
+          describeApiFetchFailure(error, 'Could not load storage locations.'),
+        );
+      });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [apiBaseUrl]);
+
+  const showStockTake = (nextStockTake) => {
+    setStockTake(nextStockTake);
+    setDraftCounts(toDraftCounts(nextStockTake));
+    setApprovedLineIds(
+      (nextStockTake?.lines || [])
+        .filter((line) => line.varianceQuantity)
+        .map((line) => line._id),
+    );
+    setStockTakes((current) =>
+      current.map((entry) =>
+        entry._id === nextStockTake?._id ? nextStockTake : entry,
+      ),
+    );
+  };
+
+  const stopCameraScan = useCallback(() => {
+    if (scanControlsRef.current) {
+      scanControlsRef.current.stop();
+      scanControlsRef.current = null;
+    }
+    setIsCameraActive(false);
+  }, []);
+
+  useEffect(() => stopCameraScan, [stopCameraScan]);
+
+  const openStockTake = async (stockTakeId) => {
+    setActionError('');
+    setActionSuccess('');
+    setHighlightedBarcode('');
+    stopCameraScan();
+
+    try {
+      showStockTake(
+        await fetchStockTake({
+          apiUrl: apiBaseUrl,
+          getToken: authToken,
+          stockTakeId,
+        }),
+      );
+    } catch (error) {
+      setActionError(
+        describeApiFetchFailure(error, 'Could not load the stock-take.'),
+      );
+    }
+  };
+
+  const handleCreateSubmit = async (event) => {
+    event.preventDefault();
+    setActionError('');
+    setActionSuccess('');
+    setIsWorking(true);
+
+    try {
+      const created = await createStockTake({
+        apiUrl: apiBaseUrl,
+        getToken: authToken,
+        payload: {
+          locationId:
+            createForm.locationId === ALL ? undefined : createForm.locationId,
+          category:
+            createForm.category === ALL ? undefined : createForm.category,
+          notes: createForm.notes || undefined,
+        },
+      });
+
+      setCreateForm(initialCreateFormState);
+      setActionSuccess(
+        `Stock-take ${created?.stockTakeNumber} started with ${created?.lines?.length ?? 0} batches to count.`,
+      );
+      await loadStockTakes();
+      showStockTake(created);
+    } catch (error) {
+      setActionError(
+        describeApiFetchFailure(error, 'Could not start the stock-take.'),
+      );
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const saveCounts = async () => {
+    setActionError('');
+    setActionSuccess('');
+
+    if (
+      changedCounts.some(
+        (count) =>
+          count.countedQuantity !== null && !(count.countedQuantity >= 0),
+      )
+    ) {
+      setActionError('Counted quantities must be zero or more.');
+      return false;
+    }
+
+    if (changedCounts.length === 0) {
+      return true;
+    }
+
+    setIsWorking(true);
+
+    try {
+      showStockTake(
+        await recordStockTakeCounts({
+          apiUrl: apiBaseUrl,
+          getToken: authToken,
+          stockTakeId: stockTake._id,
+          counts: changedCounts,
+        }),
+      );
+      setActionSuccess(`${changedCounts.length} counts saved.`);
+      return true;
+    } catch (error) {
+      setActionError(describeApiFetchFailure(error, 'Could not save counts.'));
+      return false;
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const runStockTakeAction = async (action, payload, successMessage) => {
+    setIsWorking(true);
+    setActionError('');
+    setActionSuccess('');
+
+    try {
+      showStockTake(
+        await updateStockTakeStatus({
+          apiUrl: apiBaseUrl,
+          getToken: authToken,
+          stockTakeId: stockTake._id,
+          action,
+          payload,
+        }),
+      );
+      setActionSuccess(successMessage);
+    } catch (error) {
+      setActionError(
+        describeApiFetchFailure(error, `Could not ${action} the stock-take.`),
+      );
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleSubmitStockTake = async () => {
+    stopCameraScan();
+    if (await saveCounts()) {
+      await runStockTakeAction(
+        'submit',
+        {},
+        `Stock-take ${stockTake.stockTakeNumber} submitted for review.`,
+      );
+    }
+  };
+
+  const handleDownloadSheet = async () => {
+    setActionError('');
+
+    try {
+      await downloadStockTakeSheet({
+        apiUrl: apiBaseUrl,
+        getToken: authToken,
+        stockTakeId: stockTake._id,
+        stockTakeNumber: stockTake.stockTakeNumber,
+      });
+    } catch (error) {
+      setActionError(
+        describeApiFetchFailure(error, 'Could not download the count sheet.'),
+      );
+    }
+  };
+
+  /**
+   * Highlights the lines for a scanned or typed barcode and focuses the
+   * first one's count input.
+   */
+  const findBarcode = useCallback(
+    (value) => {
+      const barcode = String(value || '').trim();
+      setHighlightedBarcode(barcode);
+
+      if (!barcode) {
+        return;
+      }
+
+      const match = lines.find((line) => line.barcode === barcode);
+
+      if (!match) {
+        setCameraError(`No batch on this sheet has barcode ${barcode}.`);
+        return;
+      }
+
+      setCameraError('');
+      const input = countInputRefs.current[match._id];
+      input?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+      input?.focus();
+    },
+    [lines],
+  );
+
+  const startCameraScan = async () => {
+    if (!videoRef.current) {
+      return;
+    }
+
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setCameraError(
+        'Camera is not supported in this browser. Use Chrome/Edge on localhost or HTTPS.',
+      );
+      return;
+    }
+
+    try {
+      setCameraError('');
+      if (!scannerRef.current) {
+        scannerRef.current = new BrowserMultiFormatReader();
+      }
+
+      stopCameraScan();
+
+      /**
+       * The callback must stop the scanner synchronously on success;
+       * ZXing schedules the next scan tick before any awaited work runs.
+       */
+      const onDecode = (result, decodeError, controls) => {
+        if (decodeError || !result || typeof result.getText !== 'function') {
+          return;
+        }
+
+        try {
+          controls?.stop();
+        } catch {
+          /* ignore */
+        }
+        scanControlsRef.current = null;
+        setIsCameraActive(false);
+
+        const barcode = result.getText();
+        setBarcodeQuery(barcode);
+        findBarcode(barcode);
+      };
+
+      scanControlsRef.current = await scannerRef.current.decodeFromVideoDevice(
+        undefined,
+        videoRef.current,
+        onDecode,
+      );
+      setIsCameraActive(true);
+    } catch (scanError) {
+      if (scanError?.name === 'NotAllowedError') {
+        setCameraError(
+          'Camera permission denied. Allow camera access in browser settings and try again.',
+        );
+      } else if (scanError?.name === 'NotFoundError') {
+        setCameraError('No camera was found.');
+      } else {
+        setCameraError(scanError.message || 'Unable to start camera scanner.');
+      }
+      stopCameraScan();
+    }
+  };
+
+  const toggleApproved = (lineId, checked) => {
+    setApprovedLineIds((current) =>
+      checked
+        ? [...new Set([...current, lineId])]
+        : current.filter((id) => id !== lineId),
+    );
+  };
+
+  return (
+    <InventoryLayout
+      activeItemKey="stock-takes"
+      title="Stock-Takes"
+      subtitle="Count the shelves and reconcile stock with the system"
+    >
+      <div className="space-y-6">
+        {actionError ? (
+          <StatusMessage kind="error" message={actionError} />
+        ) : null}
+        {actionSuccess ? (
+          <StatusMessage kind="success" message={actionSuccess} />
+        ) : null}
+
+        <Card className="rounded-[28px] border border-[#e6e9e5] bg-white shadow-[0px_12px_28px_rgba(47,51,49,0.05)]">
+          <CardContent className="space-y-4 p-6">
+            <div className="space-y-1">
+              <h2 className="typography-h1 text-[#181c1b]">
+                Start a stock-take
+              </h2>
+              <p className="typography-body-sm text-[#5f665f]">
+                The count sheet lists every batch with stock at the location and
+                in the category you choose.
+              </p>
+            </div>
+
+            <form
+              onSubmit={handleCreateSubmit}
+              className="grid gap-2 md:grid-cols-[14rem_14rem_1fr_auto]"
+            >
+              <Select
+                value={createForm.locationId}
+                onValueChange={(value) =>
+                  setCreateForm((current) => ({
+                    ...current,
+                    locationId: value,
+                  }))
+                }
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL}>All locations</SelectItem>
+                  {locations.map((location) => (
+                    <SelectItem key={location._id} value={location._id}>
+                      {location.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Select
+                value={createForm.category}
+                onValueChange={(value) =>
+                  setCreateForm((current) => ({ ...current, category: value }))
+                }
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL}>All categories</SelectItem>
+                  {CATEGORY_OPTIONS.map((option) => (
+                    <SelectItem key={option.value} value={option.value}>
+                      {option.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Input
+                value={createForm.notes}
+                onChange={(event) =>
+                  setCreateForm((current) => ({
+                    ...current,
+                    notes: event.target.value,
+                  }))
+                }
+                placeholder="Notes (optional)"
+              />
+              <Button
+                type="submit"
+                className="typography-body-sm rounded-full bg-[#005412] px-5 text-white hover:bg-[#00460f]"
+                disabled={isWorking}
+              >
+                <Plus className="h-4 w-4" />
+                Start
+              </Button>
+            </form>
+          </CardContent>
+        </Card>
+
+        <Card className="rounded-[28px] border border-[#e6e9e5] bg-white shadow-[0px_12px_28px_rgba(47,51,49,0.05)]">
+          <CardContent className="space-y-4 p-6">
+            <Select value={statusFilter} onValueChange={setStatusFilter}>
+              <SelectTrigger className="w-full md:w-60">
+                <SelectValue placeholder="All statuses" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL}>All statuses</SelectItem>
+                {Object.entries(STOCK_TAKE_STATUS_LABELS).map(
+                  ([value, label]) => (
+                    <SelectItem key={value} value={value}>
+                      {label}
+                    </SelectItem>
+                  ),
+                )}
+              </SelectContent>
+            </Select>
+
+            {loadError ? (
+              <StatusMessage kind="error" message={loadError} />
+            ) : isLoading ? (
+              <StatusMessage message="Loading stock-takes..." />
+            ) : stockTakes.length === 0 ? (
+              <StatusMessage message="No stock-takes yet." />
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Stock-take</TableHead>
+                    <TableHead>Scope</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead className="text-right">Counted</TableHead>
+                    <TableHead className="text-right">Net variance</TableHead>
+                    <TableHead>Started</TableHead>
+                    <TableHead className="text-right">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {stockTakes.map((entry) => (
+                    <TableRow
+                      key={entry._id}
+                      className={cn(
+                        entry._id === stockTake?._id && 'bg-[#f3f8f3]',
+                      )}
+                    >
+                      <TableCell className="typography-body text-[#181c1b]">
+                        {entry.stockTakeNumber}
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-[#40493d]">
+                        {formatScope(entry)}
+                      </TableCell>
+                      <TableCell>
+                        <StockTakeStatusBadge status={entry.status} />
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-right text-[#40493d]">
+                        {entry.summary?.countedLines ?? 0} /{' '}
+                        {entry.summary?.totalLines ?? 0}
+                      </TableCell>
+                      <TableCell
+                        className={cn(
+                          'typography-body-sm text-right',
+                          varianceTone(entry.summary?.netVarianceValue),
+                        )}
+                      >
+                        {formatCurrency(entry.summary?.netVarianceValue ?? 0)}
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-[#40493d]">
+                        {formatDate(entry.createdAt)}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <Button
+                          type="button"
+                          variant="outline"
+                          className="typography-body-sm rounded-full"
+                          onClick={() => openStockTake(entry._id)}
+                        >
+                          Open
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+
+        {stockTake ? (
+          <Card className="rounded-[28px] border border-[#e6e9e5] bg-white shadow-[0px_12px_28px_rgba(47,51,49,0.05)]">
+            <CardContent className="space-y-4 p-6">
+              <div className="flex flex-col gap-3 md:flex-row md:items-start md:justify-between">
+                <div className="space-y-1">
+                  <div className="flex items-center gap-3">
+                    <h2 className="typography-h1 text-[#181c1b]">
+                      {stockTake.stockTakeNumber}
+                    </h2>
+                    <StockTakeStatusBadge status={stockTake.status} />
+                  </div>
+                  <p className="typography-body-sm text-[#5f665f]">
+                    {formatScope(stockTake)} · {stockTake.summary?.countedLines}{' '}
+                    of {stockTake.summary?.totalLines} batches counted · gains{' '}
+                    {formatCurrency(stockTake.summary?.gainValue ?? 0)}, losses{' '}
+                    {formatCurrency(stockTake.summary?.lossValue ?? 0)}
+                  </p>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  <Button
+                    type="button"
+                    variant="outline"
+                    className="typography-body-sm rounded-full"
+                    onClick={handleDownloadSheet}
+                  >
+                    <FileDown className="h-4 w-4" />
+                    Count sheet
+                  </Button>
+                  {isCounting ? (
+                    <>
+                      <Button
+                        type="button"
+                        variant="outline"
+                        className="typography-body-sm rounded-full"
+                        disabled={isWorking || changedCounts.length === 0}
+                        onClick={saveCounts}
+                      >
+                        Save counts
+                      </Button>
+                      <Button
+                        type="button"
+                        className="typography-body-sm rounded-full bg-[#005412] px-4 text-white hover:bg-[#00460f]"
+                        disabled={isWorking}
+                        onClick={handleSubmitStockTake}
+                      >
+                        Submit
+                      </Button>
+                    </>
+                  ) : null}
+                  {isReviewing ? (
+                    <Button
+                      type="button"
+                      className="typography-body-sm rounded-full bg-[#005412] px-4 text-white hover:bg-[#00460f]"
+                      disabled={isWorking}
+                      onClick={() =>
+                        runStockTakeAction(
+                          'post',
+                          { lineIds: approvedLineIds },
+                          `${approvedLineIds.length} variances posted to stock.`,
+                        )
+                      }
+                    >
+                      Post {approvedLineIds.length} variances
+                    </Button>
+                  ) : null}
+                  {isCounting || isReviewing ? (
+                    <Button
+                      type="button"
+                      variant="outline"
+                      className="typography-body-sm rounded-full"
+                      disabled={isWorking}
+                      onClick={() => {
+                        stopCameraScan();
+                        runStockTakeAction(
+                          'cancel',
+                          {},
+                          `Stock-take ${stockTake.stockTakeNumber} cancelled.`,
+                        );
+                      }}
+                    >
+                      Cancel
+                    </Button>
+                  ) : null}
+                </div>
+              </div>
+
+              {isCounting ? (
+                <div className="space-y-3">
+                  <form
+                    className="flex flex-col gap-2 md:flex-row"
+                    onSubmit={(event) => {
+                      event.preventDefault();
+                      findBarcode(barcodeQuery);
+                    }}
+                  >
+                    <Input
+                      value={barcodeQuery}
+                      onChange={(event) => setBarcodeQuery(event.target.value)}
+                      placeholder="Scan or type a barcode"
+                      className="md:w-72"
+                    />
+                    <Button
+                      type="submit"
+                      variant="outline"
+                      className="typography-body-sm rounded-full"
+                    >
+                      <ScanBarcode className="h-4 w-4" />
+                      Find
+                    </Button>
+                    <Button
+                      type="button"
+                      variant="outline"
+                      className="typography-body-sm rounded-full"
+                      onClick={
+                        isCameraActive ? stopCameraScan : startCameraScan
+                      }
+                    >
+                      {isCameraActive ? (
+                        <CameraOff className="h-4 w-4" />
+                      ) : (
+                        <Camera className="h-4 w-4" />
+                      )}
+                      {isCameraActive ? 'Stop camera' : 'Scan with camera'}
+                    </Button>
+                  </form>
+                  {cameraError ? (
+                    <StatusMessage kind="error" message={cameraError} />
+                  ) : null}
+                  <video
+                    ref={videoRef}
+                    className={cn(
+                      'aspect-video w-full max-w-sm rounded-2xl bg-zinc-900 object-cover',
+                      !isCameraActive && 'hidden',
+                    )}
+                    autoPlay
+                    muted
+                    playsInline
+                  />
+                </div>
+              ) : null}
+
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    {isReviewing ? <TableHead>Post</TableHead> : null}
+                    <TableHead>Item</TableHead>
+                    <TableHead>Barcode</TableHead>
+                    <TableHead>Expiry</TableHead>
+                    <TableHead>Location</TableHead>
+                    <TableHead className="text-right">System</TableHead>
+                    <TableHead className="text-right">Counted</TableHead>
+                    <TableHead className="text-right">Variance</TableHead>
+                    <TableHead className="text-right">Value</TableHead>
+                    {stockTake.status === 'POSTED' ? (
+                      <TableHead className="text-right">Posted</TableHead>
+                    ) : null}
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {lines.map((line) => (
+                    <TableRow
+                      key={line._id}
+                      className={cn(
+                        highlightedBarcode &&
+                          line.barcode === highlightedBarcode &&
+                          'bg-[#fff4e0]',
+                      )}
+                    >
+                      {isReviewing ? (
+                        <TableCell>
+                          <Checkbox
+                            checked={approvedLineIds.includes(line._id)}
+                            disabled={!line.varianceQuantity}
+                            onCheckedChange={(checked) =>
+                              toggleApproved(line._id, checked === true)
+                            }
+                          />
+                        </TableCell>
+                      ) : null}
+                      <TableCell className="typography-body text-[#181c1b]">
+                        {line.itemName}
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-[#40493d]">
+                        {line.barcode || '—'}
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-[#40493d]">
+                        {formatDate(line.expiryDate)}
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-[#40493d]">
+                        {line.location || '—'}
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-right text-[#40493d]">
+                        {formatQuantityLabel(line.systemQuantity, line.unit)}
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-right text-[#40493d]">
+                        {isCounting ? (
+                          <Input
+                            ref={(element) => {
+                              countInputRefs.current[line._id] = element;
+                            }}
+                            type="number"
+                            min="0"
+                            step="any"
+                            className="ml-auto w-28 text-right"
+                            value={draftCounts[line._id] ?? ''}
+                            onChange={(event) =>
+                              setDraftCounts((current) => ({
+                                ...current,
+                                [line._id]: event.target.value,
+                              }))
+                            }
+                          />
+                        ) : line.countedQuantity === null ||
+                          line.countedQuantity === undefined ? (
+                          'Not counted'
+                        ) : (
+                          formatQuantityLabel(line.countedQuantity, line.unit)
+                        )}
+                      </TableCell>
+                      <TableCell
+                        className={cn(
+                          'typography-body-sm text-right',
+                          varianceTone(line.varianceQuantity),
+                        )}
+                      >
+                        {line.varianceQuantity === null
+                          ? '—'
+                          : formatSignedQuantity(
+                              line.varianceQuantity,
+                              line.unit,
+                            )}
+                      </TableCell>
+                      <TableCell
+                        className={cn(
+                          'typography-body-sm text-right',
+                          varianceTone(line.varianceValue),
+                        )}
+                      >
+                        {line.varianceValue === null
+                          ? '—'
+                          : formatCurrency(line.varianceValue)}
+                      </TableCell>
+                      {stockTake.status === 'POSTED' ? (
+                        <TableCell className="typography-body-sm text-right text-[#40493d]">
+                          {line.postedQuantity === null ||
+                          line.postedQuantity === undefined
+                            ? '—'
+                            : formatSignedQuantity(
+                                line.postedQuantity,
+                                line.unit,
+                              )}
+                        </TableCell>
+                      ) : null}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </CardContent>
+          </Card>
+        ) : null}
+      </div>
+    </InventoryLayout>
+  );
+}
+
+export default StockTakesPage;
@@ -0,0 +1,679 @@
+import { useAuth } from '@clerk/clerk-react';
+import { useEffect, useMemo, useState } from 'react';
+
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetFooter,
+  SheetHeader,
+  SheetTitle,
+} from '@/components/ui/sheet';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import StatusMessage from '@/components/common/StatusMessage';
+import { describeApiFetchFailure } from '@/lib/describe-api-fetch-failure';
+import { resolveApiBaseUrl } from '@/lib/resolve-api-base';
+import { cn } from '@/lib/utils';
+import { Plus } from 'lucide-react';
+
+import InventoryLayout from '../layouts/InventoryLayout';
+import {
+  createStockTransfer,
+  createStorageLocation,
+  fetchInventoryItems,
+  fetchStockTransfers,
+  fetchStorageLocations,
+  updateStockTransferStatus,
+} from '../api';
+import {
+  formatDate,
+  formatQuantityLabel,
+  getItemId,
+  toOptionalNumber,
+} from '../lib';
+
+const ALL_STATUSES = 'ALL';
+
+const TRANSFER_STATUS_LABELS = {
+  IN_TRANSIT: 'In transit',
+  RECEIVED: 'Received',
+  CANCELLED: 'Cancelled',
+};
+
+const TRANSFER_STATUS_TONES = {
+  IN_TRANSIT: 'bg-[#fff4e0] text-[#8a5300]',
+  RECEIVED: 'bg-[#e7f3e8] text-[#005412]',
+  CANCELLED: 'bg-[#fdecec] text-[#b42318]',
+};
+
+const LOCATION_TYPE_LABELS = {
+  SCHOOL: 'School',
+  CENTRAL_KITCHEN: 'Central kitchen',
+  WAREHOUSE: 'Warehouse',
+  OTHER: 'Other',
+};
+
+const initialTransferFormState = {
+  itemId: '',
+  fromLocationId: '',
+  toLocationId: '',
+  quantity: '',
+  notes: '',
+};
+
+const initialLocationFormState = { name: '', type: 'OTHER' };
+
+function FormField({ label, required, children, className }) {
+  return (
+    <label className={cn('flex flex-col gap-2', className)}>
+      <span className="typography-body-sm text-[#202421]">
+        {label}
+        {required ? <span className="ml-1 text-[#ba1a1a]">*</span> : null}
+      </span>
+      {children}
+    </label>
+  );
+}
+
+function TransferStatusBadge({ status }) {
+  return (
+    <Badge
+      className={cn(
+        'typography-body-sm rounded-full px-2.5 py-1 tracking-widest uppercase',
+        TRANSFER_STATUS_TONES[status] || 'bg-[#f3f4f0] text-[#4e544c]',
+      )}
+    >
+      {TRANSFER_STATUS_LABELS[status] || status}
+    </Badge>
+  );
+}
+
+function StockTransfersPage() {
+  const { isSignedIn, getToken } = useAuth();
+  const apiBaseUrl = resolveApiBaseUrl();
+  const authToken = isSignedIn ? getToken : undefined;
+
+  const [transfers, setTransfers] = useState([]);
+  const [statusFilter, setStatusFilter] = useState(ALL_STATUSES);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [actionError, setActionError] = useState('');
+  const [actionSuccess, setActionSuccess] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+
+  const [locations, setLocations] = useState([]);
+  const [locationForm, setLocationForm] = useState(initialLocationFormState);
+
+  const [items, setItems] = useState([]);
+  const [isTransferSheetOpen, setIsTransferSheetOpen] = useState(false);
+  const [transferForm, setTransferForm] = useState(initialTransferFormState);
+  const [transferFormError, setTransferFormError] = useState('');
+
+  const activeLocations = useMemo(
+    () => locations.filter((location) => location.active),
+    [locations],
+  );
+
+  const selectedItem = useMemo(
+    () => items.find((item) => getItemId(item) === transferForm.itemId) || null,
+    [items, transferForm.itemId],
+  );
+
+  const stockAtSource = useMemo(() => {
+    const entry = selectedItem?.locations?.find(
+      (location) => location.locationId === transferForm.fromLocationId,
+    );
+    return entry?.onHandQuantity ?? 0;
+  }, [selectedItem, transferForm.fromLocationId]);
+
+  const loadTransfers = async () => {
+    if (!apiBaseUrl) {
+      setLoadError('Could not resolve API base URL.');
+      setIsLoading(false);
+      return;
+    }
+
+    setIsLoading(true);
+    setLoadError('');
+
+    try {
+      setTransfers(
+        await fetchStockTransfers({
+          apiUrl: apiBaseUrl,
+          getToken: authToken,
+          status: statusFilter === ALL_STATUSES ? undefined : statusFilter,
+        }),
+      );
+    } catch (error) {
+      setTransfers([]);
+      setLoadError(
+        describeApiFetchFailure(error, 'Could not load stock transfers.'),
+      );
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadLocations = async () => {
+    if (!apiBaseUrl) {
+      return;
+    }
+
+    try {
+      setLocations(
+        await fetchStorageLocations({
+          apiUrl: apiBaseUrl,
+          getToken: authToken,
+        }),
+      );
+    } catch (error) {
+      setLocations([]);
+      setActionError(
+        describeApiFetchFailure(error, 'Could not load storage locations.'),
+      );
+    }
+  };
+
+  useEffect(() => {
+    loadTransfers();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [apiBaseUrl, statusFilter]);
+
+  useEffect(() => {
+    loadLocations();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [apiBaseUrl]);
+
+  const handleLocationSubmit = async (event) => {
+    event.preventDefault();
+    setActionError('');
+    setActionSuccess('');
+
+    if (!locationForm.name.trim()) {
+      setActionError('Enter a name for the storage location.');
+      return;
+    }
+
+    setIsWorking(true);
+
+    try {
+      const location = await createStorageLocation({
+        apiUrl: apiBaseUrl,
+        getToken: authToken,
+        payload: {
+          name: locationForm.name.trim(),
+          type: locationForm.type,
+        },
+      });
+
+      setLocationForm(initialLocationFormState);
+      setActionSuccess(`Storage location ${location?.name} added.`);
+      await loadLocations();
+    } catch (error) {
+      setActionError(
+        describeApiFetchFailure(error, 'Could not add the storage location.'),
+      );
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const runTransferAction = async (transfer, action, successMessage) => {
+    setIsWorking(true);
+    setActionError('');
+    setActionSuccess('');
+
+    try {
+      const updatedTransfer = await updateStockTransferStatus({
+        apiUrl: apiBaseUrl,
+        getToken: authToken,
+        transferId: transfer._id,
+        action,
+      });
+
+      setTransfers((current) =>
+        current.map((entry) =>
+          entry._id === updatedTransfer?._id ? updatedTransfer : entry,
+        ),
+      );
+      setActionSuccess(successMessage);
+    } catch (error) {
+      setActionError(
+        describeApiFetchFailure(error, 'Could not update the stock transfer.'),
+      );
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const openTransferSheet = async () => {
+    setTransferForm(initialTransferFormState);
+    setTransferFormError('');
+    setIsTransferSheetOpen(true);
+
+    try {
+      setItems(
+        await fetchInventoryItems({ apiUrl: apiBaseUrl, getToken: authToken }),
+      );
+    } catch (error) {
+      setTransferFormError(
+        describeApiFetchFailure(error, 'Could not load inventory items.'),
+      );
+    }
+  };
+
+  const updateTransferForm = (field, value) => {
+    setTransferForm((current) => ({ ...current, [field]: value }));
+  };
+
+  const handleTransferSubmit = async (event) => {
+    event.preventDefault();
+    setTransferFormError('');
+
+    const quantity = toOptionalNumber(transferForm.quantity);
+
+    if (
+      !transferForm.itemId ||
+      !transferForm.fromLocationId ||
+      !transferForm.toLocationId
+    ) {
+      setTransferFormError('Choose an item, a source and a destination.');
+      return;
+    }
+
+    if (transferForm.fromLocationId === transferForm.toLocationId) {
+      setTransferFormError('The source and destination must differ.');
+      return;
+    }
+
+    if (!(quantity > 0)) {
+      setTransferFormError('Enter a quantity above zero.');
+      return;
+    }
+
+    setIsWorking(true);
+
+    try {
+      const transfer = await createStockTransfer({
+        apiUrl: apiBaseUrl,
+        getToken: authToken,
+        payload: {
+          itemId: transferForm.itemId,
+          fromLocationId: transferForm.fromLocationId,
+          toLocationId: transferForm.toLocationId,
+          quantity,
+          notes: transferForm.notes || undefined,
+        },
+      });
+
+      setIsTransferSheetOpen(false);
+      setActionSuccess(`Transfer ${transfer?.transferNumber} dispatched.`);
+      await loadTransfers();
+    } catch (error) {
+      setTransferFormError(
+        describeApiFetchFailure(error, 'Could not dispatch the transfer.'),
+      );
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <InventoryLayout
+      activeItemKey="transfers"
+      title="Stock Transfers"
+      subtitle="Move stock between schools, the central kitchen and warehouses"
+    >
+      <div className="space-y-6">
+        {actionError ? (
+          <StatusMessage kind="error" message={actionError} />
+        ) : null}
+        {actionSuccess ? (
+          <StatusMessage kind="success" message={actionSuccess} />
+        ) : null}
+
+        <Card className="rounded-[28px] border border-[#e6e9e5] bg-white shadow-[0px_12px_28px_rgba(47,51,49,0.05)]">
+          <CardContent className="space-y-4 p-6">
+            <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+              <Select value={statusFilter} onValueChange={setStatusFilter}>
+                <SelectTrigger className="w-full md:w-60">
+                  <SelectValue placeholder="All statuses" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL_STATUSES}>All statuses</SelectItem>
+                  {Object.entries(TRANSFER_STATUS_LABELS).map(
+                    ([value, label]) => (
+                      <SelectItem key={value} value={value}>
+                        {label}
+                      </SelectItem>
+                    ),
+                  )}
+                </SelectContent>
+              </Select>
+              <Button
+                type="button"
+                className="typography-body-sm rounded-full bg-[#005412] px-5 text-white hover:bg-[#00460f]"
+                disabled={activeLocations.length < 2}
+                onClick={openTransferSheet}
+              >
+                <Plus className="h-4 w-4" />
+                New transfer
+              </Button>
+            </div>
+
+            {loadError ? (
+              <StatusMessage kind="error" message={loadError} />
+            ) : isLoading ? (
+              <StatusMessage message="Loading stock transfers..." />
+            ) : transfers.length === 0 ? (
+              <StatusMessage message="No stock transfers yet." />
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Transfer</TableHead>
+                    <TableHead>Item</TableHead>
+                    <TableHead>Route</TableHead>
+                    <TableHead className="text-right">Quantity</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead>Dispatched</TableHead>
+                    <TableHead className="text-right">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {transfers.map((transfer) => (
+                    <TableRow key={transfer._id}>
+                      <TableCell className="typography-body text-[#181c1b]">
+                        {transfer.transferNumber}
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-[#40493d]">
+                        {transfer.itemName}
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-[#40493d]">
+                        {transfer.fromLocationName} → {transfer.toLocationName}
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-right text-[#40493d]">
+                        {formatQuantityLabel(transfer.quantity, transfer.unit)}
+                      </TableCell>
+                      <TableCell>
+                        <TransferStatusBadge status={transfer.status} />
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-[#40493d]">
+                        {formatDate(transfer.dispatchedAt)}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {transfer.status === 'IN_TRANSIT' ? (
+                          <div className="flex justify-end gap-2">
+                            <Button
+                              type="button"
+                              className="typography-body-sm rounded-full bg-[#005412] px-4 text-white hover:bg-[#00460f]"
+                              disabled={isWorking}
+                              onClick={() =>
+                                runTransferAction(
+                                  transfer,
+                                  'receive',
+                                  `Transfer ${transfer.transferNumber} received at ${transfer.toLocationName}.`,
+                                )
+                              }
+                            >
+                              Receive
+                            </Button>
+                            <Button
+                              type="button"
+                              variant="outline"
+                              className="typography-body-sm rounded-full"
+                              disabled={isWorking}
+                              onClick={() =>
+                                runTransferAction(
+                                  transfer,
+                                  'cancel',
+                                  `Transfer ${transfer.transferNumber} cancelled; stock returned to ${transfer.fromLocationName}.`,
+                                )
+                              }
+                            >
+                              Cancel
+                            </Button>
+                          </div>
+                        ) : (
+                          <span className="typography-body-sm text-[#5f665f]">
+                            {formatDate(
+                              transfer.receivedAt || transfer.cancelledAt,
+                            )}
+                          </span>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card className="rounded-[28px] border border-[#e6e9e5] bg-white shadow-[0px_12px_28px_rgba(47,51,49,0.05)]">
+          <CardContent className="space-y-4 p-6">
+            <div className="space-y-1">
+              <h2 className="typography-h1 text-[#181c1b]">
+                Storage locations
+              </h2>
+              <p className="typography-body-sm text-[#5f665f]">
+                Batches added or received at a location count as stock there.
+              </p>
+            </div>
+
+            <form
+              onSubmit={handleLocationSubmit}
+              className="grid gap-2 md:grid-cols-[1fr_12rem_auto]"
+            >
+              <Input
+                value={locationForm.name}
+                onChange={(event) =>
+                  setLocationForm((current) => ({
+                    ...current,
+                    name: event.target.value,
+                  }))
+                }
+                placeholder="Location name"
+              />
+              <Select
+                value={locationForm.type}
+                onValueChange={(value) =>
+                  setLocationForm((current) => ({ ...current, type: value }))
+                }
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(LOCATION_TYPE_LABELS).map(
+                    ([value, label]) => (
+                      <SelectItem key={value} value={value}>
+                        {label}
+                      </SelectItem>
+                    ),
+                  )}
+                </SelectContent>
+              </Select>
+              <Button
+                type="submit"
+                variant="outline"
+                className="typography-body-sm rounded-full"
+                disabled={isWorking}
+              >
+                <Plus className="h-4 w-4" />
+                Add location
+              </Button>
+            </form>
+
+            {locations.length === 0 ? (
+              <StatusMessage message="No storage locations yet." />
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Name</TableHead>
+                    <TableHead>Type</TableHead>
+                    <TableHead>Status</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {locations.map((location) => (
+                    <TableRow key={location._id}>
+                      <TableCell className="typography-body text-[#181c1b]">
+                        {location.name}
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-[#40493d]">
+                        {LOCATION_TYPE_LABELS[location.type] || location.type}
+                      </TableCell>
+                      <TableCell className="typography-body-sm text-[#40493d]">
+                        {location.active ? 'Active' : 'Inactive'}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      <Sheet open={isTransferSheetOpen} onOpenChange={setIsTransferSheetOpen}>
+        <SheetContent side="right" className="overflow-y-auto sm:max-w-xl">
+          <SheetHeader>
+            <SheetTitle className="typography-h2">New transfer</SheetTitle>
+            <SheetDescription className="typography-body">
+              Stock leaves the source now, earliest expiry first, and is in
+              transit until it is received at the destination.
+            </SheetDescription>
+          </SheetHeader>
+
+          <form
+            onSubmit={handleTransferSubmit}
+            className="flex flex-1 flex-col gap-5 px-6 pb-6"
+          >
+            <FormField label="Item" required>
+              <Select
+                value={transferForm.itemId}
+                onValueChange={(value) => updateTransferForm('itemId', value)}
+              >
+                <SelectTrigger>
+                  <SelectValue placeholder="Choose an item" />
+                </SelectTrigger>
+                <SelectContent>
+                  {items.map((item) => (
+                    <SelectItem key={getItemId(item)} value={getItemId(item)}>
+                      {item.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </FormField>
+
+            <div className="grid gap-4 md:grid-cols-2">
+              <FormField label="From" required>
+                <Select
+                  value={transferForm.fromLocationId}
+                  onValueChange={(value) =>
+                    updateTransferForm('fromLocationId', value)
+                  }
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Source" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {locations.map((location) => (
+                      <SelectItem key={location._id} value={location._id}>
+                        {location.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </FormField>
+              <FormField label="To" required>
+                <Select
+                  value={transferForm.toLocationId}
+                  onValueChange={(value) =>
+                    updateTransferForm('toLocationId', value)
+                  }
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Destination" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {activeLocations.map((location) => (
+                      <SelectItem key={location._id} value={location._id}>
+                        {location.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </FormField>
+            </div>
+
+            <FormField label="Quantity" required>
+              <Input
+                type="number"
+                min="0"
+                step="any"
+                value={transferForm.quantity}
+                onChange={(event) =>
+                  updateTransferForm('quantity', event.target.value)
+                }
+              />
+              {selectedItem && transferForm.fromLocationId ? (
+                <span className="typography-body-sm text-[#5f665f]">
+                  {formatQuantityLabel(stockAtSource, selectedItem.unit)} on
+                  hand at the source
+                </span>
+              ) : null}
+            </FormField>
+
+            <FormField label="Notes">
+              <Input
+                value={transferForm.notes}
+                onChange={(event) =>
+                  updateTransferForm('notes', event.target.value)
+                }
+                placeholder="Optional"
+              />
+            </FormField>
+
+            {transferFormError ? (
+              <StatusMessage kind="error" message={transferFormError} />
+            ) : null}
+
+            <SheetFooter className="px-0 pb-0">
+              <Button
+                type="submit"
+                className="typography-body-sm h-11 rounded-full bg-[#005412] text-white hover:bg-[#00460f]"
+                disabled={isWorking}
+              >
+                {isWorking ? 'Dispatching...' : 'Dispatch'}
+              </Button>
+            </SheetFooter>
+          </form>
+        </SheetContent>
+      </Sheet>
+    </InventoryLayout>
+  );
+}
+
+export default StockTransfersPage;
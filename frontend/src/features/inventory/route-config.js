@@ -1,15 +1,24 @@
 import InventoryItemDetailsPage from './pages/InventoryItemDetailsPage';
 import InventoryItemsPage from './pages/InventoryItemsPage';
 import InventoryNewItemPage from './pages/InventoryNewItemPage';
+import PurchaseOrdersPage from './pages/PurchaseOrdersPage';
+import StockTakesPage from './pages/StockTakesPage';
+import StockTransfersPage from './pages/StockTransfersPage';
 
 export const inventoryPath = '/inventory';
 export const inventoryItemsPath = '/inventory/items';
 export const inventoryItemsNewPath = '/inventory/items/new';
 export const inventoryItemDetailsPath = '/inventory/items/:itemId';
+export const inventoryPurchaseOrdersPath = '/inventory/purchase-orders';
+export const inventoryTransfersPath = '/inventory/transfers';
+export const inventoryStockTakesPath = '/inventory/stock-takes';
 
 export const inventoryChildren = [
   { index: true, Component: InventoryItemsPage },
   { path: 'items', Component: InventoryItemsPage },
   { path: 'items/new', Component: InventoryNewItemPage },
   { path: 'items/:itemId', Component: InventoryItemDetailsPage },
+  { path: 'purchase-orders', Component: PurchaseOrdersPage },
+  { path: 'transfers', Component: StockTransfersPage },
+  { path: 'stock-takes', Component: StockTakesPage },
 ];
@@ -1,6 +1,9 @@
 import InventoryItemDetailsPage from './pages/InventoryItemDetailsPage';
 import InventoryItemsPage from './pages/InventoryItemsPage';
 import InventoryNewItemPage from './pages/InventoryNewItemPage';
+import PurchaseOrdersPage from './pages/PurchaseOrdersPage';
+import StockTakesPage from './pages/StockTakesPage';
+import StockTransfersPage from './pages/StockTransfersPage';
 
 export function InventoryRoute() {
   return <InventoryItemsPage />;
@@ -17,3 +20,15 @@ export function InventoryNewItemRoute() {
 export function InventoryItemDetailsRoute() {
   return <InventoryItemDetailsPage />;
 }
+
+export function InventoryPurchaseOrdersRoute() {
+  return <PurchaseOrdersPage />;
+}
+
+export function InventoryTransfersRoute() {
+  return <StockTransfersPage />;
+}
+
+export function InventoryStockTakesRoute() {
+  return <StockTakesPage />;
+}
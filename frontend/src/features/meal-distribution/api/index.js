@@ -172,12 +172,18 @@ export async function fetchSessionRoster({ apiUrl, mealSessionId, getToken }) {
   return Array.isArray(payload) ? payload : [];
 }
 
+/**
+ * Marks one student. Marking PRESENT a student the school's dietary policy
+ * blocks fails with code DIETARY_CONFLICT_BLOCKED and the `safety` verdict
+ * unless an `overrideReason` is sent.
+ */
 export async function markAttendanceByStudentId({
   apiUrl,
   getToken,
   studentId,
   mealSessionId,
   status = 'PRESENT',
+  overrideReason,
 }) {
   const response = await fetchApi({
     url: new URL('/api/meal-attendance', apiUrl).toString(),
@@ -190,6 +196,56 @@ export async function markAttendanceByStudentId({
         mealSessionId,
         status,
         servedAt: new Date().toISOString(),
+        ...(overrideReason ? { overrideReason } : {}),
+      }),
+    },
+  });
+
+  if (!response.ok) {
+    let message = `Failed to mark attendance (${response.status})`;
+    let code;
+    let safety;
+    try {
+      const body = await response.json();
+      if (body?.message) message = body.message;
+      code = body?.code;
+      safety = body?.safety;
+    } catch {
+      // ignore parse errors
+    }
+    throw Object.assign(new Error(message), { code, safety });
+  }
+
+  return response.json();
+}
+
+/**
+ * Applies one status to many students of a session: either `studentIds` or,
+ * with `allUnmarked`, every roster student not yet marked. The server answers
+ * with one outcome per student: MARKED, UPDATED, UNCHANGED,
+ * STUDENT_NOT_IN_SCHOOL or DIETARY_CONFLICT_BLOCKED (PRESENT only, with the
+ * `conflicts`).
+ */
+export async function bulkMarkAttendance({
+  apiUrl,
+  getToken,
+  mealSessionId,
+  status,
+  studentIds,
+  allUnmarked = false,
+  notes,
+}) {
+  const response = await fetchApi({
+    url: new URL('/api/meal-attendance/bulk', apiUrl).toString(),
+    getToken,
+    options: {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        mealSessionId,
+        status,
+        ...(allUnmarked ? { allUnmarked: true } : { studentIds }),
+        ...(notes ? { notes } : {}),
       }),
     },
   });
@@ -211,8 +267,9 @@ export async function markAttendanceByStudentId({
 export async function markAttendanceByQr({
   apiUrl,
   getToken,
-  studentId,
+  qrToken,
   mealSessionId,
+  overrideReason,
 }) {
   const response = await fetchApi({
     url: new URL('/api/meal-scan', apiUrl).toString(),
@@ -222,13 +279,52 @@ export async function markAttendanceByQr({
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         mealSessionId,
-        qrToken: JSON.stringify({ studentId }),
+        qrToken,
+        ...(overrideReason ? { overrideReason } : {}),
       }),
     },
   });
 
   if (!response.ok) {
     let message = `Failed to mark attendance by QR (${response.status})`;
+    let code;
+    let safety;
+    try {
+      const body = await response.json();
+      if (body?.message) message = body.message;
+      code = body?.code;
+      safety = body?.safety;
+      if (code === 'QR_CARD_REVOKED' && body?.revokeReason) {
+        message = `${message} (reported ${body.revokeReason})`;
+      }
+    } catch {
+      // ignore parse errors
+    }
+    throw Object.assign(new Error(message), { code, safety });
+  }
+
+  return response.json();
+}
+
+/**
+ * Sends scans queued while offline. The server answers with one outcome per
+ * scan: ACCEPTED, DUPLICATE, STUDENT_NOT_IN_SCHOOL, SESSION_LOCKED,
+ * SESSION_NOT_FOUND, INVALID_CARD or DIETARY_CONFLICT_BLOCKED (with the
+ * `conflicts` that kept it unmarked).
+ */
+export async function syncOfflineScans({ apiUrl, getToken, scans }) {
+  const response = await fetchApi({
+    url: new URL('/api/meal-attendance/sync', apiUrl).toString(),
+    getToken,
+    options: {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ scans }),
+    },
+  });
+
+  if (!response.ok) {
+    let message = `Failed to sync offline scans (${response.status})`;
     try {
       const body = await response.json();
       if (body?.message) message = body.message;
@@ -266,6 +362,96 @@ export async function fetchNoShowAlerts({
   return Array.isArray(payload) ? payload : [];
 }
 
+export async function fetchNoShowPatternAlerts({
+  apiUrl,
+  schoolId,
+  getToken,
+  status,
+}) {
+  const url = new URL('/api/meal-distribution/no-show-alerts/patterns', apiUrl);
+  url.searchParams.set('schoolId', schoolId);
+  if (status) url.searchParams.set('status', status);
+
+  const response = await fetchApi({
+    url: url.toString(),
+    getToken,
+  });
+
+  if (!response.ok) {
+    throw new Error(
+      `Failed to fetch no-show pattern alerts (${response.status})`,
+    );
+  }
+
+  const payload = await response.json();
+  return Array.isArray(payload) ? payload : [];
+}
+
+export async function evaluateNoShowPatterns({ apiUrl, getToken, schoolId }) {
+  const response = await fetchApi({
+    url: new URL(
+      '/api/meal-distribution/no-show-alerts/evaluate',
+      apiUrl,
+    ).toString(),
+    getToken,
+    options: {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ schoolId }),
+    },
+  });
+
+  if (!response.ok) {
+    let message = `Failed to evaluate no-show patterns (${response.status})`;
+    try {
+      const body = await response.json();
+      if (body?.message) message = body.message;
+    } catch {
+      // ignore parse errors
+    }
+    throw new Error(message);
+  }
+
+  return response.json();
+}
+
+/**
+ * @param {'acknowledge' | 'resolve'} action
+ */
+export async function reviewNoShowPatternAlert({
+  apiUrl,
+  getToken,
+  alertId,
+  action,
+  notes,
+}) {
+  const response = await fetchApi({
+    url: new URL(
+      `/api/meal-distribution/no-show-alerts/${alertId}/${action}`,
+      apiUrl,
+    ).toString(),
+    getToken,
+    options: {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(notes ? { notes } : {}),
+    },
+  });
+
+  if (!response.ok) {
+    let message = `Failed to ${action} no-show alert (${response.status})`;
+    try {
+      const body = await response.json();
+      if (body?.message) message = body.message;
+    } catch {
+      // ignore parse errors
+    }
+    throw new Error(message);
+  }
+
+  return response.json();
+}
+
 export async function fetchGuardianNotificationsForSession({
   apiUrl,
   mealSessionId,
@@ -288,6 +474,52 @@ export async function fetchGuardianNotificationsForSession({
   return Array.isArray(payload) ? payload : [];
 }
 
+async function postGuardianNotificationAction({ apiUrl, getToken, path }) {
+  const response = await fetchApi({
+    url: new URL(path, apiUrl).toString(),
+    getToken,
+    options: { method: 'POST' },
+  });
+
+  if (!response.ok) {
+    let message = `Failed to resend guardian notification (${response.status})`;
+    try {
+      const body = await response.json();
+      if (body?.message) message = body.message;
+    } catch {
+      // ignore parse errors
+    }
+    throw new Error(message);
+  }
+
+  return response.json();
+}
+
+export function resendGuardianNotification({
+  apiUrl,
+  mealSessionId,
+  notificationId,
+  getToken,
+}) {
+  return postGuardianNotificationAction({
+    apiUrl,
+    getToken,
+    path: `/api/meal-sessions/${mealSessionId}/guardian-notifications/${notificationId}/resend`,
+  });
+}
+
+export function retryFailedGuardianNotifications({
+  apiUrl,
+  mealSessionId,
+  getToken,
+}) {
+  return postGuardianNotificationAction({
+    apiUrl,
+    getToken,
+    path: `/api/meal-sessions/${mealSessionId}/guardian-notifications/retry-failed`,
+  });
+}
+
 export async function fetchStudentMealHistory({
   apiUrl,
   schoolId,
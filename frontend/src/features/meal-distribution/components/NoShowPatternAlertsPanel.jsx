@@ -0,0 +1,225 @@
+import { useAuth } from '@clerk/clerk-react';
+import { useCallback, useEffect, useState } from 'react';
+import { describeApiFetchFailure } from '../../../lib/describe-api-fetch-failure';
+import { resolveApiBaseUrl } from '../../../lib/resolve-api-base';
+import {
+  evaluateNoShowPatterns,
+  fetchNoShowPatternAlerts,
+  reviewNoShowPatternAlert,
+} from '../api';
+import StatusMessage from '@/components/common/StatusMessage';
+
+const RULE_LABELS = {
+  CONSECUTIVE: 'Consecutive no-shows',
+  ROLLING_WINDOW: 'Frequent no-shows',
+};
+
+const STATUS_CLASS_NAMES = {
+  OPEN: 'bg-red-50 text-[#9f0519]',
+  ACKNOWLEDGED: 'bg-amber-50 text-amber-800',
+  RESOLVED: 'bg-emerald-50 text-emerald-700',
+};
+
+function formatPeriod(alert) {
+  const from = new Date(alert.periodFrom).toLocaleDateString();
+  const to = new Date(alert.periodTo).toLocaleDateString();
+  return from === to ? from : `${from} – ${to}`;
+}
+
+export default function NoShowPatternAlertsPanel({ schoolId }) {
+  const { isSignedIn, getToken } = useAuth();
+  const apiUrl = resolveApiBaseUrl();
+
+  const [alerts, setAlerts] = useState([]);
+  const [showResolved, setShowResolved] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isEvaluating, setIsEvaluating] = useState(false);
+  const [pendingAlertId, setPendingAlertId] = useState('');
+  const [error, setError] = useState('');
+  const [info, setInfo] = useState('');
+
+  const loadAlerts = useCallback(async () => {
+    if (!apiUrl || !schoolId) {
+      setIsLoading(false);
+      return;
+    }
+    setIsLoading(true);
+    setError('');
+    try {
+      const data = await fetchNoShowPatternAlerts({
+        apiUrl,
+        schoolId,
+        getToken: isSignedIn ? getToken : undefined,
+      });
+      setAlerts(data);
+    } catch (loadError) {
+      setError(
+        describeApiFetchFailure(loadError, 'Failed to load pattern alerts'),
+      );
+      setAlerts([]);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [apiUrl, schoolId, getToken, isSignedIn]);
+
+  useEffect(() => {
+    loadAlerts();
+  }, [loadAlerts]);
+
+  const handleEvaluate = async () => {
+    setIsEvaluating(true);
+    setError('');
+    setInfo('');
+    try {
+      const result = await evaluateNoShowPatterns({
+        apiUrl,
+        schoolId,
+        getToken: isSignedIn ? getToken : undefined,
+      });
+      setInfo(
+        result.enabled
+          ? `${result.created.length} new, ${result.updated.length} updated`
+          : 'No-show pattern alerts are turned off for this school',
+      );
+      await loadAlerts();
+    } catch (evaluateError) {
+      setError(evaluateError.message);
+    } finally {
+      setIsEvaluating(false);
+    }
+  };
+
+  const handleReview = async (alertId, action) => {
+    setPendingAlertId(alertId);
+    setError('');
+    try {
+      const updated = await reviewNoShowPatternAlert({
+        apiUrl,
+        getToken: isSignedIn ? getToken : undefined,
+        alertId,
+        action,
+      });
+      setAlerts((prev) =>
+        prev.map((alert) => (alert.id === updated.id ? updated : alert)),
+      );
+    } catch (reviewError) {
+      setError(reviewError.message);
+    } finally {
+      setPendingAlertId('');
+    }
+  };
+
+  const visibleAlerts = showResolved
+    ? alerts
+    : alerts.filter((alert) => alert.status !== 'RESOLVED');
+
+  return (
+    <section className="mb-6 rounded-[12px] bg-[#f0f1f1] p-8">
+      <div className="mb-6 flex flex-wrap items-center justify-between gap-3">
+        <h2 className="font-['Plus_Jakarta_Sans','Inter_Variable',sans-serif] text-[20px] font-bold tracking-[-0.4px] text-zinc-800">
+          Repeated no-show patterns
+        </h2>
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="flex items-center gap-2 text-xs font-medium text-zinc-600">
+            <input
+              type="checkbox"
+              checked={showResolved}
+              onChange={(event) => setShowResolved(event.target.checked)}
+            />
+            Show resolved
+          </label>
+          <button
+            type="button"
+            className="h-[34px] rounded-lg border border-zinc-200 bg-white px-3 text-xs font-medium text-zinc-700 shadow-sm disabled:opacity-50"
+            onClick={handleEvaluate}
+            disabled={isEvaluating || !schoolId}
+          >
+            {isEvaluating ? 'Checking...' : 'Check now'}
+          </button>
+        </div>
+      </div>
+
+      <StatusMessage
+        kind="info"
+        message={isLoading ? 'Loading pattern alerts...' : info}
+      />
+      <StatusMessage kind="error" message={error} />
+
+      <div className="overflow-x-auto">
+        <table className="w-full border-separate border-spacing-y-3">
+          <thead>
+            <tr className="text-left text-xs font-medium text-zinc-500">
+              <th className="px-6 pb-2">Student ID</th>
+              <th className="px-2 pb-2">Pattern</th>
+              <th className="px-2 pb-2">Period</th>
+              <th className="px-2 pb-2">No-shows</th>
+              <th className="px-2 pb-2">Guardian email</th>
+              <th className="px-2 pb-2">Status</th>
+              <th className="px-2 pb-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {visibleAlerts.map((alert) => (
+              <tr
+                key={alert.id}
+                className="rounded-[12px] bg-white shadow-[0px_1px_2px_rgba(0,0,0,0.05)]"
+              >
+                <td className="rounded-l-[12px] px-6 py-4 text-xs font-medium text-zinc-800">
+                  {alert.studentId}
+                </td>
+                <td className="px-2 py-4 text-xs font-medium text-zinc-800">
+                  {RULE_LABELS[alert.rule] || alert.rule}
+                </td>
+                <td className="px-2 py-4 text-xs font-medium text-zinc-800">
+                  {formatPeriod(alert)}
+                </td>
+                <td className="px-2 py-4 text-xs font-medium text-[#9f0519]">
+                  {alert.noShowCount}
+                </td>
+                <td className="px-2 py-4 text-xs font-medium text-zinc-700">
+                  {alert.notificationStatus || '—'}
+                </td>
+                <td className="px-2 py-4 text-xs font-medium">
+                  <span
+                    className={`rounded-full px-2 py-1 ${STATUS_CLASS_NAMES[alert.status] || ''}`}
+                  >
+                    {alert.status}
+                  </span>
+                </td>
+                <td className="rounded-r-[12px] px-2 py-4 text-right text-xs font-medium">
+                  <div className="flex justify-end gap-2">
+                    {alert.status === 'OPEN' && (
+                      <button
+                        type="button"
+                        className="rounded-md border border-zinc-200 px-2 py-1 text-zinc-700 disabled:opacity-50"
+                        disabled={pendingAlertId === alert.id}
+                        onClick={() => handleReview(alert.id, 'acknowledge')}
+                      >
+                        Acknowledge
+                      </button>
+                    )}
+                    {alert.status !== 'RESOLVED' && (
+                      <button
+                        type="button"
+                        className="rounded-md border border-zinc-200 px-2 py-1 text-zinc-700 disabled:opacity-50"
+                        disabled={pendingAlertId === alert.id}
+                        onClick={() => handleReview(alert.id, 'resolve')}
+                      >
+                        Resolve
+                      </button>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!isLoading && visibleAlerts.length === 0 && (
+          <p className="mt-3 text-xs font-medium text-zinc-500">
+            No repeated no-show patterns need attention.
+          </p>
+        )}
+      </div>
+    </section>
+  );
+}
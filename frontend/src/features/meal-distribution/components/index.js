@@ -1 +1,2 @@
 export { default as MealDistributionSchoolScopeBanner } from './MealDistributionSchoolScopeBanner';
+export { default as NoShowPatternAlertsPanel } from './NoShowPatternAlertsPanel';
@@ -2,3 +2,4 @@ export * from './mealDistributionSchoolScope';
 export * from './mealDistributionSchoolContext';
 export * from './MealDistributionSchoolProvider.jsx';
 export * from './useCountUp';
+export * from './useOfflineScanQueue';
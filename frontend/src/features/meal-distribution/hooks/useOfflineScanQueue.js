@@ -0,0 +1,117 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { syncOfflineScans } from '../api';
+import {
+  enqueueOfflineScan,
+  listOfflineScans,
+  removeOfflineScans,
+} from '../utils/offline-scan-queue';
+
+// Server limit per sync request.
+const SYNC_BATCH_SIZE = 500;
+
+function readOnlineStatus() {
+  return typeof navigator === 'undefined' ? true : navigator.onLine !== false;
+}
+
+/**
+ * IndexedDB-backed queue for scans taken while the API is unreachable.
+ * Syncs automatically when the browser comes back online; `issues` holds
+ * the non-accepted outcomes from the last sync so staff can follow up.
+ * @param {{ apiUrl: string, getToken?: Function, onSynced?: Function }} options
+ */
+export function useOfflineScanQueue({ apiUrl, getToken, onSynced }) {
+  const [isOnline, setIsOnline] = useState(readOnlineStatus);
+  const [queuedCount, setQueuedCount] = useState(0);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [issues, setIssues] = useState([]);
+  const [syncError, setSyncError] = useState('');
+  const syncingRef = useRef(false);
+
+  const refreshCount = useCallback(async () => {
+    try {
+      const scans = await listOfflineScans();
+      setQueuedCount(scans.length);
+    } catch {
+      setQueuedCount(0);
+    }
+  }, []);
+
+  const queueScan = useCallback(
+    async (scan) => {
+      const queued = await enqueueOfflineScan(scan);
+      await refreshCount();
+      return queued;
+    },
+    [refreshCount],
+  );
+
+  const syncNow = useCallback(async () => {
+    if (syncingRef.current || !apiUrl) return null;
+    syncingRef.current = true;
+    setIsSyncing(true);
+    setSyncError('');
+    try {
+      const scans = await listOfflineScans();
+      const nextIssues = [];
+      let accepted = 0;
+      for (let i = 0; i < scans.length; i += SYNC_BATCH_SIZE) {
+        const batch = scans.slice(i, i + SYNC_BATCH_SIZE);
+        const { results } = await syncOfflineScans({
+          apiUrl,
+          getToken,
+          scans: batch,
+        });
+        // Every returned outcome is final, so the scan leaves the queue.
+        await removeOfflineScans(results.map((r) => r.idempotencyKey));
+        results.forEach((result) => {
+          if (result.outcome === 'ACCEPTED') {
+            accepted += 1;
+          } else {
+            nextIssues.push(result);
+          }
+        });
+      }
+      setIssues(nextIssues);
+      if (scans.length > 0) {
+        await onSynced?.({ accepted, issues: nextIssues });
+      }
+      return { accepted, issues: nextIssues };
+    } catch (error) {
+      setSyncError(error.message || 'Failed to sync offline scans');
+      return null;
+    } finally {
+      syncingRef.current = false;
+      setIsSyncing(false);
+      await refreshCount();
+    }
+  }, [apiUrl, getToken, onSynced, refreshCount]);
+
+  useEffect(() => {
+    refreshCount();
+  }, [refreshCount]);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncNow();
+    };
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncNow]);
+
+  return {
+    isOnline,
+    queuedCount,
+    isSyncing,
+    issues,
+    syncError,
+    queueScan,
+    syncNow,
+    dismissIssues: () => setIssues([]),
+  };
+}
@@ -4,13 +4,18 @@ import { useSearchParams } from 'react-router-dom';
 import { BrowserMultiFormatReader } from '@zxing/browser';
 import { AlertCircle, CheckCircle2, QrCode, Upload, Video } from 'lucide-react';
 import { cn } from '../../../lib/utils';
+import { useAuthRole } from '@/lib/auth/use-auth-role';
+import { USER_ROLES } from '@/lib/user-roles';
 import {
+  bulkMarkAttendance,
   completeMealSession,
   fetchGuardianNotificationsForSession,
   fetchMealSessions,
   fetchSessionRoster,
   markAttendanceByQr,
   markAttendanceByStudentId,
+  resendGuardianNotification,
+  retryFailedGuardianNotifications,
 } from '../api';
 import { describeApiFetchFailure } from '../../../lib/describe-api-fetch-failure';
 import { resolveApiBaseUrl } from '../../../lib/resolve-api-base';
@@ -18,12 +23,17 @@ import MealDistributionLayout from '../layouts/MealDistributionLayout';
 import {
   formatMealDistributionSchoolSubtitle,
   useMealDistributionSchool,
+  useOfflineScanQueue,
 } from '../hooks';
 import {
   mealPrimaryButtonClass,
   mealPrimaryButtonCompactClass,
   mealPrimarySegmentActiveClass,
 } from '../utils/meal-primary-button-classes';
+import {
+  extractStudentIdFromQrValue,
+  toMealScanQrToken,
+} from '../utils/meal-card-qr';
 
 function formatMealType(mealType) {
   if (!mealType) return '-';
@@ -33,6 +43,33 @@ function formatMealType(mealType) {
     .replace(/^\w/, (m) => m.toUpperCase());
 }
 
+const OFFLINE_SYNC_OUTCOME_LABELS = {
+  DUPLICATE: 'Already marked present',
+  STUDENT_NOT_IN_SCHOOL: 'Not an active student at this school',
+  SESSION_LOCKED: 'Session was completed before sync',
+  SESSION_NOT_FOUND: 'Session no longer exists',
+  INVALID_CARD: 'Meal card rejected',
+  DIETARY_CONFLICT_BLOCKED:
+    'Not marked: meal conflicts with dietary needs; rescan with an override if served',
+};
+
+// One readable line per conflict in a scan's dietary safety verdict.
+function describeDietaryConflicts(safety) {
+  return (safety?.conflicts || []).map((conflict) =>
+    conflict.allergens?.length
+      ? `${conflict.dietaryTag}: contains ${conflict.allergens.join(', ')}`
+      : `${conflict.dietaryTag}: meal is not marked ${conflict.missingFlag}`,
+  );
+}
+
+// fetch() rejects with a TypeError when the request never reaches the API.
+function isNetworkFailure(error) {
+  return error?.name === 'TypeError';
+}
+
+const RESENDABLE_NOTIFICATION_STATUSES = ['FAILED', 'DEAD_LETTER'];
+const NOTIFICATION_RESEND_ROLES = [USER_ROLES.ADMIN, USER_ROLES.SCHOOL_ADMIN];
+
 function toDateKey(value) {
   if (!value) return '';
   const date = new Date(value);
@@ -44,6 +81,8 @@ export default function MarkAttendancePage() {
   const [searchParams] = useSearchParams();
   const { schoolName, schoolId } = useMealDistributionSchool();
   const { isSignedIn, getToken } = useAuth();
+  const { role } = useAuthRole();
+  const canResendNotifications = NOTIFICATION_RESEND_ROLES.includes(role);
   const apiUrl = resolveApiBaseUrl();
   const preferredSessionId = searchParams.get('sessionId') || '';
 
@@ -51,6 +90,8 @@ export default function MarkAttendancePage() {
   const [selectedSessionId, setSelectedSessionId] = useState('');
   const [sessionRosterRows, setSessionRosterRows] = useState([]);
   const [rosterFilter, setRosterFilter] = useState('ALL');
+  const [selectedStudentIds, setSelectedStudentIds] = useState([]);
+  const [bulkNotes, setBulkNotes] = useState('');
   const [attendanceMode, setAttendanceMode] = useState('manual');
   const [studentIdInput, setStudentIdInput] = useState('');
   const [error, setError] = useState('');
@@ -67,6 +108,8 @@ export default function MarkAttendancePage() {
   const [isCameraActive, setIsCameraActive] = useState(false);
   const [cameraError, setCameraError] = useState('');
   const [guardianNotifyRows, setGuardianNotifyRows] = useState([]);
+  const [dietaryAlert, setDietaryAlert] = useState(null);
+  const [dietaryOverrideReason, setDietaryOverrideReason] = useState('');
 
   const selectedSession = useMemo(
     () => sessions.find((session) => session.id === selectedSessionId),
@@ -181,6 +224,15 @@ export default function MarkAttendancePage() {
       setSuccessMessage('Attendance marked successfully.');
       await Promise.all([loadSessions(), loadSessionRoster()]);
     } catch (markError) {
+      if (markError.code === 'DIETARY_CONFLICT_BLOCKED') {
+        setDietaryOverrideReason('');
+        setDietaryAlert({
+          studentId: studentIdInput.trim(),
+          mealSessionId: selectedSessionId,
+          safety: markError.safety,
+          blocked: true,
+        });
+      }
       setError(describeApiFetchFailure(markError, 'Failed to mark attendance'));
     } finally {
       setIsBusy(false);
@@ -229,6 +281,15 @@ export default function MarkAttendancePage() {
         );
         await Promise.all([loadSessions(), loadSessionRoster()]);
       } catch (markError) {
+        if (markError.code === 'DIETARY_CONFLICT_BLOCKED') {
+          setDietaryOverrideReason('');
+          setDietaryAlert({
+            studentId: String(studentId).trim(),
+            mealSessionId: selectedSessionId,
+            safety: markError.safety,
+            blocked: true,
+          });
+        }
         setError(
           describeApiFetchFailure(
             markError,
@@ -251,22 +312,84 @@ export default function MarkAttendancePage() {
     ],
   );
 
-  const extractStudentIdFromQrValue = (decodedValue) => {
-    if (!decodedValue) return '';
-    const text = String(decodedValue).trim();
-    if (!text) return '';
+  // Selection only makes sense within one session's roster
+  useEffect(() => {
+    setSelectedStudentIds([]);
+  }, [selectedSessionId]);
 
-    try {
-      const parsed = JSON.parse(text);
-      if (parsed?.studentId) {
-        return String(parsed.studentId).trim();
+  const markStudentsInBulk = useCallback(
+    async ({ status, allUnmarked = false }) => {
+      if (!selectedSessionId) return;
+      setIsBusy(true);
+      setError('');
+      try {
+        const result = await bulkMarkAttendance({
+          apiUrl,
+          getToken: isSignedIn ? getToken : undefined,
+          mealSessionId: selectedSessionId,
+          status,
+          studentIds: selectedStudentIds,
+          allUnmarked,
+          notes: bulkNotes.trim(),
+        });
+        const changed =
+          (result.summary?.MARKED || 0) + (result.summary?.UPDATED || 0);
+        const notInSchool = result.summary?.STUDENT_NOT_IN_SCHOOL || 0;
+        const blockedIds = (result.results || [])
+          .filter((r) => r.outcome === 'DIETARY_CONFLICT_BLOCKED')
+          .map((r) => r.studentId);
+        setSuccessMessage(
+          `Marked ${changed} student${changed === 1 ? '' : 's'} as ${status
+            .replace('_', '-')
+            .toLowerCase()}.${
+            notInSchool > 0
+              ? ` ${notInSchool} not active at this school were skipped.`
+              : ''
+          }${
+            blockedIds.length > 0
+              ? ` Not marked because the meal conflicts with their dietary needs: ${blockedIds.join(', ')}. Scan them individually to override.`
+              : ''
+          }`,
+        );
+        setSelectedStudentIds([]);
+        setBulkNotes('');
+        await Promise.all([loadSessions(), loadSessionRoster()]);
+      } catch (markError) {
+        setError(describeApiFetchFailure(markError, 'Failed to mark students'));
+      } finally {
+        setIsBusy(false);
       }
-    } catch {
-      // Not JSON; treat as raw student ID text.
-    }
+    },
+    [
+      apiUrl,
+      bulkNotes,
+      getToken,
+      isSignedIn,
+      loadSessionRoster,
+      loadSessions,
+      selectedSessionId,
+      selectedStudentIds,
+    ],
+  );
 
-    return text;
-  };
+  const handleOfflineScansSynced = useCallback(
+    async ({ accepted, issues }) => {
+      setSuccessMessage(
+        issues.length > 0
+          ? `Synced offline scans: ${accepted} accepted, ${issues.length} need attention.`
+          : `Synced ${accepted} offline scan${accepted === 1 ? '' : 's'}.`,
+      );
+      await Promise.all([loadSessions(), loadSessionRoster()]);
+    },
+    [loadSessionRoster, loadSessions],
+  );
+
+  const offlineQueue = useOfflineScanQueue({
+    apiUrl,
+    getToken: isSignedIn ? getToken : undefined,
+    onSynced: handleOfflineScansSynced,
+  });
+  const { queueScan } = offlineQueue;
 
   const markAttendanceFromQrValue = useCallback(
     async (decodedValue, successText = 'Attendance marked via QR.') => {
@@ -275,13 +398,51 @@ export default function MarkAttendancePage() {
         throw new Error('QR code does not contain a valid student ID.');
       }
 
-      await markAttendanceByQr({
-        apiUrl,
-        getToken: isSignedIn ? getToken : undefined,
-        studentId,
-        mealSessionId: selectedSessionId,
-      });
+      const qrToken = toMealScanQrToken(decodedValue);
+      setDietaryAlert(null);
+      const queueOffline = async () => {
+        await queueScan({ mealSessionId: selectedSessionId, qrToken });
+        setSuccessMessage(
+          `Saved offline for ${studentId}; it will sync when the connection is back.`,
+        );
+        return studentId;
+      };
+
+      if (!navigator.onLine) {
+        return queueOffline();
+      }
 
+      let attendance;
+      try {
+        attendance = await markAttendanceByQr({
+          apiUrl,
+          getToken: isSignedIn ? getToken : undefined,
+          qrToken,
+          mealSessionId: selectedSessionId,
+        });
+      } catch (scanError) {
+        if (isNetworkFailure(scanError)) {
+          return queueOffline();
+        }
+        if (scanError.code === 'DIETARY_CONFLICT_BLOCKED') {
+          setDietaryOverrideReason('');
+          setDietaryAlert({
+            studentId,
+            qrToken,
+            mealSessionId: selectedSessionId,
+            safety: scanError.safety,
+            blocked: true,
+          });
+        }
+        throw scanError;
+      }
+
+      const verdict = attendance?.safety?.verdict;
+      setDietaryAlert(
+        verdict === 'warning' || verdict === 'block'
+          ? { studentId, safety: attendance.safety, blocked: false }
+          : null,
+      );
       setSuccessMessage(successText);
       await Promise.all([loadSessions(), loadSessionRoster()]);
       return studentId;
@@ -292,6 +453,7 @@ export default function MarkAttendancePage() {
       isSignedIn,
       loadSessionRoster,
       loadSessions,
+      queueScan,
       selectedSessionId,
     ],
   );
@@ -549,6 +711,49 @@ export default function MarkAttendancePage() {
     }
   };
 
+  const handleDietaryOverride = async (event) => {
+    event.preventDefault();
+    const reason = dietaryOverrideReason.trim();
+    if (!dietaryAlert?.blocked || reason.length < 3) return;
+    setIsBusy(true);
+    setError('');
+    try {
+      // Blocked scans carry their QR token; manual and roster marks do not
+      const attendance = dietaryAlert.qrToken
+        ? await markAttendanceByQr({
+            apiUrl,
+            getToken: isSignedIn ? getToken : undefined,
+            qrToken: dietaryAlert.qrToken,
+            mealSessionId: dietaryAlert.mealSessionId,
+            overrideReason: reason,
+          })
+        : await markAttendanceByStudentId({
+            apiUrl,
+            getToken: isSignedIn ? getToken : undefined,
+            studentId: dietaryAlert.studentId,
+            mealSessionId: dietaryAlert.mealSessionId,
+            status: 'PRESENT',
+            overrideReason: reason,
+          });
+      setDietaryAlert({
+        studentId: dietaryAlert.studentId,
+        safety: attendance?.safety ?? dietaryAlert.safety,
+        blocked: false,
+      });
+      setDietaryOverrideReason('');
+      setSuccessMessage(
+        `Attendance marked for ${dietaryAlert.studentId} with a dietary override.`,
+      );
+      await Promise.all([loadSessions(), loadSessionRoster()]);
+    } catch (overrideError) {
+      setError(
+        describeApiFetchFailure(overrideError, 'Failed to override and mark'),
+      );
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
   const handleCompleteSession = async () => {
     if (!selectedSessionId) return;
     setIsBusy(true);
@@ -574,6 +779,51 @@ export default function MarkAttendancePage() {
     }
   };
 
+  const hasResendableNotifications = guardianNotifyRows.some((row) =>
+    RESENDABLE_NOTIFICATION_STATUSES.includes(row.status),
+  );
+
+  const runGuardianNotificationAction = async (action, describeResult) => {
+    if (!selectedSessionId) return;
+    setIsBusy(true);
+    setError('');
+    try {
+      const result = await action({
+        apiUrl,
+        getToken: isSignedIn ? getToken : undefined,
+        mealSessionId: selectedSessionId,
+      });
+      setSuccessMessage(describeResult(result));
+      await loadGuardianNotifications();
+    } catch (actionError) {
+      setError(
+        describeApiFetchFailure(
+          actionError,
+          'Failed to resend guardian notification',
+        ),
+      );
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleResendNotification = (row) =>
+    runGuardianNotificationAction(
+      (params) =>
+        resendGuardianNotification({ ...params, notificationId: row.id }),
+      (notification) =>
+        notification.status === 'SENT'
+          ? `Notification for ${row.studentId} resent.`
+          : `Resend for ${row.studentId} failed again; it will be retried.`,
+    );
+
+  const handleRetryFailedNotifications = () =>
+    runGuardianNotificationAction(
+      retryFailedGuardianNotifications,
+      (result) =>
+        `Retried ${result.retried} notification(s): ${result.sent} sent, ${result.failed} still failing.`,
+    );
+
   const filteredRosterRows = useMemo(() => {
     if (rosterFilter === 'ALL') return sessionRosterRows;
     return sessionRosterRows.filter(
@@ -581,10 +831,36 @@ export default function MarkAttendancePage() {
     );
   }, [sessionRosterRows, rosterFilter]);
 
+  const allFilteredSelected =
+    filteredRosterRows.length > 0 &&
+    filteredRosterRows.every((row) =>
+      selectedStudentIds.includes(row.studentId),
+    );
+
+  const toggleStudentSelected = (studentId) =>
+    setSelectedStudentIds((prev) =>
+      prev.includes(studentId)
+        ? prev.filter((id) => id !== studentId)
+        : [...prev, studentId],
+    );
+
+  const toggleAllFilteredSelected = () => {
+    const filteredIds = filteredRosterRows.map((row) => row.studentId);
+    setSelectedStudentIds((prev) =>
+      allFilteredSelected
+        ? prev.filter((id) => !filteredIds.includes(id))
+        : [...new Set([...prev, ...filteredIds])],
+    );
+  };
+
+  const isBulkMarkDisabled =
+    !selectedSessionId || isBusy || isSelectedSessionCompleted;
+
   const rosterCounts = useMemo(() => {
     const base = {
       ALL: sessionRosterRows.length,
       NOT_MARKED: 0,
+      PRE_EXCUSED: 0,
       PRESENT: 0,
       EXCUSED: 0,
       NO_SHOW: 0,
@@ -598,6 +874,68 @@ export default function MarkAttendancePage() {
     return base;
   }, [sessionRosterRows]);
 
+  // Pre-excused students have no attendance yet, so bulk marking counts them
+  const unmarkedCount = rosterCounts.NOT_MARKED + rosterCounts.PRE_EXCUSED;
+
+  const dietaryAlertPanel = dietaryAlert && (
+    <div
+      className={cn(
+        'mb-3 rounded-xl border px-4 py-3 text-sm shadow-sm',
+        dietaryAlert.safety?.verdict === 'block'
+          ? 'border-red-200 bg-red-50 text-red-900'
+          : 'border-amber-200 bg-amber-50 text-amber-900',
+      )}
+      role="alert"
+    >
+      <p className="font-semibold">
+        Dietary{' '}
+        {dietaryAlert.safety?.verdict === 'block' ? 'conflict' : 'warning'} for{' '}
+        {dietaryAlert.studentId}
+        {dietaryAlert.safety?.recipe?.recipeName
+          ? ` (${dietaryAlert.safety.recipe.recipeName})`
+          : ''}
+      </p>
+      <ul className="mt-1 list-disc pl-5 text-xs">
+        {describeDietaryConflicts(dietaryAlert.safety).map((line) => (
+          <li key={line}>{line}</li>
+        ))}
+      </ul>
+      {dietaryAlert.blocked ? (
+        <form
+          onSubmit={handleDietaryOverride}
+          className="mt-3 flex flex-wrap items-center gap-2"
+        >
+          <input
+            value={dietaryOverrideReason}
+            onChange={(event) => setDietaryOverrideReason(event.target.value)}
+            maxLength={500}
+            placeholder="Reason for serving anyway"
+            aria-label="Dietary override reason"
+            className="h-9 min-w-[220px] flex-1 rounded-lg border border-zinc-200 bg-white px-3 text-xs text-zinc-800 outline-none focus:border-green-600"
+          />
+          <button
+            type="submit"
+            disabled={isBusy || dietaryOverrideReason.trim().length < 3}
+            className={mealPrimaryButtonCompactClass}
+          >
+            Override and mark
+          </button>
+          <button
+            type="button"
+            onClick={() => setDietaryAlert(null)}
+            className="h-9 rounded-xl px-3 text-xs font-semibold text-zinc-600 hover:bg-white/70"
+          >
+            Dismiss
+          </button>
+        </form>
+      ) : (
+        dietaryAlert.safety?.overridden && (
+          <p className="mt-1 text-xs">Served with a logged staff override.</p>
+        )
+      )}
+    </div>
+  );
+
   return (
     <MealDistributionLayout
       activeItemKey="attendance"
@@ -670,6 +1008,67 @@ export default function MarkAttendancePage() {
           </div>
         </div>
 
+        {(!offlineQueue.isOnline ||
+          offlineQueue.queuedCount > 0 ||
+          offlineQueue.issues.length > 0 ||
+          offlineQueue.syncError) && (
+          <div
+            className="mt-4 rounded-lg border border-amber-200 bg-amber-50 px-4 py-3 text-xs font-medium text-amber-900"
+            role="status"
+          >
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <p>
+                {offlineQueue.isOnline
+                  ? 'Online.'
+                  : 'Offline — QR scans are saved on this device.'}{' '}
+                {offlineQueue.queuedCount > 0 &&
+                  `${offlineQueue.queuedCount} scan${offlineQueue.queuedCount === 1 ? '' : 's'} waiting to sync.`}
+              </p>
+              {offlineQueue.queuedCount > 0 && (
+                <button
+                  type="button"
+                  onClick={() => offlineQueue.syncNow()}
+                  disabled={!offlineQueue.isOnline || offlineQueue.isSyncing}
+                  className={mealPrimaryButtonCompactClass}
+                >
+                  {offlineQueue.isSyncing ? 'Syncing...' : 'Sync now'}
+                </button>
+              )}
+            </div>
+            {offlineQueue.syncError && (
+              <p className="mt-2 text-red-700">{offlineQueue.syncError}</p>
+            )}
+            {offlineQueue.issues.length > 0 && (
+              <div className="mt-2">
+                <ul className="space-y-1">
+                  {offlineQueue.issues.map((issue) => (
+                    <li key={issue.idempotencyKey}>
+                      {issue.studentId || 'Unknown card'} —{' '}
+                      {OFFLINE_SYNC_OUTCOME_LABELS[issue.outcome] ||
+                        issue.outcome}
+                      {issue.scannedAt
+                        ? ` (scanned ${new Date(issue.scannedAt).toLocaleTimeString()})`
+                        : ''}
+                      {describeDietaryConflicts(issue).map((line) => (
+                        <span key={line} className="block pl-4">
+                          {line}
+                        </span>
+                      ))}
+                    </li>
+                  ))}
+                </ul>
+                <button
+                  type="button"
+                  onClick={offlineQueue.dismissIssues}
+                  className="mt-2 underline"
+                >
+                  Dismiss
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
         <div className="mt-6">
           <div
             className="mb-4 inline-flex min-w-[220px] items-stretch rounded-xl bg-zinc-100 p-1 shadow-[inset_0_1px_2px_rgba(0,0,0,0.04)] ring-1 ring-zinc-200/90"
@@ -758,6 +1157,9 @@ export default function MarkAttendancePage() {
               </div>
             </form>
           )}
+          {attendanceMode === 'manual' && dietaryAlertPanel && (
+            <div className="mt-3">{dietaryAlertPanel}</div>
+          )}
 
           {attendanceMode === 'qr' && (
             <div className="rounded-xl bg-white p-5 shadow-sm">
@@ -782,6 +1184,7 @@ export default function MarkAttendancePage() {
                   <span>{error}</span>
                 </div>
               )}
+              {dietaryAlertPanel}
               {attendanceMode === 'qr' && successMessage && (
                 <div
                   className="mb-3 flex items-start gap-3 rounded-xl border border-green-200 bg-green-50 px-4 py-3 text-sm text-green-900 shadow-lg ring-2 ring-green-100/80"
@@ -933,17 +1336,34 @@ export default function MarkAttendancePage() {
         {selectedSession?.status === 'COMPLETED' &&
           guardianNotifyRows.length > 0 && (
             <div className="mt-6 overflow-x-auto rounded-xl bg-white shadow-sm">
-              <h3 className="border-b border-zinc-100 px-5 py-3 text-sm font-semibold text-zinc-800">
-                Guardian email log (no-show notices)
-              </h3>
+              <div className="flex flex-wrap items-center justify-between gap-3 border-b border-zinc-100 px-5 py-3">
+                <h3 className="text-sm font-semibold text-zinc-800">
+                  Guardian notification log (no-show notices)
+                </h3>
+                {canResendNotifications && hasResendableNotifications && (
+                  <button
+                    type="button"
+                    disabled={isBusy}
+                    onClick={handleRetryFailedNotifications}
+                    className={mealPrimaryButtonCompactClass}
+                  >
+                    Retry all failed
+                  </button>
+                )}
+              </div>
               <table className="w-full">
                 <thead className="bg-[#e7e8e8] text-left text-xs font-medium text-zinc-500">
                   <tr>
                     <th className="px-5 py-3">Student ID</th>
-                    <th className="px-5 py-3">Guardian email</th>
-                    <th className="px-5 py-3">Email status</th>
+                    <th className="px-5 py-3">Channel</th>
+                    <th className="px-5 py-3">Recipient</th>
+                    <th className="px-5 py-3">Status</th>
                     <th className="px-5 py-3">Note</th>
+                    <th className="px-5 py-3">Attempts</th>
                     <th className="px-5 py-3">Sent at</th>
+                    {canResendNotifications && (
+                      <th className="px-5 py-3">Action</th>
+                    )}
                   </tr>
                 </thead>
                 <tbody className="divide-y divide-zinc-100">
@@ -952,21 +1372,56 @@ export default function MarkAttendancePage() {
                       <td className="px-5 py-3 text-sm text-zinc-800">
                         {row.studentId}
                       </td>
+                      <td className="px-5 py-3 text-sm text-zinc-800 uppercase">
+                        {row.channel || 'email'}
+                      </td>
                       <td className="px-5 py-3 text-sm text-zinc-800">
-                        {row.guardianEmail || '—'}
+                        {row.recipient || row.guardianEmail || '—'}
                       </td>
                       <td className="px-5 py-3 text-sm text-zinc-800">
                         {row.status}
                         {row.skipReason ? ` (${row.skipReason})` : ''}
+                        {row.digest && (
+                          <span className="block text-xs text-zinc-500">
+                            Daily digest {row.digest.status}
+                          </span>
+                        )}
                       </td>
                       <td className="px-5 py-3 text-sm text-zinc-600">
-                        {row.errorMessage || '—'}
+                        {row.errorMessage || row.digest?.errorMessage || '—'}
+                      </td>
+                      <td className="px-5 py-3 text-sm text-zinc-800">
+                        {row.attempts || 0}
+                        {row.nextAttemptAt && (
+                          <span className="block text-xs text-zinc-500">
+                            Next retry{' '}
+                            {new Date(row.nextAttemptAt).toLocaleString()}
+                          </span>
+                        )}
                       </td>
                       <td className="px-5 py-3 text-sm text-zinc-800">
-                        {row.sentAt
-                          ? new Date(row.sentAt).toLocaleString()
+                        {row.sentAt || row.digest?.sentAt
+                          ? new Date(
+                              row.sentAt || row.digest.sentAt,
+                            ).toLocaleString()
                           : '—'}
                       </td>
+                      {canResendNotifications && (
+                        <td className="px-5 py-3 text-sm">
+                          {RESENDABLE_NOTIFICATION_STATUSES.includes(
+                            row.status,
+                          ) && (
+                            <button
+                              type="button"
+                              disabled={isBusy}
+                              onClick={() => handleResendNotification(row)}
+                              className="font-semibold text-[#116e20] hover:underline disabled:opacity-50"
+                            >
+                              Resend
+                            </button>
+                          )}
+                        </td>
+                      )}
                     </tr>
                   ))}
                 </tbody>
@@ -983,6 +1438,7 @@ export default function MarkAttendancePage() {
               {[
                 ['ALL', 'All'],
                 ['NOT_MARKED', 'Not Marked'],
+                ['PRE_EXCUSED', 'Pre-excused'],
                 ['PRESENT', 'Present'],
                 ['EXCUSED', 'Excused'],
                 ['NO_SHOW', 'No-Show'],
@@ -1004,10 +1460,57 @@ export default function MarkAttendancePage() {
             </div>
           </div>
 
+          <div className="mb-3 flex flex-wrap items-center gap-2 text-sm">
+            <span className="font-semibold text-zinc-700">
+              {selectedStudentIds.length} selected
+            </span>
+            <input
+              type="text"
+              value={bulkNotes}
+              onChange={(event) => setBulkNotes(event.target.value)}
+              placeholder="Note (optional), e.g. class trip"
+              className="min-w-[220px] flex-1 rounded-lg border border-zinc-200 bg-white px-3 py-1.5 text-sm text-zinc-800"
+            />
+            {[
+              ['PRESENT', 'Mark present'],
+              ['EXCUSED', 'Mark excused'],
+              ['NO_SHOW', 'Mark no-show'],
+            ].map(([status, label]) => (
+              <button
+                key={status}
+                type="button"
+                disabled={isBulkMarkDisabled || selectedStudentIds.length === 0}
+                onClick={() => markStudentsInBulk({ status })}
+                className={mealPrimaryButtonCompactClass}
+              >
+                {label}
+              </button>
+            ))}
+            <button
+              type="button"
+              disabled={isBulkMarkDisabled || unmarkedCount === 0}
+              onClick={() =>
+                markStudentsInBulk({ status: 'EXCUSED', allUnmarked: true })
+              }
+              className={mealPrimaryButtonCompactClass}
+            >
+              Mark remaining as excused ({unmarkedCount})
+            </button>
+          </div>
+
           <div className="overflow-x-auto">
             <table className="w-full">
               <thead className="bg-[#e7e8e8] text-left text-xs font-medium text-zinc-500">
                 <tr>
+                  <th className="px-5 py-3">
+                    <input
+                      type="checkbox"
+                      aria-label="Select all shown students"
+                      checked={allFilteredSelected}
+                      disabled={isBulkMarkDisabled}
+                      onChange={toggleAllFilteredSelected}
+                    />
+                  </th>
                   <th className="px-5 py-3">Student ID</th>
                   <th className="px-5 py-3">Name</th>
                   <th className="px-5 py-3">Status</th>
@@ -1018,6 +1521,15 @@ export default function MarkAttendancePage() {
               <tbody className="divide-y divide-zinc-100">
                 {filteredRosterRows.map((row) => (
                   <tr key={row.studentId}>
+                    <td className="px-5 py-3">
+                      <input
+                        type="checkbox"
+                        aria-label={`Select ${row.studentId}`}
+                        checked={selectedStudentIds.includes(row.studentId)}
+                        disabled={isBulkMarkDisabled}
+                        onChange={() => toggleStudentSelected(row.studentId)}
+                      />
+                    </td>
                     <td className="px-5 py-3 text-sm text-zinc-800">
                       {row.studentId}
                     </td>
@@ -1026,6 +1538,11 @@ export default function MarkAttendancePage() {
                     </td>
                     <td className="px-5 py-3 text-sm text-zinc-800">
                       {row.status}
+                      {row.absence && (
+                        <span className="block text-xs text-zinc-500">
+                          Absence: {row.absence.reason}
+                        </span>
+                      )}
                     </td>
                     <td className="px-5 py-3 text-sm text-zinc-800">
                       {row.servedAt
@@ -1075,7 +1592,7 @@ export default function MarkAttendancePage() {
                 {filteredRosterRows.length === 0 && (
                   <tr>
                     <td
-                      colSpan={5}
+                      colSpan={6}
                       className="px-5 py-6 text-center text-sm text-zinc-500"
                     >
                       No students found for selected filter/session.
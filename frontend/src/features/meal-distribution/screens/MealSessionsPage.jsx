@@ -24,6 +24,14 @@ function formatMealType(mealType) {
     .replace(/^\w/, (m) => m.toUpperCase());
 }
 
+function formatSessionScope(session) {
+  const parts = [];
+  if (session.grade)
+    parts.push(`Grade ${session.grade.replace(/^grade\s*/i, '')}`);
+  if (session.className) parts.push(`Class ${session.className}`);
+  return parts.join(' · ');
+}
+
 function addDaysToDateInputValue(dateValue, daysToAdd) {
   if (!dateValue) return '';
   const baseDate = new Date(dateValue);
@@ -53,6 +61,8 @@ export default function MealSessionsPage() {
   const [createForm, setCreateForm] = useState({
     date: new Date().toISOString().slice(0, 10),
     mealType: 'LUNCH',
+    grade: '',
+    className: '',
   });
   const weekStartInputRef = useRef(null);
   const weekEndInputRef = useRef(null);
@@ -183,6 +193,12 @@ export default function MealSessionsPage() {
         payload: {
           date: createForm.date,
           mealType: createForm.mealType,
+          ...(createForm.grade.trim()
+            ? { grade: createForm.grade.trim() }
+            : {}),
+          ...(createForm.className.trim()
+            ? { className: createForm.className.trim() }
+            : {}),
           schoolId,
         },
       });
@@ -191,6 +207,8 @@ export default function MealSessionsPage() {
       setCreateForm({
         date: new Date().toISOString().slice(0, 10),
         mealType: 'LUNCH',
+        grade: '',
+        className: '',
       });
       setSuccessMessage('Session created successfully.');
       await loadSessions();
@@ -370,6 +388,11 @@ export default function MealSessionsPage() {
                 >
                   <td className="rounded-l-[12px] px-6 py-4 text-xs font-medium text-zinc-800">
                     {formatMealType(item.mealType)}
+                    {(item.grade || item.className) && (
+                      <p className="mt-0.5 text-[11px] font-normal text-zinc-500">
+                        {formatSessionScope(item)}
+                      </p>
+                    )}
                   </td>
                   <td className="px-2 py-4 text-xs font-medium text-zinc-800">
                     {item.date ? new Date(item.date).toLocaleDateString() : '-'}
@@ -486,6 +509,47 @@ export default function MealSessionsPage() {
                 </select>
               </div>
 
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="mb-1 block text-xs font-semibold text-zinc-600">
+                    Grade (optional)
+                  </label>
+                  <input
+                    type="text"
+                    value={createForm.grade}
+                    placeholder="Whole school"
+                    onChange={(event) =>
+                      setCreateForm((previous) => ({
+                        ...previous,
+                        grade: event.target.value,
+                      }))
+                    }
+                    className="h-10 w-full rounded-lg border border-zinc-200 px-3 text-sm outline-none focus:border-green-600"
+                  />
+                </div>
+                <div>
+                  <label className="mb-1 block text-xs font-semibold text-zinc-600">
+                    Class (optional)
+                  </label>
+                  <input
+                    type="text"
+                    value={createForm.className}
+                    placeholder="e.g. 5A"
+                    onChange={(event) =>
+                      setCreateForm((previous) => ({
+                        ...previous,
+                        className: event.target.value,
+                      }))
+                    }
+                    className="h-10 w-full rounded-lg border border-zinc-200 px-3 text-sm outline-none focus:border-green-600"
+                  />
+                </div>
+              </div>
+              <p className="-mt-2 text-[11px] text-zinc-500">
+                Only students in this grade and class appear on the roster and
+                can be scanned.
+              </p>
+
               {createError && (
                 <p className="text-xs font-medium text-red-600">
                   {createError}
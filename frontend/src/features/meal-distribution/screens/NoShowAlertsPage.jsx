@@ -6,6 +6,7 @@ import { resolveApiBaseUrl } from '../../../lib/resolve-api-base';
 import { fetchNoShowAlerts } from '../api';
 import StatusMessage from '@/components/common/StatusMessage';
 import MealDistributionLayout from '../layouts/MealDistributionLayout';
+import { NoShowPatternAlertsPanel } from '../components';
 import {
   formatMealDistributionSchoolSubtitle,
   useMealDistributionSchool,
@@ -125,6 +126,8 @@ export default function NoShowAlertsPage() {
         { label: 'No-Show Alerts' },
       ]}
     >
+      <NoShowPatternAlertsPanel schoolId={schoolId} />
+
       <section className="rounded-[12px] bg-[#f0f1f1] p-8">
         <div className="mb-6 flex flex-wrap items-center justify-between gap-3">
           <h2 className="font-['Plus_Jakarta_Sans','Inter_Variable',sans-serif] text-[20px] font-bold tracking-[-0.4px] text-zinc-800">
@@ -0,0 +1,59 @@
+/** Prefix of server-signed meal-card tokens (`KF1.<keyId>.<payload>.<signature>`). */
+const SIGNED_MEAL_CARD_PREFIX = 'KF1.';
+
+function decodeBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64.padEnd(Math.ceil(base64.length / 4) * 4, '=');
+  return atob(padded);
+}
+
+/**
+ * Best-effort student ID for display. Signed tokens are verified by the
+ * server; this only reads the payload so messages can name the student.
+ */
+export function extractStudentIdFromQrValue(decodedValue) {
+  if (!decodedValue) return '';
+  const text = String(decodedValue).trim();
+  if (!text) return '';
+
+  if (text.startsWith(SIGNED_MEAL_CARD_PREFIX)) {
+    try {
+      const [, , payload] = text.split('.');
+      const claims = JSON.parse(decodeBase64Url(payload || ''));
+      return claims?.sid ? String(claims.sid).trim() : '';
+    } catch {
+      return '';
+    }
+  }
+
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed?.studentId) {
+      return String(parsed.studentId).trim();
+    }
+  } catch {
+    // Not JSON; treat as raw student ID text.
+  }
+
+  return text;
+}
+
+/**
+ * Value to send as `qrToken` to POST /api/meal-scan: signed and legacy JSON
+ * cards are passed through untouched, raw student ID text is wrapped in the
+ * legacy JSON shape.
+ */
+export function toMealScanQrToken(decodedValue) {
+  const text = String(decodedValue || '').trim();
+  if (!text) return '';
+  if (text.startsWith(SIGNED_MEAL_CARD_PREFIX)) return text;
+
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed?.studentId) return text;
+  } catch {
+    // Not JSON; fall through.
+  }
+
+  return JSON.stringify({ studentId: text });
+}
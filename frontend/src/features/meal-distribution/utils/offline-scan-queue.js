@@ -0,0 +1,78 @@
+const DB_NAME = 'kidsfeed-meal-distribution';
+const DB_VERSION = 1;
+const STORE_NAME = 'offline-scans';
+
+function openQueueDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('Offline scanning is not supported in this browser.'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: 'idempotencyKey' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function runInStore(mode, work) {
+  const db = await openQueueDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const result = work(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(result?.result ?? result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+function createIdempotencyKey() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Stores a scan taken while offline. Either `qrToken` or `studentId` is set.
+ * @returns {Promise<object>} The queued scan, including its idempotency key.
+ */
+export async function enqueueOfflineScan({
+  mealSessionId,
+  qrToken,
+  studentId,
+}) {
+  const scan = {
+    idempotencyKey: createIdempotencyKey(),
+    mealSessionId,
+    qrToken: qrToken || undefined,
+    studentId: studentId || undefined,
+    scannedAt: new Date().toISOString(),
+  };
+  await runInStore('readwrite', (store) => store.add(scan));
+  return scan;
+}
+
+/** Queued scans, oldest first. */
+export async function listOfflineScans() {
+  const scans = await runInStore('readonly', (store) => store.getAll());
+  return [...(scans || [])].sort((a, b) =>
+    String(a.scannedAt).localeCompare(String(b.scannedAt)),
+  );
+}
+
+export async function removeOfflineScans(idempotencyKeys) {
+  if (!idempotencyKeys.length) return;
+  await runInStore('readwrite', (store) => {
+    idempotencyKeys.forEach((key) => store.delete(key));
+  });
+}
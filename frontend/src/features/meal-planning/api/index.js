@@ -21,10 +21,14 @@ async function fetchMealPlanningApi({ apiUrl, path, getToken, options = {} }) {
   }
 
   if (!response.ok) {
-    throw new Error(
-      payload?.error ||
-        payload?.message ||
-        `Request failed with status ${response.status}`,
+    // Keep the payload so callers can read structured error data (e.g. a shortfall report).
+    throw Object.assign(
+      new Error(
+        payload?.error ||
+          payload?.message ||
+          `Request failed with status ${response.status}`,
+      ),
+      { status: response.status, payload },
     );
   }
 
@@ -131,32 +135,48 @@ export async function updateMealPlan({ apiUrl, planId, getToken, payload }) {
   return responsePayload?.data || null;
 }
 
-export async function decrementInventoryQuantity({
+export async function checkMealPlanInventory({ apiUrl, planId, getToken }) {
+  if (!planId) {
+    throw new Error('Meal plan id is required.');
+  }
+
+  const payload = await fetchMealPlanningApi({
+    apiUrl,
+    path: `/api/meal-plans/${planId}/inventory-check`,
+    getToken,
+    options: { method: 'POST' },
+  });
+
+  return payload?.data || null;
+}
+
+export async function confirmMealPlan({
   apiUrl,
-  itemId,
-  amount,
+  planId,
   getToken,
+  overrideReason,
 }) {
-  if (!itemId) {
-    throw new Error('Inventory item id is required.');
-  }
-
-  if (!Number.isFinite(amount) || amount <= 0) {
-    throw new Error('Decrement amount must be greater than 0.');
+  if (!planId) {
+    throw new Error('Meal plan id is required.');
   }
 
   const payload = await fetchMealPlanningApi({
     apiUrl,
-    path: `/api/inventory/${itemId}/decrement`,
+    path: `/api/meal-plans/${planId}/confirm`,
     getToken,
     options: {
-      method: 'PATCH',
+      method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({ amount }),
+      body: JSON.stringify(
+        overrideReason ? { overrideShortages: true, overrideReason } : {},
+      ),
     },
   });
 
-  return payload?.data || null;
+  return {
+    mealPlan: payload?.data || null,
+    reservation: payload?.reservation || null,
+  };
 }
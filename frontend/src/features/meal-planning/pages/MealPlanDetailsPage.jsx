@@ -1,5 +1,11 @@
 import { useAuth } from '@clerk/clerk-react';
-import { Leaf, Pencil, ShieldCheck, UtensilsCrossed } from 'lucide-react';
+import {
+  Leaf,
+  PackageSearch,
+  Pencil,
+  ShieldCheck,
+  UtensilsCrossed,
+} from 'lucide-react';
 import { useEffect, useMemo, useState } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { describeApiFetchFailure } from '@/lib/describe-api-fetch-failure';
@@ -7,7 +13,11 @@ import { resolveApiBaseUrl } from '@/lib/resolve-api-base';
 import { useAuthRole } from '@/lib/auth/use-auth-role';
 import { PageLoadingScreen } from '@/features/menu-management/components';
 import MenuManagementLayout from '@/features/menu-management/layouts/MenuManagementLayout';
-import { fetchMealPlanById } from '../api';
+import {
+  checkMealPlanInventory,
+  confirmMealPlan,
+  fetchMealPlanById,
+} from '../api';
 
 const DAY_ORDER = {
   Monday: 1,
@@ -66,6 +76,20 @@ function estimateNutrition(plan) {
   };
 }
 
+const INVENTORY_STATUS_LABELS = {
+  sufficient: 'In stock',
+  short: 'Short',
+  unmatched: 'Not in inventory',
+  unit_mismatch: 'Unit mismatch',
+};
+
+function formatQuantity(value, unit) {
+  if (value === null || value === undefined) {
+    return '--';
+  }
+  return `${Number(value).toLocaleString()} ${unit || ''}`.trim();
+}
+
 function getMealTypeLabel(mealType) {
   const normalized = normalizeText(mealType);
   if (!normalized) {
@@ -84,6 +108,12 @@ function MealPlanDetailsPage() {
   const [mealPlan, setMealPlan] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
+  const [inventoryReport, setInventoryReport] = useState(null);
+  const [inventoryError, setInventoryError] = useState('');
+  const [isCheckingInventory, setIsCheckingInventory] = useState(false);
+  const [isConfirming, setIsConfirming] = useState(false);
+  const [overrideReason, setOverrideReason] = useState('');
+  const [reservation, setReservation] = useState(null);
 
   useEffect(() => {
     if (!apiBaseUrl || !planId) {
@@ -153,6 +183,60 @@ function MealPlanDetailsPage() {
 
   const nutrition = useMemo(() => estimateNutrition(mealPlan), [mealPlan]);
 
+  const handleInventoryCheck = async () => {
+    setIsCheckingInventory(true);
+    setInventoryError('');
+
+    try {
+      const report = await checkMealPlanInventory({
+        apiUrl: apiBaseUrl,
+        planId,
+        getToken: isSignedIn ? getToken : undefined,
+      });
+      setInventoryReport(report);
+      setMealPlan((current) =>
+        current
+          ? { ...current, inventoryChecked: !report?.hasShortages }
+          : current,
+      );
+    } catch (requestError) {
+      setInventoryError(
+        describeApiFetchFailure(requestError, 'Failed to check inventory.'),
+      );
+    } finally {
+      setIsCheckingInventory(false);
+    }
+  };
+
+  const handleConfirm = async () => {
+    setIsConfirming(true);
+    setInventoryError('');
+
+    try {
+      const result = await confirmMealPlan({
+        apiUrl: apiBaseUrl,
+        planId,
+        getToken: isSignedIn ? getToken : undefined,
+        overrideReason: inventoryReport?.hasShortages
+          ? overrideReason.trim()
+          : undefined,
+      });
+      setMealPlan(result.mealPlan);
+      setReservation(result.reservation);
+      setOverrideReason('');
+    } catch (requestError) {
+      // A 409 carries the shortfall report so staff can review or override.
+      if (requestError?.status === 409 && requestError.payload?.data) {
+        setInventoryReport(requestError.payload.data);
+      }
+      setInventoryError(
+        describeApiFetchFailure(requestError, 'Failed to confirm meal plan.'),
+      );
+    } finally {
+      setIsConfirming(false);
+    }
+  };
+
   const normalizedStatus = normalizeText(mealPlan?.status);
   const isPlanned = normalizedStatus === 'planned';
 
@@ -333,6 +417,123 @@ function MealPlanDetailsPage() {
               </div>
             </article>
 
+            <article className="rounded-[16px] bg-white p-4 shadow-[0_1px_2px_rgba(0,0,0,0.04)]">
+              <h3 className="inline-flex items-center gap-2 text-lg font-semibold text-[#313733]">
+                <PackageSearch size={16} />
+                Inventory Check
+              </h3>
+              <p className="mt-1 text-xs text-[#6f766f]">
+                {mealPlan.inventoryChecked
+                  ? 'Stock covered every ingredient at the last check.'
+                  : 'Compare planned ingredients with current stock.'}
+              </p>
+              {mealPlan.inventoryOverride ? (
+                <p className="mt-2 rounded-[10px] bg-[#fdf3e7] px-3 py-2 text-xs text-[#8a5a1c]">
+                  Confirmed despite shortages:{' '}
+                  {mealPlan.inventoryOverride.reason}
+                </p>
+              ) : null}
+
+              {inventoryError ? (
+                <p className="mt-3 rounded-[10px] border border-[#f3cece] bg-[#fdecec] px-3 py-2 text-xs text-[#a61e1e]">
+                  {inventoryError}
+                </p>
+              ) : null}
+
+              {reservation ? (
+                <p className="mt-2 rounded-[10px] bg-[#e8f5e8] px-3 py-2 text-xs text-[#1f7a34]">
+                  Reserved stock for {reservation.reserved} batch line(s).
+                  {reservation.shortfalls.length
+                    ? ` ${reservation.shortfalls.length} meal ingredient(s) could not be fully reserved.`
+                    : ''}
+                </p>
+              ) : null}
+
+              {inventoryReport ? (
+                <ul className="mt-3 space-y-2">
+                  {inventoryReport.ingredients.map((ingredient) => (
+                    <li
+                      key={ingredient.ingredientName}
+                      className="rounded-[10px] bg-[#f4f6f3] px-3 py-2 text-xs"
+                    >
+                      <div className="flex items-center justify-between gap-2">
+                        <span className="font-semibold text-[#313733]">
+                          {ingredient.ingredientName}
+                        </span>
+                        <span
+                          className={
+                            ingredient.status === 'sufficient'
+                              ? 'font-semibold text-[#1f7a34]'
+                              : 'font-semibold text-[#a61e1e]'
+                          }
+                        >
+                          {INVENTORY_STATUS_LABELS[ingredient.status] ||
+                            ingredient.status}
+                        </span>
+                      </div>
+                      <p className="mt-1 text-[#6f766f]">
+                        Needs{' '}
+                        {formatQuantity(ingredient.required, ingredient.unit)}
+                        {' · '}
+                        Available{' '}
+                        {formatQuantity(ingredient.available, ingredient.unit)}
+                        {ingredient.shortfall > 0
+                          ? ` · Short ${formatQuantity(ingredient.shortfall, ingredient.unit)}`
+                          : ''}
+                      </p>
+                    </li>
+                  ))}
+                  {inventoryReport.missingRecipes.map((meal) => (
+                    <li
+                      key={`${meal.day}-${meal.mealType}`}
+                      className="rounded-[10px] bg-[#fdecec] px-3 py-2 text-xs text-[#a61e1e]"
+                    >
+                      {meal.day} {getMealTypeLabel(meal.mealType)}: recipe{' '}
+                      {meal.recipeName || meal.recipeId} no longer exists
+                    </li>
+                  ))}
+                </ul>
+              ) : null}
+
+              <div className="mt-3 flex flex-wrap gap-2">
+                <button
+                  type="button"
+                  onClick={handleInventoryCheck}
+                  disabled={isCheckingInventory}
+                  className="rounded-full bg-[#e8f5e8] px-3 py-1.5 text-xs font-semibold text-[#1f7a34] disabled:opacity-50"
+                >
+                  {isCheckingInventory ? 'Checking...' : 'Run inventory check'}
+                </button>
+                {isPlanned ? (
+                  <button
+                    type="button"
+                    onClick={handleConfirm}
+                    disabled={
+                      isConfirming ||
+                      (inventoryReport?.hasShortages &&
+                        overrideReason.trim().length === 0)
+                    }
+                    className="rounded-full bg-[#1f7a34] px-3 py-1.5 text-xs font-semibold text-white disabled:opacity-50"
+                  >
+                    {inventoryReport?.hasShortages
+                      ? 'Confirm with override'
+                      : 'Confirm plan'}
+                  </button>
+                ) : null}
+              </div>
+
+              {isPlanned && inventoryReport?.hasShortages ? (
+                <input
+                  value={overrideReason}
+                  onChange={(event) => setOverrideReason(event.target.value)}
+                  maxLength={500}
+                  placeholder="Reason for confirming despite shortages"
+                  aria-label="Override reason"
+                  className="mt-2 w-full rounded-[10px] border border-[#ece8df] px-3 py-2 text-xs text-[#313733] outline-none focus:border-[#1f7a34]"
+                />
+              ) : null}
+            </article>
+
             <article className="rounded-[16px] bg-white p-4 shadow-[0_1px_2px_rgba(0,0,0,0.04)]">
               <h3 className="inline-flex items-center gap-2 text-lg font-semibold text-[#313733]">
                 <ShieldCheck size={16} />
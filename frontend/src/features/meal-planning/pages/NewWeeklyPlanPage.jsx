@@ -20,7 +20,6 @@ import MenuManagementLayout from '@/features/menu-management/layouts/MenuManagem
 import {
   fetchDistrictOverview,
   createMealPlan,
-  decrementInventoryQuantity,
   fetchMealPlanById,
   fetchInventoryItems,
   fetchSchoolEnrollment,
@@ -283,7 +282,10 @@ function buildMealInsight(
       inventoryItems,
       ingredient.name,
     );
-    const availableQuantity = Number(inventoryMatch?.quantity);
+    // Stock already reserved by confirmed plans is not available here.
+    const availableQuantity = Number(
+      inventoryMatch?.availableQuantity ?? inventoryMatch?.quantity,
+    );
     const inventoryId = inventoryMatch?.id || inventoryMatch?._id || null;
     const reservedQuantity = inventoryId
       ? Number(reservedByItemId.get(inventoryId) || 0)
@@ -1002,14 +1004,6 @@ function NewWeeklyPlanPage() {
     setEndDate(mondayToFriday(mondayValue));
   };
 
-  const loadInventory = async () => {
-    const items = await fetchInventoryItems({
-      apiUrl: apiBaseUrl,
-      getToken: isSignedIn ? getToken : undefined,
-    });
-    setInventoryItems(items);
-  };
-
   const handleSaveMealPlan = async (status) => {
     setSaveFeedback({ type: '', message: '' });
 
@@ -1077,32 +1071,13 @@ function NewWeeklyPlanPage() {
         });
       }
 
-      if (status === 'planned') {
-        for (const deduction of plannedDeductions) {
-          const roundedAmount = Number(deduction.amount.toFixed(4));
-          if (roundedAmount <= 0) {
-            continue;
-          }
-
-          // Sequential decrement avoids concurrent over-allocation races in the UI flow.
-          await decrementInventoryQuantity({
-            apiUrl: apiBaseUrl,
-            itemId: deduction.inventoryId,
-            amount: roundedAmount,
-            getToken: isSignedIn ? getToken : undefined,
-          });
-        }
-
-        await loadInventory();
-      }
-
       setSaveFeedback({
         type: 'success',
         message: isEditMode
           ? 'Meal plan updated successfully.'
           : status === 'draft'
             ? 'Meal draft saved to the database successfully.'
-            : 'Meal plan saved as planned and inventory quantities deducted successfully.',
+            : 'Meal plan saved as planned. Confirm it to reserve the stock.',
       });
       navigate(-1);
     } catch (requestError) {
@@ -1114,7 +1089,7 @@ function NewWeeklyPlanPage() {
             ? 'Failed to update meal plan.'
             : status === 'draft'
               ? 'Failed to save draft.'
-              : 'Failed to save planned meal plan and deduct inventory quantities.',
+              : 'Failed to save planned meal plan.',
         ),
       });
     } finally {
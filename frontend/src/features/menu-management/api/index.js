@@ -283,6 +283,30 @@ export async function createRecipe({ apiUrl, payload, getToken }) {
   return normalizeRecipe(responsePayload?.data || {});
 }
 
+export async function suggestIngredientMatches({
+  apiUrl,
+  name,
+  unit,
+  getToken,
+}) {
+  if (!apiUrl) {
+    throw new Error('API base URL is not configured.');
+  }
+
+  const endpoint = new URL('/api/recipes/ingredients/suggest-matches', apiUrl);
+  endpoint.searchParams.set('name', name);
+  if (unit) {
+    endpoint.searchParams.set('unit', unit);
+  }
+
+  const responsePayload = await fetchMenuApi({
+    url: endpoint.toString(),
+    getToken,
+  });
+
+  return Array.isArray(responsePayload?.data) ? responsePayload.data : [];
+}
+
 export async function calculateRecipeNutrition({
   apiUrl,
   ingredients,
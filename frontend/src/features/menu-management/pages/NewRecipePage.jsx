@@ -21,6 +21,7 @@ import {
   calculateRecipeNutrition,
   createRecipe,
   fetchRecipeById,
+  suggestIngredientMatches,
   updateRecipe,
 } from '../api';
 import { PageLoadingScreen } from '../components';
@@ -60,6 +61,14 @@ const INGREDIENT_UNITS = [
   { value: 'lb', label: 'Pounds (lb)' },
 ];
 
+const EMPTY_INGREDIENT = {
+  name: '',
+  quantity: '',
+  unit: '',
+  inventoryItemId: '',
+  inventoryItemName: '',
+};
+
 function NewRecipePage() {
   const { role } = useAuthRole();
   const { isSignedIn, getToken } = useAuth();
@@ -82,6 +91,8 @@ function NewRecipePage() {
   const [localImagePreviewUrl, setLocalImagePreviewUrl] = useState('');
 
   const [ingredients, setIngredients] = useState([]);
+  // Stock item suggestions per ingredient row index
+  const [stockMatches, setStockMatches] = useState({});
   const [instructions, setInstructions] = useState([]);
   const [allergens, setAllergens] = useState([]);
 
@@ -180,8 +191,10 @@ function NewRecipePage() {
                     ? ''
                     : ingredient.quantity,
                 unit: ingredient.unit || '',
+                inventoryItemId: ingredient.inventoryItemId || '',
+                inventoryItemName: '',
               }))
-            : [{ name: '', quantity: '', unit: '' }],
+            : [EMPTY_INGREDIENT],
         );
         setInstructions(
           typeof existingRecipe.instructions === 'string' &&
@@ -309,14 +322,63 @@ function NewRecipePage() {
   };
 
   const addIngredient = () => {
-    setIngredients((current) => [
-      ...current,
-      { name: '', quantity: '', unit: '' },
-    ]);
+    setIngredients((current) => [...current, EMPTY_INGREDIENT]);
   };
 
   const removeIngredient = (index) => {
     setIngredients((current) => current.filter((_, i) => i !== index));
+    setStockMatches({});
+  };
+
+  const linkIngredientToStock = (index, match) => {
+    setIngredients((current) =>
+      current.map((item, i) =>
+        i === index
+          ? {
+              ...item,
+              inventoryItemId: match?.inventoryItemId || '',
+              inventoryItemName: match?.name || '',
+            }
+          : item,
+      ),
+    );
+    setStockMatches((current) => ({ ...current, [index]: undefined }));
+  };
+
+  const findStockMatches = async (index) => {
+    const ingredient = ingredients[index];
+    const name = (ingredient?.name || '').trim();
+    if (!name) {
+      setFormError('Enter the ingredient name before looking for stock.');
+      return;
+    }
+
+    setStockMatches((current) => ({
+      ...current,
+      [index]: { isLoading: true, matches: [], error: '' },
+    }));
+
+    try {
+      const matches = await suggestIngredientMatches({
+        apiUrl: apiBaseUrl,
+        name,
+        unit: ingredient.unit,
+        getToken: isSignedIn ? getToken : undefined,
+      });
+      setStockMatches((current) => ({
+        ...current,
+        [index]: { isLoading: false, matches, error: '' },
+      }));
+    } catch (error) {
+      setStockMatches((current) => ({
+        ...current,
+        [index]: {
+          isLoading: false,
+          matches: [],
+          error: describeApiFetchFailure(error, 'Failed to find stock items.'),
+        },
+      }));
+    }
   };
 
   const addInstruction = () => {
@@ -340,6 +402,7 @@ function NewRecipePage() {
         unit: (ingredient.unit || '').trim(),
         quantity:
           ingredient.quantity === '' ? NaN : Number(ingredient.quantity),
+        inventoryItemId: ingredient.inventoryItemId || null,
       }))
       .filter(
         (ingredient) =>
@@ -902,6 +965,69 @@ function NewRecipePage() {
                   >
                     <Trash2 size={14} />
                   </button>
+
+                  {/* Stock item link used by meal plan inventory checks */}
+                  <div className="col-span-4 flex flex-wrap items-center gap-2 text-[11px] text-[#667383]">
+                    {ingredient.inventoryItemId ? (
+                      <>
+                        <span className="rounded-full bg-[#e8f5e8] px-2 py-0.5 font-semibold text-[#1f7a34]">
+                          Stock: {ingredient.inventoryItemName || 'linked item'}
+                        </span>
+                        <button
+                          type="button"
+                          onClick={() => linkIngredientToStock(index, null)}
+                          className="text-[#b73a30] hover:underline"
+                        >
+                          Unlink
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        <span>Not linked to stock (matched by name)</span>
+                        <button
+                          type="button"
+                          onClick={() => findStockMatches(index)}
+                          disabled={stockMatches[index]?.isLoading}
+                          className="font-semibold text-[#1f7a34] hover:underline disabled:opacity-50"
+                        >
+                          {stockMatches[index]?.isLoading
+                            ? 'Searching...'
+                            : 'Find stock item'}
+                        </button>
+                      </>
+                    )}
+                    {stockMatches[index]?.error ? (
+                      <span className="text-[#b73a30]">
+                        {stockMatches[index].error}
+                      </span>
+                    ) : null}
+                    {stockMatches[index] &&
+                    !stockMatches[index].isLoading &&
+                    !stockMatches[index].error &&
+                    stockMatches[index].matches.length === 0 ? (
+                      <span>No similar stock items found.</span>
+                    ) : null}
+                    {stockMatches[index]?.matches.map((match) => (
+                      <button
+                        key={match.inventoryItemId}
+                        type="button"
+                        onClick={() => linkIngredientToStock(index, match)}
+                        title={
+                          match.unitCompatible === false
+                            ? `${match.unit} cannot be converted from ${ingredient.unit}`
+                            : undefined
+                        }
+                        className={`rounded-full border px-2 py-0.5 ${
+                          match.unitCompatible === false
+                            ? 'border-[#f0d9b5] text-[#8a5a1c]'
+                            : 'border-[#cfe3d2] text-[#1f7a34]'
+                        }`}
+                      >
+                        {match.name} ({match.unit}) ·{' '}
+                        {Math.round(match.score * 100)}%
+                      </button>
+                    ))}
+                  </div>
                 </div>
               ))}
             </div>
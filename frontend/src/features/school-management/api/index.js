@@ -76,6 +76,13 @@ export async function fetchStudent({ getToken, id } = {}) {
   return (await response.json()).data;
 }
 
+export async function fetchStudentActivity({ getToken, id } = {}) {
+  const url = new URL(`/api/students/${id}/activity`, resolveApiBaseUrl());
+  const response = await fetchApi({ url: url.toString(), getToken });
+  if (!response.ok) throw new Error(`Failed to fetch student activity: ${response.status}`);
+  return (await response.json()).data ?? [];
+}
+
 export async function createStudent({ getToken, schoolId, body } = {}) {
   const url = new URL(`/api/schools/${schoolId}/students`, resolveApiBaseUrl());
   const response = await fetchApi({
@@ -201,6 +208,42 @@ export async function updateQrStatus({ getToken, id, status } = {}) {
   return payload.data;
 }
 
+export async function fetchStudentQrHistory({ getToken, id } = {}) {
+  const url = new URL(`/api/students/${id}/qr/history`, resolveApiBaseUrl());
+  const response = await fetchApi({ url: url.toString(), getToken });
+  if (!response.ok) throw new Error(`Failed to fetch meal card history: ${response.status}`);
+  return (await response.json()).data;
+}
+
+export async function reissueStudentQr({ getToken, id } = {}) {
+  const url = new URL(`/api/students/${id}/qr/reissue`, resolveApiBaseUrl());
+  const response = await fetchApi({
+    url: url.toString(),
+    getToken,
+    options: { method: 'POST' },
+  });
+  const payload = await response.json();
+  if (!response.ok) throw new Error(payload.message ?? 'Failed to reissue meal card');
+  return payload.data;
+}
+
+export async function revokeStudentQr({ getToken, id, reason, notes, reissue } = {}) {
+  const url = new URL(`/api/students/${id}/qr/revoke`, resolveApiBaseUrl());
+  const response = await fetchApi({
+    url: url.toString(),
+    getToken,
+    options: {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reason, notes, reissue }),
+    },
+  });
+  const payload = await response.json();
+  if (!response.ok)
+    throw Object.assign(new Error(payload.message ?? 'Failed to revoke meal card'), { errors: payload.errors ?? [] });
+  return payload.data;
+}
+
 export async function batchGenerateQr({ getToken, schoolId, grade } = {}) {
   const url = new URL(`/api/schools/${schoolId}/qr/batch`, resolveApiBaseUrl());
   if (grade) url.searchParams.set('grade', grade);
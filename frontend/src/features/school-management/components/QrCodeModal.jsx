@@ -1,7 +1,22 @@
 import { useEffect, useState } from 'react';
-import { X, Download, CheckCircle, Clock } from 'lucide-react';
+import { X, Download, CheckCircle, Clock, Ban, History } from 'lucide-react';
 import { useAuth } from '@clerk/clerk-react';
-import { fetchStudentQr, updateQrStatus } from '../api';
+import {
+  fetchStudentQr,
+  fetchStudentQrHistory,
+  revokeStudentQr,
+  updateQrStatus,
+} from '../api';
+import {
+  MEAL_CARD_REVOKE_REASONS,
+  MEAL_CARD_STATUS_LABELS,
+} from '../constants';
+
+function formatCardDate(value) {
+  if (!value) return '—';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '—' : date.toLocaleDateString();
+}
 
 const STATUS_CONFIG = {
   printed: {
@@ -27,18 +42,23 @@ export default function QrCodeModal({ student, onClose, onStatusChange }) {
   const [loading, setLoading] = useState(true);
   const [updating, setUpdating] = useState(false);
   const [error, setError] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [showRevoke, setShowRevoke] = useState(false);
+  const [revokeReason, setRevokeReason] = useState('lost');
+  const [revokeNotes, setRevokeNotes] = useState('');
+  const [revoking, setRevoking] = useState(false);
 
   useEffect(() => {
     let cancelled = false;
     async function load() {
       try {
-        const data = await fetchStudentQr({
-          getToken,
-          id: student._id ?? student.id,
-        });
+        const id = student._id ?? student.id;
+        const data = await fetchStudentQr({ getToken, id });
+        const cards = await fetchStudentQrHistory({ getToken, id });
         if (!cancelled) {
           setQrCode(data.qrCode);
           setStatus(data.qrStatus ?? 'pending');
+          setHistory(cards ?? []);
         }
       } catch (err) {
         if (!cancelled) setError(err.message ?? 'Failed to load QR code');
@@ -79,12 +99,38 @@ export default function QrCodeModal({ student, onClose, onStatusChange }) {
     }
   }
 
+  // Revoking always reissues here so staff can hand out the replacement card.
+  async function handleRevoke() {
+    const id = student._id ?? student.id;
+    setRevoking(true);
+    setError(null);
+    try {
+      const data = await revokeStudentQr({
+        getToken,
+        id,
+        reason: revokeReason,
+        notes: revokeNotes.trim() || undefined,
+        reissue: true,
+      });
+      setQrCode(data.qrCode);
+      setStatus(data.qrStatus ?? 'pending');
+      setHistory(await fetchStudentQrHistory({ getToken, id }));
+      setShowRevoke(false);
+      setRevokeNotes('');
+      onStatusChange?.(data.qrStatus ?? 'pending');
+    } catch (err) {
+      setError(err.message ?? 'Failed to revoke meal card');
+    } finally {
+      setRevoking(false);
+    }
+  }
+
   const config = STATUS_CONFIG[status] ?? STATUS_CONFIG.pending;
   const StatusIcon = config.icon;
 
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 px-4">
-      <div className="w-full max-w-xs rounded-3xl border border-[#e2e8f0] bg-white shadow-xl">
+      <div className="w-full max-w-sm rounded-3xl border border-[#e2e8f0] bg-white shadow-xl">
         <div className="flex items-center justify-between border-b border-[#f1f5f9] px-6 py-5">
           <div>
             <h2 className="typography-body-lg font-semibold text-[#0f172a]">
@@ -140,6 +186,107 @@ export default function QrCodeModal({ student, onClose, onStatusChange }) {
             </button>
           )}
 
+          {/* Lost / stolen / damaged card — revoke and reissue */}
+          {!loading && qrCode && !showRevoke && (
+            <button
+              type="button"
+              onClick={() => setShowRevoke(true)}
+              className="flex w-full items-center justify-center gap-2 rounded-2xl border border-red-200 bg-red-50 px-4 py-2.5 text-sm font-medium text-red-700 transition-colors hover:bg-red-100"
+            >
+              <Ban className="h-4 w-4" />
+              Revoke &amp; reissue card
+            </button>
+          )}
+          {showRevoke && (
+            <div className="flex w-full flex-col gap-2 rounded-2xl border border-red-200 bg-red-50 p-3">
+              <label className="text-xs font-semibold text-red-800">
+                Reason
+              </label>
+              <select
+                value={revokeReason}
+                onChange={(e) => setRevokeReason(e.target.value)}
+                className="rounded-xl border border-[#e2e8f0] bg-white px-3 py-2 text-sm text-[#0f172a]"
+              >
+                {MEAL_CARD_REVOKE_REASONS.map((reason) => (
+                  <option key={reason.value} value={reason.value}>
+                    {reason.label}
+                  </option>
+                ))}
+              </select>
+              <input
+                value={revokeNotes}
+                onChange={(e) => setRevokeNotes(e.target.value)}
+                placeholder="Notes (optional)"
+                className="rounded-xl border border-[#e2e8f0] bg-white px-3 py-2 text-sm text-[#0f172a] placeholder:text-[#94a3b8]"
+              />
+              <p className="text-xs text-red-700">
+                The current card stops scanning immediately and a new card is
+                issued.
+              </p>
+              <div className="flex justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={() => setShowRevoke(false)}
+                  disabled={revoking}
+                  className="rounded-3xl border border-[#e2e8f0] bg-white px-4 py-2 text-xs font-medium text-[#334155] hover:bg-stone-50 disabled:opacity-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  onClick={handleRevoke}
+                  disabled={revoking}
+                  className="rounded-3xl bg-red-600 px-4 py-2 text-xs font-semibold text-white hover:bg-red-700 disabled:opacity-50"
+                >
+                  {revoking ? 'Revoking…' : 'Revoke card'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Card history — issued / replaced / revoked cards */}
+          {history.length > 0 && (
+            <div className="w-full">
+              <p className="mb-2 flex items-center gap-1.5 text-xs font-semibold text-[#334155]">
+                <History className="h-3.5 w-3.5" />
+                Card history
+              </p>
+              <ul className="flex max-h-40 flex-col gap-1.5 overflow-y-auto">
+                {history.map((card) => (
+                  <li
+                    key={card.version}
+                    className="rounded-xl border border-[#f1f5f9] bg-[#f8fafc] px-3 py-2 text-xs text-[#334155]"
+                  >
+                    <div className="flex items-center justify-between">
+                      <span className="font-medium">
+                        {card.version === 0 ? 'Legacy card' : card.serial}
+                      </span>
+                      <span
+                        className={
+                          card.status === 'revoked'
+                            ? 'text-red-600'
+                            : card.status === 'active'
+                              ? 'text-green-700'
+                              : 'text-[#94a3b8]'
+                        }
+                      >
+                        {MEAL_CARD_STATUS_LABELS[card.status] ?? card.status}
+                      </span>
+                    </div>
+                    <p className="text-[#64748b]">
+                      Issued {formatCardDate(card.issuedAt)}
+                      {card.status === 'revoked' &&
+                        ` · Revoked ${formatCardDate(card.revokedAt)} (${card.revokeReason})`}
+                    </p>
+                    {card.revokeNotes && (
+                      <p className="text-[#94a3b8]">{card.revokeNotes}</p>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           <div className="flex w-full justify-end gap-3">
             <button
               type="button"
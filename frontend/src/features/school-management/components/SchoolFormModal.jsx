@@ -8,6 +8,9 @@ const FIELD_LABELS = {
   managerEmail: 'Manager Email',
   districtNumber: 'District Number',
   region: 'Region',
+  legacyQrGraceUntil: 'Accept unsigned meal cards until',
+  dietaryConflictPolicy: 'Allergy conflicts at meal scan',
+  guardianNoShowDelivery: 'Missed-meal notices to guardians',
 };
 
 export default function SchoolFormModal({ school, onClose, onSaved }) {
@@ -19,6 +22,9 @@ export default function SchoolFormModal({ school, onClose, onSaved }) {
     managerEmail: '',
     districtNumber: '',
     region: '',
+    legacyQrGraceUntil: '',
+    dietaryConflictPolicy: 'warn',
+    guardianNoShowDelivery: 'immediate',
   });
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState(null);
@@ -31,6 +37,11 @@ export default function SchoolFormModal({ school, onClose, onSaved }) {
         managerEmail: school.managerEmail ?? '',
         districtNumber: school.districtNumber ?? '',
         region: school.region ?? '',
+        legacyQrGraceUntil: school.legacyQrGraceUntil
+          ? String(school.legacyQrGraceUntil).slice(0, 10)
+          : '',
+        dietaryConflictPolicy: school.dietaryConflictPolicy ?? 'warn',
+        guardianNoShowDelivery: school.guardianNoShowDelivery ?? 'immediate',
       });
     }
   }, [school]);
@@ -52,6 +63,10 @@ export default function SchoolFormModal({ school, onClose, onSaved }) {
       managerEmail: form.managerEmail,
       districtNumber: form.districtNumber,
       ...(form.region ? { region: form.region } : {}),
+      // Empty clears the grace period, so unsigned cards stop scanning.
+      legacyQrGraceUntil: form.legacyQrGraceUntil || null,
+      dietaryConflictPolicy: form.dietaryConflictPolicy,
+      guardianNoShowDelivery: form.guardianNoShowDelivery,
     };
 
     try {
@@ -171,6 +186,76 @@ export default function SchoolFormModal({ school, onClose, onSaved }) {
             )}
           </div>
 
+          {/* Legacy meal-card grace period (optional) */}
+          <div className="flex flex-col gap-1.5">
+            <label className="text-sm font-semibold text-[#334155]">
+              {FIELD_LABELS.legacyQrGraceUntil}{' '}
+              <span className="text-xs font-normal text-[#94a3b8]">(optional)</span>
+            </label>
+            <input
+              name="legacyQrGraceUntil"
+              type="date"
+              value={form.legacyQrGraceUntil}
+              onChange={handleChange}
+              className="rounded-xl border border-[#e2e8f0] bg-[#f8fafc] px-3 py-2.5 text-sm text-[#0f172a] placeholder:text-[#94a3b8] focus:outline-none focus:ring-2 focus:ring-[#006117]/20"
+            />
+            <p className="text-xs text-[#64748b]">
+              Old cards printed before signed QR codes keep scanning until this
+              date, unless the student has already been issued a new card.
+            </p>
+            {fieldErrors.legacyQrGraceUntil && (
+              <p className="text-xs text-red-600">
+                {fieldErrors.legacyQrGraceUntil}
+              </p>
+            )}
+          </div>
+
+          {/* Dietary conflict policy */}
+          <div className="flex flex-col gap-1.5">
+            <label className="text-sm font-semibold text-[#334155]">
+              {FIELD_LABELS.dietaryConflictPolicy}
+            </label>
+            <select
+              name="dietaryConflictPolicy"
+              value={form.dietaryConflictPolicy}
+              onChange={handleChange}
+              className="rounded-xl border border-[#e2e8f0] bg-[#f8fafc] px-3 py-2.5 text-sm text-[#0f172a] focus:outline-none focus:ring-2 focus:ring-[#006117]/20"
+            >
+              <option value="warn">Warn staff and mark present</option>
+              <option value="block">Block unless staff override</option>
+            </select>
+            {fieldErrors.dietaryConflictPolicy && (
+              <p className="text-xs text-red-600">
+                {fieldErrors.dietaryConflictPolicy}
+              </p>
+            )}
+          </div>
+
+          {/* Guardian no-show delivery */}
+          <div className="flex flex-col gap-1.5">
+            <label className="text-sm font-semibold text-[#334155]">
+              {FIELD_LABELS.guardianNoShowDelivery}
+            </label>
+            <select
+              name="guardianNoShowDelivery"
+              value={form.guardianNoShowDelivery}
+              onChange={handleChange}
+              className="rounded-xl border border-[#e2e8f0] bg-[#f8fafc] px-3 py-2.5 text-sm text-[#0f172a] focus:outline-none focus:ring-2 focus:ring-[#006117]/20"
+            >
+              <option value="immediate">Send after each meal session</option>
+              <option value="daily_digest">One daily digest per guardian</option>
+            </select>
+            <p className="text-xs text-[#64748b]">
+              The daily digest groups every missed meal for a guardian&apos;s
+              children into one message.
+            </p>
+            {fieldErrors.guardianNoShowDelivery && (
+              <p className="text-xs text-red-600">
+                {fieldErrors.guardianNoShowDelivery}
+              </p>
+            )}
+          </div>
+
           {/* Actions */}
           <div className="flex justify-end gap-3 pt-2">
             <button
@@ -0,0 +1,70 @@
+import { useEffect, useState } from 'react';
+import { X } from 'lucide-react';
+import { useAuth } from '@clerk/clerk-react';
+import ActivityTimeline from '@/components/common/ActivityTimeline';
+import { fetchStudentActivity } from '../api';
+
+export default function StudentActivityModal({ student, onClose }) {
+  const { getToken } = useAuth();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    async function load() {
+      try {
+        const data = await fetchStudentActivity({
+          getToken,
+          id: student._id ?? student.id,
+        });
+        if (!cancelled) setEntries(data);
+      } catch (err) {
+        if (!cancelled) setError(err.message ?? 'Failed to load activity');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [getToken, student]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 px-4">
+      <div className="flex max-h-[85vh] w-full max-w-lg flex-col rounded-3xl border border-[#e2e8f0] bg-white shadow-xl">
+        <div className="flex items-center justify-between border-b border-[#f1f5f9] px-6 py-5">
+          <div>
+            <h2 className="typography-body-lg font-semibold text-[#0f172a]">
+              Activity
+            </h2>
+            <p className="typography-body-sm text-[#64748b]">
+              {student.firstName} {student.lastName}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded-full p-1.5 text-[#64748b] hover:bg-stone-100"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        <div className="overflow-y-auto bg-[#f8fafc] px-6 py-5">
+          {loading && (
+            <div className="h-24 animate-pulse rounded-2xl bg-[#e2e8f0]" />
+          )}
+          {!loading && error && <p className="text-sm text-red-600">{error}</p>}
+          {!loading && !error && (
+            <ActivityTimeline
+              entries={entries}
+              emptyMessage="No changes have been recorded for this student yet."
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
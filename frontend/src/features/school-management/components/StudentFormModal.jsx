@@ -18,6 +18,7 @@ export default function StudentFormModal({ student, schoolId, onClose, onSaved }
     firstName: '',
     lastName: '',
     gradeLevel: '',
+    className: '',
     mealEligibilityStatus: 'pending',
   });
   const [submitting, setSubmitting] = useState(false);
@@ -31,6 +32,7 @@ export default function StudentFormModal({ student, schoolId, onClose, onSaved }
         firstName: student.firstName ?? '',
         lastName: student.lastName ?? '',
         gradeLevel: student.gradeLevel ?? '',
+        className: student.className ?? '',
         mealEligibilityStatus: student.mealEligibilityStatus ?? 'pending',
       });
     }
@@ -52,6 +54,7 @@ export default function StudentFormModal({ student, schoolId, onClose, onSaved }
       firstName: form.firstName,
       lastName: form.lastName,
       ...(form.gradeLevel ? { gradeLevel: form.gradeLevel } : {}),
+      ...(form.className ? { className: form.className } : {}),
       mealEligibilityStatus: form.mealEligibilityStatus,
       ...(!isEdit ? { studentId: form.studentId } : {}),
     };
@@ -173,6 +176,24 @@ export default function StudentFormModal({ student, schoolId, onClose, onSaved }
             )}
           </div>
 
+          {/* Class / Section */}
+          <div className="flex flex-col gap-1.5">
+            <label className="text-sm font-semibold text-[#334155]">
+              Class / Section{' '}
+              <span className="text-xs font-normal text-[#94a3b8]">(optional)</span>
+            </label>
+            <input
+              name="className"
+              value={form.className}
+              onChange={handleChange}
+              placeholder="e.g. 4A"
+              className="rounded-xl border border-[#e2e8f0] bg-[#f8fafc] px-3 py-2.5 text-sm text-[#0f172a] placeholder:text-[#94a3b8] focus:outline-none focus:ring-2 focus:ring-[#006117]/20"
+            />
+            {fieldErrors.className && (
+              <p className="text-xs text-red-600">{fieldErrors.className}</p>
+            )}
+          </div>
+
           {/* Meal Eligibility */}
           <div className="flex flex-col gap-1.5">
             <label className="text-sm font-semibold text-[#334155]">
@@ -5,3 +5,15 @@ export const DIETARY_TAGS = [
   'Dairy-Free',
   'Gluten-Free',
 ];
+
+export const MEAL_CARD_REVOKE_REASONS = [
+  { value: 'lost', label: 'Lost' },
+  { value: 'stolen', label: 'Stolen' },
+  { value: 'damaged', label: 'Damaged' },
+];
+
+export const MEAL_CARD_STATUS_LABELS = {
+  active: 'Active',
+  superseded: 'Replaced',
+  revoked: 'Revoked',
+};
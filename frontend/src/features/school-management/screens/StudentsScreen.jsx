@@ -12,11 +12,13 @@ import {
   CheckCircle,
   // Icon,
   Clock,
+  History,
 } from 'lucide-react';
 import SchoolManagementLayout from '../layouts/SchoolManagementLayout';
 import StudentFormModal from '../components/StudentFormModal';
 import DietaryModal from '../components/DietaryModal';
 import QrCodeModal from '../components/QrCodeModal';
+import StudentActivityModal from '../components/StudentActivityModal';
 import CsvImportWizard from '../components/CsvImportWizard';
 import { fetchStudents, fetchSchoolStats, deleteStudent } from '../api';
 
@@ -70,6 +72,7 @@ export default function StudentsScreen() {
   const [studentModal, setStudentModal] = useState(undefined); // undefined=closed, null=create, obj=edit
   const [dietaryStudent, setDietaryStudent] = useState(null);
   const [qrStudent, setQrStudent] = useState(null);
+  const [activityStudent, setActivityStudent] = useState(null);
   const [showImport, setShowImport] = useState(false);
   const [deletingId, setDeletingId] = useState(null);
 
@@ -147,7 +150,8 @@ export default function StudentsScreen() {
       s.firstName?.toLowerCase().includes(q) ||
       s.lastName?.toLowerCase().includes(q) ||
       s.studentId?.toLowerCase().includes(q) ||
-      s.gradeLevel?.toLowerCase().includes(q)
+      s.gradeLevel?.toLowerCase().includes(q) ||
+      s.className?.toLowerCase().includes(q)
     );
   });
 
@@ -304,6 +308,7 @@ export default function StudentsScreen() {
                       {/* Grade */}
                       <span className="typography-body text-[#475569]">
                         {student.gradeLevel ?? '—'}
+                        {student.className ? ` · ${student.className}` : ''}
                       </span>
 
                       {/* Dietary */}
@@ -361,6 +366,14 @@ export default function StudentsScreen() {
                         >
                           <Utensils className="h-3.5 w-3.5" />
                         </button>
+                        <button
+                          type="button"
+                          onClick={() => setActivityStudent(student)}
+                          title="Activity"
+                          className="rounded-xl p-1.5 text-[#64748b] transition-colors hover:bg-stone-100"
+                        >
+                          <History className="h-3.5 w-3.5" />
+                        </button>
                         <button
                           type="button"
                           onClick={() => setStudentModal(student)}
@@ -438,6 +451,13 @@ export default function StudentsScreen() {
         />
       )}
 
+      {activityStudent && (
+        <StudentActivityModal
+          student={activityStudent}
+          onClose={() => setActivityStudent(null)}
+        />
+      )}
+
       {showImport && (
         <CsvImportWizard
           schoolId={schoolId}
@@ -114,3 +114,48 @@ export async function deleteUser({ apiUrl, getToken, userId, clerkId }) {
 
   return response.json();
 }
+
+export async function fetchTrash({
+  apiUrl,
+  getToken,
+  entityType,
+  page = 1,
+  limit = 20,
+}) {
+  const params = new URLSearchParams({
+    page: String(page),
+    limit: String(limit),
+  });
+  if (entityType && entityType !== 'all') {
+    params.set('entityType', entityType);
+  }
+
+  const response = await requestUserManagementApi({
+    apiUrl,
+    getToken,
+    path: `/api/admin/trash?${params.toString()}`,
+    fallbackMessage: 'Failed to fetch trash.',
+  });
+
+  const payload = await response.json();
+  return {
+    items: Array.isArray(payload?.items) ? payload.items : [],
+    total: Number(payload?.total) || 0,
+  };
+}
+
+export async function restoreTrashItem({ apiUrl, getToken, entityType, id }) {
+  if (!entityType || !id) {
+    throw new Error('Entity type and id are required to restore a record.');
+  }
+
+  const response = await requestUserManagementApi({
+    apiUrl,
+    getToken,
+    path: `/api/admin/trash/${encodeURIComponent(entityType)}/${encodeURIComponent(id)}/restore`,
+    method: 'POST',
+    fallbackMessage: 'Failed to restore record.',
+  });
+
+  return response.json();
+}
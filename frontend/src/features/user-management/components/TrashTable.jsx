@@ -0,0 +1,121 @@
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent } from '@/components/ui/card';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { RotateCcw } from 'lucide-react';
+
+const ENTITY_TYPE_LABELS = {
+  School: 'School',
+  Student: 'Student',
+  Recipe: 'Recipe',
+  MealPlan: 'Meal Plan',
+};
+
+function formatDateTime(value) {
+  if (!value) {
+    return '—';
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '—' : date.toLocaleString();
+}
+
+export default function TrashTable({ items = [], isBusy, onRestore }) {
+  return (
+    <Card className="rounded-[24px] border border-[#e6e9e5] bg-white">
+      <CardContent className="p-0">
+        <Table>
+          <TableHeader>
+            <TableRow className="border-b border-[#eef0ec] bg-[#f7f8f6]">
+              <TableHead className="typography-body-sm pl-6 text-[#4b5563]">
+                Record
+              </TableHead>
+              <TableHead className="typography-body-sm text-[#4b5563]">
+                Type
+              </TableHead>
+              <TableHead className="typography-body-sm text-[#4b5563]">
+                Deleted
+              </TableHead>
+              <TableHead className="typography-body-sm text-[#4b5563]">
+                Purged After
+              </TableHead>
+              <TableHead className="typography-body-sm pr-6 text-right text-[#4b5563]">
+                Actions
+              </TableHead>
+            </TableRow>
+          </TableHeader>
+
+          <TableBody>
+            {items.length === 0 ? (
+              <TableRow>
+                <TableCell
+                  colSpan={5}
+                  className="typography-body py-10 text-center text-[#6b7280]"
+                >
+                  The trash is empty.
+                </TableCell>
+              </TableRow>
+            ) : (
+              items.map((item) => (
+                <TableRow
+                  key={`${item.entityType}-${item.id}`}
+                  className="border-b border-[#eef0ec]"
+                >
+                  <TableCell className="pl-6">
+                    <p className="typography-body truncate text-[#111827]">
+                      {item.label || item.id}
+                    </p>
+                    <p className="typography-body-sm truncate text-[#6b7280]">
+                      {item.id}
+                    </p>
+                  </TableCell>
+
+                  <TableCell>
+                    <Badge className="typography-body-sm rounded-full border-0 bg-[#f3f4f6] px-3 py-1 text-[#374151]">
+                      {ENTITY_TYPE_LABELS[item.entityType] || item.entityType}
+                    </Badge>
+                  </TableCell>
+
+                  <TableCell>
+                    <p className="typography-body-sm text-[#111827]">
+                      {formatDateTime(item.deletedAt)}
+                    </p>
+                    {item.deletedBy ? (
+                      <p className="typography-body-sm text-[#6b7280]">
+                        by {item.deletedBy}
+                      </p>
+                    ) : null}
+                  </TableCell>
+
+                  <TableCell className="typography-body-sm text-[#4b5563]">
+                    {formatDateTime(item.purgeAfter)}
+                  </TableCell>
+
+                  <TableCell className="pr-6 text-right">
+                    <Button
+                      type="button"
+                      variant="outline"
+                      size="sm"
+                      disabled={isBusy}
+                      onClick={() => onRestore?.(item)}
+                    >
+                      <RotateCcw className="h-4 w-4" />
+                      Restore
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </CardContent>
+    </Card>
+  );
+}
@@ -3,3 +3,4 @@ export { default as UsersTable } from './UsersTable';
 export { default as UserRowActions } from './UserRowActions';
 export { default as UserRoleDialog } from './UserRoleDialog';
 export { default as ConfirmDeleteUserDialog } from './ConfirmDeleteUserDialog';
+export { default as TrashTable } from './TrashTable';
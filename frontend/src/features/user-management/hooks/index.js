@@ -1 +1,2 @@
 export { useUsersQuery } from './use-users-query';
+export { useTrashQuery } from './use-trash-query';
@@ -0,0 +1,95 @@
+import { useAuth } from '@clerk/clerk-react';
+import { useCallback, useEffect, useState } from 'react';
+
+import { describeApiFetchFailure } from '@/lib/describe-api-fetch-failure';
+import { resolveApiBaseUrl } from '@/lib/resolve-api-base';
+
+import { fetchTrash, restoreTrashItem } from '../api/user-management.api';
+
+export function useTrashQuery({
+  entityType = 'all',
+  page = 1,
+  limit = 20,
+} = {}) {
+  const { isSignedIn, getToken } = useAuth();
+  const apiUrl = resolveApiBaseUrl();
+
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isMutating, setIsMutating] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadTrash = useCallback(
+    async ({ silent = false } = {}) => {
+      if (!silent) {
+        setIsLoading(true);
+      }
+
+      if (!isSignedIn) {
+        setItems([]);
+        setTotal(0);
+        setError('Sign in as an admin to view deleted records.');
+        setIsLoading(false);
+        return;
+      }
+
+      try {
+        const data = await fetchTrash({
+          apiUrl,
+          getToken,
+          entityType,
+          page,
+          limit,
+        });
+
+        setItems(data.items);
+        setTotal(data.total);
+        setError('');
+      } catch (loadError) {
+        setItems([]);
+        setTotal(0);
+        setError(
+          describeApiFetchFailure(loadError, 'Could not load deleted records.'),
+        );
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [apiUrl, getToken, isSignedIn, entityType, page, limit],
+  );
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  const restoreItem = useCallback(
+    async ({ entityType: itemType, id }) => {
+      setIsMutating(true);
+      try {
+        const payload = await restoreTrashItem({
+          apiUrl,
+          getToken,
+          entityType: itemType,
+          id,
+        });
+
+        await loadTrash({ silent: true });
+        return payload;
+      } finally {
+        setIsMutating(false);
+      }
+    },
+    [apiUrl, getToken, loadTrash],
+  );
+
+  return {
+    items,
+    total,
+    isLoading,
+    isMutating,
+    error,
+    refreshTrash: loadTrash,
+    restoreItem,
+  };
+}
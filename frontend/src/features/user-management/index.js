@@ -6,3 +6,4 @@ export * from './components';
 export * from './layouts';
 
 export { default as UserManagementPage } from './pages/UserManagementPage';
+export { default as TrashPage } from './pages/TrashPage';
@@ -0,0 +1,118 @@
+import { useState } from 'react';
+
+import PaginationControls from '@/components/common/PaginationControls';
+import StatusMessage from '@/components/common/StatusMessage';
+import { Card, CardContent } from '@/components/ui/card';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { toast } from 'sonner';
+
+import TrashTable from '../components/TrashTable';
+import { useTrashQuery } from '../hooks/use-trash-query';
+import UserManagementLayout from '../layouts/UserManagementLayout';
+
+const PAGE_SIZE = 20;
+
+const ENTITY_TYPE_OPTIONS = [
+  { value: 'all', label: 'Type: ALL' },
+  { value: 'School', label: 'Schools' },
+  { value: 'Student', label: 'Students' },
+  { value: 'Recipe', label: 'Recipes' },
+  { value: 'MealPlan', label: 'Meal Plans' },
+];
+
+export default function TrashPage() {
+  const [entityType, setEntityType] = useState('all');
+  const [page, setPage] = useState(1);
+  const [actionError, setActionError] = useState('');
+
+  const { items, total, isLoading, isMutating, error, restoreItem } =
+    useTrashQuery({ entityType, page, limit: PAGE_SIZE });
+
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const pageNumbers = Array.from(
+    { length: totalPages },
+    (_, index) => index + 1,
+  );
+
+  const handleRestore = async (item) => {
+    setActionError('');
+
+    try {
+      await restoreItem({ entityType: item.entityType, id: item.id });
+      toast.success(`${item.label || 'Record'} restored.`);
+    } catch (restoreError) {
+      setActionError(restoreError?.message || 'Failed to restore record.');
+    }
+  };
+
+  return (
+    <UserManagementLayout
+      activeItemKey="trash"
+      title="Trash"
+      subtitle="Review deleted schools, students, recipes and meal plans and restore them before they are purged."
+    >
+      <div className="space-y-5 pb-6">
+        <Card className="rounded-[24px] border border-[#e6e9e5] bg-white">
+          <CardContent className="flex flex-col gap-3 p-5 lg:flex-row lg:items-center lg:justify-between">
+            <p className="typography-body text-[#4b5563]">
+              Deleted records stay here until their retention period ends.
+              Records still referenced by attendance or meal plans are kept.
+            </p>
+
+            <Select
+              value={entityType}
+              onValueChange={(value) => {
+                setEntityType(value);
+                setPage(1);
+              }}
+            >
+              <SelectTrigger
+                className="typography-body-sm h-11 min-w-42.5 rounded-full bg-white text-[#4b5563]"
+                aria-label="Record type filter"
+              >
+                <SelectValue placeholder="Type: ALL" />
+              </SelectTrigger>
+              <SelectContent align="end">
+                {ENTITY_TYPE_OPTIONS.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </CardContent>
+        </Card>
+
+        {actionError ? (
+          <StatusMessage kind="error" message={actionError} />
+        ) : null}
+        {error ? <StatusMessage kind="error" message={error} /> : null}
+
+        {isLoading ? (
+          <StatusMessage kind="info" message="Loading deleted records..." />
+        ) : (
+          <TrashTable
+            items={items}
+            isBusy={isMutating}
+            onRestore={handleRestore}
+          />
+        )}
+
+        <PaginationControls
+          page={page}
+          totalPages={totalPages}
+          pageNumbers={pageNumbers}
+          onPrevious={() => setPage((current) => Math.max(1, current - 1))}
+          onPageSelect={(selectedPage) => setPage(selectedPage)}
+          onNext={() => setPage((current) => Math.min(totalPages, current + 1))}
+        />
+      </div>
+    </UserManagementLayout>
+  );
+}
@@ -1,11 +1,14 @@
+import TrashPage from './pages/TrashPage';
 import UserManagementPage from './pages/UserManagementPage';
 
 export const userManagementPath = '/user-management';
 export const userManagementUsersPath = '/user-management/users';
 export const userManagementRolesPath = '/user-management/roles';
+export const userManagementTrashPath = '/user-management/trash';
 
 export const userManagementChildren = [
   { index: true, Component: UserManagementPage },
   { path: 'users', Component: UserManagementPage },
   { path: 'roles', Component: UserManagementPage },
+  { path: 'trash', Component: TrashPage },
 ];
@@ -1,3 +1,4 @@
+import TrashPage from './pages/TrashPage';
 import UserManagementPage from './pages/UserManagementPage';
 
 export function UserManagementRoute() {
@@ -11,3 +12,7 @@ export function UserManagementUsersRoute() {
 export function UserManagementRolesRoute() {
   return <UserManagementPage />;
 }
+
+export function UserManagementTrashRoute() {
+  return <TrashPage />;
+}
@@ -1,4 +1,10 @@
-import { LogOut, Package } from 'lucide-react';
+import {
+  ArrowLeftRight,
+  ClipboardList,
+  LogOut,
+  Package,
+  Truck,
+} from 'lucide-react';
 import { DEFAULT_FOOTER_ACTIONS } from './defaults';
 
 export const INVENTORY_MANAGEMENT_SIDEBAR_CONFIG = {
@@ -14,6 +20,24 @@ export const INVENTORY_MANAGEMENT_SIDEBAR_CONFIG = {
           to: '/inventory/items',
           icon: Package,
         },
+        {
+          key: 'purchase-orders',
+          label: 'Purchase Orders',
+          to: '/inventory/purchase-orders',
+          icon: Truck,
+        },
+        {
+          key: 'transfers',
+          label: 'Stock Transfers',
+          to: '/inventory/transfers',
+          icon: ArrowLeftRight,
+        },
+        {
+          key: 'stock-takes',
+          label: 'Stock-Takes',
+          to: '/inventory/stock-takes',
+          icon: ClipboardList,
+        },
       ],
     },
   ],
@@ -1,4 +1,4 @@
-import { LayoutGrid, Shield, Users } from 'lucide-react';
+import { LayoutGrid, Shield, Trash2, Users } from 'lucide-react';
 import { DEFAULT_FOOTER_ACTIONS } from './defaults';
 
 export const USER_MANAGEMENT_SIDEBAR_CONFIG = {
@@ -20,6 +20,12 @@ export const USER_MANAGEMENT_SIDEBAR_CONFIG = {
           to: '/user-management',
           icon: Users,
         },
+        {
+          key: 'trash',
+          label: 'Trash',
+          to: '/user-management/trash',
+          icon: Trash2,
+        },
         // {
         //   key: 'roles',
         //   label: 'Roles & Permissions',